@@ -0,0 +1,193 @@
+-- =====================================================
+-- Migration 009: Open-Now Schedule Functions
+-- =====================================================
+-- Purpose: Allow search queries to filter establishments that are open
+-- at a given moment, evaluated in Belarus local time (Europe/Minsk).
+--
+-- Changes:
+-- 1. hours_range_minutes(JSONB) - parses one day's schedule into
+--    [open_minute, close_minute] or NULL when closed
+-- 2. establishment_is_open(JSONB, JSONB, BOOLEAN, TIMESTAMPTZ) - resolves
+--    working_hours, special_hours and is_24_hours for a moment in time
+--
+-- Supported day formats (both exist in current data):
+-- - "09:00-22:00"
+-- - {"open": "09:00", "close": "22:00"}
+-- - null, "closed" or {"closed": true} for closed days
+--
+-- A close time earlier than or equal to the open time means the range runs
+-- past midnight. A close time of 23:59 is treated as end of day.
+-- special_hours keys in YYYY-MM-DD format override the weekday schedule.
+--
+-- This logic mirrors src/utils/workingHours.js. Keep both in sync.
+--
+-- Impact: Non-breaking change. Functions only, no table changes.
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- Step 1: Day schedule parser
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION hours_range_minutes(day_value JSONB)
+RETURNS INTEGER[] AS $$
+DECLARE
+    open_text TEXT;
+    close_text TEXT;
+    open_min INTEGER;
+    close_min INTEGER;
+BEGIN
+    IF day_value IS NULL THEN
+        RETURN NULL;
+    END IF;
+
+    IF jsonb_typeof(day_value) = 'string' THEN
+        IF array_length(string_to_array(day_value #>> '{}', '-'), 1) <> 2 THEN
+            RETURN NULL;
+        END IF;
+        open_text := trim(split_part(day_value #>> '{}', '-', 1));
+        close_text := trim(split_part(day_value #>> '{}', '-', 2));
+    ELSIF jsonb_typeof(day_value) = 'object' THEN
+        IF day_value->>'closed' = 'true' THEN
+            RETURN NULL;
+        END IF;
+        open_text := trim(day_value->>'open');
+        close_text := trim(day_value->>'close');
+    ELSE
+        RETURN NULL;
+    END IF;
+
+    IF open_text IS NULL OR close_text IS NULL
+        OR open_text !~ '^\d{1,2}:\d{2}$' OR close_text !~ '^\d{1,2}:\d{2}$' THEN
+        RETURN NULL;
+    END IF;
+
+    -- Same bounds as parseTime in workingHours.js: minutes 00-59,
+    -- hours 00-24 and 24:00 as the only time in hour 24
+    IF split_part(open_text, ':', 2)::INTEGER > 59
+        OR split_part(close_text, ':', 2)::INTEGER > 59
+        OR split_part(open_text, ':', 1)::INTEGER > 24
+        OR split_part(close_text, ':', 1)::INTEGER > 24
+        OR (split_part(open_text, ':', 1)::INTEGER = 24 AND split_part(open_text, ':', 2)::INTEGER > 0)
+        OR (split_part(close_text, ':', 1)::INTEGER = 24 AND split_part(close_text, ':', 2)::INTEGER > 0) THEN
+        RETURN NULL;
+    END IF;
+
+    open_min := split_part(open_text, ':', 1)::INTEGER * 60 + split_part(open_text, ':', 2)::INTEGER;
+    close_min := split_part(close_text, ':', 1)::INTEGER * 60 + split_part(close_text, ':', 2)::INTEGER;
+
+    IF close_min = 1439 THEN
+        close_min := 1440;
+    END IF;
+
+    RETURN ARRAY[open_min, close_min];
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+COMMENT ON FUNCTION hours_range_minutes IS
+'Parses a single day schedule ("09:00-22:00" or {"open","close"}) into [open_minute, close_minute]. Returns NULL for closed or malformed days.';
+
+-- =====================================================
+-- Step 2: Open-at-moment resolver
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION establishment_is_open(
+    hours JSONB,
+    special JSONB,
+    always_open BOOLEAN,
+    at_time TIMESTAMPTZ
+)
+RETURNS BOOLEAN AS $$
+DECLARE
+    local_ts TIMESTAMP := at_time AT TIME ZONE 'Europe/Minsk';
+    today DATE := (at_time AT TIME ZONE 'Europe/Minsk')::DATE;
+    now_min INTEGER;
+    today_key TEXT;
+    yesterday_key TEXT;
+    today_range INTEGER[];
+    yesterday_range INTEGER[];
+BEGIN
+    now_min := EXTRACT(HOUR FROM local_ts)::INTEGER * 60 + EXTRACT(MINUTE FROM local_ts)::INTEGER;
+    today_key := to_char(today, 'YYYY-MM-DD');
+    yesterday_key := to_char(today - 1, 'YYYY-MM-DD');
+
+    -- 24-hour venues are open unless a special date overrides today
+    IF always_open AND NOT COALESCE(special ? today_key, false) THEN
+        RETURN TRUE;
+    END IF;
+
+    -- Today's range (special date override wins over weekday schedule)
+    IF COALESCE(special ? today_key, false) THEN
+        today_range := hours_range_minutes(special -> today_key);
+    ELSE
+        today_range := hours_range_minutes(hours -> trim(to_char(today, 'FMday')));
+    END IF;
+
+    IF today_range IS NOT NULL THEN
+        IF today_range[2] > today_range[1] THEN
+            IF now_min >= today_range[1] AND now_min < today_range[2] THEN
+                RETURN TRUE;
+            END IF;
+        ELSIF now_min >= today_range[1] THEN
+            RETURN TRUE;
+        END IF;
+    END IF;
+
+    -- Yesterday's overnight range spilling past midnight
+    IF always_open AND NOT COALESCE(special ? yesterday_key, false) THEN
+        RETURN FALSE;
+    END IF;
+
+    IF COALESCE(special ? yesterday_key, false) THEN
+        yesterday_range := hours_range_minutes(special -> yesterday_key);
+    ELSE
+        yesterday_range := hours_range_minutes(hours -> trim(to_char(today - 1, 'FMday')));
+    END IF;
+
+    IF yesterday_range IS NOT NULL
+        AND yesterday_range[2] <= yesterday_range[1]
+        AND now_min < yesterday_range[2] THEN
+        RETURN TRUE;
+    END IF;
+
+    RETURN FALSE;
+END;
+$$ LANGUAGE plpgsql STABLE;
+
+COMMENT ON FUNCTION establishment_is_open IS
+'Returns true when an establishment is open at the given moment in Europe/Minsk time, honouring overnight ranges, special_hours date overrides and is_24_hours. Mirrors src/utils/workingHours.js.';
+
+-- =====================================================
+-- Step 3: Validation
+-- =====================================================
+
+-- Both functions must exist
+SELECT
+    proname AS function_name,
+    pg_get_function_identity_arguments(oid) AS arguments
+FROM pg_proc
+WHERE proname IN ('hours_range_minutes', 'establishment_is_open');
+
+-- Spot check: how many active establishments are open right now
+SELECT
+    'Open now' AS summary,
+    COUNT(*) FILTER (WHERE establishment_is_open(working_hours, special_hours, is_24_hours, NOW())) AS open_count,
+    COUNT(*) AS active_count
+FROM establishments
+WHERE status = 'active';
+
+COMMIT;
+
+-- =====================================================
+-- Post-Migration Notes
+-- =====================================================
+-- After this migration:
+--
+-- 1. Search endpoints accept open_now=true and open_at=<ISO timestamp>
+-- 2. Filter expression used by searchService:
+--    establishment_is_open(e.working_hours, e.special_hours, e.is_24_hours, $n)
+-- 3. Response fields closes_at / opens_at are computed in application code
+--
+-- Rollback available: 009_rollback_open_now_functions.sql
+-- =====================================================
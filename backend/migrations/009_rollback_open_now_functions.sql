@@ -0,0 +1,25 @@
+-- =====================================================
+-- Rollback Migration 009: Remove Open-Now Schedule Functions
+-- =====================================================
+-- Drops the functions added in migration 009. No table data is touched.
+--
+-- WARNING: Search requests with open_now / open_at will fail after
+-- this rollback until the application code is reverted as well.
+-- =====================================================
+
+BEGIN;
+
+DROP FUNCTION IF EXISTS establishment_is_open(JSONB, JSONB, BOOLEAN, TIMESTAMPTZ);
+DROP FUNCTION IF EXISTS hours_range_minutes(JSONB);
+
+SELECT
+    'Remaining open-now functions' AS summary,
+    COUNT(*) AS count
+FROM pg_proc
+WHERE proname IN ('hours_range_minutes', 'establishment_is_open');
+
+COMMIT;
+
+-- =====================================================
+-- Rollback Complete
+-- =====================================================
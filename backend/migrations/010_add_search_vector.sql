@@ -0,0 +1,148 @@
+-- =====================================================
+-- Migration 010: Full-Text Search Vector
+-- =====================================================
+-- Purpose: Support free-text search (q parameter) over establishment
+-- name, description, categories and cuisines.
+--
+-- Changes:
+-- 1. Enable pg_trgm extension for typo-tolerant name matching
+-- 2. Add search_vector TSVECTOR column
+-- 3. Trigger keeping search_vector in sync on INSERT/UPDATE
+-- 4. Backfill search_vector for existing rows
+-- 5. GIN indexes on search_vector and trigram index on name
+--
+-- Language handling:
+-- PostgreSQL ships a Russian snowball stemmer but no Belarusian one.
+-- Each field is indexed twice: with the 'russian' configuration (stems
+-- Russian words, e.g. "хинкали" -> "хинкал") and with 'simple' (keeps
+-- Belarusian and Latin words verbatim). Queries are matched against both.
+-- Latin <-> Cyrillic transliteration is done in application code
+-- (src/utils/textSearch.js) before the query reaches the database.
+--
+-- Weights: name = A, categories/cuisines = B, description = C
+--
+-- Impact: Non-breaking change. New column and indexes only.
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- Step 1: Enable pg_trgm
+-- =====================================================
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- =====================================================
+-- Step 2: Add search_vector column
+-- =====================================================
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'establishments'
+        AND column_name = 'search_vector'
+    ) THEN
+        ALTER TABLE establishments
+        ADD COLUMN search_vector TSVECTOR;
+
+        RAISE NOTICE 'Added search_vector column';
+    ELSE
+        RAISE NOTICE 'Column search_vector already exists, skipping';
+    END IF;
+END $$;
+
+-- =====================================================
+-- Step 3: Vector builder and trigger
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION establishment_search_vector(
+    est_name TEXT,
+    est_description TEXT,
+    est_categories TEXT[],
+    est_cuisines TEXT[]
+)
+RETURNS TSVECTOR AS $$
+DECLARE
+    tags TEXT := COALESCE(array_to_string(est_categories, ' '), '') || ' '
+        || COALESCE(array_to_string(est_cuisines, ' '), '');
+BEGIN
+    RETURN
+        setweight(to_tsvector('russian', COALESCE(est_name, '')), 'A') ||
+        setweight(to_tsvector('simple', COALESCE(est_name, '')), 'A') ||
+        setweight(to_tsvector('russian', tags), 'B') ||
+        setweight(to_tsvector('simple', tags), 'B') ||
+        setweight(to_tsvector('russian', COALESCE(est_description, '')), 'C') ||
+        setweight(to_tsvector('simple', COALESCE(est_description, '')), 'C');
+END;
+$$ LANGUAGE plpgsql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION establishments_search_vector_trigger()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.search_vector := establishment_search_vector(
+        NEW.name, NEW.description, NEW.categories, NEW.cuisines
+    );
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_establishments_search_vector ON establishments;
+
+CREATE TRIGGER trg_establishments_search_vector
+BEFORE INSERT OR UPDATE OF name, description, categories, cuisines
+ON establishments
+FOR EACH ROW
+EXECUTE FUNCTION establishments_search_vector_trigger();
+
+-- =====================================================
+-- Step 4: Backfill existing rows
+-- =====================================================
+
+UPDATE establishments
+SET search_vector = establishment_search_vector(name, description, categories, cuisines);
+
+-- =====================================================
+-- Step 5: Indexes
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_establishments_search_vector
+ON establishments USING GIN (search_vector);
+
+CREATE INDEX IF NOT EXISTS idx_establishments_name_trgm
+ON establishments USING GIN (name gin_trgm_ops);
+
+-- =====================================================
+-- Step 6: Validation
+-- =====================================================
+
+-- Verify every establishment has a search vector
+SELECT
+    'search_vector coverage' AS summary,
+    COUNT(*) AS total,
+    COUNT(search_vector) AS with_vector
+FROM establishments;
+
+-- Verify indexes exist
+SELECT indexname, indexdef
+FROM pg_indexes
+WHERE tablename = 'establishments'
+AND indexname IN ('idx_establishments_search_vector', 'idx_establishments_name_trgm');
+
+COMMIT;
+
+-- =====================================================
+-- Post-Migration Notes
+-- =====================================================
+-- After this migration:
+--
+-- 1. Search endpoints accept q=<text>
+-- 2. Example query:
+--    SELECT name FROM establishments
+--    WHERE search_vector @@ (to_tsquery('russian', 'хинкал:*') || to_tsquery('simple', 'хинкал:*'))
+--       OR name % 'хинкали';
+-- 3. search_vector is maintained by trigger; application code never writes it
+--
+-- Rollback available: 010_rollback_search_vector.sql
+-- =====================================================
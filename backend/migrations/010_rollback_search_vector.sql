@@ -0,0 +1,32 @@
+-- =====================================================
+-- Rollback Migration 010: Remove Full-Text Search Vector
+-- =====================================================
+-- Drops the search_vector column, its trigger, functions and indexes.
+-- The pg_trgm extension is left installed since other objects may use it.
+--
+-- No source data is lost: search_vector is derived from name,
+-- description, categories and cuisines and can be rebuilt by
+-- re-running migration 010.
+-- =====================================================
+
+BEGIN;
+
+DROP TRIGGER IF EXISTS trg_establishments_search_vector ON establishments;
+DROP FUNCTION IF EXISTS establishments_search_vector_trigger();
+DROP FUNCTION IF EXISTS establishment_search_vector(TEXT, TEXT, TEXT[], TEXT[]);
+
+DROP INDEX IF EXISTS idx_establishments_search_vector;
+DROP INDEX IF EXISTS idx_establishments_name_trgm;
+
+ALTER TABLE establishments DROP COLUMN IF EXISTS search_vector;
+
+SELECT column_name
+FROM information_schema.columns
+WHERE table_name = 'establishments'
+AND column_name = 'search_vector';
+
+COMMIT;
+
+-- =====================================================
+-- Rollback Complete
+-- =====================================================
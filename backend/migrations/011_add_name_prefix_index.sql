@@ -0,0 +1,38 @@
+-- =====================================================
+-- Migration 011: Name Prefix Index for Suggestions
+-- =====================================================
+-- Purpose: Keep GET /api/v1/search/suggest fast enough to be called on
+-- every keystroke.
+--
+-- The suggest endpoint matches establishment names by prefix:
+--   lower(name) LIKE 'каф%'
+-- A plain B-tree index cannot serve LIKE under a non-C collation, so the
+-- index uses text_pattern_ops. It is partial on status = 'active' because
+-- only published establishments are ever suggested.
+--
+-- Impact: Non-breaking change. Index only.
+-- =====================================================
+
+BEGIN;
+
+CREATE INDEX IF NOT EXISTS idx_establishments_name_prefix
+ON establishments (lower(name) text_pattern_ops)
+WHERE status = 'active';
+
+-- Verify index exists
+SELECT indexname, indexdef
+FROM pg_indexes
+WHERE tablename = 'establishments'
+AND indexname = 'idx_establishments_name_prefix';
+
+COMMIT;
+
+-- =====================================================
+-- Post-Migration Notes
+-- =====================================================
+-- Verify the planner uses the index:
+--   EXPLAIN SELECT id, name FROM establishments
+--   WHERE status = 'active' AND lower(name) LIKE 'каф%';
+--
+-- Rollback available: 011_rollback_name_prefix_index.sql
+-- =====================================================
@@ -0,0 +1,15 @@
+-- =====================================================
+-- Rollback Migration 011: Remove Name Prefix Index
+-- =====================================================
+-- Suggestions keep working without the index, only slower.
+-- =====================================================
+
+BEGIN;
+
+DROP INDEX IF EXISTS idx_establishments_name_prefix;
+
+COMMIT;
+
+-- =====================================================
+-- Rollback Complete
+-- =====================================================
@@ -0,0 +1,44 @@
+-- =====================================================
+-- Migration 012: GIN Index on Establishment Attributes
+-- =====================================================
+-- Purpose: Support the features filter of /search/establishments and
+-- /search/map.
+--
+-- Partners store features (wifi, terrace, parking, ...) in the attributes
+-- JSONB column as attributes.features. Search requires every requested
+-- feature to be present and expresses it as a containment check:
+--   attributes @> '{"features": ["wifi", "terrace"]}'
+-- jsonb_path_ops is used because search only needs @>; it is smaller and
+-- faster than the default jsonb_ops operator class for that operator.
+--
+-- The average check filter (min_check/max_check) uses average_check_byn
+-- from migration 005 and needs no extra index: it is always combined with
+-- a spatial predicate that narrows candidates first.
+--
+-- Impact: Non-breaking change. Index only.
+-- =====================================================
+
+BEGIN;
+
+CREATE INDEX IF NOT EXISTS idx_establishments_attributes
+ON establishments USING GIN (attributes jsonb_path_ops);
+
+-- Verify index exists
+SELECT indexname, indexdef
+FROM pg_indexes
+WHERE tablename = 'establishments'
+AND indexname = 'idx_establishments_attributes';
+
+COMMIT;
+
+-- =====================================================
+-- Post-Migration Notes
+-- =====================================================
+-- Verify the planner can use the index:
+--   EXPLAIN SELECT id FROM establishments
+--   WHERE attributes @> '{"features": ["wifi"]}';
+--
+-- On small datasets the planner may still prefer a sequential scan.
+--
+-- Rollback available: 012_rollback_attributes_gin_index.sql
+-- =====================================================
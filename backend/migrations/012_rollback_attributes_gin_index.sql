@@ -0,0 +1,15 @@
+-- =====================================================
+-- Rollback Migration 012: Remove Attributes GIN Index
+-- =====================================================
+-- The features filter keeps working without the index, only slower.
+-- =====================================================
+
+BEGIN;
+
+DROP INDEX IF EXISTS idx_establishments_attributes;
+
+COMMIT;
+
+-- =====================================================
+-- Rollback Complete
+-- =====================================================
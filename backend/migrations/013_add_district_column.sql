@@ -0,0 +1,76 @@
+-- =====================================================
+-- Migration 013: Add District Column
+-- =====================================================
+-- Purpose: Support GET /api/v1/search/city/:city, the browse endpoint for
+-- users who deny location permission.
+--
+-- Changes:
+-- 1. district - Optional district/neighbourhood within the city
+--    (e.g. 'Центральный', 'Фрунзенский'). Free text set by partners,
+--    matched case-insensitively by search.
+-- 2. Partial index on (city, lower(district)) for active establishments,
+--    the exact predicate of the city browse endpoint.
+--
+-- Impact: Non-breaking change. Column is nullable, existing rows keep
+-- NULL until partners fill it in.
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- Step 1: Add district column
+-- =====================================================
+
+DO $$
+BEGIN
+    IF NOT EXISTS (
+        SELECT 1
+        FROM information_schema.columns
+        WHERE table_name = 'establishments'
+        AND column_name = 'district'
+    ) THEN
+        ALTER TABLE establishments
+        ADD COLUMN district VARCHAR(100);
+
+        RAISE NOTICE 'Added district column';
+    ELSE
+        RAISE NOTICE 'Column district already exists, skipping';
+    END IF;
+END $$;
+
+-- =====================================================
+-- Step 2: Index for city browse
+-- =====================================================
+
+CREATE INDEX IF NOT EXISTS idx_establishments_city_district
+ON establishments (city, lower(district))
+WHERE status = 'active';
+
+-- =====================================================
+-- Validation
+-- =====================================================
+
+SELECT column_name, data_type, character_maximum_length
+FROM information_schema.columns
+WHERE table_name = 'establishments'
+AND column_name = 'district';
+
+SELECT indexname, indexdef
+FROM pg_indexes
+WHERE tablename = 'establishments'
+AND indexname = 'idx_establishments_city_district';
+
+COMMIT;
+
+-- =====================================================
+-- Post-Migration Notes
+-- =====================================================
+-- Districts currently in use:
+--   SELECT city, district, COUNT(*)
+--   FROM establishments
+--   WHERE status = 'active' AND district IS NOT NULL
+--   GROUP BY city, district
+--   ORDER BY city, COUNT(*) DESC;
+--
+-- Rollback available: 013_rollback_district_column.sql
+-- =====================================================
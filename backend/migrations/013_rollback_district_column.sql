@@ -0,0 +1,22 @@
+-- =====================================================
+-- Rollback Migration 013: Remove District Column
+-- =====================================================
+-- WARNING: District values entered by partners are lost.
+-- =====================================================
+
+BEGIN;
+
+DROP INDEX IF EXISTS idx_establishments_city_district;
+
+ALTER TABLE establishments DROP COLUMN IF EXISTS district;
+
+SELECT column_name
+FROM information_schema.columns
+WHERE table_name = 'establishments'
+AND column_name = 'district';
+
+COMMIT;
+
+-- =====================================================
+-- Rollback Complete
+-- =====================================================
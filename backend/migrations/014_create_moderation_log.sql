@@ -0,0 +1,76 @@
+-- =====================================================
+-- Migration 014: Establishment Moderation Log
+-- =====================================================
+-- Purpose: Audit trail for establishment status transitions made through
+-- the moderation workflow.
+--
+-- Every transition is recorded:
+--   submit     draft     -> pending   (partner, or automatic re-moderation)
+--   approve    pending   -> active    (admin)
+--   reject     pending   -> draft     (admin, reason required)
+--   suspend    active    -> suspended (admin, reason required)
+--   reinstate  suspended -> active    (admin)
+--
+-- The partner reads the log of their establishment to see why it was
+-- rejected or suspended. establishments.moderation_notes keeps only the
+-- latest note; this table keeps the full history.
+--
+-- Impact: Non-breaking change. New table only.
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- Step 1: Create moderation log table
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS establishment_moderation_log (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    establishment_id UUID NOT NULL REFERENCES establishments(id) ON DELETE CASCADE,
+    action VARCHAR(20) NOT NULL
+        CHECK (action IN ('submit', 'approve', 'reject', 'suspend', 'reinstate')),
+    from_status VARCHAR(20) NOT NULL,
+    to_status VARCHAR(20) NOT NULL,
+    reason TEXT,
+    -- NULL when the transition was made by the system
+    actor_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    actor_role VARCHAR(20),
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    -- Rejections and suspensions must explain themselves to the partner
+    CONSTRAINT check_moderation_reason
+        CHECK (action NOT IN ('reject', 'suspend') OR (reason IS NOT NULL AND length(trim(reason)) > 0))
+);
+
+-- =====================================================
+-- Step 2: Indexes
+-- =====================================================
+
+-- History of one establishment, newest first
+CREATE INDEX IF NOT EXISTS idx_moderation_log_establishment
+ON establishment_moderation_log (establishment_id, created_at DESC);
+
+-- Moderation queue lists pending establishments oldest first
+CREATE INDEX IF NOT EXISTS idx_establishments_pending_queue
+ON establishments (updated_at)
+WHERE status = 'pending';
+
+-- =====================================================
+-- Validation
+-- =====================================================
+
+SELECT column_name, data_type, is_nullable
+FROM information_schema.columns
+WHERE table_name = 'establishment_moderation_log'
+ORDER BY ordinal_position;
+
+COMMIT;
+
+-- =====================================================
+-- Post-Migration Notes
+-- =====================================================
+-- Establishments already in 'pending' have no 'submit' entry; the queue
+-- falls back to updated_at as their submission time.
+--
+-- Rollback available: 014_rollback_moderation_log.sql
+-- =====================================================
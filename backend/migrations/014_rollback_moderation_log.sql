@@ -0,0 +1,21 @@
+-- =====================================================
+-- Rollback Migration 014: Remove Moderation Log
+-- =====================================================
+-- WARNING: The moderation history is lost. Current establishment status
+-- and moderation_notes are not affected.
+-- =====================================================
+
+BEGIN;
+
+DROP INDEX IF EXISTS idx_establishments_pending_queue;
+DROP TABLE IF EXISTS establishment_moderation_log;
+
+SELECT table_name
+FROM information_schema.tables
+WHERE table_name = 'establishment_moderation_log';
+
+COMMIT;
+
+-- =====================================================
+-- Rollback Complete
+-- =====================================================
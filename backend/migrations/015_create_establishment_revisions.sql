@@ -0,0 +1,116 @@
+-- =====================================================
+-- Migration 015: Establishment Revisions
+-- =====================================================
+-- Purpose: Let partners edit active establishments without taking them
+-- off the map.
+--
+-- Previously an edit to an active establishment either went live
+-- immediately or reset the whole listing to 'pending', hiding it from
+-- search until re-approved. Edits to active establishments are now stored
+-- as a pending revision; the approved version stays public until a
+-- moderator approves (changes applied atomically) or rejects the revision.
+--
+-- changes holds only the fields the partner changed, using the same keys
+-- as the update API (working_hours and attributes as JSON, categories and
+-- cuisines as arrays). Further edits while a revision is pending are
+-- merged into it, so there is at most one pending revision per
+-- establishment.
+--
+-- Revision decisions are recorded in establishment_moderation_log
+-- (migration 014) so partners see them in their moderation history.
+--
+-- Impact: Non-breaking change. New table, new log actions.
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- Step 1: Create revisions table
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS establishment_revisions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    establishment_id UUID NOT NULL REFERENCES establishments(id) ON DELETE CASCADE,
+    partner_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    changes JSONB NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'approved', 'rejected')),
+    reason TEXT,
+    reviewed_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    reviewed_at TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT check_revision_changes_object
+        CHECK (jsonb_typeof(changes) = 'object'),
+
+    CONSTRAINT check_revision_reject_reason
+        CHECK (status <> 'rejected' OR (reason IS NOT NULL AND length(trim(reason)) > 0))
+);
+
+-- =====================================================
+-- Step 2: Indexes
+-- =====================================================
+
+-- At most one pending revision per establishment; also the conflict
+-- target used to merge further edits into the pending revision
+CREATE UNIQUE INDEX IF NOT EXISTS idx_revisions_one_pending
+ON establishment_revisions (establishment_id)
+WHERE status = 'pending';
+
+-- Revision queue lists pending revisions oldest first
+CREATE INDEX IF NOT EXISTS idx_revisions_pending_queue
+ON establishment_revisions (created_at)
+WHERE status = 'pending';
+
+-- =====================================================
+-- Step 3: Record revision decisions in the moderation log
+-- =====================================================
+
+ALTER TABLE establishment_moderation_log
+ADD COLUMN IF NOT EXISTS revision_id UUID REFERENCES establishment_revisions(id) ON DELETE SET NULL;
+
+ALTER TABLE establishment_moderation_log
+DROP CONSTRAINT IF EXISTS establishment_moderation_log_action_check;
+
+ALTER TABLE establishment_moderation_log
+ADD CONSTRAINT establishment_moderation_log_action_check
+CHECK (action IN (
+    'submit', 'approve', 'reject', 'suspend', 'reinstate',
+    'revision_submit', 'revision_approve', 'revision_reject'
+));
+
+ALTER TABLE establishment_moderation_log
+DROP CONSTRAINT IF EXISTS check_moderation_reason;
+
+ALTER TABLE establishment_moderation_log
+ADD CONSTRAINT check_moderation_reason
+CHECK (
+    action NOT IN ('reject', 'suspend', 'revision_reject')
+    OR (reason IS NOT NULL AND length(trim(reason)) > 0)
+);
+
+-- =====================================================
+-- Validation
+-- =====================================================
+
+SELECT column_name, data_type, is_nullable
+FROM information_schema.columns
+WHERE table_name = 'establishment_revisions'
+ORDER BY ordinal_position;
+
+SELECT conname, pg_get_constraintdef(oid)
+FROM pg_constraint
+WHERE conrelid = 'establishment_moderation_log'::regclass
+AND contype = 'c';
+
+COMMIT;
+
+-- =====================================================
+-- Post-Migration Notes
+-- =====================================================
+-- Establishments that were reset to 'pending' by an edit before this
+-- migration stay in the establishment moderation queue as before.
+--
+-- Rollback available: 015_rollback_establishment_revisions.sql
+-- =====================================================
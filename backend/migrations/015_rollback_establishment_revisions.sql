@@ -0,0 +1,43 @@
+-- =====================================================
+-- Rollback Migration 015: Remove Establishment Revisions
+-- =====================================================
+-- WARNING: Pending revisions are lost; their changes were never applied
+-- to the establishments. Revision entries are removed from the moderation
+-- log so the original action constraint can be restored.
+-- =====================================================
+
+BEGIN;
+
+DELETE FROM establishment_moderation_log
+WHERE action IN ('revision_submit', 'revision_approve', 'revision_reject');
+
+ALTER TABLE establishment_moderation_log
+DROP CONSTRAINT IF EXISTS check_moderation_reason;
+
+ALTER TABLE establishment_moderation_log
+ADD CONSTRAINT check_moderation_reason
+CHECK (action NOT IN ('reject', 'suspend') OR (reason IS NOT NULL AND length(trim(reason)) > 0));
+
+ALTER TABLE establishment_moderation_log
+DROP CONSTRAINT IF EXISTS establishment_moderation_log_action_check;
+
+ALTER TABLE establishment_moderation_log
+ADD CONSTRAINT establishment_moderation_log_action_check
+CHECK (action IN ('submit', 'approve', 'reject', 'suspend', 'reinstate'));
+
+ALTER TABLE establishment_moderation_log
+DROP COLUMN IF EXISTS revision_id;
+
+DROP INDEX IF EXISTS idx_revisions_pending_queue;
+DROP INDEX IF EXISTS idx_revisions_one_pending;
+DROP TABLE IF EXISTS establishment_revisions;
+
+SELECT table_name
+FROM information_schema.tables
+WHERE table_name = 'establishment_revisions';
+
+COMMIT;
+
+-- =====================================================
+-- Rollback Complete
+-- =====================================================
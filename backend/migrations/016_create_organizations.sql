@@ -0,0 +1,82 @@
+-- =====================================================
+-- Migration 016: Partner Organizations (Chains)
+-- =====================================================
+-- Purpose: Group establishments of a chain (pizzerias, coffee chains)
+-- under one organization.
+--
+-- An organization belongs to a partner and holds the branding shared by
+-- its branches: name, logo, description and cuisines. Description and
+-- cuisines are copied to branches when they change, so search filters keep
+-- working on the establishments table; the logo is read from the
+-- organization.
+--
+-- Branches of one organization may share a name, which
+-- checkDuplicateName otherwise forbids for a partner.
+--
+-- Search can filter by organization and collapse results to the nearest
+-- branch of each organization.
+--
+-- Impact: Non-breaking change. New table and nullable column.
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- Step 1: Create organizations table
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS organizations (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    partner_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    name VARCHAR(255) NOT NULL,
+    description TEXT,
+    logo_url VARCHAR(500),
+    cuisines VARCHAR(50)[] NOT NULL DEFAULT '{}',
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT check_organization_cuisines_count
+        CHECK (array_length(cuisines, 1) IS NULL OR array_length(cuisines, 1) <= 3)
+);
+
+-- One organization name per partner
+CREATE UNIQUE INDEX IF NOT EXISTS idx_organizations_partner_name
+ON organizations (partner_id, lower(name));
+
+-- =====================================================
+-- Step 2: Link establishments to organizations
+-- =====================================================
+
+ALTER TABLE establishments
+ADD COLUMN IF NOT EXISTS organization_id UUID REFERENCES organizations(id) ON DELETE SET NULL;
+
+-- Branch lists and the organization search filter
+CREATE INDEX IF NOT EXISTS idx_establishments_organization
+ON establishments (organization_id)
+WHERE organization_id IS NOT NULL;
+
+-- =====================================================
+-- Validation
+-- =====================================================
+
+SELECT column_name, data_type, is_nullable
+FROM information_schema.columns
+WHERE table_name = 'organizations'
+ORDER BY ordinal_position;
+
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'establishments'
+AND column_name = 'organization_id';
+
+COMMIT;
+
+-- =====================================================
+-- Post-Migration Notes
+-- =====================================================
+-- Existing establishments are not part of any organization. Partners
+-- create organizations and attach branches through
+-- /api/v1/partner/organizations.
+--
+-- Rollback available: 016_rollback_organizations.sql
+-- =====================================================
@@ -0,0 +1,26 @@
+-- =====================================================
+-- Rollback Migration 016: Remove Partner Organizations
+-- =====================================================
+-- WARNING: Organizations and branch links are lost. Establishments keep
+-- the description and cuisines copied from their organization.
+-- =====================================================
+
+BEGIN;
+
+DROP INDEX IF EXISTS idx_establishments_organization;
+
+ALTER TABLE establishments
+DROP COLUMN IF EXISTS organization_id;
+
+DROP INDEX IF EXISTS idx_organizations_partner_name;
+DROP TABLE IF EXISTS organizations;
+
+SELECT table_name
+FROM information_schema.tables
+WHERE table_name = 'organizations';
+
+COMMIT;
+
+-- =====================================================
+-- Rollback Complete
+-- =====================================================
@@ -0,0 +1,99 @@
+-- =====================================================
+-- Migration 017: Establishment Team Members
+-- =====================================================
+-- Purpose: Let a partner share an establishment with a team instead of
+-- one shared login.
+--
+-- A row is created as a pending invitation addressed to an email or a
+-- phone number. When a user with that email/phone accepts it before
+-- expires_at, the row becomes an active membership bound to user_id.
+-- Revoking sets status 'revoked' and keeps the row for history.
+--
+-- Roles:
+-- - owner: everything, including team management
+-- - manager: edit, submit for moderation, media, review replies
+-- - content_editor: edit and media
+-- - review_responder: replies to reviews
+--
+-- The establishment's partner_id stays the implicit owner and is not
+-- stored here.
+--
+-- Impact: Non-breaking change. New table only.
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- Step 1: Create establishment_members table
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS establishment_members (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    establishment_id UUID NOT NULL REFERENCES establishments(id) ON DELETE CASCADE,
+    user_id UUID REFERENCES users(id) ON DELETE CASCADE,
+    role VARCHAR(30) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'pending',
+    invited_email VARCHAR(255),
+    invited_phone VARCHAR(20),
+    invited_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    expires_at TIMESTAMP NOT NULL,
+    accepted_at TIMESTAMP,
+    revoked_at TIMESTAMP,
+    revoked_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT check_member_role
+        CHECK (role IN ('owner', 'manager', 'content_editor', 'review_responder')),
+    CONSTRAINT check_member_status
+        CHECK (status IN ('pending', 'active', 'revoked', 'declined')),
+    -- Invitations go to exactly one contact
+    CONSTRAINT check_member_contact
+        CHECK ((invited_email IS NULL) <> (invited_phone IS NULL)),
+    -- Active memberships are bound to a user
+    CONSTRAINT check_member_user
+        CHECK (status <> 'active' OR user_id IS NOT NULL)
+);
+
+-- =====================================================
+-- Step 2: Indexes
+-- =====================================================
+
+-- One active membership per user and establishment
+CREATE UNIQUE INDEX IF NOT EXISTS idx_members_one_active
+ON establishment_members (establishment_id, user_id)
+WHERE status = 'active';
+
+-- Access checks: "is this user an active member of this establishment?"
+CREATE INDEX IF NOT EXISTS idx_members_user_active
+ON establishment_members (user_id, establishment_id)
+WHERE status = 'active';
+
+-- Invitations waiting for a user, looked up by contact
+CREATE INDEX IF NOT EXISTS idx_members_pending_email
+ON establishment_members (lower(invited_email))
+WHERE status = 'pending';
+
+CREATE INDEX IF NOT EXISTS idx_members_pending_phone
+ON establishment_members (invited_phone)
+WHERE status = 'pending';
+
+-- =====================================================
+-- Validation
+-- =====================================================
+
+SELECT column_name, data_type, is_nullable
+FROM information_schema.columns
+WHERE table_name = 'establishment_members'
+ORDER BY ordinal_position;
+
+COMMIT;
+
+-- =====================================================
+-- Post-Migration Notes
+-- =====================================================
+-- Expired invitations keep status 'pending'; expires_at decides whether
+-- they can still be accepted.
+--
+-- Rollback available: 017_rollback_establishment_members.sql
+-- =====================================================
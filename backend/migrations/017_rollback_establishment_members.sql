@@ -0,0 +1,24 @@
+-- =====================================================
+-- Rollback Migration 017: Remove Establishment Team Members
+-- =====================================================
+-- WARNING: All team memberships and invitations are lost. Only the
+-- establishment's partner keeps access.
+-- =====================================================
+
+BEGIN;
+
+DROP INDEX IF EXISTS idx_members_pending_phone;
+DROP INDEX IF EXISTS idx_members_pending_email;
+DROP INDEX IF EXISTS idx_members_user_active;
+DROP INDEX IF EXISTS idx_members_one_active;
+DROP TABLE IF EXISTS establishment_members;
+
+SELECT table_name
+FROM information_schema.tables
+WHERE table_name = 'establishment_members';
+
+COMMIT;
+
+-- =====================================================
+-- Rollback Complete
+-- =====================================================
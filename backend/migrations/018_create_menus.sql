@@ -0,0 +1,132 @@
+-- =====================================================
+-- Migration 018: Structured Menus
+-- =====================================================
+-- Purpose: Store menus as sections and dishes instead of only photos of
+-- type 'menu'.
+--
+-- A menu section ("Супы", "Горячее") belongs to an establishment and holds
+-- menu items. An item has a price in BYN, an optional portion size,
+-- allergens, dietary tags (vegetarian, vegan, halal) and an optional photo
+-- from establishment_media.
+--
+-- Items carry establishment_id as well as section_id so that the dish
+-- search filter can find establishments without joining sections.
+-- search_vector reuses the Russian + simple dictionary approach of
+-- migration 010.
+--
+-- Impact: Non-breaking change. New tables only.
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- Step 1: Create menu_sections table
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS menu_sections (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    establishment_id UUID NOT NULL REFERENCES establishments(id) ON DELETE CASCADE,
+    name VARCHAR(100) NOT NULL,
+    description TEXT,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+CREATE INDEX IF NOT EXISTS idx_menu_sections_establishment
+ON menu_sections (establishment_id, position);
+
+-- =====================================================
+-- Step 2: Create menu_items table
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS menu_items (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    section_id UUID NOT NULL REFERENCES menu_sections(id) ON DELETE CASCADE,
+    establishment_id UUID NOT NULL REFERENCES establishments(id) ON DELETE CASCADE,
+    name VARCHAR(150) NOT NULL,
+    description TEXT,
+    price NUMERIC(10, 2) NOT NULL,
+    portion_size NUMERIC(8, 1),
+    portion_unit VARCHAR(10),
+    allergens VARCHAR(30)[] NOT NULL DEFAULT '{}',
+    dietary_tags VARCHAR(20)[] NOT NULL DEFAULT '{}',
+    media_id UUID REFERENCES establishment_media(id) ON DELETE SET NULL,
+    is_available BOOLEAN NOT NULL DEFAULT true,
+    position INTEGER NOT NULL DEFAULT 0,
+    search_vector TSVECTOR,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT check_menu_item_price
+        CHECK (price >= 0),
+    CONSTRAINT check_menu_item_portion
+        CHECK (
+            (portion_size IS NULL AND portion_unit IS NULL)
+            OR (portion_size > 0 AND portion_unit IN ('g', 'ml', 'pcs'))
+        ),
+    CONSTRAINT check_menu_item_dietary_tags
+        CHECK (dietary_tags <@ ARRAY['vegetarian', 'vegan', 'halal']::VARCHAR(20)[])
+);
+
+CREATE INDEX IF NOT EXISTS idx_menu_items_section
+ON menu_items (section_id, position);
+
+CREATE INDEX IF NOT EXISTS idx_menu_items_establishment
+ON menu_items (establishment_id);
+
+-- =====================================================
+-- Step 3: Dish search vector
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION menu_items_search_vector_trigger()
+RETURNS TRIGGER AS $$
+BEGIN
+    NEW.search_vector :=
+        setweight(to_tsvector('russian', COALESCE(NEW.name, '')), 'A') ||
+        setweight(to_tsvector('simple', COALESCE(NEW.name, '')), 'A') ||
+        setweight(to_tsvector('russian', COALESCE(NEW.description, '')), 'C') ||
+        setweight(to_tsvector('simple', COALESCE(NEW.description, '')), 'C');
+    RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_menu_items_search_vector ON menu_items;
+
+CREATE TRIGGER trg_menu_items_search_vector
+BEFORE INSERT OR UPDATE OF name, description
+ON menu_items
+FOR EACH ROW
+EXECUTE FUNCTION menu_items_search_vector_trigger();
+
+CREATE INDEX IF NOT EXISTS idx_menu_items_search_vector
+ON menu_items USING GIN (search_vector);
+
+CREATE INDEX IF NOT EXISTS idx_menu_items_name_trgm
+ON menu_items USING GIN (name gin_trgm_ops);
+
+-- =====================================================
+-- Validation
+-- =====================================================
+
+SELECT table_name
+FROM information_schema.tables
+WHERE table_name IN ('menu_sections', 'menu_items');
+
+SELECT indexname
+FROM pg_indexes
+WHERE tablename = 'menu_items';
+
+COMMIT;
+
+-- =====================================================
+-- Post-Migration Notes
+-- =====================================================
+-- Menu photos (establishment_media type 'menu') are kept. Partners build
+-- structured menus through /api/v1/partner/establishments/:id/menu and
+-- the public reads them at /api/v1/establishments/:id/menu.
+--
+-- Search endpoints accept dish=<text>, e.g. dish=драники.
+--
+-- Rollback available: 018_rollback_menus.sql
+-- =====================================================
@@ -0,0 +1,24 @@
+-- =====================================================
+-- Rollback Migration 018: Remove Structured Menus
+-- =====================================================
+-- WARNING: All menu sections and items are lost. Menu photos in
+-- establishment_media are not affected.
+-- =====================================================
+
+BEGIN;
+
+DROP TRIGGER IF EXISTS trg_menu_items_search_vector ON menu_items;
+DROP FUNCTION IF EXISTS menu_items_search_vector_trigger();
+
+DROP TABLE IF EXISTS menu_items;
+DROP TABLE IF EXISTS menu_sections;
+
+SELECT table_name
+FROM information_schema.tables
+WHERE table_name IN ('menu_sections', 'menu_items');
+
+COMMIT;
+
+-- =====================================================
+-- Rollback Complete
+-- =====================================================
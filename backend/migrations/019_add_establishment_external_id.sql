@@ -0,0 +1,53 @@
+-- =====================================================
+-- Migration 019: Establishment External IDs
+-- =====================================================
+-- Purpose: Let bulk imports (CSV/JSON) upsert establishments.
+--
+-- external_id is the partner's own identifier for an establishment (POS
+-- location code, row ID in their spreadsheet). It is unique per partner,
+-- so re-running the same import updates the establishments it created
+-- instead of creating copies.
+--
+-- Impact: Non-breaking change. New nullable column and partial index.
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- Step 1: Add external_id column
+-- =====================================================
+
+ALTER TABLE establishments
+ADD COLUMN IF NOT EXISTS external_id VARCHAR(100);
+
+-- =====================================================
+-- Step 2: One external ID per partner
+-- =====================================================
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_establishments_partner_external_id
+ON establishments (partner_id, external_id)
+WHERE external_id IS NOT NULL;
+
+-- =====================================================
+-- Validation
+-- =====================================================
+
+SELECT column_name, data_type, is_nullable
+FROM information_schema.columns
+WHERE table_name = 'establishments'
+AND column_name = 'external_id';
+
+SELECT indexname, indexdef
+FROM pg_indexes
+WHERE indexname = 'idx_establishments_partner_external_id';
+
+COMMIT;
+
+-- =====================================================
+-- Post-Migration Notes
+-- =====================================================
+-- Existing establishments have no external ID. Importing a row whose
+-- external_id is unknown creates a new establishment.
+--
+-- Rollback available: 019_rollback_establishment_external_id.sql
+-- =====================================================
@@ -0,0 +1,24 @@
+-- =====================================================
+-- Rollback Migration 019: Remove Establishment External IDs
+-- =====================================================
+-- WARNING: External IDs are lost. Re-running an earlier import after
+-- this rollback creates duplicate establishments.
+-- =====================================================
+
+BEGIN;
+
+DROP INDEX IF EXISTS idx_establishments_partner_external_id;
+
+ALTER TABLE establishments
+DROP COLUMN IF EXISTS external_id;
+
+SELECT column_name
+FROM information_schema.columns
+WHERE table_name = 'establishments'
+AND column_name = 'external_id';
+
+COMMIT;
+
+-- =====================================================
+-- Rollback Complete
+-- =====================================================
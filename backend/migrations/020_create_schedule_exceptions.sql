@@ -0,0 +1,242 @@
+-- =====================================================
+-- Migration 020: Holidays and Temporary Closures
+-- =====================================================
+-- Purpose: Replace free-form special_hours editing with typed, date-ranged
+-- schedule exceptions and a shared national holiday calendar.
+--
+-- Changes:
+-- 1. public_holidays - national calendar of Belarus maintained by admins.
+--    Applies to every establishment that observes public holidays.
+--    hours NULL means closed; short days carry {"open", "close"}.
+-- 2. establishments.observes_public_holidays - partner opt-out from the
+--    national calendar (default true)
+-- 3. establishment_schedule_exceptions - partner exceptions for a date
+--    range: 'holiday' (own holiday schedule, overrides the national one),
+--    'closure' (temporarily closed, e.g. renovation), 'short_day'
+-- 4. establishment_schedule_overrides() - merges all of the above into a
+--    special_hours-style object keyed by YYYY-MM-DD
+-- 5. establishment_is_open_with_exceptions() - establishment_is_open()
+--    (migration 009) evaluated with the merged overrides
+--
+-- Precedence for a date, highest first:
+--   establishment exception > special_hours > public holiday > weekly hours
+--
+-- special_hours keeps working for existing data; new clients should use
+-- the exceptions API.
+--
+-- Impact: Non-breaking change. New tables, column with default, functions.
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- Step 1: National holiday calendar
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS public_holidays (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    holiday_date DATE NOT NULL,
+    name VARCHAR(150) NOT NULL,
+    type VARCHAR(20) NOT NULL DEFAULT 'holiday',
+    hours JSONB,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT uq_public_holidays_date UNIQUE (holiday_date),
+    CONSTRAINT check_public_holiday_type
+        CHECK (type IN ('holiday', 'short_day')),
+    CONSTRAINT check_public_holiday_hours
+        CHECK (hours IS NULL OR jsonb_typeof(hours) = 'object')
+);
+
+COMMENT ON TABLE public_holidays IS
+'National holiday calendar of Belarus. hours NULL = closed, otherwise {"open","close"}.';
+
+-- Public holidays of Belarus for 2026-2027. Radunitsa moves with
+-- Orthodox Easter (9 days after it).
+INSERT INTO public_holidays (holiday_date, name) VALUES
+    ('2026-01-01', 'Новый год'),
+    ('2026-01-02', 'Новый год'),
+    ('2026-01-07', 'Рождество Христово (православное)'),
+    ('2026-03-08', 'День женщин'),
+    ('2026-04-21', 'Радуница'),
+    ('2026-05-01', 'Праздник труда'),
+    ('2026-05-09', 'День Победы'),
+    ('2026-07-03', 'День Независимости'),
+    ('2026-11-07', 'День Октябрьской революции'),
+    ('2026-12-25', 'Рождество Христово (католическое)'),
+    ('2027-01-01', 'Новый год'),
+    ('2027-01-02', 'Новый год'),
+    ('2027-01-07', 'Рождество Христово (православное)'),
+    ('2027-03-08', 'День женщин'),
+    ('2027-05-01', 'Праздник труда'),
+    ('2027-05-09', 'День Победы'),
+    ('2027-05-11', 'Радуница'),
+    ('2027-07-03', 'День Независимости'),
+    ('2027-11-07', 'День Октябрьской революции'),
+    ('2027-12-25', 'Рождество Христово (католическое)')
+ON CONFLICT (holiday_date) DO NOTHING;
+
+-- =====================================================
+-- Step 2: Opt-out flag on establishments
+-- =====================================================
+
+ALTER TABLE establishments
+ADD COLUMN IF NOT EXISTS observes_public_holidays BOOLEAN NOT NULL DEFAULT true;
+
+-- =====================================================
+-- Step 3: Establishment schedule exceptions
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS establishment_schedule_exceptions (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    establishment_id UUID NOT NULL REFERENCES establishments(id) ON DELETE CASCADE,
+    type VARCHAR(20) NOT NULL,
+    start_date DATE NOT NULL,
+    end_date DATE NOT NULL,
+    hours JSONB,
+    note VARCHAR(500),
+    created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT check_schedule_exception_type
+        CHECK (type IN ('holiday', 'closure', 'short_day')),
+    CONSTRAINT check_schedule_exception_dates
+        CHECK (end_date >= start_date),
+    CONSTRAINT check_schedule_exception_hours
+        CHECK (
+            (type = 'closure' AND hours IS NULL)
+            OR (type = 'short_day' AND jsonb_typeof(hours) = 'object')
+            OR (type = 'holiday' AND (hours IS NULL OR jsonb_typeof(hours) = 'object'))
+        )
+);
+
+CREATE INDEX IF NOT EXISTS idx_schedule_exceptions_establishment
+ON establishment_schedule_exceptions (establishment_id, end_date);
+
+-- =====================================================
+-- Step 4: Merged date overrides
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION establishment_schedule_overrides(
+    est_id UUID,
+    observes_holidays BOOLEAN,
+    special JSONB,
+    from_date DATE,
+    to_date DATE
+)
+RETURNS JSONB AS $$
+    -- jsonb_object_agg keeps the last value of a duplicate key, so rows are
+    -- aggregated from the lowest to the highest precedence
+    SELECT COALESCE(jsonb_object_agg(o.day_key, o.day_value ORDER BY o.precedence), '{}'::jsonb)
+    FROM (
+        SELECT
+            to_char(h.holiday_date, 'YYYY-MM-DD') AS day_key,
+            COALESCE(h.hours, '{"closed": true}'::jsonb) AS day_value,
+            1 AS precedence
+        FROM public_holidays h
+        WHERE observes_holidays
+          AND h.holiday_date BETWEEN from_date AND to_date
+
+        UNION ALL
+
+        SELECT s.key, s.value, 2
+        FROM jsonb_each(
+            CASE WHEN jsonb_typeof(special) = 'object' THEN special ELSE '{}'::jsonb END
+        ) s
+
+        UNION ALL
+
+        SELECT
+            to_char(d.day, 'YYYY-MM-DD'),
+            COALESCE(x.hours, '{"closed": true}'::jsonb),
+            3
+        FROM establishment_schedule_exceptions x
+        CROSS JOIN LATERAL generate_series(
+            GREATEST(x.start_date, from_date),
+            LEAST(x.end_date, to_date),
+            INTERVAL '1 day'
+        ) AS d(day)
+        WHERE x.establishment_id = est_id
+          AND x.start_date <= to_date
+          AND x.end_date >= from_date
+    ) o;
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON FUNCTION establishment_schedule_overrides IS
+'Date overrides of an establishment between two dates, merged from public holidays, special_hours and schedule exceptions. Same format as special_hours.';
+
+-- =====================================================
+-- Step 5: Open-at-moment resolver with exceptions
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION establishment_is_open_with_exceptions(
+    est_id UUID,
+    hours JSONB,
+    special JSONB,
+    always_open BOOLEAN,
+    observes_holidays BOOLEAN,
+    at_time TIMESTAMPTZ
+)
+RETURNS BOOLEAN AS $$
+    -- establishment_is_open only looks at today and yesterday (overnight ranges)
+    SELECT establishment_is_open(
+        hours,
+        establishment_schedule_overrides(
+            est_id,
+            observes_holidays,
+            special,
+            (at_time AT TIME ZONE 'Europe/Minsk')::DATE - 1,
+            (at_time AT TIME ZONE 'Europe/Minsk')::DATE
+        ),
+        always_open,
+        at_time
+    );
+$$ LANGUAGE sql STABLE;
+
+COMMENT ON FUNCTION establishment_is_open_with_exceptions IS
+'establishment_is_open() honouring public holidays, temporary closures and shortened days.';
+
+-- =====================================================
+-- Step 6: Validation
+-- =====================================================
+
+SELECT table_name
+FROM information_schema.tables
+WHERE table_name IN ('public_holidays', 'establishment_schedule_exceptions');
+
+SELECT column_name, data_type, column_default
+FROM information_schema.columns
+WHERE table_name = 'establishments' AND column_name = 'observes_public_holidays';
+
+SELECT
+    proname AS function_name,
+    pg_get_function_identity_arguments(oid) AS arguments
+FROM pg_proc
+WHERE proname IN ('establishment_schedule_overrides', 'establishment_is_open_with_exceptions');
+
+SELECT
+    'Holiday calendar' AS summary,
+    COUNT(*) AS holidays,
+    MIN(holiday_date) AS first_date,
+    MAX(holiday_date) AS last_date
+FROM public_holidays;
+
+COMMIT;
+
+-- =====================================================
+-- Post-Migration Notes
+-- =====================================================
+-- After this migration:
+--
+-- 1. Search open_now / open_at filter uses
+--    establishment_is_open_with_exceptions(e.id, e.working_hours,
+--    e.special_hours, e.is_24_hours, e.observes_public_holidays, $n)
+-- 2. Responses compute is_open / opens_at from
+--    establishment_schedule_overrides() (see src/utils/workingHours.js)
+-- 3. Add next year's holidays (Radunitsa date changes) via
+--    POST /api/v1/admin/holidays before the year starts
+--
+-- Rollback available: 020_rollback_schedule_exceptions.sql
+-- =====================================================
@@ -0,0 +1,28 @@
+-- =====================================================
+-- Rollback Migration 020: Remove Holidays and Temporary Closures
+-- =====================================================
+-- WARNING: The holiday calendar and all schedule exceptions are lost.
+-- special_hours of establishments is not affected.
+-- =====================================================
+
+BEGIN;
+
+DROP FUNCTION IF EXISTS establishment_is_open_with_exceptions(UUID, JSONB, JSONB, BOOLEAN, BOOLEAN, TIMESTAMPTZ);
+DROP FUNCTION IF EXISTS establishment_schedule_overrides(UUID, BOOLEAN, JSONB, DATE, DATE);
+
+DROP TABLE IF EXISTS establishment_schedule_exceptions;
+
+ALTER TABLE establishments
+DROP COLUMN IF EXISTS observes_public_holidays;
+
+DROP TABLE IF EXISTS public_holidays;
+
+SELECT table_name
+FROM information_schema.tables
+WHERE table_name IN ('public_holidays', 'establishment_schedule_exceptions');
+
+COMMIT;
+
+-- =====================================================
+-- Rollback Complete
+-- =====================================================
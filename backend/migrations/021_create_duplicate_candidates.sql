@@ -0,0 +1,157 @@
+-- =====================================================
+-- Migration 021: Duplicate Establishment Detection
+-- =====================================================
+-- Purpose: Find the same physical establishment registered twice (by two
+-- partners, or by a partner and a seed script) and let admins merge the
+-- records.
+--
+-- Changes:
+-- 1. normalize_phone() / normalize_website() - comparable forms of contact
+--    fields ("+375 (29) 123-45-67" → "375291234567",
+--    "https://www.cafe.by/" → "cafe.by") with expression indexes
+-- 2. establishment_duplicate_candidates - pairs flagged by the detector
+--    (services/duplicateService.js) for moderators: 'open' until an admin
+--    dismisses the pair or merges the establishments
+-- 3. establishments.merged_into_id / merged_at - a merged establishment
+--    is suspended and points to the record that was kept
+-- 4. 'merge' moderation log action
+--
+-- Impact: Non-breaking change. New table, nullable columns, functions.
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- Step 1: Contact normalization
+-- =====================================================
+
+CREATE OR REPLACE FUNCTION normalize_phone(phone TEXT)
+RETURNS TEXT AS $$
+    SELECT NULLIF(regexp_replace(COALESCE(phone, ''), '\D', '', 'g'), '');
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE OR REPLACE FUNCTION normalize_website(website TEXT)
+RETURNS TEXT AS $$
+    SELECT NULLIF(
+        regexp_replace(
+            regexp_replace(lower(trim(COALESCE(website, ''))), '^[a-z]+://(www\.)?', ''),
+            '/+$',
+            ''
+        ),
+        ''
+    );
+$$ LANGUAGE sql IMMUTABLE;
+
+CREATE INDEX IF NOT EXISTS idx_establishments_normalized_phone
+ON establishments (normalize_phone(phone))
+WHERE phone IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_establishments_normalized_website
+ON establishments (normalize_website(website))
+WHERE website IS NOT NULL;
+
+-- =====================================================
+-- Step 2: Merge tracking on establishments
+-- =====================================================
+
+ALTER TABLE establishments
+ADD COLUMN IF NOT EXISTS merged_into_id UUID REFERENCES establishments(id) ON DELETE SET NULL;
+
+ALTER TABLE establishments
+ADD COLUMN IF NOT EXISTS merged_at TIMESTAMP;
+
+-- =====================================================
+-- Step 3: Duplicate candidates
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS establishment_duplicate_candidates (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    establishment_id UUID NOT NULL REFERENCES establishments(id) ON DELETE CASCADE,
+    duplicate_of_id UUID NOT NULL REFERENCES establishments(id) ON DELETE CASCADE,
+    score NUMERIC(4,3) NOT NULL,
+    name_similarity NUMERIC(4,3) NOT NULL,
+    distance_m NUMERIC(10,1),
+    phone_match BOOLEAN NOT NULL DEFAULT false,
+    website_match BOOLEAN NOT NULL DEFAULT false,
+    detected_on VARCHAR(20) NOT NULL,
+    status VARCHAR(20) NOT NULL DEFAULT 'open',
+    resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    resolved_at TIMESTAMP,
+    resolution_note VARCHAR(1000),
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT check_duplicate_not_self
+        CHECK (establishment_id <> duplicate_of_id),
+    CONSTRAINT check_duplicate_detected_on
+        CHECK (detected_on IN ('create', 'submit')),
+    CONSTRAINT check_duplicate_status
+        CHECK (status IN ('open', 'dismissed', 'merged'))
+);
+
+COMMENT ON TABLE establishment_duplicate_candidates IS
+'Possible duplicate establishments. establishment_id is the record that was checked, duplicate_of_id the existing match.';
+
+-- One row per pair regardless of which side was checked, so a dismissed
+-- pair is not flagged again
+CREATE UNIQUE INDEX IF NOT EXISTS idx_duplicate_candidates_pair
+ON establishment_duplicate_candidates (
+    LEAST(establishment_id, duplicate_of_id),
+    GREATEST(establishment_id, duplicate_of_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_duplicate_candidates_open
+ON establishment_duplicate_candidates (created_at)
+WHERE status = 'open';
+
+CREATE INDEX IF NOT EXISTS idx_duplicate_candidates_duplicate_of
+ON establishment_duplicate_candidates (duplicate_of_id);
+
+-- =====================================================
+-- Step 4: Merge action in the moderation log
+-- =====================================================
+
+ALTER TABLE establishment_moderation_log
+DROP CONSTRAINT IF EXISTS establishment_moderation_log_action_check;
+
+ALTER TABLE establishment_moderation_log
+ADD CONSTRAINT establishment_moderation_log_action_check
+CHECK (action IN (
+    'submit', 'approve', 'reject', 'suspend', 'reinstate',
+    'revision_submit', 'revision_approve', 'revision_reject',
+    'merge'
+));
+
+-- =====================================================
+-- Step 5: Validation
+-- =====================================================
+
+SELECT column_name, data_type, is_nullable
+FROM information_schema.columns
+WHERE table_name = 'establishment_duplicate_candidates'
+ORDER BY ordinal_position;
+
+SELECT column_name, data_type
+FROM information_schema.columns
+WHERE table_name = 'establishments'
+  AND column_name IN ('merged_into_id', 'merged_at');
+
+SELECT
+    normalize_phone('+375 (29) 123-45-67') AS phone_example,
+    normalize_website('https://www.Cafe.by/') AS website_example;
+
+COMMIT;
+
+-- =====================================================
+-- Post-Migration Notes
+-- =====================================================
+-- After this migration:
+--
+-- 1. Existing establishments are not scanned. Candidates appear when an
+--    establishment is created or submitted for moderation.
+-- 2. Review candidates at GET /api/v1/admin/moderation/duplicates
+-- 3. Merging moves reviews, favorites and media to the kept record and
+--    suspends the other one (merged_into_id is set)
+--
+-- Rollback available: 021_rollback_duplicate_candidates.sql
+-- =====================================================
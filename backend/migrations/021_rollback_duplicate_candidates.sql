@@ -0,0 +1,46 @@
+-- =====================================================
+-- Rollback Migration 021: Remove Duplicate Establishment Detection
+-- =====================================================
+-- WARNING: Duplicate candidates and merge links are lost. Reviews,
+-- favorites and media moved by merges stay on the kept establishments;
+-- merged establishments stay suspended.
+-- =====================================================
+
+BEGIN;
+
+DELETE FROM establishment_moderation_log
+WHERE action = 'merge';
+
+ALTER TABLE establishment_moderation_log
+DROP CONSTRAINT IF EXISTS establishment_moderation_log_action_check;
+
+ALTER TABLE establishment_moderation_log
+ADD CONSTRAINT establishment_moderation_log_action_check
+CHECK (action IN (
+    'submit', 'approve', 'reject', 'suspend', 'reinstate',
+    'revision_submit', 'revision_approve', 'revision_reject'
+));
+
+DROP TABLE IF EXISTS establishment_duplicate_candidates;
+
+ALTER TABLE establishments
+DROP COLUMN IF EXISTS merged_at;
+
+ALTER TABLE establishments
+DROP COLUMN IF EXISTS merged_into_id;
+
+DROP INDEX IF EXISTS idx_establishments_normalized_website;
+DROP INDEX IF EXISTS idx_establishments_normalized_phone;
+
+DROP FUNCTION IF EXISTS normalize_website(TEXT);
+DROP FUNCTION IF EXISTS normalize_phone(TEXT);
+
+SELECT table_name
+FROM information_schema.tables
+WHERE table_name = 'establishment_duplicate_candidates';
+
+COMMIT;
+
+-- =====================================================
+-- Rollback Complete
+-- =====================================================
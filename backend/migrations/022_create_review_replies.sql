@@ -0,0 +1,103 @@
+-- =====================================================
+-- Migration 022: Partner Replies to Reviews and Notifications
+-- =====================================================
+-- Purpose: Let an establishment answer its reviews publicly and tell the
+-- reviewer about the answer.
+--
+-- Changes:
+-- 1. review_replies - one reply per review, written by the partner or a
+--    team member with the reply permission. Replies have their own
+--    moderation state: 'published' (shown under the review) or 'hidden'
+--    (removed by an admin, with a reason).
+-- 2. notifications - per-user notification entries. The first type is
+--    'review_reply', created for the reviewer when a reply is posted.
+--
+-- Impact: Non-breaking change. New tables only.
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- Step 1: Review replies
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS review_replies (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    review_id UUID NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+    establishment_id UUID NOT NULL REFERENCES establishments(id) ON DELETE CASCADE,
+    author_id UUID REFERENCES users(id) ON DELETE SET NULL,
+    content TEXT NOT NULL,
+    is_edited BOOLEAN NOT NULL DEFAULT false,
+    status VARCHAR(20) NOT NULL DEFAULT 'published',
+    moderation_reason VARCHAR(1000),
+    moderated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    moderated_at TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT uq_review_replies_review UNIQUE (review_id),
+    CONSTRAINT check_review_reply_content_length
+        CHECK (length(content) >= 2 AND length(content) <= 1000),
+    CONSTRAINT check_review_reply_status
+        CHECK (status IN ('published', 'hidden'))
+);
+
+COMMENT ON TABLE review_replies IS
+'Public reply of an establishment to a review. One per review; hidden replies are not shown.';
+
+CREATE INDEX IF NOT EXISTS idx_review_replies_establishment
+ON review_replies (establishment_id);
+
+CREATE INDEX IF NOT EXISTS idx_review_replies_status_created
+ON review_replies (status, created_at DESC);
+
+-- =====================================================
+-- Step 2: Notifications
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS notifications (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    type VARCHAR(50) NOT NULL,
+    payload JSONB NOT NULL DEFAULT '{}',
+    read_at TIMESTAMP,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT check_notification_type
+        CHECK (type IN ('review_reply'))
+);
+
+COMMENT ON TABLE notifications IS
+'Notification entries of a user. payload holds the IDs and names the client needs to render the type.';
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user_created
+ON notifications (user_id, created_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_notifications_user_unread
+ON notifications (user_id)
+WHERE read_at IS NULL;
+
+-- =====================================================
+-- Step 3: Validation
+-- =====================================================
+
+SELECT table_name, column_name, data_type, is_nullable
+FROM information_schema.columns
+WHERE table_name IN ('review_replies', 'notifications')
+ORDER BY table_name, ordinal_position;
+
+COMMIT;
+
+-- =====================================================
+-- Post-Migration Notes
+-- =====================================================
+-- After this migration:
+--
+-- 1. Partners reply at PUT /api/v1/partner/establishments/:id/reviews/:reviewId/reply
+-- 2. Published replies are nested under reviews in
+--    GET /api/v1/establishments/:id/reviews and the user's review list
+-- 3. Admins hide and restore replies at /api/v1/admin/moderation/review-replies
+-- 4. Users read notifications at GET /api/v1/notifications
+--
+-- Rollback available: 022_rollback_review_replies.sql
+-- =====================================================
@@ -0,0 +1,20 @@
+-- =====================================================
+-- Rollback Migration 022: Remove Review Replies and Notifications
+-- =====================================================
+-- WARNING: All review replies and notifications are lost.
+-- =====================================================
+
+BEGIN;
+
+DROP TABLE IF EXISTS notifications;
+DROP TABLE IF EXISTS review_replies;
+
+SELECT table_name
+FROM information_schema.tables
+WHERE table_name IN ('review_replies', 'notifications');
+
+COMMIT;
+
+-- =====================================================
+-- Rollback Complete
+-- =====================================================
@@ -0,0 +1,101 @@
+-- =====================================================
+-- Migration 023: Review Reports and Review Moderation
+-- =====================================================
+-- Purpose: Let users report abusive or fake reviews and let admins act on
+-- them.
+--
+-- Changes:
+-- 1. reviews.moderation_status - moderation state of a review:
+--      published  shown publicly, counted in the establishment aggregates
+--      pending    hidden automatically after enough reports, waiting for
+--                 an admin
+--      hidden     hidden by an admin, with a reason
+--    Only published reviews are listed and counted. is_visible (schema
+--    v2.0) is kept in sync for older readers.
+-- 2. review_reports - one report per user per review, with a reason.
+--    Reports stay open until an admin hides or restores the review.
+--
+-- Impact: Non-breaking change. Existing reviews start as 'published'
+-- unless they were already invisible.
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- Step 1: Moderation state of reviews
+-- =====================================================
+
+ALTER TABLE reviews
+ADD COLUMN IF NOT EXISTS moderation_status VARCHAR(20) NOT NULL DEFAULT 'published',
+ADD COLUMN IF NOT EXISTS moderation_reason VARCHAR(1000),
+ADD COLUMN IF NOT EXISTS moderated_by UUID REFERENCES users(id) ON DELETE SET NULL,
+ADD COLUMN IF NOT EXISTS moderated_at TIMESTAMP;
+
+ALTER TABLE reviews
+ADD CONSTRAINT check_review_moderation_status
+CHECK (moderation_status IN ('published', 'pending', 'hidden'));
+
+UPDATE reviews
+SET moderation_status = 'hidden'
+WHERE is_visible = false;
+
+COMMENT ON COLUMN reviews.moderation_status IS
+'published: public and counted in aggregates; pending: auto-hidden by reports; hidden: hidden by an admin.';
+
+-- Moderation queue by state
+CREATE INDEX IF NOT EXISTS idx_reviews_moderation_status
+ON reviews (moderation_status)
+WHERE moderation_status != 'published' AND is_deleted = false;
+
+-- =====================================================
+-- Step 2: Review reports
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS review_reports (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    review_id UUID NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    reason VARCHAR(30) NOT NULL,
+    comment VARCHAR(500),
+    -- Set when an admin hides or restores the review
+    resolved_at TIMESTAMP,
+    resolved_by UUID REFERENCES users(id) ON DELETE SET NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT uq_review_reports_review_user UNIQUE (review_id, user_id),
+    CONSTRAINT check_review_report_reason
+        CHECK (reason IN ('spam', 'offensive', 'not_a_real_visit', 'conflict_of_interest'))
+);
+
+COMMENT ON TABLE review_reports IS
+'User reports of reviews. Open reports (resolved_at IS NULL) count toward the auto-hide threshold.';
+
+CREATE INDEX IF NOT EXISTS idx_review_reports_open
+ON review_reports (review_id)
+WHERE resolved_at IS NULL;
+
+-- =====================================================
+-- Step 3: Validation
+-- =====================================================
+
+SELECT column_name, data_type, is_nullable, column_default
+FROM information_schema.columns
+WHERE (table_name = 'reviews' AND column_name LIKE 'moderat%')
+   OR table_name = 'review_reports'
+ORDER BY table_name, ordinal_position;
+
+COMMIT;
+
+-- =====================================================
+-- Post-Migration Notes
+-- =====================================================
+-- After this migration:
+--
+-- 1. Users report at POST /api/v1/reviews/:id/report
+-- 2. A review with REVIEW_REPORT_THRESHOLD open reports (default 3)
+--    becomes 'pending' and leaves lists and aggregates
+-- 3. Admins hide, restore and delete reviews at
+--    /api/v1/admin/moderation/reviews
+--
+-- Rollback available: 023_rollback_review_reports.sql
+-- =====================================================
@@ -0,0 +1,31 @@
+-- =====================================================
+-- Rollback Migration 023: Remove Review Reports and Review Moderation
+-- =====================================================
+-- WARNING: All review reports are lost. Reviews hidden by moderation keep
+-- is_visible = false; establishment aggregates should be recalculated.
+-- =====================================================
+
+BEGIN;
+
+DROP TABLE IF EXISTS review_reports;
+
+DROP INDEX IF EXISTS idx_reviews_moderation_status;
+
+ALTER TABLE reviews
+DROP CONSTRAINT IF EXISTS check_review_moderation_status;
+
+ALTER TABLE reviews
+DROP COLUMN IF EXISTS moderated_at,
+DROP COLUMN IF EXISTS moderated_by,
+DROP COLUMN IF EXISTS moderation_reason,
+DROP COLUMN IF EXISTS moderation_status;
+
+SELECT column_name
+FROM information_schema.columns
+WHERE table_name = 'reviews' AND column_name LIKE 'moderat%';
+
+COMMIT;
+
+-- =====================================================
+-- Rollback Complete
+-- =====================================================
@@ -0,0 +1,74 @@
+-- =====================================================
+-- Migration 024: Review Photos
+-- =====================================================
+-- Purpose: Let reviewers attach photos of their visit (the dish they ate,
+-- the room) to a review.
+--
+-- Changes:
+-- 1. review_photos - photos of a review, hosted on Cloudinary in three
+--    resolutions like establishment_media. public_id is stored so the file
+--    can be removed when the photo or the review is deleted.
+--
+-- Review photos are kept apart from establishment_media: partners manage
+-- their own gallery, visitors' photos form a separate "photos from
+-- visitors" gallery.
+--
+-- Impact: Non-breaking change. New table only.
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- Step 1: Review photos
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS review_photos (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    review_id UUID NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+    establishment_id UUID NOT NULL REFERENCES establishments(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    public_id VARCHAR(255) NOT NULL,
+    url VARCHAR(500) NOT NULL,
+    preview_url VARCHAR(500) NOT NULL,
+    thumbnail_url VARCHAR(500) NOT NULL,
+    position INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+COMMENT ON TABLE review_photos IS
+'Photos attached to reviews by their authors. Shown with the review and in the visitor gallery of the establishment.';
+
+-- Photos of one review in order
+CREATE INDEX IF NOT EXISTS idx_review_photos_review
+ON review_photos (review_id, position);
+
+-- Visitor gallery of an establishment, newest first
+CREATE INDEX IF NOT EXISTS idx_review_photos_establishment_created
+ON review_photos (establishment_id, created_at DESC);
+
+-- =====================================================
+-- Step 2: Validation
+-- =====================================================
+
+SELECT column_name, data_type, is_nullable
+FROM information_schema.columns
+WHERE table_name = 'review_photos'
+ORDER BY ordinal_position;
+
+COMMIT;
+
+-- =====================================================
+-- Post-Migration Notes
+-- =====================================================
+-- After this migration:
+--
+-- 1. Authors upload photos at POST /api/v1/reviews/:id/photos
+-- 2. Review lists and GET /api/v1/reviews/:id include the photos
+-- 3. GET /api/v1/establishments/:id/visitor-photos lists photos of
+--    published reviews
+--
+-- Rows are removed with the review (ON DELETE CASCADE); the service layer
+-- removes the Cloudinary files first.
+--
+-- Rollback available: 024_rollback_review_photos.sql
+-- =====================================================
@@ -0,0 +1,20 @@
+-- =====================================================
+-- Rollback Migration 024: Remove Review Photos
+-- =====================================================
+-- WARNING: All review photo records are lost. The files stay on Cloudinary
+-- under establishments/{id}/reviews and must be removed separately.
+-- =====================================================
+
+BEGIN;
+
+DROP TABLE IF EXISTS review_photos;
+
+SELECT table_name
+FROM information_schema.tables
+WHERE table_name = 'review_photos';
+
+COMMIT;
+
+-- =====================================================
+-- Rollback Complete
+-- =====================================================
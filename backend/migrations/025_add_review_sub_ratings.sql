@@ -0,0 +1,81 @@
+-- =====================================================
+-- Migration 025: Review Sub-Ratings
+-- =====================================================
+-- Purpose: Let reviewers rate food, service, atmosphere and value
+-- separately, next to the overall rating.
+--
+-- Changes:
+-- 1. reviews.food_rating, service_rating, atmosphere_rating, value_rating -
+--    optional 1-5 ratings per dimension. NULL when the reviewer skipped it.
+-- 2. establishments.average_food_rating, ... - per-dimension averages of
+--    the published reviews that rated the dimension, maintained with
+--    average_rating by updateEstablishmentAggregates (reviewModel.js).
+--
+-- Impact: Non-breaking change. Existing reviews have no sub-ratings, so
+-- the new averages start as NULL.
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- Step 1: Sub-ratings of reviews
+-- =====================================================
+
+ALTER TABLE reviews
+ADD COLUMN IF NOT EXISTS food_rating SMALLINT,
+ADD COLUMN IF NOT EXISTS service_rating SMALLINT,
+ADD COLUMN IF NOT EXISTS atmosphere_rating SMALLINT,
+ADD COLUMN IF NOT EXISTS value_rating SMALLINT;
+
+ALTER TABLE reviews
+ADD CONSTRAINT check_review_sub_ratings
+CHECK (
+    (food_rating IS NULL OR food_rating BETWEEN 1 AND 5)
+    AND (service_rating IS NULL OR service_rating BETWEEN 1 AND 5)
+    AND (atmosphere_rating IS NULL OR atmosphere_rating BETWEEN 1 AND 5)
+    AND (value_rating IS NULL OR value_rating BETWEEN 1 AND 5)
+);
+
+COMMENT ON COLUMN reviews.food_rating IS
+'Optional 1-5 rating of the food. service_rating, atmosphere_rating and value_rating work the same way.';
+
+-- =====================================================
+-- Step 2: Per-dimension averages of establishments
+-- =====================================================
+
+ALTER TABLE establishments
+ADD COLUMN IF NOT EXISTS average_food_rating DECIMAL(3,2),
+ADD COLUMN IF NOT EXISTS average_service_rating DECIMAL(3,2),
+ADD COLUMN IF NOT EXISTS average_atmosphere_rating DECIMAL(3,2),
+ADD COLUMN IF NOT EXISTS average_value_rating DECIMAL(3,2);
+
+COMMENT ON COLUMN establishments.average_food_rating IS
+'Average food_rating of published reviews, NULL without any. Same for service, atmosphere and value.';
+
+-- =====================================================
+-- Step 3: Validation
+-- =====================================================
+
+SELECT table_name, column_name, data_type
+FROM information_schema.columns
+WHERE (table_name = 'reviews' AND column_name LIKE '%\_rating')
+   OR (table_name = 'establishments' AND column_name LIKE 'average\_%')
+ORDER BY table_name, column_name;
+
+COMMIT;
+
+-- =====================================================
+-- Post-Migration Notes
+-- =====================================================
+-- After this migration:
+--
+-- 1. POST /api/v1/reviews and PUT /api/v1/reviews/:id accept foodRating,
+--    serviceRating, atmosphereRating and valueRating
+-- 2. Search results and the public establishment card return
+--    average_food_rating, average_service_rating, average_atmosphere_rating
+--    and average_value_rating
+-- 3. Search filters minFoodRating, minServiceRating, minAtmosphereRating
+--    and minValueRating work like minRating
+--
+-- Rollback available: 025_rollback_review_sub_ratings.sql
+-- =====================================================
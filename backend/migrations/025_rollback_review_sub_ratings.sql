@@ -0,0 +1,33 @@
+-- =====================================================
+-- Rollback Migration 025: Remove Review Sub-Ratings
+-- =====================================================
+-- WARNING: All food, service, atmosphere and value ratings are lost.
+-- =====================================================
+
+BEGIN;
+
+ALTER TABLE establishments
+DROP COLUMN IF EXISTS average_value_rating,
+DROP COLUMN IF EXISTS average_atmosphere_rating,
+DROP COLUMN IF EXISTS average_service_rating,
+DROP COLUMN IF EXISTS average_food_rating;
+
+ALTER TABLE reviews
+DROP CONSTRAINT IF EXISTS check_review_sub_ratings;
+
+ALTER TABLE reviews
+DROP COLUMN IF EXISTS value_rating,
+DROP COLUMN IF EXISTS atmosphere_rating,
+DROP COLUMN IF EXISTS service_rating,
+DROP COLUMN IF EXISTS food_rating;
+
+SELECT column_name
+FROM information_schema.columns
+WHERE table_name IN ('reviews', 'establishments')
+  AND column_name IN ('food_rating', 'average_food_rating');
+
+COMMIT;
+
+-- =====================================================
+-- Rollback Complete
+-- =====================================================
@@ -0,0 +1,81 @@
+-- =====================================================
+-- Migration 026: Helpful Votes on Reviews
+-- =====================================================
+-- Purpose: Let users mark reviews as helpful or not helpful and rank
+-- reviews by helpfulness.
+--
+-- Changes:
+-- 1. review_votes - one vote per user per review, helpful or not.
+--    Changing the vote updates the row; removing it deletes the row.
+-- 2. reviews.helpful_count, reviews.not_helpful_count - vote counters,
+--    updated in the same transaction as review_votes. After each commit
+--    they are also written to Redis for reads (see reviewVoteService.js).
+--
+-- Reviews are ranked by the Wilson score lower bound of these counters
+-- (sort=most_helpful), computed at query time.
+--
+-- Impact: Non-breaking change. Existing reviews start with no votes.
+-- =====================================================
+
+BEGIN;
+
+-- =====================================================
+-- Step 1: Vote counters of reviews
+-- =====================================================
+
+ALTER TABLE reviews
+ADD COLUMN IF NOT EXISTS helpful_count INTEGER NOT NULL DEFAULT 0,
+ADD COLUMN IF NOT EXISTS not_helpful_count INTEGER NOT NULL DEFAULT 0;
+
+ALTER TABLE reviews
+DROP CONSTRAINT IF EXISTS check_review_vote_counts;
+
+ALTER TABLE reviews
+ADD CONSTRAINT check_review_vote_counts
+CHECK (helpful_count >= 0 AND not_helpful_count >= 0);
+
+-- =====================================================
+-- Step 2: Votes
+-- =====================================================
+
+CREATE TABLE IF NOT EXISTS review_votes (
+    id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+    review_id UUID NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+    user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+    is_helpful BOOLEAN NOT NULL,
+    created_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    updated_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+
+    CONSTRAINT uq_review_votes_review_user UNIQUE (review_id, user_id)
+);
+
+COMMENT ON TABLE review_votes IS
+'Helpful / not helpful votes on reviews. One per user per review; authors cannot vote on their own reviews.';
+
+CREATE INDEX IF NOT EXISTS idx_review_votes_user
+ON review_votes (user_id);
+
+-- =====================================================
+-- Step 3: Validation
+-- =====================================================
+
+SELECT table_name, column_name, data_type, is_nullable
+FROM information_schema.columns
+WHERE table_name = 'review_votes'
+   OR (table_name = 'reviews' AND column_name LIKE '%helpful_count')
+ORDER BY table_name, ordinal_position;
+
+COMMIT;
+
+-- =====================================================
+-- Post-Migration Notes
+-- =====================================================
+-- After this migration:
+--
+-- 1. Users vote at PUT /api/v1/reviews/:id/vote and remove their vote at
+--    DELETE /api/v1/reviews/:id/vote
+-- 2. GET /api/v1/reviews/:id/votes returns the counters and the viewer's vote
+-- 3. GET /api/v1/establishments/:id/reviews accepts sort=most_helpful
+--
+-- Rollback available: 026_rollback_review_votes.sql
+-- =====================================================
@@ -0,0 +1,27 @@
+-- =====================================================
+-- Rollback Migration 026: Remove Helpful Votes on Reviews
+-- =====================================================
+-- WARNING: All review votes are lost. Flush the reviews:votes:* keys from
+-- Redis afterwards.
+-- =====================================================
+
+BEGIN;
+
+DROP TABLE IF EXISTS review_votes;
+
+ALTER TABLE reviews
+DROP CONSTRAINT IF EXISTS check_review_vote_counts;
+
+ALTER TABLE reviews
+DROP COLUMN IF EXISTS not_helpful_count,
+DROP COLUMN IF EXISTS helpful_count;
+
+SELECT column_name
+FROM information_schema.columns
+WHERE table_name = 'reviews' AND column_name LIKE '%helpful_count';
+
+COMMIT;
+
+-- =====================================================
+-- Rollback Complete
+-- =====================================================
@@ -0,0 +1,211 @@
+/**
+ * Geospatial Search Benchmark Script
+ *
+ * Compares query plans and timings of the legacy search predicates
+ * (geography built per row from latitude/longitude) with the index-backed
+ * predicates on the location column (ST_DWithin for radius, && for bounds).
+ *
+ * Run against the seeded dataset (npm run seed) after migrations 003 and 006.
+ *
+ * Usage: npm run benchmark:geo
+ * or: node scripts/benchmark-geo-search.js
+ *
+ * Optional flags:
+ * --runs=N     : Timed executions per query (default: 20)
+ * --radius=KM  : Radius for the radius queries (default: 5)
+ * --plans      : Print full EXPLAIN ANALYZE output for every query
+ */
+
+import pkg from 'pg';
+import dotenv from 'dotenv';
+
+const { Pool } = pkg;
+
+// Load environment variables
+dotenv.config();
+
+// Database connection
+const pool = new Pool({
+  user: process.env.DB_USER || 'postgres',
+  host: process.env.DB_HOST || 'localhost',
+  database: process.env.DB_NAME || 'restaurant_guide_belarus',
+  password: process.env.DB_PASSWORD || 'postgres',
+  port: process.env.DB_PORT || 5432,
+});
+
+// Minsk city centre and a viewport roughly covering the city
+const CENTER = { latitude: 53.9006, longitude: 27.559 };
+const BOUNDS = { minLat: 53.85, maxLat: 53.95, minLon: 27.45, maxLon: 27.65 };
+
+/**
+ * Parse --name=value flags
+ */
+function getFlag(name, defaultValue) {
+  const flag = process.argv.find(arg => arg.startsWith(`--${name}=`));
+  return flag ? parseFloat(flag.split('=')[1]) : defaultValue;
+}
+
+/**
+ * Benchmark cases: legacy predicate vs index-backed predicate
+ */
+function buildCases(radiusKm) {
+  const { latitude, longitude } = CENTER;
+  const { minLat, maxLat, minLon, maxLon } = BOUNDS;
+
+  return [
+    {
+      name: 'Radius search - legacy (ST_Distance on computed geography)',
+      sql: `
+        SELECT e.id
+        FROM establishments e
+        WHERE e.status = 'active'
+          AND ST_Distance(
+            ST_MakePoint($1, $2)::geography,
+            ST_MakePoint(e.longitude, e.latitude)::geography
+          ) / 1000.0 <= $3
+      `,
+      params: [longitude, latitude, radiusKm],
+    },
+    {
+      name: 'Radius search - indexed (ST_DWithin on location)',
+      sql: `
+        SELECT e.id
+        FROM establishments e
+        WHERE e.status = 'active'
+          AND ST_DWithin(e.location, ST_SetSRID(ST_MakePoint($1, $2), 4326)::geography, $3::float8 * 1000)
+      `,
+      params: [longitude, latitude, radiusKm],
+    },
+    {
+      name: 'Bounds search - legacy (latitude/longitude BETWEEN)',
+      sql: `
+        SELECT e.id
+        FROM establishments e
+        WHERE e.status = 'active'
+          AND e.latitude BETWEEN $1 AND $2
+          AND e.longitude BETWEEN $3 AND $4
+      `,
+      params: [minLat, maxLat, minLon, maxLon],
+    },
+    {
+      name: 'Bounds search - indexed (&& on location)',
+      sql: `
+        SELECT e.id
+        FROM establishments e
+        WHERE e.status = 'active'
+          AND e.location && ST_MakeEnvelope($3, $1, $4, $2, 4326)::geography
+          AND e.latitude BETWEEN $5 AND $6
+          AND e.longitude BETWEEN $7 AND $8
+      `,
+      params: [minLat, maxLat, minLon, maxLon, minLat, maxLat, minLon, maxLon],
+    },
+  ];
+}
+
+/**
+ * Run EXPLAIN ANALYZE and summarize the plan
+ */
+async function explain(testCase) {
+  const result = await pool.query(
+    `EXPLAIN (ANALYZE, BUFFERS, FORMAT TEXT) ${testCase.sql}`,
+    testCase.params
+  );
+  const lines = result.rows.map(row => row['QUERY PLAN']);
+  const plan = lines.join('\n');
+
+  return {
+    lines,
+    usesSpatialIndex: /idx_establishments_location/.test(plan),
+    scanType: (plan.match(/(Seq Scan|Index Scan|Index Only Scan|Bitmap Heap Scan)/) || ['unknown'])[0],
+    executionMs: parseFloat((plan.match(/Execution Time: ([\d.]+) ms/) || [0, 'NaN'])[1]),
+  };
+}
+
+/**
+ * Time repeated executions of a query
+ */
+async function time(testCase, runs) {
+  // Warm-up run so the first timing does not include cold cache effects
+  const warmup = await pool.query(testCase.sql, testCase.params);
+
+  const durations = [];
+  for (let i = 0; i < runs; i++) {
+    const start = process.hrtime.bigint();
+    await pool.query(testCase.sql, testCase.params);
+    durations.push(Number(process.hrtime.bigint() - start) / 1e6);
+  }
+
+  durations.sort((a, b) => a - b);
+  return {
+    rows: warmup.rowCount,
+    medianMs: durations[Math.floor(durations.length / 2)],
+    p95Ms: durations[Math.min(durations.length - 1, Math.floor(durations.length * 0.95))],
+  };
+}
+
+/**
+ * Main execution function
+ */
+async function main() {
+  const runs = getFlag('runs', 20);
+  const radiusKm = getFlag('radius', 5);
+  const showPlans = process.argv.includes('--plans');
+
+  console.log('═══════════════════════════════════════════════════════');
+  console.log('   🗺️  Geospatial Search Benchmark');
+  console.log('═══════════════════════════════════════════════════════\n');
+
+  try {
+    const countResult = await pool.query(`
+      SELECT COUNT(*) AS total, COUNT(location) AS with_location
+      FROM establishments
+      WHERE status = 'active'
+    `);
+    const { total, with_location: withLocation } = countResult.rows[0];
+
+    console.log(`📈 Active establishments: ${total} (${withLocation} with location)`);
+    console.log(`📍 Center: ${CENTER.latitude}, ${CENTER.longitude}, radius ${radiusKm} km`);
+    console.log(`🔁 Timed runs per query: ${runs}\n`);
+
+    if (parseInt(total, 10) === 0) {
+      console.log('ℹ️  No active establishments. Run "npm run seed" first.\n');
+      return;
+    }
+
+    if (parseInt(withLocation, 10) < parseInt(total, 10)) {
+      console.log('⚠️  Some establishments have no location. Run migration 003 to backfill.\n');
+    }
+
+    // Keep planner statistics current so plans reflect the real dataset
+    await pool.query('ANALYZE establishments');
+
+    for (const testCase of buildCases(radiusKm)) {
+      const plan = await explain(testCase);
+      const timing = await time(testCase, runs);
+
+      console.log(`▶ ${testCase.name}`);
+      console.log(`   Rows returned   : ${timing.rows}`);
+      console.log(`   Scan type       : ${plan.scanType}`);
+      console.log(`   Spatial index   : ${plan.usesSpatialIndex ? '✅ idx_establishments_location' : '❌ not used'}`);
+      console.log(`   EXPLAIN time    : ${plan.executionMs.toFixed(3)} ms`);
+      console.log(`   Median / p95    : ${timing.medianMs.toFixed(3)} ms / ${timing.p95Ms.toFixed(3)} ms`);
+
+      if (showPlans) {
+        console.log('\n   Plan:');
+        plan.lines.forEach(line => console.log(`     ${line}`));
+      }
+
+      console.log('');
+    }
+
+    console.log('ℹ️  On small datasets the planner may still prefer a sequential scan;');
+    console.log('   the legacy predicates can never use the spatial index regardless of size.\n');
+  } catch (error) {
+    console.error('❌ Benchmark failed:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+main();
@@ -346,12 +346,14 @@ export const isValidImageType = (mimetype) => {
  * - Professional DSLR photo: 5-15MB (acceptable)
  * - Unnecessarily large file: >20MB (rejected)
  * 
+ * Review photos pass a lower limit (see reviewPhotoService.js).
+ * 
  * @param {number} sizeInBytes - File size in bytes
+ * @param {number} maxSize - Maximum size in bytes (default: 10MB)
  * @returns {boolean} True if size is acceptable
  */
-export const isValidImageSize = (sizeInBytes) => {
-  const MAX_SIZE = 10 * 1024 * 1024; // 10MB in bytes
-  return sizeInBytes <= MAX_SIZE;
+export const isValidImageSize = (sizeInBytes, maxSize = 10 * 1024 * 1024) => {
+  return sizeInBytes <= maxSize;
 };
 
 export default cloudinary;
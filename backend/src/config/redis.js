@@ -239,4 +239,124 @@ export const deleteKey = async (key) => {
   }
 };
 
+/**
+ * Read a cached value.
+ * Returns null on cache miss or when Redis is unavailable, so callers can
+ * fall back to the database without special handling.
+ *
+ * @param {string} key - Redis key
+ * @returns {Promise<string|null>} Cached value or null
+ */
+export const getCachedValue = async (key) => {
+  try {
+    if (!redisClient.isOpen) {
+      return null;
+    }
+    return await redisClient.get(key);
+  } catch (error) {
+    logger.error('Redis cache read failed', {
+      error: error.message,
+      key,
+    });
+    return null;
+  }
+};
+
+/**
+ * Write a cached value with expiration.
+ * Failures are logged and ignored: a missing cache entry only costs a
+ * database round trip, it should never fail the request.
+ *
+ * @param {string} key - Redis key
+ * @param {string} value - Value to cache
+ * @param {number} expirySeconds - Seconds until key expires
+ * @returns {Promise<void>}
+ */
+export const setCachedValue = async (key, value, expirySeconds) => {
+  try {
+    if (!redisClient.isOpen) {
+      return;
+    }
+    await redisClient.setEx(key, expirySeconds, value);
+  } catch (error) {
+    logger.error('Redis cache write failed', {
+      error: error.message,
+      key,
+    });
+  }
+};
+
+/**
+ * Read a cached hash.
+ * Returns null on cache miss or when Redis is unavailable, like
+ * getCachedValue.
+ *
+ * @param {string} key - Redis key
+ * @returns {Promise<Object|null>} Hash fields as strings, or null
+ */
+export const getCachedHash = async (key) => {
+  try {
+    if (!redisClient.isOpen) {
+      return null;
+    }
+    const hash = await redisClient.hGetAll(key);
+    return Object.keys(hash).length > 0 ? hash : null;
+  } catch (error) {
+    logger.error('Redis cache read failed', {
+      error: error.message,
+      key,
+    });
+    return null;
+  }
+};
+
+/**
+ * Write a cached hash with expiration.
+ * The given fields overwrite the stored ones. Failures are logged and
+ * ignored, like setCachedValue.
+ *
+ * @param {string} key - Redis key
+ * @param {Object} fields - Hash fields to store
+ * @param {number} expirySeconds - Seconds until key expires
+ * @returns {Promise<void>}
+ */
+export const setCachedHash = async (key, fields, expirySeconds) => {
+  try {
+    if (!redisClient.isOpen) {
+      return;
+    }
+    const multi = redisClient.multi();
+    multi.hSet(key, fields);
+    multi.expire(key, expirySeconds);
+    await multi.exec();
+  } catch (error) {
+    logger.error('Redis cache write failed', {
+      error: error.message,
+      key,
+    });
+  }
+};
+
+/**
+ * Drop a cached value.
+ * Failures are logged and ignored, like setCachedValue; the entry then
+ * simply expires on its own.
+ *
+ * @param {string} key - Redis key
+ * @returns {Promise<void>}
+ */
+export const deleteCachedValue = async (key) => {
+  try {
+    if (!redisClient.isOpen) {
+      return;
+    }
+    await redisClient.del(key);
+  } catch (error) {
+    logger.error('Redis cache delete failed', {
+      error: error.message,
+      key,
+    });
+  }
+};
+
 export default redisClient;
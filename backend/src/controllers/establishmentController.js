@@ -11,6 +11,7 @@
  */
 
 import * as EstablishmentService from '../services/establishmentService.js';
+import * as GeocodingService from '../services/geocodingService.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import logger from '../utils/logger.js';
 
@@ -145,11 +146,11 @@ export const getEstablishmentDetails = asyncHandler(async (req, res) => {
  * PUT /api/v1/partner/establishments/:id
  * 
  * Allows partners to modify their establishment details. The service layer
- * enforces business rules about which fields can be updated and handles
- * status transitions (e.g., major changes require re-moderation).
+ * enforces business rules about which fields can be updated. Changes to an
+ * active establishment are saved as a pending revision for moderation.
  * 
  * Partners cannot update:
- * - status (admin-only, except automatic reset to 'pending' on major changes)
+ * - status (admin-only)
  * - partner_id (immutable)
  * - city, latitude, longitude (requires new submission)
  * - Metric fields (maintained by system)
@@ -181,7 +182,9 @@ export const updateEstablishment = asyncHandler(async (req, res) => {
     data: {
       establishment: updatedEstablishment,
     },
-    message: 'Establishment updated successfully',
+    message: updatedEstablishment.pending_revision
+      ? 'Changes submitted for moderation. The current version stays public until they are approved.'
+      : 'Establishment updated successfully',
   });
 });
 
@@ -228,3 +231,80 @@ export const submitForModeration = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Get moderation history of an establishment
+ *
+ * GET /api/v1/partner/establishments/:id/moderation-history
+ *
+ * Lets the partner see why their listing was rejected or suspended.
+ * Ownership is verified in the service layer.
+ */
+export const getModerationHistory = asyncHandler(async (req, res) => {
+  const partnerId = req.user.userId;
+  const establishmentId = req.params.id;
+
+  const history = await EstablishmentService.getModerationHistory(
+    establishmentId,
+    partnerId
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      history,
+    },
+  });
+});
+
+/**
+ * Find the address at coordinates
+ *
+ * GET /api/v1/partner/establishments/geocode/reverse
+ *
+ * Lets the partner form fill city and address from a map pin. Coordinates
+ * are validated and converted to numbers by the validation middleware.
+ */
+export const reverseGeocode = asyncHandler(async (req, res) => {
+  const { latitude, longitude } = req.query;
+
+  const location = await GeocodingService.reverseGeocode(latitude, longitude);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      location,
+    },
+  });
+});
+
+/**
+ * Get public establishment card
+ * 
+ * GET /api/v1/establishments/:id
+ * 
+ * Public endpoint used by the app to open an establishment card. Only active
+ * establishments are returned. When optionalAuth identifies the viewer, the
+ * response tells whether the establishment is in their favorites.
+ */
+export const getPublicEstablishment = asyncHandler(async (req, res) => {
+  const establishmentId = req.params.id;
+  const userId = req.user ? req.user.userId : null;
+
+  const establishment = await EstablishmentService.getPublicEstablishment(
+    establishmentId,
+    userId
+  );
+
+  logger.info('Public establishment fetched via API', {
+    establishmentId,
+    userId,
+    endpoint: 'GET /api/v1/establishments/:id',
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      establishment,
+    },
+  });
+});
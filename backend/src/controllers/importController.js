@@ -0,0 +1,106 @@
+/**
+ * Import Controller
+ *
+ * This controller handles HTTP requests for bulk import of establishments.
+ * Rows come either from an uploaded CSV/JSON file (multipart field 'file')
+ * or from the establishments array of a JSON body; importService does the
+ * validation and writing.
+ */
+
+import * as ImportService from '../services/importService.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Read import rows from the uploaded file or the JSON body
+ *
+ * @param {Object} req - Express request
+ * @returns {Array|undefined} Rows to import
+ */
+const getImportRows = (req) => {
+  if (req.file) {
+    return ImportService.parseImportFile(req.file);
+  }
+
+  return req.body.establishments;
+};
+
+/**
+ * Send the import report
+ *
+ * A dry run or an import that only reports errors answers 200; an import
+ * that wrote at least one establishment answers 201.
+ */
+const sendReport = (res, report) => {
+  const written = report.summary.created + report.summary.updated + report.summary.revision_pending;
+
+  res.status(!report.dry_run && written > 0 ? 201 : 200).json({
+    success: true,
+    data: {
+      import: report,
+    },
+    message: report.dry_run
+      ? 'Import validated, nothing was saved'
+      : `Import finished: ${written} of ${report.summary.total} establishments saved`,
+  });
+};
+
+/**
+ * Import establishments of the authenticated partner
+ *
+ * POST /api/v1/partner/establishments/import
+ *
+ * Query parameters:
+ * - dry_run: Only validate and report (default: false)
+ */
+export const importPartnerEstablishments = asyncHandler(async (req, res) => {
+  const partnerId = req.user.userId;
+  const dryRun = req.query.dry_run === 'true';
+
+  const report = await ImportService.importEstablishments(partnerId, getImportRows(req), {
+    dryRun,
+    actorId: partnerId,
+  });
+
+  logger.info('Establishment import via API', {
+    partnerId,
+    dryRun,
+    total: report.summary.total,
+    failed: report.summary.failed,
+    endpoint: 'POST /api/v1/partner/establishments/import',
+  });
+
+  sendReport(res, report);
+});
+
+/**
+ * Import establishments on behalf of a partner
+ *
+ * POST /api/v1/admin/establishments/import
+ *
+ * Query parameters:
+ * - partner_id: UUID of the partner who will own the establishments
+ * - dry_run: Only validate and report (default: false)
+ */
+export const importForPartner = asyncHandler(async (req, res) => {
+  const adminId = req.user.userId;
+  const partnerId = req.query.partner_id;
+  const dryRun = req.query.dry_run === 'true';
+
+  const report = await ImportService.importEstablishments(partnerId, getImportRows(req), {
+    dryRun,
+    actorId: adminId,
+    isAdmin: true,
+  });
+
+  logger.info('Establishment import by admin via API', {
+    adminId,
+    partnerId,
+    dryRun,
+    total: report.summary.total,
+    failed: report.summary.failed,
+    endpoint: 'POST /api/v1/admin/establishments/import',
+  });
+
+  sendReport(res, report);
+});
@@ -0,0 +1,189 @@
+/**
+ * Menu Controller
+ *
+ * This controller handles HTTP requests for structured menus: partner
+ * management of sections and dishes, and the public menu of an active
+ * establishment. It extracts data from requests, delegates to menuService
+ * and formats responses.
+ */
+
+import * as MenuService from '../services/menuService.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+/**
+ * Item fields accepted from request bodies
+ */
+const ITEM_FIELDS = [
+  'section_id',
+  'name',
+  'description',
+  'price',
+  'portion_size',
+  'portion_unit',
+  'allergens',
+  'dietary_tags',
+  'media_id',
+  'is_available',
+  'position',
+];
+
+/**
+ * Pick the listed fields that are present in the request body
+ *
+ * @param {Object} body - req.body
+ * @param {string[]} fields - Accepted field names
+ * @returns {Object} Present fields only
+ */
+const pickFields = (body, fields) => fields.reduce((picked, field) => {
+  if (body[field] !== undefined) {
+    picked[field] = body[field];
+  }
+  return picked;
+}, {});
+
+/**
+ * Get the menu for the partner (includes unavailable dishes)
+ *
+ * GET /api/v1/partner/establishments/:id/menu
+ */
+export const getMenu = asyncHandler(async (req, res) => {
+  const sections = await MenuService.getMenu(req.params.id, req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      sections,
+    },
+  });
+});
+
+/**
+ * Get the public menu of an active establishment
+ *
+ * GET /api/v1/establishments/:id/menu
+ */
+export const getPublicMenu = asyncHandler(async (req, res) => {
+  const sections = await MenuService.getPublicMenu(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      sections,
+    },
+  });
+});
+
+/**
+ * Create a menu section
+ *
+ * POST /api/v1/partner/establishments/:id/menu/sections
+ */
+export const createSection = asyncHandler(async (req, res) => {
+  const section = await MenuService.createSection(
+    req.params.id,
+    req.user.userId,
+    pickFields(req.body, ['name', 'description', 'position'])
+  );
+
+  res.status(201).json({
+    success: true,
+    data: {
+      section,
+    },
+    message: 'Menu section created successfully',
+  });
+});
+
+/**
+ * Update a menu section
+ *
+ * PUT /api/v1/partner/establishments/:id/menu/sections/:sectionId
+ */
+export const updateSection = asyncHandler(async (req, res) => {
+  const section = await MenuService.updateSection(
+    req.params.id,
+    req.user.userId,
+    req.params.sectionId,
+    pickFields(req.body, ['name', 'description', 'position'])
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      section,
+    },
+    message: 'Menu section updated successfully',
+  });
+});
+
+/**
+ * Delete a menu section with its dishes
+ *
+ * DELETE /api/v1/partner/establishments/:id/menu/sections/:sectionId
+ */
+export const deleteSection = asyncHandler(async (req, res) => {
+  await MenuService.deleteSection(req.params.id, req.user.userId, req.params.sectionId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Menu section deleted successfully',
+  });
+});
+
+/**
+ * Add a dish to a section
+ *
+ * POST /api/v1/partner/establishments/:id/menu/sections/:sectionId/items
+ */
+export const createItem = asyncHandler(async (req, res) => {
+  const item = await MenuService.createItem(
+    req.params.id,
+    req.user.userId,
+    req.params.sectionId,
+    pickFields(req.body, ITEM_FIELDS.filter(field => field !== 'section_id'))
+  );
+
+  res.status(201).json({
+    success: true,
+    data: {
+      item,
+    },
+    message: 'Menu item created successfully',
+  });
+});
+
+/**
+ * Update a dish
+ *
+ * PUT /api/v1/partner/establishments/:id/menu/items/:itemId
+ */
+export const updateItem = asyncHandler(async (req, res) => {
+  const item = await MenuService.updateItem(
+    req.params.id,
+    req.user.userId,
+    req.params.itemId,
+    pickFields(req.body, ITEM_FIELDS)
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      item,
+    },
+    message: 'Menu item updated successfully',
+  });
+});
+
+/**
+ * Delete a dish
+ *
+ * DELETE /api/v1/partner/establishments/:id/menu/items/:itemId
+ */
+export const deleteItem = asyncHandler(async (req, res) => {
+  await MenuService.deleteItem(req.params.id, req.user.userId, req.params.itemId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Menu item deleted successfully',
+  });
+});
@@ -0,0 +1,430 @@
+/**
+ * Moderation Controller
+ *
+ * This controller handles HTTP requests for the admin moderation queue.
+ * It extracts data from requests, delegates to moderationService and formats
+ * responses. The acting admin always comes from the authenticated context.
+ */
+
+import * as ModerationService from '../services/moderationService.js';
+import * as DuplicateService from '../services/duplicateService.js';
+import * as ReviewReplyService from '../services/reviewReplyService.js';
+import * as ReviewReportService from '../services/reviewReportService.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Get the moderation queue
+ *
+ * GET /api/v1/admin/moderation/establishments
+ *
+ * Query parameters:
+ * - status: Status to list (default: 'pending')
+ * - city, category, partner_id, search: Optional filters
+ * - page: Page number (default: 1)
+ * - limit: Items per page (default: 20, max: 50)
+ */
+export const getQueue = asyncHandler(async (req, res) => {
+  const filters = {
+    status: req.query.status,
+    city: req.query.city,
+    category: req.query.category,
+    partnerId: req.query.partner_id,
+    search: req.query.search,
+    page: req.query.page || 1,
+    limit: req.query.limit || 20,
+  };
+
+  const result = await ModerationService.getModerationQueue(filters);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      establishments: result.establishments,
+      pagination: result.meta,
+    },
+  });
+});
+
+/**
+ * Get establishment details with moderation history
+ *
+ * GET /api/v1/admin/moderation/establishments/:id
+ */
+export const getEstablishment = asyncHandler(async (req, res) => {
+  const {
+    establishment,
+    history,
+    duplicate_candidates,
+  } = await ModerationService.getEstablishmentForModeration(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      establishment,
+      history,
+      duplicate_candidates,
+    },
+  });
+});
+
+/**
+ * Build a controller for a moderation action
+ *
+ * @param {Function} serviceFn - Moderation service function
+ * @param {string} bodyField - Request body field carrying the reason or note
+ * @param {string} message - Success message
+ * @returns {Function} Express request handler
+ */
+const moderationAction = (serviceFn, bodyField, message) => asyncHandler(async (req, res) => {
+  const adminId = req.user.userId;
+  const establishmentId = req.params.id;
+
+  const { establishment, logEntry } = await serviceFn(
+    establishmentId,
+    adminId,
+    req.body[bodyField]
+  );
+
+  logger.info('Moderation action via API', {
+    action: logEntry.action,
+    establishmentId,
+    adminId,
+    endpoint: `POST /api/v1/admin/moderation/establishments/:id/${logEntry.action}`,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      establishment,
+      log_entry: logEntry,
+    },
+    message,
+  });
+});
+
+/**
+ * Approve a pending establishment
+ *
+ * POST /api/v1/admin/moderation/establishments/:id/approve
+ */
+export const approveEstablishment = moderationAction(
+  ModerationService.approveEstablishment,
+  'note',
+  'Establishment approved and published'
+);
+
+/**
+ * Reject a pending establishment back to draft
+ *
+ * POST /api/v1/admin/moderation/establishments/:id/reject
+ */
+export const rejectEstablishment = moderationAction(
+  ModerationService.rejectEstablishment,
+  'reason',
+  'Establishment rejected and returned to draft'
+);
+
+/**
+ * Suspend an active establishment
+ *
+ * POST /api/v1/admin/moderation/establishments/:id/suspend
+ */
+export const suspendEstablishment = moderationAction(
+  ModerationService.suspendEstablishment,
+  'reason',
+  'Establishment suspended'
+);
+
+/**
+ * Reinstate a suspended establishment
+ *
+ * POST /api/v1/admin/moderation/establishments/:id/reinstate
+ */
+export const reinstateEstablishment = moderationAction(
+  ModerationService.reinstateEstablishment,
+  'note',
+  'Establishment reinstated'
+);
+
+/**
+ * Get pending revisions of active establishments
+ *
+ * GET /api/v1/admin/moderation/revisions
+ */
+export const getRevisionQueue = asyncHandler(async (req, res) => {
+  const result = await ModerationService.getRevisionQueue({
+    page: req.query.page || 1,
+    limit: req.query.limit || 20,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      revisions: result.revisions,
+      pagination: result.meta,
+    },
+  });
+});
+
+/**
+ * Get a revision with its field-by-field diff
+ *
+ * GET /api/v1/admin/moderation/revisions/:id
+ */
+export const getRevision = asyncHandler(async (req, res) => {
+  const { revision, establishment, diff } = await ModerationService.getRevisionDiff(
+    req.params.id
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      revision,
+      establishment,
+      diff,
+    },
+  });
+});
+
+/**
+ * Approve a revision and apply it to the live establishment
+ *
+ * POST /api/v1/admin/moderation/revisions/:id/approve
+ */
+export const approveRevision = asyncHandler(async (req, res) => {
+  const adminId = req.user.userId;
+
+  const { revision, establishment } = await ModerationService.approveRevision(
+    req.params.id,
+    adminId,
+    req.body.note
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      revision,
+      establishment,
+    },
+    message: 'Revision approved and published',
+  });
+});
+
+/**
+ * Reject a revision, keeping the live establishment unchanged
+ *
+ * POST /api/v1/admin/moderation/revisions/:id/reject
+ */
+export const rejectRevision = asyncHandler(async (req, res) => {
+  const adminId = req.user.userId;
+
+  const { revision } = await ModerationService.rejectRevision(
+    req.params.id,
+    adminId,
+    req.body.reason
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      revision,
+    },
+    message: 'Revision rejected',
+  });
+});
+
+/**
+ * List possible duplicate establishments
+ *
+ * GET /api/v1/admin/moderation/duplicates
+ */
+export const getDuplicateCandidates = asyncHandler(async (req, res) => {
+  const result = await DuplicateService.getCandidates({
+    status: req.query.status || 'open',
+    page: req.query.page || 1,
+    limit: req.query.limit || 20,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      candidates: result.candidates,
+      pagination: result.meta,
+    },
+  });
+});
+
+/**
+ * Mark a candidate pair as not being duplicates
+ *
+ * POST /api/v1/admin/moderation/duplicates/:id/dismiss
+ */
+export const dismissDuplicateCandidate = asyncHandler(async (req, res) => {
+  const candidate = await DuplicateService.dismissCandidate(
+    req.params.id,
+    req.user.userId,
+    req.body.note
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      candidate,
+    },
+    message: 'Duplicate candidate dismissed',
+  });
+});
+
+/**
+ * Merge a duplicate into an establishment
+ *
+ * POST /api/v1/admin/moderation/establishments/:id/merge
+ */
+export const mergeEstablishment = asyncHandler(async (req, res) => {
+  const adminId = req.user.userId;
+
+  const result = await DuplicateService.mergeEstablishments(
+    req.params.id,
+    req.body.duplicate_id,
+    adminId,
+    req.body.note
+  );
+
+  logger.info('Establishments merged via API', {
+    establishmentId: req.params.id,
+    duplicateId: req.body.duplicate_id,
+    adminId,
+    endpoint: 'POST /api/v1/admin/moderation/establishments/:id/merge',
+  });
+
+  res.status(200).json({
+    success: true,
+    data: result,
+    message: 'Establishments merged',
+  });
+});
+
+/**
+ * List review replies for moderation
+ *
+ * GET /api/v1/admin/moderation/review-replies
+ */
+export const getReviewReplies = asyncHandler(async (req, res) => {
+  const result = await ReviewReplyService.getRepliesForModeration({
+    status: req.query.status || 'published',
+    page: req.query.page || 1,
+    limit: req.query.limit || 20,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      replies: result.replies,
+      pagination: result.meta,
+    },
+  });
+});
+
+/**
+ * Hide a review reply
+ *
+ * POST /api/v1/admin/moderation/review-replies/:id/hide
+ */
+export const hideReviewReply = asyncHandler(async (req, res) => {
+  const reply = await ReviewReplyService.hideReply(req.params.id, req.user.userId, req.body.reason);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      reply,
+    },
+    message: 'Reply hidden',
+  });
+});
+
+/**
+ * Publish a hidden review reply again
+ *
+ * POST /api/v1/admin/moderation/review-replies/:id/restore
+ */
+export const restoreReviewReply = asyncHandler(async (req, res) => {
+  const reply = await ReviewReplyService.restoreReply(req.params.id, req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      reply,
+    },
+    message: 'Reply restored',
+  });
+});
+
+/**
+ * List reviews for moderation
+ *
+ * GET /api/v1/admin/moderation/reviews
+ */
+export const getReviews = asyncHandler(async (req, res) => {
+  const result = await ReviewReportService.getReviewsForModeration({
+    status: req.query.status || 'pending',
+    page: req.query.page || 1,
+    limit: req.query.limit || 20,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      reviews: result.reviews,
+      pagination: result.meta,
+    },
+  });
+});
+
+/**
+ * Hide a review
+ *
+ * POST /api/v1/admin/moderation/reviews/:id/hide
+ */
+export const hideReview = asyncHandler(async (req, res) => {
+  const review = await ReviewReportService.hideReview(req.params.id, req.user.userId, req.body.reason);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      review,
+    },
+    message: 'Review hidden',
+  });
+});
+
+/**
+ * Publish a pending or hidden review again
+ *
+ * POST /api/v1/admin/moderation/reviews/:id/restore
+ */
+export const restoreReview = asyncHandler(async (req, res) => {
+  const review = await ReviewReportService.restoreReview(req.params.id, req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      review,
+    },
+    message: 'Review restored',
+  });
+});
+
+/**
+ * Delete a review permanently
+ *
+ * DELETE /api/v1/admin/moderation/reviews/:id
+ */
+export const deleteReview = asyncHandler(async (req, res) => {
+  const result = await ReviewReportService.deleteReview(req.params.id, req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
@@ -0,0 +1,54 @@
+/**
+ * Notification Controller
+ *
+ * This controller handles HTTP requests for the notifications of the
+ * authenticated user. It extracts data from requests, delegates to
+ * notificationService and formats responses.
+ */
+
+import * as NotificationService from '../services/notificationService.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+/**
+ * Get notifications of the authenticated user
+ *
+ * GET /api/v1/notifications
+ *
+ * Query parameters:
+ * - unread: 'true' for unread entries only
+ * - page: Page number (default: 1)
+ * - limit: Items per page (default: 20, max: 50)
+ */
+export const getNotifications = asyncHandler(async (req, res) => {
+  const result = await NotificationService.getNotifications(req.user.userId, {
+    unreadOnly: req.query.unread === true || req.query.unread === 'true',
+    page: req.query.page || 1,
+    limit: req.query.limit || 20,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      notifications: result.notifications,
+      unread: result.unread,
+      pagination: result.meta,
+    },
+  });
+});
+
+/**
+ * Mark notifications as read
+ *
+ * POST /api/v1/notifications/read
+ *
+ * Request body:
+ * - ids: Notification IDs; all notifications when omitted
+ */
+export const markAsRead = asyncHandler(async (req, res) => {
+  const result = await NotificationService.markAsRead(req.user.userId, req.body.ids || null);
+
+  res.status(200).json({
+    success: true,
+    data: result,
+  });
+});
@@ -0,0 +1,160 @@
+/**
+ * Organization Controller
+ *
+ * This controller handles HTTP requests for partner organizations (chains).
+ * It extracts data from requests, delegates to organizationService and
+ * formats responses. The partner always comes from the authenticated context.
+ */
+
+import * as OrganizationService from '../services/organizationService.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+/**
+ * Create a new organization
+ *
+ * POST /api/v1/partner/organizations
+ */
+export const createOrganization = asyncHandler(async (req, res) => {
+  const organization = await OrganizationService.createOrganization(req.user.userId, req.body);
+
+  res.status(201).json({
+    success: true,
+    data: {
+      organization,
+    },
+    message: 'Organization created successfully',
+  });
+});
+
+/**
+ * List the partner's organizations
+ *
+ * GET /api/v1/partner/organizations
+ */
+export const listOrganizations = asyncHandler(async (req, res) => {
+  const organizations = await OrganizationService.getPartnerOrganizations(req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      organizations,
+    },
+  });
+});
+
+/**
+ * Get an organization with its branches
+ *
+ * GET /api/v1/partner/organizations/:id
+ */
+export const getOrganization = asyncHandler(async (req, res) => {
+  const organization = await OrganizationService.getOrganization(req.params.id, req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      organization,
+    },
+  });
+});
+
+/**
+ * Update an organization
+ *
+ * PUT /api/v1/partner/organizations/:id
+ *
+ * Changed description and cuisines are passed on to all branches; the
+ * per-branch results show which branches got a pending revision.
+ */
+export const updateOrganization = asyncHandler(async (req, res) => {
+  const { organization, branches } = await OrganizationService.updateOrganization(
+    req.params.id,
+    req.user.userId,
+    req.body
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      organization,
+      branches,
+    },
+    message: 'Organization updated successfully',
+  });
+});
+
+/**
+ * Attach establishments to an organization
+ *
+ * POST /api/v1/partner/organizations/:id/branches
+ */
+export const addBranches = asyncHandler(async (req, res) => {
+  const result = await OrganizationService.addBranches(
+    req.params.id,
+    req.user.userId,
+    req.body.establishment_ids
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result,
+    message: 'Branches attached successfully',
+  });
+});
+
+/**
+ * Detach a branch from an organization
+ *
+ * DELETE /api/v1/partner/organizations/:id/branches/:establishmentId
+ */
+export const removeBranch = asyncHandler(async (req, res) => {
+  const result = await OrganizationService.removeBranch(
+    req.params.id,
+    req.user.userId,
+    req.params.establishmentId
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result,
+    message: 'Branch detached successfully',
+  });
+});
+
+/**
+ * Set working hours on several branches
+ *
+ * POST /api/v1/partner/organizations/:id/bulk/hours
+ */
+export const bulkUpdateHours = asyncHandler(async (req, res) => {
+  const result = await OrganizationService.bulkUpdateHours(
+    req.params.id,
+    req.user.userId,
+    req.body
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result,
+    message: 'Working hours applied to branches',
+  });
+});
+
+/**
+ * Copy menu photos of one branch to other branches
+ *
+ * POST /api/v1/partner/organizations/:id/bulk/menu
+ */
+export const bulkCopyMenu = asyncHandler(async (req, res) => {
+  const result = await OrganizationService.bulkCopyMenu(
+    req.params.id,
+    req.user.userId,
+    req.body
+  );
+
+  res.status(200).json({
+    success: true,
+    data: result,
+    message: 'Menu copied to branches',
+  });
+});
@@ -11,8 +11,21 @@
  */
 
 import * as ReviewService from '../services/reviewService.js';
+import * as ReviewReportService from '../services/reviewReportService.js';
+import * as ReviewVoteService from '../services/reviewVoteService.js';
 import { asyncHandler } from '../middleware/errorHandler.js';
 import logger from '../utils/logger.js';
+import { SUB_RATINGS } from '../utils/subRatings.js';
+
+/**
+ * Map sub-rating body fields (foodRating, ...) to review columns (food_rating, ...)
+ *
+ * @param {Object} body - Request body
+ * @returns {Object} Only the sub-ratings present in the body; null clears one
+ */
+const parseSubRatings = (body) => Object.fromEntries(SUB_RATINGS
+  .filter(({ field }) => body[field] !== undefined)
+  .map(({ field, column }) => [column, body[field]]));
 
 /**
  * Create a new review
@@ -44,6 +57,7 @@ export const createReview = asyncHandler(async (req, res) => {
     establishment_id: establishmentId,
     rating,
     content,
+    ...parseSubRatings(req.body),
   });
 
   // Log successful review creation for monitoring
@@ -101,7 +115,8 @@ export const getReview = asyncHandler(async (req, res) => {
  * Query parameters:
  * - page: Page number (default 1)
  * - limit: Results per page (default 10, max 50)
- * - sort: Sort order - 'newest', 'highest', 'lowest' (default 'newest')
+ * - sort: Sort order - 'newest', 'highest', 'lowest', 'most_helpful' (default 'newest').
+ *   'most_helpful' ranks by the Wilson score of the helpful votes
  * 
  * The response includes both the reviews array and pagination metadata that clients
  * need to implement pagination UI (page numbers, next/previous buttons, etc).
@@ -189,7 +204,7 @@ export const getUserReviews = asyncHandler(async (req, res) => {
  * This endpoint allows review authors to modify their reviews. Authentication is
  * required and the service layer enforces that only the author can update their review.
  * 
- * Users can update either rating, content, or both. The validation middleware ensures
+ * Users can update rating, sub-ratings, content, or any combination. The validation middleware ensures
  * at least one field is provided. The updated_at timestamp and is_edited flag are
  * automatically updated by the model layer.
  * 
@@ -201,7 +216,7 @@ export const updateReview = asyncHandler(async (req, res) => {
   const { id } = req.params;
 
   // Extract update data from request body
-  // Only rating and content can be updated - other fields are system-managed
+  // Only ratings and content can be updated - other fields are system-managed
   const { rating, content } = req.body;
 
   // Get authenticated user ID from JWT token
@@ -212,6 +227,7 @@ export const updateReview = asyncHandler(async (req, res) => {
   const updates = {};
   if (rating !== undefined) updates.rating = rating;
   if (content !== undefined) updates.content = content;
+  Object.assign(updates, parseSubRatings(req.body));
 
   // Call service layer to update review
   // Service enforces authorization (user must be review author)
@@ -274,6 +290,88 @@ export const deleteReview = asyncHandler(async (req, res) => {
   });
 });
 
+/**
+ * Report a review
+ * 
+ * POST /api/v1/reviews/:id/report
+ * 
+ * Any authenticated user except the author can report a review once. Enough
+ * reports hide the review until an admin reviews it; the response does not
+ * tell the reporter whether that happened.
+ */
+export const reportReview = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.userId;
+
+  const report = await ReviewReportService.reportReview(id, userId, {
+    reason: req.body.reason,
+    comment: req.body.comment,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      report,
+    },
+    message: 'Review reported. Thank you, a moderator will look into it.',
+  });
+});
+
+/**
+ * Vote on a review
+ * 
+ * PUT /api/v1/reviews/:id/vote
+ * 
+ * Records the user's helpful / not helpful vote, replacing an earlier vote.
+ * Authors cannot vote on their own review.
+ */
+export const voteReview = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.userId;
+
+  const votes = await ReviewVoteService.voteReview(id, userId, req.body.helpful);
+
+  res.status(200).json({
+    success: true,
+    data: votes,
+  });
+});
+
+/**
+ * Remove the user's vote from a review
+ * 
+ * DELETE /api/v1/reviews/:id/vote
+ */
+export const removeReviewVote = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+  const userId = req.user.userId;
+
+  const votes = await ReviewVoteService.removeVote(id, userId);
+
+  res.status(200).json({
+    success: true,
+    data: votes,
+  });
+});
+
+/**
+ * Get the vote counters of a review
+ * 
+ * GET /api/v1/reviews/:id/votes
+ * 
+ * Authenticated viewers also get their own vote in my_vote.
+ */
+export const getReviewVotes = asyncHandler(async (req, res) => {
+  const { id } = req.params;
+
+  const votes = await ReviewVoteService.getReviewVotes(id, req.user ? req.user.userId : null);
+
+  res.status(200).json({
+    success: true,
+    data: votes,
+  });
+});
+
 /**
  * Get user's review quota information
  * 
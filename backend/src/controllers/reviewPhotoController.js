@@ -0,0 +1,79 @@
+/**
+ * Review Photo Controller
+ *
+ * This controller handles HTTP requests for photos attached to reviews and
+ * the visitor gallery of an establishment. Files arrive through the
+ * reviewPhotoUpload middleware; reviewPhotoService validates and uploads
+ * them. The author always comes from the authenticated context.
+ */
+
+import * as ReviewPhotoService from '../services/reviewPhotoService.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+/**
+ * Attach photos to a review
+ *
+ * POST /api/v1/reviews/:id/photos
+ */
+export const uploadPhotos = asyncHandler(async (req, res) => {
+  if (!req.files || req.files.length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: 'No photos uploaded',
+      error: {
+        code: 'FILE_REQUIRED',
+      },
+    });
+  }
+
+  const photos = await ReviewPhotoService.uploadPhotos(
+    req.params.id,
+    req.user.userId,
+    req.files
+  );
+
+  res.status(201).json({
+    success: true,
+    data: {
+      photos,
+    },
+  });
+});
+
+/**
+ * Delete a photo of a review
+ *
+ * DELETE /api/v1/reviews/:id/photos/:photoId
+ */
+export const deletePhoto = asyncHandler(async (req, res) => {
+  const result = await ReviewPhotoService.deletePhoto(
+    req.params.id,
+    req.params.photoId,
+    req.user.userId
+  );
+
+  res.status(200).json({
+    success: true,
+    message: result.message,
+  });
+});
+
+/**
+ * Get the visitor gallery of an establishment
+ *
+ * GET /api/v1/establishments/:id/visitor-photos
+ */
+export const getVisitorPhotos = asyncHandler(async (req, res) => {
+  const result = await ReviewPhotoService.getVisitorPhotos(req.params.id, {
+    page: req.query.page || 1,
+    limit: req.query.limit || 20,
+  });
+
+  res.status(200).json({
+    success: true,
+    data: {
+      photos: result.photos,
+      pagination: result.meta,
+    },
+  });
+});
@@ -0,0 +1,51 @@
+/**
+ * Review Reply Controller
+ *
+ * This controller handles HTTP requests for partner replies to reviews.
+ * It extracts data from requests, delegates to reviewReplyService and
+ * formats responses. The replying user always comes from the
+ * authenticated context.
+ */
+
+import * as ReviewReplyService from '../services/reviewReplyService.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+/**
+ * Post or edit the reply to a review
+ *
+ * PUT /api/v1/partner/establishments/:id/reviews/:reviewId/reply
+ */
+export const saveReply = asyncHandler(async (req, res) => {
+  const { reply, created } = await ReviewReplyService.saveReply(
+    req.params.id,
+    req.params.reviewId,
+    req.user.userId,
+    req.body.content
+  );
+
+  res.status(created ? 201 : 200).json({
+    success: true,
+    data: {
+      reply,
+    },
+    message: created ? 'Reply posted successfully' : 'Reply updated successfully',
+  });
+});
+
+/**
+ * Delete the reply to a review
+ *
+ * DELETE /api/v1/partner/establishments/:id/reviews/:reviewId/reply
+ */
+export const deleteReply = asyncHandler(async (req, res) => {
+  const result = await ReviewReplyService.deleteReply(
+    req.params.id,
+    req.params.reviewId,
+    req.user.userId
+  );
+
+  res.status(200).json({
+    success: true,
+    message: result.message,
+  });
+});
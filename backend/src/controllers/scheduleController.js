@@ -0,0 +1,194 @@
+/**
+ * Schedule Controller
+ *
+ * This controller handles HTTP requests for schedule exceptions: partner
+ * management of holidays, temporary closures and shortened days, and the
+ * admin-maintained national holiday calendar. It extracts data from
+ * requests, delegates to scheduleService and formats responses.
+ */
+
+import * as ScheduleService from '../services/scheduleService.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+/**
+ * Exception fields accepted from request bodies
+ */
+const EXCEPTION_FIELDS = ['type', 'start_date', 'end_date', 'hours', 'note'];
+
+/**
+ * National holiday fields accepted from request bodies
+ */
+const HOLIDAY_FIELDS = ['date', 'name', 'type', 'hours'];
+
+/**
+ * Pick the listed fields that are present in the request body
+ *
+ * @param {Object} body - req.body
+ * @param {string[]} fields - Accepted field names
+ * @returns {Object} Present fields only
+ */
+const pickFields = (body, fields) => fields.reduce((picked, field) => {
+  if (body[field] !== undefined) {
+    picked[field] = body[field];
+  }
+  return picked;
+}, {});
+
+/**
+ * Get exceptions and holiday settings of an establishment
+ *
+ * GET /api/v1/partner/establishments/:id/schedule-exceptions
+ */
+export const getSchedule = asyncHandler(async (req, res) => {
+  const schedule = await ScheduleService.getSchedule(req.params.id, req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    data: schedule,
+  });
+});
+
+/**
+ * Create a schedule exception
+ *
+ * POST /api/v1/partner/establishments/:id/schedule-exceptions
+ */
+export const createException = asyncHandler(async (req, res) => {
+  const exception = await ScheduleService.createException(
+    req.params.id,
+    req.user.userId,
+    pickFields(req.body, EXCEPTION_FIELDS)
+  );
+
+  res.status(201).json({
+    success: true,
+    data: {
+      exception,
+    },
+    message: 'Schedule exception created successfully',
+  });
+});
+
+/**
+ * Update a schedule exception
+ *
+ * PUT /api/v1/partner/establishments/:id/schedule-exceptions/:exceptionId
+ */
+export const updateException = asyncHandler(async (req, res) => {
+  const exception = await ScheduleService.updateException(
+    req.params.id,
+    req.params.exceptionId,
+    req.user.userId,
+    pickFields(req.body, EXCEPTION_FIELDS)
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      exception,
+    },
+    message: 'Schedule exception updated successfully',
+  });
+});
+
+/**
+ * Delete a schedule exception
+ *
+ * DELETE /api/v1/partner/establishments/:id/schedule-exceptions/:exceptionId
+ */
+export const deleteException = asyncHandler(async (req, res) => {
+  await ScheduleService.deleteException(req.params.id, req.params.exceptionId, req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    message: 'Schedule exception deleted successfully',
+  });
+});
+
+/**
+ * Opt in or out of the national holiday calendar
+ *
+ * PUT /api/v1/partner/establishments/:id/schedule-exceptions/public-holidays
+ */
+export const setPublicHolidayObservance = asyncHandler(async (req, res) => {
+  const settings = await ScheduleService.setPublicHolidayObservance(
+    req.params.id,
+    req.user.userId,
+    req.body.observe
+  );
+
+  res.status(200).json({
+    success: true,
+    data: settings,
+    message: 'Public holiday settings updated successfully',
+  });
+});
+
+/**
+ * List the national holiday calendar of a year
+ *
+ * GET /api/v1/admin/holidays?year=2026
+ */
+export const getPublicHolidays = asyncHandler(async (req, res) => {
+  const year = req.query.year || new Date().getFullYear();
+  const holidays = await ScheduleService.getPublicHolidays(year);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      year: Number(year),
+      holidays,
+    },
+  });
+});
+
+/**
+ * Add a date to the national holiday calendar
+ *
+ * POST /api/v1/admin/holidays
+ */
+export const createPublicHoliday = asyncHandler(async (req, res) => {
+  const holiday = await ScheduleService.createPublicHoliday(pickFields(req.body, HOLIDAY_FIELDS));
+
+  res.status(201).json({
+    success: true,
+    data: {
+      holiday,
+    },
+    message: 'Public holiday created successfully',
+  });
+});
+
+/**
+ * Update a national holiday
+ *
+ * PUT /api/v1/admin/holidays/:id
+ */
+export const updatePublicHoliday = asyncHandler(async (req, res) => {
+  const holiday = await ScheduleService.updatePublicHoliday(
+    req.params.id,
+    pickFields(req.body, HOLIDAY_FIELDS)
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      holiday,
+    },
+    message: 'Public holiday updated successfully',
+  });
+});
+
+/**
+ * Remove a date from the national holiday calendar
+ *
+ * DELETE /api/v1/admin/holidays/:id
+ */
+export const deletePublicHoliday = asyncHandler(async (req, res) => {
+  await ScheduleService.deletePublicHoliday(req.params.id);
+
+  res.status(200).json({
+    success: true,
+    message: 'Public holiday deleted successfully',
+  });
+});
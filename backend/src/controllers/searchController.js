@@ -6,6 +6,90 @@
 
 import * as searchService from '../services/searchService.js';
 import { AppError } from '../middleware/errorHandler.js';
+import { SUB_RATINGS } from '../utils/subRatings.js';
+
+/**
+ * Resolve open_now / open_at query parameters into a reference moment
+ *
+ * open_at takes precedence over open_now. Returns null when neither
+ * filter is requested.
+ *
+ * @param {string} openNow - 'true' to filter by current moment
+ * @param {string} openAt - ISO 8601 timestamp to filter by
+ * @returns {Date|null} Moment to evaluate working hours at
+ */
+function parseOpenFilter(openNow, openAt) {
+  if (openAt) {
+    const moment = new Date(openAt);
+    if (isNaN(moment.getTime())) {
+      throw new AppError('open_at must be a valid ISO 8601 timestamp', 422, 'VALIDATION_ERROR');
+    }
+    return moment;
+  }
+
+  if (openNow !== undefined && !['true', 'false', '1', '0'].includes(String(openNow))) {
+    throw new AppError('open_now must be true or false', 422, 'VALIDATION_ERROR');
+  }
+
+  return openNow === 'true' || openNow === '1' ? new Date() : null;
+}
+
+/**
+ * Resolve min_check / max_check / features query parameters
+ *
+ * Features may be sent as features[]=wifi&features[]=terrace or as a
+ * comma-separated string. Value checks are done by searchService.
+ *
+ * @param {Object} query - Express req.query
+ * @returns {Object} { minCheck, maxCheck, features }
+ */
+function parseAttributeFilters({ min_check: minCheck, max_check: maxCheck, features }) {
+  const parseCheck = (value, name) => {
+    if (value === undefined || value === '') {
+      return null;
+    }
+    const amount = Number(value);
+    if (isNaN(amount)) {
+      throw new AppError(`${name} must be a number`, 422, 'VALIDATION_ERROR');
+    }
+    return amount;
+  };
+
+  const featureList = features
+    ? (Array.isArray(features) ? features : features.split(',')).map(f => String(f).trim()).filter(Boolean)
+    : null;
+
+  return {
+    minCheck: parseCheck(minCheck, 'min_check'),
+    maxCheck: parseCheck(maxCheck, 'max_check'),
+    features: featureList && featureList.length > 0 ? featureList : null,
+  };
+}
+
+/**
+ * Resolve minFoodRating / minServiceRating / minAtmosphereRating /
+ * minValueRating query parameters
+ *
+ * @param {Object} query - Express req.query
+ * @returns {Object|null} Minimum average per dimension, e.g. { food: 4 },
+ *   or null when none is requested
+ */
+function parseSubRatingFilters(query) {
+  const minimums = {};
+
+  for (const { dimension, filter } of SUB_RATINGS) {
+    if (query[filter] === undefined || query[filter] === '') {
+      continue;
+    }
+    const value = parseFloat(query[filter]);
+    if (isNaN(value) || value < 1 || value > 5) {
+      throw new AppError(`${filter} must be between 1 and 5`, 422, 'VALIDATION_ERROR');
+    }
+    minimums[dimension] = value;
+  }
+
+  return Object.keys(minimums).length > 0 ? minimums : null;
+}
 
 /**
  * Search establishments by radius
@@ -19,8 +103,24 @@ import { AppError } from '../middleware/errorHandler.js';
  * - cuisines (optional): Comma-separated cuisines
  * - priceRange (optional): Price range ($, $$, $$$, $$$$)
  * - minRating (optional): Minimum rating (1-5)
+ * - minFoodRating, minServiceRating, minAtmosphereRating, minValueRating
+ *   (optional): Minimum average of the sub-rating (1-5)
+ * - open_now (optional): Only establishments open right now (true/false)
+ * - open_at (optional): Only establishments open at ISO 8601 timestamp
+ * - q (optional): Free-text query (name, description, categories, cuisines)
+ * - min_check (optional): Minimum average check in BYN
+ * - max_check (optional): Maximum average check in BYN
+ * - features (optional): Required features, features[]=wifi or comma-separated
+ * - organization_id (optional): Only branches of this organization (chain)
+ * - dish (optional): Only establishments whose menu has a matching dish
+ * - collapse_branches (optional): Only the nearest branch of each organization (true/false)
+ * - sort (optional): distance, rating, review_count, price_asc, price_desc, newest, relevance
+ * - cursor (optional): next_cursor from previous page (keyset pagination, distance sort only)
+ * - pagination (optional): cursor to start keyset pagination on the first page, or offset
+ * - include_total (optional): Whether to count total results (true/false)
  * - limit (optional): Results per page (default: 20, max: 100)
- * - offset (optional): Pagination offset (default: 0)
+ * - page (optional): Page number (compatibility mode)
+ * - offset (optional): Pagination offset (compatibility mode, default: 0)
  */
 export async function searchEstablishments(req, res, next) {
   try {
@@ -32,6 +132,16 @@ export async function searchEstablishments(req, res, next) {
       cuisines,
       priceRange,
       minRating,
+      open_now: openNow,
+      open_at: openAt,
+      q,
+      organization_id: organizationId,
+      dish,
+      collapse_branches: collapseBranches,
+      sort,
+      cursor,
+      pagination,
+      include_total: includeTotal,
       limit,
       page,
       offset
@@ -66,6 +176,13 @@ export async function searchEstablishments(req, res, next) {
     if (minRatingValue && (isNaN(minRatingValue) || minRatingValue < 1 || minRatingValue > 5)) {
       throw new AppError('minRating must be between 1 and 5', 422, 'VALIDATION_ERROR');
     }
+    const minSubRatings = parseSubRatingFilters(req.query);
+
+    // Parse open-now filter (optional)
+    const openAtValue = parseOpenFilter(openNow, openAt);
+
+    // Parse average check and features filters (optional)
+    const attributeFilters = parseAttributeFilters(req.query);
 
     // Parse pagination (support both page and offset)
     const limitValue = limit ? parseInt(limit, 10) : 20;
@@ -94,6 +211,17 @@ export async function searchEstablishments(req, res, next) {
       throw new AppError('Invalid limit parameter', 422, 'VALIDATION_ERROR');
     }
 
+    // Parse include_total (optional, service picks default per pagination mode)
+    if (includeTotal !== undefined && !['true', 'false'].includes(includeTotal)) {
+      throw new AppError('include_total must be true or false', 422, 'VALIDATION_ERROR');
+    }
+    const includeTotalValue = includeTotal === undefined ? null : includeTotal === 'true';
+
+    // Parse collapse_branches (optional)
+    if (collapseBranches !== undefined && !['true', 'false'].includes(collapseBranches)) {
+      throw new AppError('collapse_branches must be true or false', 422, 'VALIDATION_ERROR');
+    }
+
     // Execute search
     const result = await searchService.searchByRadius({
       latitude: lat,
@@ -103,6 +231,17 @@ export async function searchEstablishments(req, res, next) {
       cuisines: cuisineList,
       priceRange,
       minRating: minRatingValue,
+      minSubRatings,
+      openAt: openAtValue,
+      q,
+      ...attributeFilters,
+      organizationId: organizationId || null,
+      dish: dish || null,
+      collapseBranches: collapseBranches === 'true',
+      sort,
+      cursor: cursor || null,
+      pagination: pagination || null,
+      includeTotal: includeTotalValue,
       limit: limitValue,
       offset: finalOffset,
       page: finalPage
@@ -130,6 +269,17 @@ export async function searchEstablishments(req, res, next) {
  * - cuisines (optional): Comma-separated cuisines
  * - priceRange (optional): Price range ($, $$, $$$, $$$$)
  * - minRating (optional): Minimum rating (1-5)
+ * - minFoodRating, minServiceRating, minAtmosphereRating, minValueRating
+ *   (optional): Minimum average of the sub-rating (1-5)
+ * - open_now (optional): Only establishments open right now (true/false)
+ * - open_at (optional): Only establishments open at ISO 8601 timestamp
+ * - q (optional): Free-text query (name, description, categories, cuisines)
+ * - min_check (optional): Minimum average check in BYN
+ * - max_check (optional): Maximum average check in BYN
+ * - features (optional): Required features, features[]=wifi or comma-separated
+ * - organization_id (optional): Only branches of this organization (chain)
+ * - dish (optional): Only establishments whose menu has a matching dish
+ * - zoom (optional): Map zoom level 0-22; up to 14 returns clusters
  * - limit (optional): Results limit (default: 100, max: 500)
  */
 export async function searchMap(req, res, next) {
@@ -147,6 +297,12 @@ export async function searchMap(req, res, next) {
       cuisines,
       priceRange,
       minRating,
+      open_now: openNow,
+      open_at: openAt,
+      q,
+      organization_id: organizationId,
+      dish,
+      zoom,
       limit
     } = req.query;
 
@@ -175,12 +331,25 @@ export async function searchMap(req, res, next) {
     if (minRatingValue && (isNaN(minRatingValue) || minRatingValue < 1 || minRatingValue > 5)) {
       throw new AppError('minRating must be between 1 and 5', 422, 'VALIDATION_ERROR');
     }
+    const minSubRatings = parseSubRatingFilters(req.query);
+
+    // Parse open-now filter (optional)
+    const openAtValue = parseOpenFilter(openNow, openAt);
+
+    // Parse average check and features filters (optional)
+    const attributeFilters = parseAttributeFilters(req.query);
 
     const limitValue = limit ? parseInt(limit, 10) : 100;
     if (isNaN(limitValue)) {
       throw new AppError('Invalid limit parameter', 422, 'VALIDATION_ERROR');
     }
 
+    // Parse zoom (optional, enables clustering at low zoom levels)
+    const zoomValue = zoom !== undefined ? Number(zoom) : null;
+    if (zoomValue !== null && !Number.isInteger(zoomValue)) {
+      throw new AppError('Zoom must be an integer', 422, 'VALIDATION_ERROR');
+    }
+
     // Execute bounds search
     const result = await searchService.searchByBounds({
       ...bounds,
@@ -188,6 +357,13 @@ export async function searchMap(req, res, next) {
       cuisines: cuisineList,
       priceRange,
       minRating: minRatingValue,
+      minSubRatings,
+      openAt: openAtValue,
+      q,
+      ...attributeFilters,
+      organizationId: organizationId || null,
+      dish: dish || null,
+      zoom: zoomValue,
       limit: limitValue
     });
 
@@ -200,6 +376,163 @@ export async function searchMap(req, res, next) {
   }
 }
 
+/**
+ * Browse establishments of a city without coordinates
+ * GET /api/v1/search/city/:city
+ *
+ * Path Parameters:
+ * - city (required): City from the supported list (Минск, Гродно, ...)
+ *
+ * Query Parameters:
+ * - district (optional): District/neighbourhood (alias: neighbourhood)
+ * - latitude / longitude (optional): User location for distances,
+ *   city centroid is used otherwise
+ * - categories, cuisines, priceRange, minRating, minFoodRating,
+ *   minServiceRating, minAtmosphereRating, minValueRating, open_now,
+ *   open_at, q, min_check, max_check, features, organization_id, dish
+ *   (optional): Same as radius search
+ * - sort (optional): popularity (default), rating, distance, relevance (default with q)
+ * - limit (optional): Results per page (default: 20, max: 100)
+ * - page (optional): Page number (default: 1)
+ */
+export async function searchCity(req, res, next) {
+  try {
+    const { city } = req.params;
+    const {
+      district,
+      neighbourhood,
+      latitude,
+      longitude,
+      categories,
+      cuisines,
+      priceRange,
+      minRating,
+      open_now: openNow,
+      open_at: openAt,
+      q,
+      organization_id: organizationId,
+      dish,
+      sort,
+      limit,
+      page
+    } = req.query;
+
+    // Location is optional but must be complete and numeric when given
+    let lat = null;
+    let lon = null;
+    if (latitude !== undefined || longitude !== undefined) {
+      lat = parseFloat(latitude);
+      lon = parseFloat(longitude);
+      if (isNaN(lat) || isNaN(lon)) {
+        throw new AppError('Invalid latitude or longitude', 422, 'VALIDATION_ERROR');
+      }
+    }
+
+    const categoryList = categories
+      ? (Array.isArray(categories) ? categories : categories.split(',')).map(c => c.trim()).filter(Boolean)
+      : null;
+
+    const cuisineList = cuisines
+      ? (Array.isArray(cuisines) ? cuisines : cuisines.split(',')).map(c => c.trim()).filter(Boolean)
+      : null;
+
+    const minRatingValue = minRating ? parseFloat(minRating) : null;
+    if (minRatingValue && (isNaN(minRatingValue) || minRatingValue < 1 || minRatingValue > 5)) {
+      throw new AppError('minRating must be between 1 and 5', 422, 'VALIDATION_ERROR');
+    }
+    const minSubRatings = parseSubRatingFilters(req.query);
+
+    // Parse open-now filter (optional)
+    const openAtValue = parseOpenFilter(openNow, openAt);
+
+    // Parse average check and features filters (optional)
+    const attributeFilters = parseAttributeFilters(req.query);
+
+    const limitValue = limit ? parseInt(limit, 10) : 20;
+    if (isNaN(limitValue)) {
+      throw new AppError('Invalid limit parameter', 422, 'VALIDATION_ERROR');
+    }
+
+    const pageValue = page ? parseInt(page, 10) : 1;
+    if (isNaN(pageValue)) {
+      throw new AppError('Page must be a positive integer', 422, 'VALIDATION_ERROR');
+    }
+
+    const result = await searchService.searchByCity({
+      city,
+      district: district ?? neighbourhood ?? null,
+      latitude: lat,
+      longitude: lon,
+      categories: categoryList,
+      cuisines: cuisineList,
+      priceRange,
+      minRating: minRatingValue,
+      minSubRatings,
+      openAt: openAtValue,
+      q,
+      ...attributeFilters,
+      organizationId: organizationId || null,
+      dish: dish || null,
+      sort,
+      limit: limitValue,
+      page: pageValue,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
+/**
+ * Autocomplete suggestions for the search bar
+ * GET /api/v1/search/suggest
+ *
+ * Query Parameters:
+ * - q (required): Prefix typed by the user (Latin or Cyrillic)
+ * - latitude (optional): User latitude for nearest-first establishment names
+ * - longitude (optional): User longitude
+ * - limit (optional): Max suggestions (default: 10, max: 20)
+ */
+export async function searchSuggest(req, res, next) {
+  try {
+    const { q, latitude, longitude, limit } = req.query;
+
+    // Location is optional but must be complete and numeric when given
+    let lat = null;
+    let lon = null;
+    if (latitude !== undefined || longitude !== undefined) {
+      lat = parseFloat(latitude);
+      lon = parseFloat(longitude);
+      if (isNaN(lat) || isNaN(lon)) {
+        throw new AppError('Invalid latitude or longitude', 422, 'VALIDATION_ERROR');
+      }
+    }
+
+    const limitValue = limit ? parseInt(limit, 10) : 10;
+    if (isNaN(limitValue)) {
+      throw new AppError('Invalid limit parameter', 422, 'VALIDATION_ERROR');
+    }
+
+    const result = await searchService.getSuggestions({
+      q,
+      latitude: lat,
+      longitude: lon,
+      limit: limitValue,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+}
+
 /**
  * Search system health check
  * GET /api/v1/search/health
@@ -222,5 +555,7 @@ export async function searchHealth(req, res, next) {
 export default {
   searchEstablishments,
   searchMap,
+  searchCity,
+  searchSuggest,
   searchHealth
 };
@@ -0,0 +1,119 @@
+/**
+ * Team Controller
+ *
+ * This controller handles HTTP requests for establishment team management
+ * and for the invitations of the authenticated user. It extracts data from
+ * requests, delegates to teamService and formats responses.
+ */
+
+import * as TeamService from '../services/teamService.js';
+import { asyncHandler } from '../middleware/errorHandler.js';
+
+/**
+ * Get team members and invitations of an establishment
+ *
+ * GET /api/v1/partner/establishments/:id/team
+ */
+export const getTeam = asyncHandler(async (req, res) => {
+  const { members, invitations } = await TeamService.getTeam(req.params.id, req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      members,
+      invitations,
+    },
+  });
+});
+
+/**
+ * Invite a user to the team
+ *
+ * POST /api/v1/partner/establishments/:id/team/invitations
+ */
+export const inviteMember = asyncHandler(async (req, res) => {
+  const invitation = await TeamService.inviteMember(req.params.id, req.user.userId, {
+    email: req.body.email,
+    phone: req.body.phone,
+    role: req.body.role,
+  });
+
+  res.status(201).json({
+    success: true,
+    data: {
+      invitation,
+    },
+    message: 'Invitation created successfully',
+  });
+});
+
+/**
+ * Revoke a member's access or withdraw an invitation
+ *
+ * DELETE /api/v1/partner/establishments/:id/team/:memberId
+ */
+export const revokeAccess = asyncHandler(async (req, res) => {
+  const member = await TeamService.revokeAccess(
+    req.params.id,
+    req.user.userId,
+    req.params.memberId
+  );
+
+  res.status(200).json({
+    success: true,
+    data: {
+      member,
+    },
+    message: 'Access revoked successfully',
+  });
+});
+
+/**
+ * List invitations waiting for the authenticated user
+ *
+ * GET /api/v1/partner/invitations
+ */
+export const getMyInvitations = asyncHandler(async (req, res) => {
+  const invitations = await TeamService.getMyInvitations(req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      invitations,
+    },
+  });
+});
+
+/**
+ * Accept an invitation
+ *
+ * POST /api/v1/partner/invitations/:id/accept
+ */
+export const acceptInvitation = asyncHandler(async (req, res) => {
+  const membership = await TeamService.acceptInvitation(req.params.id, req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      membership,
+    },
+    message: 'Invitation accepted',
+  });
+});
+
+/**
+ * Decline an invitation
+ *
+ * POST /api/v1/partner/invitations/:id/decline
+ */
+export const declineInvitation = asyncHandler(async (req, res) => {
+  const invitation = await TeamService.declineInvitation(req.params.id, req.user.userId);
+
+  res.status(200).json({
+    success: true,
+    data: {
+      invitation,
+    },
+    message: 'Invitation declined',
+  });
+});
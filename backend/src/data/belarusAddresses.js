@@ -0,0 +1,313 @@
+/**
+ * Belarus Address Dataset
+ *
+ * Local street reference used by the offline geocoder
+ * (utils/offlineGeocoder.js). Covers the cities in VALID_CITIES.
+ *
+ * Cities:
+ * - center: city centroid, same points as the search city centroids
+ * - radius_km: distance from the center still considered inside the city
+ *
+ * Streets:
+ * - type: canonical street type as produced by normalizeAddress
+ *   ('ул.', 'пр-т', 'пер.', 'б-р', 'пл.', 'ш.', 'наб.', 'тракт')
+ * - name: official street name
+ * - points: reference houses along the street, ordered by house number.
+ *   Coordinates of other houses are interpolated between them.
+ *
+ * To extend coverage add streets here; the geocoder needs no other change.
+ */
+
+export const BELARUS_ADDRESSES = {
+  Минск: {
+    center: { latitude: 53.9006, longitude: 27.559 },
+    radius_km: 16,
+    streets: [
+      {
+        type: 'пр-т',
+        name: 'Независимости',
+        points: [
+          { house: 1, latitude: 53.8962, longitude: 27.5485 },
+          { house: 16, latitude: 53.8985, longitude: 27.5545 },
+          { house: 40, latitude: 53.9086, longitude: 27.5752 },
+          { house: 65, latitude: 53.9224, longitude: 27.5937 },
+          { house: 95, latitude: 53.9299, longitude: 27.6268 },
+          { house: 117, latitude: 53.9334, longitude: 27.6483 },
+          { house: 186, latitude: 53.9452, longitude: 27.6957 },
+        ],
+      },
+      {
+        type: 'ул.',
+        name: 'Немига',
+        points: [
+          { house: 1, latitude: 53.9035, longitude: 27.5532 },
+          { house: 12, latitude: 53.9050, longitude: 27.5516 },
+          { house: 40, latitude: 53.9074, longitude: 27.5489 },
+        ],
+      },
+      {
+        type: 'пр-т',
+        name: 'Победителей',
+        points: [
+          { house: 1, latitude: 53.9076, longitude: 27.5478 },
+          { house: 9, latitude: 53.9093, longitude: 27.5418 },
+          { house: 65, latitude: 53.9268, longitude: 27.5089 },
+          { house: 84, latitude: 53.9331, longitude: 27.4938 },
+          { house: 135, latitude: 53.9495, longitude: 27.4715 },
+        ],
+      },
+      {
+        type: 'пр-т',
+        name: 'Дзержинского',
+        points: [
+          { house: 1, latitude: 53.8912, longitude: 27.5268 },
+          { house: 19, latitude: 53.8831, longitude: 27.5133 },
+          { house: 104, latitude: 53.8563, longitude: 27.4702 },
+        ],
+      },
+      {
+        type: 'ул.',
+        name: 'Притыцкого',
+        points: [
+          { house: 2, latitude: 53.9076, longitude: 27.4985 },
+          { house: 62, latitude: 53.9070, longitude: 27.4535 },
+          { house: 156, latitude: 53.9056, longitude: 27.4231 },
+        ],
+      },
+      {
+        type: 'ул.',
+        name: 'Ленина',
+        points: [
+          { house: 2, latitude: 53.8987, longitude: 27.5499 },
+          { house: 19, latitude: 53.9012, longitude: 27.5604 },
+        ],
+      },
+      {
+        type: 'ул.',
+        name: 'Зыбицкая',
+        points: [
+          { house: 2, latitude: 53.9061, longitude: 27.5578 },
+          { house: 9, latitude: 53.9072, longitude: 27.5562 },
+        ],
+      },
+      {
+        type: 'ул.',
+        name: 'Кальварийская',
+        points: [
+          { house: 1, latitude: 53.9081, longitude: 27.5379 },
+          { house: 33, latitude: 53.9128, longitude: 27.5021 },
+          { house: 62, latitude: 53.9151, longitude: 27.4812 },
+        ],
+      },
+      {
+        type: 'ул.',
+        name: 'Сурганова',
+        points: [
+          { house: 1, latitude: 53.9128, longitude: 27.5841 },
+          { house: 27, latitude: 53.9218, longitude: 27.5912 },
+          { house: 57, latitude: 53.9309, longitude: 27.5953 },
+        ],
+      },
+      {
+        type: 'ул.',
+        name: 'Октябрьская',
+        points: [
+          { house: 1, latitude: 53.8940, longitude: 27.5687 },
+          { house: 16, latitude: 53.8896, longitude: 27.5719 },
+          { house: 25, latitude: 53.8861, longitude: 27.5751 },
+        ],
+      },
+      {
+        type: 'пр-т',
+        name: 'Машерова',
+        points: [
+          { house: 1, latitude: 53.9143, longitude: 27.5648 },
+          { house: 17, latitude: 53.9157, longitude: 27.5516 },
+          { house: 78, latitude: 53.9212, longitude: 27.5223 },
+        ],
+      },
+      {
+        type: 'пл.',
+        name: 'Свободы',
+        points: [
+          { house: 1, latitude: 53.9036, longitude: 27.5563 },
+          { house: 23, latitude: 53.9044, longitude: 27.5571 },
+        ],
+      },
+    ],
+  },
+  Гродно: {
+    center: { latitude: 53.6694, longitude: 23.8131 },
+    radius_km: 10,
+    streets: [
+      {
+        type: 'ул.',
+        name: 'Советская',
+        points: [
+          { house: 1, latitude: 53.6781, longitude: 23.8318 },
+          { house: 31, latitude: 53.6812, longitude: 23.8391 },
+        ],
+      },
+      {
+        type: 'ул.',
+        name: 'Ожешко',
+        points: [
+          { house: 1, latitude: 53.6799, longitude: 23.8302 },
+          { house: 45, latitude: 53.6871, longitude: 23.8447 },
+        ],
+      },
+      {
+        type: 'ул.',
+        name: 'Горького',
+        points: [
+          { house: 1, latitude: 53.6861, longitude: 23.8452 },
+          { house: 91, latitude: 53.6981, longitude: 23.8638 },
+        ],
+      },
+    ],
+  },
+  Брест: {
+    center: { latitude: 52.0976, longitude: 23.7341 },
+    radius_km: 10,
+    streets: [
+      {
+        type: 'ул.',
+        name: 'Советская',
+        points: [
+          { house: 1, latitude: 52.0888, longitude: 23.6921 },
+          { house: 50, latitude: 52.0935, longitude: 23.6968 },
+          { house: 126, latitude: 52.0992, longitude: 23.7005 },
+        ],
+      },
+      {
+        type: 'ул.',
+        name: 'Гоголя',
+        points: [
+          { house: 1, latitude: 52.0931, longitude: 23.6844 },
+          { house: 87, latitude: 52.0952, longitude: 23.7156 },
+        ],
+      },
+      {
+        type: 'пр-т',
+        name: 'Машерова',
+        points: [
+          { house: 1, latitude: 52.0962, longitude: 23.6818 },
+          { house: 75, latitude: 52.0998, longitude: 23.7253 },
+        ],
+      },
+    ],
+  },
+  Гомель: {
+    center: { latitude: 52.4345, longitude: 30.9754 },
+    radius_km: 12,
+    streets: [
+      {
+        type: 'ул.',
+        name: 'Советская',
+        points: [
+          { house: 1, latitude: 52.4268, longitude: 31.0072 },
+          { house: 97, latitude: 52.4412, longitude: 30.9934 },
+          { house: 200, latitude: 52.4551, longitude: 30.9761 },
+        ],
+      },
+      {
+        type: 'пр-т',
+        name: 'Ленина',
+        points: [
+          { house: 1, latitude: 52.4237, longitude: 31.0108 },
+          { house: 51, latitude: 52.4362, longitude: 31.0004 },
+        ],
+      },
+      {
+        type: 'ул.',
+        name: 'Кирова',
+        points: [
+          { house: 1, latitude: 52.4296, longitude: 31.0005 },
+          { house: 119, latitude: 52.4469, longitude: 30.9781 },
+        ],
+      },
+    ],
+  },
+  Витебск: {
+    center: { latitude: 55.1904, longitude: 30.2049 },
+    radius_km: 10,
+    streets: [
+      {
+        type: 'ул.',
+        name: 'Ленина',
+        points: [
+          { house: 1, latitude: 55.1934, longitude: 30.2063 },
+          { house: 40, latitude: 55.1858, longitude: 30.2049 },
+        ],
+      },
+      {
+        type: 'ул.',
+        name: 'Суворова',
+        points: [
+          { house: 1, latitude: 55.1955, longitude: 30.2055 },
+          { house: 29, latitude: 55.1979, longitude: 30.2128 },
+        ],
+      },
+      {
+        type: 'пр-т',
+        name: 'Фрунзе',
+        points: [
+          { house: 1, latitude: 55.1893, longitude: 30.2132 },
+          { house: 81, latitude: 55.1822, longitude: 30.2451 },
+        ],
+      },
+    ],
+  },
+  Могилев: {
+    center: { latitude: 53.9007, longitude: 30.3313 },
+    radius_km: 10,
+    streets: [
+      {
+        type: 'ул.',
+        name: 'Первомайская',
+        points: [
+          { house: 1, latitude: 53.8946, longitude: 30.3319 },
+          { house: 77, latitude: 53.9127, longitude: 30.3405 },
+        ],
+      },
+      {
+        type: 'ул.',
+        name: 'Ленинская',
+        points: [
+          { house: 1, latitude: 53.8941, longitude: 30.3302 },
+          { house: 63, latitude: 53.9048, longitude: 30.3391 },
+        ],
+      },
+      {
+        type: 'пр-т',
+        name: 'Мира',
+        points: [
+          { house: 1, latitude: 53.9063, longitude: 30.3375 },
+          { house: 80, latitude: 53.9261, longitude: 30.3512 },
+        ],
+      },
+    ],
+  },
+  Бобруйск: {
+    center: { latitude: 53.1384, longitude: 29.2214 },
+    radius_km: 8,
+    streets: [
+      {
+        type: 'ул.',
+        name: 'Социалистическая',
+        points: [
+          { house: 1, latitude: 53.1461, longitude: 29.2325 },
+          { house: 121, latitude: 53.1342, longitude: 29.1958 },
+        ],
+      },
+      {
+        type: 'ул.',
+        name: 'Советская',
+        points: [
+          { house: 1, latitude: 53.1452, longitude: 29.2268 },
+          { house: 137, latitude: 53.1287, longitude: 29.2041 },
+        ],
+      },
+    ],
+  },
+};
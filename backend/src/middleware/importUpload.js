@@ -0,0 +1,45 @@
+import multer from 'multer';
+import { AppError } from './errorHandler.js';
+
+/**
+ * Upload middleware for establishment import files.
+ *
+ * Import files are parsed right away and never stored, so unlike media
+ * uploads (see mediaRoutes.js) they are kept in memory. The file is
+ * optional: without a multipart upload the rows are read from the JSON
+ * body instead, and req.file stays undefined.
+ *
+ * Accepted: CSV or JSON, field name 'file', up to 5MB.
+ */
+const IMPORT_MAX_FILE_SIZE = 5 * 1024 * 1024;
+
+const IMPORT_MIME_TYPES = [
+  'text/csv',
+  'application/csv',
+  'application/vnd.ms-excel',
+  'application/json',
+  'text/plain',
+];
+
+/**
+ * Accept CSV and JSON files by extension or MIME type.
+ *
+ * Browsers report CSV inconsistently (Excel on Windows sends
+ * application/vnd.ms-excel), so the extension is checked first.
+ */
+const fileFilter = (req, file, cb) => {
+  if (/\.(csv|json)$/i.test(file.originalname) || IMPORT_MIME_TYPES.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new AppError('Invalid file type. Only CSV and JSON files are allowed.', 422, 'IMPORT_FILE_INVALID'), false);
+  }
+};
+
+export const importUpload = multer({
+  storage: multer.memoryStorage(),
+  fileFilter,
+  limits: {
+    fileSize: IMPORT_MAX_FILE_SIZE,
+    files: 1,
+  },
+}).single('file');
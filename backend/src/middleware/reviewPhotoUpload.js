@@ -0,0 +1,67 @@
+import os from 'os';
+import path from 'path';
+import multer from 'multer';
+import { v4 as uuidv4 } from 'uuid';
+import { AppError } from './errorHandler.js';
+import { MAX_PHOTOS_PER_REVIEW, REVIEW_PHOTO_MAX_SIZE } from '../services/reviewPhotoService.js';
+
+/**
+ * Upload middleware for review photos.
+ *
+ * Files are written to the system temp directory and removed by
+ * reviewPhotoService.js after the Cloudinary upload. Limits are stricter
+ * than for establishment media (see mediaRoutes.js): up to
+ * MAX_PHOTOS_PER_REVIEW files of REVIEW_PHOTO_MAX_SIZE each.
+ *
+ * Accepted: JPEG, PNG, WebP or HEIC, field name 'photos'.
+ */
+const REVIEW_PHOTO_MIME_TYPES = ['image/jpeg', 'image/jpg', 'image/png', 'image/webp', 'image/heic'];
+
+/**
+ * Messages for multer limit errors, which would otherwise surface as 500
+ */
+const LIMIT_MESSAGES = {
+  LIMIT_FILE_SIZE: 'File size exceeds 5MB limit',
+  LIMIT_FILE_COUNT: `A review can have up to ${MAX_PHOTOS_PER_REVIEW} photos`,
+  LIMIT_UNEXPECTED_FILE: 'Photos must be sent in the \'photos\' field',
+};
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, os.tmpdir());
+  },
+  filename: (req, file, cb) => {
+    cb(null, `${uuidv4()}${path.extname(file.originalname)}`);
+  },
+});
+
+const fileFilter = (req, file, cb) => {
+  if (REVIEW_PHOTO_MIME_TYPES.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new AppError('Invalid file type. Accepted formats: JPEG, PNG, WebP, HEIC', 422, 'INVALID_FILE_TYPE'), false);
+  }
+};
+
+const upload = multer({
+  storage,
+  fileFilter,
+  limits: {
+    fileSize: REVIEW_PHOTO_MAX_SIZE,
+    files: MAX_PHOTOS_PER_REVIEW,
+  },
+}).array('photos', MAX_PHOTOS_PER_REVIEW);
+
+export const reviewPhotoUpload = (req, res, next) => {
+  upload(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      return next(new AppError(
+        LIMIT_MESSAGES[error.code] || error.message,
+        422,
+        error.code === 'LIMIT_FILE_SIZE' ? 'FILE_TOO_LARGE' : 'PHOTO_UPLOAD_INVALID'
+      ));
+    }
+
+    next(error);
+  });
+};
@@ -0,0 +1,545 @@
+/**
+ * Duplicate Model
+ *
+ * This model provides database access methods for duplicate establishment
+ * detection (migration 021): finding establishments that may be the same
+ * place, storing flagged pairs for moderators and merging two records.
+ *
+ * Scoring of candidates happens in services/duplicateService.js; this
+ * model only gathers the signals (trigram name similarity, distance,
+ * phone and website matches).
+ */
+
+import pool from '../config/database.js';
+import * as ModerationModel from './moderationModel.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Summary of an establishment shown on both sides of a candidate pair
+ *
+ * @param {string} alias - Table alias of the establishment
+ * @returns {string} json_build_object expression
+ */
+const establishmentSummary = (alias) => `json_build_object(
+  'id', ${alias}.id,
+  'partner_id', ${alias}.partner_id,
+  'name', ${alias}.name,
+  'city', ${alias}.city,
+  'address', ${alias}.address,
+  'phone', ${alias}.phone,
+  'website', ${alias}.website,
+  'status', ${alias}.status,
+  'review_count', ${alias}.review_count,
+  'created_at', ${alias}.created_at
+)`;
+
+const CANDIDATE_FIELDS = [
+  'id',
+  'establishment_id',
+  'duplicate_of_id',
+  'score',
+  'name_similarity',
+  'distance_m',
+  'phone_match',
+  'website_match',
+  'detected_on',
+  'status',
+  'resolved_by',
+  'resolved_at',
+  'resolution_note',
+  'created_at',
+  'updated_at',
+];
+
+const CANDIDATE_COLUMNS = CANDIDATE_FIELDS.map(field => `c.${field}`).join(', ');
+
+const CANDIDATE_PAIR_COLUMNS = `
+  ${CANDIDATE_COLUMNS},
+  ${establishmentSummary('e')} AS establishment,
+  ${establishmentSummary('d')} AS duplicate_of
+`;
+
+/**
+ * Find establishments that may be the same place as an establishment
+ *
+ * A row qualifies when it lies within radiusM, or is in the same city and
+ * has a similar name (pg_trgm % operator) or the same phone or website.
+ * Merged establishments and branches of the same organization are skipped.
+ *
+ * @param {Object} establishment - Establishment being checked
+ * @param {Object} options - Search options
+ * @param {number} options.radiusM - Distance in meters considered nearby
+ * @param {number} options.limit - Maximum number of rows
+ * @returns {Promise<Array>} Rows with name_similarity, distance_m,
+ *   phone_match and website_match
+ */
+export const findPotentialDuplicates = async (establishment, { radiusM, limit }) => {
+  const query = `
+    WITH reference AS (
+      SELECT
+        ST_SetSRID(ST_MakePoint($4, $3), 4326)::geography AS point,
+        normalize_phone($5) AS phone,
+        normalize_website($6) AS website
+    )
+    SELECT
+      e.id,
+      e.partner_id,
+      e.name,
+      e.city,
+      e.address,
+      e.status,
+      similarity(lower(e.name), lower($2)) AS name_similarity,
+      ST_Distance(e.location, r.point) AS distance_m,
+      COALESCE(normalize_phone(e.phone) = r.phone, false) AS phone_match,
+      COALESCE(normalize_website(e.website) = r.website, false) AS website_match
+    FROM establishments e
+    CROSS JOIN reference r
+    WHERE e.id <> $1
+      AND e.merged_into_id IS NULL
+      AND ($7::uuid IS NULL OR e.organization_id IS DISTINCT FROM $7::uuid)
+      AND (
+        ST_DWithin(e.location, r.point, $8)
+        OR (
+          e.city = $9
+          AND (
+            e.name % $2
+            OR normalize_phone(e.phone) = r.phone
+            OR normalize_website(e.website) = r.website
+          )
+        )
+      )
+    ORDER BY distance_m ASC
+    LIMIT $10
+  `;
+
+  try {
+    const result = await pool.query(query, [
+      establishment.id,
+      establishment.name,
+      establishment.latitude,
+      establishment.longitude,
+      establishment.phone || null,
+      establishment.website || null,
+      establishment.organization_id || null,
+      radiusM,
+      establishment.city,
+      limit,
+    ]);
+
+    return result.rows.map(row => ({
+      ...row,
+      name_similarity: parseFloat(row.name_similarity),
+      distance_m: row.distance_m === null ? null : parseFloat(row.distance_m),
+    }));
+  } catch (error) {
+    logger.error('Error finding potential duplicates', {
+      error: error.message,
+      establishmentId: establishment.id,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Store flagged duplicate pairs
+ *
+ * A pair already stored is refreshed while it is open; dismissed and
+ * merged pairs keep their resolution.
+ *
+ * @param {string} establishmentId - UUID of the checked establishment
+ * @param {Array<Object>} candidates - Scored candidates
+ * @param {string} detectedOn - 'create' or 'submit'
+ * @returns {Promise<Array>} Open candidate rows
+ */
+export const saveCandidates = async (establishmentId, candidates, detectedOn) => {
+  const query = `
+    INSERT INTO establishment_duplicate_candidates (
+      establishment_id,
+      duplicate_of_id,
+      score,
+      name_similarity,
+      distance_m,
+      phone_match,
+      website_match,
+      detected_on
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    ON CONFLICT (LEAST(establishment_id, duplicate_of_id), GREATEST(establishment_id, duplicate_of_id))
+    DO UPDATE SET
+      score = EXCLUDED.score,
+      name_similarity = EXCLUDED.name_similarity,
+      distance_m = EXCLUDED.distance_m,
+      phone_match = EXCLUDED.phone_match,
+      website_match = EXCLUDED.website_match,
+      detected_on = EXCLUDED.detected_on,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE establishment_duplicate_candidates.status = 'open'
+    RETURNING ${CANDIDATE_FIELDS.join(', ')}
+  `;
+
+  try {
+    const saved = [];
+    for (const candidate of candidates) {
+      const result = await pool.query(query, [
+        establishmentId,
+        candidate.id,
+        candidate.score,
+        candidate.name_similarity,
+        candidate.distance_m,
+        candidate.phone_match,
+        candidate.website_match,
+        detectedOn,
+      ]);
+      saved.push(...result.rows);
+    }
+
+    return saved;
+  } catch (error) {
+    logger.error('Error saving duplicate candidates', {
+      error: error.message,
+      establishmentId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Get duplicate candidates involving an establishment, best match first
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {string} status - Candidate status (default: 'open')
+ * @returns {Promise<Array>} Candidates with both establishment summaries
+ */
+export const getCandidatesForEstablishment = async (establishmentId, status = 'open') => {
+  const query = `
+    SELECT ${CANDIDATE_PAIR_COLUMNS}
+    FROM establishment_duplicate_candidates c
+    JOIN establishments e ON e.id = c.establishment_id
+    JOIN establishments d ON d.id = c.duplicate_of_id
+    WHERE (c.establishment_id = $1 OR c.duplicate_of_id = $1)
+      AND c.status = $2
+    ORDER BY c.score DESC, c.created_at ASC
+  `;
+
+  try {
+    const result = await pool.query(query, [establishmentId, status]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error fetching establishment duplicate candidates', {
+      error: error.message,
+      establishmentId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * List duplicate candidates, best match first
+ *
+ * @param {Object} filters - List filters
+ * @param {string} filters.status - Candidate status
+ * @param {number} filters.limit - Maximum number of results
+ * @param {number} filters.offset - Number of results to skip
+ * @returns {Promise<Array>} Candidates with both establishment summaries
+ */
+export const listCandidates = async ({ status, limit, offset }) => {
+  const query = `
+    SELECT ${CANDIDATE_PAIR_COLUMNS}
+    FROM establishment_duplicate_candidates c
+    JOIN establishments e ON e.id = c.establishment_id
+    JOIN establishments d ON d.id = c.duplicate_of_id
+    WHERE c.status = $1
+    ORDER BY c.score DESC, c.created_at ASC, c.id ASC
+    LIMIT $2 OFFSET $3
+  `;
+
+  try {
+    const result = await pool.query(query, [status, limit, offset]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error listing duplicate candidates', {
+      error: error.message,
+      status,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Count duplicate candidates with a status
+ *
+ * @param {string} status - Candidate status
+ * @returns {Promise<number>} Number of candidates
+ */
+export const countCandidates = async (status) => {
+  const query = `
+    SELECT COUNT(*) AS count
+    FROM establishment_duplicate_candidates
+    WHERE status = $1
+  `;
+
+  try {
+    const result = await pool.query(query, [status]);
+    return parseInt(result.rows[0].count, 10);
+  } catch (error) {
+    logger.error('Error counting duplicate candidates', {
+      error: error.message,
+      status,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Find a duplicate candidate by ID
+ *
+ * @param {string} candidateId - UUID of the candidate
+ * @returns {Promise<Object|null>} Candidate or null
+ */
+export const findCandidateById = async (candidateId) => {
+  const query = `
+    SELECT ${CANDIDATE_COLUMNS}
+    FROM establishment_duplicate_candidates c
+    WHERE c.id = $1
+  `;
+
+  try {
+    const result = await pool.query(query, [candidateId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error finding duplicate candidate', {
+      error: error.message,
+      candidateId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Dismiss an open candidate as not a duplicate
+ *
+ * @param {string} candidateId - UUID of the candidate
+ * @param {string} adminId - UUID of the acting admin
+ * @param {string|null} note - Optional note
+ * @returns {Promise<Object|null>} Updated candidate, or null if it was not open
+ */
+export const dismissCandidate = async (candidateId, adminId, note = null) => {
+  const query = `
+    UPDATE establishment_duplicate_candidates
+    SET
+      status = 'dismissed',
+      resolved_by = $2,
+      resolved_at = CURRENT_TIMESTAMP,
+      resolution_note = $3,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1 AND status = 'open'
+    RETURNING ${CANDIDATE_FIELDS.join(', ')}
+  `;
+
+  try {
+    const result = await pool.query(query, [candidateId, adminId, note]);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error dismissing duplicate candidate', {
+      error: error.message,
+      candidateId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Merge one establishment into another
+ *
+ * In one transaction:
+ * - reviews move to the kept establishment; when a user reviewed both,
+ *   the review of the merged establishment is soft-deleted
+ * - favorites move, users who saved both keep one favorite
+ * - media move after the kept establishment's photos of the same type;
+ *   the merged primary photo stays primary only if the kept one has none
+ * - review photos and partner replies follow their reviews, so the
+ *   visitor gallery and the reply queue show the kept establishment
+ * - the merged establishment is suspended with merged_into_id set and a
+ *   'merge' moderation log entry
+ * - open candidates involving the merged establishment are closed as
+ *   'merged'
+ *
+ * Rating aggregates are recalculated by the caller.
+ *
+ * @param {string} sourceId - UUID of the establishment merged away
+ * @param {string} targetId - UUID of the establishment kept
+ * @param {Object} options - Merge options
+ * @param {string} options.adminId - UUID of the acting admin
+ * @param {string|null} options.note - Optional note
+ * @returns {Promise<Object|null>} { reviews, duplicate_reviews, favorites,
+ *   media, review_photos, review_replies } moved counts, or null if either establishment was merged
+ *   meanwhile
+ */
+export const mergeEstablishments = async (sourceId, targetId, { adminId, note = null }) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const locked = await client.query(
+      `SELECT id, status, merged_into_id
+       FROM establishments
+       WHERE id = ANY($1::uuid[])
+       ORDER BY id
+       FOR UPDATE`,
+      [[sourceId, targetId]]
+    );
+
+    const source = locked.rows.find(row => row.id === sourceId);
+    if (locked.rows.length !== 2 || locked.rows.some(row => row.merged_into_id)) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const duplicateReviews = await client.query(
+      `UPDATE reviews r
+       SET is_deleted = true, updated_at = CURRENT_TIMESTAMP
+       WHERE r.establishment_id = $1
+         AND r.is_deleted = false
+         AND EXISTS (
+           SELECT 1 FROM reviews t
+           WHERE t.establishment_id = $2
+             AND t.user_id = r.user_id
+             AND t.is_deleted = false
+         )`,
+      [sourceId, targetId]
+    );
+
+    const reviews = await client.query(
+      `UPDATE reviews
+       SET establishment_id = $2
+       WHERE establishment_id = $1`,
+      [sourceId, targetId]
+    );
+
+    const reviewPhotos = await client.query(
+      `UPDATE review_photos
+       SET establishment_id = $2
+       WHERE establishment_id = $1`,
+      [sourceId, targetId]
+    );
+
+    const reviewReplies = await client.query(
+      `UPDATE review_replies
+       SET establishment_id = $2
+       WHERE establishment_id = $1`,
+      [sourceId, targetId]
+    );
+
+    const favorites = await client.query(
+      `INSERT INTO favorites (user_id, establishment_id, created_at)
+       SELECT user_id, $2, created_at
+       FROM favorites
+       WHERE establishment_id = $1
+       ON CONFLICT (user_id, establishment_id) DO NOTHING`,
+      [sourceId, targetId]
+    );
+
+    await client.query('DELETE FROM favorites WHERE establishment_id = $1', [sourceId]);
+
+    const media = await client.query(
+      `UPDATE establishment_media m
+       SET
+         establishment_id = $2,
+         position = m.position + COALESCE((
+           SELECT MAX(t.position) + 1
+           FROM establishment_media t
+           WHERE t.establishment_id = $2 AND t.type = m.type
+         ), 0),
+         is_primary = m.is_primary AND NOT EXISTS (
+           SELECT 1 FROM establishment_media t
+           WHERE t.establishment_id = $2 AND t.is_primary = true
+         )
+       WHERE m.establishment_id = $1`,
+      [sourceId, targetId]
+    );
+
+    await client.query(
+      `UPDATE establishments e
+       SET
+         favorite_count = (SELECT COUNT(*) FROM favorites f WHERE f.establishment_id = e.id),
+         primary_image_url = CASE
+           WHEN e.id = $2 THEN COALESCE(e.primary_image_url, (
+             SELECT m.url FROM establishment_media m
+             WHERE m.establishment_id = e.id AND m.is_primary = true
+             LIMIT 1
+           ))
+           ELSE NULL
+         END,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE e.id IN ($1, $2)`,
+      [sourceId, targetId]
+    );
+
+    await client.query(
+      `UPDATE establishments
+       SET
+         status = 'suspended',
+         merged_into_id = $2,
+         merged_at = CURRENT_TIMESTAMP,
+         moderation_notes = $3,
+         moderated_by = $4,
+         moderated_at = CURRENT_TIMESTAMP
+       WHERE id = $1`,
+      [sourceId, targetId, note, adminId]
+    );
+
+    await ModerationModel.createLogEntry({
+      establishment_id: sourceId,
+      action: 'merge',
+      from_status: source.status,
+      to_status: 'suspended',
+      reason: note,
+      actor_id: adminId,
+      actor_role: 'admin',
+    }, client);
+
+    await client.query(
+      `UPDATE establishment_duplicate_candidates
+       SET
+         status = 'merged',
+         resolved_by = $2,
+         resolved_at = CURRENT_TIMESTAMP,
+         resolution_note = $3,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE status = 'open'
+         AND (establishment_id = $1 OR duplicate_of_id = $1)`,
+      [sourceId, adminId, note]
+    );
+
+    await client.query('COMMIT');
+
+    const moved = {
+      reviews: reviews.rowCount,
+      duplicate_reviews: duplicateReviews.rowCount,
+      favorites: favorites.rowCount,
+      media: media.rowCount,
+      review_photos: reviewPhotos.rowCount,
+      review_replies: reviewReplies.rowCount,
+    };
+
+    logger.info('Establishments merged', {
+      sourceId,
+      targetId,
+      adminId,
+      ...moved,
+    });
+
+    return moved;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error merging establishments', {
+      error: error.message,
+      sourceId,
+      targetId,
+    });
+    throw error;
+  } finally {
+    client.release();
+  }
+};
@@ -19,17 +19,32 @@
 import pool from '../config/database.js';
 import logger from '../utils/logger.js';
 
+/**
+ * Establishments shared with user $1 through an active team membership
+ * (migration 017)
+ */
+const ACTIVE_MEMBER_CONDITION = `EXISTS(
+  SELECT 1
+  FROM establishment_members m
+  WHERE m.establishment_id = e.id
+    AND m.user_id = $1
+    AND m.status = 'active'
+)`;
+
 /**
  * Create a new establishment in the database
  * 
  * This function inserts a new establishment with 'draft' status, allowing
  * partners to build their listing incrementally before submission.
+ * The location geography column is populated from latitude/longitude so
+ * the establishment is immediately reachable by index-backed search.
  * 
  * @param {Object} establishmentData - The establishment data to insert
  * @param {string} establishmentData.partner_id - UUID of the partner creating the establishment
  * @param {string} establishmentData.name - Establishment name (1-255 characters)
  * @param {string} establishmentData.description - Optional description (max 2000 characters)
  * @param {string} establishmentData.city - City from valid enum (Минск, Гродно, etc.)
+ * @param {string} establishmentData.district - Optional district/neighbourhood within the city
  * @param {string} establishmentData.address - Full street address
  * @param {number} establishmentData.latitude - Latitude coordinate (51.0-56.0 for Belarus)
  * @param {number} establishmentData.longitude - Longitude coordinate (23.0-33.0 for Belarus)
@@ -42,15 +57,18 @@ import logger from '../utils/logger.js';
  * @param {Object} establishmentData.working_hours - JSONB object with daily hours
  * @param {Object} establishmentData.special_hours - Optional JSONB for special hours
  * @param {Object} establishmentData.attributes - Optional JSONB for establishment attributes
+ * @param {string} establishmentData.external_id - Optional partner-side ID used by imports
+ * @param {Object} client - Optional transaction client (default: pool)
  * @returns {Promise<Object>} The created establishment with all database fields
  * @throws {Error} If database operation fails
  */
-export const createEstablishment = async (establishmentData) => {
+export const createEstablishment = async (establishmentData, client = pool) => {
   const {
     partner_id,
     name,
     description,
     city,
+    district,
     address,
     latitude,
     longitude,
@@ -63,6 +81,8 @@ export const createEstablishment = async (establishmentData) => {
     working_hours,
     special_hours,
     attributes,
+    organization_id,
+    external_id,
   } = establishmentData;
 
   const query = `
@@ -71,6 +91,7 @@ export const createEstablishment = async (establishmentData) => {
       name,
       description,
       city,
+      district,
       address,
       latitude,
       longitude,
@@ -83,6 +104,7 @@ export const createEstablishment = async (establishmentData) => {
       working_hours,
       special_hours,
       attributes,
+      location,
       status,
       subscription_tier,
       base_score,
@@ -90,15 +112,24 @@ export const createEstablishment = async (establishmentData) => {
       view_count,
       favorite_count,
       review_count,
-      average_rating
+      average_rating,
+      organization_id,
+      external_id
+    )
+    VALUES (
+      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17,
+      ST_SetSRID(ST_MakePoint($19, $18), 4326)::geography,
+      'draft', 'free', 0, 0, 0, 0, 0, 0.0,
+      $20,
+      $21
     )
-    VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, 'draft', 'free', 0, 0, 0, 0, 0, 0.0)
     RETURNING 
       id,
       partner_id,
       name,
       description,
       city,
+      district,
       address,
       latitude,
       longitude,
@@ -111,6 +142,8 @@ export const createEstablishment = async (establishmentData) => {
       working_hours,
       special_hours,
       attributes,
+      organization_id,
+      external_id,
       status,
       subscription_tier,
       subscription_started_at,
@@ -131,6 +164,7 @@ export const createEstablishment = async (establishmentData) => {
     name,
     description,
     city,
+    district || null,
     address,
     latitude,
     longitude,
@@ -143,10 +177,15 @@ export const createEstablishment = async (establishmentData) => {
     working_hours ? JSON.stringify(working_hours) : JSON.stringify({}), // Convert object to JSONB, default to empty object
     special_hours ? JSON.stringify(special_hours) : null,
     attributes ? JSON.stringify(attributes) : '{}',
+    // Repeated for the geography column: ST_MakePoint needs float8 parameters
+    latitude,
+    longitude,
+    organization_id || null,
+    external_id || null,
   ];
 
   try {
-    const result = await pool.query(query, values);
+    const result = await client.query(query, values);
     
     logger.info('Establishment created', {
       establishmentId: result.rows[0].id,
@@ -181,6 +220,7 @@ export const findEstablishmentById = async (establishmentId, includeAll = false)
       name,
       description,
       city,
+      district,
       address,
       latitude,
       longitude,
@@ -193,6 +233,13 @@ export const findEstablishmentById = async (establishmentId, includeAll = false)
       working_hours,
       special_hours,
       attributes,
+      features,
+      organization_id,
+      merged_into_id,
+      is_24_hours,
+      observes_public_holidays,
+      average_check_byn,
+      primary_image_url,
       status,
       moderation_notes,
       moderated_by,
@@ -206,6 +253,10 @@ export const findEstablishmentById = async (establishmentId, includeAll = false)
       favorite_count,
       review_count,
       average_rating,
+      average_food_rating,
+      average_service_rating,
+      average_atmosphere_rating,
+      average_value_rating,
       created_at,
       updated_at,
       published_at
@@ -240,9 +291,12 @@ export const findEstablishmentById = async (establishmentId, includeAll = false)
  * Get all establishments for a specific partner
  * 
  * This query supports pagination and filtering by status for the partner dashboard.
- * Results are ordered by creation date (newest first).
+ * Results are ordered by creation date (newest first). Establishments the
+ * user manages as a team member are included, with team_role telling the
+ * user's role ('owner' for the partner's own establishments). media_counts
+ * (count by media type) feeds the completeness score.
  * 
- * @param {string} partnerId - UUID of the partner
+ * @param {string} partnerId - UUID of the partner or team member
  * @param {Object} filters - Filter options
  * @param {string} filters.status - Optional status filter ('draft', 'pending', 'active', 'suspended')
  * @param {number} filters.limit - Maximum number of results (default: 20)
@@ -257,12 +311,12 @@ export const getEstablishmentsByPartner = async (partnerId, filters = {}) => {
   } = filters;
 
   // Build dynamic WHERE clause based on filters
-  const conditions = ['partner_id = $1'];
+  const conditions = [`(e.partner_id = $1 OR ${ACTIVE_MEMBER_CONDITION})`];
   const values = [partnerId];
   let paramCount = 2;
 
   if (status) {
-    conditions.push(`status = $${paramCount}`);
+    conditions.push(`e.status = $${paramCount}`);
     values.push(status);
     paramCount++;
   }
@@ -277,6 +331,7 @@ export const getEstablishmentsByPartner = async (partnerId, filters = {}) => {
       e.name,
       e.description,
       e.city,
+      e.district,
       e.address,
       e.latitude,
       e.longitude,
@@ -286,6 +341,9 @@ export const getEstablishmentsByPartner = async (partnerId, filters = {}) => {
       e.categories,
       e.cuisines,
       e.price_range,
+      e.working_hours,
+      e.attributes,
+      e.organization_id,
       e.status,
       e.subscription_tier,
       e.subscription_started_at,
@@ -297,6 +355,16 @@ export const getEstablishmentsByPartner = async (partnerId, filters = {}) => {
       e.created_at,
       e.updated_at,
       e.published_at,
+      CASE
+        WHEN e.partner_id = $1 THEN 'owner'
+        ELSE (
+          SELECT m.role
+          FROM establishment_members m
+          WHERE m.establishment_id = e.id
+            AND m.user_id = $1
+            AND m.status = 'active'
+        )
+      END as team_role,
       (
         SELECT json_build_object(
           'url', url,
@@ -306,7 +374,16 @@ export const getEstablishmentsByPartner = async (partnerId, filters = {}) => {
         WHERE establishment_id = e.id
           AND is_primary = true
         LIMIT 1
-      ) as primary_photo
+      ) as primary_photo,
+      (
+        SELECT COALESCE(json_object_agg(counts.type, counts.count), '{}'::json)
+        FROM (
+          SELECT type, COUNT(*)::int as count
+          FROM establishment_media
+          WHERE establishment_id = e.id
+          GROUP BY type
+        ) counts
+      ) as media_counts
     FROM establishments e
     WHERE ${conditions.join(' AND ')}
     ORDER BY e.created_at DESC
@@ -337,24 +414,25 @@ export const getEstablishmentsByPartner = async (partnerId, filters = {}) => {
 /**
  * Count total establishments for a partner
  * 
- * Used for pagination metadata. Can be filtered by status.
+ * Used for pagination metadata. Can be filtered by status. Counts the same
+ * establishments as getEstablishmentsByPartner, team memberships included.
  * 
- * @param {string} partnerId - UUID of the partner
+ * @param {string} partnerId - UUID of the partner or team member
  * @param {string} status - Optional status filter
  * @returns {Promise<number>} Total count of establishments
  */
 export const countPartnerEstablishments = async (partnerId, status = null) => {
-  const conditions = ['partner_id = $1'];
+  const conditions = [`(e.partner_id = $1 OR ${ACTIVE_MEMBER_CONDITION})`];
   const values = [partnerId];
 
   if (status) {
-    conditions.push('status = $2');
+    conditions.push('e.status = $2');
     values.push(status);
   }
 
   const query = `
     SELECT COUNT(*) as total
-    FROM establishments
+    FROM establishments e
     WHERE ${conditions.join(' AND ')}
   `;
 
@@ -378,10 +456,11 @@ export const countPartnerEstablishments = async (partnerId, status = null) => {
  * 
  * @param {string} establishmentId - UUID of the establishment to update
  * @param {Object} updates - Object containing fields to update
+ * @param {Object} client - Optional transaction client (default: pool)
  * @returns {Promise<Object>} The updated establishment object
  * @throws {Error} If establishment not found or database operation fails
  */
-export const updateEstablishment = async (establishmentId, updates) => {
+export const updateEstablishment = async (establishmentId, updates, client = pool) => {
   const fields = [];
   const values = [];
   let paramCount = 1;
@@ -399,12 +478,29 @@ export const updateEstablishment = async (establishmentId, updates) => {
     paramCount++;
   }
 
+  if (updates.district !== undefined) {
+    fields.push(`district = $${paramCount}`);
+    values.push(updates.district || null);
+    paramCount++;
+  }
+
   if (updates.address !== undefined) {
     fields.push(`address = $${paramCount}`);
     values.push(updates.address);
     paramCount++;
   }
 
+  // Coordinates are updated as a pair so the indexed geography column
+  // used by search (migration 003) never drifts from latitude/longitude
+  if (updates.latitude !== undefined && updates.longitude !== undefined) {
+    fields.push(`latitude = $${paramCount}`);
+    fields.push(`longitude = $${paramCount + 1}`);
+    fields.push(`location = ST_SetSRID(ST_MakePoint($${paramCount + 3}, $${paramCount + 2}), 4326)::geography`);
+    // Passed twice: numeric columns and float8 ST_MakePoint arguments need separate parameters
+    values.push(updates.latitude, updates.longitude, updates.latitude, updates.longitude);
+    paramCount += 4;
+  }
+
   if (updates.phone !== undefined) {
     fields.push(`phone = $${paramCount}`);
     values.push(updates.phone);
@@ -423,6 +519,12 @@ export const updateEstablishment = async (establishmentId, updates) => {
     paramCount++;
   }
 
+  if (updates.categories !== undefined) {
+    fields.push(`categories = $${paramCount}`);
+    values.push(updates.categories);
+    paramCount++;
+  }
+
   if (updates.cuisines !== undefined) {
     fields.push(`cuisines = $${paramCount}`);
     values.push(updates.cuisines);
@@ -475,6 +577,7 @@ export const updateEstablishment = async (establishmentId, updates) => {
       name,
       description,
       city,
+      district,
       address,
       latitude,
       longitude,
@@ -487,6 +590,7 @@ export const updateEstablishment = async (establishmentId, updates) => {
       working_hours,
       special_hours,
       attributes,
+      organization_id,
       status,
       moderation_notes,
       moderated_by,
@@ -506,7 +610,7 @@ export const updateEstablishment = async (establishmentId, updates) => {
   `;
 
   try {
-    const result = await pool.query(query, values);
+    const result = await client.query(query, values);
 
     if (result.rows.length === 0) {
       throw new Error('Establishment not found');
@@ -574,26 +678,39 @@ export const submitForModeration = async (establishmentId) => {
 };
 
 /**
- * Check if an establishment belongs to a specific partner
+ * Check if a user may act on an establishment
  * 
- * This is used for authorization to ensure partners can only modify
- * their own establishments.
+ * The establishment's partner always passes. When roles are given, active
+ * team members (migration 017) with one of these roles pass as well; see
+ * utils/teamPermissions.js for the roles allowed per action.
  * 
  * @param {string} establishmentId - UUID of the establishment
- * @param {string} partnerId - UUID of the partner
- * @returns {Promise<boolean>} True if establishment belongs to partner
+ * @param {string} partnerId - UUID of the partner or team member
+ * @param {Array<string>|null} roles - Team roles allowed, null for the partner only
+ * @returns {Promise<boolean>} True if the user has access
  */
-export const checkOwnership = async (establishmentId, partnerId) => {
+export const checkOwnership = async (establishmentId, partnerId, roles = null) => {
   const query = `
     SELECT EXISTS(
       SELECT 1
-      FROM establishments
-      WHERE id = $1 AND partner_id = $2
+      FROM establishments e
+      WHERE e.id = $1
+        AND (
+          e.partner_id = $2
+          OR EXISTS(
+            SELECT 1
+            FROM establishment_members m
+            WHERE m.establishment_id = e.id
+              AND m.user_id = $2
+              AND m.status = 'active'
+              AND m.role = ANY($3::varchar[])
+          )
+        )
     ) as is_owner
   `;
 
   try {
-    const result = await pool.query(query, [establishmentId, partnerId]);
+    const result = await pool.query(query, [establishmentId, partnerId, roles || []]);
     return result.rows[0].is_owner;
   } catch (error) {
     logger.error('Error checking establishment ownership', {
@@ -609,21 +726,29 @@ export const checkOwnership = async (establishmentId, partnerId) => {
  * Check if a partner already has an establishment with the given name
  * 
  * Used to prevent duplicate establishment names for the same partner.
+ * Branches of one organization (chain) are allowed to share a name.
  * 
  * @param {string} partnerId - UUID of the partner
  * @param {string} name - Establishment name to check
  * @param {string} excludeId - Optional establishment ID to exclude (for updates)
+ * @param {string} organizationId - Optional organization whose branches are not duplicates
  * @returns {Promise<boolean>} True if name is already used
  */
-export const checkDuplicateName = async (partnerId, name, excludeId = null) => {
+export const checkDuplicateName = async (partnerId, name, excludeId = null, organizationId = null) => {
   const conditions = ['partner_id = $1', 'LOWER(name) = LOWER($2)'];
   const values = [partnerId, name];
 
   if (excludeId) {
-    conditions.push('id != $3');
+    conditions.push(`id != $${values.length + 1}`);
     values.push(excludeId);
   }
 
+  // Branches of the same organization may share a name
+  if (organizationId) {
+    conditions.push(`organization_id IS DISTINCT FROM $${values.length + 1}`);
+    values.push(organizationId);
+  }
+
   const query = `
     SELECT EXISTS(
       SELECT 1
@@ -645,3 +770,31 @@ export const checkDuplicateName = async (partnerId, name, excludeId = null) => {
   }
 };
 
+/**
+ * Find establishments of a partner by their external IDs
+ * 
+ * Used by bulk import to decide between creating and updating a row.
+ * 
+ * @param {string} partnerId - UUID of the partner
+ * @param {string[]} externalIds - External IDs from the import file
+ * @returns {Promise<Array>} Matching establishments (id, external_id, name, status, organization_id)
+ */
+export const findByExternalIds = async (partnerId, externalIds) => {
+  const query = `
+    SELECT id, external_id, name, status, organization_id
+    FROM establishments
+    WHERE partner_id = $1
+      AND external_id = ANY($2::varchar[])
+  `;
+
+  try {
+    const result = await pool.query(query, [partnerId, externalIds]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error finding establishments by external ID', {
+      error: error.message,
+      partnerId,
+    });
+    throw error;
+  }
+};
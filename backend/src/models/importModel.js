@@ -0,0 +1,106 @@
+/**
+ * Import Model
+ *
+ * This model writes a validated bulk import of establishments in a single
+ * transaction. Each row runs inside its own savepoint: a row rejected by
+ * the database (constraint violation, name taken by a concurrent request)
+ * is rolled back alone and reported, while the other rows still commit.
+ *
+ * Architecture note: Deciding what to do with a row (create, update or
+ * propose a revision) is business logic and happens in importService.js.
+ * This model only executes the planned operations.
+ */
+
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+import * as EstablishmentModel from './establishmentModel.js';
+import * as RevisionModel from './revisionModel.js';
+
+/**
+ * Check that a user exists and has the partner role
+ *
+ * Admin imports are made on behalf of a partner.
+ *
+ * @param {string} userId - UUID of the user
+ * @returns {Promise<boolean>} True if the user is a partner
+ */
+export const isPartner = async (userId) => {
+  const query = `
+    SELECT EXISTS(
+      SELECT 1 FROM users WHERE id = $1 AND role = 'partner'
+    ) AS is_partner
+  `;
+
+  try {
+    const result = await pool.query(query, [userId]);
+    return result.rows[0].is_partner;
+  } catch (error) {
+    logger.error('Error checking import partner', {
+      error: error.message,
+      userId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Apply planned import operations in one transaction
+ *
+ * @param {Array<Object>} operations - Planned rows:
+ *   { row, action: 'create'|'update'|'revision', establishmentId, data }
+ * @param {string} actorId - UUID of the user running the import (revision author)
+ * @param {string} actorRole - Role of that user, recorded in the moderation log
+ * @returns {Promise<Array>} Per-row results:
+ *   { row, establishmentId } on success, { row, error } when the row was rolled back
+ * @throws {Error} If the transaction itself fails; nothing is committed then
+ */
+export const applyImport = async (operations, actorId, actorRole = 'partner') => {
+  const client = await pool.connect();
+  const results = [];
+
+  try {
+    await client.query('BEGIN');
+
+    for (const operation of operations) {
+      await client.query('SAVEPOINT import_row');
+
+      try {
+        let establishmentId = operation.establishmentId;
+
+        if (operation.action === 'create') {
+          const created = await EstablishmentModel.createEstablishment(operation.data, client);
+          establishmentId = created.id;
+        } else if (operation.action === 'update') {
+          await EstablishmentModel.updateEstablishment(establishmentId, operation.data, client);
+        } else {
+          await RevisionModel.savePendingRevision(establishmentId, actorId, operation.data, actorRole, client);
+        }
+
+        await client.query('RELEASE SAVEPOINT import_row');
+        results.push({ row: operation.row, establishmentId });
+      } catch (error) {
+        await client.query('ROLLBACK TO SAVEPOINT import_row');
+        results.push({ row: operation.row, error });
+      }
+    }
+
+    await client.query('COMMIT');
+
+    logger.info('Establishment import committed', {
+      actorId,
+      rows: operations.length,
+      failed: results.filter(result => result.error).length,
+    });
+
+    return results;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error applying establishment import', {
+      error: error.message,
+      actorId,
+    });
+    throw error;
+  } finally {
+    client.release();
+  }
+};
@@ -540,3 +540,99 @@ export const getPrimaryPhoto = async (establishmentId) => {
   }
 };
 
+/**
+ * Replace the menu photos of an establishment with copies of another one's
+ * 
+ * Used by organizations to share one menu across branches. The copies
+ * reference the same Cloudinary files as the source, so callers must check
+ * countMediaByUrl before deleting a file from Cloudinary.
+ * 
+ * Runs in a transaction so a branch never ends up with a half-copied menu.
+ * 
+ * @param {string} sourceId - UUID of the establishment whose menu is copied
+ * @param {string} targetId - UUID of the establishment whose menu is replaced
+ * @returns {Promise<Object>} { removed: deleted media rows, copied: number of copied rows }
+ */
+export const replaceMenuMedia = async (sourceId, targetId) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const removed = await client.query(
+      `DELETE FROM establishment_media
+       WHERE establishment_id = $1 AND type = 'menu'
+       RETURNING id, url, is_primary`,
+      [targetId]
+    );
+
+    const copied = await client.query(
+      `INSERT INTO establishment_media (
+         establishment_id,
+         type,
+         url,
+         thumbnail_url,
+         preview_url,
+         caption,
+         position,
+         is_primary
+       )
+       SELECT $2, type, url, thumbnail_url, preview_url, caption, position, false
+       FROM establishment_media
+       WHERE establishment_id = $1 AND type = 'menu'
+       ORDER BY position ASC`,
+      [sourceId, targetId]
+    );
+
+    await client.query('COMMIT');
+
+    logger.info('Menu media copied', {
+      sourceId,
+      targetId,
+      removed: removed.rowCount,
+      copied: copied.rowCount,
+    });
+
+    return {
+      removed: removed.rows,
+      copied: copied.rowCount,
+    };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error copying menu media', {
+      error: error.message,
+      sourceId,
+      targetId,
+    });
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Count media records that reference a file URL
+ * 
+ * Menus copied across organization branches share Cloudinary files, so a
+ * file may only be deleted from Cloudinary once no record references it.
+ * 
+ * @param {string} url - Original resolution URL
+ * @returns {Promise<number>} Number of media records with this URL
+ */
+export const countMediaByUrl = async (url) => {
+  const query = `
+    SELECT COUNT(*) as count
+    FROM establishment_media
+    WHERE url = $1
+  `;
+
+  try {
+    const result = await pool.query(query, [url]);
+    return parseInt(result.rows[0].count, 10);
+  } catch (error) {
+    logger.error('Error counting media by URL', {
+      error: error.message,
+    });
+    throw error;
+  }
+};
@@ -0,0 +1,409 @@
+/**
+ * Menu Model
+ *
+ * This model provides database access methods for structured menus
+ * (migration 018): menu sections of an establishment and the dishes in
+ * them. Every query is scoped by establishment_id so a section or item ID
+ * from another establishment never matches.
+ *
+ * Item photos are references to establishment_media rows; reads join the
+ * media URLs so clients don't need a second request.
+ */
+
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+
+const SECTION_COLUMNS = `
+  s.id,
+  s.establishment_id,
+  s.name,
+  s.description,
+  s.position,
+  s.created_at,
+  s.updated_at
+`;
+
+const ITEM_COLUMNS = `
+  i.id,
+  i.section_id,
+  i.establishment_id,
+  i.name,
+  i.description,
+  i.price,
+  i.portion_size,
+  i.portion_unit,
+  i.allergens,
+  i.dietary_tags,
+  i.media_id,
+  i.is_available,
+  i.position,
+  i.created_at,
+  i.updated_at
+`;
+
+const SECTION_FIELDS = ['name', 'description', 'position'];
+
+const ITEM_FIELDS = [
+  'section_id',
+  'name',
+  'description',
+  'price',
+  'portion_size',
+  'portion_unit',
+  'allergens',
+  'dietary_tags',
+  'media_id',
+  'is_available',
+  'position',
+];
+
+/**
+ * Build SET clause entries for the fields present in updates
+ *
+ * @param {string[]} allowed - Updatable column names
+ * @param {Object} updates - Field values
+ * @returns {Object} { fields, values }
+ */
+const buildUpdateFields = (allowed, updates) => {
+  const fields = [];
+  const values = [];
+
+  allowed.forEach(field => {
+    if (updates[field] !== undefined) {
+      values.push(updates[field]);
+      fields.push(`${field} = $${values.length}`);
+    }
+  });
+
+  fields.push('updated_at = CURRENT_TIMESTAMP');
+
+  return { fields, values };
+};
+
+/**
+ * Create a menu section
+ *
+ * @param {Object} section - { establishment_id, name, description, position }
+ * @returns {Promise<Object>} Created section
+ * @throws {Error} If database operation fails
+ */
+export const createSection = async (section) => {
+  const { establishment_id, name, description, position } = section;
+
+  const query = `
+    INSERT INTO menu_sections AS s (establishment_id, name, description, position)
+    VALUES (
+      $1,
+      $2,
+      $3,
+      COALESCE($4, (SELECT COALESCE(MAX(position), -1) + 1 FROM menu_sections WHERE establishment_id = $1))
+    )
+    RETURNING ${SECTION_COLUMNS}
+  `;
+
+  try {
+    const result = await pool.query(query, [
+      establishment_id,
+      name,
+      description || null,
+      position ?? null,
+    ]);
+
+    logger.info('Menu section created', {
+      sectionId: result.rows[0].id,
+      establishmentId: establishment_id,
+    });
+
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Error creating menu section', {
+      error: error.message,
+      establishmentId: establishment_id,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Find a menu section of an establishment
+ *
+ * @param {string} sectionId - UUID of the section
+ * @param {string} establishmentId - UUID of the establishment
+ * @returns {Promise<Object|null>} Section or null if not found
+ */
+export const findSection = async (sectionId, establishmentId) => {
+  const query = `
+    SELECT ${SECTION_COLUMNS}
+    FROM menu_sections s
+    WHERE s.id = $1 AND s.establishment_id = $2
+  `;
+
+  try {
+    const result = await pool.query(query, [sectionId, establishmentId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error finding menu section', {
+      error: error.message,
+      sectionId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Update a menu section
+ *
+ * @param {string} sectionId - UUID of the section
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {Object} updates - name, description and/or position
+ * @returns {Promise<Object|null>} Updated section or null if not found
+ */
+export const updateSection = async (sectionId, establishmentId, updates) => {
+  const { fields, values } = buildUpdateFields(SECTION_FIELDS, updates);
+  values.push(sectionId, establishmentId);
+
+  const query = `
+    UPDATE menu_sections s
+    SET ${fields.join(', ')}
+    WHERE s.id = $${values.length - 1} AND s.establishment_id = $${values.length}
+    RETURNING ${SECTION_COLUMNS}
+  `;
+
+  try {
+    const result = await pool.query(query, values);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error updating menu section', {
+      error: error.message,
+      sectionId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Delete a menu section together with its items
+ *
+ * @param {string} sectionId - UUID of the section
+ * @param {string} establishmentId - UUID of the establishment
+ * @returns {Promise<Object|null>} Deleted section or null if not found
+ */
+export const deleteSection = async (sectionId, establishmentId) => {
+  const query = `
+    DELETE FROM menu_sections s
+    WHERE s.id = $1 AND s.establishment_id = $2
+    RETURNING ${SECTION_COLUMNS}
+  `;
+
+  try {
+    const result = await pool.query(query, [sectionId, establishmentId]);
+
+    if (result.rows.length > 0) {
+      logger.info('Menu section deleted', { sectionId, establishmentId });
+    }
+
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error deleting menu section', {
+      error: error.message,
+      sectionId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Create a menu item
+ *
+ * Without an explicit position the item is appended to its section.
+ *
+ * @param {Object} item - Item data (see ITEM_FIELDS) with establishment_id
+ * @returns {Promise<Object>} Created item
+ * @throws {Error} If database operation fails
+ */
+export const createItem = async (item) => {
+  const query = `
+    INSERT INTO menu_items AS i (
+      section_id,
+      establishment_id,
+      name,
+      description,
+      price,
+      portion_size,
+      portion_unit,
+      allergens,
+      dietary_tags,
+      media_id,
+      is_available,
+      position
+    )
+    VALUES (
+      $1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11,
+      COALESCE($12, (SELECT COALESCE(MAX(position), -1) + 1 FROM menu_items WHERE section_id = $1))
+    )
+    RETURNING ${ITEM_COLUMNS}
+  `;
+
+  try {
+    const result = await pool.query(query, [
+      item.section_id,
+      item.establishment_id,
+      item.name,
+      item.description || null,
+      item.price,
+      item.portion_size ?? null,
+      item.portion_unit || null,
+      item.allergens || [],
+      item.dietary_tags || [],
+      item.media_id || null,
+      item.is_available ?? true,
+      item.position ?? null,
+    ]);
+
+    logger.info('Menu item created', {
+      itemId: result.rows[0].id,
+      establishmentId: item.establishment_id,
+    });
+
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Error creating menu item', {
+      error: error.message,
+      establishmentId: item.establishment_id,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Find a menu item of an establishment
+ *
+ * @param {string} itemId - UUID of the item
+ * @param {string} establishmentId - UUID of the establishment
+ * @returns {Promise<Object|null>} Item or null if not found
+ */
+export const findItem = async (itemId, establishmentId) => {
+  const query = `
+    SELECT ${ITEM_COLUMNS}
+    FROM menu_items i
+    WHERE i.id = $1 AND i.establishment_id = $2
+  `;
+
+  try {
+    const result = await pool.query(query, [itemId, establishmentId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error finding menu item', {
+      error: error.message,
+      itemId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Update a menu item
+ *
+ * @param {string} itemId - UUID of the item
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {Object} updates - Fields to change (see ITEM_FIELDS)
+ * @returns {Promise<Object|null>} Updated item or null if not found
+ */
+export const updateItem = async (itemId, establishmentId, updates) => {
+  const { fields, values } = buildUpdateFields(ITEM_FIELDS, updates);
+  values.push(itemId, establishmentId);
+
+  const query = `
+    UPDATE menu_items i
+    SET ${fields.join(', ')}
+    WHERE i.id = $${values.length - 1} AND i.establishment_id = $${values.length}
+    RETURNING ${ITEM_COLUMNS}
+  `;
+
+  try {
+    const result = await pool.query(query, values);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error updating menu item', {
+      error: error.message,
+      itemId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Delete a menu item
+ *
+ * @param {string} itemId - UUID of the item
+ * @param {string} establishmentId - UUID of the establishment
+ * @returns {Promise<Object|null>} Deleted item or null if not found
+ */
+export const deleteItem = async (itemId, establishmentId) => {
+  const query = `
+    DELETE FROM menu_items i
+    WHERE i.id = $1 AND i.establishment_id = $2
+    RETURNING ${ITEM_COLUMNS}
+  `;
+
+  try {
+    const result = await pool.query(query, [itemId, establishmentId]);
+
+    if (result.rows.length > 0) {
+      logger.info('Menu item deleted', { itemId, establishmentId });
+    }
+
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error deleting menu item', {
+      error: error.message,
+      itemId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Get the full menu of an establishment
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {Object} options - Query options
+ * @param {boolean} options.availableOnly - Skip items marked unavailable
+ * @returns {Promise<Object>} { sections, items } ordered by position;
+ *   items carry photo_url and photo_thumbnail_url of their media
+ */
+export const getMenu = async (establishmentId, { availableOnly = false } = {}) => {
+  const sectionsQuery = `
+    SELECT ${SECTION_COLUMNS}
+    FROM menu_sections s
+    WHERE s.establishment_id = $1
+    ORDER BY s.position ASC, s.created_at ASC
+  `;
+
+  const itemsQuery = `
+    SELECT
+      ${ITEM_COLUMNS},
+      m.preview_url AS photo_url,
+      m.thumbnail_url AS photo_thumbnail_url
+    FROM menu_items i
+    LEFT JOIN establishment_media m ON m.id = i.media_id
+    WHERE i.establishment_id = $1
+      ${availableOnly ? 'AND i.is_available = true' : ''}
+    ORDER BY i.position ASC, i.created_at ASC
+  `;
+
+  try {
+    const [sections, items] = await Promise.all([
+      pool.query(sectionsQuery, [establishmentId]),
+      pool.query(itemsQuery, [establishmentId]),
+    ]);
+
+    return { sections: sections.rows, items: items.rows };
+  } catch (error) {
+    logger.error('Error fetching menu', {
+      error: error.message,
+      establishmentId,
+    });
+    throw error;
+  }
+};
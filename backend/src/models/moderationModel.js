@@ -0,0 +1,358 @@
+/**
+ * Moderation Model
+ *
+ * This model provides database access methods for establishment moderation:
+ * the admin queue, status transitions and the establishment_moderation_log
+ * audit table (migration 014).
+ *
+ * Architecture note: Status transitions and their audit entries are written
+ * in a single transaction so the log never disagrees with the establishment.
+ * Which transitions are allowed is a business rule and lives in
+ * moderationService.js; this model only applies them.
+ */
+
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Build WHERE conditions for the moderation queue
+ *
+ * @param {Object} filters - Queue filters (see getModerationQueue)
+ * @returns {Object} { conditions, values }
+ */
+const buildQueueConditions = (filters) => {
+  const { status = 'pending', city, category, partnerId, search } = filters;
+
+  const conditions = ['e.status = $1'];
+  const values = [status];
+  let paramCount = 2;
+
+  if (city) {
+    conditions.push(`e.city = $${paramCount}`);
+    values.push(city);
+    paramCount++;
+  }
+
+  if (category) {
+    conditions.push(`$${paramCount} = ANY(e.categories)`);
+    values.push(category);
+    paramCount++;
+  }
+
+  if (partnerId) {
+    conditions.push(`e.partner_id = $${paramCount}`);
+    values.push(partnerId);
+    paramCount++;
+  }
+
+  if (search) {
+    // Escape LIKE wildcards so the term matches literally
+    conditions.push(`e.name ILIKE $${paramCount}`);
+    values.push(`%${String(search).replace(/[\\%_]/g, '\\$&')}%`);
+    paramCount++;
+  }
+
+  return { conditions, values };
+};
+
+/**
+ * Get establishments in the moderation queue
+ *
+ * Oldest submissions come first so establishments are reviewed in the order
+ * partners submitted them. Establishments submitted before the moderation
+ * log existed fall back to updated_at as their submission time.
+ * duplicate_count is the number of open duplicate candidates (migration 021).
+ *
+ * @param {Object} filters - Queue filters
+ * @param {string} filters.status - Establishment status (default: 'pending')
+ * @param {string} filters.city - Optional city filter
+ * @param {string} filters.category - Optional category filter
+ * @param {string} filters.partnerId - Optional partner filter
+ * @param {string} filters.search - Optional case-insensitive name search
+ * @param {number} filters.limit - Maximum number of results (default: 20)
+ * @param {number} filters.offset - Number of results to skip (default: 0)
+ * @returns {Promise<Array>} Array of establishments with partner information
+ */
+export const getModerationQueue = async (filters = {}) => {
+  const { limit = 20, offset = 0 } = filters;
+  const { conditions, values } = buildQueueConditions(filters);
+  const paramCount = values.length + 1;
+
+  const query = `
+    SELECT
+      e.id,
+      e.partner_id,
+      e.name,
+      e.city,
+      e.district,
+      e.address,
+      e.categories,
+      e.cuisines,
+      e.price_range,
+      e.status,
+      e.moderation_notes,
+      e.moderated_at,
+      e.created_at,
+      e.updated_at,
+      u.name as partner_name,
+      u.email as partner_email,
+      COALESCE(
+        (
+          SELECT MAX(l.created_at)
+          FROM establishment_moderation_log l
+          WHERE l.establishment_id = e.id AND l.action = 'submit'
+        ),
+        e.updated_at
+      ) as submitted_at,
+      (
+        SELECT COUNT(*)::int
+        FROM establishment_duplicate_candidates dc
+        WHERE dc.status = 'open'
+          AND (dc.establishment_id = e.id OR dc.duplicate_of_id = e.id)
+      ) as duplicate_count
+    FROM establishments e
+    JOIN users u ON e.partner_id = u.id
+    WHERE ${conditions.join(' AND ')}
+    ORDER BY submitted_at ASC, e.id ASC
+    LIMIT $${paramCount} OFFSET $${paramCount + 1}
+  `;
+
+  try {
+    const result = await pool.query(query, [...values, limit, offset]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error fetching moderation queue', {
+      error: error.message,
+      filters,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Count establishments in the moderation queue
+ * Used for pagination metadata
+ *
+ * @param {Object} filters - Same filters as getModerationQueue
+ * @returns {Promise<number>} Total count of matching establishments
+ */
+export const countModerationQueue = async (filters = {}) => {
+  const { conditions, values } = buildQueueConditions(filters);
+
+  const query = `
+    SELECT COUNT(*) as count
+    FROM establishments e
+    WHERE ${conditions.join(' AND ')}
+  `;
+
+  try {
+    const result = await pool.query(query, values);
+    return parseInt(result.rows[0].count, 10);
+  } catch (error) {
+    logger.error('Error counting moderation queue', {
+      error: error.message,
+      filters,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Insert a moderation log entry
+ *
+ * @param {Object} entry - Log entry data
+ * @param {string} entry.establishment_id - UUID of the establishment
+ * @param {string} entry.action - 'submit', 'approve', 'reject', 'suspend', 'reinstate' or a revision action
+ * @param {string} entry.from_status - Status before the transition
+ * @param {string} entry.to_status - Status after the transition
+ * @param {string} entry.reason - Optional reason (required for reject and suspend)
+ * @param {string} entry.actor_id - UUID of the user who made the transition
+ * @param {string} entry.actor_role - Role of the actor ('partner', 'admin' or
+ *   the team role of a partner's team member)
+ * @param {string} entry.revision_id - Optional UUID of the revision for revision actions
+ * @param {Object} client - Optional transaction client (default: pool)
+ * @returns {Promise<Object>} The created log entry
+ */
+export const createLogEntry = async (entry, client = pool) => {
+  const {
+    establishment_id,
+    action,
+    from_status,
+    to_status,
+    reason = null,
+    actor_id = null,
+    actor_role = null,
+    revision_id = null,
+  } = entry;
+
+  const query = `
+    INSERT INTO establishment_moderation_log (
+      establishment_id,
+      action,
+      from_status,
+      to_status,
+      reason,
+      actor_id,
+      actor_role,
+      revision_id
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING id, establishment_id, action, from_status, to_status, reason, actor_id, actor_role, revision_id, created_at
+  `;
+
+  try {
+    const result = await client.query(query, [
+      establishment_id,
+      action,
+      from_status,
+      to_status,
+      reason,
+      actor_id,
+      actor_role,
+      revision_id,
+    ]);
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Error creating moderation log entry', {
+      error: error.message,
+      establishmentId: establishment_id,
+      action,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Change establishment status and record the transition atomically
+ *
+ * The update only applies if the establishment is still in fromStatus,
+ * which protects against two moderators acting on the same listing.
+ * Admin actions also stamp moderation_notes, moderated_by and moderated_at;
+ * the first activation sets published_at.
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {Object} transition - Transition details
+ * @param {string} transition.action - Log action name
+ * @param {string} transition.fromStatus - Required current status
+ * @param {string} transition.toStatus - New status
+ * @param {string} transition.actorId - UUID of the acting user
+ * @param {string} transition.actorRole - Role of the acting user
+ * @param {string} transition.reason - Optional reason or note
+ * @returns {Promise<Object|null>} { establishment, logEntry } or null if status did not match
+ */
+export const transitionStatus = async (establishmentId, transition) => {
+  const { action, fromStatus, toStatus, actorId, actorRole, reason = null } = transition;
+  const isModeration = actorRole === 'admin';
+
+  const query = `
+    UPDATE establishments
+    SET
+      status = $2,
+      moderation_notes = CASE WHEN $5::boolean THEN $3 ELSE moderation_notes END,
+      moderated_by = CASE WHEN $5::boolean THEN $4::uuid ELSE moderated_by END,
+      moderated_at = CASE WHEN $5::boolean THEN CURRENT_TIMESTAMP ELSE moderated_at END,
+      published_at = CASE WHEN $6::boolean THEN COALESCE(published_at, CURRENT_TIMESTAMP) ELSE published_at END,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+      AND status = $7
+    RETURNING
+      id,
+      partner_id,
+      name,
+      status,
+      moderation_notes,
+      moderated_by,
+      moderated_at,
+      published_at,
+      updated_at
+  `;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(query, [
+      establishmentId,
+      toStatus,
+      reason,
+      actorId,
+      isModeration,
+      toStatus === 'active',
+      fromStatus,
+    ]);
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const logEntry = await createLogEntry({
+      establishment_id: establishmentId,
+      action,
+      from_status: fromStatus,
+      to_status: toStatus,
+      reason,
+      actor_id: actorId,
+      actor_role: actorRole,
+    }, client);
+
+    await client.query('COMMIT');
+
+    logger.info('Establishment status changed', {
+      establishmentId,
+      action,
+      fromStatus,
+      toStatus,
+      actorId,
+    });
+
+    return { establishment: result.rows[0], logEntry };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error changing establishment status', {
+      error: error.message,
+      establishmentId,
+      action,
+    });
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Get moderation history of an establishment, newest first
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @returns {Promise<Array>} Array of log entries
+ */
+export const getModerationLog = async (establishmentId) => {
+  const query = `
+    SELECT
+      id,
+      establishment_id,
+      action,
+      from_status,
+      to_status,
+      reason,
+      actor_id,
+      actor_role,
+      revision_id,
+      created_at
+    FROM establishment_moderation_log
+    WHERE establishment_id = $1
+    ORDER BY created_at DESC
+  `;
+
+  try {
+    const result = await pool.query(query, [establishmentId]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error fetching moderation log', {
+      error: error.message,
+      establishmentId,
+    });
+    throw error;
+  }
+};
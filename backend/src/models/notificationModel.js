@@ -0,0 +1,139 @@
+/**
+ * Notification Model
+ *
+ * This model provides database access methods for notification entries of
+ * users (migration 022). An entry has a type and a JSONB payload with the
+ * IDs and names the client needs to render it.
+ */
+
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+
+const NOTIFICATION_COLUMNS = 'id, user_id, type, payload, read_at, created_at';
+
+/**
+ * Create a notification entry
+ *
+ * @param {Object} notification - Notification data
+ * @param {string} notification.user_id - UUID of the recipient
+ * @param {string} notification.type - Notification type, e.g. 'review_reply'
+ * @param {Object} notification.payload - Type-specific data
+ * @returns {Promise<Object>} Created notification
+ */
+export const createNotification = async ({ user_id, type, payload = {} }) => {
+  const query = `
+    INSERT INTO notifications (user_id, type, payload)
+    VALUES ($1, $2, $3)
+    RETURNING ${NOTIFICATION_COLUMNS}
+  `;
+
+  try {
+    const result = await pool.query(query, [user_id, type, JSON.stringify(payload)]);
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Error creating notification', {
+      error: error.message,
+      userId: user_id,
+      type,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Get notifications of a user, newest first
+ *
+ * @param {string} userId - UUID of the user
+ * @param {Object} options - Query options
+ * @param {boolean} options.unreadOnly - Only entries not yet read
+ * @param {number} options.limit - Maximum number of results
+ * @param {number} options.offset - Number of results to skip
+ * @returns {Promise<Array>} Notifications
+ */
+export const getUserNotifications = async (userId, { unreadOnly = false, limit = 20, offset = 0 } = {}) => {
+  const query = `
+    SELECT ${NOTIFICATION_COLUMNS}
+    FROM notifications
+    WHERE user_id = $1
+    ${unreadOnly ? 'AND read_at IS NULL' : ''}
+    ORDER BY created_at DESC
+    LIMIT $2 OFFSET $3
+  `;
+
+  try {
+    const result = await pool.query(query, [userId, limit, offset]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error fetching notifications', {
+      error: error.message,
+      userId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Count notifications of a user
+ *
+ * @param {string} userId - UUID of the user
+ * @returns {Promise<Object>} { total, unread }
+ */
+export const countUserNotifications = async (userId) => {
+  const query = `
+    SELECT
+      COUNT(*) as total,
+      COUNT(*) FILTER (WHERE read_at IS NULL) as unread
+    FROM notifications
+    WHERE user_id = $1
+  `;
+
+  try {
+    const result = await pool.query(query, [userId]);
+    return {
+      total: parseInt(result.rows[0].total, 10),
+      unread: parseInt(result.rows[0].unread, 10),
+    };
+  } catch (error) {
+    logger.error('Error counting notifications', {
+      error: error.message,
+      userId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Mark notifications of a user as read
+ *
+ * @param {string} userId - UUID of the user
+ * @param {Array<string>|null} notificationIds - Entries to mark, null for all
+ * @returns {Promise<number>} Number of entries marked
+ */
+export const markAsRead = async (userId, notificationIds = null) => {
+  const values = [userId];
+  let idCondition = '';
+
+  if (notificationIds) {
+    values.push(notificationIds);
+    idCondition = 'AND id = ANY($2::uuid[])';
+  }
+
+  const query = `
+    UPDATE notifications
+    SET read_at = CURRENT_TIMESTAMP
+    WHERE user_id = $1
+      AND read_at IS NULL
+      ${idCondition}
+  `;
+
+  try {
+    const result = await pool.query(query, values);
+    return result.rowCount;
+  } catch (error) {
+    logger.error('Error marking notifications as read', {
+      error: error.message,
+      userId,
+    });
+    throw error;
+  }
+};
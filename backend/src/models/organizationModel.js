@@ -0,0 +1,298 @@
+/**
+ * Organization Model
+ *
+ * This model provides database access methods for partner organizations
+ * (migration 016): chains that group several establishments (branches)
+ * under shared branding.
+ *
+ * Architecture note: Branch membership is stored on the establishments
+ * table (organization_id), so attaching or detaching a branch never touches
+ * the organizations row itself.
+ */
+
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Columns returned for an organization
+ */
+const ORGANIZATION_COLUMNS = `
+  id,
+  partner_id,
+  name,
+  description,
+  logo_url,
+  cuisines,
+  created_at,
+  updated_at
+`;
+
+/**
+ * Create a new organization
+ *
+ * @param {Object} organizationData - Organization data
+ * @param {string} organizationData.partner_id - UUID of the owning partner
+ * @param {string} organizationData.name - Organization (brand) name
+ * @param {string} organizationData.description - Optional shared description
+ * @param {string} organizationData.logo_url - Optional shared logo URL
+ * @param {Array<string>} organizationData.cuisines - Shared cuisines
+ * @returns {Promise<Object>} Created organization
+ * @throws {Error} If database operation fails
+ */
+export const createOrganization = async (organizationData) => {
+  const {
+    partner_id,
+    name,
+    description,
+    logo_url,
+    cuisines = [],
+  } = organizationData;
+
+  const query = `
+    INSERT INTO organizations (partner_id, name, description, logo_url, cuisines)
+    VALUES ($1, $2, $3, $4, $5)
+    RETURNING ${ORGANIZATION_COLUMNS}
+  `;
+
+  try {
+    const result = await pool.query(query, [
+      partner_id,
+      name,
+      description || null,
+      logo_url || null,
+      cuisines,
+    ]);
+
+    logger.info('Organization created', {
+      organizationId: result.rows[0].id,
+      partnerId: partner_id,
+    });
+
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Error creating organization', {
+      error: error.message,
+      partnerId: partner_id,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Find organization by ID
+ *
+ * @param {string} organizationId - UUID of the organization
+ * @returns {Promise<Object|null>} Organization or null if not found
+ */
+export const findOrganizationById = async (organizationId) => {
+  const query = `
+    SELECT ${ORGANIZATION_COLUMNS}
+    FROM organizations
+    WHERE id = $1
+  `;
+
+  try {
+    const result = await pool.query(query, [organizationId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error finding organization by ID', {
+      error: error.message,
+      organizationId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Get all organizations of a partner with their branch counts
+ *
+ * @param {string} partnerId - UUID of the partner
+ * @returns {Promise<Array>} Organizations ordered by name
+ */
+export const getOrganizationsByPartner = async (partnerId) => {
+  const query = `
+    SELECT
+      o.id,
+      o.partner_id,
+      o.name,
+      o.description,
+      o.logo_url,
+      o.cuisines,
+      o.created_at,
+      o.updated_at,
+      COUNT(e.id)::int AS branch_count
+    FROM organizations o
+    LEFT JOIN establishments e ON e.organization_id = o.id
+    WHERE o.partner_id = $1
+    GROUP BY o.id
+    ORDER BY o.name ASC
+  `;
+
+  try {
+    const result = await pool.query(query, [partnerId]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error fetching partner organizations', {
+      error: error.message,
+      partnerId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Update organization fields
+ *
+ * Only name, description, logo_url and cuisines can be changed.
+ *
+ * @param {string} organizationId - UUID of the organization
+ * @param {Object} updates - Fields to update
+ * @returns {Promise<Object|null>} Updated organization or null if not found
+ */
+export const updateOrganization = async (organizationId, updates) => {
+  const fields = [];
+  const values = [];
+  let paramCount = 1;
+
+  ['name', 'description', 'logo_url', 'cuisines'].forEach(field => {
+    if (updates[field] !== undefined) {
+      fields.push(`${field} = $${paramCount}`);
+      values.push(updates[field]);
+      paramCount++;
+    }
+  });
+
+  fields.push('updated_at = CURRENT_TIMESTAMP');
+  values.push(organizationId);
+
+  const query = `
+    UPDATE organizations
+    SET ${fields.join(', ')}
+    WHERE id = $${paramCount}
+    RETURNING ${ORGANIZATION_COLUMNS}
+  `;
+
+  try {
+    const result = await pool.query(query, values);
+
+    if (result.rows.length > 0) {
+      logger.info('Organization updated', {
+        organizationId,
+        updatedFields: Object.keys(updates),
+      });
+    }
+
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error updating organization', {
+      error: error.message,
+      organizationId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Get branches (establishments) of an organization
+ *
+ * @param {string} organizationId - UUID of the organization
+ * @returns {Promise<Array>} Branch summaries ordered by city and name
+ */
+export const getBranches = async (organizationId) => {
+  const query = `
+    SELECT
+      id,
+      name,
+      city,
+      district,
+      address,
+      status,
+      working_hours,
+      special_hours,
+      updated_at
+    FROM establishments
+    WHERE organization_id = $1
+    ORDER BY city ASC, name ASC
+  `;
+
+  try {
+    const result = await pool.query(query, [organizationId]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error fetching organization branches', {
+      error: error.message,
+      organizationId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Attach establishments to an organization or detach them (organizationId null)
+ *
+ * The partner_id condition makes sure only the partner's own establishments
+ * are touched, even if a foreign ID slips through.
+ *
+ * @param {Array<string>} establishmentIds - UUIDs of the establishments
+ * @param {string|null} organizationId - UUID of the organization, or null to detach
+ * @param {string} partnerId - UUID of the owning partner
+ * @returns {Promise<Array<string>>} IDs of the establishments that were updated
+ */
+export const setEstablishmentsOrganization = async (establishmentIds, organizationId, partnerId) => {
+  const query = `
+    UPDATE establishments
+    SET organization_id = $1, updated_at = CURRENT_TIMESTAMP
+    WHERE id = ANY($2::uuid[])
+      AND partner_id = $3
+    RETURNING id
+  `;
+
+  try {
+    const result = await pool.query(query, [organizationId, establishmentIds, partnerId]);
+
+    logger.info('Establishments organization updated', {
+      organizationId,
+      establishmentIds: result.rows.map(row => row.id),
+    });
+
+    return result.rows.map(row => row.id);
+  } catch (error) {
+    logger.error('Error setting establishments organization', {
+      error: error.message,
+      organizationId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Get public branding of an organization
+ *
+ * @param {string} organizationId - UUID of the organization
+ * @returns {Promise<Object|null>} Branding with count of active branches, or null
+ */
+export const getPublicOrganization = async (organizationId) => {
+  const query = `
+    SELECT
+      o.id,
+      o.name,
+      o.description,
+      o.logo_url,
+      COUNT(e.id) FILTER (WHERE e.status = 'active')::int AS branch_count
+    FROM organizations o
+    LEFT JOIN establishments e ON e.organization_id = o.id
+    WHERE o.id = $1
+    GROUP BY o.id
+  `;
+
+  try {
+    const result = await pool.query(query, [organizationId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error fetching public organization', {
+      error: error.message,
+      organizationId,
+    });
+    throw error;
+  }
+};
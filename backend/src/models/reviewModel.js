@@ -8,11 +8,76 @@
  * patterns for future models. Models should be thin data access layers that
  * know about SQL and database structure, but not about business rules.
  * Business logic lives in the service layer.
+ *
+ * Lists, counts and aggregates only include reviews with moderation_status
+ * 'published' (migration 023); reports and moderation live in
+ * reviewReportModel.js.
  */
 
 import pool from '../config/database.js';
 import logger from '../utils/logger.js';
 
+/**
+ * Optional food, service, atmosphere and value ratings (migration 025)
+ */
+const SUB_RATING_COLUMNS = `
+      r.food_rating,
+      r.service_rating,
+      r.atmosphere_rating,
+      r.value_rating,`;
+
+/**
+ * Helpful / not helpful vote counters (migration 026)
+ */
+const VOTE_COLUMNS = `
+      r.helpful_count,
+      r.not_helpful_count,`;
+
+/**
+ * Wilson score lower bound of the helpful share at 95% confidence (z = 1.96)
+ *
+ * Ranks 9 of 10 helpful votes above 40 of 100, so a good new review can
+ * overtake one that merely collected votes for longer. Reviews without
+ * votes score 0.
+ */
+const HELPFULNESS_SCORE = `
+      CASE WHEN r.helpful_count + r.not_helpful_count = 0 THEN 0
+      ELSE (
+        (r.helpful_count + 1.9208) / (r.helpful_count + r.not_helpful_count)
+        - 1.96 * SQRT(r.helpful_count::numeric * r.not_helpful_count / (r.helpful_count + r.not_helpful_count) + 0.9604)
+          / (r.helpful_count + r.not_helpful_count)
+      ) / (1 + 3.8416 / (r.helpful_count + r.not_helpful_count))
+      END`;
+
+/**
+ * Published reply of the establishment (migration 022), NULL columns when
+ * there is none. Used with REPLY_JOIN.
+ */
+const REPLY_COLUMNS = `
+      rr.id as reply_id,
+      rr.content as reply_content,
+      rr.is_edited as reply_is_edited,
+      rr.created_at as reply_created_at,
+      rr.updated_at as reply_updated_at`;
+
+const REPLY_JOIN = `
+    LEFT JOIN review_replies rr ON rr.review_id = r.id AND rr.status = 'published'`;
+
+/**
+ * Photos of the review (migration 024) in display order, [] without any
+ */
+const PHOTOS_COLUMN = `
+      COALESCE((
+        SELECT json_agg(json_build_object(
+          'id', rp.id,
+          'url', rp.url,
+          'preview_url', rp.preview_url,
+          'thumbnail_url', rp.thumbnail_url
+        ) ORDER BY rp.position, rp.created_at)
+        FROM review_photos rp
+        WHERE rp.review_id = r.id
+      ), '[]'::json) as photos`;
+
 /**
  * Create a new review in the database
  * 
@@ -21,26 +86,53 @@ import logger from '../utils/logger.js';
  * @param {string} reviewData.establishment_id - UUID of the establishment being reviewed
  * @param {number} reviewData.rating - Rating from 1 to 5
  * @param {string} reviewData.content - Review text content (20-1000 characters)
+ * @param {number|null} [reviewData.food_rating] - Optional 1-5 rating, same for
+ *   service_rating, atmosphere_rating and value_rating
  * @returns {Promise<Object>} The created review object with all database fields
  * @throws {Error} If database operation fails
  */
 export const createReview = async (reviewData) => {
-  const { user_id, establishment_id, rating, content } = reviewData;
+  const {
+    user_id,
+    establishment_id,
+    rating,
+    content,
+    food_rating = null,
+    service_rating = null,
+    atmosphere_rating = null,
+    value_rating = null,
+  } = reviewData;
 
   const query = `
-    INSERT INTO reviews (user_id, establishment_id, rating, text)
-    VALUES ($1, $2, $3, $4)
+    INSERT INTO reviews (
+      user_id, establishment_id, rating, text,
+      food_rating, service_rating, atmosphere_rating, value_rating
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
     RETURNING
       id,
       user_id,
       establishment_id,
       rating,
+      food_rating,
+      service_rating,
+      atmosphere_rating,
+      value_rating,
       text as content,
       created_at,
       updated_at
   `;
 
-  const values = [user_id, establishment_id, rating, content];
+  const values = [
+    user_id,
+    establishment_id,
+    rating,
+    content,
+    food_rating,
+    service_rating,
+    atmosphere_rating,
+    value_rating,
+  ];
 
   try {
     const result = await pool.query(query, values);
@@ -73,13 +165,15 @@ export const findReviewById = async (reviewId, includeDeleted = false) => {
       r.id,
       r.user_id,
       r.establishment_id,
-      r.rating,
-      r.text as content,
+      r.rating,${SUB_RATING_COLUMNS}
+      r.text as content,${VOTE_COLUMNS}
+      r.is_deleted,
+      r.moderation_status,
       r.created_at,
       r.updated_at,
       u.name as author_name,
       u.email as author_email,
-      u.avatar_url as author_avatar
+      u.avatar_url as author_avatar,${PHOTOS_COLUMN}
     FROM reviews r
     JOIN users u ON r.user_id = u.id
     WHERE r.id = $1
@@ -104,9 +198,11 @@ export const findReviewById = async (reviewId, includeDeleted = false) => {
  * @param {Object} options - Query options
  * @param {number} options.limit - Maximum number of reviews to return (default: 10)
  * @param {number} options.offset - Number of reviews to skip for pagination (default: 0)
- * @param {string} options.sortBy - Sort order: 'newest', 'highest', 'lowest' (default: 'newest')
+ * @param {string} options.sortBy - Sort order: 'newest', 'highest', 'lowest' or
+ *   'most_helpful' (Wilson score of the votes, see HELPFULNESS_SCORE) (default: 'newest')
  * @param {boolean} options.includeDeleted - Whether to include soft-deleted reviews (default: false)
- * @returns {Promise<Array>} Array of review objects with author information
+ * @returns {Promise<Array>} Array of review objects with author information,
+ *   photos and the published reply (reply_* columns, null without one)
  */
 export const findReviewsByEstablishment = async (establishmentId, options = {}) => {
   const {
@@ -122,6 +218,8 @@ export const findReviewsByEstablishment = async (establishmentId, options = {})
     orderClause = 'r.rating DESC, r.created_at DESC';
   } else if (sortBy === 'lowest') {
     orderClause = 'r.rating ASC, r.created_at DESC';
+  } else if (sortBy === 'most_helpful') {
+    orderClause = `${HELPFULNESS_SCORE} DESC, r.created_at DESC`;
   }
 
   const query = `
@@ -129,8 +227,8 @@ export const findReviewsByEstablishment = async (establishmentId, options = {})
       r.id, 
       r.user_id, 
       r.establishment_id, 
-      r.rating, 
-      r.content, 
+      r.rating,${SUB_RATING_COLUMNS}
+      r.content,${VOTE_COLUMNS}
       r.is_deleted,
       r.is_visible,
       r.is_edited,
@@ -138,11 +236,12 @@ export const findReviewsByEstablishment = async (establishmentId, options = {})
       r.updated_at,
       u.name as author_name,
       u.email as author_email,
-      u.avatar_url as author_avatar
+      u.avatar_url as author_avatar,${PHOTOS_COLUMN},${REPLY_COLUMNS}
     FROM reviews r
-    JOIN users u ON r.user_id = u.id
+    JOIN users u ON r.user_id = u.id${REPLY_JOIN}
     WHERE r.establishment_id = $1
     ${includeDeleted ? '' : 'AND r.is_deleted = false'}
+    AND r.moderation_status = 'published'
     ORDER BY ${orderClause}
     LIMIT $2 OFFSET $3
   `;
@@ -173,6 +272,7 @@ export const countReviewsByEstablishment = async (establishmentId, includeDelete
     FROM reviews
     WHERE establishment_id = $1
     ${includeDeleted ? '' : 'AND is_deleted = false'}
+    AND moderation_status = 'published'
   `;
 
   try {
@@ -187,6 +287,43 @@ export const countReviewsByEstablishment = async (establishmentId, includeDelete
   }
 };
 
+/**
+ * Get rating distribution for a specific establishment
+ * 
+ * Counts non-deleted, published reviews per star rating. Every rating from 1 to 5 is
+ * present in the result, with 0 when there are no reviews for it.
+ * 
+ * @param {string} establishmentId - UUID of the establishment
+ * @returns {Promise<Object>} Map of rating (1-5) to review count
+ */
+export const getRatingDistribution = async (establishmentId) => {
+  const query = `
+    SELECT rating, COUNT(*) as count
+    FROM reviews
+    WHERE establishment_id = $1
+    AND is_deleted = false
+    AND moderation_status = 'published'
+    GROUP BY rating
+  `;
+
+  try {
+    const result = await pool.query(query, [establishmentId]);
+
+    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    result.rows.forEach(row => {
+      distribution[row.rating] = parseInt(row.count, 10);
+    });
+
+    return distribution;
+  } catch (error) {
+    logger.error('Error fetching rating distribution', {
+      error: error.message,
+      establishmentId,
+    });
+    throw error;
+  }
+};
+
 /**
  * Find all reviews written by a specific user
  * 
@@ -195,7 +332,8 @@ export const countReviewsByEstablishment = async (establishmentId, includeDelete
  * @param {number} options.limit - Maximum number of reviews to return (default: 10)
  * @param {number} options.offset - Number of reviews to skip for pagination (default: 0)
  * @param {boolean} options.includeDeleted - Whether to include soft-deleted reviews (default: false)
- * @returns {Promise<Array>} Array of review objects with establishment information
+ * @returns {Promise<Array>} Array of review objects with establishment information,
+ *   photos and the published reply (reply_* columns, null without one)
  */
 export const findReviewsByUser = async (userId, options = {}) => {
   const {
@@ -209,8 +347,8 @@ export const findReviewsByUser = async (userId, options = {}) => {
       r.id, 
       r.user_id, 
       r.establishment_id, 
-      r.rating, 
-      r.content, 
+      r.rating,${SUB_RATING_COLUMNS}
+      r.content,${VOTE_COLUMNS}
       r.is_deleted,
       r.is_visible,
       r.is_edited,
@@ -218,11 +356,12 @@ export const findReviewsByUser = async (userId, options = {}) => {
       r.updated_at,
       e.name as establishment_name,
       e.city as establishment_city,
-      e.categories as establishment_categories
+      e.categories as establishment_categories,${PHOTOS_COLUMN},${REPLY_COLUMNS}
     FROM reviews r
-    JOIN establishments e ON r.establishment_id = e.id
+    JOIN establishments e ON r.establishment_id = e.id${REPLY_JOIN}
     WHERE r.user_id = $1
     ${includeDeleted ? '' : 'AND r.is_deleted = false'}
+    AND r.moderation_status = 'published'
     ORDER BY r.created_at DESC
     LIMIT $2 OFFSET $3
   `;
@@ -253,6 +392,7 @@ export const countReviewsByUser = async (userId, includeDeleted = false) => {
     FROM reviews
     WHERE user_id = $1
     ${includeDeleted ? '' : 'AND is_deleted = false'}
+    AND moderation_status = 'published'
   `;
 
   try {
@@ -309,6 +449,8 @@ export const findExistingReview = async (userId, establishmentId) => {
  * @param {Object} updates - Fields to update
  * @param {number} [updates.rating] - New rating (optional)
  * @param {string} [updates.content] - New content (optional)
+ * @param {number|null} [updates.food_rating] - New food rating, null clears it
+ *   (optional; same for service_rating, atmosphere_rating and value_rating)
  * @returns {Promise<Object>} The updated review object
  * @throws {Error} If review not found or database operation fails
  */
@@ -330,6 +472,14 @@ export const updateReview = async (reviewId, updates) => {
     paramCount++;
   }
 
+  for (const column of ['food_rating', 'service_rating', 'atmosphere_rating', 'value_rating']) {
+    if (updates[column] !== undefined) {
+      fields.push(`${column} = $${paramCount}`);
+      values.push(updates[column]);
+      paramCount++;
+    }
+  }
+
   // Always update updated_at timestamp and set is_edited flag
   fields.push(`updated_at = CURRENT_TIMESTAMP`);
   fields.push(`is_edited = true`);
@@ -347,6 +497,10 @@ export const updateReview = async (reviewId, updates) => {
       user_id, 
       establishment_id, 
       rating, 
+      food_rating,
+      service_rating,
+      atmosphere_rating,
+      value_rating,
       content, 
       is_deleted,
       is_visible,
@@ -446,31 +600,50 @@ export const hardDeleteReview = async (reviewId) => {
 
 /**
  * Update aggregate statistics for an establishment
- * Recalculates average_rating and review_count based on non-deleted reviews
+ * Recalculates average_rating, review_count and the per-dimension averages
+ * (average_food_rating, ...) based on non-deleted, published reviews
+ * (reviews hidden by moderation do not count). A dimension is averaged over
+ * the reviews that rated it, and is NULL when none did.
  * 
  * This function should be called after any review create, update, or delete operation
  * to ensure aggregate statistics stay in sync with actual review data.
  * 
  * @param {string} establishmentId - UUID of the establishment to update
- * @returns {Promise<Object>} Object with updated average_rating and review_count
+ * @returns {Promise<Object>} Object with updated average_rating, review_count
+ *   and per-dimension averages
  */
 export const updateEstablishmentAggregates = async (establishmentId) => {
   const query = `
-    UPDATE establishments
+    UPDATE establishments e
     SET
-      average_rating = (
-        SELECT AVG(rating)::DECIMAL(3,2)
-        FROM reviews
-        WHERE establishment_id = $1
-      ),
-      review_count = (
-        SELECT COUNT(*)
-        FROM reviews
-        WHERE establishment_id = $1
-      ),
+      average_rating = stats.average_rating,
+      review_count = stats.review_count,
+      average_food_rating = stats.average_food_rating,
+      average_service_rating = stats.average_service_rating,
+      average_atmosphere_rating = stats.average_atmosphere_rating,
+      average_value_rating = stats.average_value_rating,
       updated_at = CURRENT_TIMESTAMP
-    WHERE id = $1
-    RETURNING average_rating, review_count
+    FROM (
+      SELECT
+        AVG(rating)::DECIMAL(3,2) AS average_rating,
+        COUNT(*) AS review_count,
+        AVG(food_rating)::DECIMAL(3,2) AS average_food_rating,
+        AVG(service_rating)::DECIMAL(3,2) AS average_service_rating,
+        AVG(atmosphere_rating)::DECIMAL(3,2) AS average_atmosphere_rating,
+        AVG(value_rating)::DECIMAL(3,2) AS average_value_rating
+      FROM reviews
+      WHERE establishment_id = $1
+      AND is_deleted = false
+      AND moderation_status = 'published'
+    ) stats
+    WHERE e.id = $1
+    RETURNING
+      e.average_rating,
+      e.review_count,
+      e.average_food_rating,
+      e.average_service_rating,
+      e.average_atmosphere_rating,
+      e.average_value_rating
   `;
 
   try {
@@ -480,15 +653,15 @@ export const updateEstablishmentAggregates = async (establishmentId) => {
       throw new Error('Establishment not found');
     }
 
-    const { average_rating, review_count } = result.rows[0];
+    const aggregates = result.rows[0];
 
     logger.info('Establishment aggregates updated', {
       establishmentId,
-      averageRating: average_rating,
-      reviewCount: review_count,
+      averageRating: aggregates.average_rating,
+      reviewCount: aggregates.review_count,
     });
 
-    return { average_rating, review_count };
+    return aggregates;
   } catch (error) {
     logger.error('Error updating establishment aggregates', {
       error: error.message,
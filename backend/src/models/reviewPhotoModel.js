@@ -0,0 +1,272 @@
+/**
+ * Review Photo Model
+ *
+ * This model provides database access methods for photos attached to
+ * reviews (migration 024). Photos are hosted on Cloudinary; rows keep the
+ * public_id so the service layer can remove the file.
+ *
+ * Photos of a review are nested into review lists by ReviewModel; this
+ * model serves uploads, deletion and the visitor gallery.
+ */
+
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+
+const PHOTO_FIELDS = [
+  'id',
+  'review_id',
+  'establishment_id',
+  'user_id',
+  'public_id',
+  'url',
+  'preview_url',
+  'thumbnail_url',
+  'position',
+  'created_at',
+];
+
+/**
+ * Create a photo record
+ *
+ * @param {Object} photoData - Photo data
+ * @param {string} photoData.review_id - UUID of the review
+ * @param {string} photoData.establishment_id - UUID of the reviewed establishment
+ * @param {string} photoData.user_id - UUID of the review author
+ * @param {string} photoData.public_id - Cloudinary public_id
+ * @param {string} photoData.url - Original resolution URL
+ * @param {string} photoData.preview_url - Preview resolution URL
+ * @param {string} photoData.thumbnail_url - Thumbnail resolution URL
+ * @param {number} photoData.position - Display position within the review
+ * @returns {Promise<Object>} Created photo
+ */
+export const createPhoto = async (photoData) => {
+  const {
+    review_id,
+    establishment_id,
+    user_id,
+    public_id,
+    url,
+    preview_url,
+    thumbnail_url,
+    position = 0,
+  } = photoData;
+
+  const query = `
+    INSERT INTO review_photos (
+      review_id,
+      establishment_id,
+      user_id,
+      public_id,
+      url,
+      preview_url,
+      thumbnail_url,
+      position
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+    RETURNING ${PHOTO_FIELDS.join(', ')}
+  `;
+
+  try {
+    const result = await pool.query(query, [
+      review_id,
+      establishment_id,
+      user_id,
+      public_id,
+      url,
+      preview_url,
+      thumbnail_url,
+      position,
+    ]);
+
+    logger.info('Review photo created', {
+      photoId: result.rows[0].id,
+      reviewId: review_id,
+    });
+
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Error creating review photo', {
+      error: error.message,
+      reviewId: review_id,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Get photos of a review in display order
+ *
+ * @param {string} reviewId - UUID of the review
+ * @returns {Promise<Array>} Photos
+ */
+export const findPhotosByReview = async (reviewId) => {
+  const query = `
+    SELECT ${PHOTO_FIELDS.join(', ')}
+    FROM review_photos
+    WHERE review_id = $1
+    ORDER BY position ASC, created_at ASC
+  `;
+
+  try {
+    const result = await pool.query(query, [reviewId]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error fetching review photos', {
+      error: error.message,
+      reviewId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Find a photo by ID
+ *
+ * @param {string} photoId - UUID of the photo
+ * @returns {Promise<Object|null>} Photo or null
+ */
+export const findPhotoById = async (photoId) => {
+  const query = `
+    SELECT ${PHOTO_FIELDS.join(', ')}
+    FROM review_photos
+    WHERE id = $1
+  `;
+
+  try {
+    const result = await pool.query(query, [photoId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error finding review photo by ID', {
+      error: error.message,
+      photoId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Delete a photo record
+ *
+ * The caller removes the Cloudinary file.
+ *
+ * @param {string} photoId - UUID of the photo
+ * @returns {Promise<boolean>} True if deleted
+ */
+export const deletePhoto = async (photoId) => {
+  const query = `
+    DELETE FROM review_photos
+    WHERE id = $1
+    RETURNING id
+  `;
+
+  try {
+    const result = await pool.query(query, [photoId]);
+    return result.rows.length > 0;
+  } catch (error) {
+    logger.error('Error deleting review photo', {
+      error: error.message,
+      photoId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Delete all photo records of a review
+ *
+ * The caller removes the Cloudinary files of the returned rows.
+ *
+ * @param {string} reviewId - UUID of the review
+ * @returns {Promise<Array>} Deleted photos with public_id
+ */
+export const deletePhotosByReview = async (reviewId) => {
+  const query = `
+    DELETE FROM review_photos
+    WHERE review_id = $1
+    RETURNING id, public_id
+  `;
+
+  try {
+    const result = await pool.query(query, [reviewId]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error deleting photos of review', {
+      error: error.message,
+      reviewId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Get the visitor gallery of an establishment, newest first
+ *
+ * Only photos of non-deleted, published reviews are listed. Each photo
+ * includes the review rating and author name.
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {Object} options - Query options
+ * @param {number} options.limit - Maximum number of results
+ * @param {number} options.offset - Number of results to skip
+ * @returns {Promise<Array>} Photos with review_rating and author_name
+ */
+export const getEstablishmentPhotos = async (establishmentId, { limit = 20, offset = 0 } = {}) => {
+  const query = `
+    SELECT
+      rp.id,
+      rp.review_id,
+      rp.url,
+      rp.preview_url,
+      rp.thumbnail_url,
+      rp.created_at,
+      r.rating as review_rating,
+      u.name as author_name
+    FROM review_photos rp
+    JOIN reviews r ON r.id = rp.review_id
+    JOIN users u ON u.id = r.user_id
+    WHERE rp.establishment_id = $1
+      AND r.is_deleted = false
+      AND r.moderation_status = 'published'
+    ORDER BY rp.created_at DESC, rp.position ASC
+    LIMIT $2 OFFSET $3
+  `;
+
+  try {
+    const result = await pool.query(query, [establishmentId, limit, offset]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error fetching visitor photos', {
+      error: error.message,
+      establishmentId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Count the visitor gallery of an establishment
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @returns {Promise<number>} Number of photos of published reviews
+ */
+export const countEstablishmentPhotos = async (establishmentId) => {
+  const query = `
+    SELECT COUNT(*) as count
+    FROM review_photos rp
+    JOIN reviews r ON r.id = rp.review_id
+    WHERE rp.establishment_id = $1
+      AND r.is_deleted = false
+      AND r.moderation_status = 'published'
+  `;
+
+  try {
+    const result = await pool.query(query, [establishmentId]);
+    return parseInt(result.rows[0].count, 10);
+  } catch (error) {
+    logger.error('Error counting visitor photos', {
+      error: error.message,
+      establishmentId,
+    });
+    throw error;
+  }
+};
@@ -0,0 +1,286 @@
+/**
+ * Review Reply Model
+ *
+ * This model provides database access methods for replies of
+ * establishments to reviews (migration 022). A review has at most one
+ * reply. Replies carry their own moderation state: 'published' replies are
+ * shown under the review, 'hidden' ones were removed by an admin.
+ *
+ * Published replies are nested into review lists by ReviewModel; this
+ * model serves the partner and moderation endpoints.
+ */
+
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+
+const REPLY_FIELDS = [
+  'id',
+  'review_id',
+  'establishment_id',
+  'author_id',
+  'content',
+  'is_edited',
+  'status',
+  'moderation_reason',
+  'moderated_by',
+  'moderated_at',
+  'created_at',
+  'updated_at',
+];
+
+const REPLY_COLUMNS = REPLY_FIELDS.map(field => `rr.${field}`).join(', ');
+
+/**
+ * Find the reply to a review
+ *
+ * @param {string} reviewId - UUID of the review
+ * @returns {Promise<Object|null>} Reply or null
+ */
+export const findReplyByReviewId = async (reviewId) => {
+  const query = `
+    SELECT ${REPLY_COLUMNS}
+    FROM review_replies rr
+    WHERE rr.review_id = $1
+  `;
+
+  try {
+    const result = await pool.query(query, [reviewId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error finding review reply', {
+      error: error.message,
+      reviewId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Find a reply by ID
+ *
+ * @param {string} replyId - UUID of the reply
+ * @returns {Promise<Object|null>} Reply or null
+ */
+export const findReplyById = async (replyId) => {
+  const query = `
+    SELECT ${REPLY_COLUMNS}
+    FROM review_replies rr
+    WHERE rr.id = $1
+  `;
+
+  try {
+    const result = await pool.query(query, [replyId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error finding review reply by ID', {
+      error: error.message,
+      replyId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Create a reply
+ *
+ * @param {Object} replyData - Reply data
+ * @param {string} replyData.review_id - UUID of the review
+ * @param {string} replyData.establishment_id - UUID of the reviewed establishment
+ * @param {string} replyData.author_id - UUID of the partner or team member
+ * @param {string} replyData.content - Reply text
+ * @returns {Promise<Object>} Created reply
+ * @throws {Error} With code 23505 if the review already has a reply
+ */
+export const createReply = async ({ review_id, establishment_id, author_id, content }) => {
+  const query = `
+    INSERT INTO review_replies (review_id, establishment_id, author_id, content)
+    VALUES ($1, $2, $3, $4)
+    RETURNING ${REPLY_FIELDS.join(', ')}
+  `;
+
+  try {
+    const result = await pool.query(query, [review_id, establishment_id, author_id, content]);
+
+    logger.info('Review reply created', {
+      replyId: result.rows[0].id,
+      reviewId: review_id,
+    });
+
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Error creating review reply', {
+      error: error.message,
+      reviewId: review_id,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Replace the text of a reply
+ *
+ * @param {string} replyId - UUID of the reply
+ * @param {string} content - New text
+ * @param {string} authorId - UUID of the user editing it
+ * @returns {Promise<Object|null>} Updated reply or null if not found
+ */
+export const updateReply = async (replyId, content, authorId) => {
+  const query = `
+    UPDATE review_replies
+    SET
+      content = $2,
+      author_id = $3,
+      is_edited = true,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+    RETURNING ${REPLY_FIELDS.join(', ')}
+  `;
+
+  try {
+    const result = await pool.query(query, [replyId, content, authorId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error updating review reply', {
+      error: error.message,
+      replyId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Delete a reply
+ *
+ * @param {string} replyId - UUID of the reply
+ * @returns {Promise<boolean>} True if deleted
+ */
+export const deleteReply = async (replyId) => {
+  const query = `
+    DELETE FROM review_replies
+    WHERE id = $1
+    RETURNING id
+  `;
+
+  try {
+    const result = await pool.query(query, [replyId]);
+    return result.rows.length > 0;
+  } catch (error) {
+    logger.error('Error deleting review reply', {
+      error: error.message,
+      replyId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * List replies for moderators, newest first
+ *
+ * Each reply includes the review it answers and the establishment name.
+ *
+ * @param {Object} filters - List filters
+ * @param {string} filters.status - Reply status
+ * @param {number} filters.limit - Maximum number of results
+ * @param {number} filters.offset - Number of results to skip
+ * @returns {Promise<Array>} Replies with review and establishment summaries
+ */
+export const listReplies = async ({ status, limit = 20, offset = 0 }) => {
+  const query = `
+    SELECT
+      ${REPLY_COLUMNS},
+      json_build_object(
+        'id', r.id,
+        'rating', r.rating,
+        'content', r.content,
+        'user_id', r.user_id
+      ) as review,
+      json_build_object(
+        'id', e.id,
+        'name', e.name,
+        'city', e.city
+      ) as establishment
+    FROM review_replies rr
+    JOIN reviews r ON r.id = rr.review_id
+    JOIN establishments e ON e.id = rr.establishment_id
+    WHERE rr.status = $1
+    ORDER BY rr.created_at DESC
+    LIMIT $2 OFFSET $3
+  `;
+
+  try {
+    const result = await pool.query(query, [status, limit, offset]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error listing review replies', {
+      error: error.message,
+      status,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Count replies with a status
+ *
+ * @param {string} status - Reply status
+ * @returns {Promise<number>} Number of replies
+ */
+export const countReplies = async (status) => {
+  const query = `
+    SELECT COUNT(*) as count
+    FROM review_replies
+    WHERE status = $1
+  `;
+
+  try {
+    const result = await pool.query(query, [status]);
+    return parseInt(result.rows[0].count, 10);
+  } catch (error) {
+    logger.error('Error counting review replies', {
+      error: error.message,
+      status,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Change the moderation state of a reply
+ *
+ * The update only applies while the reply still has fromStatus, so two
+ * admins acting at once cannot both succeed.
+ *
+ * @param {string} replyId - UUID of the reply
+ * @param {Object} transition - Transition details
+ * @param {string} transition.fromStatus - Expected current status
+ * @param {string} transition.toStatus - New status
+ * @param {string} transition.adminId - UUID of the acting admin
+ * @param {string|null} transition.reason - Reason shown to the partner
+ * @returns {Promise<Object|null>} Updated reply or null if the status changed
+ */
+export const setReplyStatus = async (replyId, { fromStatus, toStatus, adminId, reason = null }) => {
+  const query = `
+    UPDATE review_replies
+    SET
+      status = $3,
+      moderation_reason = $4,
+      moderated_by = $5,
+      moderated_at = CURRENT_TIMESTAMP,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+      AND status = $2
+    RETURNING ${REPLY_FIELDS.join(', ')}
+  `;
+
+  try {
+    const result = await pool.query(query, [replyId, fromStatus, toStatus, reason, adminId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error changing review reply status', {
+      error: error.message,
+      replyId,
+      toStatus,
+    });
+    throw error;
+  }
+};
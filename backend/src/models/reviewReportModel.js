@@ -0,0 +1,283 @@
+/**
+ * Review Report Model
+ *
+ * This model provides database access methods for user reports of reviews
+ * and for the moderation state of reviews (migration 023). A user reports
+ * a review at most once. Reports stay open until an admin hides or
+ * restores the review; open reports count toward the auto-hide threshold.
+ *
+ * Which transitions are allowed and when a review is hidden automatically
+ * are business rules and live in reviewReportService.js.
+ */
+
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+
+const REPORT_FIELDS = ['id', 'review_id', 'user_id', 'reason', 'comment', 'created_at'];
+
+/**
+ * Create a report
+ *
+ * @param {Object} reportData - Report data
+ * @param {string} reportData.review_id - UUID of the reported review
+ * @param {string} reportData.user_id - UUID of the reporting user
+ * @param {string} reportData.reason - Report reason
+ * @param {string|null} reportData.comment - Optional explanation
+ * @returns {Promise<Object>} Created report
+ * @throws {Error} With code 23505 if the user already reported the review
+ */
+export const createReport = async ({ review_id, user_id, reason, comment = null }) => {
+  const query = `
+    INSERT INTO review_reports (review_id, user_id, reason, comment)
+    VALUES ($1, $2, $3, $4)
+    RETURNING ${REPORT_FIELDS.join(', ')}
+  `;
+
+  try {
+    const result = await pool.query(query, [review_id, user_id, reason, comment]);
+
+    logger.info('Review report created', {
+      reportId: result.rows[0].id,
+      reviewId: review_id,
+      reason,
+    });
+
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Error creating review report', {
+      error: error.message,
+      reviewId: review_id,
+      userId: user_id,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Count open reports of a review
+ *
+ * @param {string} reviewId - UUID of the review
+ * @returns {Promise<number>} Number of unresolved reports
+ */
+export const countOpenReports = async (reviewId) => {
+  const query = `
+    SELECT COUNT(*) as count
+    FROM review_reports
+    WHERE review_id = $1
+      AND resolved_at IS NULL
+  `;
+
+  try {
+    const result = await pool.query(query, [reviewId]);
+    return parseInt(result.rows[0].count, 10);
+  } catch (error) {
+    logger.error('Error counting open review reports', {
+      error: error.message,
+      reviewId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Build the WHERE clause of the review moderation queue
+ *
+ * Published reviews are only listed while they have open reports.
+ *
+ * @param {string} status - Review moderation status
+ * @returns {string} WHERE clause using $1 for the status
+ */
+const buildQueueWhere = (status) => `
+    WHERE r.moderation_status = $1
+      AND r.is_deleted = false
+      ${status === 'published'
+    ? 'AND EXISTS (SELECT 1 FROM review_reports o WHERE o.review_id = r.id AND o.resolved_at IS NULL)'
+    : ''}
+  `;
+
+/**
+ * List reviews for moderators
+ *
+ * Each review includes its author, establishment and open reports. Reviews
+ * with the most open reports come first.
+ *
+ * @param {Object} filters - List filters
+ * @param {string} filters.status - Review moderation status
+ * @param {number} filters.limit - Maximum number of results
+ * @param {number} filters.offset - Number of results to skip
+ * @returns {Promise<Array>} Reviews with open_report_count and reports
+ */
+export const listReviewsForModeration = async ({ status, limit = 20, offset = 0 }) => {
+  const query = `
+    SELECT
+      r.id,
+      r.user_id,
+      r.establishment_id,
+      r.rating,
+      r.content,
+      r.moderation_status,
+      r.moderation_reason,
+      r.moderated_by,
+      r.moderated_at,
+      r.created_at,
+      r.updated_at,
+      u.name as author_name,
+      json_build_object(
+        'id', e.id,
+        'name', e.name,
+        'city', e.city
+      ) as establishment,
+      COALESCE(rep.open_report_count, 0) as open_report_count,
+      COALESCE(rep.reports, '[]'::json) as reports
+    FROM reviews r
+    JOIN users u ON u.id = r.user_id
+    JOIN establishments e ON e.id = r.establishment_id
+    LEFT JOIN LATERAL (
+      SELECT
+        COUNT(*)::int as open_report_count,
+        json_agg(json_build_object(
+          'id', rr.id,
+          'user_id', rr.user_id,
+          'reason', rr.reason,
+          'comment', rr.comment,
+          'created_at', rr.created_at
+        ) ORDER BY rr.created_at) as reports
+      FROM review_reports rr
+      WHERE rr.review_id = r.id
+        AND rr.resolved_at IS NULL
+    ) rep ON true
+    ${buildQueueWhere(status)}
+    ORDER BY open_report_count DESC, r.created_at ASC
+    LIMIT $2 OFFSET $3
+  `;
+
+  try {
+    const result = await pool.query(query, [status, limit, offset]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error listing reviews for moderation', {
+      error: error.message,
+      status,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Count reviews in the moderation queue
+ *
+ * @param {string} status - Review moderation status
+ * @returns {Promise<number>} Number of reviews
+ */
+export const countReviewsForModeration = async (status) => {
+  const query = `
+    SELECT COUNT(*) as count
+    FROM reviews r
+    ${buildQueueWhere(status)}
+  `;
+
+  try {
+    const result = await pool.query(query, [status]);
+    return parseInt(result.rows[0].count, 10);
+  } catch (error) {
+    logger.error('Error counting reviews for moderation', {
+      error: error.message,
+      status,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Change the moderation state of a review
+ *
+ * The update only applies while the review still has one of fromStatuses,
+ * so two admins acting at once cannot both succeed. When resolveReports is
+ * set, the open reports of the review are resolved in the same
+ * transaction.
+ *
+ * @param {string} reviewId - UUID of the review
+ * @param {Object} transition - Transition details
+ * @param {Array<string>} transition.fromStatuses - Allowed current statuses
+ * @param {string} transition.toStatus - New status
+ * @param {string|null} transition.adminId - UUID of the acting admin, null for the system
+ * @param {string|null} transition.reason - Moderation reason
+ * @param {boolean} transition.resolveReports - Resolve open reports
+ * @returns {Promise<Object|null>} Updated review or null if the status did not match
+ */
+export const setReviewModerationStatus = async (reviewId, transition) => {
+  const { fromStatuses, toStatus, adminId = null, reason = null, resolveReports = false } = transition;
+
+  const query = `
+    UPDATE reviews
+    SET
+      moderation_status = $3,
+      is_visible = $6,
+      moderation_reason = $4,
+      moderated_by = $5,
+      moderated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+      AND moderation_status = ANY($2::varchar[])
+      AND is_deleted = false
+    RETURNING
+      id,
+      user_id,
+      establishment_id,
+      rating,
+      content,
+      moderation_status,
+      moderation_reason,
+      moderated_by,
+      moderated_at,
+      updated_at
+  `;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(query, [
+      reviewId,
+      fromStatuses,
+      toStatus,
+      reason,
+      adminId,
+      toStatus === 'published',
+    ]);
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    if (resolveReports) {
+      await client.query(
+        `UPDATE review_reports
+         SET resolved_at = CURRENT_TIMESTAMP, resolved_by = $2
+         WHERE review_id = $1 AND resolved_at IS NULL`,
+        [reviewId, adminId]
+      );
+    }
+
+    await client.query('COMMIT');
+
+    logger.info('Review moderation status changed', {
+      reviewId,
+      toStatus,
+      adminId,
+    });
+
+    return result.rows[0];
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error changing review moderation status', {
+      error: error.message,
+      reviewId,
+      toStatus,
+    });
+    throw error;
+  } finally {
+    client.release();
+  }
+};
@@ -0,0 +1,192 @@
+/**
+ * Review Vote Model
+ *
+ * This model provides database access methods for helpful / not helpful
+ * votes on reviews (migration 026). A user has at most one vote per review.
+ * Every change of a vote updates reviews.helpful_count and
+ * reviews.not_helpful_count in the same transaction, so the counters always
+ * match review_votes.
+ *
+ * Who may vote is a business rule and lives in reviewVoteService.js.
+ */
+
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Add to the vote counters of a review
+ *
+ * @param {Object} client - Client of the running transaction
+ * @param {string} reviewId - UUID of the review
+ * @param {number} helpfulDelta - Change of helpful_count
+ * @param {number} notHelpfulDelta - Change of not_helpful_count
+ * @returns {Promise<Object>} { helpful_count, not_helpful_count }
+ */
+const updateCounters = async (client, reviewId, helpfulDelta, notHelpfulDelta) => {
+  const result = await client.query(
+    `UPDATE reviews
+     SET helpful_count = helpful_count + $2,
+         not_helpful_count = not_helpful_count + $3
+     WHERE id = $1
+     RETURNING helpful_count, not_helpful_count`,
+    [reviewId, helpfulDelta, notHelpfulDelta]
+  );
+
+  return result.rows[0];
+};
+
+/**
+ * Counter changes when a vote goes from one value to another
+ *
+ * @param {boolean|null} from - Previous vote (null: none)
+ * @param {boolean|null} to - New vote (null: removed)
+ * @returns {Array<number>} [helpfulDelta, notHelpfulDelta]
+ */
+const getCounterDeltas = (from, to) => [
+  (to === true ? 1 : 0) - (from === true ? 1 : 0),
+  (to === false ? 1 : 0) - (from === false ? 1 : 0),
+];
+
+/**
+ * Find the vote of a user on a review
+ *
+ * @param {string} reviewId - UUID of the review
+ * @param {string} userId - UUID of the user
+ * @returns {Promise<boolean|null>} is_helpful, or null if the user has not voted
+ */
+export const findVote = async (reviewId, userId) => {
+  const query = `
+    SELECT is_helpful
+    FROM review_votes
+    WHERE review_id = $1 AND user_id = $2
+  `;
+
+  try {
+    const result = await pool.query(query, [reviewId, userId]);
+    return result.rows[0] ? result.rows[0].is_helpful : null;
+  } catch (error) {
+    logger.error('Error finding review vote', {
+      error: error.message,
+      reviewId,
+      userId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Record or change the vote of a user
+ *
+ * Voting the same way again changes nothing.
+ *
+ * @param {string} reviewId - UUID of the review
+ * @param {string} userId - UUID of the voting user
+ * @param {boolean} isHelpful - True for helpful, false for not helpful
+ * @returns {Promise<Object>} { previous, helpful_count, not_helpful_count },
+ *   previous being the former vote or null
+ * @throws {Error} With code 23505 if a concurrent request created the vote
+ */
+export const setVote = async (reviewId, userId, isHelpful) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const existing = await client.query(
+      `SELECT is_helpful
+       FROM review_votes
+       WHERE review_id = $1 AND user_id = $2
+       FOR UPDATE`,
+      [reviewId, userId]
+    );
+    const previous = existing.rows[0] ? existing.rows[0].is_helpful : null;
+
+    if (previous === null) {
+      await client.query(
+        `INSERT INTO review_votes (review_id, user_id, is_helpful)
+         VALUES ($1, $2, $3)`,
+        [reviewId, userId, isHelpful]
+      );
+    } else if (previous !== isHelpful) {
+      await client.query(
+        `UPDATE review_votes
+         SET is_helpful = $3, updated_at = CURRENT_TIMESTAMP
+         WHERE review_id = $1 AND user_id = $2`,
+        [reviewId, userId, isHelpful]
+      );
+    }
+
+    const counts = await updateCounters(client, reviewId, ...getCounterDeltas(previous, isHelpful));
+
+    await client.query('COMMIT');
+
+    logger.info('Review vote recorded', {
+      reviewId,
+      userId,
+      isHelpful,
+      previous,
+    });
+
+    return { previous, ...counts };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error recording review vote', {
+      error: error.message,
+      reviewId,
+      userId,
+    });
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Remove the vote of a user
+ *
+ * @param {string} reviewId - UUID of the review
+ * @param {string} userId - UUID of the user
+ * @returns {Promise<Object|null>} { previous, helpful_count, not_helpful_count },
+ *   or null if the user had not voted
+ */
+export const deleteVote = async (reviewId, userId) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const deleted = await client.query(
+      `DELETE FROM review_votes
+       WHERE review_id = $1 AND user_id = $2
+       RETURNING is_helpful`,
+      [reviewId, userId]
+    );
+
+    if (deleted.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const previous = deleted.rows[0].is_helpful;
+    const counts = await updateCounters(client, reviewId, ...getCounterDeltas(previous, null));
+
+    await client.query('COMMIT');
+
+    logger.info('Review vote removed', {
+      reviewId,
+      userId,
+    });
+
+    return { previous, ...counts };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error removing review vote', {
+      error: error.message,
+      reviewId,
+      userId,
+    });
+    throw error;
+  } finally {
+    client.release();
+  }
+};
@@ -0,0 +1,389 @@
+/**
+ * Revision Model
+ *
+ * This model provides database access methods for establishment revisions
+ * (migration 015): pending edits to active establishments that wait for
+ * moderation while the approved version stays public.
+ *
+ * Architecture note: Approving a revision applies its changes to the
+ * establishment, closes the revision and writes the moderation log entry in
+ * one transaction, so a listing can never show half of an approved edit.
+ */
+
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+import * as EstablishmentModel from './establishmentModel.js';
+import * as ModerationModel from './moderationModel.js';
+
+/**
+ * Columns returned for a revision
+ */
+const REVISION_COLUMNS = `
+  id,
+  establishment_id,
+  partner_id,
+  changes,
+  status,
+  reason,
+  reviewed_by,
+  reviewed_at,
+  created_at,
+  updated_at
+`;
+
+/**
+ * Create a pending revision or merge changes into the existing one
+ *
+ * Fields edited again overwrite the previously proposed value; other
+ * proposed fields are kept. The submission is recorded in the moderation log.
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {string} partnerId - UUID of the partner or team member proposing the changes
+ * @param {Object} changes - Proposed field values (update API keys)
+ * @param {string} actorRole - Role recorded in the moderation log: 'partner'
+ *   or the team role of the member (see utils/teamPermissions.js)
+ * @param {Object} transaction - Optional client of a transaction opened by
+ *   the caller (bulk import); without it the revision commits on its own
+ * @returns {Promise<Object>} The pending revision
+ */
+export const savePendingRevision = async (establishmentId, partnerId, changes, actorRole = 'partner', transaction = null) => {
+  const query = `
+    INSERT INTO establishment_revisions (establishment_id, partner_id, changes)
+    VALUES ($1, $2, $3::jsonb)
+    ON CONFLICT (establishment_id) WHERE status = 'pending'
+    DO UPDATE SET
+      changes = establishment_revisions.changes || EXCLUDED.changes,
+      partner_id = EXCLUDED.partner_id,
+      updated_at = CURRENT_TIMESTAMP
+    RETURNING ${REVISION_COLUMNS}
+  `;
+
+  const client = transaction || await pool.connect();
+
+  try {
+    if (!transaction) {
+      await client.query('BEGIN');
+    }
+
+    const result = await client.query(query, [
+      establishmentId,
+      partnerId,
+      JSON.stringify(changes),
+    ]);
+    const revision = result.rows[0];
+
+    await ModerationModel.createLogEntry({
+      establishment_id: establishmentId,
+      action: 'revision_submit',
+      from_status: 'active',
+      to_status: 'active',
+      actor_id: partnerId,
+      actor_role: actorRole,
+      revision_id: revision.id,
+    }, client);
+
+    if (!transaction) {
+      await client.query('COMMIT');
+    }
+
+    logger.info('Establishment revision saved', {
+      establishmentId,
+      revisionId: revision.id,
+      changedFields: Object.keys(changes),
+    });
+
+    return revision;
+  } catch (error) {
+    if (!transaction) {
+      await client.query('ROLLBACK');
+    }
+    logger.error('Error saving establishment revision', {
+      error: error.message,
+      establishmentId,
+    });
+    throw error;
+  } finally {
+    if (!transaction) {
+      client.release();
+    }
+  }
+};
+
+/**
+ * Find a revision by ID
+ *
+ * @param {string} revisionId - UUID of the revision
+ * @returns {Promise<Object|null>} Revision or null if not found
+ */
+export const findRevisionById = async (revisionId) => {
+  const query = `
+    SELECT ${REVISION_COLUMNS}
+    FROM establishment_revisions
+    WHERE id = $1
+  `;
+
+  try {
+    const result = await pool.query(query, [revisionId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error fetching revision by ID', {
+      error: error.message,
+      revisionId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Find the pending revision of an establishment
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @returns {Promise<Object|null>} Pending revision or null if there is none
+ */
+export const findPendingRevision = async (establishmentId) => {
+  const query = `
+    SELECT ${REVISION_COLUMNS}
+    FROM establishment_revisions
+    WHERE establishment_id = $1
+      AND status = 'pending'
+  `;
+
+  try {
+    const result = await pool.query(query, [establishmentId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error fetching pending revision', {
+      error: error.message,
+      establishmentId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Get pending revisions, oldest first
+ *
+ * @param {Object} options - Pagination options
+ * @param {number} options.limit - Maximum number of results (default: 20)
+ * @param {number} options.offset - Number of results to skip (default: 0)
+ * @returns {Promise<Array>} Revisions with establishment and partner names
+ */
+export const getPendingRevisions = async ({ limit = 20, offset = 0 } = {}) => {
+  const query = `
+    SELECT
+      r.id,
+      r.establishment_id,
+      r.partner_id,
+      r.changes,
+      r.status,
+      r.created_at,
+      r.updated_at,
+      e.name as establishment_name,
+      e.city,
+      u.name as partner_name,
+      u.email as partner_email
+    FROM establishment_revisions r
+    JOIN establishments e ON r.establishment_id = e.id
+    LEFT JOIN users u ON r.partner_id = u.id
+    WHERE r.status = 'pending'
+    ORDER BY r.created_at ASC, r.id ASC
+    LIMIT $1 OFFSET $2
+  `;
+
+  try {
+    const result = await pool.query(query, [limit, offset]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error fetching pending revisions', {
+      error: error.message,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Count pending revisions
+ *
+ * @returns {Promise<number>} Number of pending revisions
+ */
+export const countPendingRevisions = async () => {
+  const query = `
+    SELECT COUNT(*) as count
+    FROM establishment_revisions
+    WHERE status = 'pending'
+  `;
+
+  try {
+    const result = await pool.query(query);
+    return parseInt(result.rows[0].count, 10);
+  } catch (error) {
+    logger.error('Error counting pending revisions', {
+      error: error.message,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Approve a pending revision and apply its changes
+ *
+ * The revision row is locked so two moderators cannot apply it twice.
+ *
+ * @param {string} revisionId - UUID of the revision
+ * @param {string} adminId - UUID of the approving admin
+ * @param {string} note - Optional note for the partner
+ * @returns {Promise<Object|null>} { revision, establishment, logEntry } or null if not pending
+ */
+export const approveRevision = async (revisionId, adminId, note = null) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const locked = await client.query(
+      `SELECT ${REVISION_COLUMNS}
+       FROM establishment_revisions
+       WHERE id = $1 AND status = 'pending'
+       FOR UPDATE`,
+      [revisionId]
+    );
+
+    if (locked.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const pendingRevision = locked.rows[0];
+
+    const establishment = await EstablishmentModel.updateEstablishment(
+      pendingRevision.establishment_id,
+      pendingRevision.changes,
+      client
+    );
+
+    const result = await client.query(
+      `UPDATE establishment_revisions
+       SET
+         status = 'approved',
+         reason = $2,
+         reviewed_by = $3,
+         reviewed_at = CURRENT_TIMESTAMP,
+         updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1
+       RETURNING ${REVISION_COLUMNS}`,
+      [revisionId, note, adminId]
+    );
+
+    const logEntry = await ModerationModel.createLogEntry({
+      establishment_id: pendingRevision.establishment_id,
+      action: 'revision_approve',
+      from_status: establishment.status,
+      to_status: establishment.status,
+      reason: note,
+      actor_id: adminId,
+      actor_role: 'admin',
+      revision_id: revisionId,
+    }, client);
+
+    await client.query('COMMIT');
+
+    logger.info('Establishment revision approved', {
+      revisionId,
+      establishmentId: pendingRevision.establishment_id,
+      adminId,
+    });
+
+    return { revision: result.rows[0], establishment, logEntry };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error approving establishment revision', {
+      error: error.message,
+      revisionId,
+    });
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
+/**
+ * Reject a pending revision
+ *
+ * The establishment is not changed.
+ *
+ * @param {string} revisionId - UUID of the revision
+ * @param {string} adminId - UUID of the rejecting admin
+ * @param {string} reason - Explanation for the partner
+ * @returns {Promise<Object|null>} { revision, logEntry } or null if not pending
+ */
+export const rejectRevision = async (revisionId, adminId, reason) => {
+  const client = await pool.connect();
+
+  try {
+    await client.query('BEGIN');
+
+    const result = await client.query(
+      `UPDATE establishment_revisions r
+       SET
+         status = 'rejected',
+         reason = $2,
+         reviewed_by = $3,
+         reviewed_at = CURRENT_TIMESTAMP,
+         updated_at = CURRENT_TIMESTAMP
+       FROM establishments e
+       WHERE r.id = $1
+         AND r.status = 'pending'
+         AND e.id = r.establishment_id
+       RETURNING
+         r.id,
+         r.establishment_id,
+         r.partner_id,
+         r.changes,
+         r.status,
+         r.reason,
+         r.reviewed_by,
+         r.reviewed_at,
+         r.created_at,
+         r.updated_at,
+         e.status as establishment_status`,
+      [revisionId, reason, adminId]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+
+    const { establishment_status: establishmentStatus, ...revision } = result.rows[0];
+
+    const logEntry = await ModerationModel.createLogEntry({
+      establishment_id: revision.establishment_id,
+      action: 'revision_reject',
+      from_status: establishmentStatus,
+      to_status: establishmentStatus,
+      reason,
+      actor_id: adminId,
+      actor_role: 'admin',
+      revision_id: revisionId,
+    }, client);
+
+    await client.query('COMMIT');
+
+    logger.info('Establishment revision rejected', {
+      revisionId,
+      establishmentId: revision.establishment_id,
+      adminId,
+    });
+
+    return { revision, logEntry };
+  } catch (error) {
+    await client.query('ROLLBACK');
+    logger.error('Error rejecting establishment revision', {
+      error: error.message,
+      revisionId,
+    });
+    throw error;
+  } finally {
+    client.release();
+  }
+};
@@ -0,0 +1,553 @@
+/**
+ * Schedule Model
+ *
+ * This model provides database access methods for schedule exceptions
+ * (migration 020): the national holiday calendar maintained by admins and
+ * date-ranged exceptions of an establishment (own holiday hours, temporary
+ * closures, shortened days).
+ *
+ * Resolving which schedule applies on a date happens in SQL
+ * (establishment_schedule_overrides), so search filters and responses use
+ * the same precedence.
+ */
+
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+
+const HOLIDAY_COLUMNS = `
+  h.id,
+  to_char(h.holiday_date, 'YYYY-MM-DD') AS date,
+  h.name,
+  h.type,
+  h.hours,
+  h.created_at,
+  h.updated_at
+`;
+
+const EXCEPTION_COLUMNS = `
+  x.id,
+  x.establishment_id,
+  x.type,
+  to_char(x.start_date, 'YYYY-MM-DD') AS start_date,
+  to_char(x.end_date, 'YYYY-MM-DD') AS end_date,
+  x.hours,
+  x.note,
+  x.created_by,
+  x.created_at,
+  x.updated_at
+`;
+
+const HOLIDAY_FIELDS = {
+  date: 'holiday_date',
+  name: 'name',
+  type: 'type',
+  hours: 'hours',
+};
+
+const EXCEPTION_FIELDS = {
+  type: 'type',
+  start_date: 'start_date',
+  end_date: 'end_date',
+  hours: 'hours',
+  note: 'note',
+};
+
+/**
+ * Build SET clause entries for the fields present in updates
+ *
+ * JSONB values are serialized; null clears the column.
+ *
+ * @param {Object} columns - Map of update keys to column names
+ * @param {Object} updates - Field values
+ * @returns {Object} { fields, values }
+ */
+const buildUpdateFields = (columns, updates) => {
+  const fields = [];
+  const values = [];
+
+  Object.entries(columns).forEach(([key, column]) => {
+    if (updates[key] !== undefined) {
+      const value = key === 'hours' && updates.hours !== null
+        ? JSON.stringify(updates.hours)
+        : updates[key];
+      values.push(value);
+      fields.push(`${column} = $${values.length}`);
+    }
+  });
+
+  fields.push('updated_at = CURRENT_TIMESTAMP');
+
+  return { fields, values };
+};
+
+/**
+ * List national holidays between two dates
+ *
+ * @param {string} fromDate - First date (YYYY-MM-DD)
+ * @param {string} toDate - Last date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Holidays ordered by date
+ */
+export const listPublicHolidays = async (fromDate, toDate) => {
+  const query = `
+    SELECT ${HOLIDAY_COLUMNS}
+    FROM public_holidays h
+    WHERE h.holiday_date BETWEEN $1 AND $2
+    ORDER BY h.holiday_date ASC
+  `;
+
+  try {
+    const result = await pool.query(query, [fromDate, toDate]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error listing public holidays', {
+      error: error.message,
+      fromDate,
+      toDate,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Find a national holiday by ID
+ *
+ * @param {string} holidayId - UUID of the holiday
+ * @returns {Promise<Object|null>} Holiday or null if not found
+ */
+export const findPublicHoliday = async (holidayId) => {
+  const query = `
+    SELECT ${HOLIDAY_COLUMNS}
+    FROM public_holidays h
+    WHERE h.id = $1
+  `;
+
+  try {
+    const result = await pool.query(query, [holidayId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error finding public holiday', {
+      error: error.message,
+      holidayId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Add a date to the national holiday calendar
+ *
+ * @param {Object} holiday - { date, name, type, hours }
+ * @returns {Promise<Object>} Created holiday
+ * @throws {Error} If database operation fails (23505 when the date exists)
+ */
+export const createPublicHoliday = async ({ date, name, type, hours }) => {
+  const query = `
+    INSERT INTO public_holidays AS h (holiday_date, name, type, hours)
+    VALUES ($1, $2, $3, $4)
+    RETURNING ${HOLIDAY_COLUMNS}
+  `;
+
+  try {
+    const result = await pool.query(query, [
+      date,
+      name,
+      type,
+      hours ? JSON.stringify(hours) : null,
+    ]);
+
+    logger.info('Public holiday created', {
+      holidayId: result.rows[0].id,
+      date,
+    });
+
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Error creating public holiday', {
+      error: error.message,
+      date,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Update a national holiday
+ *
+ * @param {string} holidayId - UUID of the holiday
+ * @param {Object} updates - Any of date, name, type, hours
+ * @returns {Promise<Object|null>} Updated holiday or null if not found
+ */
+export const updatePublicHoliday = async (holidayId, updates) => {
+  const { fields, values } = buildUpdateFields(HOLIDAY_FIELDS, updates);
+  values.push(holidayId);
+
+  const query = `
+    UPDATE public_holidays h
+    SET ${fields.join(', ')}
+    WHERE h.id = $${values.length}
+    RETURNING ${HOLIDAY_COLUMNS}
+  `;
+
+  try {
+    const result = await pool.query(query, values);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error updating public holiday', {
+      error: error.message,
+      holidayId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Remove a date from the national holiday calendar
+ *
+ * @param {string} holidayId - UUID of the holiday
+ * @returns {Promise<Object|null>} Deleted holiday or null if not found
+ */
+export const deletePublicHoliday = async (holidayId) => {
+  const query = `
+    DELETE FROM public_holidays h
+    WHERE h.id = $1
+    RETURNING ${HOLIDAY_COLUMNS}
+  `;
+
+  try {
+    const result = await pool.query(query, [holidayId]);
+
+    if (result.rows.length > 0) {
+      logger.info('Public holiday deleted', { holidayId });
+    }
+
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error deleting public holiday', {
+      error: error.message,
+      holidayId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * List exceptions of an establishment that end on or after a date
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {string} fromDate - Earliest end date (YYYY-MM-DD)
+ * @returns {Promise<Array>} Exceptions ordered by start date
+ */
+export const listExceptions = async (establishmentId, fromDate) => {
+  const query = `
+    SELECT ${EXCEPTION_COLUMNS}
+    FROM establishment_schedule_exceptions x
+    WHERE x.establishment_id = $1
+      AND x.end_date >= $2
+    ORDER BY x.start_date ASC, x.created_at ASC
+  `;
+
+  try {
+    const result = await pool.query(query, [establishmentId, fromDate]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error listing schedule exceptions', {
+      error: error.message,
+      establishmentId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Find an exception of an establishment
+ *
+ * @param {string} exceptionId - UUID of the exception
+ * @param {string} establishmentId - UUID of the establishment
+ * @returns {Promise<Object|null>} Exception or null if not found
+ */
+export const findException = async (exceptionId, establishmentId) => {
+  const query = `
+    SELECT ${EXCEPTION_COLUMNS}
+    FROM establishment_schedule_exceptions x
+    WHERE x.id = $1 AND x.establishment_id = $2
+  `;
+
+  try {
+    const result = await pool.query(query, [exceptionId, establishmentId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error finding schedule exception', {
+      error: error.message,
+      exceptionId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Check whether a date range overlaps another exception of the establishment
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {string} startDate - First date (YYYY-MM-DD)
+ * @param {string} endDate - Last date (YYYY-MM-DD)
+ * @param {string} excludeId - Exception to ignore (the one being updated)
+ * @returns {Promise<boolean>} True if another exception overlaps
+ */
+export const hasOverlappingException = async (establishmentId, startDate, endDate, excludeId = null) => {
+  const query = `
+    SELECT EXISTS(
+      SELECT 1
+      FROM establishment_schedule_exceptions
+      WHERE establishment_id = $1
+        AND start_date <= $3
+        AND end_date >= $2
+        AND ($4::uuid IS NULL OR id <> $4::uuid)
+    ) AS overlaps
+  `;
+
+  try {
+    const result = await pool.query(query, [establishmentId, startDate, endDate, excludeId]);
+    return result.rows[0].overlaps;
+  } catch (error) {
+    logger.error('Error checking schedule exception overlap', {
+      error: error.message,
+      establishmentId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Create an exception
+ *
+ * @param {Object} exception - { establishment_id, type, start_date, end_date,
+ *   hours, note, created_by }
+ * @returns {Promise<Object>} Created exception
+ * @throws {Error} If database operation fails
+ */
+export const createException = async (exception) => {
+  const query = `
+    INSERT INTO establishment_schedule_exceptions AS x (
+      establishment_id,
+      type,
+      start_date,
+      end_date,
+      hours,
+      note,
+      created_by
+    )
+    VALUES ($1, $2, $3, $4, $5, $6, $7)
+    RETURNING ${EXCEPTION_COLUMNS}
+  `;
+
+  try {
+    const result = await pool.query(query, [
+      exception.establishment_id,
+      exception.type,
+      exception.start_date,
+      exception.end_date,
+      exception.hours ? JSON.stringify(exception.hours) : null,
+      exception.note || null,
+      exception.created_by,
+    ]);
+
+    logger.info('Schedule exception created', {
+      exceptionId: result.rows[0].id,
+      establishmentId: exception.establishment_id,
+      type: exception.type,
+    });
+
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Error creating schedule exception', {
+      error: error.message,
+      establishmentId: exception.establishment_id,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Update an exception
+ *
+ * @param {string} exceptionId - UUID of the exception
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {Object} updates - Any of type, start_date, end_date, hours, note
+ * @returns {Promise<Object|null>} Updated exception or null if not found
+ */
+export const updateException = async (exceptionId, establishmentId, updates) => {
+  const { fields, values } = buildUpdateFields(EXCEPTION_FIELDS, updates);
+  values.push(exceptionId, establishmentId);
+
+  const query = `
+    UPDATE establishment_schedule_exceptions x
+    SET ${fields.join(', ')}
+    WHERE x.id = $${values.length - 1} AND x.establishment_id = $${values.length}
+    RETURNING ${EXCEPTION_COLUMNS}
+  `;
+
+  try {
+    const result = await pool.query(query, values);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error updating schedule exception', {
+      error: error.message,
+      exceptionId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Delete an exception
+ *
+ * @param {string} exceptionId - UUID of the exception
+ * @param {string} establishmentId - UUID of the establishment
+ * @returns {Promise<Object|null>} Deleted exception or null if not found
+ */
+export const deleteException = async (exceptionId, establishmentId) => {
+  const query = `
+    DELETE FROM establishment_schedule_exceptions x
+    WHERE x.id = $1 AND x.establishment_id = $2
+    RETURNING ${EXCEPTION_COLUMNS}
+  `;
+
+  try {
+    const result = await pool.query(query, [exceptionId, establishmentId]);
+
+    if (result.rows.length > 0) {
+      logger.info('Schedule exception deleted', { exceptionId, establishmentId });
+    }
+
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error deleting schedule exception', {
+      error: error.message,
+      exceptionId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Opt an establishment in or out of the national holiday calendar
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {boolean} observe - Whether public holidays apply
+ * @returns {Promise<boolean>} True if the establishment was found
+ */
+export const setObservesPublicHolidays = async (establishmentId, observe) => {
+  const query = `
+    UPDATE establishments
+    SET observes_public_holidays = $2, updated_at = CURRENT_TIMESTAMP
+    WHERE id = $1
+  `;
+
+  try {
+    const result = await pool.query(query, [establishmentId, observe]);
+
+    logger.info('Public holiday observance changed', {
+      establishmentId,
+      observe,
+    });
+
+    return result.rowCount > 0;
+  } catch (error) {
+    logger.error('Error changing public holiday observance', {
+      error: error.message,
+      establishmentId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Get the merged date overrides of an establishment
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {string} fromDate - First date (YYYY-MM-DD)
+ * @param {string} toDate - Last date (YYYY-MM-DD)
+ * @returns {Promise<Object|null>} Overrides keyed by YYYY-MM-DD in
+ *   special_hours format, or null if the establishment does not exist
+ */
+export const getScheduleOverrides = async (establishmentId, fromDate, toDate) => {
+  const query = `
+    SELECT establishment_schedule_overrides(
+      e.id, e.observes_public_holidays, e.special_hours, $2::date, $3::date
+    ) AS overrides
+    FROM establishments e
+    WHERE e.id = $1
+  `;
+
+  try {
+    const result = await pool.query(query, [establishmentId, fromDate, toDate]);
+    return result.rows.length > 0 ? result.rows[0].overrides : null;
+  } catch (error) {
+    logger.error('Error fetching schedule overrides', {
+      error: error.message,
+      establishmentId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Get exceptions of an establishment in effect between two dates
+ *
+ * Combines the establishment's own exceptions with national holidays it
+ * observes. A national holiday covered by an own exception is left out,
+ * since the establishment's schedule replaces it.
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {string} fromDate - First date (YYYY-MM-DD)
+ * @param {string} toDate - Last date (YYYY-MM-DD)
+ * @returns {Promise<Array>} { source, type, name, start_date, end_date, hours }
+ *   ordered by start date; source is 'establishment' or 'national'
+ */
+export const getUpcomingExceptions = async (establishmentId, fromDate, toDate) => {
+  const query = `
+    SELECT
+      'establishment' AS source,
+      x.type,
+      x.note AS name,
+      to_char(x.start_date, 'YYYY-MM-DD') AS start_date,
+      to_char(x.end_date, 'YYYY-MM-DD') AS end_date,
+      x.hours
+    FROM establishment_schedule_exceptions x
+    WHERE x.establishment_id = $1
+      AND x.start_date <= $3
+      AND x.end_date >= $2
+
+    UNION ALL
+
+    SELECT
+      'national' AS source,
+      h.type,
+      h.name,
+      to_char(h.holiday_date, 'YYYY-MM-DD') AS start_date,
+      to_char(h.holiday_date, 'YYYY-MM-DD') AS end_date,
+      h.hours
+    FROM public_holidays h
+    JOIN establishments e ON e.id = $1 AND e.observes_public_holidays
+    WHERE h.holiday_date BETWEEN $2 AND $3
+      AND NOT EXISTS (
+        SELECT 1
+        FROM establishment_schedule_exceptions x
+        WHERE x.establishment_id = $1
+          AND h.holiday_date BETWEEN x.start_date AND x.end_date
+      )
+
+    ORDER BY start_date ASC
+  `;
+
+  try {
+    const result = await pool.query(query, [establishmentId, fromDate, toDate]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error fetching upcoming schedule exceptions', {
+      error: error.message,
+      establishmentId,
+    });
+    throw error;
+  }
+};
@@ -0,0 +1,382 @@
+/**
+ * Team Model
+ *
+ * This model provides database access methods for establishment team
+ * members (migration 017). A row starts as a pending invitation addressed
+ * to an email or phone, becomes an active membership once the matching
+ * user accepts it, and ends as revoked or declined.
+ *
+ * Architecture note: Expiry is not written back to the table. A pending
+ * invitation past expires_at simply can no longer be accepted, and reads
+ * report it as 'expired'.
+ */
+
+import pool from '../config/database.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Columns returned for a team member row, with expired invitations
+ * reported as status 'expired'
+ */
+const MEMBER_COLUMNS = `
+  m.id,
+  m.establishment_id,
+  m.user_id,
+  m.role,
+  CASE
+    WHEN m.status = 'pending' AND m.expires_at <= CURRENT_TIMESTAMP THEN 'expired'
+    ELSE m.status
+  END AS status,
+  m.invited_email,
+  m.invited_phone,
+  m.invited_by,
+  m.expires_at,
+  m.accepted_at,
+  m.revoked_at,
+  m.created_at,
+  m.updated_at
+`;
+
+/**
+ * Create an invitation
+ *
+ * @param {Object} invitation - Invitation data
+ * @param {string} invitation.establishment_id - UUID of the establishment
+ * @param {string} invitation.role - Team role
+ * @param {string} invitation.invited_email - Email of the invitee (or null)
+ * @param {string} invitation.invited_phone - Phone of the invitee (or null)
+ * @param {string} invitation.invited_by - UUID of the inviting user
+ * @param {Date} invitation.expires_at - When the invitation stops being valid
+ * @returns {Promise<Object>} Created invitation
+ * @throws {Error} If database operation fails
+ */
+export const createInvitation = async (invitation) => {
+  const {
+    establishment_id,
+    role,
+    invited_email,
+    invited_phone,
+    invited_by,
+    expires_at,
+  } = invitation;
+
+  const query = `
+    INSERT INTO establishment_members AS m (
+      establishment_id,
+      role,
+      invited_email,
+      invited_phone,
+      invited_by,
+      expires_at
+    )
+    VALUES ($1, $2, $3, $4, $5, $6)
+    RETURNING ${MEMBER_COLUMNS}
+  `;
+
+  try {
+    const result = await pool.query(query, [
+      establishment_id,
+      role,
+      invited_email || null,
+      invited_phone || null,
+      invited_by,
+      expires_at,
+    ]);
+
+    logger.info('Team invitation created', {
+      invitationId: result.rows[0].id,
+      establishmentId: establishment_id,
+      role,
+      invitedBy: invited_by,
+    });
+
+    return result.rows[0];
+  } catch (error) {
+    logger.error('Error creating team invitation', {
+      error: error.message,
+      establishmentId: establishment_id,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Find a team member row (invitation or membership) by ID
+ *
+ * @param {string} memberId - UUID of the row
+ * @returns {Promise<Object|null>} Row or null if not found
+ */
+export const findMemberById = async (memberId) => {
+  const query = `
+    SELECT ${MEMBER_COLUMNS}
+    FROM establishment_members m
+    WHERE m.id = $1
+  `;
+
+  try {
+    const result = await pool.query(query, [memberId]);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error finding team member', {
+      error: error.message,
+      memberId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Find an invitation still waiting for the given contact
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {Object} contact - { email } or { phone }
+ * @returns {Promise<Object|null>} Unexpired pending invitation or null
+ */
+export const findPendingInvitation = async (establishmentId, { email, phone }) => {
+  const query = `
+    SELECT ${MEMBER_COLUMNS}
+    FROM establishment_members m
+    WHERE m.establishment_id = $1
+      AND m.status = 'pending'
+      AND m.expires_at > CURRENT_TIMESTAMP
+      AND (lower(m.invited_email) = lower($2) OR m.invited_phone = $3)
+    LIMIT 1
+  `;
+
+  try {
+    const result = await pool.query(query, [establishmentId, email || null, phone || null]);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error finding pending invitation', {
+      error: error.message,
+      establishmentId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Find the active membership of a user whose email or phone matches
+ *
+ * Used to refuse inviting someone who already is on the team.
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {Object} contact - { email } or { phone }
+ * @returns {Promise<Object|null>} Active membership or null
+ */
+export const findActiveMemberByContact = async (establishmentId, { email, phone }) => {
+  const query = `
+    SELECT ${MEMBER_COLUMNS}
+    FROM establishment_members m
+    JOIN users u ON u.id = m.user_id
+    WHERE m.establishment_id = $1
+      AND m.status = 'active'
+      AND (lower(u.email) = lower($2) OR u.phone = $3)
+    LIMIT 1
+  `;
+
+  try {
+    const result = await pool.query(query, [establishmentId, email || null, phone || null]);
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error finding team member by contact', {
+      error: error.message,
+      establishmentId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Find the role of a user on the team of an establishment
+ *
+ * Used to attribute team members' actions in the moderation log.
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {string} userId - UUID of the user
+ * @returns {Promise<string|null>} Role of the active membership or null
+ */
+export const findActiveMemberRole = async (establishmentId, userId) => {
+  const query = `
+    SELECT role
+    FROM establishment_members
+    WHERE establishment_id = $1
+      AND user_id = $2
+      AND status = 'active'
+  `;
+
+  try {
+    const result = await pool.query(query, [establishmentId, userId]);
+    return result.rows[0] ? result.rows[0].role : null;
+  } catch (error) {
+    logger.error('Error finding team member role', {
+      error: error.message,
+      establishmentId,
+      userId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Get the team of an establishment
+ *
+ * Returns active members with their name and contact, and invitations
+ * that are pending or expired. Revoked and declined rows are omitted.
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @returns {Promise<Array>} Members first, then invitations, newest first
+ */
+export const getEstablishmentTeam = async (establishmentId) => {
+  const query = `
+    SELECT
+      ${MEMBER_COLUMNS},
+      u.name AS user_name,
+      u.email AS user_email,
+      u.phone AS user_phone
+    FROM establishment_members m
+    LEFT JOIN users u ON u.id = m.user_id
+    WHERE m.establishment_id = $1
+      AND m.status IN ('active', 'pending')
+    ORDER BY (m.status = 'active') DESC, m.created_at DESC
+  `;
+
+  try {
+    const result = await pool.query(query, [establishmentId]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error fetching establishment team', {
+      error: error.message,
+      establishmentId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Get unexpired invitations addressed to a user's email or phone
+ *
+ * @param {string} userId - UUID of the user
+ * @returns {Promise<Array>} Invitations with establishment name and city
+ */
+export const getInvitationsForUser = async (userId) => {
+  const query = `
+    SELECT
+      ${MEMBER_COLUMNS},
+      e.name AS establishment_name,
+      e.city AS establishment_city
+    FROM establishment_members m
+    JOIN users u ON u.id = $1
+    JOIN establishments e ON e.id = m.establishment_id
+    WHERE m.status = 'pending'
+      AND m.expires_at > CURRENT_TIMESTAMP
+      AND (lower(m.invited_email) = lower(u.email) OR m.invited_phone = u.phone)
+    ORDER BY m.created_at DESC
+  `;
+
+  try {
+    const result = await pool.query(query, [userId]);
+    return result.rows;
+  } catch (error) {
+    logger.error('Error fetching invitations for user', {
+      error: error.message,
+      userId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Accept or decline an invitation addressed to the user
+ *
+ * The update only matches an unexpired pending invitation whose email or
+ * phone belongs to the user, so a forwarded invitation ID is useless to
+ * anyone else.
+ *
+ * @param {string} invitationId - UUID of the invitation
+ * @param {string} userId - UUID of the responding user
+ * @param {boolean} accept - true to accept, false to decline
+ * @returns {Promise<Object|null>} Updated row, or null if nothing matched
+ */
+export const respondToInvitation = async (invitationId, userId, accept) => {
+  const query = `
+    UPDATE establishment_members m
+    SET
+      status = $3,
+      user_id = $2,
+      accepted_at = CASE WHEN $3 = 'active' THEN CURRENT_TIMESTAMP ELSE NULL END,
+      updated_at = CURRENT_TIMESTAMP
+    FROM users u
+    WHERE m.id = $1
+      AND u.id = $2
+      AND m.status = 'pending'
+      AND m.expires_at > CURRENT_TIMESTAMP
+      AND (lower(m.invited_email) = lower(u.email) OR m.invited_phone = u.phone)
+    RETURNING ${MEMBER_COLUMNS}
+  `;
+
+  try {
+    const result = await pool.query(query, [invitationId, userId, accept ? 'active' : 'declined']);
+
+    if (result.rows.length > 0) {
+      logger.info('Team invitation answered', {
+        invitationId,
+        userId,
+        accepted: accept,
+      });
+    }
+
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error answering team invitation', {
+      error: error.message,
+      invitationId,
+      userId,
+    });
+    throw error;
+  }
+};
+
+/**
+ * Revoke a membership or withdraw a pending invitation
+ *
+ * @param {string} memberId - UUID of the row
+ * @param {string} establishmentId - UUID of the establishment it must belong to
+ * @param {string} revokedBy - UUID of the user revoking access
+ * @returns {Promise<Object|null>} Revoked row, or null if not active/pending
+ */
+export const revokeMember = async (memberId, establishmentId, revokedBy) => {
+  const query = `
+    UPDATE establishment_members m
+    SET
+      status = 'revoked',
+      revoked_at = CURRENT_TIMESTAMP,
+      revoked_by = $3,
+      updated_at = CURRENT_TIMESTAMP
+    WHERE m.id = $1
+      AND m.establishment_id = $2
+      AND m.status IN ('active', 'pending')
+    RETURNING ${MEMBER_COLUMNS}
+  `;
+
+  try {
+    const result = await pool.query(query, [memberId, establishmentId, revokedBy]);
+
+    if (result.rows.length > 0) {
+      logger.info('Team access revoked', {
+        memberId,
+        establishmentId,
+        revokedBy,
+      });
+    }
+
+    return result.rows[0] || null;
+  } catch (error) {
+    logger.error('Error revoking team access', {
+      error: error.message,
+      memberId,
+      establishmentId,
+    });
+    throw error;
+  }
+};
@@ -0,0 +1,538 @@
+/**
+ * Admin Routes
+ *
+ * This module defines admin-only API endpoints. Currently it covers the
+ * establishment moderation queue: reviewing submissions, managing the
+ * status of published listings and reviewing edits (revisions) to them,
+ * moderating reported reviews and replies to them, bulk import of
+ * establishments on behalf of partners and the national holiday calendar.
+ *
+ * All endpoints in this file require authentication and the 'admin' role.
+ * The base path is /api/v1/admin when mounted in v1/index.js
+ */
+
+import express from 'express';
+import * as ModerationController from '../../controllers/moderationController.js';
+import * as ModerationValidation from '../../validators/moderationValidation.js';
+import * as ImportController from '../../controllers/importController.js';
+import * as ImportValidation from '../../validators/importValidation.js';
+import * as ScheduleController from '../../controllers/scheduleController.js';
+import * as ScheduleValidation from '../../validators/scheduleValidation.js';
+import { importUpload } from '../../middleware/importUpload.js';
+import { authenticate, authorize } from '../../middleware/auth.js';
+import { validate } from '../../middleware/errorHandler.js';
+
+const router = express.Router();
+
+/**
+ * Apply authentication to all routes in this router
+ *
+ * All admin endpoints require:
+ * 1. Valid JWT token (authenticate middleware)
+ * 2. 'admin' role (authorize middleware)
+ */
+router.use(authenticate);
+router.use(authorize(['admin']));
+
+/**
+ * Get the moderation queue
+ *
+ * GET /api/v1/admin/moderation/establishments
+ *
+ * Query parameters (all optional):
+ * - status: Status to list (default: 'pending'; also 'active', 'suspended', 'draft')
+ * - city: Filter by city
+ * - category: Filter by category
+ * - partner_id: Filter by partner UUID
+ * - search: Case-insensitive name search
+ * - page: Page number (default: 1)
+ * - limit: Items per page (default: 20, max: 50)
+ *
+ * Returns: Establishments with partner name/email, submitted_at and
+ * duplicate_count (open duplicate candidates), oldest submission first,
+ * with pagination metadata
+ *
+ * Protected: Yes (admin role required)
+ */
+router.get(
+  '/moderation/establishments',
+  ModerationValidation.validateQueue,
+  validate,
+  ModerationController.getQueue
+);
+
+/**
+ * Get establishment details for moderation
+ *
+ * GET /api/v1/admin/moderation/establishments/:id
+ *
+ * Returns the full establishment regardless of status together with its
+ * moderation history and open duplicate candidates.
+ *
+ * Protected: Yes (admin role required)
+ */
+router.get(
+  '/moderation/establishments/:id',
+  ModerationValidation.validateGetDetails,
+  validate,
+  ModerationController.getEstablishment
+);
+
+/**
+ * Approve a pending establishment
+ *
+ * POST /api/v1/admin/moderation/establishments/:id/approve
+ *
+ * Request body:
+ * - note: Optional note for the partner (max 1000 characters)
+ *
+ * Transition: pending → active. The establishment becomes publicly visible.
+ *
+ * Protected: Yes (admin role required)
+ */
+router.post(
+  '/moderation/establishments/:id/approve',
+  ModerationValidation.validateNoteAction,
+  validate,
+  ModerationController.approveEstablishment
+);
+
+/**
+ * Reject a pending establishment
+ *
+ * POST /api/v1/admin/moderation/establishments/:id/reject
+ *
+ * Request body:
+ * - reason: Required explanation for the partner (10-1000 characters)
+ *
+ * Transition: pending → draft. The partner can fix the listing and resubmit.
+ *
+ * Protected: Yes (admin role required)
+ */
+router.post(
+  '/moderation/establishments/:id/reject',
+  ModerationValidation.validateReasonAction,
+  validate,
+  ModerationController.rejectEstablishment
+);
+
+/**
+ * Suspend an active establishment
+ *
+ * POST /api/v1/admin/moderation/establishments/:id/suspend
+ *
+ * Request body:
+ * - reason: Required explanation for the partner (10-1000 characters)
+ *
+ * Transition: active → suspended. The establishment is hidden from the public
+ * and the partner can no longer edit it.
+ *
+ * Protected: Yes (admin role required)
+ */
+router.post(
+  '/moderation/establishments/:id/suspend',
+  ModerationValidation.validateReasonAction,
+  validate,
+  ModerationController.suspendEstablishment
+);
+
+/**
+ * Reinstate a suspended establishment
+ *
+ * POST /api/v1/admin/moderation/establishments/:id/reinstate
+ *
+ * Request body:
+ * - note: Optional note for the partner (max 1000 characters)
+ *
+ * Transition: suspended → active.
+ *
+ * Protected: Yes (admin role required)
+ */
+router.post(
+  '/moderation/establishments/:id/reinstate',
+  ModerationValidation.validateNoteAction,
+  validate,
+  ModerationController.reinstateEstablishment
+);
+
+/**
+ * Get pending revisions
+ *
+ * GET /api/v1/admin/moderation/revisions
+ *
+ * Query parameters (all optional):
+ * - page: Page number (default: 1)
+ * - limit: Items per page (default: 20, max: 50)
+ *
+ * Returns: Pending edits to active establishments, oldest first, with
+ * establishment and partner names and the list of changed fields
+ *
+ * Protected: Yes (admin role required)
+ */
+router.get(
+  '/moderation/revisions',
+  ModerationValidation.validateRevisionQueue,
+  validate,
+  ModerationController.getRevisionQueue
+);
+
+/**
+ * Get a revision with a field-by-field diff
+ *
+ * GET /api/v1/admin/moderation/revisions/:id
+ *
+ * Each proposed field is compared with the live establishment:
+ * - categories, cuisines: added and removed items
+ * - working_hours, special_hours, attributes: changed keys (e.g. weekdays)
+ * - other fields: current and proposed value
+ *
+ * Protected: Yes (admin role required)
+ */
+router.get(
+  '/moderation/revisions/:id',
+  ModerationValidation.validateGetRevision,
+  validate,
+  ModerationController.getRevision
+);
+
+/**
+ * Approve a revision
+ *
+ * POST /api/v1/admin/moderation/revisions/:id/approve
+ *
+ * Request body:
+ * - note: Optional note for the partner (max 1000 characters)
+ *
+ * Applies the proposed changes to the live establishment in one transaction.
+ *
+ * Protected: Yes (admin role required)
+ */
+router.post(
+  '/moderation/revisions/:id/approve',
+  ModerationValidation.validateApproveRevision,
+  validate,
+  ModerationController.approveRevision
+);
+
+/**
+ * Reject a revision
+ *
+ * POST /api/v1/admin/moderation/revisions/:id/reject
+ *
+ * Request body:
+ * - reason: Required explanation for the partner (10-1000 characters)
+ *
+ * The live establishment is not changed.
+ *
+ * Protected: Yes (admin role required)
+ */
+router.post(
+  '/moderation/revisions/:id/reject',
+  ModerationValidation.validateRejectRevision,
+  validate,
+  ModerationController.rejectRevision
+);
+
+/**
+ * List possible duplicate establishments
+ *
+ * GET /api/v1/admin/moderation/duplicates
+ *
+ * Pairs flagged when an establishment was created or submitted: similar
+ * names, locations within a few dozen meters, same phone or website.
+ *
+ * Query parameters (all optional):
+ * - status: 'open' (default), 'dismissed' or 'merged'
+ * - page: Page number (default: 1)
+ * - limit: Items per page (default: 20, max: 50)
+ *
+ * Returns: Candidates best score first, each with score, the signals
+ * (name_similarity, distance_m, phone_match, website_match) and a summary
+ * of both establishments
+ *
+ * Protected: Yes (admin role required)
+ */
+router.get(
+  '/moderation/duplicates',
+  ModerationValidation.validateDuplicateQueue,
+  validate,
+  ModerationController.getDuplicateCandidates
+);
+
+/**
+ * Dismiss a duplicate candidate
+ *
+ * POST /api/v1/admin/moderation/duplicates/:id/dismiss
+ *
+ * Request body:
+ * - note: Optional note (max 1000 characters)
+ *
+ * The pair is not flagged again.
+ *
+ * Protected: Yes (admin role required)
+ */
+router.post(
+  '/moderation/duplicates/:id/dismiss',
+  ModerationValidation.validateDismissDuplicate,
+  validate,
+  ModerationController.dismissDuplicateCandidate
+);
+
+/**
+ * Merge a duplicate into an establishment
+ *
+ * POST /api/v1/admin/moderation/establishments/:id/merge
+ *
+ * Request body:
+ * - duplicate_id: UUID of the establishment merged into :id
+ * - note: Optional note for the duplicate's partner (max 1000 characters)
+ *
+ * Reviews (with their photos and replies), favorites and media of the
+ * duplicate move to :id (a user's review of both keeps the one on :id);
+ * ratings are recalculated. The duplicate is suspended with merged_into_id
+ * set. Does not require a duplicate candidate.
+ *
+ * Returns: { establishment, merged_id, moved: { reviews, duplicate_reviews,
+ * favorites, media, review_photos, review_replies } }
+ *
+ * Protected: Yes (admin role required)
+ */
+router.post(
+  '/moderation/establishments/:id/merge',
+  ModerationValidation.validateMerge,
+  validate,
+  ModerationController.mergeEstablishment
+);
+
+/**
+ * List partner replies to reviews
+ *
+ * GET /api/v1/admin/moderation/review-replies
+ *
+ * Query parameters (all optional):
+ * - status: 'published' (default) or 'hidden'
+ * - page: Page number (default: 1)
+ * - limit: Items per page (default: 20, max: 50)
+ *
+ * Returns: Replies newest first, each with the review it answers and the
+ * establishment, with pagination metadata
+ *
+ * Protected: Yes (admin role required)
+ */
+router.get(
+  '/moderation/review-replies',
+  ModerationValidation.validateReplyQueue,
+  validate,
+  ModerationController.getReviewReplies
+);
+
+/**
+ * Hide a review reply
+ *
+ * POST /api/v1/admin/moderation/review-replies/:id/hide
+ *
+ * Transition: published → hidden. The reply disappears from review lists;
+ * the partner sees the reason.
+ *
+ * Request body:
+ * - reason: Required, 10-1000 characters
+ *
+ * Protected: Yes (admin role required)
+ */
+router.post(
+  '/moderation/review-replies/:id/hide',
+  ModerationValidation.validateHideReply,
+  validate,
+  ModerationController.hideReviewReply
+);
+
+/**
+ * Restore a hidden review reply
+ *
+ * POST /api/v1/admin/moderation/review-replies/:id/restore
+ *
+ * Transition: hidden → published
+ *
+ * Protected: Yes (admin role required)
+ */
+router.post(
+  '/moderation/review-replies/:id/restore',
+  ModerationValidation.validateRestoreReply,
+  validate,
+  ModerationController.restoreReviewReply
+);
+
+/**
+ * Review moderation queue
+ *
+ * GET /api/v1/admin/moderation/reviews
+ *
+ * Query parameters (all optional):
+ * - status: 'pending' (default, hidden automatically by reports), 'hidden'
+ *   (hidden by an admin) or 'published' (public reviews with open reports)
+ * - page: Page number (default: 1)
+ * - limit: Items per page (default: 20, max: 50)
+ *
+ * Returns: Reviews with the most open reports first, each with its author,
+ * establishment and open reports, with pagination metadata
+ *
+ * Protected: Yes (admin role required)
+ */
+router.get(
+  '/moderation/reviews',
+  ModerationValidation.validateReviewQueue,
+  validate,
+  ModerationController.getReviews
+);
+
+/**
+ * Hide a review
+ *
+ * POST /api/v1/admin/moderation/reviews/:id/hide
+ *
+ * Transition: published|pending → hidden. Open reports are resolved and the
+ * establishment aggregates recalculated.
+ *
+ * Request body:
+ * - reason: Required, 10-1000 characters
+ *
+ * Protected: Yes (admin role required)
+ */
+router.post(
+  '/moderation/reviews/:id/hide',
+  ModerationValidation.validateHideReview,
+  validate,
+  ModerationController.hideReview
+);
+
+/**
+ * Restore a review
+ *
+ * POST /api/v1/admin/moderation/reviews/:id/restore
+ *
+ * Transition: pending|hidden → published. Open reports are dismissed and the
+ * establishment aggregates recalculated.
+ *
+ * Protected: Yes (admin role required)
+ */
+router.post(
+  '/moderation/reviews/:id/restore',
+  ModerationValidation.validateReviewAction,
+  validate,
+  ModerationController.restoreReview
+);
+
+/**
+ * Delete a review permanently
+ *
+ * DELETE /api/v1/admin/moderation/reviews/:id
+ *
+ * Removes the review with its reports and reply, in any state, and
+ * recalculates the establishment aggregates. Cannot be undone.
+ *
+ * Protected: Yes (admin role required)
+ */
+router.delete(
+  '/moderation/reviews/:id',
+  ModerationValidation.validateReviewAction,
+  validate,
+  ModerationController.deleteReview
+);
+
+/**
+ * Import establishments on behalf of a partner
+ *
+ * POST /api/v1/admin/establishments/import
+ * Content-Type: multipart/form-data (field 'file') or application/json
+ *
+ * Same file format and report as the partner import
+ * (POST /api/v1/partner/establishments/import). Matching active
+ * establishments are updated directly instead of through a revision, and
+ * suspended ones can be updated too.
+ *
+ * Query parameters:
+ * - partner_id: UUID of the partner who will own the establishments
+ * - dry_run: 'true' to validate and report without saving
+ *
+ * Protected: Yes (admin role required)
+ */
+router.post(
+  '/establishments/import',
+  importUpload,
+  ImportValidation.validateAdminImport,
+  validate,
+  ImportController.importForPartner
+);
+
+/**
+ * List the national holiday calendar
+ *
+ * GET /api/v1/admin/holidays
+ *
+ * Query parameters:
+ * - year: Calendar year (default: current year)
+ *
+ * Protected: Yes (admin role required)
+ */
+router.get(
+  '/holidays',
+  ScheduleValidation.validateListHolidays,
+  validate,
+  ScheduleController.getPublicHolidays
+);
+
+/**
+ * Add a national holiday
+ *
+ * POST /api/v1/admin/holidays
+ *
+ * Request body:
+ * - date: YYYY-MM-DD (one entry per date)
+ * - name: Holiday name, e.g. "Радуница"
+ * - type: 'holiday' (default) or 'short_day'
+ * - hours: { open, close } for the day; omitted or null means closed,
+ *   required for short_day
+ *
+ * Applies to every establishment observing public holidays that has no
+ * own exception for the date.
+ *
+ * Protected: Yes (admin role required)
+ */
+router.post(
+  '/holidays',
+  ScheduleValidation.validateCreateHoliday,
+  validate,
+  ScheduleController.createPublicHoliday
+);
+
+/**
+ * Update a national holiday
+ *
+ * PUT /api/v1/admin/holidays/:id
+ *
+ * Request body: any of date, name, type, hours
+ *
+ * Protected: Yes (admin role required)
+ */
+router.put(
+  '/holidays/:id',
+  ScheduleValidation.validateUpdateHoliday,
+  validate,
+  ScheduleController.updatePublicHoliday
+);
+
+/**
+ * Remove a national holiday
+ *
+ * DELETE /api/v1/admin/holidays/:id
+ *
+ * Protected: Yes (admin role required)
+ */
+router.delete(
+  '/holidays/:id',
+  ScheduleValidation.validateDeleteHoliday,
+  validate,
+  ScheduleController.deletePublicHoliday
+);
+
+export default router;
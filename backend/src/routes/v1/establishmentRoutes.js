@@ -16,9 +16,16 @@
 import express from 'express';
 import * as EstablishmentController from '../../controllers/establishmentController.js';
 import * as EstablishmentValidation from '../../validators/establishmentValidation.js';
+import * as ImportController from '../../controllers/importController.js';
+import * as ImportValidation from '../../validators/importValidation.js';
+import { importUpload } from '../../middleware/importUpload.js';
 import { authenticate, authorize } from '../../middleware/auth.js';
 import { validate } from '../../middleware/errorHandler.js';
 import mediaRoutes from './mediaRoutes.js';
+import teamRoutes from './teamRoutes.js';
+import menuRoutes from './menuRoutes.js';
+import scheduleRoutes from './scheduleRoutes.js';
+import reviewReplyRoutes from './reviewReplyRoutes.js';
 
 const router = express.Router();
 
@@ -27,12 +34,14 @@ const router = express.Router();
  * 
  * All establishment management endpoints require:
  * 1. Valid JWT token (authenticate middleware)
- * 2. 'partner' role (authorize middleware)
+ * 2. 'partner' role, or 'user' role for invited team members (authorize middleware)
  * 
  * This is more efficient than repeating authentication on each route.
+ * What a team member may do on a given establishment depends on their team
+ * role and is checked by the service layer (see utils/teamPermissions.js).
  */
 router.use(authenticate);
-router.use(authorize('partner'));
+router.use(authorize(['partner', 'user']));
 
 /**
  * Get all establishments for the authenticated partner
@@ -46,9 +55,12 @@ router.use(authorize('partner'));
  * 
  * Flow: Authentication → Authorization → Validation → Controller → Service → Model
  * 
- * Returns: Array of establishments with pagination metadata
+ * Returns: Array of establishments with pagination metadata. Includes
+ * establishments shared with the user as a team member; team_role tells
+ * the user's role on each ('owner' for their own establishments). Each
+ * has its completeness score and checklist, as in the details.
  * 
- * Protected: Yes (partner role required)
+ * Protected: Yes (partner role or team member)
  */
 router.get(
   '/',
@@ -67,6 +79,16 @@ router.get(
  * 
  * Request body: Complete establishment data (see validation for schema)
  * 
+ * With organization_id the establishment is created as a branch of that
+ * chain: description and cuisines may be omitted and are then taken from
+ * the organization, and it may share its name with other branches.
+ * 
+ * The address is stored normalized ("пр-т Независимости, 16"). The
+ * response carries a geocoding report: coordinates outside the city or
+ * far from the address are listed in geocoding.warnings, with
+ * suggested_coordinates when the address is known. Warnings do not block
+ * creation.
+ * 
  * Flow: Authentication → Authorization → Validation → Controller → Service → Model
  * 
  * Returns: Created establishment with 201 status
@@ -76,11 +98,71 @@ router.get(
  */
 router.post(
   '/',
+  authorize(['partner']),
   EstablishmentValidation.validateCreate,
   validate,
   EstablishmentController.createEstablishment
 );
 
+/**
+ * Import establishments in bulk
+ * 
+ * POST /api/v1/partner/establishments/import
+ * Content-Type: multipart/form-data (field 'file') or application/json
+ * 
+ * Rows come from an uploaded CSV or JSON file, or from the establishments
+ * array of a JSON body. Each row uses the fields of POST / plus an optional
+ * external_id; in CSV, categories and cuisines are separated by '|' and
+ * working_hours/special_hours/attributes are JSON. At most 500 rows.
+ * 
+ * A row whose external_id matches an existing establishment updates it:
+ * drafts directly, active establishments through a pending revision.
+ * Invalid rows are skipped; the report lists the errors of every row.
+ * 
+ * Query parameters:
+ * - dry_run: 'true' to validate and report without saving
+ * 
+ * Must be declared before /:id so 'import' is not taken for an ID.
+ * 
+ * Returns: Import report { dry_run, summary, rows }; 201 if anything was saved
+ * 
+ * Protected: Yes (partner role required)
+ */
+router.post(
+  '/import',
+  authorize(['partner']),
+  importUpload,
+  ImportValidation.validatePartnerImport,
+  validate,
+  ImportController.importPartnerEstablishments
+);
+
+/**
+ * Find the address at coordinates
+ * 
+ * GET /api/v1/partner/establishments/geocode/reverse
+ * 
+ * Used by the establishment form to fill city and address from a map pin.
+ * 
+ * Query parameters:
+ * - latitude: Required, 51.0-56.0
+ * - longitude: Required, 23.0-33.0
+ * 
+ * Must be declared before /:id so 'geocode' is not taken for an ID.
+ * 
+ * Returns: { location: { provider, city, address, street, house_number,
+ * distance_km } }; address fields are null when no known street is near.
+ * 404 LOCATION_NOT_FOUND outside the supported cities.
+ * 
+ * Protected: Yes (partner role or team member)
+ */
+router.get(
+  '/geocode/reverse',
+  EstablishmentValidation.validateReverseGeocode,
+  validate,
+  EstablishmentController.reverseGeocode
+);
+
 /**
  * Get a specific establishment by ID
  * 
@@ -94,7 +176,9 @@ router.post(
  * 
  * Flow: Authentication → Authorization → Validation → Controller → Service → Ownership Check
  * 
- * Returns: Complete establishment object
+ * Returns: Complete establishment object with completeness: { score,
+ * minimum_score, meets_minimum, checklist } - checklist items are
+ * { key, label, points, done, current?, target? }, unfinished first
  * 
  * Protected: Yes (partner role required, ownership verified)
  */
@@ -125,8 +209,12 @@ router.get(
  * 
  * Protected: Yes (partner role required, ownership verified)
  * 
- * Note: Major changes (name, categories, cuisines) will automatically reset
- * status from 'active' to 'pending' to require re-moderation.
+ * Note: Changes to an 'active' establishment are not applied immediately.
+ * They are saved as a pending revision for moderation and the response
+ * contains the live establishment with pending_revision.
+ * 
+ * Changing address, city or coordinates normalizes the address and adds
+ * the geocoding report to the response, as on creation.
  */
 router.put(
   '/:id',
@@ -141,7 +229,7 @@ router.put(
  * POST /api/v1/partner/establishments/:id/submit
  * 
  * Changes establishment status from 'draft' to 'pending' after validating
- * that all required information is complete and required media is uploaded.
+ * that all required information is complete.
  * 
  * Path parameters:
  * - id: UUID of the establishment
@@ -155,9 +243,8 @@ router.put(
  * Pre-submission requirements (enforced by service layer):
  * - Establishment must be in 'draft' status
  * - All required fields must be complete
- * - At least 1 interior photo uploaded
- * - At least 1 menu photo uploaded
- * - Primary photo must be set
+ * - Completeness score of at least MIN_COMPLETENESS_SCORE, when set;
+ *   otherwise 400 COMPLETENESS_BELOW_MINIMUM with the checklist in details
  */
 router.post(
   '/:id/submit',
@@ -166,6 +253,28 @@ router.post(
   EstablishmentController.submitForModeration
 );
 
+/**
+ * Get moderation history of an establishment
+ * 
+ * GET /api/v1/partner/establishments/:id/moderation-history
+ * 
+ * Lists every status transition (submission, approval, rejection, suspension,
+ * reinstatement) with the moderator's reason, newest first.
+ * 
+ * Path parameters:
+ * - id: UUID of the establishment
+ * 
+ * Returns: Array of moderation log entries
+ * 
+ * Protected: Yes (partner role required, ownership verified)
+ */
+router.get(
+  '/:id/moderation-history',
+  EstablishmentValidation.validateGetDetails,
+  validate,
+  EstablishmentController.getModerationHistory
+);
+
 /**
  * Mount media routes (Phase Two integration)
  * 
@@ -186,5 +295,46 @@ router.post(
  */
 router.use('/:id/media', mediaRoutes);
 
+/**
+ * Mount team routes
+ * 
+ * GET    /partner/establishments/:id/team              - Members and invitations
+ * POST   /partner/establishments/:id/team/invitations  - Invite by email or phone
+ * DELETE /partner/establishments/:id/team/:memberId    - Revoke access
+ */
+router.use('/:id/team', teamRoutes);
+
+/**
+ * Mount structured menu routes
+ * 
+ * GET    /partner/establishments/:id/menu                              - Sections with dishes
+ * POST   /partner/establishments/:id/menu/sections                     - Create section
+ * PUT    /partner/establishments/:id/menu/sections/:sectionId          - Update section
+ * DELETE /partner/establishments/:id/menu/sections/:sectionId          - Delete section
+ * POST   /partner/establishments/:id/menu/sections/:sectionId/items    - Add dish
+ * PUT    /partner/establishments/:id/menu/items/:itemId                - Update dish
+ * DELETE /partner/establishments/:id/menu/items/:itemId                - Delete dish
+ */
+router.use('/:id/menu', menuRoutes);
+
+/**
+ * Mount schedule exception routes
+ * 
+ * GET    /partner/establishments/:id/schedule-exceptions                  - Exceptions and national holidays
+ * POST   /partner/establishments/:id/schedule-exceptions                  - Holiday, closure or short day
+ * PUT    /partner/establishments/:id/schedule-exceptions/public-holidays  - Opt out of national holidays
+ * PUT    /partner/establishments/:id/schedule-exceptions/:exceptionId     - Update exception
+ * DELETE /partner/establishments/:id/schedule-exceptions/:exceptionId     - Delete exception
+ */
+router.use('/:id/schedule-exceptions', scheduleRoutes);
+
+/**
+ * Mount review reply routes
+ * 
+ * PUT    /partner/establishments/:id/reviews/:reviewId/reply  - Post or edit reply
+ * DELETE /partner/establishments/:id/reviews/:reviewId/reply  - Delete reply
+ */
+router.use('/:id/reviews', reviewReplyRoutes);
+
 export default router;
 
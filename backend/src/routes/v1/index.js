@@ -17,11 +17,12 @@
  * - Search and discovery (geospatial queries, filtering)
  * - Reviews (create, read, update, delete reviews)
  * - Favorites (bookmark establishments for later viewing)
+ * - Establishments (public details, partner management)
+ * - Admin (establishment moderation queue)
  * 
  * Future route modules will be added here as features are implemented:
- * - Establishments (search, details, management)
  * - Users (profile, settings)
- * - Admin (moderation, analytics)
+ * - Admin (user management, analytics)
  */
 
 import express from 'express';
@@ -31,6 +32,11 @@ import searchRoutes from './searchRoutes.js';
 import reviewRoutes from './reviewRoutes.js';
 import favoriteRoutes from './favoriteRoutes.js';
 import establishmentRoutes from './establishmentRoutes.js';
+import publicEstablishmentRoutes from './publicEstablishmentRoutes.js';
+import adminRoutes from './adminRoutes.js';
+import organizationRoutes from './organizationRoutes.js';
+import invitationRoutes from './invitationRoutes.js';
+import notificationRoutes from './notificationRoutes.js';
 
 const router = express.Router();
 
@@ -91,7 +97,7 @@ router.use('/auth', authRoutes);
  * 
  * Search endpoints support geospatial queries using PostGIS, enabling
  * location-based discovery with filtering by categories, cuisines, price
- * range, and ratings. The system uses intelligent ranking that combines
+ * range, ratings and food/service/atmosphere/value sub-ratings. The system uses intelligent ranking that combines
  * distance, rating, and review count for optimal results.
  * 
  * Implementation note: Search was implemented by a specialized Leaf session
@@ -107,11 +113,17 @@ router.use('/search', searchRoutes);
  * Review management endpoints.
  * 
  * Provides complete review functionality:
- * - POST /reviews - Create new review (authenticated)
+ * - POST /reviews - Create new review with optional food, service, atmosphere and value ratings (authenticated)
  * - GET /reviews/quota - Check daily review quota (authenticated)
  * - GET /reviews/:id - Get specific review (public)
  * - PUT /reviews/:id - Update review (authenticated, author only)
  * - DELETE /reviews/:id - Delete review (authenticated, author only)
+ * - POST /reviews/:id/report - Report a review (authenticated, once per user, not own)
+ * - POST /reviews/:id/photos - Attach up to 5 photos (authenticated, author only)
+ * - DELETE /reviews/:id/photos/:photoId - Delete a photo (authenticated, author only)
+ * - PUT /reviews/:id/vote - Vote helpful or not helpful (authenticated, once per user, not own)
+ * - DELETE /reviews/:id/vote - Remove own vote (authenticated)
+ * - GET /reviews/:id/votes - Vote counters and the viewer's vote (public, optional authentication)
  * 
  * Reviews are public information that help users make dining decisions.
  * Anyone can read reviews, but only authenticated users can create them,
@@ -152,6 +164,25 @@ router.use('/reviews', reviewRoutes);
  */
 router.use('/favorites', favoriteRoutes);
 
+/**
+ * /api/v1/establishments/*
+ * 
+ * Public establishment endpoints.
+ * 
+ * - GET /establishments/:id - Establishment card: hours with open state, media
+ *   gallery grouped by type, rating distribution and sub-rating averages, favorite count and
+ *   is_favorite for authenticated viewers (optional authentication);
+ *   upcoming_exceptions lists holidays and closures of the next 30 days
+ * - GET /establishments/:id/reviews - Reviews of an establishment with photos and the establishment's replies,
+ *   sortable by newest, highest, lowest or most_helpful (public)
+ * - GET /establishments/:id/visitor-photos - Photos from visitors' reviews (public)
+ * - GET /establishments/:id/menu - Structured menu with prices and dietary tags (public)
+ * 
+ * Only active establishments are visible. Partner management of the same
+ * establishments lives under /partner/establishments.
+ */
+router.use('/establishments', publicEstablishmentRoutes);
+
 /**
  * /api/v1/partner/establishments/*
  * 
@@ -160,21 +191,32 @@ router.use('/favorites', favoriteRoutes);
  * Provides complete establishment CRUD functionality for partners:
  * - GET /partner/establishments - List all partner establishments with pagination
  * - POST /partner/establishments - Create new establishment in draft status
- * - GET /partner/establishments/:id - Get establishment details
+ * - POST /partner/establishments/import - Bulk create/update from CSV or JSON (dry_run supported)
+ * - GET /partner/establishments/geocode/reverse - City and address at coordinates
+ * - GET /partner/establishments/:id - Get establishment details with completeness checklist
  * - PUT /partner/establishments/:id - Update establishment information
  * - POST /partner/establishments/:id/submit - Submit establishment for moderation
+ * - GET /partner/establishments/:id/moderation-history - Moderation decisions and reasons
+ * - GET/POST/DELETE /partner/establishments/:id/team... - Team members and invitations
+ * - GET/POST/PUT/DELETE /partner/establishments/:id/menu... - Menu sections and dishes
+ * - GET/POST/PUT/DELETE /partner/establishments/:id/schedule-exceptions... - Holidays, closures, short days
+ * - PUT/DELETE /partner/establishments/:id/reviews/:reviewId/reply - Public reply to a review
  * 
  * All endpoints require authentication and 'partner' role. Partners can only
  * manage their own establishments - ownership is verified by the service layer.
+ * Invited team members (any account role) can use these endpoints for the
+ * establishments they belong to, within the rights of their team role
+ * (owner, manager, content_editor, review_responder).
  * 
  * The establishment management system implements a draft-pending-active workflow:
  * 1. Partner creates establishment in 'draft' status
  * 2. Partner adds all required information and media
  * 3. Partner submits for moderation (status changes to 'pending')
- * 4. Admin reviews and approves (status changes to 'active')
+ * 4. Admin reviews and approves (status changes to 'active') or rejects
+ *    back to 'draft' with a reason
  * 
- * Major changes to active establishments automatically reset status to 'pending'
- * to require re-moderation, ensuring data quality and preventing abuse.
+ * Edits to active establishments are saved as a pending revision and go live
+ * only after moderator approval; the approved version stays public meanwhile.
  * 
  * Implementation note: Establishments were implemented by a specialized Leaf session
  * focused on partner management features. The implementation includes comprehensive
@@ -183,6 +225,84 @@ router.use('/favorites', favoriteRoutes);
  */
 router.use('/partner/establishments', establishmentRoutes);
 
+/**
+ * /api/v1/partner/organizations/*
+ * 
+ * Partner organizations: chains whose branches share logo, description and
+ * cuisines.
+ * 
+ * - GET /partner/organizations - List organizations with branch counts
+ * - POST /partner/organizations - Create organization
+ * - GET /partner/organizations/:id - Organization with its branches
+ * - PUT /partner/organizations/:id - Update branding, passed on to branches
+ * - POST /partner/organizations/:id/branches - Attach establishments
+ * - DELETE /partner/organizations/:id/branches/:establishmentId - Detach branch
+ * - POST /partner/organizations/:id/bulk/hours - Same hours for many branches
+ * - POST /partner/organizations/:id/bulk/menu - Copy menu photos across branches
+ * 
+ * Bulk edits of active branches become pending revisions like single edits.
+ */
+router.use('/partner/organizations', organizationRoutes);
+
+/**
+ * /api/v1/partner/invitations/*
+ * 
+ * Team invitations of the authenticated user (any role).
+ * 
+ * - GET /partner/invitations - Pending invitations for my email or phone
+ * - POST /partner/invitations/:id/accept - Join the establishment team
+ * - POST /partner/invitations/:id/decline - Decline the invitation
+ * 
+ * Invitations expire after 7 days and can be withdrawn by the partner.
+ */
+router.use('/partner/invitations', invitationRoutes);
+
+/**
+ * /api/v1/notifications/*
+ * 
+ * Notifications of the authenticated user (any role).
+ * 
+ * - GET /notifications - Notifications, newest first, with unread count
+ * - POST /notifications/read - Mark some or all as read
+ * 
+ * Entries are created by other features: 'review_reply' when an
+ * establishment replies to the user's review.
+ */
+router.use('/notifications', notificationRoutes);
+
+/**
+ * /api/v1/admin/*
+ * 
+ * Admin endpoints. All require authentication and 'admin' role.
+ * 
+ * - GET /admin/moderation/establishments - Moderation queue (pending by default)
+ * - GET /admin/moderation/establishments/:id - Establishment with moderation history and duplicate candidates
+ * - POST /admin/moderation/establishments/:id/approve - pending → active
+ * - POST /admin/moderation/establishments/:id/reject - pending → draft (reason required)
+ * - POST /admin/moderation/establishments/:id/suspend - active → suspended (reason required)
+ * - POST /admin/moderation/establishments/:id/reinstate - suspended → active
+ * - GET /admin/moderation/revisions - Pending edits to active establishments
+ * - GET /admin/moderation/revisions/:id - Field-by-field diff of a revision
+ * - POST /admin/moderation/revisions/:id/approve - Apply revision atomically
+ * - POST /admin/moderation/revisions/:id/reject - Discard revision (reason required)
+ * - GET /admin/moderation/duplicates - Possible duplicate establishments
+ * - POST /admin/moderation/duplicates/:id/dismiss - Not a duplicate
+ * - POST /admin/moderation/establishments/:id/merge - Merge a duplicate into :id
+ * - GET /admin/moderation/review-replies - Partner replies to reviews (published by default)
+ * - POST /admin/moderation/review-replies/:id/hide - published → hidden (reason required)
+ * - POST /admin/moderation/review-replies/:id/restore - hidden → published
+ * - GET /admin/moderation/reviews - Reported reviews (auto-hidden 'pending' by default)
+ * - POST /admin/moderation/reviews/:id/hide - published|pending → hidden (reason required)
+ * - POST /admin/moderation/reviews/:id/restore - pending|hidden → published
+ * - DELETE /admin/moderation/reviews/:id - Delete a review permanently
+ * - POST /admin/establishments/import?partner_id= - Bulk import on behalf of a partner
+ * - GET/POST/PUT/DELETE /admin/holidays... - National holiday calendar
+ * 
+ * Every transition is recorded in the moderation log, which partners can read
+ * through /partner/establishments/:id/moderation-history.
+ */
+router.use('/admin', adminRoutes);
+
 /**
  * Placeholder for future route modules
  * 
@@ -195,9 +315,7 @@ router.use('/partner/establishments', establishmentRoutes);
  * - Update user settings and preferences
  * - Upload profile photos
  * 
- * import adminRoutes from './adminRoutes.js';
- * router.use('/admin', adminRoutes);
- * - Content moderation dashboard
+ * Admin routes (mounted above) will grow to include:
  * - User management and suspension
  * - Analytics and reporting
  * 
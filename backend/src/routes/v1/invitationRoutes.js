@@ -0,0 +1,68 @@
+/**
+ * Invitation Routes
+ *
+ * This module defines endpoints for the invitee side of establishment
+ * teams: listing invitations addressed to the authenticated user's email
+ * or phone, and accepting or declining them.
+ *
+ * Any authenticated user can be invited, so no role is required.
+ * The base path is /api/v1/partner/invitations when mounted in v1/index.js
+ */
+
+import express from 'express';
+import * as TeamController from '../../controllers/teamController.js';
+import * as TeamValidation from '../../validators/teamValidation.js';
+import { authenticate } from '../../middleware/auth.js';
+import { validate } from '../../middleware/errorHandler.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+/**
+ * List my invitations
+ *
+ * GET /api/v1/partner/invitations
+ *
+ * Returns: Unexpired pending invitations with establishment name and city
+ *
+ * Protected: Yes (any authenticated user)
+ */
+router.get(
+  '/',
+  TeamController.getMyInvitations
+);
+
+/**
+ * Accept an invitation
+ *
+ * POST /api/v1/partner/invitations/:id/accept
+ *
+ * The invitation must be addressed to the user's email or phone and not be
+ * expired. The establishment then appears in GET /partner/establishments
+ * with the invited team_role.
+ *
+ * Protected: Yes (any authenticated user)
+ */
+router.post(
+  '/:id/accept',
+  TeamValidation.validateInvitationAction,
+  validate,
+  TeamController.acceptInvitation
+);
+
+/**
+ * Decline an invitation
+ *
+ * POST /api/v1/partner/invitations/:id/decline
+ *
+ * Protected: Yes (any authenticated user)
+ */
+router.post(
+  '/:id/decline',
+  TeamValidation.validateInvitationAction,
+  validate,
+  TeamController.declineInvitation
+);
+
+export default router;
@@ -99,13 +99,16 @@ const upload = multer({
  * 
  * All media management endpoints require:
  * 1. Valid JWT token (authenticate middleware)
- * 2. 'partner' role (authorize middleware)
+ * 2. 'partner' role, or 'user' role for invited team members (authorize middleware)
+ * 
+ * Team members can list media with any role and change it with the owner,
+ * manager or content_editor role; the media service checks this.
  * 
  * Note: We use mergeParams: true when creating the router to access
  * the :id parameter from the parent route (establishment ID).
  */
 router.use(authenticate);
-router.use(authorize('partner'));
+router.use(authorize(['partner', 'user']));
 
 /**
  * Upload a new media file
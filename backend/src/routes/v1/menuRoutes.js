@@ -0,0 +1,146 @@
+/**
+ * Menu Routes
+ *
+ * This module defines structured menu management endpoints of an
+ * establishment: sections and the dishes in them.
+ *
+ * Authentication is applied by establishmentRoutes, where this router is
+ * mounted. Reading the menu is open to every team role; changing it
+ * requires the partner or a team member with the owner, manager or
+ * content_editor role (checked in menuService).
+ * The base path is /api/v1/partner/establishments/:id/menu when mounted.
+ */
+
+import express from 'express';
+import * as MenuController from '../../controllers/menuController.js';
+import * as MenuValidation from '../../validators/menuValidation.js';
+import { validate } from '../../middleware/errorHandler.js';
+
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Get the full menu
+ *
+ * GET /api/v1/partner/establishments/:id/menu
+ *
+ * Returns sections ordered by position, each with its items, including
+ * items marked unavailable. Items carry photo_url and photo_thumbnail_url
+ * when linked to a photo.
+ *
+ * Protected: Yes (partner or team member)
+ */
+router.get(
+  '/',
+  MenuValidation.validateGetMenu,
+  validate,
+  MenuController.getMenu
+);
+
+/**
+ * Create a section
+ *
+ * POST /api/v1/partner/establishments/:id/menu/sections
+ *
+ * Request body:
+ * - name: Section name, e.g. "Горячее" (required, max 100)
+ * - description: Optional note (max 500)
+ * - position: Display order (optional, appended when omitted)
+ *
+ * Protected: Yes (partner, owner, manager, content_editor)
+ */
+router.post(
+  '/sections',
+  MenuValidation.validateCreateSection,
+  validate,
+  MenuController.createSection
+);
+
+/**
+ * Update a section
+ *
+ * PUT /api/v1/partner/establishments/:id/menu/sections/:sectionId
+ *
+ * Request body: any of name, description, position
+ *
+ * Protected: Yes (partner, owner, manager, content_editor)
+ */
+router.put(
+  '/sections/:sectionId',
+  MenuValidation.validateUpdateSection,
+  validate,
+  MenuController.updateSection
+);
+
+/**
+ * Delete a section with all of its dishes
+ *
+ * DELETE /api/v1/partner/establishments/:id/menu/sections/:sectionId
+ *
+ * Linked photos stay in the media gallery.
+ *
+ * Protected: Yes (partner, owner, manager, content_editor)
+ */
+router.delete(
+  '/sections/:sectionId',
+  MenuValidation.validateDeleteSection,
+  validate,
+  MenuController.deleteSection
+);
+
+/**
+ * Add a dish to a section
+ *
+ * POST /api/v1/partner/establishments/:id/menu/sections/:sectionId/items
+ *
+ * Request body:
+ * - name: Dish name (required, max 150)
+ * - price: Price in BYN (required, 0-10000)
+ * - description: Optional (max 1000)
+ * - portion_size + portion_unit: Portion, unit g, ml or pcs (optional, together)
+ * - allergens: e.g. ["gluten", "milk"] (14 declarable allergens)
+ * - dietary_tags: Any of vegetarian, vegan, halal
+ * - media_id: Photo from this establishment's media gallery
+ * - is_available: false hides the dish from the public menu (default true)
+ * - position: Display order within the section (optional)
+ *
+ * Protected: Yes (partner, owner, manager, content_editor)
+ */
+router.post(
+  '/sections/:sectionId/items',
+  MenuValidation.validateCreateItem,
+  validate,
+  MenuController.createItem
+);
+
+/**
+ * Update a dish
+ *
+ * PUT /api/v1/partner/establishments/:id/menu/items/:itemId
+ *
+ * Request body: any item field; section_id moves the dish to another
+ * section, media_id null removes its photo.
+ *
+ * Protected: Yes (partner, owner, manager, content_editor)
+ */
+router.put(
+  '/items/:itemId',
+  MenuValidation.validateUpdateItem,
+  validate,
+  MenuController.updateItem
+);
+
+/**
+ * Delete a dish
+ *
+ * DELETE /api/v1/partner/establishments/:id/menu/items/:itemId
+ *
+ * Protected: Yes (partner, owner, manager, content_editor)
+ */
+router.delete(
+  '/items/:itemId',
+  MenuValidation.validateDeleteItem,
+  validate,
+  MenuController.deleteItem
+);
+
+export default router;
@@ -0,0 +1,63 @@
+/**
+ * Notification Routes
+ *
+ * This module defines the notification endpoints of the authenticated
+ * user. Entries are created by other features, e.g. when an establishment
+ * replies to the user's review.
+ * The base path is /api/v1/notifications when mounted in v1/index.js
+ */
+
+import express from 'express';
+import * as NotificationController from '../../controllers/notificationController.js';
+import * as NotificationValidation from '../../validators/notificationValidation.js';
+import { authenticate } from '../../middleware/auth.js';
+import { validate } from '../../middleware/errorHandler.js';
+
+const router = express.Router();
+
+router.use(authenticate);
+
+/**
+ * Get notifications
+ *
+ * GET /api/v1/notifications
+ *
+ * Query parameters (all optional):
+ * - unread: 'true' for unread entries only
+ * - page: Page number (default: 1)
+ * - limit: Items per page (default: 20, max: 50)
+ *
+ * Returns: { notifications, unread, pagination }, newest first. Each entry
+ * is { id, type, payload, read_at, created_at }; for type 'review_reply'
+ * the payload is { review_id, reply_id, establishment_id, establishment_name }.
+ *
+ * Protected: Yes (any authenticated user)
+ */
+router.get(
+  '/',
+  NotificationValidation.validateGetNotifications,
+  validate,
+  NotificationController.getNotifications
+);
+
+/**
+ * Mark notifications as read
+ *
+ * POST /api/v1/notifications/read
+ *
+ * Request body:
+ * - ids: Optional array of notification IDs; all unread notifications
+ *   when omitted
+ *
+ * Returns: { marked } - number of entries marked
+ *
+ * Protected: Yes (any authenticated user)
+ */
+router.post(
+  '/read',
+  NotificationValidation.validateMarkAsRead,
+  validate,
+  NotificationController.markAsRead
+);
+
+export default router;
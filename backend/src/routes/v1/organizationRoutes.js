@@ -0,0 +1,182 @@
+/**
+ * Organization Routes
+ *
+ * This module defines partner endpoints for organizations: chains that
+ * group several establishments (branches) under shared branding and allow
+ * editing hours and menus of all branches at once.
+ *
+ * All endpoints in this file are partner-only and require authentication.
+ * The base path is /api/v1/partner/organizations when mounted in v1/index.js
+ */
+
+import express from 'express';
+import * as OrganizationController from '../../controllers/organizationController.js';
+import * as OrganizationValidation from '../../validators/organizationValidation.js';
+import { authenticate, authorize } from '../../middleware/auth.js';
+import { validate } from '../../middleware/errorHandler.js';
+
+const router = express.Router();
+
+/**
+ * Apply authentication to all routes in this router
+ *
+ * All organization endpoints require:
+ * 1. Valid JWT token (authenticate middleware)
+ * 2. 'partner' role (authorize middleware)
+ */
+router.use(authenticate);
+router.use(authorize('partner'));
+
+/**
+ * List the partner's organizations
+ *
+ * GET /api/v1/partner/organizations
+ *
+ * Returns: Organizations with branch_count, ordered by name
+ *
+ * Protected: Yes (partner role required)
+ */
+router.get(
+  '/',
+  OrganizationController.listOrganizations
+);
+
+/**
+ * Create an organization
+ *
+ * POST /api/v1/partner/organizations
+ *
+ * Request body:
+ * - name: Brand name, unique per partner (required)
+ * - description: Shared description (optional, max 2000 characters)
+ * - logo_url: Shared logo, https URL (optional)
+ * - cuisines: Shared cuisines, up to 3 (optional)
+ *
+ * Returns: Created organization
+ *
+ * Protected: Yes (partner role required)
+ */
+router.post(
+  '/',
+  OrganizationValidation.validateCreate,
+  validate,
+  OrganizationController.createOrganization
+);
+
+/**
+ * Get an organization with its branches
+ *
+ * GET /api/v1/partner/organizations/:id
+ *
+ * Returns: Organization with branches (id, name, city, address, status, hours)
+ *
+ * Protected: Yes (partner role required, must own organization)
+ */
+router.get(
+  '/:id',
+  OrganizationValidation.validateGetDetails,
+  validate,
+  OrganizationController.getOrganization
+);
+
+/**
+ * Update an organization
+ *
+ * PUT /api/v1/partner/organizations/:id
+ *
+ * Request body: any of name, description, logo_url, cuisines
+ *
+ * A changed description or cuisines list is written to every branch.
+ * Active branches receive it as a pending revision that waits for
+ * moderation; the per-branch results report 'updated', 'revision_pending'
+ * or 'failed' with an error code.
+ *
+ * Protected: Yes (partner role required, must own organization)
+ */
+router.put(
+  '/:id',
+  OrganizationValidation.validateUpdate,
+  validate,
+  OrganizationController.updateOrganization
+);
+
+/**
+ * Attach establishments as branches
+ *
+ * POST /api/v1/partner/organizations/:id/branches
+ *
+ * Request body:
+ * - establishment_ids: UUIDs of the partner's establishments (required)
+ *
+ * Attached branches receive the organization's description and cuisines.
+ * An establishment already in another organization is moved.
+ *
+ * Protected: Yes (partner role required, must own organization and establishments)
+ */
+router.post(
+  '/:id/branches',
+  OrganizationValidation.validateAddBranches,
+  validate,
+  OrganizationController.addBranches
+);
+
+/**
+ * Detach a branch
+ *
+ * DELETE /api/v1/partner/organizations/:id/branches/:establishmentId
+ *
+ * The establishment keeps its current description and cuisines.
+ *
+ * Protected: Yes (partner role required, must own organization)
+ */
+router.delete(
+  '/:id/branches/:establishmentId',
+  OrganizationValidation.validateRemoveBranch,
+  validate,
+  OrganizationController.removeBranch
+);
+
+/**
+ * Set working hours on branches
+ *
+ * POST /api/v1/partner/organizations/:id/bulk/hours
+ *
+ * Request body:
+ * - working_hours: Working hours object (required)
+ * - special_hours: Special hours object (optional)
+ * - establishment_ids: Subset of branches (optional, default: all branches)
+ *
+ * Returns: Per-branch results; active branches get a pending revision
+ *
+ * Protected: Yes (partner role required, must own organization)
+ */
+router.post(
+  '/:id/bulk/hours',
+  OrganizationValidation.validateBulkHours,
+  validate,
+  OrganizationController.bulkUpdateHours
+);
+
+/**
+ * Copy menu photos to branches
+ *
+ * POST /api/v1/partner/organizations/:id/bulk/menu
+ *
+ * Request body:
+ * - source_establishment_id: Branch whose menu photos are copied (required)
+ * - establishment_ids: Subset of branches (optional, default: all other branches)
+ *
+ * Each target's menu photos are replaced. Branches whose subscription tier
+ * allows fewer menu photos than the source has are skipped with
+ * MEDIA_LIMIT_EXCEEDED.
+ *
+ * Protected: Yes (partner role required, must own organization)
+ */
+router.post(
+  '/:id/bulk/menu',
+  OrganizationValidation.validateBulkMenu,
+  validate,
+  OrganizationController.bulkCopyMenu
+);
+
+export default router;
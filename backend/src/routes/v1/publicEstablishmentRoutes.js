@@ -0,0 +1,105 @@
+/**
+ * Public Establishment Routes
+ * 
+ * This module defines read-only establishment endpoints for app users.
+ * Unlike establishmentRoutes.js (partner management), these endpoints do not
+ * require authentication and only expose active establishments.
+ * 
+ * The base path is /api/v1/establishments when mounted in v1/index.js
+ */
+
+import express from 'express';
+import * as EstablishmentController from '../../controllers/establishmentController.js';
+import * as EstablishmentValidation from '../../validators/establishmentValidation.js';
+import * as MenuController from '../../controllers/menuController.js';
+import * as MenuValidation from '../../validators/menuValidation.js';
+import * as ReviewPhotoController from '../../controllers/reviewPhotoController.js';
+import * as ReviewValidation from '../../validators/reviewValidation.js';
+import { optionalAuth } from '../../middleware/auth.js';
+import { validate } from '../../middleware/errorHandler.js';
+import { getEstablishmentReviews } from './reviewRoutes.js';
+
+const router = express.Router();
+
+/**
+ * Get reviews for an establishment
+ * 
+ * GET /api/v1/establishments/:id/reviews
+ * 
+ * Query: page, limit and sort (newest, highest, lowest or most_helpful)
+ * 
+ * Middleware chain is defined in reviewRoutes.js next to the other review
+ * endpoints and mounted here under the establishment path.
+ * 
+ * Protected: No (public read access)
+ */
+router.get('/:id/reviews', ...getEstablishmentReviews);
+
+/**
+ * Get photos from visitors
+ * 
+ * GET /api/v1/establishments/:id/visitor-photos
+ * 
+ * Photos attached to published reviews, newest first, each with the review
+ * rating and author name. Separate from the partner's media gallery.
+ * 
+ * Query parameters:
+ * - page: Page number (default: 1)
+ * - limit: Items per page (default: 20, max: 50)
+ * 
+ * Protected: No (public read access)
+ */
+router.get(
+  '/:id/visitor-photos',
+  ReviewValidation.validateGetVisitorPhotos,
+  validate,
+  ReviewPhotoController.getVisitorPhotos
+);
+
+/**
+ * Get the menu of an establishment
+ * 
+ * GET /api/v1/establishments/:id/menu
+ * 
+ * Returns sections with available dishes: price in BYN, portion, allergens,
+ * dietary tags (vegetarian, vegan, halal) and photo URLs. Sections without
+ * available dishes are omitted. Only active establishments have a public menu.
+ * 
+ * Protected: No (public read access)
+ */
+router.get(
+  '/:id/menu',
+  MenuValidation.validateGetMenu,
+  validate,
+  MenuController.getPublicMenu
+);
+
+/**
+ * Get public establishment card
+ * 
+ * GET /api/v1/establishments/:id
+ * 
+ * Returns an active establishment with:
+ * - Working hours and current open state (is_open, closes_at, opens_at),
+ *   honouring public holidays, temporary closures and shortened days
+ * - upcoming_exceptions: those exceptions for the next 30 days
+ * - Media gallery grouped by type (interior, exterior, menu, dishes)
+ * - Rating distribution (review count per star, 1-5)
+ * - Sub-rating averages: average_food_rating, average_service_rating,
+ *   average_atmosphere_rating, average_value_rating (null when unrated)
+ * - favorite_count, and is_favorite for the authenticated viewer
+ * 
+ * optionalAuth attaches req.user when a valid token is sent; anonymous
+ * requests get is_favorite: false.
+ * 
+ * Protected: No (public read access)
+ */
+router.get(
+  '/:id',
+  optionalAuth,
+  EstablishmentValidation.validateGetDetails,
+  validate,
+  EstablishmentController.getPublicEstablishment
+);
+
+export default router;
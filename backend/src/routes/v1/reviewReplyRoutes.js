@@ -0,0 +1,57 @@
+/**
+ * Review Reply Routes
+ *
+ * This module defines the endpoints partners use to answer reviews of
+ * their establishment. Each review has at most one public reply.
+ *
+ * Authentication is applied by establishmentRoutes, where this router is
+ * mounted. Replying requires the partner or a team member with the owner,
+ * manager or review_responder role (checked in reviewReplyService).
+ * The base path is /api/v1/partner/establishments/:id/reviews when mounted.
+ */
+
+import express from 'express';
+import * as ReviewReplyController from '../../controllers/reviewReplyController.js';
+import * as ReviewValidation from '../../validators/reviewValidation.js';
+import { validate } from '../../middleware/errorHandler.js';
+
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Post or edit the reply to a review
+ *
+ * PUT /api/v1/partner/establishments/:id/reviews/:reviewId/reply
+ *
+ * Request body:
+ * - content: Reply text, 2-1000 characters
+ *
+ * The first reply is published right away and the reviewer gets a
+ * notification; later calls replace the text. A reply hidden by a
+ * moderator stays hidden when edited (see status and moderation_reason).
+ *
+ * Returns: { reply }; 201 when created, 200 when edited
+ *
+ * Protected: Yes (partner, owner, manager, review_responder)
+ */
+router.put(
+  '/:reviewId/reply',
+  ReviewValidation.validateSaveReply,
+  validate,
+  ReviewReplyController.saveReply
+);
+
+/**
+ * Delete the reply to a review
+ *
+ * DELETE /api/v1/partner/establishments/:id/reviews/:reviewId/reply
+ *
+ * Protected: Yes (partner, owner, manager, review_responder)
+ */
+router.delete(
+  '/:reviewId/reply',
+  ReviewValidation.validateDeleteReply,
+  validate,
+  ReviewReplyController.deleteReply
+);
+
+export default router;
@@ -12,8 +12,10 @@
 
 import express from 'express';
 import * as ReviewController from '../../controllers/reviewController.js';
+import * as ReviewPhotoController from '../../controllers/reviewPhotoController.js';
 import * as ReviewValidation from '../../validators/reviewValidation.js';
-import { authenticate } from '../../middleware/auth.js';
+import { authenticate, optionalAuth } from '../../middleware/auth.js';
+import { reviewPhotoUpload } from '../../middleware/reviewPhotoUpload.js';
 import { validate } from '../../middleware/errorHandler.js';
 
 const router = express.Router();
@@ -42,6 +44,10 @@ router.get(
  * 
  * POST /api/v1/reviews
  * 
+ * Request body:
+ * - establishmentId, rating (1-5) and content (20-1000 characters)
+ * - foodRating, serviceRating, atmosphereRating, valueRating: Optional 1-5
+ * 
  * Flow: Authentication → Validation → Controller → Service → Model → Database
  * 
  * The authenticate middleware verifies JWT token and attaches user data to req.user.
@@ -83,6 +89,9 @@ router.get(
  * 
  * PUT /api/v1/reviews/:id
  * 
+ * Request body: any of rating, content and the sub-ratings (foodRating,
+ * serviceRating, atmosphereRating, valueRating; null clears one)
+ * 
  * Flow: Authentication → Validation → Controller → Service → Authorization Check → Update
  * 
  * The service layer verifies the authenticated user is the review author before
@@ -118,6 +127,122 @@ router.delete(
   ReviewController.deleteReview
 );
 
+/**
+ * Attach photos to a review
+ * 
+ * POST /api/v1/reviews/:id/photos
+ * Content-Type: multipart/form-data
+ * 
+ * Request:
+ * - photos: One or more image files (JPEG, PNG, WebP or HEIC, up to 5MB each)
+ * 
+ * A review can have up to 5 photos in total. Photos are shown with the
+ * review and in the establishment's visitor gallery, and are deleted with
+ * the review.
+ * 
+ * Protected: Yes (requires authentication + author verification)
+ */
+router.post(
+  '/:id/photos',
+  authenticate,
+  ReviewValidation.validateUploadPhotos,
+  validate,
+  reviewPhotoUpload,
+  ReviewPhotoController.uploadPhotos
+);
+
+/**
+ * Delete a photo of a review
+ * 
+ * DELETE /api/v1/reviews/:id/photos/:photoId
+ * 
+ * Protected: Yes (requires authentication + author verification)
+ */
+router.delete(
+  '/:id/photos/:photoId',
+  authenticate,
+  ReviewValidation.validateDeletePhoto,
+  validate,
+  ReviewPhotoController.deletePhoto
+);
+
+/**
+ * Report a review
+ * 
+ * POST /api/v1/reviews/:id/report
+ * 
+ * Request body:
+ * - reason: 'spam', 'offensive', 'not_a_real_visit' or 'conflict_of_interest'
+ * - comment: Optional, up to 500 characters
+ * 
+ * One report per user per review; authors cannot report their own review.
+ * A review with REVIEW_REPORT_THRESHOLD open reports is hidden until an
+ * admin restores or hides it.
+ * 
+ * Protected: Yes (requires authentication)
+ */
+router.post(
+  '/:id/report',
+  authenticate,
+  ReviewValidation.validateReportReview,
+  validate,
+  ReviewController.reportReview
+);
+
+/**
+ * Vote on a review
+ * 
+ * PUT /api/v1/reviews/:id/vote
+ * 
+ * Request body:
+ * - helpful: true (helpful) or false (not helpful)
+ * 
+ * One vote per user per review; voting again replaces the vote. Authors
+ * cannot vote on their own review. Returns the updated counters.
+ * 
+ * Protected: Yes (requires authentication)
+ */
+router.put(
+  '/:id/vote',
+  authenticate,
+  ReviewValidation.validateVoteReview,
+  validate,
+  ReviewController.voteReview
+);
+
+/**
+ * Remove the user's vote from a review
+ * 
+ * DELETE /api/v1/reviews/:id/vote
+ * 
+ * Protected: Yes (requires authentication)
+ */
+router.delete(
+  '/:id/vote',
+  authenticate,
+  ReviewValidation.validateGetReview,
+  validate,
+  ReviewController.removeReviewVote
+);
+
+/**
+ * Get the vote counters of a review
+ * 
+ * GET /api/v1/reviews/:id/votes
+ * 
+ * Returns helpful_count and not_helpful_count, and my_vote ('helpful',
+ * 'not_helpful' or null) for authenticated viewers.
+ * 
+ * Protected: No (optional authentication)
+ */
+router.get(
+  '/:id/votes',
+  optionalAuth,
+  ReviewValidation.validateGetReview,
+  validate,
+  ReviewController.getReviewVotes
+);
+
 export default router;
 
 /**
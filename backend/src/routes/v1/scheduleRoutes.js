@@ -0,0 +1,118 @@
+/**
+ * Schedule Routes
+ *
+ * This module defines schedule exception endpoints of an establishment:
+ * own holiday hours, temporary closures, shortened days and whether the
+ * national holiday calendar applies.
+ *
+ * Authentication is applied by establishmentRoutes, where this router is
+ * mounted. Reading is open to every team role; changes require the partner
+ * or a team member with the owner, manager or content_editor role (checked
+ * in scheduleService).
+ * The base path is /api/v1/partner/establishments/:id/schedule-exceptions
+ * when mounted.
+ */
+
+import express from 'express';
+import * as ScheduleController from '../../controllers/scheduleController.js';
+import * as ScheduleValidation from '../../validators/scheduleValidation.js';
+import { validate } from '../../middleware/errorHandler.js';
+
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Get exceptions and holiday settings
+ *
+ * GET /api/v1/partner/establishments/:id/schedule-exceptions
+ *
+ * Returns:
+ * - observes_public_holidays: Whether the national calendar applies
+ * - exceptions: Current and future exceptions ordered by start date
+ * - public_holidays: National holidays of the coming year; overridden_by
+ *   is the ID of the own exception replacing the holiday, or null
+ *
+ * Protected: Yes (partner or team member)
+ */
+router.get(
+  '/',
+  ScheduleValidation.validateGetSchedule,
+  validate,
+  ScheduleController.getSchedule
+);
+
+/**
+ * Create an exception
+ *
+ * POST /api/v1/partner/establishments/:id/schedule-exceptions
+ *
+ * Request body:
+ * - type: 'holiday' (own holiday hours), 'closure' (temporarily closed)
+ *   or 'short_day' (shortened hours)
+ * - start_date: First date, YYYY-MM-DD (required)
+ * - end_date: Last date, YYYY-MM-DD (default: start_date, max 366 days)
+ * - hours: { open: "10:00", close: "16:00" }; required for short_day, not
+ *   allowed for closure, holiday without hours means closed
+ * - note: Optional text shown to visitors, e.g. "Ремонт" (max 500)
+ *
+ * Exceptions must not overlap and must not end in the past. They take
+ * effect immediately, including in search.
+ *
+ * Protected: Yes (partner, owner, manager, content_editor)
+ */
+router.post(
+  '/',
+  ScheduleValidation.validateCreateException,
+  validate,
+  ScheduleController.createException
+);
+
+/**
+ * Opt in or out of the national holiday calendar
+ *
+ * PUT /api/v1/partner/establishments/:id/schedule-exceptions/public-holidays
+ *
+ * Request body:
+ * - observe: false to ignore national holidays and keep regular hours
+ *
+ * Must be declared before /:exceptionId.
+ *
+ * Protected: Yes (partner, owner, manager, content_editor)
+ */
+router.put(
+  '/public-holidays',
+  ScheduleValidation.validatePublicHolidayObservance,
+  validate,
+  ScheduleController.setPublicHolidayObservance
+);
+
+/**
+ * Update an exception
+ *
+ * PUT /api/v1/partner/establishments/:id/schedule-exceptions/:exceptionId
+ *
+ * Request body: any of type, start_date, end_date, hours, note
+ *
+ * Protected: Yes (partner, owner, manager, content_editor)
+ */
+router.put(
+  '/:exceptionId',
+  ScheduleValidation.validateUpdateException,
+  validate,
+  ScheduleController.updateException
+);
+
+/**
+ * Delete an exception
+ *
+ * DELETE /api/v1/partner/establishments/:id/schedule-exceptions/:exceptionId
+ *
+ * Protected: Yes (partner, owner, manager, content_editor)
+ */
+router.delete(
+  '/:exceptionId',
+  ScheduleValidation.validateDeleteException,
+  validate,
+  ScheduleController.deleteException
+);
+
+export default router;
@@ -31,14 +31,59 @@ router.get('/health', searchController.searchHealth);
  * - cuisines (optional): Comma-separated cuisines filter
  * - priceRange (optional): Price range filter ($, $$, $$$, $$$$)
  * - minRating (optional): Minimum average rating (1-5)
+ * - minFoodRating, minServiceRating, minAtmosphereRating, minValueRating
+ *   (optional): Minimum average sub-rating (1-5). Establishments nobody
+ *   rated on the dimension are excluded
+ * - open_now (optional): Only establishments open right now (true/false).
+ *   Public holidays, temporary closures and shortened days are honoured
+ * - open_at (optional): Only establishments open at given ISO 8601 timestamp
+ * - q (optional): Free-text query over name, description, categories and
+ *   cuisines. Typo-tolerant, accepts Latin or Cyrillic spelling
+ * - min_check / max_check (optional): Average check range in BYN.
+ *   Establishments without an average check are excluded
+ * - features (optional): Required features, all must match. Sent as
+ *   features[]=wifi&features[]=terrace or comma-separated
+ * - organization_id (optional): Only branches of this organization (chain)
+ * - dish (optional): Only establishments with a matching dish on their
+ *   structured menu, e.g. dish=драники. Typo-tolerant, Latin or Cyrillic
+ * - collapse_branches (optional): true/false. Keep only the nearest
+ *   matching branch of each organization; each result then has
+ *   branch_count and total counts organizations, not branches
+ * - sort (optional): Result order, one of:
+ *   - distance: closest first (default without q)
+ *   - rating: highest average rating first
+ *   - review_count: most reviewed first
+ *   - price_asc / price_desc: by average check in BYN
+ *   - newest: most recently added first
+ *   - relevance: rating confidence combined with distance decay, plus text
+ *     match when q is given (default with q)
  * - limit (optional): Results per page (default: 20, max: 100)
- * - offset (optional): Pagination offset (default: 0)
+ * - cursor (optional): Opaque next_cursor from the previous response.
+ *   Switches to keyset pagination on (distance, id): stable across data
+ *   changes and no OFFSET scan. Only valid with distance ordering.
+ * - pagination (optional): cursor or offset (default). pagination=cursor
+ *   returns the first keyset page with next_cursor; later pages pass cursor.
+ *   Page/offset requests keep the distance order with rating tie-breakers
+ *   and return no next_cursor.
+ * - include_total (optional): true/false. Defaults to true for page/offset
+ *   requests and false for cursor requests (skips the COUNT query)
+ * - page (optional): Page number (compatibility mode)
+ * - offset (optional): Pagination offset (compatibility mode, default: 0)
  *
  * Response includes:
- * - establishments: Array of establishment objects with distance
- * - pagination: Total count and pagination metadata
+ * - establishments: Array of establishment objects with distance and
+ *   open state (is_open, closes_at, opens_at) in Europe/Minsk time
+ * - pagination: limit, hasNext, next_cursor (cursor pagination only) and
+ *   total when counted. Page/offset requests also get page, totalPages
+ *   and hasPrevious
  *
- * Results are ordered by distance (closest first), then by rating
+ * Results are ordered according to sort (see above). The applied order is
+ * echoed back as sort. With q, results include highlights (<mark>-wrapped
+ * fragments); with relevance ordering they include relevance_score.
+ * Each result lists its features; with a features filter it also lists
+ * matched_features. Branches of a chain include organization
+ * { id, name, logo_url }, other results organization null. With dish,
+ * each result lists up to 3 matched_dishes { id, name, price }.
  */
 router.get('/establishments', searchController.searchEstablishments);
 
@@ -57,14 +102,99 @@ router.get('/establishments', searchController.searchEstablishments);
  * - cuisines (optional): Comma-separated cuisines filter
  * - priceRange (optional): Price range filter ($, $$, $$$, $$$$)
  * - minRating (optional): Minimum average rating (1-5)
- * - limit (optional): Max results (default: 100, max: 500)
+ * - minFoodRating, minServiceRating, minAtmosphereRating, minValueRating
+ *   (optional): Minimum average sub-rating (1-5). Establishments nobody
+ *   rated on the dimension are excluded
+ * - open_now (optional): Only establishments open right now (true/false).
+ *   Public holidays, temporary closures and shortened days are honoured
+ * - open_at (optional): Only establishments open at given ISO 8601 timestamp
+ * - q (optional): Free-text query over name, description, categories and
+ *   cuisines. Typo-tolerant, accepts Latin or Cyrillic spelling
+ * - min_check / max_check (optional): Average check range in BYN.
+ *   Establishments without an average check are excluded
+ * - features (optional): Required features, all must match. Sent as
+ *   features[]=wifi&features[]=terrace or comma-separated
+ * - organization_id (optional): Only branches of this organization (chain)
+ * - dish (optional): Only establishments with a matching dish on their
+ *   structured menu, e.g. dish=драники. Typo-tolerant, Latin or Cyrillic
+ * - zoom (optional): Map zoom level (0-22). At zoom 14 and below the
+ *   response contains grid clusters instead of individual establishments
+ * - limit (optional): Max results (default: 100, max: 500). In cluster
+ *   mode, max number of clusters
  *
- * Response includes:
- * - establishments: Array of establishment objects within bounds
+ * Response includes (mode = 'points', zoom above 14 or omitted):
+ * - establishments: Array of establishment objects within bounds with
+ *   open state (is_open, closes_at, opens_at), features and, with a
+ *   features filter, matched_features
  * - total: Total count of results
  *
- * Results are ordered by rating (highest first), then by review count
+ * Response includes (mode = 'clusters'):
+ * - clusters: Array of { id, count, centroid, top_rated } where top_rated
+ *   is the highest-rated member used as the cluster's representative pin
+ * - total: Number of establishments across all clusters
+ * - totalClusters: Number of clusters before limit is applied
+ *
+ * Results are ordered by rating (highest first), then by review count.
+ * With q, best text matches come first and include highlights.
  */
 router.get('/map', searchController.searchMap);
 
+/**
+ * GET /api/v1/search/city/:city
+ *
+ * Browse establishments of a city (for users without location permission)
+ * Public endpoint - no authentication required
+ *
+ * Path Parameters:
+ * - city (required): One of Минск, Гродно, Брест, Гомель, Витебск,
+ *   Могилев, Бобруйск (URL-encoded)
+ *
+ * Query Parameters:
+ * - district (optional): District/neighbourhood, case-insensitive.
+ *   neighbourhood is accepted as an alias
+ * - latitude / longitude (optional): User location used for distance_km.
+ *   Without them distances are measured from the city centroid
+ * - categories, cuisines, priceRange, minRating, minFoodRating,
+ *   minServiceRating, minAtmosphereRating, minValueRating, open_now, open_at,
+ *   q, min_check, max_check, features, organization_id, dish (optional): Same
+ *   as /establishments
+ * - sort (optional): popularity (reviews + favorites, default), rating,
+ *   distance, relevance (default with q)
+ * - limit (optional): Results per page (default: 20, max: 100)
+ * - page (optional): Page number (default: 1)
+ *
+ * Response includes:
+ * - establishments: Array of establishment objects with distance_km,
+ *   favorites_count, popularity, open state and features
+ * - city, district: Applied scope
+ * - reference_point: { latitude, longitude, source } where source is
+ *   'user' or 'city_centroid'
+ * - pagination: page, limit, total, totalPages, hasNext, hasPrevious
+ * - sort: Applied order
+ */
+router.get('/city/:city', searchController.searchCity);
+
+/**
+ * GET /api/v1/search/suggest
+ *
+ * Autocomplete suggestions for the search bar
+ * Public endpoint - no authentication required
+ *
+ * Designed to be called on every keystroke: results are cached in Redis
+ * per prefix and rounded user location, and names are matched via a
+ * prefix index.
+ *
+ * Query Parameters:
+ * - q (required): Prefix typed by the user (Latin or Cyrillic)
+ * - latitude (optional): User latitude (nearest establishments first)
+ * - longitude (optional): User longitude
+ * - limit (optional): Max suggestions (default: 10, max: 20)
+ *
+ * Response includes:
+ * - suggestions: Array of { type, value } where type is one of
+ *   category, cuisine, city or establishment. Establishment suggestions
+ *   also carry id, city, categories and distance_km.
+ */
+router.get('/suggest', searchController.searchSuggest);
+
 export default router;
@@ -0,0 +1,77 @@
+/**
+ * Team Routes
+ *
+ * This module defines team management endpoints of an establishment:
+ * listing members and invitations, inviting by email or phone, and
+ * revoking access.
+ *
+ * Authentication is applied by establishmentRoutes, where this router is
+ * mounted. Only the partner and team members with the 'owner' role can
+ * use these endpoints; teamService checks this per establishment.
+ * The base path is /api/v1/partner/establishments/:id/team when mounted.
+ */
+
+import express from 'express';
+import * as TeamController from '../../controllers/teamController.js';
+import * as TeamValidation from '../../validators/teamValidation.js';
+import { validate } from '../../middleware/errorHandler.js';
+
+const router = express.Router({ mergeParams: true });
+
+/**
+ * Get team members and invitations
+ *
+ * GET /api/v1/partner/establishments/:id/team
+ *
+ * Returns:
+ * - members: Active members with role, name and contact
+ * - invitations: Pending invitations; those past expires_at have status 'expired'
+ *
+ * Protected: Yes (partner or team owner)
+ */
+router.get(
+  '/',
+  TeamValidation.validateGetTeam,
+  validate,
+  TeamController.getTeam
+);
+
+/**
+ * Invite a user to the team
+ *
+ * POST /api/v1/partner/establishments/:id/team/invitations
+ *
+ * Request body:
+ * - role: owner, manager, content_editor or review_responder (required)
+ * - email or phone: Contact of the invitee, exactly one (required)
+ *
+ * The invitation is valid for 7 days. The invitee sees it under
+ * /api/v1/partner/invitations after signing in with that email or phone.
+ *
+ * Protected: Yes (partner or team owner)
+ */
+router.post(
+  '/invitations',
+  TeamValidation.validateInvite,
+  validate,
+  TeamController.inviteMember
+);
+
+/**
+ * Revoke access or withdraw an invitation
+ *
+ * DELETE /api/v1/partner/establishments/:id/team/:memberId
+ *
+ * The member loses access immediately. The row is kept with status
+ * 'revoked' for history.
+ *
+ * Protected: Yes (partner or team owner)
+ */
+router.delete(
+  '/:memberId',
+  TeamValidation.validateRevoke,
+  validate,
+  TeamController.revokeAccess
+);
+
+export default router;
@@ -0,0 +1,175 @@
+/**
+ * Completeness Service
+ *
+ * Scores how complete a listing is, from 0 to 100, so partners know what
+ * to add before submitting it for moderation. Each check of the checklist
+ * is worth a fixed number of points:
+ * - description: at least DESCRIPTION_MIN_LENGTH characters
+ * - photos: primary photo, interior, exterior, menu and dish photos
+ * - working hours
+ * - contacts: phone, plus email or website
+ * - features (attributes.features)
+ *
+ * With MIN_COMPLETENESS_SCORE set, submitEstablishmentForModeration rejects
+ * listings scoring below it. The default 0 accepts any listing that has
+ * the required fields.
+ */
+
+import * as MediaModel from '../models/mediaModel.js';
+
+/**
+ * Description length counted as complete
+ */
+export const DESCRIPTION_MIN_LENGTH = 200;
+
+/**
+ * Count-based check result
+ *
+ * @param {number|undefined} count - Current count
+ * @param {number} target - Count needed
+ * @returns {Object} { done, current, target }
+ */
+const countCheck = (count = 0, target) => ({ done: count >= target, current: count, target });
+
+/**
+ * Checklist of the score. Points add up to 100.
+ *
+ * check(establishment, media) returns { done, current?, target? };
+ * media is { counts: {type: count}, hasPrimary }.
+ */
+const CHECKS = [
+  {
+    key: 'description',
+    label: `Write a description of at least ${DESCRIPTION_MIN_LENGTH} characters`,
+    points: 15,
+    check: (establishment) => {
+      const length = (establishment.description || '').trim().length;
+      return { done: length >= DESCRIPTION_MIN_LENGTH, current: length, target: DESCRIPTION_MIN_LENGTH };
+    },
+  },
+  {
+    key: 'primary_photo',
+    label: 'Choose a primary photo',
+    points: 15,
+    check: (establishment, media) => ({ done: media.hasPrimary }),
+  },
+  {
+    key: 'interior_photos',
+    label: 'Upload at least 3 interior photos',
+    points: 15,
+    check: (establishment, media) => countCheck(media.counts.interior, 3),
+  },
+  {
+    key: 'exterior_photo',
+    label: 'Upload a photo of the entrance or building',
+    points: 5,
+    check: (establishment, media) => countCheck(media.counts.exterior, 1),
+  },
+  {
+    key: 'menu_photos',
+    label: 'Upload the menu',
+    points: 15,
+    check: (establishment, media) => countCheck(media.counts.menu, 1),
+  },
+  {
+    key: 'dish_photos',
+    label: 'Upload at least 3 dish photos',
+    points: 10,
+    check: (establishment, media) => countCheck(media.counts.dishes, 3),
+  },
+  {
+    key: 'working_hours',
+    label: 'Set working hours',
+    points: 10,
+    check: (establishment) => ({
+      done: Boolean(establishment.working_hours) && Object.keys(establishment.working_hours).length > 0,
+    }),
+  },
+  {
+    key: 'phone',
+    label: 'Add a phone number',
+    points: 5,
+    check: (establishment) => ({ done: Boolean(establishment.phone) }),
+  },
+  {
+    key: 'email_or_website',
+    label: 'Add an email or website',
+    points: 5,
+    check: (establishment) => ({ done: Boolean(establishment.email || establishment.website) }),
+  },
+  {
+    key: 'features',
+    label: 'Mark features such as Wi-Fi, terrace or parking',
+    points: 5,
+    check: (establishment) => {
+      const features = establishment.attributes?.features;
+      return { done: Array.isArray(features) && features.length > 0 };
+    },
+  },
+];
+
+/**
+ * Minimum score required for submission, from MIN_COMPLETENESS_SCORE
+ *
+ * @returns {number} 0..100, 0 when unset or invalid
+ */
+export const getMinimumScore = () => {
+  const minimum = parseInt(process.env.MIN_COMPLETENESS_SCORE || '0', 10);
+
+  if (Number.isNaN(minimum)) {
+    return 0;
+  }
+
+  return Math.min(Math.max(minimum, 0), 100);
+};
+
+/**
+ * Score an establishment from data already loaded
+ *
+ * @param {Object} establishment - Establishment row (description,
+ *   working_hours, phone, email, website, attributes)
+ * @param {Object} mediaCounts - Media count by type, as returned by
+ *   MediaModel.getMediaCountByType
+ * @param {boolean} hasPrimary - Whether a primary photo is set
+ * @returns {Object} { score, minimum_score, meets_minimum, checklist } where
+ *   checklist items are { key, label, points, done, current?, target? },
+ *   unfinished items first
+ */
+export const computeCompleteness = (establishment, mediaCounts = {}, hasPrimary = false) => {
+  const media = { counts: mediaCounts || {}, hasPrimary: Boolean(hasPrimary) };
+
+  const checklist = CHECKS.map(({ key, label, points, check }) => ({
+    key,
+    label,
+    points,
+    ...check(establishment, media),
+  }));
+
+  const score = checklist
+    .filter(item => item.done)
+    .reduce((sum, item) => sum + item.points, 0);
+  const minimumScore = getMinimumScore();
+
+  return {
+    score,
+    minimum_score: minimumScore,
+    meets_minimum: score >= minimumScore,
+    // Stable sort keeps the checklist order within each group
+    checklist: checklist.sort((a, b) => Number(a.done) - Number(b.done)),
+  };
+};
+
+/**
+ * Score an establishment, loading its media counts
+ *
+ * @param {Object} establishment - Establishment row
+ * @returns {Promise<Object>} See computeCompleteness
+ */
+export const getCompleteness = async (establishment) => {
+  const [mediaCounts, hasPrimary] = await Promise.all([
+    MediaModel.getMediaCountByType(establishment.id),
+    MediaModel.hasPrimaryPhoto(establishment.id),
+  ]);
+
+  return computeCompleteness(establishment, mediaCounts, hasPrimary);
+};
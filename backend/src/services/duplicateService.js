@@ -0,0 +1,330 @@
+/**
+ * Duplicate Service
+ *
+ * This service detects establishments registered more than once - by two
+ * partners, or by a partner and a seed script - and lets admins merge
+ * them. checkDuplicateName only covers one partner's own names; the
+ * detector compares every establishment.
+ *
+ * Signals, combined into a score between 0 and 1:
+ * - name: trigram similarity of the names (pg_trgm), weight 0.5
+ * - proximity: 1 within DUPLICATE_RADIUS_M, falling to 0 at
+ *   PROXIMITY_FALLOFF_M, weight 0.3
+ * - contact: same phone or website, weight 0.2
+ *
+ * Pairs scoring at least DUPLICATE_SCORE_THRESHOLD are stored as
+ * candidates for moderators. Detection runs when an establishment is
+ * created and when it is submitted for moderation, and never blocks
+ * either.
+ */
+
+import * as DuplicateModel from '../models/duplicateModel.js';
+import * as EstablishmentModel from '../models/establishmentModel.js';
+import * as ReviewModel from '../models/reviewModel.js';
+import { AppError } from '../middleware/errorHandler.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Distance in meters within which two establishments count as the same spot
+ */
+export const DUPLICATE_RADIUS_M = 50;
+
+/**
+ * Distance in meters at which proximity no longer adds to the score
+ */
+const PROXIMITY_FALLOFF_M = 200;
+
+/**
+ * Lowest score stored as a candidate
+ */
+export const DUPLICATE_SCORE_THRESHOLD = 0.55;
+
+const SCORE_WEIGHTS = {
+  name: 0.5,
+  proximity: 0.3,
+  contact: 0.2,
+};
+
+const MAX_CANDIDATES = 10;
+
+/**
+ * Candidate statuses that can be listed
+ */
+export const CANDIDATE_STATUSES = ['open', 'dismissed', 'merged'];
+
+/**
+ * Score how likely two establishments are the same place
+ *
+ * @param {Object} signals - Row from DuplicateModel.findPotentialDuplicates
+ * @param {number} signals.name_similarity - Trigram similarity 0..1
+ * @param {number|null} signals.distance_m - Distance in meters
+ * @param {boolean} signals.phone_match - Same normalized phone
+ * @param {boolean} signals.website_match - Same normalized website
+ * @returns {number} Score 0..1, three decimals
+ */
+export const scoreCandidate = ({ name_similarity, distance_m, phone_match, website_match }) => {
+  let proximity = 0;
+  if (distance_m !== null && distance_m !== undefined) {
+    proximity = distance_m <= DUPLICATE_RADIUS_M
+      ? 1
+      : Math.max(0, 1 - (distance_m - DUPLICATE_RADIUS_M) / (PROXIMITY_FALLOFF_M - DUPLICATE_RADIUS_M));
+  }
+
+  const score = SCORE_WEIGHTS.name * name_similarity
+    + SCORE_WEIGHTS.proximity * proximity
+    + SCORE_WEIGHTS.contact * (phone_match || website_match ? 1 : 0);
+
+  return Math.round(score * 1000) / 1000;
+};
+
+/**
+ * Find and store possible duplicates of an establishment
+ *
+ * Failures are logged and yield no candidates, so creation and submission
+ * go through even if detection breaks.
+ *
+ * @param {Object} establishment - Establishment row (id, name, city,
+ *   latitude, longitude, phone, website, organization_id)
+ * @param {string} trigger - 'create' or 'submit'
+ * @returns {Promise<Array>} Stored open candidates
+ */
+export const detectDuplicates = async (establishment, trigger) => {
+  try {
+    const rows = await DuplicateModel.findPotentialDuplicates(establishment, {
+      radiusM: PROXIMITY_FALLOFF_M,
+      limit: MAX_CANDIDATES * 5,
+    });
+
+    const candidates = rows
+      .map(row => ({ ...row, score: scoreCandidate(row) }))
+      .filter(row => row.score >= DUPLICATE_SCORE_THRESHOLD)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, MAX_CANDIDATES);
+
+    if (candidates.length === 0) {
+      return [];
+    }
+
+    const saved = await DuplicateModel.saveCandidates(establishment.id, candidates, trigger);
+
+    logger.info('Possible duplicate establishments flagged', {
+      establishmentId: establishment.id,
+      trigger,
+      duplicateOf: candidates.map(candidate => candidate.id),
+    });
+
+    return saved;
+  } catch (error) {
+    logger.warn('Duplicate detection failed', {
+      error: error.message,
+      establishmentId: establishment.id,
+      trigger,
+    });
+    return [];
+  }
+};
+
+/**
+ * List duplicate candidates for moderators, best match first
+ *
+ * @param {Object} filters - List filters
+ * @param {string} filters.status - Candidate status (default: 'open')
+ * @param {number} filters.page - Page number (default: 1)
+ * @param {number} filters.limit - Results per page (default: 20, max: 50)
+ * @returns {Promise<Object>} { candidates, meta }
+ */
+export const getCandidates = async ({ status = 'open', page = 1, limit = 20 } = {}) => {
+  try {
+    if (!CANDIDATE_STATUSES.includes(status)) {
+      throw new AppError(
+        `Invalid status. Must be one of: ${CANDIDATE_STATUSES.join(', ')}`,
+        422,
+        'VALIDATION_ERROR'
+      );
+    }
+
+    const effectiveLimit = Math.min(limit, 50);
+    const offset = (page - 1) * effectiveLimit;
+
+    const [candidates, total] = await Promise.all([
+      DuplicateModel.listCandidates({ status, limit: effectiveLimit, offset }),
+      DuplicateModel.countCandidates(status),
+    ]);
+
+    return {
+      candidates,
+      meta: {
+        total,
+        page,
+        limit: effectiveLimit,
+        pages: Math.ceil(total / effectiveLimit),
+      },
+    };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error fetching duplicate candidates', {
+      error: error.message,
+      status,
+    });
+
+    throw new AppError(
+      'Failed to fetch duplicate candidates',
+      500,
+      'DUPLICATE_FETCH_FAILED'
+    );
+  }
+};
+
+/**
+ * Mark a candidate pair as not being duplicates
+ *
+ * The pair is not flagged again by later checks.
+ *
+ * @param {string} candidateId - UUID of the candidate
+ * @param {string} adminId - UUID of the acting admin
+ * @param {string} note - Optional note
+ * @returns {Promise<Object>} Dismissed candidate
+ * @throws {AppError} If not found or already resolved
+ */
+export const dismissCandidate = async (candidateId, adminId, note) => {
+  try {
+    const candidate = await DuplicateModel.findCandidateById(candidateId);
+
+    if (!candidate) {
+      throw new AppError(
+        'Duplicate candidate not found',
+        404,
+        'DUPLICATE_CANDIDATE_NOT_FOUND'
+      );
+    }
+
+    const dismissed = candidate.status === 'open'
+      ? await DuplicateModel.dismissCandidate(candidateId, adminId, note || null)
+      : null;
+
+    if (!dismissed) {
+      throw new AppError(
+        `Duplicate candidate is already ${candidate.status === 'open' ? 'resolved' : candidate.status}`,
+        409,
+        'DUPLICATE_CANDIDATE_RESOLVED'
+      );
+    }
+
+    logger.info('Duplicate candidate dismissed', {
+      candidateId,
+      adminId,
+    });
+
+    return dismissed;
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error dismissing duplicate candidate', {
+      error: error.message,
+      candidateId,
+    });
+
+    throw new AppError(
+      'Failed to dismiss duplicate candidate',
+      500,
+      'DUPLICATE_UPDATE_FAILED'
+    );
+  }
+};
+
+/**
+ * Merge a duplicate establishment into the one that is kept
+ *
+ * Reviews, favorites and media of the duplicate move to the kept
+ * establishment (see DuplicateModel.mergeEstablishments); the duplicate
+ * is suspended and points to the kept one. Ratings of both are
+ * recalculated.
+ *
+ * @param {string} targetId - UUID of the establishment kept
+ * @param {string} sourceId - UUID of the duplicate merged into it
+ * @param {string} adminId - UUID of the acting admin
+ * @param {string} note - Optional note, shown to the duplicate's partner
+ * @returns {Promise<Object>} { establishment, merged_id, moved }
+ * @throws {AppError} If either is missing, already merged, or they are the same
+ */
+export const mergeEstablishments = async (targetId, sourceId, adminId, note) => {
+  try {
+    if (targetId === sourceId) {
+      throw new AppError(
+        'An establishment cannot be merged into itself',
+        422,
+        'MERGE_SAME_ESTABLISHMENT'
+      );
+    }
+
+    const [target, source] = await Promise.all([
+      EstablishmentModel.findEstablishmentById(targetId, true),
+      EstablishmentModel.findEstablishmentById(sourceId, true),
+    ]);
+
+    if (!target || !source) {
+      throw new AppError(
+        'Establishment not found',
+        404,
+        'ESTABLISHMENT_NOT_FOUND'
+      );
+    }
+
+    const alreadyMerged = [target, source].find(establishment => establishment.merged_into_id);
+    if (alreadyMerged) {
+      throw new AppError(
+        `Establishment ${alreadyMerged.id} has already been merged`,
+        409,
+        'ESTABLISHMENT_ALREADY_MERGED'
+      );
+    }
+
+    const moved = await DuplicateModel.mergeEstablishments(sourceId, targetId, {
+      adminId,
+      note: note || null,
+    });
+
+    // Another admin merged one of them between the check and the merge
+    if (!moved) {
+      throw new AppError(
+        'One of the establishments has already been merged. Please refresh and try again.',
+        409,
+        'ESTABLISHMENT_ALREADY_MERGED'
+      );
+    }
+
+    await Promise.all([
+      ReviewModel.updateEstablishmentAggregates(targetId),
+      ReviewModel.updateEstablishmentAggregates(sourceId),
+    ]);
+
+    const establishment = await EstablishmentModel.findEstablishmentById(targetId, true);
+
+    return {
+      establishment,
+      merged_id: sourceId,
+      moved,
+    };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error merging establishments', {
+      error: error.message,
+      targetId,
+      sourceId,
+    });
+
+    throw new AppError(
+      'Failed to merge establishments',
+      500,
+      'MERGE_FAILED'
+    );
+  }
+};
@@ -11,18 +11,32 @@
  */
 
 import * as EstablishmentModel from '../models/establishmentModel.js';
+import * as MediaModel from '../models/mediaModel.js';
+import * as FavoriteModel from '../models/favoriteModel.js';
+import * as ReviewModel from '../models/reviewModel.js';
+import * as ModerationModel from '../models/moderationModel.js';
+import * as RevisionModel from '../models/revisionModel.js';
+import * as OrganizationModel from '../models/organizationModel.js';
+import * as ScheduleModel from '../models/scheduleModel.js';
+import * as TeamModel from '../models/teamModel.js';
+import * as GeocodingService from './geocodingService.js';
+import * as DuplicateService from './duplicateService.js';
+import * as CompletenessService from './completenessService.js';
 import { AppError } from '../middleware/errorHandler.js';
+import { resolveOpenStatus, getLocalDate, addDays, getScheduleWindow } from '../utils/workingHours.js';
+import { TEAM_PERMISSIONS } from '../utils/teamPermissions.js';
+import { formatSubRatingAverages } from '../utils/subRatings.js';
 import logger from '../utils/logger.js';
 
 /**
  * Valid city values for Belarus
  */
-const VALID_CITIES = ['Минск', 'Гродно', 'Брест', 'Гомель', 'Витебск', 'Могилев', 'Бобруйск'];
+export const VALID_CITIES = ['Минск', 'Гродно', 'Брест', 'Гомель', 'Витебск', 'Могилев', 'Бобруйск'];
 
 /**
  * Valid category values
  */
-const VALID_CATEGORIES = [
+export const VALID_CATEGORIES = [
   'Ресторан',
   'Кофейня',
   'Фаст-фуд',
@@ -41,7 +55,7 @@ const VALID_CATEGORIES = [
 /**
  * Valid cuisine types
  */
-const VALID_CUISINES = [
+export const VALID_CUISINES = [
   'Народная',
   'Авторская',
   'Азиатская',
@@ -55,6 +69,20 @@ const VALID_CUISINES = [
   'Европейская',
 ];
 
+/**
+ * Valid feature values (stored in attributes.features)
+ */
+export const VALID_FEATURES = [
+  'delivery',
+  'wifi',
+  'banquet',
+  'terrace',
+  'smoking_area',
+  'kids_zone',
+  'pet_friendly',
+  'parking',
+];
+
 /**
  * Geographic bounds for Belarus
  */
@@ -77,19 +105,27 @@ const BELARUS_BOUNDS = {
  * - Categories array must have 1-2 items, all valid
  * - Cuisines array must have 1-3 items, all valid
  * - Coordinates must be within Belarus geographic bounds
- * - Establishment name must be unique for this partner
+ * - Address is normalized; coordinates outside the city or far from the
+ *   address are flagged in geocoding.warnings but do not block creation
+ * - Establishment name must be unique for this partner, except among
+ *   branches of the same organization
+ * - Possible duplicates among all partners' establishments are flagged
+ *   for moderators (see DuplicateService)
+ * - Branches of an organization inherit its description and cuisines
+ *   when they are not provided
  * - Initial status is 'draft' to allow incremental building
  * 
  * @param {string} partnerId - UUID of the authenticated partner
  * @param {Object} establishmentData - Establishment data from request
- * @returns {Promise<Object>} Created establishment object
+ * @returns {Promise<Object>} Created establishment object with the
+ *   geocoding report (see GeocodingService.checkLocation)
  * @throws {AppError} If validation fails or business rules violated
  */
 export const createEstablishment = async (partnerId, establishmentData) => {
   const {
     name,
-    description,
     city,
+    district,
     address,
     latitude,
     longitude,
@@ -97,14 +133,34 @@ export const createEstablishment = async (partnerId, establishmentData) => {
     email,
     website,
     categories,
-    cuisines,
     price_range,
     working_hours,
     special_hours,
     attributes,
+    organization_id,
   } = establishmentData;
+  let { description, cuisines } = establishmentData;
 
   try {
+    // Branches of an organization inherit its shared description and cuisines
+    if (organization_id) {
+      const organization = await OrganizationModel.findOrganizationById(organization_id);
+      if (!organization || organization.partner_id !== partnerId) {
+        throw new AppError(
+          'Organization not found or access denied',
+          404,
+          'ORGANIZATION_NOT_FOUND'
+        );
+      }
+
+      if (!description && organization.description) {
+        description = organization.description;
+      }
+      if (cuisines === undefined && organization.cuisines.length > 0) {
+        cuisines = organization.cuisines;
+      }
+    }
+
     // Validate city
     if (!VALID_CITIES.includes(city)) {
       throw new AppError(
@@ -167,8 +223,20 @@ export const createEstablishment = async (partnerId, establishmentData) => {
       );
     }
 
+    const geocoding = await GeocodingService.checkLocation({
+      city,
+      address,
+      latitude,
+      longitude,
+    });
+
     // Check for duplicate name
-    const isDuplicate = await EstablishmentModel.checkDuplicateName(partnerId, name);
+    const isDuplicate = await EstablishmentModel.checkDuplicateName(
+      partnerId,
+      name,
+      null,
+      organization_id || null
+    );
     if (isDuplicate) {
       throw new AppError(
         'You already have an establishment with this name',
@@ -183,7 +251,8 @@ export const createEstablishment = async (partnerId, establishmentData) => {
       name,
       description,
       city,
-      address,
+      district,
+      address: geocoding.normalized_address,
       latitude,
       longitude,
       phone,
@@ -195,8 +264,11 @@ export const createEstablishment = async (partnerId, establishmentData) => {
       working_hours,
       special_hours,
       attributes,
+      organization_id,
     });
 
+    await DuplicateService.detectDuplicates(establishment, 'create');
+
     logger.info('Establishment created successfully', {
       establishmentId: establishment.id,
       partnerId,
@@ -204,7 +276,10 @@ export const createEstablishment = async (partnerId, establishmentData) => {
       city,
     });
 
-    return establishment;
+    return {
+      ...establishment,
+      geocoding,
+    };
   } catch (error) {
     // Re-throw if it's already an AppError
     if (error instanceof AppError) {
@@ -255,7 +330,8 @@ export const createEstablishment = async (partnerId, establishmentData) => {
  * @param {string} filters.status - Optional status filter
  * @param {number} filters.page - Page number (default: 1)
  * @param {number} filters.limit - Items per page (default: 20, max: 50)
- * @returns {Promise<Object>} Object with establishments array and pagination metadata
+ * @returns {Promise<Object>} Object with establishments array, each with its
+ *   completeness score and checklist, and pagination metadata
  */
 export const getPartnerEstablishments = async (partnerId, filters = {}) => {
   try {
@@ -296,7 +372,14 @@ export const getPartnerEstablishments = async (partnerId, filters = {}) => {
     });
 
     return {
-      establishments,
+      establishments: establishments.map(({ media_counts: mediaCounts, ...establishment }) => ({
+        ...establishment,
+        completeness: CompletenessService.computeCompleteness(
+          establishment,
+          mediaCounts,
+          Boolean(establishment.primary_photo)
+        ),
+      })),
       meta: {
         total,
         page,
@@ -322,17 +405,24 @@ export const getPartnerEstablishments = async (partnerId, filters = {}) => {
  * Get a single establishment by ID
  * 
  * Verifies ownership before returning data. This ensures partners can only
- * view detailed information about their own establishments.
+ * view detailed information about their own establishments or those shared
+ * with them as team members. Active establishments include their pending
+ * revision, if any. The completeness score and checklist tell the partner
+ * what is still missing (see CompletenessService).
  * 
  * @param {string} establishmentId - UUID of the establishment
- * @param {string} partnerId - UUID of the authenticated partner
+ * @param {string} partnerId - UUID of the authenticated partner or team member
  * @returns {Promise<Object>} Complete establishment object
  * @throws {AppError} If establishment not found or doesn't belong to partner
  */
 export const getEstablishmentById = async (establishmentId, partnerId) => {
   try {
     // Check ownership first
-    const isOwner = await EstablishmentModel.checkOwnership(establishmentId, partnerId);
+    const isOwner = await EstablishmentModel.checkOwnership(
+      establishmentId,
+      partnerId,
+      TEAM_PERMISSIONS.view
+    );
     if (!isOwner) {
       throw new AppError(
         'Establishment not found or access denied',
@@ -352,12 +442,23 @@ export const getEstablishmentById = async (establishmentId, partnerId) => {
       );
     }
 
+    // Edits to active establishments waiting for moderation
+    const [pendingRevision, completeness] = await Promise.all([
+      establishment.status === 'active'
+        ? RevisionModel.findPendingRevision(establishmentId)
+        : null,
+      CompletenessService.getCompleteness(establishment),
+    ]);
+
     // Convert numeric types from PostgreSQL strings to numbers
     return {
       ...establishment,
       latitude: establishment.latitude ? parseFloat(establishment.latitude) : establishment.latitude,
       longitude: establishment.longitude ? parseFloat(establishment.longitude) : establishment.longitude,
-      average_rating: establishment.average_rating ? parseFloat(establishment.average_rating) : establishment.average_rating
+      average_rating: establishment.average_rating ? parseFloat(establishment.average_rating) : establishment.average_rating,
+      ...formatSubRatingAverages(establishment),
+      pending_revision: pendingRevision || null,
+      completeness,
     };
   } catch (error) {
     if (error instanceof AppError) {
@@ -378,25 +479,214 @@ export const getEstablishmentById = async (establishmentId, partnerId) => {
   }
 };
 
+/**
+ * Fields that are only meaningful to the partner and moderators
+ * and are stripped from public establishment responses
+ */
+const NON_PUBLIC_FIELDS = [
+  'moderation_notes',
+  'moderated_by',
+  'moderated_at',
+  'subscription_tier',
+  'subscription_started_at',
+  'subscription_expires_at',
+  'base_score',
+  'boost_score',
+];
+
+/**
+ * How many days ahead the public card lists holidays and closures
+ */
+const UPCOMING_EXCEPTION_DAYS = 30;
+
+/**
+ * Get public establishment card
+ * 
+ * Only active establishments are visible to the public; drafts, pending and
+ * suspended listings are reported as not found so their existence is not
+ * leaked. The card combines the establishment with its open state, media
+ * gallery grouped by type, rating distribution, sub-rating averages
+ * (food, service, atmosphere, value), favorite count and, for
+ * branches of a chain, the organization branding (name, logo, description).
+ * 
+ * The open state honours public holidays and schedule exceptions; those of
+ * the next UPCOMING_EXCEPTION_DAYS days are listed in upcoming_exceptions.
+ * 
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {string|null} userId - UUID of the viewer if authenticated (for is_favorite)
+ * @returns {Promise<Object>} Public establishment object
+ * @throws {AppError} If establishment not found or not active
+ */
+export const getPublicEstablishment = async (establishmentId, userId = null) => {
+  try {
+    const establishment = await EstablishmentModel.findEstablishmentById(establishmentId);
+
+    if (!establishment || establishment.status !== 'active') {
+      throw new AppError(
+        'Establishment not found',
+        404,
+        'ESTABLISHMENT_NOT_FOUND'
+      );
+    }
+
+    const today = getLocalDate();
+    const scheduleWindow = getScheduleWindow();
+
+    const [
+      media,
+      ratingDistribution,
+      favoriteCount,
+      isFavorite,
+      organization,
+      scheduleOverrides,
+      upcomingExceptions,
+    ] = await Promise.all([
+      MediaModel.getEstablishmentMedia(establishmentId),
+      ReviewModel.getRatingDistribution(establishmentId),
+      FavoriteModel.getEstablishmentFavoriteCount(establishmentId),
+      userId ? FavoriteModel.isFavorite(userId, establishmentId) : false,
+      establishment.organization_id
+        ? OrganizationModel.getPublicOrganization(establishment.organization_id)
+        : null,
+      ScheduleModel.getScheduleOverrides(establishmentId, scheduleWindow.from, scheduleWindow.to),
+      ScheduleModel.getUpcomingExceptions(establishmentId, today, addDays(today, UPCOMING_EXCEPTION_DAYS)),
+    ]);
+
+    // Group gallery by media type, keeping the partner's manual ordering
+    const mediaByType = media.reduce((groups, item) => {
+      (groups[item.type] = groups[item.type] || []).push(item);
+      return groups;
+    }, {});
+
+    const publicEstablishment = { ...establishment };
+    NON_PUBLIC_FIELDS.forEach(field => delete publicEstablishment[field]);
+
+    // Features live in attributes (see updateEstablishment); seeded and
+    // legacy listings only have the features column, as in search results
+    const features = establishment.attributes && Array.isArray(establishment.attributes.features)
+      ? establishment.attributes.features
+      : (Array.isArray(establishment.features) ? establishment.features : []);
+
+    return {
+      ...publicEstablishment,
+      ...resolveOpenStatus({ ...establishment, schedule_overrides: scheduleOverrides }),
+      upcoming_exceptions: upcomingExceptions,
+      latitude: establishment.latitude ? parseFloat(establishment.latitude) : establishment.latitude,
+      longitude: establishment.longitude ? parseFloat(establishment.longitude) : establishment.longitude,
+      average_rating: establishment.average_rating ? parseFloat(establishment.average_rating) : establishment.average_rating,
+      ...formatSubRatingAverages(establishment),
+      average_check_byn: establishment.average_check_byn ? parseFloat(establishment.average_check_byn) : null,
+      features,
+      media: mediaByType,
+      primary_photo: media.find(item => item.is_primary) || null,
+      rating_distribution: ratingDistribution,
+      favorite_count: favoriteCount,
+      is_favorite: Boolean(isFavorite),
+      organization,
+    };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error fetching public establishment', {
+      error: error.message,
+      establishmentId,
+    });
+
+    throw new AppError(
+      'Failed to fetch establishment',
+      500,
+      'ESTABLISHMENT_FETCH_FAILED'
+    );
+  }
+};
+
+/**
+ * Expose features and capacity stored in attributes as top-level fields
+ * for response compatibility
+ * 
+ * @param {Object} establishment - Establishment row
+ * @returns {Object} Establishment with features and capacity copied from attributes
+ */
+const extractAttributes = (establishment) => {
+  const result = { ...establishment };
+
+  if (result.attributes) {
+    if (result.attributes.features) {
+      result.features = result.attributes.features;
+    }
+    if (result.attributes.capacity) {
+      result.capacity = result.attributes.capacity;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Role of the acting user for the moderation log
+ *
+ * @param {Object} establishment - Establishment the user acts on
+ * @param {string} userId - UUID of the partner or team member
+ * @returns {Promise<string>} 'partner' for the establishment's partner,
+ *   otherwise the team role of the member
+ * @throws {AppError} 403 if the member was removed from the team after the
+ *   ownership check
+ */
+const getActorRole = async (establishment, userId) => {
+  if (establishment.partner_id === userId) {
+    return 'partner';
+  }
+
+  const role = await TeamModel.findActiveMemberRole(establishment.id, userId);
+
+  if (!role) {
+    throw new AppError(
+      'Access denied. You can only update your own establishments.',
+      403,
+      'FORBIDDEN'
+    );
+  }
+
+  return role;
+};
+
+/**
+ * Fields whose change triggers the geocoding check on update
+ */
+const LOCATION_FIELDS = ['city', 'address', 'latitude', 'longitude'];
+
 /**
  * Update an establishment
  * 
  * Business rules for updates:
- * - Partner must own the establishment
+ * - Partner must own the establishment, or be a team member with the
+ *   owner, manager or content_editor role
  * - Cannot update if status is 'suspended' (admin-only change)
- * - Major changes (name, categories, cuisines) require status reset to 'pending' if currently 'active'
- * - Minor changes (hours, description, contact) don't require re-moderation
+ * - Draft and pending establishments are updated directly
+ * - Changes to 'active' establishments are saved as a pending revision and
+ *   applied only when a moderator approves it; the approved version stays
+ *   public meanwhile. Further edits are merged into the pending revision.
+ * - When the address, city or coordinates change, the address is
+ *   normalized and the location checked as in createEstablishment
  * 
  * @param {string} establishmentId - UUID of the establishment
- * @param {string} partnerId - UUID of the authenticated partner
+ * @param {string} partnerId - UUID of the authenticated partner or team member
  * @param {Object} updates - Fields to update
- * @returns {Promise<Object>} Updated establishment object
+ * @returns {Promise<Object>} Updated establishment, or the live establishment
+ *   with pending_revision for active establishments. Includes the geocoding
+ *   report when the location changed.
  * @throws {AppError} If validation fails or unauthorized
  */
 export const updateEstablishment = async (establishmentId, partnerId, updates) => {
   try {
     // Check ownership
-    const isOwner = await EstablishmentModel.checkOwnership(establishmentId, partnerId);
+    const isOwner = await EstablishmentModel.checkOwnership(
+      establishmentId,
+      partnerId,
+      TEAM_PERMISSIONS.edit
+    );
     if (!isOwner) {
       throw new AppError(
         'Access denied. You can only update your own establishments.',
@@ -467,12 +757,56 @@ export const updateEstablishment = async (establishmentId, partnerId, updates) =
       }
     }
 
+    // Coordinates move as a pair so the geography column stays consistent
+    if ((updates.latitude !== undefined) !== (updates.longitude !== undefined)) {
+      throw new AppError(
+        'Latitude and longitude must be updated together',
+        422,
+        'INVALID_COORDINATES'
+      );
+    }
+
+    if (updates.latitude !== undefined) {
+      if (updates.latitude < BELARUS_BOUNDS.LAT_MIN || updates.latitude > BELARUS_BOUNDS.LAT_MAX) {
+        throw new AppError(
+          `Latitude must be between ${BELARUS_BOUNDS.LAT_MIN} and ${BELARUS_BOUNDS.LAT_MAX} (Belarus bounds)`,
+          422,
+          'INVALID_LATITUDE'
+        );
+      }
+
+      if (updates.longitude < BELARUS_BOUNDS.LON_MIN || updates.longitude > BELARUS_BOUNDS.LON_MAX) {
+        throw new AppError(
+          `Longitude must be between ${BELARUS_BOUNDS.LON_MIN} and ${BELARUS_BOUNDS.LON_MAX} (Belarus bounds)`,
+          422,
+          'INVALID_LONGITUDE'
+        );
+      }
+    }
+
+    // Location checks look at the resulting location, old values filling
+    // the fields that are not updated
+    let geocoding = null;
+    if (LOCATION_FIELDS.some(field => updates[field] !== undefined)) {
+      geocoding = await GeocodingService.checkLocation({
+        city: updates.city ?? currentEstablishment.city,
+        address: updates.address ?? currentEstablishment.address,
+        latitude: updates.latitude ?? currentEstablishment.latitude,
+        longitude: updates.longitude ?? currentEstablishment.longitude,
+      });
+
+      if (updates.address !== undefined) {
+        updates.address = geocoding.normalized_address;
+      }
+    }
+
     // Check if name is being changed and if it's a duplicate
     if (updates.name !== undefined && updates.name !== currentEstablishment.name) {
       const isDuplicate = await EstablishmentModel.checkDuplicateName(
-        partnerId,
+        currentEstablishment.partner_id,
         updates.name,
-        establishmentId
+        establishmentId,
+        currentEstablishment.organization_id
       );
       if (isDuplicate) {
         throw new AppError(
@@ -483,33 +817,16 @@ export const updateEstablishment = async (establishmentId, partnerId, updates) =
       }
     }
 
-    // Determine if major fields are being changed
-    const majorFieldsChanged =
-      (updates.name !== undefined && updates.name !== currentEstablishment.name) ||
-      (updates.categories !== undefined) ||
-      (updates.cuisines !== undefined);
-
-    // If currently 'active' and major fields changed, reset to 'pending'
-    if (currentEstablishment.status === 'active' && majorFieldsChanged) {
-      updates.status = 'pending';
-      
-      logger.info('Major fields updated, status reset to pending', {
-        establishmentId,
-        partnerId,
-        changedFields: Object.keys(updates),
-      });
-    }
-
-    // Prevent partners from changing status directly (except through major field changes above)
+    // Prevent partners from changing status directly
     // Status changes should only come from admin moderation or submission workflow
-    if (updates.status !== undefined && updates.status !== 'pending' && !majorFieldsChanged) {
-      delete updates.status;
-      
+    if (updates.status !== undefined) {
       logger.warn('Partner attempted to change status directly', {
         establishmentId,
         partnerId,
         attemptedStatus: updates.status,
       });
+
+      delete updates.status;
     }
 
     // Handle features and capacity - store in attributes JSONB field for compatibility
@@ -527,22 +844,36 @@ export const updateEstablishment = async (establishmentId, partnerId, updates) =
       }
     }
 
+    // Edits to active establishments wait for moderation as a revision;
+    // the approved version stays public until the revision is approved
+    if (currentEstablishment.status === 'active') {
+      const revision = await RevisionModel.savePendingRevision(
+        establishmentId,
+        partnerId,
+        updates,
+        await getActorRole(currentEstablishment, partnerId)
+      );
+
+      logger.info('Establishment revision submitted for moderation', {
+        establishmentId,
+        partnerId,
+        revisionId: revision.id,
+        changedFields: Object.keys(updates),
+      });
+
+      return {
+        ...extractAttributes(currentEstablishment),
+        pending_revision: revision,
+        ...(geocoding && { geocoding }),
+      };
+    }
+
     // Update establishment
     const updatedEstablishment = await EstablishmentModel.updateEstablishment(
       establishmentId,
       updates
     );
 
-    // Extract features and capacity from attributes for response compatibility
-    if (updatedEstablishment.attributes) {
-      if (updatedEstablishment.attributes.features) {
-        updatedEstablishment.features = updatedEstablishment.attributes.features;
-      }
-      if (updatedEstablishment.attributes.capacity) {
-        updatedEstablishment.capacity = updatedEstablishment.attributes.capacity;
-      }
-    }
-
     logger.info('Establishment updated successfully', {
       establishmentId,
       partnerId,
@@ -550,7 +881,11 @@ export const updateEstablishment = async (establishmentId, partnerId, updates) =
       newStatus: updatedEstablishment.status,
     });
 
-    return updatedEstablishment;
+    // Extract features and capacity from attributes for response compatibility
+    return {
+      ...extractAttributes(updatedEstablishment),
+      ...(geocoding && { geocoding }),
+    };
   } catch (error) {
     if (error instanceof AppError) {
       throw error;
@@ -583,24 +918,31 @@ export const updateEstablishment = async (establishmentId, partnerId, updates) =
 /**
  * Submit establishment for moderation
  * 
+ * Only the partner and team members with the owner or manager role may
+ * submit.
+ * 
  * Pre-submission validation ensures establishment is ready for review:
  * - Must be in 'draft' status
  * - All required fields complete
- * - At least 1 interior photo uploaded (checked by service)
- * - At least 1 menu photo uploaded (checked by service)
- * - Primary photo is set (checked by service)
+ * - Completeness score at least MIN_COMPLETENESS_SCORE, when configured
+ *   (photos, description, hours, contacts, features; see
+ *   CompletenessService). The error details carry the checklist.
  * 
- * Note: Media validation will be implemented in Phase Two when media service exists
+ * Possible duplicates are flagged for moderators after submission.
  * 
  * @param {string} establishmentId - UUID of the establishment
- * @param {string} partnerId - UUID of the authenticated partner
+ * @param {string} partnerId - UUID of the authenticated partner or team member
  * @returns {Promise<Object>} Updated establishment with 'pending' status
  * @throws {AppError} If validation fails or unauthorized
  */
 export const submitEstablishmentForModeration = async (establishmentId, partnerId) => {
   try {
     // Check ownership
-    const isOwner = await EstablishmentModel.checkOwnership(establishmentId, partnerId);
+    const isOwner = await EstablishmentModel.checkOwnership(
+      establishmentId,
+      partnerId,
+      TEAM_PERMISSIONS.submit
+    );
     if (!isOwner) {
       throw new AppError(
         'Access denied. You can only update your own establishments.',
@@ -648,14 +990,47 @@ export const submitEstablishmentForModeration = async (establishmentId, partnerI
       );
     }
 
-    // TODO: Validate media requirements (Phase Two)
-    // - At least 1 interior photo
-    // - At least 1 menu photo
-    // - Primary photo is set
-    // This will be added when media service is implemented
+    // Thin listings (no photos, short description) are held back when a
+    // minimum completeness score is configured
+    const minimumScore = CompletenessService.getMinimumScore();
+    if (minimumScore > 0) {
+      const completeness = await CompletenessService.getCompleteness(establishment);
+
+      if (!completeness.meets_minimum) {
+        const missing = completeness.checklist
+          .filter(item => !item.done)
+          .map(item => item.key);
+
+        throw new AppError(
+          `Listing is ${completeness.score}% complete, at least ${minimumScore}% is required. Missing: ${missing.join(', ')}`,
+          400,
+          'COMPLETENESS_BELOW_MINIMUM',
+          { completeness }
+        );
+      }
+    }
+
+    // Submit for moderation (change status to 'pending') and record it in the moderation log
+    const transition = await ModerationModel.transitionStatus(establishmentId, {
+      action: 'submit',
+      fromStatus: 'draft',
+      toStatus: 'pending',
+      actorId: partnerId,
+      actorRole: await getActorRole(establishment, partnerId),
+    });
+
+    if (!transition) {
+      throw new AppError(
+        'Establishment status changed during submission. Please refresh and try again.',
+        409,
+        'INVALID_STATUS_FOR_SUBMISSION'
+      );
+    }
+
+    const submittedEstablishment = transition.establishment;
 
-    // Submit for moderation (change status to 'pending')
-    const submittedEstablishment = await EstablishmentModel.submitForModeration(establishmentId);
+    // Checked again because name, location or contacts may have changed since creation
+    await DuplicateService.detectDuplicates(establishment, 'submit');
 
     logger.info('Establishment submitted for moderation', {
       establishmentId,
@@ -684,3 +1059,51 @@ export const submitEstablishmentForModeration = async (establishmentId, partnerI
   }
 };
 
+/**
+ * Get moderation history of an establishment
+ * 
+ * Returns every status transition (submission, approval, rejection,
+ * suspension, reinstatement) with its reason, newest first. The identity
+ * of the moderator is not disclosed to the partner, only the actor role.
+ * 
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {string} partnerId - UUID of the authenticated partner or team member
+ * @returns {Promise<Array>} Array of moderation log entries
+ * @throws {AppError} If establishment not found or doesn't belong to partner
+ */
+export const getModerationHistory = async (establishmentId, partnerId) => {
+  try {
+    const isOwner = await EstablishmentModel.checkOwnership(
+      establishmentId,
+      partnerId,
+      TEAM_PERMISSIONS.view
+    );
+    if (!isOwner) {
+      throw new AppError(
+        'Establishment not found or access denied',
+        404,
+        'ESTABLISHMENT_NOT_FOUND'
+      );
+    }
+
+    const entries = await ModerationModel.getModerationLog(establishmentId);
+
+    return entries.map(({ actor_id: _actorId, ...entry }) => entry);
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error fetching moderation history', {
+      error: error.message,
+      establishmentId,
+      partnerId,
+    });
+
+    throw new AppError(
+      'Failed to fetch moderation history',
+      500,
+      'MODERATION_HISTORY_FETCH_FAILED'
+    );
+  }
+};
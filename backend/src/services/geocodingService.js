@@ -0,0 +1,204 @@
+/**
+ * Geocoding Service
+ *
+ * Checks the address and coordinates partners type into the establishment
+ * form. Addresses are normalized, coordinates are suggested from the
+ * address, and coordinates lying outside the stated city are flagged.
+ * The checks are advisory: they come back as warnings and never block
+ * saving, because the local dataset does not know every street.
+ *
+ * Geocoders are pluggable. A geocoder is an object with:
+ * - name: provider name reported in results
+ * - geocode(address, city): Promise of { latitude, longitude, precision,
+ *   address } or null when the address is unknown
+ * - reverseGeocode(latitude, longitude): Promise of { city, address,
+ *   street, house_number, distance_km } or null outside known cities
+ *
+ * The provider is chosen with GEOCODER_PROVIDER (default 'offline', see
+ * utils/offlineGeocoder.js). Other providers are added with
+ * registerGeocoder before the first request.
+ */
+
+import offlineGeocoder from '../utils/offlineGeocoder.js';
+import { normalizeAddress, distanceKm } from '../utils/geocoding.js';
+import { AppError } from '../middleware/errorHandler.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Distance between the stated coordinates and the geocoded address above
+ * which the address coordinates are suggested
+ */
+export const ADDRESS_MISMATCH_KM = 0.5;
+
+const GEOCODERS = {
+  offline: offlineGeocoder,
+};
+
+let activeGeocoder = null;
+
+/**
+ * Register a geocoder provider
+ *
+ * @param {string} name - Value of GEOCODER_PROVIDER selecting it
+ * @param {Object} geocoder - Geocoder implementing geocode and reverseGeocode
+ * @throws {Error} If the geocoder does not implement the interface
+ */
+export const registerGeocoder = (name, geocoder) => {
+  if (!geocoder || typeof geocoder.geocode !== 'function' || typeof geocoder.reverseGeocode !== 'function') {
+    throw new Error(`Geocoder "${name}" must implement geocode and reverseGeocode`);
+  }
+
+  GEOCODERS[name] = geocoder;
+  activeGeocoder = null;
+};
+
+/**
+ * Geocoder selected by GEOCODER_PROVIDER
+ *
+ * Unknown providers fall back to the offline geocoder.
+ *
+ * @returns {Object} Geocoder
+ */
+export const getGeocoder = () => {
+  if (!activeGeocoder) {
+    const provider = process.env.GEOCODER_PROVIDER || 'offline';
+    activeGeocoder = GEOCODERS[provider];
+
+    if (!activeGeocoder) {
+      logger.warn('Unknown geocoder provider, using offline geocoder', { provider });
+      activeGeocoder = offlineGeocoder;
+    }
+  }
+
+  return activeGeocoder;
+};
+
+/**
+ * Check an establishment location
+ *
+ * Warnings:
+ * - CITY_MISMATCH: the coordinates are in another city or outside the
+ *   stated city
+ * - ADDRESS_MISMATCH: the address was found more than ADDRESS_MISMATCH_KM
+ *   away from the coordinates; suggested_coordinates holds its position
+ *
+ * Geocoder failures are logged and yield a report without warnings.
+ *
+ * @param {Object} location - Location to check
+ * @param {string} location.city - Stated city
+ * @param {string} location.address - Address as typed
+ * @param {number|string} location.latitude - Stated latitude
+ * @param {number|string} location.longitude - Stated longitude
+ * @returns {Promise<Object>} { provider, normalized_address,
+ *   suggested_coordinates, detected_city, warnings }
+ */
+export const checkLocation = async ({ city, address, latitude, longitude }) => {
+  const geocoder = getGeocoder();
+  const point = { latitude: Number(latitude), longitude: Number(longitude) };
+  const report = {
+    provider: geocoder.name,
+    normalized_address: normalizeAddress(address),
+    suggested_coordinates: null,
+    detected_city: null,
+    warnings: [],
+  };
+
+  try {
+    const [match, place] = await Promise.all([
+      geocoder.geocode(address, city),
+      geocoder.reverseGeocode(point.latitude, point.longitude),
+    ]);
+
+    report.detected_city = place ? place.city : null;
+    if (!place || place.city !== city) {
+      report.warnings.push({
+        code: 'CITY_MISMATCH',
+        message: place
+          ? `Coordinates are in ${place.city}, not in ${city}`
+          : `Coordinates are outside ${city}`,
+      });
+    }
+
+    if (match) {
+      report.normalized_address = match.address;
+
+      const distance = distanceKm(point, match);
+      if (distance > ADDRESS_MISMATCH_KM) {
+        report.suggested_coordinates = {
+          latitude: match.latitude,
+          longitude: match.longitude,
+          precision: match.precision,
+        };
+        report.warnings.push({
+          code: 'ADDRESS_MISMATCH',
+          message: `Coordinates are ${distance.toFixed(1)} km from the address`,
+        });
+      }
+    }
+
+    if (report.warnings.length > 0) {
+      logger.info('Establishment location flagged', {
+        city,
+        address: report.normalized_address,
+        warnings: report.warnings.map(warning => warning.code),
+      });
+    }
+  } catch (error) {
+    logger.warn('Geocoding failed, location not checked', {
+      provider: geocoder.name,
+      error: error.message,
+      city,
+    });
+  }
+
+  return report;
+};
+
+/**
+ * Find the city and address at coordinates
+ *
+ * Used by the partner form to fill the address from a map pin.
+ *
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @returns {Promise<Object>} { provider, city, address, street,
+ *   house_number, distance_km }
+ * @throws {AppError} 404 if the point is outside every known city
+ */
+export const reverseGeocode = async (latitude, longitude) => {
+  const geocoder = getGeocoder();
+
+  try {
+    const place = await geocoder.reverseGeocode(latitude, longitude);
+
+    if (!place) {
+      throw new AppError(
+        'No supported city at these coordinates',
+        404,
+        'LOCATION_NOT_FOUND'
+      );
+    }
+
+    return {
+      provider: geocoder.name,
+      ...place,
+    };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error reverse geocoding', {
+      error: error.message,
+      provider: geocoder.name,
+      latitude,
+      longitude,
+    });
+
+    throw new AppError(
+      'Failed to geocode coordinates',
+      500,
+      'GEOCODING_FAILED'
+    );
+  }
+};
@@ -0,0 +1,403 @@
+/**
+ * Import Service
+ *
+ * This service implements bulk import of establishments from CSV or JSON
+ * for partners and admins. Every row is validated with the same rules as
+ * single creation (validateCreate in establishmentValidation.js) plus the
+ * checks createEstablishment makes against the database: organization
+ * ownership and duplicate names.
+ *
+ * Rows carrying an external_id are upserted: re-running an import updates
+ * the establishments it created earlier. Updating follows the usual
+ * workflow - drafts change directly, active establishments get a pending
+ * revision for moderation (admins update them directly).
+ *
+ * A dry run stops after validation and reports what would happen. A real
+ * run commits all valid rows in one transaction (see importModel.js) and
+ * reports the outcome of every row.
+ */
+
+import { validationResult } from 'express-validator';
+import * as EstablishmentModel from '../models/establishmentModel.js';
+import * as OrganizationModel from '../models/organizationModel.js';
+import * as ImportModel from '../models/importModel.js';
+import { validateCreate } from '../validators/establishmentValidation.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { parseCsv } from '../utils/csv.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Largest number of rows accepted in one import
+ */
+export const MAX_IMPORT_ROWS = 500;
+
+const MAX_EXTERNAL_ID_LENGTH = 100;
+
+/**
+ * CSV columns holding lists, values separated by '|' ("Бар|Паб")
+ */
+const CSV_LIST_COLUMNS = ['categories', 'cuisines'];
+
+/**
+ * CSV columns holding JSON objects
+ */
+const CSV_JSON_COLUMNS = ['working_hours', 'special_hours', 'attributes'];
+
+/**
+ * Fields copied from a validated row into the establishment
+ */
+const IMPORT_FIELDS = [
+  'name',
+  'description',
+  'city',
+  'district',
+  'address',
+  'latitude',
+  'longitude',
+  'phone',
+  'email',
+  'website',
+  'categories',
+  'cuisines',
+  'price_range',
+  'working_hours',
+  'special_hours',
+  'attributes',
+  'organization_id',
+];
+
+/**
+ * Convert CSV cells into the shapes the JSON API uses
+ *
+ * Cells that are not valid JSON are kept as text so validation reports
+ * them like any other wrong value.
+ *
+ * @param {Object} record - Row from parseCsv
+ * @returns {Object} Row with list and JSON columns converted
+ */
+const normalizeCsvRow = (record) => {
+  const row = { ...record };
+
+  CSV_LIST_COLUMNS.forEach(column => {
+    if (row[column] !== undefined) {
+      row[column] = row[column].split('|').map(value => value.trim()).filter(Boolean);
+    }
+  });
+
+  CSV_JSON_COLUMNS.forEach(column => {
+    if (row[column] !== undefined) {
+      try {
+        row[column] = JSON.parse(row[column]);
+      } catch {
+        // Left as text; validateCreate reports it as not a JSON object
+      }
+    }
+  });
+
+  return row;
+};
+
+/**
+ * Read the rows of an uploaded import file
+ *
+ * CSV files have a header line with API field names; categories and
+ * cuisines are separated by '|', working_hours and other objects are JSON.
+ * JSON files contain an array of establishments or
+ * { "establishments": [...] }.
+ *
+ * @param {Object} file - Uploaded file (multer memory storage)
+ * @returns {Object[]} Rows in JSON API shape
+ * @throws {AppError} 422 if the file cannot be parsed
+ */
+export const parseImportFile = (file) => {
+  const content = file.buffer.toString('utf8');
+  const isCsv = /\.csv$/i.test(file.originalname) || file.mimetype === 'text/csv';
+
+  try {
+    if (isCsv) {
+      return parseCsv(content).map(normalizeCsvRow);
+    }
+
+    const parsed = JSON.parse(content);
+    return Array.isArray(parsed) ? parsed : parsed.establishments;
+  } catch (error) {
+    throw new AppError(
+      `Import file could not be parsed: ${error.message}`,
+      422,
+      'IMPORT_FILE_INVALID'
+    );
+  }
+};
+
+/**
+ * Validate one row with the establishment creation rules
+ *
+ * @param {Object} row - Raw row
+ * @returns {Promise<Object>} { data, errors } - data is the sanitized row
+ */
+const validateRow = async (row) => {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) {
+    return { data: {}, errors: [{ field: null, message: 'Row must be an object' }] };
+  }
+
+  // Run the route validation chains against the row as if it were a request body
+  const request = { body: { ...row } };
+  for (const chain of validateCreate) {
+    await chain.run(request);
+  }
+
+  const errors = validationResult(request).array().map(error => ({
+    field: error.path,
+    message: error.msg,
+  }));
+
+  const externalId = row.external_id !== undefined && row.external_id !== null
+    ? String(row.external_id).trim()
+    : '';
+  if (externalId.length > MAX_EXTERNAL_ID_LENGTH) {
+    errors.push({
+      field: 'external_id',
+      message: `External ID must not exceed ${MAX_EXTERNAL_ID_LENGTH} characters`,
+    });
+  }
+
+  const data = IMPORT_FIELDS.reduce((fields, field) => {
+    if (request.body[field] !== undefined) {
+      fields[field] = request.body[field];
+    }
+    return fields;
+  }, {});
+  data.latitude = Number(data.latitude);
+  data.longitude = Number(data.longitude);
+  data.external_id = externalId || null;
+
+  return { data, errors };
+};
+
+/**
+ * Describe a database error that rolled back a single row
+ *
+ * @param {Error} error - Error from the row's savepoint
+ * @returns {Object} Row error for the report
+ */
+const describeRowError = (error) => {
+  if (error.code === '23505') {
+    return { field: null, message: 'An establishment with this name or external ID already exists' };
+  }
+
+  if (error.code === '23514') {
+    return { field: null, message: 'Establishment data violates database constraints' };
+  }
+
+  return { field: null, message: 'Row could not be saved' };
+};
+
+/**
+ * Import establishments for a partner
+ *
+ * Business rules:
+ * - At most MAX_IMPORT_ROWS rows
+ * - Each row passes validateCreate; organization_id must belong to the partner
+ * - Names must be unique for the partner (branches of one organization
+ *   excepted), within the file as well as against existing establishments
+ * - An external_id may appear once per file; a known external_id updates
+ *   that establishment instead of creating one
+ * - Suspended establishments can only be updated by admins
+ * - Invalid rows are skipped and reported; valid rows commit together
+ *
+ * @param {string} partnerId - UUID of the partner owning the establishments
+ * @param {Array<Object>} rows - Rows from JSON body or parseImportFile
+ * @param {Object} options - Import options
+ * @param {boolean} options.dryRun - Only validate and report
+ * @param {string} options.actorId - UUID of the user running the import
+ * @param {boolean} options.isAdmin - Whether an admin runs the import
+ * @returns {Promise<Object>} Import report { dry_run, summary, rows }
+ * @throws {AppError} If the input is empty, too large or the partner is unknown
+ */
+export const importEstablishments = async (partnerId, rows, { dryRun = false, actorId = partnerId, isAdmin = false } = {}) => {
+  if (!Array.isArray(rows) || rows.length === 0) {
+    throw new AppError(
+      'Import must contain at least one establishment',
+      422,
+      'IMPORT_EMPTY'
+    );
+  }
+
+  if (rows.length > MAX_IMPORT_ROWS) {
+    throw new AppError(
+      `Import must not exceed ${MAX_IMPORT_ROWS} establishments`,
+      422,
+      'IMPORT_TOO_LARGE'
+    );
+  }
+
+  try {
+    if (isAdmin && !(await ImportModel.isPartner(partnerId))) {
+      throw new AppError(
+        'Partner not found',
+        404,
+        'PARTNER_NOT_FOUND'
+      );
+    }
+
+    const validated = [];
+    for (const row of rows) {
+      validated.push(await validateRow(row));
+    }
+
+    const externalIds = validated
+      .map(({ data }) => data.external_id)
+      .filter(Boolean);
+    const existing = externalIds.length > 0
+      ? await EstablishmentModel.findByExternalIds(partnerId, externalIds)
+      : [];
+    const existingByExternalId = new Map(existing.map(row => [row.external_id, row]));
+
+    const organizations = new Map();
+    const seenExternalIds = new Set();
+    const seenNames = new Map();
+    const report = [];
+    const operations = [];
+
+    for (const [index, { data, errors }] of validated.entries()) {
+      const rowNumber = index + 1;
+      const current = data.external_id ? existingByExternalId.get(data.external_id) : null;
+
+      if (data.external_id) {
+        if (seenExternalIds.has(data.external_id)) {
+          errors.push({ field: 'external_id', message: 'External ID appears more than once in this import' });
+        }
+        seenExternalIds.add(data.external_id);
+      }
+
+      if (current && current.status === 'suspended' && !isAdmin) {
+        errors.push({ field: null, message: 'Establishment is suspended and cannot be updated. Contact support.' });
+      }
+
+      // Branches inherit description and cuisines, as in createEstablishment
+      if (errors.length === 0 && data.organization_id) {
+        if (!organizations.has(data.organization_id)) {
+          organizations.set(
+            data.organization_id,
+            await OrganizationModel.findOrganizationById(data.organization_id)
+          );
+        }
+        const organization = organizations.get(data.organization_id);
+
+        if (!organization || organization.partner_id !== partnerId) {
+          errors.push({ field: 'organization_id', message: 'Organization not found or access denied' });
+        } else {
+          if (!data.description && organization.description) {
+            data.description = organization.description;
+          }
+          if (data.cuisines === undefined && organization.cuisines.length > 0) {
+            data.cuisines = organization.cuisines;
+          }
+        }
+      }
+
+      if (errors.length === 0) {
+        const nameKey = data.name.toLowerCase();
+        const sameName = seenNames.get(nameKey);
+        const isDuplicateInFile = sameName !== undefined
+          && (!data.organization_id || sameName !== data.organization_id);
+        const isDuplicate = isDuplicateInFile || await EstablishmentModel.checkDuplicateName(
+          partnerId,
+          data.name,
+          current ? current.id : null,
+          data.organization_id || null
+        );
+
+        if (isDuplicate) {
+          errors.push({ field: 'name', message: 'You already have an establishment with this name' });
+        }
+        seenNames.set(nameKey, data.organization_id || null);
+      }
+
+      let action = 'create';
+      if (current) {
+        action = current.status === 'active' && !isAdmin ? 'revision' : 'update';
+      }
+
+      const entry = {
+        row: rowNumber,
+        external_id: data.external_id,
+        name: data.name || null,
+        action,
+        status: errors.length > 0 ? 'failed' : 'valid',
+        establishment_id: current ? current.id : null,
+        errors,
+      };
+      report.push(entry);
+
+      if (errors.length === 0) {
+        // Updates keep the establishment's organization and external ID
+        const changes = { ...data };
+        delete changes.organization_id;
+        delete changes.external_id;
+
+        operations.push({
+          row: rowNumber,
+          action,
+          establishmentId: entry.establishment_id,
+          data: action === 'create' ? { ...data, partner_id: partnerId } : changes,
+        });
+      }
+    }
+
+    if (!dryRun && operations.length > 0) {
+      const results = await ImportModel.applyImport(operations, actorId, isAdmin ? 'admin' : 'partner');
+      const STATUS_BY_ACTION = { create: 'created', update: 'updated', revision: 'revision_pending' };
+
+      results.forEach(result => {
+        const entry = report[result.row - 1];
+        if (result.error) {
+          entry.status = 'failed';
+          entry.errors.push(describeRowError(result.error));
+        } else {
+          entry.status = STATUS_BY_ACTION[entry.action];
+          entry.establishment_id = result.establishmentId;
+        }
+      });
+    }
+
+    const count = (status) => report.filter(entry => entry.status === status).length;
+    const summary = {
+      total: report.length,
+      valid: report.length - count('failed'),
+      failed: count('failed'),
+      created: count('created'),
+      updated: count('updated'),
+      revision_pending: count('revision_pending'),
+    };
+
+    logger.info('Establishment import processed', {
+      partnerId,
+      actorId,
+      dryRun,
+      ...summary,
+    });
+
+    return {
+      dry_run: dryRun,
+      summary,
+      rows: report,
+    };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error importing establishments', {
+      error: error.message,
+      partnerId,
+      actorId,
+    });
+
+    throw new AppError(
+      'Failed to import establishments',
+      500,
+      'IMPORT_FAILED'
+    );
+  }
+};
@@ -15,6 +15,7 @@ import * as MediaModel from '../models/mediaModel.js';
 import * as EstablishmentModel from '../models/establishmentModel.js';
 import * as CloudinaryUtil from '../config/cloudinary.js';
 import { AppError } from '../middleware/errorHandler.js';
+import { TEAM_PERMISSIONS } from '../utils/teamPermissions.js';
 import logger from '../utils/logger.js';
 
 /**
@@ -52,13 +53,14 @@ const VALID_MEDIA_TYPES = ['interior', 'exterior', 'menu', 'dishes'];
  * 7. Handle primary photo logic if needed
  * 
  * Business rules enforced:
- * - Partner must own the establishment
+ * - Partner must own the establishment, or be a team member allowed to
+ *   manage media (owner, manager, content_editor)
  * - Upload count must not exceed tier limits
  * - File must be valid image type and size
  * - If is_primary=true, clear other primary flags
  * - Automatically set position for proper ordering
  * 
- * @param {string} partnerId - UUID of the authenticated partner
+ * @param {string} partnerId - UUID of the authenticated partner or team member
  * @param {string} establishmentId - UUID of the establishment
  * @param {Object} file - Uploaded file object (from multer or similar)
  * @param {Object} metadata - Media metadata
@@ -82,7 +84,11 @@ export const uploadMedia = async (partnerId, establishmentId, file, metadata) =>
     }
 
     // Verify establishment ownership
-    const isOwner = await EstablishmentModel.checkOwnership(establishmentId, partnerId);
+    const isOwner = await EstablishmentModel.checkOwnership(
+      establishmentId,
+      partnerId,
+      TEAM_PERMISSIONS.media
+    );
     if (!isOwner) {
       throw new AppError(
         'Establishment not found or access denied',
@@ -203,7 +209,7 @@ export const uploadMedia = async (partnerId, establishmentId, file, metadata) =>
  * 
  * Verifies ownership before returning media list. Supports filtering by type.
  * 
- * @param {string} partnerId - UUID of the authenticated partner
+ * @param {string} partnerId - UUID of the authenticated partner or team member
  * @param {string} establishmentId - UUID of the establishment
  * @param {Object} filters - Optional filters
  * @param {string} filters.type - Optional media type filter
@@ -213,7 +219,11 @@ export const uploadMedia = async (partnerId, establishmentId, file, metadata) =>
 export const getMediaList = async (partnerId, establishmentId, filters = {}) => {
   try {
     // Verify ownership
-    const isOwner = await EstablishmentModel.checkOwnership(establishmentId, partnerId);
+    const isOwner = await EstablishmentModel.checkOwnership(
+      establishmentId,
+      partnerId,
+      TEAM_PERMISSIONS.view
+    );
     if (!isOwner) {
       throw new AppError(
         'Establishment not found or access denied',
@@ -259,11 +269,11 @@ export const getMediaList = async (partnerId, establishmentId, filters = {}) =>
  * The image URLs cannot be changed - to change an image, delete and re-upload.
  * 
  * Business rules:
- * - Partner must own the establishment
+ * - Partner must own the establishment or manage its media as a team member
  * - Media must belong to the establishment
  * - If is_primary changes to true, clear other primary flags
  * 
- * @param {string} partnerId - UUID of the authenticated partner
+ * @param {string} partnerId - UUID of the authenticated partner or team member
  * @param {string} establishmentId - UUID of the establishment
  * @param {string} mediaId - UUID of the media to update
  * @param {Object} updates - Fields to update
@@ -273,7 +283,11 @@ export const getMediaList = async (partnerId, establishmentId, filters = {}) =>
 export const updateMediaDetails = async (partnerId, establishmentId, mediaId, updates) => {
   try {
     // Verify establishment ownership
-    const isOwner = await EstablishmentModel.checkOwnership(establishmentId, partnerId);
+    const isOwner = await EstablishmentModel.checkOwnership(
+      establishmentId,
+      partnerId,
+      TEAM_PERMISSIONS.media
+    );
     if (!isOwner) {
       throw new AppError(
         'Establishment not found or access denied',
@@ -338,11 +352,12 @@ export const updateMediaDetails = async (partnerId, establishmentId, mediaId, up
  * 4. If deleted photo was primary, sets another photo as primary
  * 
  * Business rules:
- * - Partner must own the establishment
+ * - Partner must own the establishment or manage its media as a team member
  * - Media must belong to the establishment
  * - Cloudinary deletion errors are logged but don't block database deletion
+ * - Files still referenced by other establishments (copied menus) stay in Cloudinary
  * 
- * @param {string} partnerId - UUID of the authenticated partner
+ * @param {string} partnerId - UUID of the authenticated partner or team member
  * @param {string} establishmentId - UUID of the establishment
  * @param {string} mediaId - UUID of the media to delete
  * @returns {Promise<Object>} Deletion confirmation
@@ -351,7 +366,11 @@ export const updateMediaDetails = async (partnerId, establishmentId, mediaId, up
 export const deleteMedia = async (partnerId, establishmentId, mediaId) => {
   try {
     // Verify establishment ownership
-    const isOwner = await EstablishmentModel.checkOwnership(establishmentId, partnerId);
+    const isOwner = await EstablishmentModel.checkOwnership(
+      establishmentId,
+      partnerId,
+      TEAM_PERMISSIONS.media
+    );
     if (!isOwner) {
       throw new AppError(
         'Establishment not found or access denied',
@@ -373,8 +392,16 @@ export const deleteMedia = async (partnerId, establishmentId, mediaId) => {
     // Extract public_id from Cloudinary URL
     const publicId = CloudinaryUtil.extractPublicIdFromUrl(media.url);
 
+    // Menus copied across organization branches share the same file
+    const isShared = (await MediaModel.countMediaByUrl(media.url)) > 1;
+
     // Delete from Cloudinary (non-blocking - log error but continue)
-    if (publicId) {
+    if (isShared) {
+      logger.info('Image is used by other establishments, keeping it in Cloudinary', {
+        mediaId,
+        establishmentId,
+      });
+    } else if (publicId) {
       try {
         await CloudinaryUtil.deleteImage(publicId);
       } catch (cloudinaryError) {
@@ -451,3 +478,115 @@ export const deleteMedia = async (partnerId, establishmentId, mediaId) => {
   }
 };
 
+/**
+ * Copy the menu photos of one establishment to other establishments
+ * 
+ * Used by organizations to keep one menu across branches. Each target's
+ * existing menu photos are replaced; the copies share the source's
+ * Cloudinary files, and replaced files are only removed from Cloudinary
+ * when no other record still references them.
+ * 
+ * Business rules:
+ * - Partner must own the source and every target
+ * - Source must have at least one menu photo
+ * - Targets whose tier menu limit is lower than the menu size are skipped
+ * 
+ * @param {string} partnerId - UUID of the authenticated partner
+ * @param {string} sourceId - UUID of the establishment whose menu is copied
+ * @param {Array<string>} targetIds - UUIDs of the establishments to update
+ * @returns {Promise<Array<Object>>} Per-target results { establishment_id, status, copied?, code? }
+ * @throws {AppError} If the source is not accessible or has no menu
+ */
+export const copyMenu = async (partnerId, sourceId, targetIds) => {
+  try {
+    const isOwner = await EstablishmentModel.checkOwnership(sourceId, partnerId);
+    if (!isOwner) {
+      throw new AppError(
+        'Establishment not found or access denied',
+        404,
+        'ESTABLISHMENT_NOT_FOUND'
+      );
+    }
+
+    const sourceCounts = await MediaModel.getMediaCountByType(sourceId);
+    const menuSize = sourceCounts.menu || 0;
+    if (menuSize === 0) {
+      throw new AppError(
+        'Source establishment has no menu photos to copy',
+        422,
+        'MENU_NOT_FOUND'
+      );
+    }
+
+    const results = [];
+
+    for (const targetId of targetIds.filter(id => id !== sourceId)) {
+      const target = await EstablishmentModel.findEstablishmentById(targetId, true);
+      if (!target || target.partner_id !== partnerId) {
+        results.push({ establishment_id: targetId, status: 'skipped', code: 'ESTABLISHMENT_NOT_FOUND' });
+        continue;
+      }
+
+      const tierLimits = MEDIA_LIMITS[target.subscription_tier] || MEDIA_LIMITS.free;
+      if (menuSize > tierLimits.menu) {
+        results.push({ establishment_id: targetId, status: 'skipped', code: 'MEDIA_LIMIT_EXCEEDED' });
+        continue;
+      }
+
+      const { removed, copied } = await MediaModel.replaceMenuMedia(sourceId, targetId);
+
+      // Remove replaced files nobody references anymore
+      for (const media of removed) {
+        const publicId = CloudinaryUtil.extractPublicIdFromUrl(media.url);
+        if (!publicId || (await MediaModel.countMediaByUrl(media.url)) > 0) {
+          continue;
+        }
+
+        try {
+          await CloudinaryUtil.deleteImage(publicId);
+        } catch (cloudinaryError) {
+          logger.error('Failed to delete replaced menu image from Cloudinary', {
+            error: cloudinaryError.message,
+            publicId,
+            establishmentId: targetId,
+          });
+        }
+      }
+
+      // A replaced menu photo may have been the primary one
+      if (removed.some(media => media.is_primary)) {
+        const remainingMedia = await MediaModel.getEstablishmentMedia(targetId);
+        if (remainingMedia.length > 0) {
+          await MediaModel.setPrimaryPhoto(targetId, remainingMedia[0].id);
+        }
+      }
+
+      results.push({ establishment_id: targetId, status: 'updated', copied });
+    }
+
+    logger.info('Menu copied to establishments', {
+      partnerId,
+      sourceId,
+      updated: results.filter(result => result.status === 'updated').length,
+      skipped: results.filter(result => result.status === 'skipped').length,
+    });
+
+    return results;
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error copying menu', {
+      error: error.message,
+      partnerId,
+      sourceId,
+    });
+
+    throw new AppError(
+      'Failed to copy menu',
+      500,
+      'MENU_COPY_FAILED'
+    );
+  }
+};
@@ -0,0 +1,493 @@
+/**
+ * Menu Service
+ *
+ * This service implements structured menus: sections and dishes with BYN
+ * prices, portion sizes, allergens, dietary tags and photos taken from the
+ * establishment's media gallery.
+ *
+ * Architecture note: Menu photos of type 'menu' (mediaService) remain for
+ * scanned paper menus. Structured items only reference existing media, so
+ * uploading and tier limits stay in one place.
+ *
+ * Menu edits are applied immediately, like media, without a moderation
+ * revision. Team members need the 'edit' permission (see
+ * utils/teamPermissions.js).
+ */
+
+import * as MenuModel from '../models/menuModel.js';
+import * as MediaModel from '../models/mediaModel.js';
+import * as EstablishmentModel from '../models/establishmentModel.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { TEAM_PERMISSIONS } from '../utils/teamPermissions.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Allergens that must be declared (the 14 allergens of EAEU/EU labelling)
+ */
+export const MENU_ALLERGENS = [
+  'gluten',
+  'crustaceans',
+  'eggs',
+  'fish',
+  'peanuts',
+  'soy',
+  'milk',
+  'nuts',
+  'celery',
+  'mustard',
+  'sesame',
+  'sulphites',
+  'lupin',
+  'molluscs',
+];
+
+/**
+ * Dietary tags an item can carry
+ */
+export const DIETARY_TAGS = ['vegetarian', 'vegan', 'halal'];
+
+/**
+ * Portion units: grams, millilitres, pieces
+ */
+export const PORTION_UNITS = ['g', 'ml', 'pcs'];
+
+/**
+ * Verify the user may work with the menu of an establishment
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {string} userId - UUID of the partner or team member
+ * @param {string[]} roles - Team roles allowed for the action
+ * @throws {AppError} 404 if the establishment is not found or not accessible
+ */
+const assertMenuAccess = async (establishmentId, userId, roles) => {
+  const hasAccess = await EstablishmentModel.checkOwnership(establishmentId, userId, roles);
+
+  if (!hasAccess) {
+    throw new AppError(
+      'Establishment not found or access denied',
+      404,
+      'ESTABLISHMENT_NOT_FOUND'
+    );
+  }
+};
+
+/**
+ * Check allergens, dietary tags, portion and photo of an item
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {Object} fields - Item fields being set
+ * @param {Object} current - Current item when updating (for portion pairs)
+ * @throws {AppError} 422 if a value is not allowed
+ */
+const validateItemFields = async (establishmentId, fields, current = {}) => {
+  if (fields.allergens !== undefined) {
+    const invalid = fields.allergens.filter(allergen => !MENU_ALLERGENS.includes(allergen));
+    if (invalid.length > 0) {
+      throw new AppError(
+        `Invalid allergens: ${invalid.join(', ')}. Must be from: ${MENU_ALLERGENS.join(', ')}`,
+        422,
+        'INVALID_ALLERGEN'
+      );
+    }
+  }
+
+  if (fields.dietary_tags !== undefined) {
+    const invalid = fields.dietary_tags.filter(tag => !DIETARY_TAGS.includes(tag));
+    if (invalid.length > 0) {
+      throw new AppError(
+        `Invalid dietary tags: ${invalid.join(', ')}. Must be from: ${DIETARY_TAGS.join(', ')}`,
+        422,
+        'INVALID_DIETARY_TAG'
+      );
+    }
+  }
+
+  // Size and unit only make sense together
+  const portionSize = fields.portion_size !== undefined ? fields.portion_size : current.portion_size;
+  const portionUnit = fields.portion_unit !== undefined ? fields.portion_unit : current.portion_unit;
+  if ((portionSize == null) !== (portionUnit == null)) {
+    throw new AppError(
+      'portion_size and portion_unit must be set together',
+      422,
+      'INVALID_PORTION'
+    );
+  }
+  if (portionUnit != null && !PORTION_UNITS.includes(portionUnit)) {
+    throw new AppError(
+      `portion_unit must be one of: ${PORTION_UNITS.join(', ')}`,
+      422,
+      'INVALID_PORTION'
+    );
+  }
+
+  // Photos come from the establishment's own gallery
+  if (fields.media_id) {
+    const media = await MediaModel.findMediaById(fields.media_id);
+    if (!media || media.establishment_id !== establishmentId) {
+      throw new AppError(
+        'Photo not found in the media of this establishment',
+        422,
+        'INVALID_MENU_MEDIA'
+      );
+    }
+  }
+};
+
+/**
+ * Convert numeric columns of an item
+ *
+ * @param {Object} item - Item row
+ * @returns {Object} Item with numeric price and portion_size
+ */
+const formatItem = (item) => ({
+  ...item,
+  price: parseFloat(item.price),
+  portion_size: item.portion_size != null ? parseFloat(item.portion_size) : null,
+});
+
+/**
+ * Nest items into their sections
+ *
+ * @param {Object} menu - { sections, items } from MenuModel.getMenu
+ * @returns {Array} Sections, each with an items array
+ */
+const assembleMenu = ({ sections, items }) => sections.map(section => ({
+  ...section,
+  items: items
+    .filter(item => item.section_id === section.id)
+    .map(formatItem),
+}));
+
+/**
+ * Get the menu of an establishment for the partner
+ *
+ * Includes items marked unavailable.
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {string} userId - UUID of the partner or team member
+ * @returns {Promise<Array>} Sections with items
+ * @throws {AppError} If access is denied
+ */
+export const getMenu = async (establishmentId, userId) => {
+  try {
+    await assertMenuAccess(establishmentId, userId, TEAM_PERMISSIONS.view);
+
+    return assembleMenu(await MenuModel.getMenu(establishmentId));
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error fetching menu', {
+      error: error.message,
+      establishmentId,
+    });
+
+    throw new AppError(
+      'Failed to fetch menu',
+      500,
+      'MENU_FETCH_FAILED'
+    );
+  }
+};
+
+/**
+ * Get the public menu of an active establishment
+ *
+ * Unavailable items and sections left without items are omitted.
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @returns {Promise<Array>} Sections with available items
+ * @throws {AppError} If the establishment is not found or not active
+ */
+export const getPublicMenu = async (establishmentId) => {
+  try {
+    const establishment = await EstablishmentModel.findEstablishmentById(establishmentId);
+
+    if (!establishment || establishment.status !== 'active') {
+      throw new AppError(
+        'Establishment not found',
+        404,
+        'ESTABLISHMENT_NOT_FOUND'
+      );
+    }
+
+    const menu = await MenuModel.getMenu(establishmentId, { availableOnly: true });
+
+    return assembleMenu(menu).filter(section => section.items.length > 0);
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error fetching menu', {
+      error: error.message,
+      establishmentId,
+    });
+
+    throw new AppError(
+      'Failed to fetch menu',
+      500,
+      'MENU_FETCH_FAILED'
+    );
+  }
+};
+
+/**
+ * Create a menu section
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {string} userId - UUID of the partner or team member
+ * @param {Object} data - { name, description, position }
+ * @returns {Promise<Object>} Created section with an empty items array
+ */
+export const createSection = async (establishmentId, userId, data) => {
+  try {
+    await assertMenuAccess(establishmentId, userId, TEAM_PERMISSIONS.edit);
+
+    const section = await MenuModel.createSection({
+      establishment_id: establishmentId,
+      name: data.name,
+      description: data.description,
+      position: data.position,
+    });
+
+    return { ...section, items: [] };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error creating menu section', {
+      error: error.message,
+      establishmentId,
+    });
+
+    throw new AppError(
+      'Failed to create menu section',
+      500,
+      'MENU_UPDATE_FAILED'
+    );
+  }
+};
+
+/**
+ * Update a menu section
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {string} userId - UUID of the partner or team member
+ * @param {string} sectionId - UUID of the section
+ * @param {Object} updates - name, description and/or position
+ * @returns {Promise<Object>} Updated section
+ * @throws {AppError} If access is denied or the section is not found
+ */
+export const updateSection = async (establishmentId, userId, sectionId, updates) => {
+  try {
+    await assertMenuAccess(establishmentId, userId, TEAM_PERMISSIONS.edit);
+
+    const section = await MenuModel.updateSection(sectionId, establishmentId, updates);
+    if (!section) {
+      throw new AppError('Menu section not found', 404, 'MENU_SECTION_NOT_FOUND');
+    }
+
+    return section;
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error updating menu section', {
+      error: error.message,
+      establishmentId,
+      sectionId,
+    });
+
+    throw new AppError(
+      'Failed to update menu section',
+      500,
+      'MENU_UPDATE_FAILED'
+    );
+  }
+};
+
+/**
+ * Delete a menu section and all of its items
+ *
+ * Photos linked to the items stay in the media gallery.
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {string} userId - UUID of the partner or team member
+ * @param {string} sectionId - UUID of the section
+ * @returns {Promise<Object>} Deleted section
+ * @throws {AppError} If access is denied or the section is not found
+ */
+export const deleteSection = async (establishmentId, userId, sectionId) => {
+  try {
+    await assertMenuAccess(establishmentId, userId, TEAM_PERMISSIONS.edit);
+
+    const section = await MenuModel.deleteSection(sectionId, establishmentId);
+    if (!section) {
+      throw new AppError('Menu section not found', 404, 'MENU_SECTION_NOT_FOUND');
+    }
+
+    return section;
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error deleting menu section', {
+      error: error.message,
+      establishmentId,
+      sectionId,
+    });
+
+    throw new AppError(
+      'Failed to delete menu section',
+      500,
+      'MENU_UPDATE_FAILED'
+    );
+  }
+};
+
+/**
+ * Add a dish to a menu section
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {string} userId - UUID of the partner or team member
+ * @param {string} sectionId - UUID of the section
+ * @param {Object} data - name, description, price, portion_size,
+ *   portion_unit, allergens, dietary_tags, media_id, is_available, position
+ * @returns {Promise<Object>} Created item
+ * @throws {AppError} If validation fails, access is denied or the section is not found
+ */
+export const createItem = async (establishmentId, userId, sectionId, data) => {
+  try {
+    await assertMenuAccess(establishmentId, userId, TEAM_PERMISSIONS.edit);
+
+    const section = await MenuModel.findSection(sectionId, establishmentId);
+    if (!section) {
+      throw new AppError('Menu section not found', 404, 'MENU_SECTION_NOT_FOUND');
+    }
+
+    await validateItemFields(establishmentId, data);
+
+    const item = await MenuModel.createItem({
+      ...data,
+      section_id: sectionId,
+      establishment_id: establishmentId,
+    });
+
+    return formatItem(item);
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error creating menu item', {
+      error: error.message,
+      establishmentId,
+      sectionId,
+    });
+
+    throw new AppError(
+      'Failed to create menu item',
+      500,
+      'MENU_UPDATE_FAILED'
+    );
+  }
+};
+
+/**
+ * Update a dish
+ *
+ * Setting section_id moves the item to another section of the same
+ * establishment; media_id null removes the photo.
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {string} userId - UUID of the partner or team member
+ * @param {string} itemId - UUID of the item
+ * @param {Object} updates - Fields to change
+ * @returns {Promise<Object>} Updated item
+ * @throws {AppError} If validation fails, access is denied or the item is not found
+ */
+export const updateItem = async (establishmentId, userId, itemId, updates) => {
+  try {
+    await assertMenuAccess(establishmentId, userId, TEAM_PERMISSIONS.edit);
+
+    const current = await MenuModel.findItem(itemId, establishmentId);
+    if (!current) {
+      throw new AppError('Menu item not found', 404, 'MENU_ITEM_NOT_FOUND');
+    }
+
+    if (updates.section_id && updates.section_id !== current.section_id) {
+      const section = await MenuModel.findSection(updates.section_id, establishmentId);
+      if (!section) {
+        throw new AppError('Menu section not found', 404, 'MENU_SECTION_NOT_FOUND');
+      }
+    }
+
+    await validateItemFields(establishmentId, updates, current);
+
+    const item = await MenuModel.updateItem(itemId, establishmentId, updates);
+    if (!item) {
+      throw new AppError('Menu item not found', 404, 'MENU_ITEM_NOT_FOUND');
+    }
+
+    return formatItem(item);
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error updating menu item', {
+      error: error.message,
+      establishmentId,
+      itemId,
+    });
+
+    throw new AppError(
+      'Failed to update menu item',
+      500,
+      'MENU_UPDATE_FAILED'
+    );
+  }
+};
+
+/**
+ * Remove a dish from the menu
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {string} userId - UUID of the partner or team member
+ * @param {string} itemId - UUID of the item
+ * @returns {Promise<Object>} Deleted item
+ * @throws {AppError} If access is denied or the item is not found
+ */
+export const deleteItem = async (establishmentId, userId, itemId) => {
+  try {
+    await assertMenuAccess(establishmentId, userId, TEAM_PERMISSIONS.edit);
+
+    const item = await MenuModel.deleteItem(itemId, establishmentId);
+    if (!item) {
+      throw new AppError('Menu item not found', 404, 'MENU_ITEM_NOT_FOUND');
+    }
+
+    return formatItem(item);
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error deleting menu item', {
+      error: error.message,
+      establishmentId,
+      itemId,
+    });
+
+    throw new AppError(
+      'Failed to delete menu item',
+      500,
+      'MENU_UPDATE_FAILED'
+    );
+  }
+};
@@ -0,0 +1,535 @@
+/**
+ * Moderation Service
+ *
+ * This service implements the admin side of the establishment lifecycle:
+ * reviewing the pending queue, approving or rejecting submissions, and
+ * suspending or reinstating published listings.
+ *
+ * Status lifecycle:
+ *   draft --submit--> pending --approve--> active --suspend--> suspended
+ *                        |                   ^                     |
+ *                        +--reject--> draft  +-----reinstate-------+
+ *
+ * Every transition is written to the moderation log together with the status
+ * change, so partners can always see why their listing changed state.
+ *
+ * Edits to active establishments are reviewed separately as revisions: the
+ * listing stays active and public while its revision is pending.
+ */
+
+import * as EstablishmentModel from '../models/establishmentModel.js';
+import * as ModerationModel from '../models/moderationModel.js';
+import * as RevisionModel from '../models/revisionModel.js';
+import * as DuplicateModel from '../models/duplicateModel.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { buildRevisionDiff } from '../utils/revisionDiff.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Allowed moderation transitions
+ * Rejections and suspensions must explain themselves to the partner.
+ */
+export const MODERATION_TRANSITIONS = {
+  approve: { from: 'pending', to: 'active', reasonRequired: false },
+  reject: { from: 'pending', to: 'draft', reasonRequired: true },
+  suspend: { from: 'active', to: 'suspended', reasonRequired: true },
+  reinstate: { from: 'suspended', to: 'active', reasonRequired: false },
+};
+
+/**
+ * Statuses that can be listed in the moderation queue
+ */
+export const QUEUE_STATUSES = ['pending', 'active', 'suspended', 'draft'];
+
+/**
+ * Get establishments awaiting moderation
+ *
+ * Defaults to the pending queue, oldest submission first. Other statuses can
+ * be listed so admins can find active listings to suspend or suspended ones
+ * to reinstate.
+ *
+ * @param {Object} filters - Queue filters
+ * @param {string} filters.status - Status to list (default: 'pending')
+ * @param {string} filters.city - Optional city filter
+ * @param {string} filters.category - Optional category filter
+ * @param {string} filters.partnerId - Optional partner filter
+ * @param {string} filters.search - Optional name search
+ * @param {number} filters.page - Page number (default: 1)
+ * @param {number} filters.limit - Results per page (default: 20, max: 50)
+ * @returns {Promise<Object>} Object with establishments array and pagination metadata
+ */
+export const getModerationQueue = async (filters = {}) => {
+  try {
+    const {
+      status = 'pending',
+      city,
+      category,
+      partnerId,
+      search,
+      page = 1,
+      limit = 20,
+    } = filters;
+
+    if (!QUEUE_STATUSES.includes(status)) {
+      throw new AppError(
+        `Invalid status. Must be one of: ${QUEUE_STATUSES.join(', ')}`,
+        422,
+        'VALIDATION_ERROR'
+      );
+    }
+
+    const effectiveLimit = Math.min(limit, 50);
+    const offset = (page - 1) * effectiveLimit;
+    const queueFilters = { status, city, category, partnerId, search };
+
+    const [establishments, total] = await Promise.all([
+      ModerationModel.getModerationQueue({ ...queueFilters, limit: effectiveLimit, offset }),
+      ModerationModel.countModerationQueue(queueFilters),
+    ]);
+
+    return {
+      establishments,
+      meta: {
+        total,
+        page,
+        limit: effectiveLimit,
+        pages: Math.ceil(total / effectiveLimit),
+      },
+    };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error fetching moderation queue', {
+      error: error.message,
+      filters,
+    });
+
+    throw new AppError(
+      'Failed to fetch moderation queue',
+      500,
+      'MODERATION_QUEUE_FETCH_FAILED'
+    );
+  }
+};
+
+/**
+ * Get full establishment details for moderation review
+ *
+ * Unlike the partner and public endpoints there is no ownership or status
+ * restriction: admins can inspect any establishment.
+ *
+ * Open duplicate candidates (see duplicateService.js) are included so the
+ * moderator can merge or dismiss them before approving.
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @returns {Promise<Object>} { establishment, history, duplicate_candidates }
+ * @throws {AppError} If establishment not found
+ */
+export const getEstablishmentForModeration = async (establishmentId) => {
+  try {
+    const establishment = await EstablishmentModel.findEstablishmentById(establishmentId, true);
+
+    if (!establishment) {
+      throw new AppError(
+        'Establishment not found',
+        404,
+        'ESTABLISHMENT_NOT_FOUND'
+      );
+    }
+
+    const [history, duplicateCandidates] = await Promise.all([
+      ModerationModel.getModerationLog(establishmentId),
+      DuplicateModel.getCandidatesForEstablishment(establishmentId),
+    ]);
+
+    return { establishment, history, duplicate_candidates: duplicateCandidates };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error fetching establishment for moderation', {
+      error: error.message,
+      establishmentId,
+    });
+
+    throw new AppError(
+      'Failed to fetch establishment',
+      500,
+      'ESTABLISHMENT_FETCH_FAILED'
+    );
+  }
+};
+
+/**
+ * Apply a moderation action to an establishment
+ *
+ * @param {string} action - Key of MODERATION_TRANSITIONS
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {string} adminId - UUID of the acting admin
+ * @param {string} reason - Reason shown to the partner (required for reject and suspend)
+ * @returns {Promise<Object>} { establishment, logEntry }
+ * @throws {AppError} If not found, reason missing or transition not allowed
+ */
+const applyTransition = async (action, establishmentId, adminId, reason) => {
+  const transition = MODERATION_TRANSITIONS[action];
+  const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+
+  try {
+    if (transition.reasonRequired && !trimmedReason) {
+      throw new AppError(
+        `A reason is required to ${action} an establishment`,
+        422,
+        'REASON_REQUIRED'
+      );
+    }
+
+    const establishment = await EstablishmentModel.findEstablishmentById(establishmentId, true);
+
+    if (!establishment) {
+      throw new AppError(
+        'Establishment not found',
+        404,
+        'ESTABLISHMENT_NOT_FOUND'
+      );
+    }
+
+    if (establishment.status !== transition.from) {
+      throw new AppError(
+        `Cannot ${action} establishment with status '${establishment.status}'. Only ${transition.from} establishments can be processed.`,
+        409,
+        'INVALID_STATUS_TRANSITION'
+      );
+    }
+
+    const result = await ModerationModel.transitionStatus(establishmentId, {
+      action,
+      fromStatus: transition.from,
+      toStatus: transition.to,
+      actorId: adminId,
+      actorRole: 'admin',
+      reason: trimmedReason || null,
+    });
+
+    // Another moderator changed the status between the check and the update
+    if (!result) {
+      throw new AppError(
+        'Establishment status was changed by another moderator. Please refresh and try again.',
+        409,
+        'INVALID_STATUS_TRANSITION'
+      );
+    }
+
+    logger.info('Moderation action applied', {
+      action,
+      establishmentId,
+      adminId,
+      newStatus: transition.to,
+    });
+
+    return result;
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Unexpected error applying moderation action', {
+      error: error.message,
+      stack: error.stack,
+      action,
+      establishmentId,
+      adminId,
+    });
+
+    throw new AppError(
+      'Failed to update establishment status',
+      500,
+      'MODERATION_ACTION_FAILED'
+    );
+  }
+};
+
+/**
+ * Approve a pending establishment and publish it
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {string} adminId - UUID of the acting admin
+ * @param {string} note - Optional note for the partner
+ * @returns {Promise<Object>} { establishment, logEntry }
+ */
+export const approveEstablishment = (establishmentId, adminId, note) =>
+  applyTransition('approve', establishmentId, adminId, note);
+
+/**
+ * Reject a pending establishment back to draft
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {string} adminId - UUID of the acting admin
+ * @param {string} reason - Required explanation for the partner
+ * @returns {Promise<Object>} { establishment, logEntry }
+ */
+export const rejectEstablishment = (establishmentId, adminId, reason) =>
+  applyTransition('reject', establishmentId, adminId, reason);
+
+/**
+ * Suspend an active establishment, hiding it from the public
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {string} adminId - UUID of the acting admin
+ * @param {string} reason - Required explanation for the partner
+ * @returns {Promise<Object>} { establishment, logEntry }
+ */
+export const suspendEstablishment = (establishmentId, adminId, reason) =>
+  applyTransition('suspend', establishmentId, adminId, reason);
+
+/**
+ * Reinstate a suspended establishment back to active
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {string} adminId - UUID of the acting admin
+ * @param {string} note - Optional note for the partner
+ * @returns {Promise<Object>} { establishment, logEntry }
+ */
+export const reinstateEstablishment = (establishmentId, adminId, note) =>
+  applyTransition('reinstate', establishmentId, adminId, note);
+
+/**
+ * Get pending revisions of active establishments, oldest first
+ *
+ * @param {Object} options - Pagination options
+ * @param {number} options.page - Page number (default: 1)
+ * @param {number} options.limit - Results per page (default: 20, max: 50)
+ * @returns {Promise<Object>} Object with revisions array and pagination metadata
+ */
+export const getRevisionQueue = async ({ page = 1, limit = 20 } = {}) => {
+  try {
+    const effectiveLimit = Math.min(limit, 50);
+    const offset = (page - 1) * effectiveLimit;
+
+    const [revisions, total] = await Promise.all([
+      RevisionModel.getPendingRevisions({ limit: effectiveLimit, offset }),
+      RevisionModel.countPendingRevisions(),
+    ]);
+
+    return {
+      revisions: revisions.map(revision => ({
+        ...revision,
+        changed_fields: Object.keys(revision.changes || {}),
+      })),
+      meta: {
+        total,
+        page,
+        limit: effectiveLimit,
+        pages: Math.ceil(total / effectiveLimit),
+      },
+    };
+  } catch (error) {
+    logger.error('Error fetching revision queue', {
+      error: error.message,
+    });
+
+    throw new AppError(
+      'Failed to fetch revision queue',
+      500,
+      'REVISION_QUEUE_FETCH_FAILED'
+    );
+  }
+};
+
+/**
+ * Get a revision with a field-by-field diff against the live establishment
+ *
+ * @param {string} revisionId - UUID of the revision
+ * @returns {Promise<Object>} { revision, establishment, diff }
+ * @throws {AppError} If revision or establishment not found
+ */
+export const getRevisionDiff = async (revisionId) => {
+  try {
+    const revision = await RevisionModel.findRevisionById(revisionId);
+
+    if (!revision) {
+      throw new AppError(
+        'Revision not found',
+        404,
+        'REVISION_NOT_FOUND'
+      );
+    }
+
+    const establishment = await EstablishmentModel.findEstablishmentById(
+      revision.establishment_id,
+      true
+    );
+
+    if (!establishment) {
+      throw new AppError(
+        'Establishment not found',
+        404,
+        'ESTABLISHMENT_NOT_FOUND'
+      );
+    }
+
+    return {
+      revision,
+      establishment: {
+        id: establishment.id,
+        partner_id: establishment.partner_id,
+        name: establishment.name,
+        city: establishment.city,
+        status: establishment.status,
+        updated_at: establishment.updated_at,
+      },
+      diff: buildRevisionDiff(establishment, revision.changes),
+    };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error building revision diff', {
+      error: error.message,
+      revisionId,
+    });
+
+    throw new AppError(
+      'Failed to fetch revision',
+      500,
+      'REVISION_FETCH_FAILED'
+    );
+  }
+};
+
+/**
+ * Ensure a revision exists and is still pending
+ */
+const findPendingRevisionOrFail = async (revisionId) => {
+  const revision = await RevisionModel.findRevisionById(revisionId);
+
+  if (!revision) {
+    throw new AppError(
+      'Revision not found',
+      404,
+      'REVISION_NOT_FOUND'
+    );
+  }
+
+  if (revision.status !== 'pending') {
+    throw new AppError(
+      `Revision has already been ${revision.status}`,
+      409,
+      'REVISION_NOT_PENDING'
+    );
+  }
+
+  return revision;
+};
+
+/**
+ * Approve a pending revision
+ *
+ * The changes are applied to the establishment, the revision is closed and
+ * the decision is logged in a single transaction.
+ *
+ * @param {string} revisionId - UUID of the revision
+ * @param {string} adminId - UUID of the acting admin
+ * @param {string} note - Optional note for the partner
+ * @returns {Promise<Object>} { revision, establishment, logEntry }
+ * @throws {AppError} If not found or no longer pending
+ */
+export const approveRevision = async (revisionId, adminId, note) => {
+  try {
+    await findPendingRevisionOrFail(revisionId);
+
+    const trimmedNote = typeof note === 'string' && note.trim() ? note.trim() : null;
+    const result = await RevisionModel.approveRevision(revisionId, adminId, trimmedNote);
+
+    // Another moderator processed the revision between the check and the update
+    if (!result) {
+      throw new AppError(
+        'Revision was processed by another moderator. Please refresh and try again.',
+        409,
+        'REVISION_NOT_PENDING'
+      );
+    }
+
+    logger.info('Revision approved', { revisionId, adminId });
+
+    return result;
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Unexpected error approving revision', {
+      error: error.message,
+      stack: error.stack,
+      revisionId,
+      adminId,
+    });
+
+    throw new AppError(
+      'Failed to approve revision',
+      500,
+      'REVISION_APPROVE_FAILED'
+    );
+  }
+};
+
+/**
+ * Reject a pending revision
+ *
+ * The live establishment is left unchanged.
+ *
+ * @param {string} revisionId - UUID of the revision
+ * @param {string} adminId - UUID of the acting admin
+ * @param {string} reason - Required explanation for the partner
+ * @returns {Promise<Object>} { revision, logEntry }
+ * @throws {AppError} If reason missing, not found or no longer pending
+ */
+export const rejectRevision = async (revisionId, adminId, reason) => {
+  const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+
+  try {
+    if (!trimmedReason) {
+      throw new AppError(
+        'A reason is required to reject a revision',
+        422,
+        'REASON_REQUIRED'
+      );
+    }
+
+    await findPendingRevisionOrFail(revisionId);
+
+    const result = await RevisionModel.rejectRevision(revisionId, adminId, trimmedReason);
+
+    if (!result) {
+      throw new AppError(
+        'Revision was processed by another moderator. Please refresh and try again.',
+        409,
+        'REVISION_NOT_PENDING'
+      );
+    }
+
+    logger.info('Revision rejected', { revisionId, adminId });
+
+    return result;
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Unexpected error rejecting revision', {
+      error: error.message,
+      stack: error.stack,
+      revisionId,
+      adminId,
+    });
+
+    throw new AppError(
+      'Failed to reject revision',
+      500,
+      'REVISION_REJECT_FAILED'
+    );
+  }
+};
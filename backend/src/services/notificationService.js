@@ -0,0 +1,129 @@
+/**
+ * Notification Service
+ *
+ * Creates notification entries for users and lets them read them.
+ * Entries are created as a side effect of other actions (a partner
+ * replying to a review, ...); a failure to notify is logged and never
+ * fails that action.
+ *
+ * Types and their payload:
+ * - review_reply: { review_id, reply_id, establishment_id, establishment_name }
+ */
+
+import * as NotificationModel from '../models/notificationModel.js';
+import { AppError } from '../middleware/errorHandler.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Notification types
+ */
+export const NOTIFICATION_TYPES = ['review_reply'];
+
+/**
+ * Create a notification entry
+ *
+ * Errors are logged and swallowed.
+ *
+ * @param {string} userId - UUID of the recipient
+ * @param {string} type - One of NOTIFICATION_TYPES
+ * @param {Object} payload - Type-specific data
+ * @returns {Promise<Object|null>} Created notification or null on failure
+ */
+export const notify = async (userId, type, payload) => {
+  try {
+    const notification = await NotificationModel.createNotification({
+      user_id: userId,
+      type,
+      payload,
+    });
+
+    logger.debug('Notification created', {
+      notificationId: notification.id,
+      userId,
+      type,
+    });
+
+    return notification;
+  } catch (error) {
+    logger.warn('Failed to create notification', {
+      error: error.message,
+      userId,
+      type,
+    });
+    return null;
+  }
+};
+
+/**
+ * Get notifications of a user, newest first
+ *
+ * @param {string} userId - UUID of the user
+ * @param {Object} options - Query options
+ * @param {boolean} options.unreadOnly - Only entries not yet read
+ * @param {number} options.page - Page number (default: 1)
+ * @param {number} options.limit - Results per page (default: 20, max: 50)
+ * @returns {Promise<Object>} { notifications, unread, meta }
+ */
+export const getNotifications = async (userId, { unreadOnly = false, page = 1, limit = 20 } = {}) => {
+  try {
+    const effectiveLimit = Math.min(limit, 50);
+    const offset = (page - 1) * effectiveLimit;
+
+    const [notifications, counts] = await Promise.all([
+      NotificationModel.getUserNotifications(userId, { unreadOnly, limit: effectiveLimit, offset }),
+      NotificationModel.countUserNotifications(userId),
+    ]);
+
+    const total = unreadOnly ? counts.unread : counts.total;
+
+    return {
+      notifications,
+      unread: counts.unread,
+      meta: {
+        total,
+        page,
+        limit: effectiveLimit,
+        pages: Math.ceil(total / effectiveLimit),
+      },
+    };
+  } catch (error) {
+    logger.error('Error fetching notifications', {
+      error: error.message,
+      userId,
+    });
+
+    throw new AppError(
+      'Failed to fetch notifications',
+      500,
+      'NOTIFICATIONS_FETCH_FAILED'
+    );
+  }
+};
+
+/**
+ * Mark notifications of a user as read
+ *
+ * Entries of other users and entries already read are ignored.
+ *
+ * @param {string} userId - UUID of the user
+ * @param {Array<string>|null} notificationIds - Entries to mark, null for all
+ * @returns {Promise<Object>} { marked }
+ */
+export const markAsRead = async (userId, notificationIds = null) => {
+  try {
+    const marked = await NotificationModel.markAsRead(userId, notificationIds);
+
+    return { marked };
+  } catch (error) {
+    logger.error('Error marking notifications as read', {
+      error: error.message,
+      userId,
+    });
+
+    throw new AppError(
+      'Failed to update notifications',
+      500,
+      'NOTIFICATIONS_UPDATE_FAILED'
+    );
+  }
+};
@@ -0,0 +1,537 @@
+/**
+ * Organization Service
+ *
+ * This service implements business logic for partner organizations: chains
+ * whose branches share a logo, description and cuisines, and which are
+ * edited in bulk (working hours, menu photos).
+ *
+ * Architecture note: Shared fields are written to every branch through
+ * establishmentService.updateEstablishment, so bulk edits follow the same
+ * rules as single edits: active branches get a pending revision for the
+ * moderators instead of changing immediately.
+ */
+
+import * as OrganizationModel from '../models/organizationModel.js';
+import * as EstablishmentModel from '../models/establishmentModel.js';
+import * as EstablishmentService from './establishmentService.js';
+import * as MediaService from './mediaService.js';
+import { AppError } from '../middleware/errorHandler.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Validate shared cuisines of an organization
+ *
+ * Organizations may have no cuisines (branches then keep their own),
+ * otherwise the same 1-3 rule as for establishments applies.
+ *
+ * @param {Array<string>} cuisines - Cuisines to validate
+ * @throws {AppError} If the list is too long or contains unknown values
+ */
+const validateCuisines = (cuisines) => {
+  if (!Array.isArray(cuisines) || cuisines.length > 3) {
+    throw new AppError(
+      'Cuisines must be an array with up to 3 items',
+      422,
+      'INVALID_CUISINES_LENGTH'
+    );
+  }
+
+  const invalidCuisines = cuisines.filter(cuisine => !EstablishmentService.VALID_CUISINES.includes(cuisine));
+  if (invalidCuisines.length > 0) {
+    throw new AppError(
+      `Invalid cuisines: ${invalidCuisines.join(', ')}`,
+      422,
+      'INVALID_CUISINE_VALUE'
+    );
+  }
+};
+
+/**
+ * Load an organization and verify it belongs to the partner
+ *
+ * @param {string} organizationId - UUID of the organization
+ * @param {string} partnerId - UUID of the partner
+ * @returns {Promise<Object>} Organization
+ * @throws {AppError} 404 if not found or owned by another partner
+ */
+const findOwnedOrganization = async (organizationId, partnerId) => {
+  const organization = await OrganizationModel.findOrganizationById(organizationId);
+
+  if (!organization || organization.partner_id !== partnerId) {
+    throw new AppError(
+      'Organization not found or access denied',
+      404,
+      'ORGANIZATION_NOT_FOUND'
+    );
+  }
+
+  return organization;
+};
+
+/**
+ * Pick the shared fields an organization passes on to its branches
+ *
+ * @param {Object} organization - Organization (or subset of its fields)
+ * @returns {Object} description and/or cuisines to write to branches
+ */
+const sharedFields = (organization) => {
+  const fields = {};
+
+  if (organization.description) {
+    fields.description = organization.description;
+  }
+  if (Array.isArray(organization.cuisines) && organization.cuisines.length > 0) {
+    fields.cuisines = organization.cuisines;
+  }
+
+  return fields;
+};
+
+/**
+ * Apply the same changes to several branches
+ *
+ * A failing branch does not stop the others; its error code is reported
+ * in the result instead.
+ *
+ * @param {Array<string>} establishmentIds - UUIDs of the branches
+ * @param {string} partnerId - UUID of the partner
+ * @param {Object} changes - Fields to update
+ * @returns {Promise<Array<Object>>} Per-branch results { establishment_id, status, code? }
+ */
+const applyToBranches = async (establishmentIds, partnerId, changes) => {
+  const results = [];
+
+  for (const establishmentId of establishmentIds) {
+    try {
+      // updateEstablishment normalizes the object it receives, so each branch gets a copy
+      const updated = await EstablishmentService.updateEstablishment(
+        establishmentId,
+        partnerId,
+        { ...changes }
+      );
+
+      results.push({
+        establishment_id: establishmentId,
+        status: updated.pending_revision ? 'revision_pending' : 'updated',
+      });
+    } catch (error) {
+      if (!(error instanceof AppError)) {
+        throw error;
+      }
+
+      results.push({
+        establishment_id: establishmentId,
+        status: 'failed',
+        code: error.code,
+      });
+    }
+  }
+
+  return results;
+};
+
+/**
+ * Resolve which branches a bulk operation targets
+ *
+ * @param {string} organizationId - UUID of the organization
+ * @param {Array<string>|undefined} establishmentIds - Optional subset of branches
+ * @returns {Promise<Array<string>>} Branch IDs
+ * @throws {AppError} 422 if a requested establishment is not a branch
+ */
+const resolveBranchIds = async (organizationId, establishmentIds) => {
+  const branchIds = (await OrganizationModel.getBranches(organizationId)).map(branch => branch.id);
+
+  if (!establishmentIds || establishmentIds.length === 0) {
+    return branchIds;
+  }
+
+  const foreignIds = establishmentIds.filter(id => !branchIds.includes(id));
+  if (foreignIds.length > 0) {
+    throw new AppError(
+      `Establishments are not branches of this organization: ${foreignIds.join(', ')}`,
+      422,
+      'NOT_ORGANIZATION_BRANCH'
+    );
+  }
+
+  return establishmentIds;
+};
+
+/**
+ * Create a new organization
+ *
+ * @param {string} partnerId - UUID of the authenticated partner
+ * @param {Object} organizationData - name, description, logo_url, cuisines
+ * @returns {Promise<Object>} Created organization
+ * @throws {AppError} If validation fails or the name is already used
+ */
+export const createOrganization = async (partnerId, organizationData) => {
+  const { name, description, logo_url, cuisines = [] } = organizationData;
+
+  try {
+    validateCuisines(cuisines);
+
+    const organization = await OrganizationModel.createOrganization({
+      partner_id: partnerId,
+      name,
+      description,
+      logo_url,
+      cuisines,
+    });
+
+    return { ...organization, branch_count: 0 };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    if (error.code === '23505') {
+      throw new AppError(
+        'You already have an organization with this name',
+        409,
+        'DUPLICATE_ORGANIZATION'
+      );
+    }
+
+    logger.error('Error creating organization', {
+      error: error.message,
+      partnerId,
+    });
+
+    throw new AppError(
+      'Failed to create organization',
+      500,
+      'ORGANIZATION_CREATE_FAILED'
+    );
+  }
+};
+
+/**
+ * Get all organizations of a partner
+ *
+ * @param {string} partnerId - UUID of the authenticated partner
+ * @returns {Promise<Array>} Organizations with branch counts
+ */
+export const getPartnerOrganizations = async (partnerId) => {
+  try {
+    return await OrganizationModel.getOrganizationsByPartner(partnerId);
+  } catch (error) {
+    logger.error('Error fetching partner organizations', {
+      error: error.message,
+      partnerId,
+    });
+
+    throw new AppError(
+      'Failed to fetch organizations',
+      500,
+      'ORGANIZATION_FETCH_FAILED'
+    );
+  }
+};
+
+/**
+ * Get an organization with its branches
+ *
+ * @param {string} organizationId - UUID of the organization
+ * @param {string} partnerId - UUID of the authenticated partner
+ * @returns {Promise<Object>} Organization with branches array
+ * @throws {AppError} If not found or not owned
+ */
+export const getOrganization = async (organizationId, partnerId) => {
+  try {
+    const organization = await findOwnedOrganization(organizationId, partnerId);
+    const branches = await OrganizationModel.getBranches(organizationId);
+
+    return { ...organization, branches };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error fetching organization', {
+      error: error.message,
+      organizationId,
+      partnerId,
+    });
+
+    throw new AppError(
+      'Failed to fetch organization',
+      500,
+      'ORGANIZATION_FETCH_FAILED'
+    );
+  }
+};
+
+/**
+ * Update an organization and pass shared fields on to its branches
+ *
+ * A changed description or cuisines list is written to every branch;
+ * active branches receive it as a pending revision. The logo is read from
+ * the organization and needs no propagation.
+ *
+ * @param {string} organizationId - UUID of the organization
+ * @param {string} partnerId - UUID of the authenticated partner
+ * @param {Object} updates - name, description, logo_url, cuisines
+ * @returns {Promise<Object>} { organization, branches: per-branch results }
+ * @throws {AppError} If validation fails or not owned
+ */
+export const updateOrganization = async (organizationId, partnerId, updates) => {
+  try {
+    await findOwnedOrganization(organizationId, partnerId);
+
+    if (updates.cuisines !== undefined) {
+      validateCuisines(updates.cuisines);
+    }
+
+    const organization = await OrganizationModel.updateOrganization(organizationId, updates);
+
+    const changes = sharedFields({
+      description: updates.description,
+      cuisines: updates.cuisines,
+    });
+
+    const branchIds = Object.keys(changes).length > 0
+      ? await resolveBranchIds(organizationId)
+      : [];
+    const branches = await applyToBranches(branchIds, partnerId, changes);
+
+    logger.info('Organization updated', {
+      organizationId,
+      partnerId,
+      propagatedFields: Object.keys(changes),
+      branchCount: branches.length,
+    });
+
+    return { organization, branches };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    if (error.code === '23505') {
+      throw new AppError(
+        'You already have an organization with this name',
+        409,
+        'DUPLICATE_ORGANIZATION'
+      );
+    }
+
+    logger.error('Error updating organization', {
+      error: error.message,
+      organizationId,
+      partnerId,
+    });
+
+    throw new AppError(
+      'Failed to update organization',
+      500,
+      'ORGANIZATION_UPDATE_FAILED'
+    );
+  }
+};
+
+/**
+ * Attach establishments to an organization as branches
+ *
+ * Attached branches receive the organization's description and cuisines.
+ * An establishment can belong to one organization at a time; attaching it
+ * here moves it out of its previous organization.
+ *
+ * @param {string} organizationId - UUID of the organization
+ * @param {string} partnerId - UUID of the authenticated partner
+ * @param {Array<string>} establishmentIds - UUIDs of the partner's establishments
+ * @returns {Promise<Object>} { attached: IDs, branches: per-branch results }
+ * @throws {AppError} If not owned
+ */
+export const addBranches = async (organizationId, partnerId, establishmentIds) => {
+  try {
+    const organization = await findOwnedOrganization(organizationId, partnerId);
+
+    for (const establishmentId of establishmentIds) {
+      const isOwner = await EstablishmentModel.checkOwnership(establishmentId, partnerId);
+      if (!isOwner) {
+        throw new AppError(
+          'Establishment not found or access denied',
+          404,
+          'ESTABLISHMENT_NOT_FOUND'
+        );
+      }
+    }
+
+    const attached = await OrganizationModel.setEstablishmentsOrganization(
+      establishmentIds,
+      organizationId,
+      partnerId
+    );
+
+    const changes = sharedFields(organization);
+    const branches = Object.keys(changes).length > 0
+      ? await applyToBranches(attached, partnerId, changes)
+      : [];
+
+    logger.info('Branches attached to organization', {
+      organizationId,
+      partnerId,
+      attached,
+    });
+
+    return { attached, branches };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error attaching branches', {
+      error: error.message,
+      organizationId,
+      partnerId,
+    });
+
+    throw new AppError(
+      'Failed to attach branches',
+      500,
+      'ORGANIZATION_UPDATE_FAILED'
+    );
+  }
+};
+
+/**
+ * Detach a branch from an organization
+ *
+ * The establishment keeps its current description and cuisines.
+ *
+ * @param {string} organizationId - UUID of the organization
+ * @param {string} partnerId - UUID of the authenticated partner
+ * @param {string} establishmentId - UUID of the branch
+ * @returns {Promise<Object>} { establishment_id }
+ * @throws {AppError} If not owned or not a branch
+ */
+export const removeBranch = async (organizationId, partnerId, establishmentId) => {
+  try {
+    await findOwnedOrganization(organizationId, partnerId);
+    await resolveBranchIds(organizationId, [establishmentId]);
+
+    await OrganizationModel.setEstablishmentsOrganization([establishmentId], null, partnerId);
+
+    logger.info('Branch detached from organization', {
+      organizationId,
+      partnerId,
+      establishmentId,
+    });
+
+    return { establishment_id: establishmentId };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error detaching branch', {
+      error: error.message,
+      organizationId,
+      establishmentId,
+    });
+
+    throw new AppError(
+      'Failed to detach branch',
+      500,
+      'ORGANIZATION_UPDATE_FAILED'
+    );
+  }
+};
+
+/**
+ * Set the same working hours on several branches
+ *
+ * @param {string} organizationId - UUID of the organization
+ * @param {string} partnerId - UUID of the authenticated partner
+ * @param {Object} data - Bulk edit
+ * @param {Object} data.working_hours - Working hours for every branch
+ * @param {Object} data.special_hours - Optional special hours
+ * @param {Array<string>} data.establishment_ids - Optional subset of branches (default: all)
+ * @returns {Promise<Object>} { branches: per-branch results }
+ * @throws {AppError} If not owned or a requested establishment is not a branch
+ */
+export const bulkUpdateHours = async (organizationId, partnerId, data) => {
+  const { working_hours, special_hours, establishment_ids } = data;
+
+  try {
+    await findOwnedOrganization(organizationId, partnerId);
+    const branchIds = await resolveBranchIds(organizationId, establishment_ids);
+
+    const changes = { working_hours };
+    if (special_hours !== undefined) {
+      changes.special_hours = special_hours;
+    }
+
+    const branches = await applyToBranches(branchIds, partnerId, changes);
+
+    logger.info('Working hours updated across branches', {
+      organizationId,
+      partnerId,
+      branchCount: branches.length,
+    });
+
+    return { branches };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error updating branch hours', {
+      error: error.message,
+      organizationId,
+      partnerId,
+    });
+
+    throw new AppError(
+      'Failed to update branch hours',
+      500,
+      'ORGANIZATION_UPDATE_FAILED'
+    );
+  }
+};
+
+/**
+ * Copy the menu photos of one branch to other branches
+ *
+ * @param {string} organizationId - UUID of the organization
+ * @param {string} partnerId - UUID of the authenticated partner
+ * @param {Object} data - Bulk edit
+ * @param {string} data.source_establishment_id - Branch whose menu is copied
+ * @param {Array<string>} data.establishment_ids - Optional subset of branches (default: all others)
+ * @returns {Promise<Object>} { branches: per-branch results }
+ * @throws {AppError} If not owned, not branches, or the source has no menu
+ */
+export const bulkCopyMenu = async (organizationId, partnerId, data) => {
+  const { source_establishment_id, establishment_ids } = data;
+
+  try {
+    await findOwnedOrganization(organizationId, partnerId);
+    await resolveBranchIds(organizationId, [source_establishment_id]);
+    const branchIds = await resolveBranchIds(organizationId, establishment_ids);
+
+    const branches = await MediaService.copyMenu(
+      partnerId,
+      source_establishment_id,
+      branchIds
+    );
+
+    return { branches };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error copying menu across branches', {
+      error: error.message,
+      organizationId,
+      partnerId,
+    });
+
+    throw new AppError(
+      'Failed to copy menu',
+      500,
+      'MENU_COPY_FAILED'
+    );
+  }
+};
@@ -0,0 +1,312 @@
+/**
+ * Review Photo Service
+ *
+ * This service lets review authors attach photos of their visit. Photos go
+ * through the same Cloudinary pipeline as establishment media (stored under
+ * establishments/{id}/reviews) but have their own limits: at most
+ * MAX_PHOTOS_PER_REVIEW per review and REVIEW_PHOTO_MAX_SIZE per file.
+ *
+ * Photos are deleted together with their review, and only photos of
+ * published reviews appear in the establishment's visitor gallery.
+ */
+
+import fs from 'fs/promises';
+import * as ReviewPhotoModel from '../models/reviewPhotoModel.js';
+import * as ReviewModel from '../models/reviewModel.js';
+import * as CloudinaryUtil from '../config/cloudinary.js';
+import { AppError } from '../middleware/errorHandler.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Maximum number of photos per review
+ */
+export const MAX_PHOTOS_PER_REVIEW = 5;
+
+/**
+ * Maximum size of one review photo (5MB)
+ */
+export const REVIEW_PHOTO_MAX_SIZE = 5 * 1024 * 1024;
+
+/**
+ * Remove the temporary files of an upload
+ *
+ * @param {Array<Object>} files - Uploaded files (from multer)
+ */
+const removeTempFiles = async (files) => {
+  await Promise.all(files
+    .filter(file => file.path)
+    .map(file => fs.unlink(file.path).catch(() => {})));
+};
+
+/**
+ * Remove a photo file from Cloudinary
+ *
+ * Errors are logged; the record is removed regardless so the photo
+ * disappears for users.
+ *
+ * @param {Object} photo - Photo with id and public_id
+ */
+const deleteCloudinaryFile = async (photo) => {
+  try {
+    await CloudinaryUtil.deleteImage(photo.public_id);
+  } catch (error) {
+    logger.error('Failed to delete review photo from Cloudinary', {
+      error: error.message,
+      photoId: photo.id,
+      publicId: photo.public_id,
+    });
+  }
+};
+
+/**
+ * Load a review its author may change
+ *
+ * @param {string} reviewId - UUID of the review
+ * @param {string} userId - UUID of the authenticated user
+ * @returns {Promise<Object>} Review
+ * @throws {AppError} If the review is not found or belongs to someone else
+ */
+const getOwnReview = async (reviewId, userId) => {
+  const review = await ReviewModel.findReviewById(reviewId);
+
+  if (!review || review.is_deleted) {
+    throw new AppError('Review not found', 404, 'REVIEW_NOT_FOUND');
+  }
+
+  if (review.user_id !== userId) {
+    throw new AppError(
+      'You can only change photos of your own reviews',
+      403,
+      'UNAUTHORIZED_REVIEW_PHOTO'
+    );
+  }
+
+  return review;
+};
+
+/**
+ * Attach photos to a review
+ *
+ * All files are validated before any is uploaded, so an invalid file
+ * rejects the whole request.
+ *
+ * @param {string} reviewId - UUID of the review
+ * @param {string} userId - UUID of the review author
+ * @param {Array<Object>} files - Uploaded files (from multer)
+ * @returns {Promise<Array>} All photos of the review after the upload
+ * @throws {AppError} If not the author, over the limit or a file is invalid
+ */
+export const uploadPhotos = async (reviewId, userId, files) => {
+  try {
+    const review = await getOwnReview(reviewId, userId);
+    const existingPhotos = await ReviewPhotoModel.findPhotosByReview(reviewId);
+
+    if (existingPhotos.length + files.length > MAX_PHOTOS_PER_REVIEW) {
+      throw new AppError(
+        `A review can have up to ${MAX_PHOTOS_PER_REVIEW} photos. This review has ${existingPhotos.length}.`,
+        422,
+        'PHOTO_LIMIT_EXCEEDED'
+      );
+    }
+
+    for (const file of files) {
+      if (!CloudinaryUtil.isValidImageType(file.mimetype)) {
+        throw new AppError(
+          'Invalid file type. Accepted formats: JPEG, PNG, WebP, HEIC',
+          422,
+          'INVALID_FILE_TYPE'
+        );
+      }
+
+      if (!CloudinaryUtil.isValidImageSize(file.size, REVIEW_PHOTO_MAX_SIZE)) {
+        throw new AppError(
+          'File size exceeds 5MB limit',
+          422,
+          'FILE_TOO_LARGE'
+        );
+      }
+    }
+
+    let position = existingPhotos.length;
+
+    // Sequential uploads keep positions in the order the files were sent
+    for (const file of files) {
+      const uploadResult = await CloudinaryUtil.uploadImage(
+        file.path,
+        review.establishment_id,
+        'reviews'
+      );
+      const urls = CloudinaryUtil.generateAllResolutions(uploadResult.public_id);
+
+      await ReviewPhotoModel.createPhoto({
+        review_id: reviewId,
+        establishment_id: review.establishment_id,
+        user_id: userId,
+        public_id: uploadResult.public_id,
+        url: urls.url,
+        preview_url: urls.preview_url,
+        thumbnail_url: urls.thumbnail_url,
+        position,
+      });
+
+      position++;
+    }
+
+    logger.info('Review photos uploaded', {
+      reviewId,
+      userId,
+      count: files.length,
+    });
+
+    return ReviewPhotoModel.findPhotosByReview(reviewId);
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error uploading review photos', {
+      error: error.message,
+      reviewId,
+      userId,
+    });
+
+    throw new AppError(
+      'Failed to upload photos',
+      500,
+      'PHOTO_UPLOAD_FAILED'
+    );
+  } finally {
+    await removeTempFiles(files);
+  }
+};
+
+/**
+ * Delete a photo of a review
+ *
+ * @param {string} reviewId - UUID of the review
+ * @param {string} photoId - UUID of the photo
+ * @param {string} userId - UUID of the review author
+ * @returns {Promise<Object>} Confirmation message
+ * @throws {AppError} If not the author or the photo is not one of the review's
+ */
+export const deletePhoto = async (reviewId, photoId, userId) => {
+  try {
+    await getOwnReview(reviewId, userId);
+    const photo = await ReviewPhotoModel.findPhotoById(photoId);
+
+    if (!photo || photo.review_id !== reviewId) {
+      throw new AppError('Photo not found', 404, 'PHOTO_NOT_FOUND');
+    }
+
+    await deleteCloudinaryFile(photo);
+    await ReviewPhotoModel.deletePhoto(photoId);
+
+    logger.info('Review photo deleted', {
+      photoId,
+      reviewId,
+      userId,
+    });
+
+    return { message: 'Photo deleted successfully' };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error deleting review photo', {
+      error: error.message,
+      photoId,
+      reviewId,
+    });
+
+    throw new AppError(
+      'Failed to delete photo',
+      500,
+      'PHOTO_DELETE_FAILED'
+    );
+  }
+};
+
+/**
+ * Delete all photos of a review
+ *
+ * Called when the review is deleted. Errors are logged and never fail the
+ * review deletion.
+ *
+ * @param {string} reviewId - UUID of the review
+ * @returns {Promise<number>} Number of photos deleted
+ */
+export const deleteReviewPhotos = async (reviewId) => {
+  try {
+    const photos = await ReviewPhotoModel.deletePhotosByReview(reviewId);
+
+    await Promise.all(photos.map(deleteCloudinaryFile));
+
+    if (photos.length > 0) {
+      logger.info('Photos of deleted review removed', {
+        reviewId,
+        count: photos.length,
+      });
+    }
+
+    return photos.length;
+  } catch (error) {
+    logger.warn('Failed to delete photos of review', {
+      error: error.message,
+      reviewId,
+    });
+    return 0;
+  }
+};
+
+/**
+ * Get the visitor gallery of an establishment
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {Object} options - Query options
+ * @param {number} options.page - Page number (default: 1)
+ * @param {number} options.limit - Results per page (default: 20, max: 50)
+ * @returns {Promise<Object>} { photos, meta }
+ * @throws {AppError} If the establishment does not exist
+ */
+export const getVisitorPhotos = async (establishmentId, { page = 1, limit = 20 } = {}) => {
+  try {
+    const establishmentExists = await ReviewModel.establishmentExists(establishmentId);
+    if (!establishmentExists) {
+      throw new AppError('Establishment not found', 404, 'ESTABLISHMENT_NOT_FOUND');
+    }
+
+    const effectiveLimit = Math.min(limit, 50);
+    const offset = (page - 1) * effectiveLimit;
+
+    const [photos, total] = await Promise.all([
+      ReviewPhotoModel.getEstablishmentPhotos(establishmentId, { limit: effectiveLimit, offset }),
+      ReviewPhotoModel.countEstablishmentPhotos(establishmentId),
+    ]);
+
+    return {
+      photos,
+      meta: {
+        total,
+        page,
+        limit: effectiveLimit,
+        pages: Math.ceil(total / effectiveLimit),
+      },
+    };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error fetching visitor photos', {
+      error: error.message,
+      establishmentId,
+    });
+
+    throw new AppError(
+      'Failed to fetch photos',
+      500,
+      'PHOTOS_FETCH_FAILED'
+    );
+  }
+};
@@ -0,0 +1,343 @@
+/**
+ * Review Reply Service
+ *
+ * This service lets an establishment answer its reviews. Each review gets
+ * at most one public reply, written and edited by the partner or a team
+ * member with the reply permission (see utils/teamPermissions.js). The
+ * reviewer is notified when a reply is first posted.
+ *
+ * Replies have their own moderation state, independent of the review:
+ *   published --hide--> hidden --restore--> published
+ * Only published replies are shown under reviews. Hiding requires a
+ * reason, which the partner sees on the reply.
+ */
+
+import * as ReviewReplyModel from '../models/reviewReplyModel.js';
+import * as ReviewModel from '../models/reviewModel.js';
+import * as EstablishmentModel from '../models/establishmentModel.js';
+import * as NotificationService from './notificationService.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { TEAM_PERMISSIONS } from '../utils/teamPermissions.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Allowed reply moderation transitions
+ */
+export const REPLY_TRANSITIONS = {
+  hide: { from: 'published', to: 'hidden', reasonRequired: true },
+  restore: { from: 'hidden', to: 'published', reasonRequired: false },
+};
+
+/**
+ * Reply statuses that can be listed
+ */
+export const REPLY_STATUSES = ['published', 'hidden'];
+
+/**
+ * Load a review of an establishment the user may reply for
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {string} reviewId - UUID of the review
+ * @param {string} userId - UUID of the partner or team member
+ * @returns {Promise<Object>} Review
+ * @throws {AppError} If access is denied or the review is not one of the establishment's
+ */
+const getReplyableReview = async (establishmentId, reviewId, userId) => {
+  const isOwner = await EstablishmentModel.checkOwnership(
+    establishmentId,
+    userId,
+    TEAM_PERMISSIONS.reply
+  );
+  if (!isOwner) {
+    throw new AppError(
+      'Establishment not found or access denied',
+      404,
+      'ESTABLISHMENT_NOT_FOUND'
+    );
+  }
+
+  const review = await ReviewModel.findReviewById(reviewId);
+
+  if (!review || review.is_deleted || review.establishment_id !== establishmentId) {
+    throw new AppError('Review not found', 404, 'REVIEW_NOT_FOUND');
+  }
+
+  return review;
+};
+
+/**
+ * Post or edit the reply to a review
+ *
+ * The first call creates the reply and notifies the reviewer; later calls
+ * replace its text. Editing keeps the moderation state, so a hidden reply
+ * stays hidden until an admin restores it.
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {string} reviewId - UUID of the review
+ * @param {string} userId - UUID of the partner or team member
+ * @param {string} content - Reply text
+ * @returns {Promise<Object>} { reply, created }
+ * @throws {AppError} If access is denied or the review is not found
+ */
+export const saveReply = async (establishmentId, reviewId, userId, content) => {
+  try {
+    const review = await getReplyableReview(establishmentId, reviewId, userId);
+    const existingReply = await ReviewReplyModel.findReplyByReviewId(reviewId);
+
+    if (existingReply) {
+      const reply = await ReviewReplyModel.updateReply(existingReply.id, content, userId);
+
+      logger.info('Review reply updated', {
+        replyId: existingReply.id,
+        reviewId,
+        userId,
+      });
+
+      return { reply, created: false };
+    }
+
+    const reply = await ReviewReplyModel.createReply({
+      review_id: reviewId,
+      establishment_id: establishmentId,
+      author_id: userId,
+      content,
+    });
+
+    const establishment = await EstablishmentModel.findEstablishmentById(establishmentId, true);
+    await NotificationService.notify(review.user_id, 'review_reply', {
+      review_id: reviewId,
+      reply_id: reply.id,
+      establishment_id: establishmentId,
+      establishment_name: establishment?.name || null,
+    });
+
+    logger.info('Review reply posted', {
+      replyId: reply.id,
+      reviewId,
+      establishmentId,
+      userId,
+    });
+
+    return { reply, created: true };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    // Another team member replied between the check and the insert
+    if (error.code === '23505') {
+      throw new AppError(
+        'This review already has a reply. Please refresh and edit it instead.',
+        409,
+        'REPLY_ALREADY_EXISTS'
+      );
+    }
+
+    logger.error('Error saving review reply', {
+      error: error.message,
+      reviewId,
+      establishmentId,
+      userId,
+    });
+
+    throw new AppError(
+      'Failed to save reply',
+      500,
+      'REPLY_SAVE_FAILED'
+    );
+  }
+};
+
+/**
+ * Delete the reply to a review
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {string} reviewId - UUID of the review
+ * @param {string} userId - UUID of the partner or team member
+ * @returns {Promise<Object>} Confirmation message
+ * @throws {AppError} If access is denied or there is no reply
+ */
+export const deleteReply = async (establishmentId, reviewId, userId) => {
+  try {
+    await getReplyableReview(establishmentId, reviewId, userId);
+    const reply = await ReviewReplyModel.findReplyByReviewId(reviewId);
+
+    if (!reply || !(await ReviewReplyModel.deleteReply(reply.id))) {
+      throw new AppError('Reply not found', 404, 'REPLY_NOT_FOUND');
+    }
+
+    logger.info('Review reply deleted', {
+      replyId: reply.id,
+      reviewId,
+      userId,
+    });
+
+    return { message: 'Reply deleted successfully' };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error deleting review reply', {
+      error: error.message,
+      reviewId,
+      establishmentId,
+      userId,
+    });
+
+    throw new AppError(
+      'Failed to delete reply',
+      500,
+      'REPLY_DELETE_FAILED'
+    );
+  }
+};
+
+/**
+ * List replies for moderators, newest first
+ *
+ * @param {Object} filters - List filters
+ * @param {string} filters.status - Reply status (default: 'published')
+ * @param {number} filters.page - Page number (default: 1)
+ * @param {number} filters.limit - Results per page (default: 20, max: 50)
+ * @returns {Promise<Object>} { replies, meta }
+ */
+export const getRepliesForModeration = async ({ status = 'published', page = 1, limit = 20 } = {}) => {
+  try {
+    if (!REPLY_STATUSES.includes(status)) {
+      throw new AppError(
+        `Invalid status. Must be one of: ${REPLY_STATUSES.join(', ')}`,
+        422,
+        'VALIDATION_ERROR'
+      );
+    }
+
+    const effectiveLimit = Math.min(limit, 50);
+    const offset = (page - 1) * effectiveLimit;
+
+    const [replies, total] = await Promise.all([
+      ReviewReplyModel.listReplies({ status, limit: effectiveLimit, offset }),
+      ReviewReplyModel.countReplies(status),
+    ]);
+
+    return {
+      replies,
+      meta: {
+        total,
+        page,
+        limit: effectiveLimit,
+        pages: Math.ceil(total / effectiveLimit),
+      },
+    };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error fetching review replies for moderation', {
+      error: error.message,
+      status,
+    });
+
+    throw new AppError(
+      'Failed to fetch replies',
+      500,
+      'REPLIES_FETCH_FAILED'
+    );
+  }
+};
+
+/**
+ * Apply a moderation transition to a reply
+ *
+ * @param {string} action - Key of REPLY_TRANSITIONS
+ * @param {string} replyId - UUID of the reply
+ * @param {string} adminId - UUID of the acting admin
+ * @param {string} reason - Reason shown to the partner (required to hide)
+ * @returns {Promise<Object>} Updated reply
+ * @throws {AppError} If not found, reason missing or transition not allowed
+ */
+const applyReplyTransition = async (action, replyId, adminId, reason) => {
+  const transition = REPLY_TRANSITIONS[action];
+  const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+
+  try {
+    if (transition.reasonRequired && !trimmedReason) {
+      throw new AppError(
+        `A reason is required to ${action} a reply`,
+        422,
+        'REASON_REQUIRED'
+      );
+    }
+
+    const reply = await ReviewReplyModel.findReplyById(replyId);
+
+    if (!reply) {
+      throw new AppError('Reply not found', 404, 'REPLY_NOT_FOUND');
+    }
+
+    const updated = reply.status === transition.from
+      ? await ReviewReplyModel.setReplyStatus(replyId, {
+        fromStatus: transition.from,
+        toStatus: transition.to,
+        adminId,
+        reason: trimmedReason || null,
+      })
+      : null;
+
+    // Either not in the expected state or changed by another moderator
+    if (!updated) {
+      throw new AppError(
+        `Cannot ${action} a reply that is not ${transition.from}`,
+        409,
+        'INVALID_STATUS_TRANSITION'
+      );
+    }
+
+    logger.info('Review reply moderation action applied', {
+      action,
+      replyId,
+      adminId,
+    });
+
+    return updated;
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error moderating review reply', {
+      error: error.message,
+      action,
+      replyId,
+      adminId,
+    });
+
+    throw new AppError(
+      'Failed to update reply status',
+      500,
+      'MODERATION_ACTION_FAILED'
+    );
+  }
+};
+
+/**
+ * Hide a published reply
+ *
+ * @param {string} replyId - UUID of the reply
+ * @param {string} adminId - UUID of the acting admin
+ * @param {string} reason - Required explanation for the partner
+ * @returns {Promise<Object>} Hidden reply
+ */
+export const hideReply = (replyId, adminId, reason) =>
+  applyReplyTransition('hide', replyId, adminId, reason);
+
+/**
+ * Publish a hidden reply again
+ *
+ * @param {string} replyId - UUID of the reply
+ * @param {string} adminId - UUID of the acting admin
+ * @returns {Promise<Object>} Published reply
+ */
+export const restoreReply = (replyId, adminId) =>
+  applyReplyTransition('restore', replyId, adminId, null);
@@ -0,0 +1,344 @@
+/**
+ * Review Report Service
+ *
+ * This service lets users report reviews and admins moderate them.
+ *
+ * A user reports a published review once, with one of REPORT_REASONS. When
+ * a review collects REVIEW_REPORT_THRESHOLD open reports it is hidden
+ * automatically until an admin decides:
+ *   published --reports--> pending
+ *   published|pending --hide--> hidden
+ *   pending|hidden --restore--> published
+ * Hiding and restoring resolve the open reports, so a restored review is
+ * only hidden again by new reports. Admins can also delete a review
+ * permanently.
+ *
+ * Only published reviews count toward the establishment aggregates, which
+ * are recalculated after every change of state.
+ */
+
+import * as ReviewReportModel from '../models/reviewReportModel.js';
+import * as ReviewModel from '../models/reviewModel.js';
+import * as ReviewPhotoService from './reviewPhotoService.js';
+import { AppError } from '../middleware/errorHandler.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Reasons a review can be reported for
+ */
+export const REPORT_REASONS = ['spam', 'offensive', 'not_a_real_visit', 'conflict_of_interest'];
+
+/**
+ * Review moderation statuses that can be listed
+ */
+export const REVIEW_MODERATION_STATUSES = ['pending', 'hidden', 'published'];
+
+/**
+ * Allowed admin transitions
+ */
+export const REVIEW_TRANSITIONS = {
+  hide: { from: ['published', 'pending'], to: 'hidden', reasonRequired: true },
+  restore: { from: ['pending', 'hidden'], to: 'published', reasonRequired: false },
+};
+
+/**
+ * Open reports that hide a review, from REVIEW_REPORT_THRESHOLD
+ *
+ * @returns {number} At least 1, 3 when unset or invalid
+ */
+export const getReportThreshold = () => {
+  const threshold = parseInt(process.env.REVIEW_REPORT_THRESHOLD || '3', 10);
+
+  if (Number.isNaN(threshold)) {
+    return 3;
+  }
+
+  return Math.max(threshold, 1);
+};
+
+/**
+ * Report a review
+ *
+ * @param {string} reviewId - UUID of the review
+ * @param {string} userId - UUID of the reporting user
+ * @param {Object} report - Report data
+ * @param {string} report.reason - One of REPORT_REASONS
+ * @param {string} [report.comment] - Optional explanation for moderators
+ * @returns {Promise<Object>} Created report
+ * @throws {AppError} If the review is not public, is the user's own or was already reported
+ */
+export const reportReview = async (reviewId, userId, { reason, comment = null }) => {
+  try {
+    const review = await ReviewModel.findReviewById(reviewId);
+
+    if (!review || review.is_deleted || review.moderation_status !== 'published') {
+      throw new AppError('Review not found', 404, 'REVIEW_NOT_FOUND');
+    }
+
+    if (review.user_id === userId) {
+      throw new AppError(
+        'You cannot report your own review',
+        403,
+        'CANNOT_REPORT_OWN_REVIEW'
+      );
+    }
+
+    const report = await ReviewReportModel.createReport({
+      review_id: reviewId,
+      user_id: userId,
+      reason,
+      comment: comment?.trim() || null,
+    });
+
+    const openReports = await ReviewReportModel.countOpenReports(reviewId);
+
+    if (openReports >= getReportThreshold()) {
+      const hidden = await ReviewReportModel.setReviewModerationStatus(reviewId, {
+        fromStatuses: ['published'],
+        toStatus: 'pending',
+        adminId: null,
+        reason: `Hidden automatically after ${openReports} reports`,
+      });
+
+      // Null when another report already hid it
+      if (hidden) {
+        await ReviewModel.updateEstablishmentAggregates(review.establishment_id);
+
+        logger.warn('Review hidden pending moderation', {
+          reviewId,
+          establishmentId: review.establishment_id,
+          openReports,
+        });
+      }
+    }
+
+    return report;
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    if (error.code === '23505') {
+      throw new AppError(
+        'You have already reported this review',
+        409,
+        'ALREADY_REPORTED'
+      );
+    }
+
+    logger.error('Error reporting review', {
+      error: error.message,
+      reviewId,
+      userId,
+    });
+
+    throw new AppError(
+      'Failed to report review',
+      500,
+      'REVIEW_REPORT_FAILED'
+    );
+  }
+};
+
+/**
+ * List reviews for moderators
+ *
+ * 'pending' lists auto-hidden reviews, 'hidden' reviews hidden by an admin
+ * and 'published' public reviews that have open reports.
+ *
+ * @param {Object} filters - List filters
+ * @param {string} filters.status - One of REVIEW_MODERATION_STATUSES (default: 'pending')
+ * @param {number} filters.page - Page number (default: 1)
+ * @param {number} filters.limit - Results per page (default: 20, max: 50)
+ * @returns {Promise<Object>} { reviews, meta }
+ */
+export const getReviewsForModeration = async ({ status = 'pending', page = 1, limit = 20 } = {}) => {
+  try {
+    if (!REVIEW_MODERATION_STATUSES.includes(status)) {
+      throw new AppError(
+        `Invalid status. Must be one of: ${REVIEW_MODERATION_STATUSES.join(', ')}`,
+        422,
+        'VALIDATION_ERROR'
+      );
+    }
+
+    const effectiveLimit = Math.min(limit, 50);
+    const offset = (page - 1) * effectiveLimit;
+
+    const [reviews, total] = await Promise.all([
+      ReviewReportModel.listReviewsForModeration({ status, limit: effectiveLimit, offset }),
+      ReviewReportModel.countReviewsForModeration(status),
+    ]);
+
+    return {
+      reviews,
+      meta: {
+        total,
+        page,
+        limit: effectiveLimit,
+        pages: Math.ceil(total / effectiveLimit),
+      },
+    };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error fetching reviews for moderation', {
+      error: error.message,
+      status,
+    });
+
+    throw new AppError(
+      'Failed to fetch reviews',
+      500,
+      'REVIEWS_FETCH_FAILED'
+    );
+  }
+};
+
+/**
+ * Apply an admin transition to a review
+ *
+ * @param {string} action - Key of REVIEW_TRANSITIONS
+ * @param {string} reviewId - UUID of the review
+ * @param {string} adminId - UUID of the acting admin
+ * @param {string} reason - Moderation reason (required to hide)
+ * @returns {Promise<Object>} Updated review
+ * @throws {AppError} If not found, reason missing or transition not allowed
+ */
+const applyReviewTransition = async (action, reviewId, adminId, reason) => {
+  const transition = REVIEW_TRANSITIONS[action];
+  const trimmedReason = typeof reason === 'string' ? reason.trim() : '';
+
+  try {
+    if (transition.reasonRequired && !trimmedReason) {
+      throw new AppError(
+        `A reason is required to ${action} a review`,
+        422,
+        'REASON_REQUIRED'
+      );
+    }
+
+    const review = await ReviewModel.findReviewById(reviewId);
+
+    if (!review || review.is_deleted) {
+      throw new AppError('Review not found', 404, 'REVIEW_NOT_FOUND');
+    }
+
+    const updated = transition.from.includes(review.moderation_status)
+      ? await ReviewReportModel.setReviewModerationStatus(reviewId, {
+        fromStatuses: transition.from,
+        toStatus: transition.to,
+        adminId,
+        reason: trimmedReason || null,
+        resolveReports: true,
+      })
+      : null;
+
+    // Either not in an expected state or changed by another moderator
+    if (!updated) {
+      throw new AppError(
+        `Cannot ${action} a review that is ${review.moderation_status}`,
+        409,
+        'INVALID_STATUS_TRANSITION'
+      );
+    }
+
+    await ReviewModel.updateEstablishmentAggregates(updated.establishment_id);
+
+    logger.info('Review moderation action applied', {
+      action,
+      reviewId,
+      adminId,
+    });
+
+    return updated;
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error moderating review', {
+      error: error.message,
+      action,
+      reviewId,
+      adminId,
+    });
+
+    throw new AppError(
+      'Failed to update review status',
+      500,
+      'MODERATION_ACTION_FAILED'
+    );
+  }
+};
+
+/**
+ * Hide a published or auto-hidden review
+ *
+ * @param {string} reviewId - UUID of the review
+ * @param {string} adminId - UUID of the acting admin
+ * @param {string} reason - Required moderation reason
+ * @returns {Promise<Object>} Hidden review
+ */
+export const hideReview = (reviewId, adminId, reason) =>
+  applyReviewTransition('hide', reviewId, adminId, reason);
+
+/**
+ * Publish an auto-hidden or hidden review again
+ *
+ * @param {string} reviewId - UUID of the review
+ * @param {string} adminId - UUID of the acting admin
+ * @returns {Promise<Object>} Published review
+ */
+export const restoreReview = (reviewId, adminId) =>
+  applyReviewTransition('restore', reviewId, adminId, null);
+
+/**
+ * Permanently delete a review with its reports, reply and photos
+ *
+ * @param {string} reviewId - UUID of the review
+ * @param {string} adminId - UUID of the acting admin
+ * @returns {Promise<Object>} Confirmation message
+ * @throws {AppError} If the review does not exist
+ */
+export const deleteReview = async (reviewId, adminId) => {
+  try {
+    const review = await ReviewModel.findReviewById(reviewId);
+
+    if (!review) {
+      throw new AppError('Review not found', 404, 'REVIEW_NOT_FOUND');
+    }
+
+    // Photo rows go with the review; their Cloudinary files are removed first
+    await ReviewPhotoService.deleteReviewPhotos(reviewId);
+    await ReviewModel.hardDeleteReview(reviewId);
+
+    await ReviewModel.updateEstablishmentAggregates(review.establishment_id);
+
+    logger.warn('Review deleted by moderator', {
+      reviewId,
+      establishmentId: review.establishment_id,
+      adminId,
+    });
+
+    return { message: 'Review deleted permanently' };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error deleting review as moderator', {
+      error: error.message,
+      reviewId,
+      adminId,
+    });
+
+    throw new AppError(
+      'Failed to delete review',
+      500,
+      'REVIEW_DELETION_FAILED'
+    );
+  }
+};
@@ -11,15 +11,43 @@
  */
 
 import * as ReviewModel from '../models/reviewModel.js';
+import * as ReviewPhotoService from './reviewPhotoService.js';
 import { AppError } from '../middleware/errorHandler.js';
 import logger from '../utils/logger.js';
 import { incrementWithExpiry, getCounter } from '../config/redis.js';
+import { SUB_RATINGS } from '../utils/subRatings.js';
 
 // Rate limiting configuration for review creation
 // Directive specifies 10 reviews per day per user as reasonable limit
 const RATE_LIMIT_MAX_REVIEWS = 10;
 const RATE_LIMIT_WINDOW_SECONDS = 86400; // 24 hours
 
+/**
+ * Sub-rating columns of a review (food_rating, ...)
+ *
+ * @param {Object} review - Review row or review data
+ * @returns {Object} The sub-ratings present in review; null when not rated
+ */
+const pickSubRatings = (review) => Object.fromEntries(SUB_RATINGS
+  .filter(({ column }) => review[column] !== undefined)
+  .map(({ column }) => [column, review[column]]));
+
+/**
+ * Published reply of the establishment nested in a review
+ *
+ * @param {Object} review - Review row with reply_* columns
+ * @returns {Object|null} Reply or null if the establishment has not replied
+ */
+const formatReply = (review) => (review.reply_id
+  ? {
+    id: review.reply_id,
+    content: review.reply_content,
+    is_edited: review.reply_is_edited,
+    created_at: review.reply_created_at,
+    updated_at: review.reply_updated_at,
+  }
+  : null);
+
 /**
  * Create a new review for an establishment
  * 
@@ -39,6 +67,8 @@ const RATE_LIMIT_WINDOW_SECONDS = 86400; // 24 hours
  * @param {string} reviewData.establishment_id - UUID of establishment being reviewed
  * @param {number} reviewData.rating - Rating from 1 to 5
  * @param {string} reviewData.content - Review text content
+ * @param {number} [reviewData.food_rating] - Optional 1-5 rating, same for
+ *   service_rating, atmosphere_rating and value_rating
  * @returns {Promise<Object>} Created review with author information
  * @throws {AppError} If validation fails or rate limit exceeded
  */
@@ -97,6 +127,7 @@ export const createReview = async (reviewData) => {
       establishment_id,
       rating,
       content,
+      ...pickSubRatings(reviewData),
     });
 
     // Update establishment aggregate statistics synchronously
@@ -164,6 +195,8 @@ export const createReview = async (reviewData) => {
 /**
  * Get a specific review by ID
  * 
+ * Reviews hidden by moderation (see reviewReportService.js) are not found.
+ * 
  * @param {string} reviewId - UUID of the review to retrieve
  * @returns {Promise<Object>} Review object with author and establishment information
  * @throws {AppError} If review not found
@@ -171,7 +204,7 @@ export const createReview = async (reviewData) => {
 export const getReviewById = async (reviewId) => {
   const review = await ReviewModel.findReviewById(reviewId);
   
-  if (!review) {
+  if (!review || review.moderation_status !== 'published') {
     throw new AppError('Review not found', 404, 'REVIEW_NOT_FOUND');
   }
 
@@ -185,8 +218,9 @@ export const getReviewById = async (reviewId) => {
  * @param {Object} options - Query options
  * @param {number} options.page - Page number (1-indexed)
  * @param {number} options.limit - Results per page
- * @param {string} options.sort - Sort order: 'newest', 'highest', 'lowest'
- * @returns {Promise<Object>} Object with reviews array and pagination metadata
+ * @param {string} options.sort - Sort order: 'newest', 'highest', 'lowest', 'most_helpful'
+ * @returns {Promise<Object>} Object with reviews array (each with its photos
+ *   and the establishment's published reply or null) and pagination metadata
  * @throws {AppError} If establishment not found
  */
 export const getEstablishmentReviews = async (establishmentId, options = {}) => {
@@ -206,7 +240,7 @@ export const getEstablishmentReviews = async (establishmentId, options = {}) =>
   const offset = (page - 1) * limit;
 
   // Validate sort parameter
-  const validSortOrders = ['newest', 'highest', 'lowest'];
+  const validSortOrders = ['newest', 'highest', 'lowest', 'most_helpful'];
   const sortBy = validSortOrders.includes(sort) ? sort : 'newest';
 
   // Fetch reviews and total count
@@ -229,7 +263,10 @@ export const getEstablishmentReviews = async (establishmentId, options = {}) =>
     id: review.id,
     establishment_id: review.establishment_id,
     rating: review.rating,
+    ...pickSubRatings(review),
     content: review.content,
+    helpful_count: review.helpful_count,
+    not_helpful_count: review.not_helpful_count,
     is_edited: review.is_edited,
     created_at: review.created_at,
     updated_at: review.updated_at,
@@ -238,6 +275,8 @@ export const getEstablishmentReviews = async (establishmentId, options = {}) =>
       name: review.author_name,
       avatar_url: review.author_avatar,
     },
+    photos: review.photos,
+    reply: formatReply(review),
   }));
 
   return {
@@ -260,7 +299,8 @@ export const getEstablishmentReviews = async (establishmentId, options = {}) =>
  * @param {Object} options - Query options
  * @param {number} options.page - Page number (1-indexed)
  * @param {number} options.limit - Results per page
- * @returns {Promise<Object>} Object with reviews array and pagination metadata
+ * @returns {Promise<Object>} Object with reviews array (each with its photos
+ *   and the establishment's published reply or null) and pagination metadata
  * @throws {AppError} If user not found
  */
 export const getUserReviews = async (userId, options = {}) => {
@@ -294,7 +334,10 @@ export const getUserReviews = async (userId, options = {}) => {
     id: review.id,
     establishment_id: review.establishment_id,
     rating: review.rating,
+    ...pickSubRatings(review),
     content: review.content,
+    helpful_count: review.helpful_count,
+    not_helpful_count: review.not_helpful_count,
     is_edited: review.is_edited,
     created_at: review.created_at,
     updated_at: review.updated_at,
@@ -304,6 +347,8 @@ export const getUserReviews = async (userId, options = {}) => {
       city: review.establishment_city,
       category: review.establishment_category,
     },
+    photos: review.photos,
+    reply: formatReply(review),
   }));
 
   return {
@@ -322,9 +367,10 @@ export const getUserReviews = async (userId, options = {}) => {
 /**
  * Update an existing review
  * 
- * This operation allows the review author to modify rating and/or content.
- * The updated_at timestamp is automatically updated and is_edited flag is set.
- * If rating changes, establishment aggregate statistics are recalculated.
+ * This operation allows the review author to modify rating, sub-ratings
+ * and/or content. The updated_at timestamp is automatically updated and
+ * is_edited flag is set. If a rating or sub-rating changes, establishment
+ * aggregate statistics are recalculated.
  * 
  * Authorization note: The controller must verify that the authenticated user
  * is the review author before calling this service method. This service focuses
@@ -335,14 +381,18 @@ export const getUserReviews = async (userId, options = {}) => {
  * @param {Object} updates - Fields to update
  * @param {number} [updates.rating] - New rating (optional)
  * @param {string} [updates.content] - New content (optional)
+ * @param {number|null} [updates.food_rating] - New food rating, null clears it
+ *   (optional; same for service_rating, atmosphere_rating and value_rating)
  * @returns {Promise<Object>} Updated review object
  * @throws {AppError} If review not found, user unauthorized, or no fields provided
  */
 export const updateReview = async (reviewId, userId, updates) => {
+  const subRatingUpdates = SUB_RATINGS.filter(({ column }) => updates[column] !== undefined);
+
   // Verify at least one field is being updated
-  if (!updates.rating && !updates.content) {
+  if (!updates.rating && !updates.content && subRatingUpdates.length === 0) {
     throw new AppError(
-      'At least one field (rating or content) must be provided for update',
+      'At least one field (rating, sub-rating or content) must be provided for update',
       400,
       'NO_UPDATE_FIELDS'
     );
@@ -363,8 +413,9 @@ export const updateReview = async (reviewId, userId, updates) => {
     );
   }
 
-  // Determine if rating is changing (affects whether we need to update aggregates)
-  const ratingChanged = updates.rating !== undefined && updates.rating !== currentReview.rating;
+  // Determine if any rating is changing (affects whether we need to update aggregates)
+  const ratingChanged = (updates.rating !== undefined && updates.rating !== currentReview.rating)
+    || subRatingUpdates.some(({ column }) => updates[column] !== currentReview[column]);
 
   try {
     // Update the review
@@ -468,6 +519,9 @@ export const deleteReview = async (reviewId, userId) => {
     // This ensures the deleted review no longer counts toward ratings
     await ReviewModel.updateEstablishmentAggregates(currentReview.establishment_id);
 
+    // Photos are removed with the review
+    await ReviewPhotoService.deleteReviewPhotos(reviewId);
+
     logger.info('Review deleted successfully', {
       reviewId,
       userId,
@@ -0,0 +1,227 @@
+/**
+ * Review Vote Service
+ *
+ * This service lets users mark published reviews as helpful or not helpful.
+ * A user has one vote per review, which they can change or remove, and
+ * never votes on their own review.
+ *
+ * Counters are persisted on the review in the vote transaction (see
+ * reviewVoteModel.js) and kept in Redis under reviews:votes:{id} for
+ * reads. Postgres is the source of truth: every commit drops the key
+ * instead of writing counters to it, since writes from concurrent votes
+ * could land in Redis out of commit order. The next read rebuilds the key
+ * from the review row.
+ *
+ * Reviews are ranked by these counters with sort=most_helpful (see
+ * ReviewModel.findReviewsByEstablishment).
+ */
+
+import * as ReviewVoteModel from '../models/reviewVoteModel.js';
+import * as ReviewModel from '../models/reviewModel.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { getCachedHash, setCachedHash, deleteCachedValue } from '../config/redis.js';
+import logger from '../utils/logger.js';
+
+// Counters expire so rarely read reviews do not stay in Redis
+const VOTE_COUNTS_TTL_SECONDS = 86400;
+
+/**
+ * Redis key of the vote counters of a review
+ *
+ * @param {string} reviewId - UUID of the review
+ * @returns {string} Redis key
+ */
+const getVoteCountsKey = (reviewId) => `reviews:votes:${reviewId}`;
+
+/**
+ * Store vote counters read from the review row in Redis
+ *
+ * @param {string} reviewId - UUID of the review
+ * @param {Object} counts - Row with helpful_count and not_helpful_count
+ * @returns {Promise<Object>} { helpful_count, not_helpful_count }
+ */
+const cacheVoteCounts = async (reviewId, counts) => {
+  const voteCounts = {
+    helpful_count: counts.helpful_count,
+    not_helpful_count: counts.not_helpful_count,
+  };
+
+  await setCachedHash(getVoteCountsKey(reviewId), voteCounts, VOTE_COUNTS_TTL_SECONDS);
+
+  return voteCounts;
+};
+
+/**
+ * Read vote counters from Redis
+ *
+ * @param {string} reviewId - UUID of the review
+ * @returns {Promise<Object|null>} { helpful_count, not_helpful_count } or null on a miss
+ */
+const getCachedVoteCounts = async (reviewId) => {
+  const cached = await getCachedHash(getVoteCountsKey(reviewId));
+
+  if (!cached || cached.helpful_count === undefined || cached.not_helpful_count === undefined) {
+    return null;
+  }
+
+  return {
+    helpful_count: parseInt(cached.helpful_count, 10),
+    not_helpful_count: parseInt(cached.not_helpful_count, 10),
+  };
+};
+
+/**
+ * Load a review that can be voted on
+ *
+ * @param {string} reviewId - UUID of the review
+ * @returns {Promise<Object>} Review
+ * @throws {AppError} If the review is not public
+ */
+const getPublishedReview = async (reviewId) => {
+  const review = await ReviewModel.findReviewById(reviewId);
+
+  if (!review || review.is_deleted || review.moderation_status !== 'published') {
+    throw new AppError('Review not found', 404, 'REVIEW_NOT_FOUND');
+  }
+
+  return review;
+};
+
+/**
+ * Vote on a review
+ *
+ * @param {string} reviewId - UUID of the review
+ * @param {string} userId - UUID of the voting user
+ * @param {boolean} helpful - True for helpful, false for not helpful
+ * @returns {Promise<Object>} { vote, helpful_count, not_helpful_count }
+ * @throws {AppError} If the review is not public or is the user's own
+ */
+export const voteReview = async (reviewId, userId, helpful) => {
+  try {
+    const review = await getPublishedReview(reviewId);
+
+    if (review.user_id === userId) {
+      throw new AppError(
+        'You cannot vote on your own review',
+        403,
+        'CANNOT_VOTE_OWN_REVIEW'
+      );
+    }
+
+    const result = await ReviewVoteModel.setVote(reviewId, userId, helpful);
+    await deleteCachedValue(getVoteCountsKey(reviewId));
+
+    return {
+      vote: helpful ? 'helpful' : 'not_helpful',
+      helpful_count: result.helpful_count,
+      not_helpful_count: result.not_helpful_count,
+    };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    if (error.code === '23505') {
+      throw new AppError(
+        'Your vote is already being recorded',
+        409,
+        'VOTE_CONFLICT'
+      );
+    }
+
+    logger.error('Error voting on review', {
+      error: error.message,
+      reviewId,
+      userId,
+    });
+
+    throw new AppError(
+      'Failed to record vote',
+      500,
+      'REVIEW_VOTE_FAILED'
+    );
+  }
+};
+
+/**
+ * Remove the user's vote from a review
+ *
+ * @param {string} reviewId - UUID of the review
+ * @param {string} userId - UUID of the user
+ * @returns {Promise<Object>} { vote: null, helpful_count, not_helpful_count }
+ * @throws {AppError} If the review is not public or the user has not voted
+ */
+export const removeVote = async (reviewId, userId) => {
+  try {
+    await getPublishedReview(reviewId);
+
+    const result = await ReviewVoteModel.deleteVote(reviewId, userId);
+
+    if (!result) {
+      throw new AppError('You have not voted on this review', 404, 'VOTE_NOT_FOUND');
+    }
+
+    await deleteCachedValue(getVoteCountsKey(reviewId));
+
+    return {
+      vote: null,
+      helpful_count: result.helpful_count,
+      not_helpful_count: result.not_helpful_count,
+    };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error removing review vote', {
+      error: error.message,
+      reviewId,
+      userId,
+    });
+
+    throw new AppError(
+      'Failed to remove vote',
+      500,
+      'REVIEW_VOTE_FAILED'
+    );
+  }
+};
+
+/**
+ * Get the vote counters of a review and the viewer's vote
+ *
+ * @param {string} reviewId - UUID of the review
+ * @param {string|null} userId - UUID of the viewer if authenticated
+ * @returns {Promise<Object>} { helpful_count, not_helpful_count, my_vote },
+ *   my_vote being 'helpful', 'not_helpful' or null
+ * @throws {AppError} If the review is not public
+ */
+export const getReviewVotes = async (reviewId, userId = null) => {
+  try {
+    const review = await getPublishedReview(reviewId);
+
+    const counts = (await getCachedVoteCounts(reviewId)) || (await cacheVoteCounts(reviewId, review));
+
+    const myVote = userId ? await ReviewVoteModel.findVote(reviewId, userId) : null;
+
+    return {
+      ...counts,
+      my_vote: myVote === null ? null : (myVote ? 'helpful' : 'not_helpful'),
+    };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error fetching review votes', {
+      error: error.message,
+      reviewId,
+    });
+
+    throw new AppError(
+      'Failed to fetch votes',
+      500,
+      'REVIEW_VOTES_FETCH_FAILED'
+    );
+  }
+};
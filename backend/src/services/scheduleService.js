@@ -0,0 +1,611 @@
+/**
+ * Schedule Service
+ *
+ * This service implements typed schedule exceptions on top of the weekly
+ * working_hours: the national holiday calendar of Belarus (managed by
+ * admins) and date-ranged exceptions of an establishment.
+ *
+ * Exception types:
+ * - holiday: the establishment's own schedule for a holiday; closed
+ *   without hours. Replaces the national calendar on those dates.
+ * - closure: temporarily closed, e.g. for renovation. Search treats the
+ *   establishment as closed for the whole range.
+ * - short_day: shortened hours.
+ *
+ * National holidays apply to every establishment unless the partner opts
+ * out (observes_public_holidays) or sets an own exception for the date.
+ * Precedence is resolved in SQL, see migration 020.
+ *
+ * Like menu edits, exceptions apply immediately without a moderation
+ * revision. Team members need the 'edit' permission to change them.
+ */
+
+import * as ScheduleModel from '../models/scheduleModel.js';
+import * as EstablishmentModel from '../models/establishmentModel.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { TEAM_PERMISSIONS } from '../utils/teamPermissions.js';
+import { parseDayRange, getLocalDate, addDays } from '../utils/workingHours.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Exception types of an establishment
+ */
+export const EXCEPTION_TYPES = ['holiday', 'closure', 'short_day'];
+
+/**
+ * Types of national calendar entries
+ */
+export const PUBLIC_HOLIDAY_TYPES = ['holiday', 'short_day'];
+
+/**
+ * Longest date range of a single exception
+ */
+const MAX_EXCEPTION_DAYS = 366;
+
+/**
+ * How far ahead the partner view lists national holidays
+ */
+const PUBLIC_HOLIDAY_LOOKAHEAD_DAYS = 365;
+
+/**
+ * Verify the user may work with the schedule of an establishment
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {string} userId - UUID of the partner or team member
+ * @param {string[]} roles - Team roles allowed for the action
+ * @throws {AppError} 404 if the establishment is not found or not accessible
+ */
+const assertScheduleAccess = async (establishmentId, userId, roles) => {
+  const hasAccess = await EstablishmentModel.checkOwnership(establishmentId, userId, roles);
+
+  if (!hasAccess) {
+    throw new AppError(
+      'Establishment not found or access denied',
+      404,
+      'ESTABLISHMENT_NOT_FOUND'
+    );
+  }
+};
+
+/**
+ * Normalize and check a day's hours
+ *
+ * @param {Object|null|undefined} hours - { open, close } or null
+ * @returns {Object|null|undefined} { open, close } with trimmed values
+ * @throws {AppError} 422 if the times are malformed
+ */
+const normalizeHours = (hours) => {
+  if (hours === undefined || hours === null) {
+    return hours;
+  }
+
+  if (typeof hours !== 'object' || !parseDayRange(hours)) {
+    throw new AppError(
+      'Hours must be an object with open and close times in HH:MM format',
+      422,
+      'INVALID_HOURS'
+    );
+  }
+
+  return { open: hours.open.trim(), close: hours.close.trim() };
+};
+
+/**
+ * Count the days of an inclusive date range
+ *
+ * @param {string} startDate - YYYY-MM-DD
+ * @param {string} endDate - YYYY-MM-DD
+ * @returns {number} Number of days (0 or less when the range is reversed)
+ */
+const countDays = (startDate, endDate) => {
+  const msPerDay = 24 * 60 * 60 * 1000;
+  return Math.round((Date.parse(endDate) - Date.parse(startDate)) / msPerDay) + 1;
+};
+
+/**
+ * Check an exception after applying changes
+ *
+ * @param {Object} exception - Complete exception (type, dates, hours)
+ * @throws {AppError} 422 if type, dates or hours don't fit together
+ */
+const validateException = (exception) => {
+  const { type, start_date, end_date, hours } = exception;
+
+  if (!EXCEPTION_TYPES.includes(type)) {
+    throw new AppError(
+      `Type must be one of: ${EXCEPTION_TYPES.join(', ')}`,
+      422,
+      'INVALID_EXCEPTION_TYPE'
+    );
+  }
+
+  const days = countDays(start_date, end_date);
+  if (days < 1 || days > MAX_EXCEPTION_DAYS) {
+    throw new AppError(
+      `End date must be on or after the start date and the range must not exceed ${MAX_EXCEPTION_DAYS} days`,
+      422,
+      'INVALID_DATE_RANGE'
+    );
+  }
+
+  if (end_date < getLocalDate()) {
+    throw new AppError(
+      'Exception must not end in the past',
+      422,
+      'INVALID_DATE_RANGE'
+    );
+  }
+
+  if (type === 'closure' && hours) {
+    throw new AppError(
+      'A temporary closure cannot have opening hours',
+      422,
+      'INVALID_HOURS'
+    );
+  }
+
+  if (type === 'short_day' && !hours) {
+    throw new AppError(
+      'A shortened day requires opening hours',
+      422,
+      'INVALID_HOURS'
+    );
+  }
+};
+
+/**
+ * Reject ranges overlapping another exception of the establishment
+ *
+ * @throws {AppError} 409 if another exception covers one of the dates
+ */
+const assertNoOverlap = async (establishmentId, startDate, endDate, excludeId = null) => {
+  const overlaps = await ScheduleModel.hasOverlappingException(
+    establishmentId,
+    startDate,
+    endDate,
+    excludeId
+  );
+
+  if (overlaps) {
+    throw new AppError(
+      'Another schedule exception already covers some of these dates',
+      409,
+      'SCHEDULE_EXCEPTION_OVERLAP'
+    );
+  }
+};
+
+/**
+ * Get the exceptions of an establishment for the partner interface
+ *
+ * Lists current and future exceptions, whether the establishment observes
+ * the national calendar and national holidays of the coming year with the
+ * ID of the own exception replacing each (overridden_by).
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {string} userId - UUID of the partner or team member
+ * @returns {Promise<Object>} { observes_public_holidays, exceptions, public_holidays }
+ * @throws {AppError} 404 if the establishment is not found or not accessible
+ */
+export const getSchedule = async (establishmentId, userId) => {
+  try {
+    await assertScheduleAccess(establishmentId, userId, TEAM_PERMISSIONS.view);
+
+    const today = getLocalDate();
+    const [establishment, exceptions, holidays] = await Promise.all([
+      EstablishmentModel.findEstablishmentById(establishmentId),
+      ScheduleModel.listExceptions(establishmentId, today),
+      ScheduleModel.listPublicHolidays(today, addDays(today, PUBLIC_HOLIDAY_LOOKAHEAD_DAYS)),
+    ]);
+
+    const publicHolidays = holidays.map(holiday => {
+      const override = exceptions.find(exception =>
+        exception.start_date <= holiday.date && holiday.date <= exception.end_date
+      );
+      return { ...holiday, overridden_by: override ? override.id : null };
+    });
+
+    return {
+      observes_public_holidays: establishment.observes_public_holidays !== false,
+      exceptions,
+      public_holidays: publicHolidays,
+    };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error fetching schedule exceptions', {
+      error: error.message,
+      establishmentId,
+      userId,
+    });
+
+    throw new AppError(
+      'Failed to fetch schedule exceptions',
+      500,
+      'SCHEDULE_FETCH_FAILED'
+    );
+  }
+};
+
+/**
+ * Create a schedule exception
+ *
+ * Business rules:
+ * - type is holiday, closure or short_day
+ * - end_date defaults to start_date, must not be in the past and the range
+ *   must not exceed MAX_EXCEPTION_DAYS
+ * - closure has no hours, short_day requires hours, holiday without hours
+ *   means closed
+ * - Exceptions of one establishment must not overlap
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {string} userId - UUID of the partner or team member
+ * @param {Object} data - { type, start_date, end_date, hours, note }
+ * @returns {Promise<Object>} Created exception
+ * @throws {AppError} If access is denied or the exception is invalid
+ */
+export const createException = async (establishmentId, userId, data) => {
+  try {
+    await assertScheduleAccess(establishmentId, userId, TEAM_PERMISSIONS.edit);
+
+    const exception = {
+      type: data.type,
+      start_date: data.start_date,
+      end_date: data.end_date || data.start_date,
+      hours: normalizeHours(data.hours) || null,
+      note: data.note,
+    };
+    validateException(exception);
+    await assertNoOverlap(establishmentId, exception.start_date, exception.end_date);
+
+    return await ScheduleModel.createException({
+      ...exception,
+      establishment_id: establishmentId,
+      created_by: userId,
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error creating schedule exception', {
+      error: error.message,
+      establishmentId,
+      userId,
+    });
+
+    throw new AppError(
+      'Failed to create schedule exception',
+      500,
+      'SCHEDULE_UPDATE_FAILED'
+    );
+  }
+};
+
+/**
+ * Update a schedule exception
+ *
+ * The same rules as createException apply to the exception after the
+ * changes; changing a closure into another type requires hours where that
+ * type needs them.
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {string} exceptionId - UUID of the exception
+ * @param {string} userId - UUID of the partner or team member
+ * @param {Object} updates - Any of type, start_date, end_date, hours, note
+ * @returns {Promise<Object>} Updated exception
+ * @throws {AppError} If not found, access is denied or the result is invalid
+ */
+export const updateException = async (establishmentId, exceptionId, userId, updates) => {
+  try {
+    await assertScheduleAccess(establishmentId, userId, TEAM_PERMISSIONS.edit);
+
+    const current = await ScheduleModel.findException(exceptionId, establishmentId);
+    if (!current) {
+      throw new AppError(
+        'Schedule exception not found',
+        404,
+        'SCHEDULE_EXCEPTION_NOT_FOUND'
+      );
+    }
+
+    const changes = {
+      type: updates.type,
+      start_date: updates.start_date,
+      end_date: updates.end_date,
+      hours: normalizeHours(updates.hours),
+      note: updates.note,
+    };
+    const merged = Object.entries(changes).reduce((exception, [field, value]) => {
+      if (value !== undefined) {
+        exception[field] = value;
+      }
+      return exception;
+    }, { ...current });
+
+    // A closure drops hours left over from the previous type
+    if (merged.type === 'closure' && changes.hours === undefined) {
+      merged.hours = null;
+      changes.hours = current.hours === null ? undefined : null;
+    }
+
+    validateException(merged);
+    await assertNoOverlap(establishmentId, merged.start_date, merged.end_date, exceptionId);
+
+    return await ScheduleModel.updateException(exceptionId, establishmentId, changes);
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error updating schedule exception', {
+      error: error.message,
+      establishmentId,
+      exceptionId,
+    });
+
+    throw new AppError(
+      'Failed to update schedule exception',
+      500,
+      'SCHEDULE_UPDATE_FAILED'
+    );
+  }
+};
+
+/**
+ * Delete a schedule exception
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {string} exceptionId - UUID of the exception
+ * @param {string} userId - UUID of the partner or team member
+ * @returns {Promise<Object>} Deleted exception
+ * @throws {AppError} If not found or access is denied
+ */
+export const deleteException = async (establishmentId, exceptionId, userId) => {
+  try {
+    await assertScheduleAccess(establishmentId, userId, TEAM_PERMISSIONS.edit);
+
+    const deleted = await ScheduleModel.deleteException(exceptionId, establishmentId);
+    if (!deleted) {
+      throw new AppError(
+        'Schedule exception not found',
+        404,
+        'SCHEDULE_EXCEPTION_NOT_FOUND'
+      );
+    }
+
+    return deleted;
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error deleting schedule exception', {
+      error: error.message,
+      establishmentId,
+      exceptionId,
+    });
+
+    throw new AppError(
+      'Failed to delete schedule exception',
+      500,
+      'SCHEDULE_UPDATE_FAILED'
+    );
+  }
+};
+
+/**
+ * Opt an establishment in or out of the national holiday calendar
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {string} userId - UUID of the partner or team member
+ * @param {boolean} observe - Whether national holidays apply
+ * @returns {Promise<Object>} { observes_public_holidays }
+ * @throws {AppError} If access is denied
+ */
+export const setPublicHolidayObservance = async (establishmentId, userId, observe) => {
+  try {
+    await assertScheduleAccess(establishmentId, userId, TEAM_PERMISSIONS.edit);
+
+    await ScheduleModel.setObservesPublicHolidays(establishmentId, observe);
+
+    return { observes_public_holidays: observe };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error changing public holiday observance', {
+      error: error.message,
+      establishmentId,
+    });
+
+    throw new AppError(
+      'Failed to update public holiday settings',
+      500,
+      'SCHEDULE_UPDATE_FAILED'
+    );
+  }
+};
+
+/**
+ * List the national holiday calendar of a year
+ *
+ * @param {number} year - Calendar year
+ * @returns {Promise<Array>} Holidays ordered by date
+ */
+export const getPublicHolidays = async (year) => {
+  try {
+    return await ScheduleModel.listPublicHolidays(`${year}-01-01`, `${year}-12-31`);
+  } catch (error) {
+    logger.error('Error fetching public holidays', {
+      error: error.message,
+      year,
+    });
+
+    throw new AppError(
+      'Failed to fetch public holidays',
+      500,
+      'HOLIDAY_FETCH_FAILED'
+    );
+  }
+};
+
+/**
+ * Check a national calendar entry
+ *
+ * @param {Object} holiday - { type, hours }
+ * @throws {AppError} 422 if type and hours don't fit together
+ */
+const validatePublicHoliday = ({ type, hours }) => {
+  if (!PUBLIC_HOLIDAY_TYPES.includes(type)) {
+    throw new AppError(
+      `Type must be one of: ${PUBLIC_HOLIDAY_TYPES.join(', ')}`,
+      422,
+      'INVALID_EXCEPTION_TYPE'
+    );
+  }
+
+  if (type === 'short_day' && !hours) {
+    throw new AppError(
+      'A shortened day requires opening hours',
+      422,
+      'INVALID_HOURS'
+    );
+  }
+};
+
+/**
+ * Add a date to the national holiday calendar
+ *
+ * @param {Object} data - { date, name, type (default 'holiday'), hours }
+ * @returns {Promise<Object>} Created holiday
+ * @throws {AppError} 409 if the date is already in the calendar
+ */
+export const createPublicHoliday = async (data) => {
+  try {
+    const holiday = {
+      date: data.date,
+      name: data.name,
+      type: data.type || 'holiday',
+      hours: normalizeHours(data.hours) || null,
+    };
+    validatePublicHoliday(holiday);
+
+    return await ScheduleModel.createPublicHoliday(holiday);
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    if (error.code === '23505') {
+      throw new AppError(
+        'This date is already in the holiday calendar',
+        409,
+        'HOLIDAY_DATE_EXISTS'
+      );
+    }
+
+    logger.error('Error creating public holiday', {
+      error: error.message,
+      date: data.date,
+    });
+
+    throw new AppError(
+      'Failed to create public holiday',
+      500,
+      'HOLIDAY_UPDATE_FAILED'
+    );
+  }
+};
+
+/**
+ * Update a national holiday
+ *
+ * @param {string} holidayId - UUID of the holiday
+ * @param {Object} updates - Any of date, name, type, hours
+ * @returns {Promise<Object>} Updated holiday
+ * @throws {AppError} If not found, invalid or the new date is taken
+ */
+export const updatePublicHoliday = async (holidayId, updates) => {
+  try {
+    const current = await ScheduleModel.findPublicHoliday(holidayId);
+    if (!current) {
+      throw new AppError(
+        'Public holiday not found',
+        404,
+        'HOLIDAY_NOT_FOUND'
+      );
+    }
+
+    const changes = { ...updates, hours: normalizeHours(updates.hours) };
+    validatePublicHoliday({
+      type: changes.type || current.type,
+      hours: changes.hours !== undefined ? changes.hours : current.hours,
+    });
+
+    return await ScheduleModel.updatePublicHoliday(holidayId, changes);
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    if (error.code === '23505') {
+      throw new AppError(
+        'This date is already in the holiday calendar',
+        409,
+        'HOLIDAY_DATE_EXISTS'
+      );
+    }
+
+    logger.error('Error updating public holiday', {
+      error: error.message,
+      holidayId,
+    });
+
+    throw new AppError(
+      'Failed to update public holiday',
+      500,
+      'HOLIDAY_UPDATE_FAILED'
+    );
+  }
+};
+
+/**
+ * Remove a date from the national holiday calendar
+ *
+ * @param {string} holidayId - UUID of the holiday
+ * @returns {Promise<Object>} Deleted holiday
+ * @throws {AppError} 404 if not found
+ */
+export const deletePublicHoliday = async (holidayId) => {
+  try {
+    const deleted = await ScheduleModel.deletePublicHoliday(holidayId);
+    if (!deleted) {
+      throw new AppError(
+        'Public holiday not found',
+        404,
+        'HOLIDAY_NOT_FOUND'
+      );
+    }
+
+    return deleted;
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error deleting public holiday', {
+      error: error.message,
+      holidayId,
+    });
+
+    throw new AppError(
+      'Failed to delete public holiday',
+      500,
+      'HOLIDAY_UPDATE_FAILED'
+    );
+  }
+};
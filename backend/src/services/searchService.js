@@ -3,10 +3,475 @@
  *
  * Handles geospatial search and discovery using PostGIS.
  * Implements radius-based and bounds-based search with filtering.
+ *
+ * Spatial predicates run against the indexed establishments.location
+ * geography column (ST_DWithin for radius, && for bounds). The column is
+ * kept in sync with latitude/longitude by establishmentModel.
  */
 
 import pool from '../config/database.js';
 import { AppError } from '../middleware/errorHandler.js';
+import { resolveOpenStatus, getScheduleWindow } from '../utils/workingHours.js';
+import { buildTextQuery, MAX_QUERY_LENGTH, latinToCyrillic, cyrillicToLatin } from '../utils/textSearch.js';
+import { getCachedValue, setCachedValue } from '../config/redis.js';
+import { VALID_CATEGORIES, VALID_CUISINES, VALID_CITIES, VALID_FEATURES } from './establishmentService.js';
+import { SUB_RATINGS, formatSubRatingAverages } from '../utils/subRatings.js';
+
+// Order of cursor pages; must match the (distance_km, id) keyset tuple.
+// Offset pages keep SORT_ORDERS.distance, whose rating tie-breakers a
+// cursor could not resume from.
+const KEYSET_ORDER = 'ne.distance_km ASC, ne.id ASC';
+
+export const VALID_PAGINATION_MODES = ['offset', 'cursor'];
+
+/**
+ * Sort orders for radius search
+ *
+ * Every order ends with a deterministic tie-breaker so pages do not overlap.
+ * relevance_score is computed in the outer query (see buildRelevanceScore).
+ */
+const SORT_ORDERS = {
+  distance: 'ne.distance_km ASC, ne.average_rating DESC, ne.review_count DESC, ne.id ASC',
+  rating: 'ne.average_rating DESC NULLS LAST, ne.review_count DESC, ne.distance_km ASC, ne.id ASC',
+  review_count: 'ne.review_count DESC, ne.average_rating DESC NULLS LAST, ne.distance_km ASC, ne.id ASC',
+  price_asc: 'ne.average_check_byn ASC NULLS LAST, ne.distance_km ASC, ne.id ASC',
+  price_desc: 'ne.average_check_byn DESC NULLS LAST, ne.distance_km ASC, ne.id ASC',
+  newest: 'ne.created_at DESC, ne.id ASC',
+  relevance: 'relevance_score DESC, ne.distance_km ASC, ne.id ASC',
+};
+
+export const VALID_SORT_OPTIONS = Object.keys(SORT_ORDERS);
+
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Relevance: Bayesian rating confidence blended with exponential distance decay.
+// Few reviews pull the rating towards the prior, so a 5.0 from two reviews
+// does not outrank a 4.7 from two hundred.
+const RELEVANCE_PRIOR_RATING = 3.5;
+const RELEVANCE_PRIOR_REVIEWS = 10;
+const RELEVANCE_DECAY_KM = 3;
+const RATING_WEIGHT = 0.5;
+const DISTANCE_WEIGHT = 0.5;
+
+// Share of text match in relevance when a free-text query is present
+const TEXT_RELEVANCE_WEIGHT = 0.7;
+
+// Matching dishes listed per result with the dish filter
+const MATCHED_DISHES_LIMIT = 3;
+
+const HEADLINE_NAME_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, HighlightAll=true';
+const HEADLINE_DESCRIPTION_OPTIONS = 'StartSel=<mark>, StopSel=</mark>, MaxWords=25, MinWords=10, MaxFragments=2';
+
+// Map clustering: zoom levels up to CLUSTER_MAX_ZOOM return grid clusters,
+// higher zooms return individual establishments. Cell size follows the web
+// map tile grid (360 / 2^zoom degrees per tile) split into CLUSTER_CELLS_PER_TILE.
+const CLUSTER_MAX_ZOOM = 14;
+const CLUSTER_CELLS_PER_TILE = 4;
+const MAX_ZOOM = 22;
+
+// City browse: distance reference when the user shares no location
+const CITY_CENTROIDS = {
+  Минск: { latitude: 53.9006, longitude: 27.559 },
+  Гродно: { latitude: 53.6694, longitude: 23.8131 },
+  Брест: { latitude: 52.0976, longitude: 23.7341 },
+  Гомель: { latitude: 52.4345, longitude: 30.9754 },
+  Витебск: { latitude: 55.1904, longitude: 30.2049 },
+  Могилев: { latitude: 53.9007, longitude: 30.3313 },
+  Бобруйск: { latitude: 53.1384, longitude: 29.2214 },
+};
+
+// Popularity = reviews + favorites, see searchByCity
+const CITY_SORT_ORDERS = {
+  popularity: 'popularity DESC, e.average_rating DESC NULLS LAST, e.id ASC',
+  rating: 'e.average_rating DESC NULLS LAST, e.review_count DESC, e.id ASC',
+  distance: 'distance_km ASC, e.id ASC',
+  relevance: 'text_rank DESC, popularity DESC, e.id ASC',
+};
+
+export const VALID_CITY_SORT_OPTIONS = Object.keys(CITY_SORT_ORDERS);
+
+const MAX_DISTRICT_LENGTH = 100;
+
+// Suggestions are cached per prefix and ~1km grid cell of the user location
+const SUGGEST_CACHE_TTL_SECONDS = 300;
+const SUGGEST_LOCATION_PRECISION = 2;
+const SUGGEST_MAX_STATIC_PER_TYPE = 3;
+
+/**
+ * Validate free-text query and build its SQL fragments
+ *
+ * Matches search_vector (Russian stemming + simple dictionary, see migration 010)
+ * or trigram similarity on name for typos. Both the original text and its
+ * Latin/Cyrillic transliteration are tried.
+ *
+ * @param {string} q - Raw user query
+ * @param {number} paramIndex - Next free query parameter index
+ * @returns {Object|null} { condition, rank, tsquery, params } or null if q is empty
+ */
+function buildTextSearchClause(q, paramIndex) {
+  if (q == null || String(q).trim() === '') {
+    return null;
+  }
+
+  if (String(q).length > MAX_QUERY_LENGTH) {
+    throw new AppError(`Search query must not exceed ${MAX_QUERY_LENGTH} characters`, 422, 'VALIDATION_ERROR');
+  }
+
+  const textQuery = buildTextQuery(String(q));
+  if (!textQuery) {
+    throw new AppError('Search query must contain letters or digits', 422, 'VALIDATION_ERROR');
+  }
+
+  const tsquery = `(to_tsquery('russian', $${paramIndex}) || to_tsquery('simple', $${paramIndex}))`;
+  const phrase = `$${paramIndex + 1}`;
+  const altPhrase = `$${paramIndex + 2}`;
+
+  return {
+    condition: `(e.search_vector @@ ${tsquery} OR e.name % ${phrase} OR e.name % ${altPhrase})`,
+    rank: `GREATEST(ts_rank_cd(e.search_vector, ${tsquery}, 32), similarity(e.name, ${phrase}), similarity(e.name, ${altPhrase}))`,
+    tsquery,
+    params: [textQuery.tsquery, textQuery.phrase, textQuery.altPhrase],
+  };
+}
+
+/**
+ * Validate dish query and build its SQL fragments
+ *
+ * Matches available menu items (migration 018) the same way q matches
+ * establishments: stemmed search_vector or trigram similarity on the dish
+ * name, in both alphabets. An establishment matches when any of its items
+ * does.
+ *
+ * @param {string} dish - Raw dish query, e.g. "драники"
+ * @param {number} paramIndex - Next free query parameter index
+ * @returns {Object|null} { condition, itemCondition, itemRank, params } or null if dish is empty.
+ *   itemCondition and itemRank refer to menu_items as mi
+ */
+function buildDishSearchClause(dish, paramIndex) {
+  if (dish == null || String(dish).trim() === '') {
+    return null;
+  }
+
+  if (String(dish).length > MAX_QUERY_LENGTH) {
+    throw new AppError(`dish must not exceed ${MAX_QUERY_LENGTH} characters`, 422, 'VALIDATION_ERROR');
+  }
+
+  const textQuery = buildTextQuery(String(dish));
+  if (!textQuery) {
+    throw new AppError('dish must contain letters or digits', 422, 'VALIDATION_ERROR');
+  }
+
+  const tsquery = `(to_tsquery('russian', $${paramIndex}) || to_tsquery('simple', $${paramIndex}))`;
+  const phrase = `$${paramIndex + 1}`;
+  const altPhrase = `$${paramIndex + 2}`;
+  const itemCondition = `mi.is_available = true
+        AND (mi.search_vector @@ ${tsquery} OR mi.name % ${phrase} OR mi.name % ${altPhrase})`;
+
+  return {
+    condition: `EXISTS (
+      SELECT 1 FROM menu_items mi
+      WHERE mi.establishment_id = e.id
+        AND ${itemCondition}
+    )`,
+    itemCondition,
+    itemRank: `GREATEST(ts_rank_cd(mi.search_vector, ${tsquery}, 32), similarity(mi.name, ${phrase}), similarity(mi.name, ${altPhrase}))`,
+    params: [textQuery.tsquery, textQuery.phrase, textQuery.altPhrase],
+  };
+}
+
+/**
+ * Validate average check and feature filters and build their SQL conditions
+ *
+ * Features must all be present in attributes.features. Containment (@>)
+ * is served by the GIN index on attributes (see migration 012). Rows
+ * without attributes.features are matched on the features column, the
+ * same fallback getFeatures uses for the response.
+ *
+ * @param {Object} filters
+ * @param {number} filters.minCheck - Minimum average check in BYN
+ * @param {number} filters.maxCheck - Maximum average check in BYN
+ * @param {string[]} filters.features - Required features
+ * @param {number} paramIndex - Next free query parameter index
+ * @returns {Object} { conditions, params }
+ */
+function buildAttributeFilters({ minCheck, maxCheck, features }, paramIndex) {
+  const conditions = [];
+  const params = [];
+
+  for (const [name, value] of [['min_check', minCheck], ['max_check', maxCheck]]) {
+    if (value != null && (!Number.isFinite(value) || value < 0)) {
+      throw new AppError(`${name} must be a non-negative number`, 422, 'VALIDATION_ERROR');
+    }
+  }
+
+  if (minCheck != null && maxCheck != null && minCheck > maxCheck) {
+    throw new AppError('min_check must not exceed max_check', 422, 'VALIDATION_ERROR');
+  }
+
+  if (features && features.length > 0) {
+    const invalidFeatures = features.filter(feature => !VALID_FEATURES.includes(feature));
+    if (invalidFeatures.length > 0) {
+      throw new AppError(
+        `Invalid features: ${invalidFeatures.join(', ')}. Valid options: ${VALID_FEATURES.join(', ')}`,
+        422,
+        'VALIDATION_ERROR'
+      );
+    }
+  }
+
+  // Establishments without an average check never match a check filter
+  if (minCheck != null) {
+    conditions.push(`e.average_check_byn >= $${paramIndex + params.length}`);
+    params.push(minCheck);
+  }
+
+  if (maxCheck != null) {
+    conditions.push(`e.average_check_byn <= $${paramIndex + params.length}`);
+    params.push(maxCheck);
+  }
+
+  if (features && features.length > 0) {
+    const uniqueFeatures = [...new Set(features)];
+    const attributesParam = paramIndex + params.length;
+    conditions.push(`(e.attributes @> $${attributesParam}::jsonb OR (jsonb_typeof(e.attributes->'features') IS DISTINCT FROM 'array' AND e.features @> $${attributesParam + 1}::text[]))`);
+    params.push(JSON.stringify({ features: uniqueFeatures }), uniqueFeatures);
+  }
+
+  return { conditions, params };
+}
+
+/**
+ * Build WHERE conditions for the filters shared by all search endpoints
+ *
+ * @param {Object} filters - categories, cuisines, priceRange, minRating,
+ *   minSubRatings, openAt, minCheck, maxCheck, features, organizationId, dish
+ *   and q (see searchByRadius)
+ * @param {number} paramIndex - Next free query parameter index
+ * @returns {Object} { conditions, params, textSearch, dishSearch }
+ */
+function buildFilterConditions({
+  categories,
+  cuisines,
+  priceRange,
+  minRating,
+  minSubRatings,
+  openAt,
+  minCheck,
+  maxCheck,
+  features,
+  organizationId,
+  dish,
+  q,
+}, paramIndex) {
+  const conditions = [];
+  const params = [];
+  const next = () => paramIndex + params.length;
+
+  // Add organization (chain) filter
+  if (organizationId) {
+    if (!UUID_PATTERN.test(organizationId)) {
+      throw new AppError('organization_id must be a valid UUID', 422, 'VALIDATION_ERROR');
+    }
+    conditions.push(`e.organization_id = $${next()}::uuid`);
+    params.push(organizationId);
+  }
+
+  // Add category filter
+  if (categories && categories.length > 0) {
+    conditions.push(`e.categories && $${next()}::varchar[]`);
+    params.push(categories);
+  }
+
+  // Add cuisine filter
+  if (cuisines && cuisines.length > 0) {
+    conditions.push(`e.cuisines && $${next()}::varchar[]`);
+    params.push(cuisines);
+  }
+
+  // Add price range filter
+  if (priceRange) {
+    conditions.push(`e.price_range = $${next()}`);
+    params.push(priceRange);
+  }
+
+  // Add rating filter
+  if (minRating) {
+    conditions.push(`e.average_rating >= $${next()}`);
+    params.push(minRating);
+  }
+
+  // Add sub-rating filters (migration 025); unrated dimensions never match
+  for (const { dimension, average } of SUB_RATINGS) {
+    if (minSubRatings && minSubRatings[dimension]) {
+      conditions.push(`e.${average} >= $${next()}`);
+      params.push(minSubRatings[dimension]);
+    }
+  }
+
+  // Add open-at-moment filter (schedule resolved in Europe/Minsk, see migration 009);
+  // holidays and temporary closures count as closed (migration 020)
+  if (openAt) {
+    conditions.push(`establishment_is_open_with_exceptions(e.id, e.working_hours, e.special_hours, e.is_24_hours, e.observes_public_holidays, $${next()})`);
+    params.push(openAt);
+  }
+
+  // Add average check and features filters
+  const attributeFilters = buildAttributeFilters({ minCheck, maxCheck, features }, next());
+  conditions.push(...attributeFilters.conditions);
+  params.push(...attributeFilters.params);
+
+  // Add dish filter (structured menu items)
+  const dishSearch = buildDishSearchClause(dish, next());
+  if (dishSearch) {
+    conditions.push(dishSearch.condition);
+    params.push(...dishSearch.params);
+  }
+
+  // Add full-text filter (name, description, categories, cuisines)
+  const textSearch = buildTextSearchClause(q, next());
+  if (textSearch) {
+    conditions.push(textSearch.condition);
+    params.push(...textSearch.params);
+  }
+
+  return { conditions, params, textSearch, dishSearch };
+}
+
+/**
+ * Select the holiday and closure overrides of each result
+ *
+ * resolveOpenStatus uses the schedule_overrides column instead of the raw
+ * special_hours. The window dates come from getScheduleWindow, so they are
+ * inlined instead of taking parameters shared with the count queries.
+ *
+ * @param {string} alias - Table alias of the establishment row
+ * @param {Date} at - Moment the open state is resolved for
+ * @returns {string} Column expression aliased schedule_overrides
+ */
+function buildScheduleOverridesColumn(alias, at) {
+  const { from, to } = getScheduleWindow(at);
+  return `establishment_schedule_overrides(${alias}.id, ${alias}.observes_public_holidays, ${alias}.special_hours, '${from}'::date, '${to}'::date) AS schedule_overrides`;
+}
+
+/**
+ * Read the features list of an establishment
+ *
+ * Partners write features to attributes.features (see establishmentService);
+ * the features column from migration 004 is used as a fallback.
+ *
+ * @param {Object} row - Database row
+ * @returns {string[]} Features, empty when none are stored
+ */
+function getFeatures(row) {
+  const features = row.attributes && row.attributes.features;
+  if (Array.isArray(features)) {
+    return features;
+  }
+  return Array.isArray(row.features) ? row.features : [];
+}
+
+/**
+ * Encode a keyset position into an opaque cursor
+ *
+ * @param {number|string} distanceKm - Distance of the last returned row
+ * @param {string} id - UUID of the last returned row
+ * @returns {string} Base64url-encoded cursor
+ */
+function encodeCursor(distanceKm, id) {
+  return Buffer.from(JSON.stringify({ d: parseFloat(distanceKm), i: id })).toString('base64url');
+}
+
+/**
+ * Decode an opaque cursor back into a keyset position
+ *
+ * @param {string} cursor - Cursor from a previous response
+ * @returns {Object} { distance, id }
+ * @throws {AppError} 422 if the cursor is malformed
+ */
+function decodeCursor(cursor) {
+  try {
+    const { d, i } = JSON.parse(Buffer.from(String(cursor), 'base64url').toString('utf8'));
+    if (typeof d === 'number' && Number.isFinite(d) && typeof i === 'string' && UUID_PATTERN.test(i)) {
+      return { distance: d, id: i };
+    }
+  } catch (error) {
+    // Fall through to validation error
+  }
+
+  throw new AppError('Invalid pagination cursor', 422, 'VALIDATION_ERROR');
+}
+
+/**
+ * Build SQL expression for the weighted relevance score
+ *
+ * Range is 0..1. With a free-text query the text rank dominates and the
+ * rating/distance blend breaks ties between similar matches.
+ *
+ * @param {boolean} withText - Whether ne.text_rank is available
+ * @returns {string} SQL expression over the nearby_establishments CTE
+ */
+function buildRelevanceScore(withText) {
+  const ratingConfidence = `(
+        (COALESCE(ne.review_count, 0) * COALESCE(ne.average_rating, 0) + ${RELEVANCE_PRIOR_REVIEWS * RELEVANCE_PRIOR_RATING})
+        / (COALESCE(ne.review_count, 0) + ${RELEVANCE_PRIOR_REVIEWS}) / 5.0
+      )`;
+  const distanceDecay = `EXP(-ne.distance_km / ${RELEVANCE_DECAY_KM})`;
+  const base = `(${RATING_WEIGHT} * ${ratingConfidence} + ${DISTANCE_WEIGHT} * ${distanceDecay})`;
+
+  return withText
+    ? `(${TEXT_RELEVANCE_WEIGHT} * ne.text_rank + ${1 - TEXT_RELEVANCE_WEIGHT} * ${base})`
+    : base;
+}
+
+/**
+ * Replace raw full-text columns with response fields
+ *
+ * @param {Object} row - Database row
+ * @returns {Object} Row without search_vector and schedule_overrides,
+ *   with highlights when present
+ */
+function formatTextMatch(row) {
+  const formatted = { ...row };
+  delete formatted.search_vector;
+  delete formatted.schedule_overrides;
+
+  if ('name_highlight' in row) {
+    formatted.highlights = {
+      name: row.name_highlight,
+      description: row.description_highlight || null,
+    };
+    formatted.text_rank = parseFloat(row.text_rank);
+    delete formatted.name_highlight;
+    delete formatted.description_highlight;
+  }
+
+  return formatted;
+}
+
+/**
+ * Replace organization columns of a search row with a nested organization
+ *
+ * @param {Object} row - Search result row
+ * @returns {Object} Row with organization { id, name, logo_url } or null,
+ *   and branch_count when results were collapsed
+ */
+function formatBranch(row) {
+  const formatted = {
+    ...row,
+    organization: row.organization_id
+      ? { id: row.organization_id, name: row.organization_name, logo_url: row.organization_logo_url }
+      : null,
+  };
+  delete formatted.organization_name;
+  delete formatted.organization_logo_url;
+
+  if (row.branch_rank !== undefined) {
+    formatted.branch_count = parseInt(row.branch_count);
+    delete formatted.branch_rank;
+  }
+
+  return formatted;
+}
 
 /**
  * Search establishments by radius
@@ -19,8 +484,23 @@ import { AppError } from '../middleware/errorHandler.js';
  * @param {string[]} params.cuisines - Filter by cuisines
  * @param {string} params.priceRange - Filter by price range ($, $$, $$$, $$$$)
  * @param {number} params.minRating - Minimum average rating (1-5)
+ * @param {Object} params.minSubRatings - Minimum average per sub-rating dimension,
+ *   e.g. { food: 4, service: 3.5 } (see utils/subRatings.js)
+ * @param {Date} params.openAt - Only return establishments open at this moment (Europe/Minsk)
+ * @param {string} params.q - Free-text query over name, description, categories and cuisines
+ * @param {number} params.minCheck - Minimum average check in BYN
+ * @param {number} params.maxCheck - Maximum average check in BYN
+ * @param {string[]} params.features - Required features (all must match)
+ * @param {string} params.organizationId - Only branches of this organization (chain)
+ * @param {string} params.dish - Only establishments serving a matching dish (structured menu)
+ * @param {boolean} params.collapseBranches - Return only the nearest branch of each organization
+ * @param {string} params.sort - Sort order (see VALID_SORT_OPTIONS). Default: relevance with q, distance otherwise
+ * @param {string} params.cursor - Opaque next_cursor from a previous page (enables keyset mode)
+ * @param {string} params.pagination - 'cursor' requests the first keyset page (see
+ *   VALID_PAGINATION_MODES). Default: offset, or cursor when a cursor is given
+ * @param {boolean} params.includeTotal - Run the COUNT query (default: true in offset mode, false in cursor mode)
  * @param {number} params.limit - Results per page (default: 20, max: 100)
- * @param {number} params.offset - Pagination offset (default: 0)
+ * @param {number} params.offset - Pagination offset (default: 0, ignored in cursor mode)
  * @returns {Promise<Object>} Search results with establishments and pagination
  */
 export async function searchByRadius({
@@ -31,6 +511,19 @@ export async function searchByRadius({
   cuisines = null,
   priceRange = null,
   minRating = null,
+  minSubRatings = null,
+  openAt = null,
+  q = null,
+  minCheck = null,
+  maxCheck = null,
+  features = null,
+  organizationId = null,
+  dish = null,
+  collapseBranches = false,
+  sort = null,
+  cursor = null,
+  pagination = null,
+  includeTotal = null,
   limit = 20,
   offset = 0,
   page = 1
@@ -62,100 +555,201 @@ export async function searchByRadius({
     throw new AppError('Offset must be non-negative', 422, 'VALIDATION_ERROR');
   }
 
+  if (sort && !VALID_SORT_OPTIONS.includes(sort)) {
+    throw new AppError(`Sort must be one of: ${VALID_SORT_OPTIONS.join(', ')}`, 422, 'VALIDATION_ERROR');
+  }
+
+  if (pagination && !VALID_PAGINATION_MODES.includes(pagination)) {
+    throw new AppError(`Pagination must be one of: ${VALID_PAGINATION_MODES.join(', ')}`, 422, 'VALIDATION_ERROR');
+  }
+
+  // Keyset pagination is keyed on (distance, id), so it requires distance order
+  const cursorPosition = cursor ? decodeCursor(cursor) : null;
+  const keysetMode = Boolean(cursorPosition) || pagination === 'cursor';
+  if (keysetMode && (sort || (q && String(q).trim())) && sort !== 'distance') {
+    throw new AppError('Cursor pagination is only supported with sort=distance', 422, 'VALIDATION_ERROR');
+  }
+
   // Build dynamic query
   const conditions = ['e.status = $1'];
   const params = ['active']; // Only search active establishments
   let paramIndex = 2;
 
-  // Add category filter
-  if (categories && categories.length > 0) {
-    conditions.push(`e.categories && $${paramIndex}::varchar[]`);
-    params.push(categories);
-    paramIndex++;
-  }
+  // Add category, cuisine, price, rating, sub-rating, open, check, features and text filters
+  const filters = buildFilterConditions({
+    categories,
+    cuisines,
+    priceRange,
+    minRating,
+    minSubRatings,
+    openAt,
+    minCheck,
+    maxCheck,
+    features,
+    organizationId,
+    dish,
+    q,
+  }, paramIndex);
+  conditions.push(...filters.conditions);
+  params.push(...filters.params);
+  paramIndex += filters.params.length;
+  const { textSearch, dishSearch } = filters;
 
-  // Add cuisine filter
-  if (cuisines && cuisines.length > 0) {
-    conditions.push(`e.cuisines && $${paramIndex}::varchar[]`);
-    params.push(cuisines);
-    paramIndex++;
-  }
+  const whereClause = conditions.join(' AND ');
 
-  // Add price range filter
-  if (priceRange) {
-    conditions.push(`e.price_range = $${paramIndex}`);
-    params.push(priceRange);
-    paramIndex++;
-  }
+  // Free-text queries default to relevance ranking, otherwise to distance
+  const sortBy = sort || (textSearch ? 'relevance' : 'distance');
+  const orderBy = SORT_ORDERS[sortBy];
 
-  // Add rating filter
-  if (minRating) {
-    conditions.push(`e.average_rating >= $${paramIndex}`);
-    params.push(minRating);
-    paramIndex++;
+  const relevanceColumn = textSearch || sortBy === 'relevance'
+    ? `,
+      ${buildRelevanceScore(Boolean(textSearch))} AS relevance_score`
+    : '';
+  const textColumns = textSearch
+    ? `,
+      ts_headline('russian', ne.name, ${textSearch.tsquery}, '${HEADLINE_NAME_OPTIONS}') AS name_highlight,
+      ts_headline('russian', COALESCE(ne.description, ''), ${textSearch.tsquery}, '${HEADLINE_DESCRIPTION_OPTIONS}') AS description_highlight`
+    : '';
+  // Best matching dishes of each result, so the list can show "Драники — 9.50 BYN"
+  const dishColumns = dishSearch
+    ? `,
+      (
+        SELECT COALESCE(json_agg(json_build_object('id', d.id, 'name', d.name, 'price', d.price)), '[]'::json)
+        FROM (
+          SELECT mi.id, mi.name, mi.price
+          FROM menu_items mi
+          WHERE mi.establishment_id = ne.id
+            AND ${dishSearch.itemCondition}
+          ORDER BY ${dishSearch.itemRank} DESC, mi.price ASC
+          LIMIT ${MATCHED_DISHES_LIMIT}
+        ) d
+      ) AS matched_dishes`
+    : '';
+
+  // Radius filter uses ST_DWithin on the GIST-indexed location column
+  // (migrations 003/006) instead of computing a geography per row.
+  // Parameters are shared by the main and count queries.
+  const distanceIndex = paramIndex;
+  const searchPoint = `ST_SetSRID(ST_MakePoint($${distanceIndex}, $${distanceIndex + 1}), 4326)::geography`;
+  const radiusCondition = `ST_DWithin(e.location, ${searchPoint}, $${distanceIndex + 2}::float8 * 1000)`;
+  params.push(longitude, latitude, radius);
+  paramIndex += 3;
+  const countParams = [...params];
+
+  // Collapsing keeps the nearest matching branch of each organization;
+  // establishments without an organization form a group of their own
+  const branchGroup = 'COALESCE(e.organization_id, e.id)';
+  const branchColumns = collapseBranches
+    ? `,
+        ROW_NUMBER() OVER (PARTITION BY ${branchGroup} ORDER BY ST_Distance(e.location, ${searchPoint}), e.id) AS branch_rank,
+        COUNT(*) OVER (PARTITION BY ${branchGroup}) AS branch_count`
+    : '';
+  const outerConditions = collapseBranches ? ['ne.branch_rank = 1'] : [];
+
+  // Keyset pagination: continue strictly after the last (distance, id) seen.
+  // Ordering must match the tuple, so cursor pages use KEYSET_ORDER.
+  if (cursorPosition) {
+    outerConditions.push(`(ne.distance_km, ne.id) > ($${paramIndex}::float8, $${paramIndex + 1}::uuid)`);
+    params.push(cursorPosition.distance, cursorPosition.id);
+    paramIndex += 2;
   }
+  const outerWhere = outerConditions.length > 0 ? `WHERE ${outerConditions.join(' AND ')}` : '';
 
-  const whereClause = conditions.join(' AND ');
+  // One extra row tells whether another page exists without counting
+  params.push(limit + 1, keysetMode ? 0 : offset);
+
+  // Open state is resolved for the filter moment, or now
+  const statusAt = openAt || new Date();
 
   // Main query with PostGIS distance calculation
   const query = `
     WITH nearby_establishments AS (
       SELECT
         e.*,
-        ST_Distance(
-          ST_MakePoint($${paramIndex}, $${paramIndex + 1})::geography,
-          ST_MakePoint(e.longitude, e.latitude)::geography
-        ) / 1000.0 AS distance_km
+        ST_Distance(e.location, ${searchPoint}) / 1000.0 AS distance_km${textSearch ? `,
+        ${textSearch.rank} AS text_rank` : ''}${branchColumns}
       FROM establishments e
       WHERE ${whereClause}
+        AND ${radiusCondition}
     )
     SELECT
       ne.*,
       u.name AS partner_name,
-      u.email AS partner_email
+      u.email AS partner_email,
+      o.name AS organization_name,
+      o.logo_url AS organization_logo_url,
+      ${buildScheduleOverridesColumn('ne', statusAt)}${relevanceColumn}${textColumns}${dishColumns}
     FROM nearby_establishments ne
     LEFT JOIN users u ON ne.partner_id = u.id
-    WHERE ne.distance_km <= $${paramIndex + 2}
-    ORDER BY ne.distance_km ASC, ne.average_rating DESC, ne.review_count DESC
-    LIMIT $${paramIndex + 3}
-    OFFSET $${paramIndex + 4}
+    LEFT JOIN organizations o ON ne.organization_id = o.id
+    ${outerWhere}
+    ORDER BY ${keysetMode ? KEYSET_ORDER : orderBy}
+    LIMIT $${paramIndex}
+    OFFSET $${paramIndex + 1}
   `;
 
-  params.push(longitude, latitude, radius, limit, offset);
-
   const result = await pool.query(query, params);
+  const hasMoreRows = result.rows.length > limit;
+  const rows = hasMoreRows ? result.rows.slice(0, limit) : result.rows;
 
-  // Count total results for pagination
-  const countQuery = `
-    SELECT COUNT(*) as total
-    FROM establishments e
-    WHERE ${whereClause}
-      AND ST_Distance(
-        ST_MakePoint($${paramIndex}, $${paramIndex + 1})::geography,
-        ST_MakePoint(e.longitude, e.latitude)::geography
-      ) / 1000.0 <= $${paramIndex + 2}
-  `;
+  // Count total results only when requested: it scans every matching row.
+  // Offset mode counts by default for backward compatibility, cursor mode does not.
+  const shouldCount = includeTotal ?? !keysetMode;
+  let total = null;
 
-  const countParams = params.slice(0, -2); // Remove limit and offset
-  const countResult = await pool.query(countQuery, countParams);
-  const total = parseInt(countResult.rows[0].total);
+  if (shouldCount) {
+    const countQuery = `
+      SELECT COUNT(${collapseBranches ? `DISTINCT ${branchGroup}` : '*'}) as total
+      FROM establishments e
+      WHERE ${whereClause}
+        AND ${radiusCondition}
+    `;
 
-  // Calculate page-based pagination metadata
-  const totalPages = Math.ceil(total / limit);
-  const hasNext = page < totalPages;
-  const hasPrevious = page > 1;
+    const countResult = await pool.query(countQuery, countParams);
+    total = parseInt(countResult.rows[0].total);
+  }
 
-  // Transform results with type conversions and distance field
-  const establishments = result.rows.map(row => ({
-    ...row,
+  // Transform results with type conversions, distance, open state and features
+  const establishments = rows.map(row => ({
+    ...formatBranch(formatTextMatch(row)),
+    ...resolveOpenStatus(row, statusAt),
+    ...(relevanceColumn && { relevance_score: parseFloat(row.relevance_score) }),
+    features: getFeatures(row),
+    ...(features && features.length > 0 && {
+      matched_features: getFeatures(row).filter(feature => features.includes(feature)),
+    }),
+    ...(dishSearch && { matched_dishes: row.matched_dishes || [] }),
     distance: row.distance_km, // Add 'distance' field that tests expect
     distance_km: parseFloat(row.distance_km),
     latitude: parseFloat(row.latitude),
     longitude: parseFloat(row.longitude),
     average_rating: row.average_rating ? parseFloat(row.average_rating) : null,
+    ...formatSubRatingAverages(row),
     review_count: parseInt(row.review_count) || 0
   }));
 
+  // Only keyset-ordered pages can be resumed from their last row
+  if (keysetMode) {
+    const lastRow = rows[rows.length - 1];
+    const nextCursor = hasMoreRows ? encodeCursor(lastRow.distance_km, lastRow.id) : null;
+
+    return {
+      establishments,
+      pagination: {
+        limit,
+        total,
+        hasNext: hasMoreRows,
+        next_cursor: nextCursor,
+      },
+      sort: sortBy,
+    };
+  }
+
+  // Calculate page-based pagination metadata
+  const totalPages = total !== null ? Math.ceil(total / limit) : null;
+  const hasNext = totalPages !== null ? page < totalPages : hasMoreRows;
+  const hasPrevious = page > 1;
+
   return {
     establishments,
     pagination: {
@@ -164,8 +758,96 @@ export async function searchByRadius({
       total,
       totalPages,
       hasNext,
-      hasPrevious
-    }
+      hasPrevious,
+    },
+    sort: sortBy
+  };
+}
+
+/**
+ * Group filtered establishments into grid clusters
+ *
+ * Cells are aligned to a fixed lat/lon grid so clusters stay stable while
+ * the user pans. Each cluster reports its size, the centroid of its members
+ * and the top-rated member as a representative pin.
+ *
+ * @param {Object} options
+ * @param {string} options.whereClause - Filter conditions over alias e
+ * @param {Array} options.params - Parameters referenced by whereClause
+ * @param {number} options.zoom - Map zoom level (0..CLUSTER_MAX_ZOOM)
+ * @param {number} options.limit - Max clusters to return
+ * @returns {Promise<Object>} Clustered map response
+ */
+async function fetchClusters({ whereClause, params, zoom, limit }) {
+  const cellSize = 360 / 2 ** zoom / CLUSTER_CELLS_PER_TILE;
+  const cellIndex = params.length + 1;
+
+  const query = `
+    WITH cells AS (
+      SELECT
+        e.id,
+        e.name,
+        e.categories,
+        e.latitude,
+        e.longitude,
+        e.average_rating,
+        e.review_count,
+        FLOOR(e.longitude / $${cellIndex})::bigint AS cell_x,
+        FLOOR(e.latitude / $${cellIndex})::bigint AS cell_y
+      FROM establishments e
+      WHERE ${whereClause}
+    ),
+    ranked AS (
+      SELECT
+        cells.*,
+        COUNT(*) OVER cell AS cluster_count,
+        AVG(latitude) OVER cell AS centroid_lat,
+        AVG(longitude) OVER cell AS centroid_lon,
+        ROW_NUMBER() OVER (
+          PARTITION BY cell_x, cell_y
+          ORDER BY average_rating DESC NULLS LAST, review_count DESC, id
+        ) AS member_rank
+      FROM cells
+      WINDOW cell AS (PARTITION BY cell_x, cell_y)
+    )
+    SELECT
+      ranked.*,
+      SUM(cluster_count) OVER () AS total_count,
+      COUNT(*) OVER () AS total_clusters
+    FROM ranked
+    WHERE member_rank = 1
+    ORDER BY cluster_count DESC, cell_x, cell_y
+    LIMIT $${cellIndex + 1}
+  `;
+
+  const result = await pool.query(query, [...params, cellSize, limit]);
+
+  const clusters = result.rows.map(row => ({
+    id: `${zoom}:${row.cell_x}:${row.cell_y}`,
+    count: parseInt(row.cluster_count),
+    centroid: {
+      latitude: parseFloat(row.centroid_lat),
+      longitude: parseFloat(row.centroid_lon),
+    },
+    top_rated: {
+      id: row.id,
+      name: row.name,
+      categories: row.categories,
+      latitude: parseFloat(row.latitude),
+      longitude: parseFloat(row.longitude),
+      average_rating: row.average_rating ? parseFloat(row.average_rating) : null,
+      review_count: parseInt(row.review_count) || 0,
+    },
+  }));
+
+  const firstRow = result.rows[0];
+
+  return {
+    mode: 'clusters',
+    zoom,
+    clusters,
+    total: firstRow ? parseInt(firstRow.total_count) : 0,
+    totalClusters: firstRow ? parseInt(firstRow.total_clusters) : 0,
   };
 }
 
@@ -181,8 +863,17 @@ export async function searchByRadius({
  * @param {string[]} params.cuisines - Filter by cuisines
  * @param {string} params.priceRange - Filter by price range
  * @param {number} params.minRating - Minimum average rating
- * @param {number} params.limit - Results limit (default: 100, max: 500 for map)
- * @returns {Promise<Object>} Establishments within bounds
+ * @param {Object} params.minSubRatings - Minimum average per sub-rating dimension
+ * @param {Date} params.openAt - Only return establishments open at this moment (Europe/Minsk)
+ * @param {string} params.q - Free-text query over name, description, categories and cuisines
+ * @param {number} params.minCheck - Minimum average check in BYN
+ * @param {number} params.maxCheck - Maximum average check in BYN
+ * @param {string[]} params.features - Required features (all must match)
+ * @param {string} params.organizationId - Only branches of this organization (chain)
+ * @param {string} params.dish - Only establishments serving a matching dish (structured menu)
+ * @param {number} params.zoom - Map zoom level (0-22). Zooms up to 14 return clusters instead of points
+ * @param {number} params.limit - Results limit (default: 100, max: 500 for map). Max clusters in cluster mode
+ * @returns {Promise<Object>} Establishments within bounds, or clusters at low zoom
  */
 export async function searchByBounds({
   minLat,
@@ -193,6 +884,15 @@ export async function searchByBounds({
   cuisines = null,
   priceRange = null,
   minRating = null,
+  minSubRatings = null,
+  openAt = null,
+  q = null,
+  minCheck = null,
+  maxCheck = null,
+  features = null,
+  organizationId = null,
+  dish = null,
+  zoom = null,
   limit = 100
 }) {
   // Validate bounds (use strict null check to allow 0 values)
@@ -213,74 +913,447 @@ export async function searchByBounds({
     throw new AppError('Limit must be between 1 and 500 for bounds search', 422, 'VALIDATION_ERROR');
   }
 
+  // Validate zoom (optional, standard web map zoom levels)
+  if (zoom != null && (!Number.isInteger(zoom) || zoom < 0 || zoom > MAX_ZOOM)) {
+    throw new AppError(`Zoom must be an integer between 0 and ${MAX_ZOOM}`, 422, 'VALIDATION_ERROR');
+  }
+
   // Build dynamic query
   const conditions = ['e.status = $1'];
   const params = ['active'];
   let paramIndex = 2;
 
-  // Add geographic bounds filter
+  // Add geographic bounds filter: && lets the GIST index on location prune
+  // candidates, BETWEEN keeps the exact rectangle (geography boxes are
+  // geocentric, so && alone may admit points just outside the edges).
+  // Envelope coordinates get their own float8 parameters.
+  conditions.push(`e.location && ST_MakeEnvelope($${paramIndex}, $${paramIndex + 1}, $${paramIndex + 2}, $${paramIndex + 3}, 4326)::geography`);
+  params.push(minLon, minLat, maxLon, maxLat);
+  paramIndex += 4;
   conditions.push(`e.latitude BETWEEN $${paramIndex} AND $${paramIndex + 1}`);
   conditions.push(`e.longitude BETWEEN $${paramIndex + 2} AND $${paramIndex + 3}`);
   params.push(minLat, maxLat, minLon, maxLon);
   paramIndex += 4;
 
-  // Add category filter
-  if (categories && categories.length > 0) {
-    conditions.push(`e.categories && $${paramIndex}::varchar[]`);
-    params.push(categories);
-    paramIndex++;
+  // Add category, cuisine, price, rating, sub-rating, open, check, features and text filters
+  const filters = buildFilterConditions({
+    categories,
+    cuisines,
+    priceRange,
+    minRating,
+    minSubRatings,
+    openAt,
+    minCheck,
+    maxCheck,
+    features,
+    organizationId,
+    dish,
+    q,
+  }, paramIndex);
+  conditions.push(...filters.conditions);
+  params.push(...filters.params);
+  paramIndex += filters.params.length;
+  const { textSearch } = filters;
+
+  const whereClause = conditions.join(' AND ');
+
+  // Low zoom: return clusters, individual pins would be unreadable
+  if (zoom != null && zoom <= CLUSTER_MAX_ZOOM) {
+    return fetchClusters({ whereClause, params, zoom, limit });
   }
 
-  // Add cuisine filter
-  if (cuisines && cuisines.length > 0) {
-    conditions.push(`e.cuisines && $${paramIndex}::varchar[]`);
-    params.push(cuisines);
-    paramIndex++;
+  // Free-text queries put best text matches first
+  const textColumns = textSearch
+    ? `,
+      ${textSearch.rank} AS text_rank,
+      ts_headline('russian', e.name, ${textSearch.tsquery}, '${HEADLINE_NAME_OPTIONS}') AS name_highlight,
+      ts_headline('russian', COALESCE(e.description, ''), ${textSearch.tsquery}, '${HEADLINE_DESCRIPTION_OPTIONS}') AS description_highlight`
+    : '';
+
+  // Open state is resolved for the filter moment, or now
+  const statusAt = openAt || new Date();
+
+  const query = `
+    SELECT
+      e.*,
+      u.name AS partner_name,
+      u.email AS partner_email,
+      ${buildScheduleOverridesColumn('e', statusAt)}${textColumns}
+    FROM establishments e
+    LEFT JOIN users u ON e.partner_id = u.id
+    WHERE ${whereClause}
+    ORDER BY ${textSearch ? 'text_rank DESC, ' : ''}e.average_rating DESC, e.review_count DESC
+    LIMIT $${paramIndex}
+  `;
+
+  params.push(limit);
+
+  const result = await pool.query(query, params);
+
+  // Convert latitude/longitude from strings to numbers, attach open state and features
+  const establishments = result.rows.map(row => ({
+    ...formatTextMatch(row),
+    ...resolveOpenStatus(row, statusAt),
+    features: getFeatures(row),
+    ...(features && features.length > 0 && {
+      matched_features: getFeatures(row).filter(feature => features.includes(feature)),
+    }),
+    latitude: parseFloat(row.latitude),
+    longitude: parseFloat(row.longitude),
+    ...formatSubRatingAverages(row)
+  }));
+
+  return {
+    mode: 'points',
+    establishments,
+    total: establishments.length
+  };
+}
+
+/**
+ * Browse establishments of one city (no location permission needed)
+ *
+ * Distances are measured from the user's coordinates when given, otherwise
+ * from the city centroid, so results still carry distance_km.
+ *
+ * @param {Object} params - Search parameters
+ * @param {string} params.city - City from VALID_CITIES
+ * @param {string} params.district - Optional district/neighbourhood (case-insensitive)
+ * @param {number} params.latitude - Optional user latitude (with longitude)
+ * @param {number} params.longitude - Optional user longitude (with latitude)
+ * @param {string[]} params.categories - Filter by categories
+ * @param {string[]} params.cuisines - Filter by cuisines
+ * @param {string} params.priceRange - Filter by price range
+ * @param {number} params.minRating - Minimum average rating
+ * @param {Object} params.minSubRatings - Minimum average per sub-rating dimension
+ * @param {Date} params.openAt - Only return establishments open at this moment (Europe/Minsk)
+ * @param {string} params.q - Free-text query over name, description, categories and cuisines
+ * @param {number} params.minCheck - Minimum average check in BYN
+ * @param {number} params.maxCheck - Maximum average check in BYN
+ * @param {string[]} params.features - Required features (all must match)
+ * @param {string} params.organizationId - Only branches of this organization (chain)
+ * @param {string} params.dish - Only establishments serving a matching dish (structured menu)
+ * @param {string} params.sort - popularity (default), rating, distance or relevance (default with q)
+ * @param {number} params.limit - Results per page (default: 20, max: 100)
+ * @param {number} params.page - Page number (default: 1)
+ * @returns {Promise<Object>} Establishments, reference point and pagination
+ */
+export async function searchByCity({
+  city,
+  district = null,
+  latitude = null,
+  longitude = null,
+  categories = null,
+  cuisines = null,
+  priceRange = null,
+  minRating = null,
+  minSubRatings = null,
+  openAt = null,
+  q = null,
+  minCheck = null,
+  maxCheck = null,
+  features = null,
+  organizationId = null,
+  dish = null,
+  sort = null,
+  limit = 20,
+  page = 1
+}) {
+  if (!VALID_CITIES.includes(city)) {
+    throw new AppError(`City must be one of: ${VALID_CITIES.join(', ')}`, 422, 'VALIDATION_ERROR');
   }
 
-  // Add price range filter
-  if (priceRange) {
-    conditions.push(`e.price_range = $${paramIndex}`);
-    params.push(priceRange);
-    paramIndex++;
+  // Coordinates are optional but must come as a pair
+  if ((latitude == null) !== (longitude == null)) {
+    throw new AppError('Latitude and longitude must be provided together', 422, 'VALIDATION_ERROR');
   }
 
-  // Add rating filter
-  if (minRating) {
-    conditions.push(`e.average_rating >= $${paramIndex}`);
-    params.push(minRating);
+  if (latitude != null && (latitude < -90 || latitude > 90)) {
+    throw new AppError('Latitude must be between -90 and 90', 422, 'VALIDATION_ERROR');
+  }
+
+  if (longitude != null && (longitude < -180 || longitude > 180)) {
+    throw new AppError('Longitude must be between -180 and 180', 422, 'VALIDATION_ERROR');
+  }
+
+  const districtName = district != null ? String(district).trim() : '';
+  if (districtName.length > MAX_DISTRICT_LENGTH) {
+    throw new AppError(`District must not exceed ${MAX_DISTRICT_LENGTH} characters`, 422, 'VALIDATION_ERROR');
+  }
+
+  if (sort && !VALID_CITY_SORT_OPTIONS.includes(sort)) {
+    throw new AppError(`Sort must be one of: ${VALID_CITY_SORT_OPTIONS.join(', ')}`, 422, 'VALIDATION_ERROR');
+  }
+
+  if (limit < 1 || limit > 100) {
+    throw new AppError('Limit must be between 1 and 100', 422, 'VALIDATION_ERROR');
+  }
+
+  if (!Number.isInteger(page) || page < 1) {
+    throw new AppError('Page must be a positive integer', 422, 'VALIDATION_ERROR');
+  }
+
+  // Build dynamic query
+  const conditions = ['e.status = $1', 'e.city = $2'];
+  const params = ['active', city];
+  let paramIndex = 3;
+
+  // Add district filter (served by idx_establishments_city_district, migration 013)
+  if (districtName) {
+    conditions.push(`lower(e.district) = lower($${paramIndex})`);
+    params.push(districtName);
     paramIndex++;
   }
 
+  // Add category, cuisine, price, rating, sub-rating, open, check, features and text filters
+  const filters = buildFilterConditions({
+    categories,
+    cuisines,
+    priceRange,
+    minRating,
+    minSubRatings,
+    openAt,
+    minCheck,
+    maxCheck,
+    features,
+    organizationId,
+    dish,
+    q,
+  }, paramIndex);
+  conditions.push(...filters.conditions);
+  params.push(...filters.params);
+  paramIndex += filters.params.length;
+  const { textSearch } = filters;
+
+  if (sort === 'relevance' && !textSearch) {
+    throw new AppError('sort=relevance requires a search query (q)', 422, 'VALIDATION_ERROR');
+  }
+
   const whereClause = conditions.join(' AND ');
+  const countParams = [...params];
+
+  const sortBy = sort || (textSearch ? 'relevance' : 'popularity');
+
+  // Distance reference: user location if shared, otherwise the city centroid
+  const reference = latitude != null
+    ? { latitude, longitude, source: 'user' }
+    : { ...CITY_CENTROIDS[city], source: 'city_centroid' };
+  const referencePoint = `ST_SetSRID(ST_MakePoint($${paramIndex}, $${paramIndex + 1}), 4326)::geography`;
+  params.push(reference.longitude, reference.latitude);
+  paramIndex += 2;
+
+  const textColumns = textSearch
+    ? `,
+      ${textSearch.rank} AS text_rank,
+      ts_headline('russian', e.name, ${textSearch.tsquery}, '${HEADLINE_NAME_OPTIONS}') AS name_highlight,
+      ts_headline('russian', COALESCE(e.description, ''), ${textSearch.tsquery}, '${HEADLINE_DESCRIPTION_OPTIONS}') AS description_highlight`
+    : '';
+
+  const offset = (page - 1) * limit;
+  params.push(limit, offset);
+
+  // Popularity counts reviews and favorites; favorites are counted per
+  // establishment through the favorites(establishment_id) index.
+  // Open state is resolved for the filter moment, or now
+  const statusAt = openAt || new Date();
 
   const query = `
     SELECT
       e.*,
       u.name AS partner_name,
-      u.email AS partner_email
+      u.email AS partner_email,
+      ${buildScheduleOverridesColumn('e', statusAt)},
+      ST_Distance(e.location, ${referencePoint}) / 1000.0 AS distance_km,
+      fc.favorites_count,
+      COALESCE(e.review_count, 0) + fc.favorites_count AS popularity${textColumns}
     FROM establishments e
     LEFT JOIN users u ON e.partner_id = u.id
+    CROSS JOIN LATERAL (
+      SELECT COUNT(*) AS favorites_count
+      FROM favorites f
+      WHERE f.establishment_id = e.id
+    ) fc
     WHERE ${whereClause}
-    ORDER BY e.average_rating DESC, e.review_count DESC
+    ORDER BY ${CITY_SORT_ORDERS[sortBy]}
     LIMIT $${paramIndex}
+    OFFSET $${paramIndex + 1}
   `;
 
-  params.push(limit);
-
   const result = await pool.query(query, params);
 
-  // Convert latitude/longitude from strings to numbers for JSON serialization
+  const countQuery = `
+    SELECT COUNT(*) as total
+    FROM establishments e
+    WHERE ${whereClause}
+  `;
+
+  const countResult = await pool.query(countQuery, countParams);
+  const total = parseInt(countResult.rows[0].total);
+
+  // Transform results with type conversions, distance, open state and features
   const establishments = result.rows.map(row => ({
-    ...row,
+    ...formatTextMatch(row),
+    ...resolveOpenStatus(row, statusAt),
+    features: getFeatures(row),
+    ...(features && features.length > 0 && {
+      matched_features: getFeatures(row).filter(feature => features.includes(feature)),
+    }),
+    distance_km: parseFloat(row.distance_km),
     latitude: parseFloat(row.latitude),
-    longitude: parseFloat(row.longitude)
+    longitude: parseFloat(row.longitude),
+    average_rating: row.average_rating ? parseFloat(row.average_rating) : null,
+    ...formatSubRatingAverages(row),
+    review_count: parseInt(row.review_count) || 0,
+    favorites_count: parseInt(row.favorites_count) || 0,
+    popularity: parseInt(row.popularity) || 0,
   }));
 
+  const totalPages = Math.ceil(total / limit);
+
   return {
     establishments,
-    total: establishments.length
+    city,
+    district: districtName || null,
+    reference_point: reference,
+    pagination: {
+      page,
+      limit,
+      total,
+      totalPages,
+      hasNext: page < totalPages,
+      hasPrevious: page > 1,
+    },
+    sort: sortBy,
+  };
+}
+
+/**
+ * Check whether any word of a value starts with one of the prefixes
+ *
+ * @param {string} value - Candidate value (e.g. category name)
+ * @param {string[]} prefixes - Lowercase prefixes
+ * @returns {boolean} True if matched
+ */
+function matchesPrefix(value, prefixes) {
+  const words = [value.toLowerCase(), ...value.toLowerCase().split(/[\s-]+/)];
+  return prefixes.some(prefix => words.some(word => word.startsWith(prefix)));
+}
+
+/**
+ * Autocomplete suggestions for the search bar
+ *
+ * Returns typed suggestions mixing static dictionaries (categories, cuisines,
+ * cities) with names of active establishments, nearest first when the user
+ * location is known. Input may be typed in Latin or Cyrillic.
+ *
+ * Results are cached in Redis per prefix and rounded location so that
+ * per-keystroke calls mostly avoid the database.
+ *
+ * @param {Object} params - Suggest parameters
+ * @param {string} params.q - Prefix typed by the user
+ * @param {number} params.latitude - Optional user latitude
+ * @param {number} params.longitude - Optional user longitude
+ * @param {number} params.limit - Max suggestions (default: 10, max: 20)
+ * @returns {Promise<Object>} { suggestions: [{ type, value, ... }] }
+ */
+export async function getSuggestions({
+  q,
+  latitude = null,
+  longitude = null,
+  limit = 10,
+}) {
+  const prefix = typeof q === 'string' ? q.trim().toLowerCase().replace(/\s+/g, ' ') : '';
+
+  if (prefix.length === 0) {
+    throw new AppError('Search query is required', 422, 'VALIDATION_ERROR');
+  }
+
+  if (prefix.length > MAX_QUERY_LENGTH) {
+    throw new AppError(`Search query must not exceed ${MAX_QUERY_LENGTH} characters`, 422, 'VALIDATION_ERROR');
+  }
+
+  if (limit < 1 || limit > 20) {
+    throw new AppError('Limit must be between 1 and 20', 422, 'VALIDATION_ERROR');
+  }
+
+  const hasLocation = latitude != null && longitude != null;
+  if (hasLocation && (latitude < -90 || latitude > 90 || longitude < -180 || longitude > 180)) {
+    throw new AppError('Invalid latitude or longitude', 422, 'VALIDATION_ERROR');
+  }
+
+  const locationKey = hasLocation
+    ? `${latitude.toFixed(SUGGEST_LOCATION_PRECISION)},${longitude.toFixed(SUGGEST_LOCATION_PRECISION)}`
+    : 'any';
+  const cacheKey = `search:suggest:${limit}:${locationKey}:${prefix}`;
+
+  const cached = await getCachedValue(cacheKey);
+  if (cached) {
+    return JSON.parse(cached);
+  }
+
+  const altPrefix = /[a-z]/.test(prefix) ? latinToCyrillic(prefix) : cyrillicToLatin(prefix);
+  const prefixes = altPrefix === prefix ? [prefix] : [prefix, altPrefix];
+
+  const staticSuggestions = [
+    ['category', VALID_CATEGORIES],
+    ['cuisine', VALID_CUISINES],
+    ['city', VALID_CITIES],
+  ].flatMap(([type, values]) => values
+    .filter(value => matchesPrefix(value, prefixes))
+    .slice(0, SUGGEST_MAX_STATIC_PER_TYPE)
+    .map(value => ({ type, value })));
+
+  // Escape LIKE wildcards so user input is matched literally.
+  // One LIKE per variant (not LIKE ANY) so each can use the prefix index (migration 011)
+  const params = prefixes.map(value => `${value.replace(/[\\%_]/g, '\\$&')}%`);
+  const nameConditions = params.map((_, index) => `lower(e.name) LIKE $${index + 1}`);
+  let paramIndex = params.length + 1;
+
+  let distanceSelect = 'NULL::float AS distance_km';
+  let orderBy = 'e.average_rating DESC NULLS LAST, e.review_count DESC';
+
+  if (hasLocation) {
+    distanceSelect = `ST_Distance(
+          e.location,
+          ST_SetSRID(ST_MakePoint($${paramIndex}, $${paramIndex + 1}), 4326)::geography
+        ) / 1000.0 AS distance_km`;
+    orderBy = 'distance_km ASC';
+    params.push(longitude, latitude);
+    paramIndex += 2;
+  }
+
+  params.push(limit);
+
+  const result = await pool.query(`
+    SELECT
+      e.id,
+      e.name,
+      e.city,
+      e.categories,
+      ${distanceSelect}
+    FROM establishments e
+    WHERE e.status = 'active'
+      AND (${nameConditions.join(' OR ')})
+    ORDER BY ${orderBy}
+    LIMIT $${paramIndex}
+  `, params);
+
+  const establishmentSuggestions = result.rows.map(row => ({
+    type: 'establishment',
+    value: row.name,
+    id: row.id,
+    city: row.city,
+    categories: row.categories,
+    distance_km: row.distance_km != null ? parseFloat(row.distance_km) : null,
+  }));
+
+  const response = {
+    suggestions: [...staticSuggestions, ...establishmentSuggestions].slice(0, limit),
   };
+
+  await setCachedValue(cacheKey, JSON.stringify(response), SUGGEST_CACHE_TTL_SECONDS);
+
+  return response;
 }
 
 /**
@@ -312,5 +1385,7 @@ export async function checkSearchHealth() {
 export default {
   searchByRadius,
   searchByBounds,
+  searchByCity,
+  getSuggestions,
   checkSearchHealth
 };
@@ -0,0 +1,326 @@
+/**
+ * Team Service
+ *
+ * This service implements team management for partner establishments:
+ * inviting users by email or phone with a role, accepting and declining
+ * invitations, and revoking access.
+ *
+ * Architecture note: What each role may do is defined in
+ * utils/teamPermissions.js and enforced where the action happens
+ * (establishmentService, mediaService) through
+ * EstablishmentModel.checkOwnership. This service only manages who is on
+ * the team.
+ */
+
+import * as TeamModel from '../models/teamModel.js';
+import * as EstablishmentModel from '../models/establishmentModel.js';
+import { AppError } from '../middleware/errorHandler.js';
+import { TEAM_ROLES, TEAM_PERMISSIONS } from '../utils/teamPermissions.js';
+import logger from '../utils/logger.js';
+
+/**
+ * Days an invitation can be accepted
+ */
+export const INVITATION_TTL_DAYS = 7;
+
+/**
+ * Verify the user may manage the team of an establishment
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {string} userId - UUID of the acting user
+ * @throws {AppError} 404 if the establishment is not found or not manageable
+ */
+const assertCanManageTeam = async (establishmentId, userId) => {
+  const canManage = await EstablishmentModel.checkOwnership(
+    establishmentId,
+    userId,
+    TEAM_PERMISSIONS.team
+  );
+
+  if (!canManage) {
+    throw new AppError(
+      'Establishment not found or access denied',
+      404,
+      'ESTABLISHMENT_NOT_FOUND'
+    );
+  }
+};
+
+/**
+ * Invite a user to the team of an establishment
+ *
+ * The invitation is addressed to an email or a phone number; the user who
+ * signs in with that contact sees it under /partner/invitations.
+ *
+ * Business rules:
+ * - Only the partner and team owners can invite
+ * - Exactly one of email or phone
+ * - No second invitation or membership for the same contact
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {string} userId - UUID of the inviting user
+ * @param {Object} invitation - { email, phone, role }
+ * @returns {Promise<Object>} Created invitation
+ * @throws {AppError} If validation fails or access is denied
+ */
+export const inviteMember = async (establishmentId, userId, invitation) => {
+  const { role } = invitation;
+  const email = invitation.email ? invitation.email.trim().toLowerCase() : null;
+  const phone = invitation.phone ? invitation.phone.trim() : null;
+
+  try {
+    if (!TEAM_ROLES.includes(role)) {
+      throw new AppError(
+        `Role must be one of: ${TEAM_ROLES.join(', ')}`,
+        422,
+        'INVALID_TEAM_ROLE'
+      );
+    }
+
+    if (Boolean(email) === Boolean(phone)) {
+      throw new AppError(
+        'Provide either an email or a phone number',
+        422,
+        'INVALID_INVITATION_CONTACT'
+      );
+    }
+
+    await assertCanManageTeam(establishmentId, userId);
+
+    const contact = { email, phone };
+
+    const existingMember = await TeamModel.findActiveMemberByContact(establishmentId, contact);
+    if (existingMember) {
+      throw new AppError(
+        'This user is already on the team',
+        409,
+        'ALREADY_TEAM_MEMBER'
+      );
+    }
+
+    const existingInvitation = await TeamModel.findPendingInvitation(establishmentId, contact);
+    if (existingInvitation) {
+      throw new AppError(
+        'An invitation for this contact is already pending',
+        409,
+        'INVITATION_EXISTS'
+      );
+    }
+
+    const expiresAt = new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+    return await TeamModel.createInvitation({
+      establishment_id: establishmentId,
+      role,
+      invited_email: email,
+      invited_phone: phone,
+      invited_by: userId,
+      expires_at: expiresAt,
+    });
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error inviting team member', {
+      error: error.message,
+      establishmentId,
+      userId,
+    });
+
+    throw new AppError(
+      'Failed to invite team member',
+      500,
+      'TEAM_INVITE_FAILED'
+    );
+  }
+};
+
+/**
+ * Get the team of an establishment
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {string} userId - UUID of the acting user
+ * @returns {Promise<Object>} { members, invitations }
+ * @throws {AppError} If access is denied
+ */
+export const getTeam = async (establishmentId, userId) => {
+  try {
+    await assertCanManageTeam(establishmentId, userId);
+
+    const rows = await TeamModel.getEstablishmentTeam(establishmentId);
+
+    return {
+      members: rows.filter(row => row.status === 'active'),
+      invitations: rows.filter(row => row.status !== 'active'),
+    };
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error fetching team', {
+      error: error.message,
+      establishmentId,
+      userId,
+    });
+
+    throw new AppError(
+      'Failed to fetch team',
+      500,
+      'TEAM_FETCH_FAILED'
+    );
+  }
+};
+
+/**
+ * Revoke a member's access or withdraw an invitation
+ *
+ * @param {string} establishmentId - UUID of the establishment
+ * @param {string} userId - UUID of the acting user
+ * @param {string} memberId - UUID of the membership or invitation
+ * @returns {Promise<Object>} Revoked row
+ * @throws {AppError} If access is denied or nothing to revoke
+ */
+export const revokeAccess = async (establishmentId, userId, memberId) => {
+  try {
+    await assertCanManageTeam(establishmentId, userId);
+
+    const revoked = await TeamModel.revokeMember(memberId, establishmentId, userId);
+    if (!revoked) {
+      throw new AppError(
+        'Team member or invitation not found',
+        404,
+        'TEAM_MEMBER_NOT_FOUND'
+      );
+    }
+
+    return revoked;
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    logger.error('Error revoking team access', {
+      error: error.message,
+      establishmentId,
+      memberId,
+    });
+
+    throw new AppError(
+      'Failed to revoke access',
+      500,
+      'TEAM_REVOKE_FAILED'
+    );
+  }
+};
+
+/**
+ * Get invitations waiting for the authenticated user
+ *
+ * @param {string} userId - UUID of the user
+ * @returns {Promise<Array>} Unexpired invitations for the user's email or phone
+ */
+export const getMyInvitations = async (userId) => {
+  try {
+    return await TeamModel.getInvitationsForUser(userId);
+  } catch (error) {
+    logger.error('Error fetching user invitations', {
+      error: error.message,
+      userId,
+    });
+
+    throw new AppError(
+      'Failed to fetch invitations',
+      500,
+      'TEAM_FETCH_FAILED'
+    );
+  }
+};
+
+/**
+ * Accept or decline an invitation
+ *
+ * @param {string} invitationId - UUID of the invitation
+ * @param {string} userId - UUID of the responding user
+ * @param {boolean} accept - true to accept, false to decline
+ * @returns {Promise<Object>} Updated invitation
+ * @throws {AppError} If the invitation is unknown, expired or already answered
+ */
+const respondToInvitation = async (invitationId, userId, accept) => {
+  try {
+    const updated = await TeamModel.respondToInvitation(invitationId, userId, accept);
+    if (updated) {
+      return updated;
+    }
+
+    // Explain why nothing matched without revealing other users' invitations
+    const invitation = await TeamModel.findMemberById(invitationId);
+
+    if (invitation && invitation.status === 'expired') {
+      throw new AppError(
+        'Invitation has expired. Ask the partner to send a new one.',
+        410,
+        'INVITATION_EXPIRED'
+      );
+    }
+
+    if (invitation && invitation.user_id === userId) {
+      throw new AppError(
+        `Invitation is already ${invitation.status}`,
+        409,
+        'INVITATION_NOT_PENDING'
+      );
+    }
+
+    throw new AppError(
+      'Invitation not found',
+      404,
+      'INVITATION_NOT_FOUND'
+    );
+  } catch (error) {
+    if (error instanceof AppError) {
+      throw error;
+    }
+
+    if (error.code === '23505') {
+      throw new AppError(
+        'You are already on the team of this establishment',
+        409,
+        'ALREADY_TEAM_MEMBER'
+      );
+    }
+
+    logger.error('Error answering invitation', {
+      error: error.message,
+      invitationId,
+      userId,
+    });
+
+    throw new AppError(
+      'Failed to answer invitation',
+      500,
+      'TEAM_INVITATION_FAILED'
+    );
+  }
+};
+
+/**
+ * Accept an invitation addressed to the user's email or phone
+ *
+ * @param {string} invitationId - UUID of the invitation
+ * @param {string} userId - UUID of the authenticated user
+ * @returns {Promise<Object>} Active membership
+ */
+export const acceptInvitation = (invitationId, userId) =>
+  respondToInvitation(invitationId, userId, true);
+
+/**
+ * Decline an invitation addressed to the user's email or phone
+ *
+ * @param {string} invitationId - UUID of the invitation
+ * @param {string} userId - UUID of the authenticated user
+ * @returns {Promise<Object>} Declined invitation
+ */
+export const declineInvitation = (invitationId, userId) =>
+  respondToInvitation(invitationId, userId, false);
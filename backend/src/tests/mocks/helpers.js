@@ -70,6 +70,10 @@ export function createMockEstablishment(overrides = {}) {
     capacity: 50,
     status: 'active',
     average_rating: null,
+    average_food_rating: null,
+    average_service_rating: null,
+    average_atmosphere_rating: null,
+    average_value_rating: null,
     review_count: 0,
     created_at: new Date(),
     updated_at: new Date(),
@@ -0,0 +1,122 @@
+/**
+ * Unit Tests: completenessService.js
+ *
+ * Tests the listing completeness score and checklist. These tests verify:
+ * - Points for description, photos, hours, contacts and features
+ * - Checklist order and progress of count-based items
+ * - The configurable minimum score
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock dependencies
+jest.unstable_mockModule('../../models/mediaModel.js', () => ({
+  getMediaCountByType: jest.fn(),
+  hasPrimaryPhoto: jest.fn(),
+}));
+
+// Import after mocking
+const MediaModel = await import('../../models/mediaModel.js');
+
+const {
+  computeCompleteness,
+  getCompleteness,
+  getMinimumScore,
+  DESCRIPTION_MIN_LENGTH,
+} = await import('../../services/completenessService.js');
+
+import { createMockEstablishment } from '../mocks/helpers.js';
+
+describe('completenessService', () => {
+  const originalMinimum = process.env.MIN_COMPLETENESS_SCORE;
+
+  const completeEstablishment = createMockEstablishment({
+    description: 'a'.repeat(DESCRIPTION_MIN_LENGTH),
+    attributes: { features: ['wifi'] },
+  });
+  const completeMedia = { interior: 3, exterior: 1, menu: 2, dishes: 4 };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.MIN_COMPLETENESS_SCORE;
+  });
+
+  afterAll(() => {
+    if (originalMinimum === undefined) {
+      delete process.env.MIN_COMPLETENESS_SCORE;
+    } else {
+      process.env.MIN_COMPLETENESS_SCORE = originalMinimum;
+    }
+  });
+
+  describe('computeCompleteness', () => {
+    test('should score complete listing 100', () => {
+      const result = computeCompleteness(completeEstablishment, completeMedia, true);
+
+      expect(result.score).toBe(100);
+      expect(result.checklist.every(item => item.done)).toBe(true);
+      expect(result).toMatchObject({ minimum_score: 0, meets_minimum: true });
+    });
+
+    test('should list missing items first with progress', () => {
+      const result = computeCompleteness(
+        { ...completeEstablishment, description: 'Short', phone: null },
+        { interior: 1, menu: 1 },
+        true
+      );
+
+      expect(result.score).toBe(50);
+      expect(result.checklist.slice(0, 5).map(item => item.key)).toEqual([
+        'description',
+        'interior_photos',
+        'exterior_photo',
+        'dish_photos',
+        'phone',
+      ]);
+      expect(result.checklist[1]).toMatchObject({ done: false, current: 1, target: 3, points: 15 });
+      expect(result.checklist[0]).toMatchObject({ current: 5, target: DESCRIPTION_MIN_LENGTH });
+    });
+
+    test('should score bare listing without media', () => {
+      const result = computeCompleteness(
+        createMockEstablishment({ description: null, working_hours: null, email: null, website: null }),
+        {},
+        false
+      );
+
+      // Only the phone is set
+      expect(result.score).toBe(5);
+    });
+
+    test('should compare against configured minimum', () => {
+      process.env.MIN_COMPLETENESS_SCORE = '60';
+
+      const result = computeCompleteness(completeEstablishment, {}, false);
+
+      expect(result).toMatchObject({ score: 40, minimum_score: 60, meets_minimum: false });
+    });
+  });
+
+  describe('getMinimumScore', () => {
+    test('should clamp to 0..100 and ignore invalid values', () => {
+      process.env.MIN_COMPLETENESS_SCORE = '150';
+      expect(getMinimumScore()).toBe(100);
+
+      process.env.MIN_COMPLETENESS_SCORE = 'high';
+      expect(getMinimumScore()).toBe(0);
+    });
+  });
+
+  describe('getCompleteness', () => {
+    test('should load media counts and primary photo', async () => {
+      MediaModel.getMediaCountByType.mockResolvedValue(completeMedia);
+      MediaModel.hasPrimaryPhoto.mockResolvedValue(false);
+
+      const result = await getCompleteness(completeEstablishment);
+
+      expect(MediaModel.getMediaCountByType).toHaveBeenCalledWith(completeEstablishment.id);
+      expect(result.score).toBe(85);
+      expect(result.checklist[0]).toMatchObject({ key: 'primary_photo', done: false });
+    });
+  });
+});
@@ -0,0 +1,95 @@
+/**
+ * Unit Tests: duplicateModel.js
+ *
+ * Tests the merge transaction using a mocked database client.
+ * These tests verify:
+ * - Rows that copy the establishment of a review move with the reviews
+ * - The transaction is rolled back when an establishment was merged meanwhile
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock dependencies
+jest.unstable_mockModule('../../config/database.js', () => ({
+  default: {
+    query: jest.fn(),
+    connect: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule('../../models/moderationModel.js', () => ({
+  createLogEntry: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+// Import after mocking
+const pool = (await import('../../config/database.js')).default;
+
+const { mergeEstablishments } = await import('../../models/duplicateModel.js');
+
+describe('duplicateModel', () => {
+  const sourceId = 'source-1';
+  const targetId = 'target-1';
+  const adminId = 'admin-1';
+  const client = {
+    query: jest.fn(),
+    release: jest.fn(),
+  };
+
+  const lockedRows = [
+    { id: sourceId, status: 'active', merged_into_id: null },
+    { id: targetId, status: 'active', merged_into_id: null },
+  ];
+
+  const findQuery = (pattern) => client.query.mock.calls.find(([sql]) => pattern.test(sql));
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    pool.connect.mockResolvedValue(client);
+    client.query.mockImplementation(async (sql) => (
+      /FOR UPDATE/.test(sql) ? { rows: lockedRows, rowCount: 2 } : { rows: [], rowCount: 2 }
+    ));
+  });
+
+  describe('mergeEstablishments', () => {
+    test('should move review photos to the kept establishment', async () => {
+      const moved = await mergeEstablishments(sourceId, targetId, { adminId });
+
+      const [, params] = findQuery(/UPDATE review_photos/);
+      expect(params).toEqual([sourceId, targetId]);
+      expect(moved.review_photos).toBe(2);
+      expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+      expect(client.release).toHaveBeenCalled();
+    });
+
+    test('should move partner replies to the kept establishment', async () => {
+      const moved = await mergeEstablishments(sourceId, targetId, { adminId });
+
+      const [, params] = findQuery(/UPDATE review_replies/);
+      expect(params).toEqual([sourceId, targetId]);
+      expect(moved.review_replies).toBe(2);
+    });
+
+    test('should roll back when an establishment was merged meanwhile', async () => {
+      client.query.mockImplementation(async (sql) => (
+        /FOR UPDATE/.test(sql)
+          ? { rows: [lockedRows[0], { ...lockedRows[1], merged_into_id: 'other-1' }], rowCount: 2 }
+          : { rows: [], rowCount: 0 }
+      ));
+
+      const moved = await mergeEstablishments(sourceId, targetId, { adminId });
+
+      expect(moved).toBeNull();
+      expect(findQuery(/UPDATE review_photos/)).toBeUndefined();
+      expect(findQuery(/UPDATE review_replies/)).toBeUndefined();
+      expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+    });
+  });
+});
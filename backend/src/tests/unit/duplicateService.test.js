@@ -0,0 +1,255 @@
+/**
+ * Unit Tests: duplicateService.js
+ *
+ * Tests duplicate establishment detection and merging in isolation using
+ * mocked models. These tests verify:
+ * - Scoring of name, proximity and contact signals
+ * - Threshold filtering and candidate storage
+ * - Detection failures never blocking the caller
+ * - Dismissing candidates
+ * - Merge checks and rating recalculation
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock dependencies
+jest.unstable_mockModule('../../models/duplicateModel.js', () => ({
+  findPotentialDuplicates: jest.fn(),
+  saveCandidates: jest.fn(),
+  listCandidates: jest.fn(),
+  countCandidates: jest.fn(),
+  findCandidateById: jest.fn(),
+  dismissCandidate: jest.fn(),
+  mergeEstablishments: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/establishmentModel.js', () => ({
+  findEstablishmentById: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/reviewModel.js', () => ({
+  updateEstablishmentAggregates: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+// Import after mocking
+const DuplicateModel = await import('../../models/duplicateModel.js');
+const EstablishmentModel = await import('../../models/establishmentModel.js');
+const ReviewModel = await import('../../models/reviewModel.js');
+const logger = (await import('../../utils/logger.js')).default;
+
+const {
+  scoreCandidate,
+  detectDuplicates,
+  getCandidates,
+  dismissCandidate,
+  mergeEstablishments,
+} = await import('../../services/duplicateService.js');
+
+import { createMockEstablishment } from '../mocks/helpers.js';
+
+describe('duplicateService', () => {
+  const adminId = 'admin-123';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('scoreCandidate', () => {
+    test('should score same name at the same spot with same phone as 1', () => {
+      expect(scoreCandidate({
+        name_similarity: 1,
+        distance_m: 12,
+        phone_match: true,
+        website_match: false,
+      })).toBe(1);
+    });
+
+    test('should reduce proximity linearly beyond the radius', () => {
+      expect(scoreCandidate({
+        name_similarity: 0.8,
+        distance_m: 125,
+        phone_match: false,
+        website_match: false,
+      })).toBe(0.55);
+    });
+
+    test('should ignore proximity without coordinates', () => {
+      expect(scoreCandidate({
+        name_similarity: 0.4,
+        distance_m: null,
+        phone_match: false,
+        website_match: true,
+      })).toBe(0.4);
+    });
+  });
+
+  describe('detectDuplicates', () => {
+    const establishment = createMockEstablishment({ id: 'new-1' });
+
+    test('should store candidates above threshold, best first', async () => {
+      DuplicateModel.findPotentialDuplicates.mockResolvedValue([
+        { id: 'weak', name_similarity: 0.3, distance_m: 500, phone_match: false, website_match: false },
+        { id: 'near', name_similarity: 0.6, distance_m: 20, phone_match: false, website_match: false },
+        { id: 'exact', name_similarity: 1, distance_m: 5, phone_match: true, website_match: true },
+      ]);
+      DuplicateModel.saveCandidates.mockImplementation(async (id, candidates) => candidates);
+
+      const result = await detectDuplicates(establishment, 'create');
+
+      expect(DuplicateModel.saveCandidates).toHaveBeenCalledWith(
+        'new-1',
+        [
+          expect.objectContaining({ id: 'exact', score: 1 }),
+          expect.objectContaining({ id: 'near', score: 0.6 }),
+        ],
+        'create'
+      );
+      expect(result).toHaveLength(2);
+    });
+
+    test('should not store anything without matches', async () => {
+      DuplicateModel.findPotentialDuplicates.mockResolvedValue([
+        { id: 'weak', name_similarity: 0.35, distance_m: null, phone_match: false, website_match: false },
+      ]);
+
+      const result = await detectDuplicates(establishment, 'submit');
+
+      expect(result).toEqual([]);
+      expect(DuplicateModel.saveCandidates).not.toHaveBeenCalled();
+    });
+
+    test('should log and swallow errors', async () => {
+      DuplicateModel.findPotentialDuplicates.mockRejectedValue(new Error('function similarity does not exist'));
+
+      const result = await detectDuplicates(establishment, 'create');
+
+      expect(result).toEqual([]);
+      expect(logger.warn).toHaveBeenCalledWith(
+        'Duplicate detection failed',
+        expect.objectContaining({ establishmentId: 'new-1', trigger: 'create' })
+      );
+    });
+  });
+
+  describe('getCandidates', () => {
+    test('should default to open candidates with pagination metadata', async () => {
+      DuplicateModel.listCandidates.mockResolvedValue([{ id: 'candidate-1' }]);
+      DuplicateModel.countCandidates.mockResolvedValue(21);
+
+      const result = await getCandidates({ page: 2, limit: 20 });
+
+      expect(DuplicateModel.listCandidates).toHaveBeenCalledWith({ status: 'open', limit: 20, offset: 20 });
+      expect(result.meta).toEqual({ total: 21, page: 2, limit: 20, pages: 2 });
+    });
+
+    test('should reject unknown status', async () => {
+      await expect(getCandidates({ status: 'pending' })).rejects.toMatchObject({
+        statusCode: 422,
+        code: 'VALIDATION_ERROR',
+      });
+    });
+  });
+
+  describe('dismissCandidate', () => {
+    test('should dismiss open candidate', async () => {
+      DuplicateModel.findCandidateById.mockResolvedValue({ id: 'candidate-1', status: 'open' });
+      DuplicateModel.dismissCandidate.mockResolvedValue({ id: 'candidate-1', status: 'dismissed' });
+
+      const result = await dismissCandidate('candidate-1', adminId, 'Different floors of the mall');
+
+      expect(DuplicateModel.dismissCandidate).toHaveBeenCalledWith(
+        'candidate-1',
+        adminId,
+        'Different floors of the mall'
+      );
+      expect(result.status).toBe('dismissed');
+    });
+
+    test('should throw 404 for unknown candidate', async () => {
+      DuplicateModel.findCandidateById.mockResolvedValue(null);
+
+      await expect(dismissCandidate('missing', adminId)).rejects.toMatchObject({
+        statusCode: 404,
+        code: 'DUPLICATE_CANDIDATE_NOT_FOUND',
+      });
+    });
+
+    test('should throw 409 for resolved candidate', async () => {
+      DuplicateModel.findCandidateById.mockResolvedValue({ id: 'candidate-1', status: 'merged' });
+
+      await expect(dismissCandidate('candidate-1', adminId)).rejects.toMatchObject({
+        statusCode: 409,
+        code: 'DUPLICATE_CANDIDATE_RESOLVED',
+      });
+      expect(DuplicateModel.dismissCandidate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('mergeEstablishments', () => {
+    const target = createMockEstablishment({ id: 'target-1' });
+    const source = createMockEstablishment({ id: 'source-1' });
+
+    test('should merge and recalculate ratings of both establishments', async () => {
+      const moved = { reviews: 3, duplicate_reviews: 1, favorites: 5, media: 2 };
+      EstablishmentModel.findEstablishmentById.mockImplementation(async id => (id === 'target-1' ? target : source));
+      DuplicateModel.mergeEstablishments.mockResolvedValue(moved);
+
+      const result = await mergeEstablishments('target-1', 'source-1', adminId, 'Same cafe');
+
+      expect(DuplicateModel.mergeEstablishments).toHaveBeenCalledWith('source-1', 'target-1', {
+        adminId,
+        note: 'Same cafe',
+      });
+      expect(ReviewModel.updateEstablishmentAggregates).toHaveBeenCalledWith('target-1');
+      expect(ReviewModel.updateEstablishmentAggregates).toHaveBeenCalledWith('source-1');
+      expect(result).toEqual({ establishment: target, merged_id: 'source-1', moved });
+    });
+
+    test('should not merge establishment into itself', async () => {
+      await expect(mergeEstablishments('target-1', 'target-1', adminId)).rejects.toMatchObject({
+        statusCode: 422,
+        code: 'MERGE_SAME_ESTABLISHMENT',
+      });
+    });
+
+    test('should throw 404 when an establishment is missing', async () => {
+      EstablishmentModel.findEstablishmentById.mockImplementation(async id => (id === 'target-1' ? target : null));
+
+      await expect(mergeEstablishments('target-1', 'source-1', adminId)).rejects.toMatchObject({
+        statusCode: 404,
+        code: 'ESTABLISHMENT_NOT_FOUND',
+      });
+    });
+
+    test('should throw 409 when an establishment was already merged', async () => {
+      EstablishmentModel.findEstablishmentById.mockImplementation(async id => (
+        id === 'target-1' ? target : { ...source, merged_into_id: 'other-1' }
+      ));
+
+      await expect(mergeEstablishments('target-1', 'source-1', adminId)).rejects.toMatchObject({
+        statusCode: 409,
+        code: 'ESTABLISHMENT_ALREADY_MERGED',
+      });
+      expect(DuplicateModel.mergeEstablishments).not.toHaveBeenCalled();
+    });
+
+    test('should throw 409 when merged concurrently', async () => {
+      EstablishmentModel.findEstablishmentById.mockImplementation(async id => (id === 'target-1' ? target : source));
+      DuplicateModel.mergeEstablishments.mockResolvedValue(null);
+
+      await expect(mergeEstablishments('target-1', 'source-1', adminId)).rejects.toMatchObject({
+        statusCode: 409,
+        code: 'ESTABLISHMENT_ALREADY_MERGED',
+      });
+      expect(ReviewModel.updateEstablishmentAggregates).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -4,7 +4,7 @@
  * Tests establishment business logic in isolation using mocked model layer.
  * These tests verify:
  * - Establishment creation with validation
- * - Ownership verification
+ * - Ownership verification, including team roles
  * - Pagination and filtering
  * - Business rules enforcement
  * - Geographic bounds validation (Belarus-specific)
@@ -24,6 +24,53 @@ jest.unstable_mockModule('../../models/establishmentModel.js', () => ({
   deleteEstablishment: jest.fn(),
 }));
 
+jest.unstable_mockModule('../../models/mediaModel.js', () => ({
+  getEstablishmentMedia: jest.fn(),
+  getMediaCountByType: jest.fn(),
+  hasPrimaryPhoto: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/favoriteModel.js', () => ({
+  getEstablishmentFavoriteCount: jest.fn(),
+  isFavorite: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/reviewModel.js', () => ({
+  getRatingDistribution: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/moderationModel.js', () => ({
+  transitionStatus: jest.fn(),
+  getModerationLog: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/revisionModel.js', () => ({
+  savePendingRevision: jest.fn(),
+  findPendingRevision: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/organizationModel.js', () => ({
+  findOrganizationById: jest.fn(),
+  getPublicOrganization: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/scheduleModel.js', () => ({
+  getScheduleOverrides: jest.fn(),
+  getUpcomingExceptions: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/teamModel.js', () => ({
+  findActiveMemberRole: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../services/geocodingService.js', () => ({
+  checkLocation: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../services/duplicateService.js', () => ({
+  detectDuplicates: jest.fn(),
+}));
+
 jest.unstable_mockModule('../../utils/logger.js', () => ({
   default: {
     info: jest.fn(),
@@ -35,17 +82,30 @@ jest.unstable_mockModule('../../utils/logger.js', () => ({
 
 // Import after mocking
 const EstablishmentModel = await import('../../models/establishmentModel.js');
+const MediaModel = await import('../../models/mediaModel.js');
+const FavoriteModel = await import('../../models/favoriteModel.js');
+const ReviewModel = await import('../../models/reviewModel.js');
+const ModerationModel = await import('../../models/moderationModel.js');
+const RevisionModel = await import('../../models/revisionModel.js');
+const OrganizationModel = await import('../../models/organizationModel.js');
+const ScheduleModel = await import('../../models/scheduleModel.js');
+const TeamModel = await import('../../models/teamModel.js');
+const GeocodingService = await import('../../services/geocodingService.js');
+const DuplicateService = await import('../../services/duplicateService.js');
 const logger = (await import('../../utils/logger.js')).default;
 
 const {
   createEstablishment,
   getPartnerEstablishments,
   getEstablishmentById,
+  getPublicEstablishment,
   updateEstablishment,
+  submitEstablishmentForModeration,
 } = await import('../../services/establishmentService.js');
 
 import { createMockEstablishment, createMockPartner } from '../mocks/helpers.js';
 import { AppError } from '../../middleware/errorHandler.js';
+import { TEAM_PERMISSIONS } from '../../utils/teamPermissions.js';
 
 describe('establishmentService', () => {
   let partnerId;
@@ -55,6 +115,16 @@ describe('establishmentService', () => {
     jest.clearAllMocks();
     partnerId = 'partner-123';
     mockEstablishment = createMockEstablishment({ partner_id: partnerId });
+    GeocodingService.checkLocation.mockImplementation(async ({ address }) => ({
+      provider: 'offline',
+      normalized_address: address,
+      suggested_coordinates: null,
+      detected_city: 'Минск',
+      warnings: [],
+    }));
+    DuplicateService.detectDuplicates.mockResolvedValue([]);
+    MediaModel.getMediaCountByType.mockResolvedValue({});
+    MediaModel.hasPrimaryPhoto.mockResolvedValue(false);
   });
 
   describe('createEstablishment', () => {
@@ -88,10 +158,15 @@ describe('establishmentService', () => {
 
       const result = await createEstablishment(partnerId, validEstablishmentData);
 
-      expect(result).toEqual(mockEstablishment);
+      expect(result).toEqual({
+        ...mockEstablishment,
+        geocoding: expect.objectContaining({ warnings: [] }),
+      });
       expect(EstablishmentModel.checkDuplicateName).toHaveBeenCalledWith(
         partnerId,
-        validEstablishmentData.name
+        validEstablishmentData.name,
+        null,
+        null
       );
       expect(EstablishmentModel.createEstablishment).toHaveBeenCalledWith(
         expect.objectContaining({
@@ -100,12 +175,42 @@ describe('establishmentService', () => {
           city: validEstablishmentData.city,
         })
       );
+      expect(DuplicateService.detectDuplicates).toHaveBeenCalledWith(mockEstablishment, 'create');
       expect(logger.info).toHaveBeenCalledWith(
         'Establishment created successfully',
         expect.objectContaining({ partnerId })
       );
     });
 
+    test('should store normalized address and return location warnings', async () => {
+      const report = {
+        provider: 'offline',
+        normalized_address: 'пр-т Независимости, 16',
+        suggested_coordinates: { latitude: 53.8985, longitude: 27.5545, precision: 'house' },
+        detected_city: 'Минск',
+        warnings: [{ code: 'ADDRESS_MISMATCH', message: 'Coordinates are 3.2 km from the address' }],
+      };
+      GeocodingService.checkLocation.mockResolvedValue(report);
+      EstablishmentModel.checkDuplicateName.mockResolvedValue(false);
+      EstablishmentModel.createEstablishment.mockResolvedValue(mockEstablishment);
+
+      const result = await createEstablishment(partnerId, {
+        ...validEstablishmentData,
+        address: 'проспект независимости д.16',
+      });
+
+      expect(GeocodingService.checkLocation).toHaveBeenCalledWith({
+        city: 'Минск',
+        address: 'проспект независимости д.16',
+        latitude: 53.9,
+        longitude: 27.5,
+      });
+      expect(EstablishmentModel.createEstablishment).toHaveBeenCalledWith(
+        expect.objectContaining({ address: 'пр-т Независимости, 16' })
+      );
+      expect(result.geocoding).toEqual(report);
+    });
+
     test('should throw error for invalid city', async () => {
       const invalidData = {
         ...validEstablishmentData,
@@ -347,6 +452,50 @@ describe('establishmentService', () => {
         code: 'CONSTRAINT_VIOLATION',
       });
     });
+
+    test('should create branch inheriting organization description and cuisines', async () => {
+      OrganizationModel.findOrganizationById.mockResolvedValue({
+        id: 'org-1',
+        partner_id: partnerId,
+        description: 'Сеть пиццерий',
+        cuisines: ['Итальянская'],
+      });
+      EstablishmentModel.checkDuplicateName.mockResolvedValue(false);
+      EstablishmentModel.createEstablishment.mockResolvedValue(mockEstablishment);
+
+      const branchData = { ...validEstablishmentData };
+      delete branchData.description;
+      delete branchData.cuisines;
+      await createEstablishment(partnerId, { ...branchData, organization_id: 'org-1' });
+
+      expect(EstablishmentModel.checkDuplicateName).toHaveBeenCalledWith(
+        partnerId,
+        validEstablishmentData.name,
+        null,
+        'org-1'
+      );
+      expect(EstablishmentModel.createEstablishment).toHaveBeenCalledWith(
+        expect.objectContaining({
+          description: 'Сеть пиццерий',
+          cuisines: ['Итальянская'],
+          organization_id: 'org-1',
+        })
+      );
+    });
+
+    test('should reject organization of another partner', async () => {
+      OrganizationModel.findOrganizationById.mockResolvedValue({
+        id: 'org-1',
+        partner_id: 'other-partner',
+        cuisines: [],
+      });
+
+      await expect(
+        createEstablishment(partnerId, { ...validEstablishmentData, organization_id: 'org-1' })
+      ).rejects.toMatchObject({ statusCode: 404, code: 'ORGANIZATION_NOT_FOUND' });
+
+      expect(EstablishmentModel.createEstablishment).not.toHaveBeenCalled();
+    });
   });
 
   describe('getPartnerEstablishments', () => {
@@ -361,7 +510,10 @@ describe('establishmentService', () => {
 
       const result = await getPartnerEstablishments(partnerId);
 
-      expect(result.establishments).toEqual(mockEstablishments);
+      expect(result.establishments).toEqual(mockEstablishments.map(establishment => ({
+        ...establishment,
+        completeness: expect.objectContaining({ score: expect.any(Number) }),
+      })));
       expect(result.meta).toEqual({
         total: 15,
         page: 1,
@@ -453,13 +605,19 @@ describe('establishmentService', () => {
     test('should fetch establishment when partner owns it', async () => {
       EstablishmentModel.checkOwnership.mockResolvedValue(true);
       EstablishmentModel.findEstablishmentById.mockResolvedValue(mockEstablishment);
+      RevisionModel.findPendingRevision.mockResolvedValue(null);
 
       const result = await getEstablishmentById(establishmentId, partnerId);
 
-      expect(result).toEqual(mockEstablishment);
+      expect(result).toEqual({
+        ...mockEstablishment,
+        pending_revision: null,
+        completeness: expect.objectContaining({ score: expect.any(Number) }),
+      });
       expect(EstablishmentModel.checkOwnership).toHaveBeenCalledWith(
         establishmentId,
-        partnerId
+        partnerId,
+        TEAM_PERMISSIONS.view
       );
       expect(EstablishmentModel.findEstablishmentById).toHaveBeenCalledWith(
         establishmentId,
@@ -467,6 +625,22 @@ describe('establishmentService', () => {
       );
     });
 
+    test('should include completeness checklist from media counts', async () => {
+      EstablishmentModel.checkOwnership.mockResolvedValue(true);
+      EstablishmentModel.findEstablishmentById.mockResolvedValue(mockEstablishment);
+      RevisionModel.findPendingRevision.mockResolvedValue(null);
+      MediaModel.getMediaCountByType.mockResolvedValue({ interior: 3, menu: 1 });
+      MediaModel.hasPrimaryPhoto.mockResolvedValue(true);
+
+      const result = await getEstablishmentById(establishmentId, partnerId);
+
+      expect(MediaModel.getMediaCountByType).toHaveBeenCalledWith(mockEstablishment.id);
+      expect(result.completeness.checklist).toEqual(expect.arrayContaining([
+        expect.objectContaining({ key: 'interior_photos', done: true, current: 3 }),
+        expect.objectContaining({ key: 'dish_photos', done: false, current: 0, target: 3 }),
+      ]));
+    });
+
     test('should throw error when partner does not own establishment', async () => {
       EstablishmentModel.checkOwnership.mockResolvedValue(false);
 
@@ -500,6 +674,133 @@ describe('establishmentService', () => {
     });
   });
 
+  describe('getPublicEstablishment', () => {
+    const establishmentId = 'establishment-123';
+    const distribution = { 1: 0, 2: 1, 3: 0, 4: 3, 5: 6 };
+
+    beforeEach(() => {
+      MediaModel.getEstablishmentMedia.mockResolvedValue([
+        { id: 'm1', type: 'interior', is_primary: true },
+        { id: 'm2', type: 'menu', is_primary: false },
+        { id: 'm3', type: 'interior', is_primary: false },
+      ]);
+      ReviewModel.getRatingDistribution.mockResolvedValue(distribution);
+      FavoriteModel.getEstablishmentFavoriteCount.mockResolvedValue(7);
+      ScheduleModel.getScheduleOverrides.mockResolvedValue({});
+      ScheduleModel.getUpcomingExceptions.mockResolvedValue([]);
+    });
+
+    test('should return active establishment card with media, ratings and open state', async () => {
+      EstablishmentModel.findEstablishmentById.mockResolvedValue({
+        ...mockEstablishment,
+        moderation_notes: 'internal',
+        boost_score: 10,
+      });
+
+      const result = await getPublicEstablishment(establishmentId);
+
+      expect(result.media.interior.map(item => item.id)).toEqual(['m1', 'm3']);
+      expect(result.media.menu).toHaveLength(1);
+      expect(result.primary_photo.id).toBe('m1');
+      expect(result.rating_distribution).toEqual(distribution);
+      expect(result.favorite_count).toBe(7);
+      expect(result.is_favorite).toBe(false);
+      expect(result).toHaveProperty('is_open');
+      expect(result).not.toHaveProperty('moderation_notes');
+      expect(result).not.toHaveProperty('boost_score');
+      expect(FavoriteModel.isFavorite).not.toHaveBeenCalled();
+    });
+
+    test('should fall back to the features column when attributes have no features', async () => {
+      EstablishmentModel.findEstablishmentById.mockResolvedValue({
+        ...mockEstablishment,
+        attributes: { capacity: 40 },
+        features: ['wifi', 'parking'],
+      });
+
+      const result = await getPublicEstablishment(establishmentId);
+
+      expect(result.features).toEqual(['wifi', 'parking']);
+    });
+
+    test('should prefer attributes.features over the features column', async () => {
+      EstablishmentModel.findEstablishmentById.mockResolvedValue({
+        ...mockEstablishment,
+        attributes: { features: ['terrace'] },
+        features: ['wifi'],
+      });
+
+      const result = await getPublicEstablishment(establishmentId);
+
+      expect(result.features).toEqual(['terrace']);
+    });
+
+    test('should report is_favorite for authenticated viewer', async () => {
+      EstablishmentModel.findEstablishmentById.mockResolvedValue(mockEstablishment);
+      FavoriteModel.isFavorite.mockResolvedValue(true);
+
+      const result = await getPublicEstablishment(establishmentId, 'user-1');
+
+      expect(result.is_favorite).toBe(true);
+      expect(FavoriteModel.isFavorite).toHaveBeenCalledWith('user-1', establishmentId);
+    });
+
+    test('should include organization branding for chain branches', async () => {
+      const organization = { id: 'org-1', name: 'Пицца Темпо', logo_url: 'https://cdn/logo.png', branch_count: 4 };
+      EstablishmentModel.findEstablishmentById.mockResolvedValue({ ...mockEstablishment, organization_id: 'org-1' });
+      OrganizationModel.getPublicOrganization.mockResolvedValue(organization);
+
+      const result = await getPublicEstablishment(establishmentId);
+
+      expect(result.organization).toEqual(organization);
+      expect(OrganizationModel.getPublicOrganization).toHaveBeenCalledWith('org-1');
+    });
+
+    test('should apply schedule exceptions to the open state and list them', async () => {
+      const closure = {
+        source: 'establishment',
+        type: 'closure',
+        name: 'Ремонт',
+        start_date: '2026-10-01',
+        end_date: '2026-12-31',
+        hours: null,
+      };
+      EstablishmentModel.findEstablishmentById.mockResolvedValue({
+        ...mockEstablishment,
+        is_24_hours: true,
+      });
+      ScheduleModel.getScheduleOverrides.mockImplementation(async (id, from, to) => {
+        const overrides = {};
+        for (let day = new Date(from); day <= new Date(to); day.setUTCDate(day.getUTCDate() + 1)) {
+          overrides[day.toISOString().slice(0, 10)] = { closed: true };
+        }
+        return overrides;
+      });
+      ScheduleModel.getUpcomingExceptions.mockResolvedValue([closure]);
+
+      const result = await getPublicEstablishment(establishmentId);
+
+      expect(result.is_open).toBe(false);
+      expect(result.upcoming_exceptions).toEqual([closure]);
+      expect(ScheduleModel.getUpcomingExceptions).toHaveBeenCalledWith(
+        establishmentId,
+        expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/),
+        expect.stringMatching(/^\d{4}-\d{2}-\d{2}$/)
+      );
+    });
+
+    test('should hide establishments that are not active', async () => {
+      EstablishmentModel.findEstablishmentById.mockResolvedValue({ ...mockEstablishment, status: 'pending' });
+
+      await expect(getPublicEstablishment(establishmentId)).rejects.toMatchObject({
+        statusCode: 404,
+        code: 'ESTABLISHMENT_NOT_FOUND',
+      });
+
+      expect(MediaModel.getEstablishmentMedia).not.toHaveBeenCalled();
+    });
+  });
+
   describe('updateEstablishment', () => {
     const establishmentId = 'establishment-123';
 
@@ -509,13 +810,14 @@ describe('establishmentService', () => {
         phone: '+375171234568',
       };
 
+      const draftEstablishment = { ...mockEstablishment, status: 'draft' };
       const updatedEstablishment = {
-        ...mockEstablishment,
+        ...draftEstablishment,
         ...updates,
       };
 
       EstablishmentModel.checkOwnership.mockResolvedValue(true);
-      EstablishmentModel.findEstablishmentById.mockResolvedValue(mockEstablishment);
+      EstablishmentModel.findEstablishmentById.mockResolvedValue(draftEstablishment);
       EstablishmentModel.updateEstablishment.mockResolvedValue(updatedEstablishment);
 
       const result = await updateEstablishment(establishmentId, partnerId, updates);
@@ -523,8 +825,116 @@ describe('establishmentService', () => {
       expect(result).toEqual(updatedEstablishment);
       expect(EstablishmentModel.checkOwnership).toHaveBeenCalledWith(
         establishmentId,
-        partnerId
+        partnerId,
+        TEAM_PERMISSIONS.edit
+      );
+    });
+
+    test('should save edits to active establishment as pending revision', async () => {
+      const updates = {
+        categories: ['Бар'],
+        working_hours: { monday: '10:00-23:00' },
+        status: 'active',
+      };
+      const revision = { id: 'revision-1', status: 'pending' };
+
+      EstablishmentModel.checkOwnership.mockResolvedValue(true);
+      EstablishmentModel.findEstablishmentById.mockResolvedValue(mockEstablishment);
+      RevisionModel.savePendingRevision.mockResolvedValue(revision);
+
+      const result = await updateEstablishment(establishmentId, partnerId, updates);
+
+      expect(RevisionModel.savePendingRevision).toHaveBeenCalledWith(
+        establishmentId,
+        partnerId,
+        { categories: ['Бар'], working_hours: { monday: '10:00-23:00' } },
+        'partner'
       );
+      expect(TeamModel.findActiveMemberRole).not.toHaveBeenCalled();
+      expect(EstablishmentModel.updateEstablishment).not.toHaveBeenCalled();
+      expect(result.name).toBe(mockEstablishment.name);
+      expect(result.status).toBe('active');
+      expect(result.pending_revision).toEqual(revision);
+    });
+
+    test('should attribute revision of a team member to their team role', async () => {
+      const editorId = 'editor-456';
+
+      EstablishmentModel.checkOwnership.mockResolvedValue(true);
+      EstablishmentModel.findEstablishmentById.mockResolvedValue(mockEstablishment);
+      TeamModel.findActiveMemberRole.mockResolvedValue('content_editor');
+      RevisionModel.savePendingRevision.mockResolvedValue({ id: 'revision-1', status: 'pending' });
+
+      await updateEstablishment(establishmentId, editorId, { description: 'Updated description' });
+
+      expect(TeamModel.findActiveMemberRole).toHaveBeenCalledWith(mockEstablishment.id, editorId);
+      expect(RevisionModel.savePendingRevision).toHaveBeenCalledWith(
+        establishmentId,
+        editorId,
+        { description: 'Updated description' },
+        'content_editor'
+      );
+    });
+
+    test('should reject revision of a member removed from the team after the ownership check', async () => {
+      EstablishmentModel.checkOwnership.mockResolvedValue(true);
+      EstablishmentModel.findEstablishmentById.mockResolvedValue(mockEstablishment);
+      TeamModel.findActiveMemberRole.mockResolvedValue(null);
+
+      await expect(
+        updateEstablishment(establishmentId, 'editor-456', { description: 'Updated description' })
+      ).rejects.toMatchObject({
+        statusCode: 403,
+        code: 'FORBIDDEN',
+      });
+      expect(RevisionModel.savePendingRevision).not.toHaveBeenCalled();
+    });
+
+    test('should check location against current values when address changes', async () => {
+      const draftEstablishment = {
+        ...mockEstablishment,
+        status: 'draft',
+        city: 'Гродно',
+        latitude: 53.68,
+        longitude: 23.83,
+      };
+      EstablishmentModel.checkOwnership.mockResolvedValue(true);
+      EstablishmentModel.findEstablishmentById.mockResolvedValue(draftEstablishment);
+      EstablishmentModel.updateEstablishment.mockResolvedValue(draftEstablishment);
+      GeocodingService.checkLocation.mockResolvedValue({
+        provider: 'offline',
+        normalized_address: 'ул. Советская, 5',
+        suggested_coordinates: null,
+        detected_city: 'Гродно',
+        warnings: [],
+      });
+
+      const result = await updateEstablishment(establishmentId, partnerId, {
+        address: 'Советская ул 5',
+      });
+
+      expect(GeocodingService.checkLocation).toHaveBeenCalledWith({
+        city: 'Гродно',
+        address: 'Советская ул 5',
+        latitude: 53.68,
+        longitude: 23.83,
+      });
+      expect(EstablishmentModel.updateEstablishment).toHaveBeenCalledWith(
+        establishmentId,
+        { address: 'ул. Советская, 5' }
+      );
+      expect(result.geocoding.detected_city).toBe('Гродно');
+    });
+
+    test('should not geocode when location fields are unchanged', async () => {
+      EstablishmentModel.checkOwnership.mockResolvedValue(true);
+      EstablishmentModel.findEstablishmentById.mockResolvedValue({ ...mockEstablishment, status: 'draft' });
+      EstablishmentModel.updateEstablishment.mockResolvedValue({ ...mockEstablishment, status: 'draft' });
+
+      const result = await updateEstablishment(establishmentId, partnerId, { description: 'New' });
+
+      expect(GeocodingService.checkLocation).not.toHaveBeenCalled();
+      expect(result.geocoding).toBeUndefined();
     });
 
     test('should throw error when partner does not own establishment', async () => {
@@ -540,4 +950,92 @@ describe('establishmentService', () => {
       expect(EstablishmentModel.updateEstablishment).not.toHaveBeenCalled();
     });
   });
+
+  describe('submitEstablishmentForModeration', () => {
+    const originalMinimum = process.env.MIN_COMPLETENESS_SCORE;
+    let draft;
+
+    beforeEach(() => {
+      draft = { ...mockEstablishment, status: 'draft' };
+      EstablishmentModel.checkOwnership.mockResolvedValue(true);
+      EstablishmentModel.findEstablishmentById.mockResolvedValue(draft);
+      ModerationModel.transitionStatus.mockResolvedValue({
+        establishment: { ...draft, status: 'pending' },
+        logEntry: { action: 'submit' },
+      });
+    });
+
+    afterEach(() => {
+      if (originalMinimum === undefined) {
+        delete process.env.MIN_COMPLETENESS_SCORE;
+      } else {
+        process.env.MIN_COMPLETENESS_SCORE = originalMinimum;
+      }
+    });
+
+    test('should submit without completeness check when no minimum is set', async () => {
+      delete process.env.MIN_COMPLETENESS_SCORE;
+
+      const result = await submitEstablishmentForModeration(draft.id, partnerId);
+
+      expect(result.status).toBe('pending');
+      expect(MediaModel.getMediaCountByType).not.toHaveBeenCalled();
+      expect(DuplicateService.detectDuplicates).toHaveBeenCalledWith(draft, 'submit');
+      expect(ModerationModel.transitionStatus).toHaveBeenCalledWith(draft.id, expect.objectContaining({
+        actorId: partnerId,
+        actorRole: 'partner',
+      }));
+    });
+
+    test('should log submission by a team member with their team role', async () => {
+      TeamModel.findActiveMemberRole.mockResolvedValue('manager');
+
+      await submitEstablishmentForModeration(draft.id, 'manager-789');
+
+      expect(ModerationModel.transitionStatus).toHaveBeenCalledWith(draft.id, expect.objectContaining({
+        actorId: 'manager-789',
+        actorRole: 'manager',
+      }));
+    });
+
+    test('should not log submission without a team role', async () => {
+      TeamModel.findActiveMemberRole.mockResolvedValue(null);
+
+      await expect(submitEstablishmentForModeration(draft.id, 'manager-789')).rejects.toMatchObject({
+        statusCode: 403,
+        code: 'FORBIDDEN',
+      });
+      expect(ModerationModel.transitionStatus).not.toHaveBeenCalled();
+    });
+
+    test('should reject listing below minimum completeness with checklist', async () => {
+      process.env.MIN_COMPLETENESS_SCORE = '70';
+      MediaModel.getMediaCountByType.mockResolvedValue({ interior: 1 });
+
+      const error = await submitEstablishmentForModeration(draft.id, partnerId).catch(e => e);
+
+      expect(error).toMatchObject({
+        statusCode: 400,
+        code: 'COMPLETENESS_BELOW_MINIMUM',
+      });
+      expect(error.details.completeness).toMatchObject({ minimum_score: 70, meets_minimum: false });
+      expect(error.message).toContain('primary_photo');
+      expect(ModerationModel.transitionStatus).not.toHaveBeenCalled();
+    });
+
+    test('should submit listing meeting minimum completeness', async () => {
+      process.env.MIN_COMPLETENESS_SCORE = '70';
+      EstablishmentModel.findEstablishmentById.mockResolvedValue({
+        ...draft,
+        description: 'a'.repeat(200),
+      });
+      MediaModel.getMediaCountByType.mockResolvedValue({ interior: 3, menu: 1, dishes: 3 });
+      MediaModel.hasPrimaryPhoto.mockResolvedValue(true);
+
+      const result = await submitEstablishmentForModeration(draft.id, partnerId);
+
+      expect(result.status).toBe('pending');
+      expect(ModerationModel.transitionStatus).toHaveBeenCalled();
+    });
+  });
 });
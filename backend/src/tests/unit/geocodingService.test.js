@@ -0,0 +1,239 @@
+/**
+ * Unit Tests: geocodingService.js
+ *
+ * Tests address normalization and location checks with the offline
+ * geocoder and its local dataset. These tests verify:
+ * - Address normalization (street types, house numbers, city prefixes)
+ * - Forward geocoding with house interpolation
+ * - Reverse geocoding to city and nearest street
+ * - City and address mismatch warnings
+ * - Pluggable geocoder providers
+ */
+
+import { jest } from '@jest/globals';
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    debug: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+const {
+  checkLocation,
+  reverseGeocode,
+  registerGeocoder,
+} = await import('../../services/geocodingService.js');
+const { normalizeAddress, distanceKm } = await import('../../utils/geocoding.js');
+const offlineGeocoder = await import('../../utils/offlineGeocoder.js');
+
+describe('geocodingService', () => {
+  describe('normalizeAddress', () => {
+    test('should expand street type and drop city prefix', () => {
+      expect(normalizeAddress('г. Минск, проспект независимости д.16')).toBe('пр-т Независимости, 16');
+    });
+
+    test('should unify abbreviations and spacing', () => {
+      expect(normalizeAddress('ул.Немига 5')).toBe('ул. Немига, 5');
+      expect(normalizeAddress('  пр.  Победителей,  9а ')).toBe('пр-т Победителей, 9А');
+    });
+
+    test('should move trailing street type and join building to house', () => {
+      expect(normalizeAddress('Немига ул., д. 3, корп. 2')).toBe('ул. Немига, 3к2');
+    });
+
+    test('should drop country and postcode, keep unknown parts', () => {
+      expect(normalizeAddress('Беларусь, 220030, Минск, ул. Ленина 2/1, пом. 4'))
+        .toBe('ул. Ленина, 2/1, пом. 4');
+    });
+
+    test('should not take numbers in street names for house numbers', () => {
+      expect(normalizeAddress('ул. 8 Марта, 12')).toBe('ул. 8 Марта, 12');
+    });
+  });
+
+  describe('offline geocoder', () => {
+    test('should interpolate house position between reference houses', async () => {
+      const result = await offlineGeocoder.geocode('пр. Независимости, 16', 'Минск');
+
+      expect(result).toMatchObject({
+        latitude: 53.8985,
+        longitude: 27.5545,
+        precision: 'house',
+        address: 'пр-т Независимости, 16',
+      });
+
+      const between = await offlineGeocoder.geocode('пр-т Независимости, 28', 'Минск');
+      expect(between.latitude).toBeGreaterThan(53.8985);
+      expect(between.latitude).toBeLessThan(53.9086);
+    });
+
+    test('should return null for unknown street or city', async () => {
+      expect(await offlineGeocoder.geocode('ул. Несуществующая, 1', 'Минск')).toBeNull();
+      expect(await offlineGeocoder.geocode('ул. Немига, 1', 'Москва')).toBeNull();
+    });
+
+    test('should reverse geocode to nearest street', async () => {
+      const result = await offlineGeocoder.reverseGeocode(53.9050, 27.5517);
+
+      expect(result).toMatchObject({
+        city: 'Минск',
+        street: 'ул. Немига',
+        house_number: '12',
+        address: 'ул. Немига, 12',
+      });
+    });
+
+    test('should return city without address far from known streets', async () => {
+      const result = await offlineGeocoder.reverseGeocode(53.85, 27.65);
+
+      expect(result).toEqual({
+        city: 'Минск',
+        address: null,
+        street: null,
+        house_number: null,
+        distance_km: null,
+      });
+    });
+  });
+
+  describe('checkLocation', () => {
+    test('should pass location matching city and address', async () => {
+      const report = await checkLocation({
+        city: 'Минск',
+        address: 'ул.Немига 12',
+        latitude: '53.905',
+        longitude: '27.5516',
+      });
+
+      expect(report).toEqual({
+        provider: 'offline',
+        normalized_address: 'ул. Немига, 12',
+        suggested_coordinates: null,
+        detected_city: 'Минск',
+        warnings: [],
+      });
+    });
+
+    test('should flag coordinates in another city', async () => {
+      const report = await checkLocation({
+        city: 'Гродно',
+        address: 'ул. Советская, 5',
+        latitude: 53.9006,
+        longitude: 27.559,
+      });
+
+      expect(report.detected_city).toBe('Минск');
+      expect(report.warnings.map(warning => warning.code)).toEqual(['CITY_MISMATCH', 'ADDRESS_MISMATCH']);
+    });
+
+    test('should suggest address coordinates when far from stated ones', async () => {
+      const report = await checkLocation({
+        city: 'Минск',
+        address: 'пр-т Независимости, 186',
+        latitude: 53.9006,
+        longitude: 27.559,
+      });
+
+      expect(report.suggested_coordinates).toEqual({
+        latitude: 53.9452,
+        longitude: 27.6957,
+        precision: 'house',
+      });
+      expect(report.warnings).toEqual([
+        expect.objectContaining({ code: 'ADDRESS_MISMATCH' }),
+      ]);
+    });
+
+    test('should flag coordinates outside every city', async () => {
+      const report = await checkLocation({
+        city: 'Минск',
+        address: 'ул. Немига, 1',
+        latitude: 52.5,
+        longitude: 26.0,
+      });
+
+      expect(report.detected_city).toBeNull();
+      expect(report.warnings[0]).toEqual({
+        code: 'CITY_MISMATCH',
+        message: 'Coordinates are outside Минск',
+      });
+    });
+  });
+
+  describe('reverseGeocode', () => {
+    test('should include provider name', async () => {
+      const result = await reverseGeocode(53.9050, 27.5517);
+
+      expect(result).toMatchObject({ provider: 'offline', city: 'Минск' });
+    });
+
+    test('should throw 404 outside supported cities', async () => {
+      await expect(reverseGeocode(52.5, 26.0)).rejects.toMatchObject({
+        statusCode: 404,
+        code: 'LOCATION_NOT_FOUND',
+      });
+    });
+  });
+
+  describe('providers', () => {
+    const originalProvider = process.env.GEOCODER_PROVIDER;
+
+    afterEach(() => {
+      if (originalProvider === undefined) {
+        delete process.env.GEOCODER_PROVIDER;
+      } else {
+        process.env.GEOCODER_PROVIDER = originalProvider;
+      }
+      registerGeocoder('offline', offlineGeocoder.default);
+    });
+
+    test('should use registered provider selected by GEOCODER_PROVIDER', async () => {
+      const failing = {
+        name: 'failing',
+        geocode: jest.fn().mockRejectedValue(new Error('Service unavailable')),
+        reverseGeocode: jest.fn().mockRejectedValue(new Error('Service unavailable')),
+      };
+      registerGeocoder('failing', failing);
+      process.env.GEOCODER_PROVIDER = 'failing';
+
+      // Provider errors do not block saving: the address is still normalized
+      const report = await checkLocation({
+        city: 'Минск',
+        address: 'ул.Немига 12',
+        latitude: 53.905,
+        longitude: 27.5516,
+      });
+
+      expect(failing.geocode).toHaveBeenCalledWith('ул.Немига 12', 'Минск');
+      expect(report).toMatchObject({
+        provider: 'failing',
+        normalized_address: 'ул. Немига, 12',
+        warnings: [],
+      });
+      await expect(reverseGeocode(53.905, 27.5516)).rejects.toMatchObject({
+        statusCode: 500,
+        code: 'GEOCODING_FAILED',
+      });
+    });
+
+    test('should reject providers without the geocoder interface', () => {
+      expect(() => registerGeocoder('broken', { geocode: () => null })).toThrow(
+        'must implement geocode and reverseGeocode'
+      );
+    });
+  });
+
+  describe('distanceKm', () => {
+    test('should measure distance between points', () => {
+      const distance = distanceKm(
+        { latitude: 53.9, longitude: 27.55 },
+        { latitude: 53.91, longitude: 27.55 }
+      );
+
+      expect(distance).toBeCloseTo(1.11, 2);
+    });
+  });
+});
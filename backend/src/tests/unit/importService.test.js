@@ -0,0 +1,278 @@
+/**
+ * Unit Tests: importService.js
+ *
+ * Tests bulk import of establishments in isolation using mocked models.
+ * These tests verify:
+ * - CSV and JSON file parsing
+ * - Per-row validation with the creation rules
+ * - Duplicate names and external IDs within the file
+ * - Upsert by external_id following the moderation workflow
+ * - Dry run and the import report
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock dependencies
+jest.unstable_mockModule('../../models/importModel.js', () => ({
+  isPartner: jest.fn(),
+  applyImport: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/establishmentModel.js', () => ({
+  findByExternalIds: jest.fn(),
+  checkDuplicateName: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/organizationModel.js', () => ({
+  findOrganizationById: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+// Import after mocking
+const ImportModel = await import('../../models/importModel.js');
+const EstablishmentModel = await import('../../models/establishmentModel.js');
+const OrganizationModel = await import('../../models/organizationModel.js');
+
+const {
+  parseImportFile,
+  importEstablishments,
+  MAX_IMPORT_ROWS,
+} = await import('../../services/importService.js');
+
+describe('importService', () => {
+  const partnerId = 'partner-1';
+  const organizationId = '7d9f4c2a-1b3e-4f5a-8c6d-9e0f1a2b3c4d';
+
+  const validRow = (overrides = {}) => ({
+    name: 'Кафе Васильки',
+    city: 'Минск',
+    address: 'пр. Независимости, 16',
+    latitude: 53.9,
+    longitude: 27.56,
+    categories: ['Ресторан'],
+    cuisines: ['Народная'],
+    working_hours: { monday: { open: '10:00', close: '22:00' } },
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    EstablishmentModel.findByExternalIds.mockResolvedValue([]);
+    EstablishmentModel.checkDuplicateName.mockResolvedValue(false);
+    ImportModel.isPartner.mockResolvedValue(true);
+    ImportModel.applyImport.mockImplementation(async (operations) =>
+      operations.map(operation => ({
+        row: operation.row,
+        establishmentId: operation.establishmentId || `new-${operation.row}`,
+      }))
+    );
+  });
+
+  describe('parseImportFile', () => {
+    test('should parse CSV with lists and JSON cells', () => {
+      const csv = [
+        'name;city;address;latitude;longitude;categories;cuisines;working_hours;external_id',
+        'Кафе Васильки;Минск;"пр. Независимости, 16";53.9;27.56;Ресторан|Бар;Народная;"{""monday"":{""open"":""10:00"",""close"":""22:00""}}";pos-1',
+      ].join('\r\n');
+
+      const rows = parseImportFile({
+        originalname: 'establishments.csv',
+        mimetype: 'text/csv',
+        buffer: Buffer.from(`\uFEFF${csv}`),
+      });
+
+      expect(rows).toEqual([{
+        name: 'Кафе Васильки',
+        city: 'Минск',
+        address: 'пр. Независимости, 16',
+        latitude: '53.9',
+        longitude: '27.56',
+        categories: ['Ресторан', 'Бар'],
+        cuisines: ['Народная'],
+        working_hours: { monday: { open: '10:00', close: '22:00' } },
+        external_id: 'pos-1',
+      }]);
+    });
+
+    test('should accept a JSON object with an establishments array', () => {
+      const rows = parseImportFile({
+        originalname: 'establishments.json',
+        mimetype: 'application/json',
+        buffer: Buffer.from(JSON.stringify({ establishments: [validRow()] })),
+      });
+
+      expect(rows).toHaveLength(1);
+    });
+
+    test('should reject malformed files', () => {
+      expect(() => parseImportFile({
+        originalname: 'establishments.json',
+        mimetype: 'application/json',
+        buffer: Buffer.from('[{"name":'),
+      })).toThrow(expect.objectContaining({ statusCode: 422, code: 'IMPORT_FILE_INVALID' }));
+    });
+  });
+
+  describe('importEstablishments', () => {
+    test('should reject empty and oversized imports', async () => {
+      await expect(importEstablishments(partnerId, []))
+        .rejects.toMatchObject({ code: 'IMPORT_EMPTY' });
+
+      const rows = Array.from({ length: MAX_IMPORT_ROWS + 1 }, () => validRow());
+      await expect(importEstablishments(partnerId, rows))
+        .rejects.toMatchObject({ code: 'IMPORT_TOO_LARGE' });
+    });
+
+    test('should report invalid rows and import the valid ones', async () => {
+      const report = await importEstablishments(partnerId, [
+        validRow({ external_id: 'pos-1' }),
+        validRow({ name: 'Без координат', latitude: undefined, city: 'Париж' }),
+      ]);
+
+      expect(report.summary).toEqual({
+        total: 2, valid: 1, failed: 1, created: 1, updated: 0, revision_pending: 0,
+      });
+      expect(report.rows[0]).toMatchObject({ row: 1, status: 'created', establishment_id: 'new-1' });
+      expect(report.rows[1].errors.map(error => error.field)).toEqual(
+        expect.arrayContaining(['latitude', 'city'])
+      );
+
+      const [operations] = ImportModel.applyImport.mock.calls[0];
+      expect(operations).toHaveLength(1);
+      expect(operations[0].data).toMatchObject({
+        partner_id: partnerId,
+        external_id: 'pos-1',
+        latitude: 53.9,
+      });
+    });
+
+    test('should not write anything on a dry run', async () => {
+      const report = await importEstablishments(partnerId, [validRow()], { dryRun: true });
+
+      expect(report.dry_run).toBe(true);
+      expect(report.rows[0]).toMatchObject({ action: 'create', status: 'valid' });
+      expect(ImportModel.applyImport).not.toHaveBeenCalled();
+    });
+
+    test('should reject duplicate names and external IDs within the file', async () => {
+      const report = await importEstablishments(partnerId, [
+        validRow({ external_id: 'pos-1' }),
+        validRow({ external_id: 'pos-2' }),
+        validRow({ name: 'Другое кафе', external_id: 'pos-1' }),
+      ], { dryRun: true });
+
+      expect(report.rows.map(row => row.status)).toEqual(['valid', 'failed', 'failed']);
+      expect(report.rows[1].errors[0].field).toBe('name');
+      expect(report.rows[2].errors[0].field).toBe('external_id');
+    });
+
+    test('should allow branches of one organization to share a name', async () => {
+      OrganizationModel.findOrganizationById.mockResolvedValue({
+        id: organizationId,
+        partner_id: partnerId,
+        description: 'Сеть кофеен',
+        cuisines: ['Европейская'],
+      });
+
+      const branch = { organization_id: organizationId, cuisines: undefined };
+      const report = await importEstablishments(partnerId, [
+        validRow(branch),
+        validRow({ ...branch, address: 'ул. Немига, 5' }),
+      ]);
+
+      expect(report.summary.created).toBe(2);
+      expect(OrganizationModel.findOrganizationById).toHaveBeenCalledTimes(1);
+      expect(ImportModel.applyImport.mock.calls[0][0][0].data).toMatchObject({
+        description: 'Сеть кофеен',
+        cuisines: ['Европейская'],
+      });
+    });
+
+    test('should reject organizations of other partners', async () => {
+      OrganizationModel.findOrganizationById.mockResolvedValue({
+        id: organizationId,
+        partner_id: 'other-partner',
+        cuisines: [],
+      });
+
+      const report = await importEstablishments(partnerId, [
+        validRow({ organization_id: organizationId }),
+      ]);
+
+      expect(report.rows[0].errors[0].field).toBe('organization_id');
+      expect(ImportModel.applyImport).not.toHaveBeenCalled();
+    });
+
+    test('should update drafts and propose revisions for active establishments', async () => {
+      EstablishmentModel.findByExternalIds.mockResolvedValue([
+        { id: 'est-draft', external_id: 'pos-1', status: 'draft' },
+        { id: 'est-active', external_id: 'pos-2', status: 'active' },
+        { id: 'est-suspended', external_id: 'pos-3', status: 'suspended' },
+      ]);
+
+      const report = await importEstablishments(partnerId, [
+        validRow({ name: 'Первое', external_id: 'pos-1' }),
+        validRow({ name: 'Второе', external_id: 'pos-2' }),
+        validRow({ name: 'Третье', external_id: 'pos-3' }),
+      ]);
+
+      expect(report.rows.map(row => row.status)).toEqual(['updated', 'revision_pending', 'failed']);
+      expect(EstablishmentModel.checkDuplicateName).toHaveBeenCalledWith(partnerId, 'Первое', 'est-draft', null);
+
+      const [operations, actorId, actorRole] = ImportModel.applyImport.mock.calls[0];
+      expect(actorId).toBe(partnerId);
+      expect(actorRole).toBe('partner');
+      expect(operations.map(operation => operation.action)).toEqual(['update', 'revision']);
+      expect(operations[0].data).not.toHaveProperty('external_id');
+      expect(operations[0].data).not.toHaveProperty('organization_id');
+    });
+
+    test('should let admins update active and suspended establishments directly', async () => {
+      EstablishmentModel.findByExternalIds.mockResolvedValue([
+        { id: 'est-active', external_id: 'pos-2', status: 'active' },
+        { id: 'est-suspended', external_id: 'pos-3', status: 'suspended' },
+      ]);
+
+      const report = await importEstablishments(partnerId, [
+        validRow({ name: 'Второе', external_id: 'pos-2' }),
+        validRow({ name: 'Третье', external_id: 'pos-3' }),
+      ], { actorId: 'admin-1', isAdmin: true });
+
+      expect(report.summary.updated).toBe(2);
+      expect(ImportModel.applyImport.mock.calls[0][1]).toBe('admin-1');
+      expect(ImportModel.applyImport.mock.calls[0][2]).toBe('admin');
+    });
+
+    test('should reject admin imports for unknown partners', async () => {
+      ImportModel.isPartner.mockResolvedValue(false);
+
+      await expect(importEstablishments(partnerId, [validRow()], { isAdmin: true }))
+        .rejects.toMatchObject({ statusCode: 404, code: 'PARTNER_NOT_FOUND' });
+    });
+
+    test('should report rows rolled back by the database', async () => {
+      ImportModel.applyImport.mockResolvedValue([
+        { row: 1, error: Object.assign(new Error('duplicate key'), { code: '23505' }) },
+      ]);
+
+      const report = await importEstablishments(partnerId, [validRow()]);
+
+      expect(report.rows[0].status).toBe('failed');
+      expect(report.summary).toMatchObject({ failed: 1, created: 0 });
+    });
+
+    test('should wrap unexpected errors', async () => {
+      ImportModel.applyImport.mockRejectedValue(new Error('connection lost'));
+
+      await expect(importEstablishments(partnerId, [validRow()]))
+        .rejects.toMatchObject({ statusCode: 500, code: 'IMPORT_FAILED' });
+    });
+  });
+});
@@ -0,0 +1,209 @@
+/**
+ * Unit Tests: menuService.js
+ *
+ * Tests structured menus in isolation using mocked models.
+ * These tests verify:
+ * - Team permissions for reading and editing the menu
+ * - Allergen, dietary tag and portion validation
+ * - Item photos limited to the establishment's own media
+ * - Public menu visibility and assembly
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock dependencies
+jest.unstable_mockModule('../../models/menuModel.js', () => ({
+  createSection: jest.fn(),
+  findSection: jest.fn(),
+  updateSection: jest.fn(),
+  deleteSection: jest.fn(),
+  createItem: jest.fn(),
+  findItem: jest.fn(),
+  updateItem: jest.fn(),
+  deleteItem: jest.fn(),
+  getMenu: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/mediaModel.js', () => ({
+  findMediaById: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/establishmentModel.js', () => ({
+  checkOwnership: jest.fn(),
+  findEstablishmentById: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+// Import after mocking
+const MenuModel = await import('../../models/menuModel.js');
+const MediaModel = await import('../../models/mediaModel.js');
+const EstablishmentModel = await import('../../models/establishmentModel.js');
+
+const {
+  getPublicMenu,
+  createSection,
+  createItem,
+  updateItem,
+} = await import('../../services/menuService.js');
+
+import { TEAM_PERMISSIONS } from '../../utils/teamPermissions.js';
+
+describe('menuService', () => {
+  const establishmentId = 'est-1';
+  const userId = 'partner-1';
+  const section = { id: 'section-1', establishment_id: establishmentId, name: 'Горячее' };
+  const itemRow = {
+    id: 'item-1',
+    section_id: 'section-1',
+    establishment_id: establishmentId,
+    name: 'Драники',
+    price: '9.50',
+    portion_size: '250.0',
+    portion_unit: 'g',
+    allergens: ['eggs'],
+    dietary_tags: ['vegetarian'],
+    media_id: null,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    EstablishmentModel.checkOwnership.mockResolvedValue(true);
+    MenuModel.findSection.mockResolvedValue(section);
+  });
+
+  describe('sections', () => {
+    test('should require edit permission', async () => {
+      MenuModel.createSection.mockResolvedValue(section);
+
+      const result = await createSection(establishmentId, userId, { name: 'Горячее' });
+
+      expect(EstablishmentModel.checkOwnership).toHaveBeenCalledWith(
+        establishmentId,
+        userId,
+        TEAM_PERMISSIONS.edit
+      );
+      expect(result.items).toEqual([]);
+    });
+
+    test('should hide establishments the user cannot edit', async () => {
+      EstablishmentModel.checkOwnership.mockResolvedValue(false);
+
+      await expect(
+        createSection(establishmentId, 'responder-1', { name: 'Супы' })
+      ).rejects.toMatchObject({ statusCode: 404, code: 'ESTABLISHMENT_NOT_FOUND' });
+      expect(MenuModel.createSection).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('createItem', () => {
+    test('should create dish with numeric price and portion', async () => {
+      MenuModel.createItem.mockResolvedValue(itemRow);
+
+      const item = await createItem(establishmentId, userId, 'section-1', {
+        name: 'Драники',
+        price: 9.5,
+        portion_size: 250,
+        portion_unit: 'g',
+        allergens: ['eggs'],
+        dietary_tags: ['vegetarian'],
+      });
+
+      expect(MenuModel.createItem).toHaveBeenCalledWith(expect.objectContaining({
+        section_id: 'section-1',
+        establishment_id: establishmentId,
+      }));
+      expect(item.price).toBe(9.5);
+      expect(item.portion_size).toBe(250);
+    });
+
+    test('should reject unknown allergens and dietary tags', async () => {
+      await expect(
+        createItem(establishmentId, userId, 'section-1', { name: 'X', price: 1, allergens: ['garlic'] })
+      ).rejects.toMatchObject({ statusCode: 422, code: 'INVALID_ALLERGEN' });
+
+      await expect(
+        createItem(establishmentId, userId, 'section-1', { name: 'X', price: 1, dietary_tags: ['kosher'] })
+      ).rejects.toMatchObject({ statusCode: 422, code: 'INVALID_DIETARY_TAG' });
+
+      expect(MenuModel.createItem).not.toHaveBeenCalled();
+    });
+
+    test('should require portion size and unit together', async () => {
+      await expect(
+        createItem(establishmentId, userId, 'section-1', { name: 'X', price: 1, portion_size: 300 })
+      ).rejects.toMatchObject({ statusCode: 422, code: 'INVALID_PORTION' });
+    });
+
+    test('should only link photos of the same establishment', async () => {
+      MediaModel.findMediaById.mockResolvedValue({ id: 'media-1', establishment_id: 'other-est' });
+
+      await expect(
+        createItem(establishmentId, userId, 'section-1', { name: 'X', price: 1, media_id: 'media-1' })
+      ).rejects.toMatchObject({ statusCode: 422, code: 'INVALID_MENU_MEDIA' });
+    });
+
+    test('should report unknown section', async () => {
+      MenuModel.findSection.mockResolvedValue(null);
+
+      await expect(
+        createItem(establishmentId, userId, 'section-9', { name: 'X', price: 1 })
+      ).rejects.toMatchObject({ statusCode: 404, code: 'MENU_SECTION_NOT_FOUND' });
+    });
+  });
+
+  describe('updateItem', () => {
+    test('should keep portion pair consistent with the stored item', async () => {
+      MenuModel.findItem.mockResolvedValue(itemRow);
+      MenuModel.updateItem.mockResolvedValue({ ...itemRow, portion_size: '300.0' });
+
+      const item = await updateItem(establishmentId, userId, 'item-1', { portion_size: 300 });
+
+      expect(item.portion_size).toBe(300);
+
+      await expect(
+        updateItem(establishmentId, userId, 'item-1', { portion_unit: null })
+      ).rejects.toMatchObject({ statusCode: 422, code: 'INVALID_PORTION' });
+    });
+
+    test('should report unknown item', async () => {
+      MenuModel.findItem.mockResolvedValue(null);
+
+      await expect(
+        updateItem(establishmentId, userId, 'item-9', { price: 5 })
+      ).rejects.toMatchObject({ statusCode: 404, code: 'MENU_ITEM_NOT_FOUND' });
+    });
+  });
+
+  describe('getPublicMenu', () => {
+    test('should nest available dishes and drop empty sections', async () => {
+      EstablishmentModel.findEstablishmentById.mockResolvedValue({ id: establishmentId, status: 'active' });
+      MenuModel.getMenu.mockResolvedValue({
+        sections: [section, { id: 'section-2', name: 'Десерты' }],
+        items: [itemRow],
+      });
+
+      const sections = await getPublicMenu(establishmentId);
+
+      expect(MenuModel.getMenu).toHaveBeenCalledWith(establishmentId, { availableOnly: true });
+      expect(sections).toHaveLength(1);
+      expect(sections[0].items[0]).toMatchObject({ name: 'Драники', price: 9.5 });
+    });
+
+    test('should hide menus of inactive establishments', async () => {
+      EstablishmentModel.findEstablishmentById.mockResolvedValue({ id: establishmentId, status: 'draft' });
+
+      await expect(getPublicMenu(establishmentId)).rejects.toMatchObject({
+        statusCode: 404,
+        code: 'ESTABLISHMENT_NOT_FOUND',
+      });
+      expect(MenuModel.getMenu).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,282 @@
+/**
+ * Unit Tests: moderationService.js
+ *
+ * Tests the admin moderation workflow in isolation using mocked models.
+ * These tests verify:
+ * - Queue pagination and status filtering
+ * - Allowed status transitions (approve, reject, suspend, reinstate)
+ * - Required reasons for reject and suspend
+ * - Conflict handling when the status changed concurrently
+ * - Revision diff, approval and rejection
+ * - Duplicate candidates in the moderation detail
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock dependencies
+jest.unstable_mockModule('../../models/establishmentModel.js', () => ({
+  findEstablishmentById: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/moderationModel.js', () => ({
+  getModerationQueue: jest.fn(),
+  countModerationQueue: jest.fn(),
+  transitionStatus: jest.fn(),
+  getModerationLog: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/revisionModel.js', () => ({
+  findRevisionById: jest.fn(),
+  approveRevision: jest.fn(),
+  rejectRevision: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/duplicateModel.js', () => ({
+  getCandidatesForEstablishment: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+// Import after mocking
+const EstablishmentModel = await import('../../models/establishmentModel.js');
+const ModerationModel = await import('../../models/moderationModel.js');
+const RevisionModel = await import('../../models/revisionModel.js');
+const DuplicateModel = await import('../../models/duplicateModel.js');
+
+const {
+  getModerationQueue,
+  getEstablishmentForModeration,
+  approveEstablishment,
+  rejectEstablishment,
+  suspendEstablishment,
+  reinstateEstablishment,
+  getRevisionDiff,
+  approveRevision,
+  rejectRevision,
+} = await import('../../services/moderationService.js');
+
+import { createMockEstablishment } from '../mocks/helpers.js';
+import { AppError } from '../../middleware/errorHandler.js';
+
+describe('moderationService', () => {
+  const adminId = 'admin-123';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+  });
+
+  describe('getModerationQueue', () => {
+    test('should default to pending queue with pagination metadata', async () => {
+      ModerationModel.getModerationQueue.mockResolvedValue([createMockEstablishment({ status: 'pending' })]);
+      ModerationModel.countModerationQueue.mockResolvedValue(45);
+
+      const result = await getModerationQueue({ city: 'Минск', page: 2, limit: 20 });
+
+      expect(ModerationModel.getModerationQueue).toHaveBeenCalledWith(
+        expect.objectContaining({ status: 'pending', city: 'Минск', limit: 20, offset: 20 })
+      );
+      expect(result.meta).toEqual({ total: 45, page: 2, limit: 20, pages: 3 });
+    });
+
+    test('should reject unknown status', async () => {
+      await expect(getModerationQueue({ status: 'archived' })).rejects.toMatchObject({
+        statusCode: 422,
+        code: 'VALIDATION_ERROR',
+      });
+    });
+  });
+
+  describe('getEstablishmentForModeration', () => {
+    test('should include history and open duplicate candidates', async () => {
+      const establishment = createMockEstablishment({ status: 'pending' });
+      const candidates = [{ id: 'candidate-1', score: 0.9, duplicate_of: { id: 'other-1' } }];
+      EstablishmentModel.findEstablishmentById.mockResolvedValue(establishment);
+      ModerationModel.getModerationLog.mockResolvedValue([{ action: 'submit' }]);
+      DuplicateModel.getCandidatesForEstablishment.mockResolvedValue(candidates);
+
+      const result = await getEstablishmentForModeration(establishment.id);
+
+      expect(DuplicateModel.getCandidatesForEstablishment).toHaveBeenCalledWith(establishment.id);
+      expect(result).toEqual({
+        establishment,
+        history: [{ action: 'submit' }],
+        duplicate_candidates: candidates,
+      });
+    });
+  });
+
+  describe('transitions', () => {
+    test('should approve pending establishment to active', async () => {
+      const establishment = createMockEstablishment({ status: 'pending' });
+      EstablishmentModel.findEstablishmentById.mockResolvedValue(establishment);
+      ModerationModel.transitionStatus.mockResolvedValue({
+        establishment: { ...establishment, status: 'active' },
+        logEntry: { action: 'approve' },
+      });
+
+      const result = await approveEstablishment(establishment.id, adminId);
+
+      expect(ModerationModel.transitionStatus).toHaveBeenCalledWith(establishment.id, {
+        action: 'approve',
+        fromStatus: 'pending',
+        toStatus: 'active',
+        actorId: adminId,
+        actorRole: 'admin',
+        reason: null,
+      });
+      expect(result.establishment.status).toBe('active');
+    });
+
+    test('should reject pending establishment back to draft with trimmed reason', async () => {
+      const establishment = createMockEstablishment({ status: 'pending' });
+      EstablishmentModel.findEstablishmentById.mockResolvedValue(establishment);
+      ModerationModel.transitionStatus.mockResolvedValue({
+        establishment: { ...establishment, status: 'draft' },
+        logEntry: { action: 'reject' },
+      });
+
+      await rejectEstablishment(establishment.id, adminId, '  Photos do not match the venue  ');
+
+      expect(ModerationModel.transitionStatus).toHaveBeenCalledWith(
+        establishment.id,
+        expect.objectContaining({
+          fromStatus: 'pending',
+          toStatus: 'draft',
+          reason: 'Photos do not match the venue',
+        })
+      );
+    });
+
+    test('should require reason for reject and suspend', async () => {
+      await expect(rejectEstablishment('est-1', adminId, '   ')).rejects.toMatchObject({
+        statusCode: 422,
+        code: 'REASON_REQUIRED',
+      });
+      await expect(suspendEstablishment('est-1', adminId)).rejects.toMatchObject({
+        statusCode: 422,
+        code: 'REASON_REQUIRED',
+      });
+
+      expect(EstablishmentModel.findEstablishmentById).not.toHaveBeenCalled();
+    });
+
+    test('should refuse transition from wrong status', async () => {
+      EstablishmentModel.findEstablishmentById.mockResolvedValue(
+        createMockEstablishment({ status: 'active' })
+      );
+
+      await expect(reinstateEstablishment('est-1', adminId)).rejects.toMatchObject({
+        statusCode: 409,
+        code: 'INVALID_STATUS_TRANSITION',
+      });
+      expect(ModerationModel.transitionStatus).not.toHaveBeenCalled();
+    });
+
+    test('should throw 404 for missing establishment', async () => {
+      EstablishmentModel.findEstablishmentById.mockResolvedValue(null);
+
+      await expect(approveEstablishment('missing', adminId)).rejects.toMatchObject({
+        statusCode: 404,
+        code: 'ESTABLISHMENT_NOT_FOUND',
+      });
+    });
+
+    test('should report conflict when status changed concurrently', async () => {
+      EstablishmentModel.findEstablishmentById.mockResolvedValue(
+        createMockEstablishment({ status: 'active' })
+      );
+      ModerationModel.transitionStatus.mockResolvedValue(null);
+
+      await expect(
+        suspendEstablishment('est-1', adminId, 'Repeated complaints about hygiene')
+      ).rejects.toMatchObject({ statusCode: 409, code: 'INVALID_STATUS_TRANSITION' });
+    });
+
+    test('should wrap unexpected errors', async () => {
+      EstablishmentModel.findEstablishmentById.mockRejectedValue(new Error('connection lost'));
+
+      const error = await approveEstablishment('est-1', adminId).catch(e => e);
+
+      expect(error).toBeInstanceOf(AppError);
+      expect(error.code).toBe('MODERATION_ACTION_FAILED');
+    });
+  });
+
+  describe('revisions', () => {
+    const pendingRevision = {
+      id: 'revision-1',
+      establishment_id: 'est-1',
+      status: 'pending',
+      changes: { categories: ['Бар'], working_hours: { monday: '10:00-23:00' } },
+    };
+
+    test('should build diff against live establishment', async () => {
+      RevisionModel.findRevisionById.mockResolvedValue(pendingRevision);
+      EstablishmentModel.findEstablishmentById.mockResolvedValue(createMockEstablishment({
+        id: 'est-1',
+        categories: ['Ресторан'],
+        working_hours: { monday: '09:00-22:00', tuesday: '09:00-22:00' },
+      }));
+
+      const result = await getRevisionDiff('revision-1');
+
+      expect(result.establishment.id).toBe('est-1');
+      expect(result.diff).toEqual([
+        expect.objectContaining({ field: 'categories', added: ['Бар'], removed: ['Ресторан'] }),
+        expect.objectContaining({
+          field: 'working_hours',
+          keys: [
+            { key: 'monday', current: '09:00-22:00', proposed: '10:00-23:00' },
+            { key: 'tuesday', current: '09:00-22:00', proposed: null },
+          ],
+        }),
+      ]);
+    });
+
+    test('should approve pending revision atomically through the model', async () => {
+      RevisionModel.findRevisionById.mockResolvedValue(pendingRevision);
+      RevisionModel.approveRevision.mockResolvedValue({
+        revision: { ...pendingRevision, status: 'approved' },
+        establishment: { id: 'est-1' },
+        logEntry: { action: 'revision_approve' },
+      });
+
+      const result = await approveRevision('revision-1', adminId, '  ');
+
+      expect(RevisionModel.approveRevision).toHaveBeenCalledWith('revision-1', adminId, null);
+      expect(result.revision.status).toBe('approved');
+    });
+
+    test('should refuse to process revision that is no longer pending', async () => {
+      RevisionModel.findRevisionById.mockResolvedValue({ ...pendingRevision, status: 'approved' });
+
+      await expect(approveRevision('revision-1', adminId)).rejects.toMatchObject({
+        statusCode: 409,
+        code: 'REVISION_NOT_PENDING',
+      });
+      expect(RevisionModel.approveRevision).not.toHaveBeenCalled();
+    });
+
+    test('should require reason to reject revision', async () => {
+      await expect(rejectRevision('revision-1', adminId, '')).rejects.toMatchObject({
+        statusCode: 422,
+        code: 'REASON_REQUIRED',
+      });
+      expect(RevisionModel.rejectRevision).not.toHaveBeenCalled();
+    });
+
+    test('should throw 404 for unknown revision', async () => {
+      RevisionModel.findRevisionById.mockResolvedValue(null);
+
+      await expect(
+        rejectRevision('missing', adminId, 'Menu photos are not of this venue')
+      ).rejects.toMatchObject({ statusCode: 404, code: 'REVISION_NOT_FOUND' });
+    });
+  });
+});
@@ -0,0 +1,210 @@
+/**
+ * Unit Tests: organizationService.js
+ *
+ * Tests partner organizations (chains) in isolation using mocked models.
+ * These tests verify:
+ * - Ownership checks on organizations
+ * - Propagation of shared description and cuisines to branches
+ * - Bulk working hours limited to branches of the organization
+ * - Menu copy delegated to the media service
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock dependencies
+jest.unstable_mockModule('../../models/organizationModel.js', () => ({
+  createOrganization: jest.fn(),
+  findOrganizationById: jest.fn(),
+  getOrganizationsByPartner: jest.fn(),
+  updateOrganization: jest.fn(),
+  getBranches: jest.fn(),
+  setEstablishmentsOrganization: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/establishmentModel.js', () => ({
+  checkOwnership: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../services/establishmentService.js', () => ({
+  VALID_CUISINES: ['Итальянская', 'Европейская', 'Белорусская'],
+  updateEstablishment: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../services/mediaService.js', () => ({
+  copyMenu: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+// Import after mocking
+const OrganizationModel = await import('../../models/organizationModel.js');
+const EstablishmentModel = await import('../../models/establishmentModel.js');
+const EstablishmentService = await import('../../services/establishmentService.js');
+const MediaService = await import('../../services/mediaService.js');
+
+const {
+  createOrganization,
+  updateOrganization,
+  addBranches,
+  removeBranch,
+  bulkUpdateHours,
+  bulkCopyMenu,
+} = await import('../../services/organizationService.js');
+
+import { AppError } from '../../middleware/errorHandler.js';
+
+describe('organizationService', () => {
+  const partnerId = 'partner-1';
+  const organization = {
+    id: 'org-1',
+    partner_id: partnerId,
+    name: 'Пицца Темпо',
+    description: 'Сеть пиццерий',
+    cuisines: ['Итальянская'],
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    OrganizationModel.findOrganizationById.mockResolvedValue(organization);
+    OrganizationModel.getBranches.mockResolvedValue([{ id: 'est-1' }, { id: 'est-2' }]);
+  });
+
+  describe('createOrganization', () => {
+    test('should reject unknown cuisines', async () => {
+      await expect(
+        createOrganization(partnerId, { name: 'Сеть', cuisines: ['Марсианская'] })
+      ).rejects.toMatchObject({ statusCode: 422, code: 'INVALID_CUISINE_VALUE' });
+
+      expect(OrganizationModel.createOrganization).not.toHaveBeenCalled();
+    });
+
+    test('should map unique name violation to 409', async () => {
+      const dbError = new Error('duplicate key');
+      dbError.code = '23505';
+      OrganizationModel.createOrganization.mockRejectedValue(dbError);
+
+      await expect(createOrganization(partnerId, { name: 'Пицца Темпо' })).rejects.toMatchObject({
+        statusCode: 409,
+        code: 'DUPLICATE_ORGANIZATION',
+      });
+    });
+  });
+
+  describe('updateOrganization', () => {
+    test('should pass changed shared fields on to every branch', async () => {
+      OrganizationModel.updateOrganization.mockResolvedValue({ ...organization, cuisines: ['Европейская'] });
+      EstablishmentService.updateEstablishment
+        .mockResolvedValueOnce({ id: 'est-1', pending_revision: null })
+        .mockResolvedValueOnce({ id: 'est-2', pending_revision: { id: 'revision-1' } });
+
+      const result = await updateOrganization('org-1', partnerId, { cuisines: ['Европейская'] });
+
+      expect(EstablishmentService.updateEstablishment).toHaveBeenCalledWith(
+        'est-1',
+        partnerId,
+        { cuisines: ['Европейская'] }
+      );
+      expect(result.branches).toEqual([
+        { establishment_id: 'est-1', status: 'updated' },
+        { establishment_id: 'est-2', status: 'revision_pending' },
+      ]);
+    });
+
+    test('should not touch branches when only the logo changes', async () => {
+      OrganizationModel.updateOrganization.mockResolvedValue(organization);
+
+      const result = await updateOrganization('org-1', partnerId, { logo_url: 'https://cdn/logo.png' });
+
+      expect(EstablishmentService.updateEstablishment).not.toHaveBeenCalled();
+      expect(result.branches).toEqual([]);
+    });
+
+    test('should hide organizations of other partners', async () => {
+      OrganizationModel.findOrganizationById.mockResolvedValue({ ...organization, partner_id: 'other' });
+
+      await expect(updateOrganization('org-1', partnerId, { name: 'X' })).rejects.toMatchObject({
+        statusCode: 404,
+        code: 'ORGANIZATION_NOT_FOUND',
+      });
+      expect(OrganizationModel.updateOrganization).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('branches', () => {
+    test('should attach owned establishments and apply shared fields', async () => {
+      EstablishmentModel.checkOwnership.mockResolvedValue(true);
+      OrganizationModel.setEstablishmentsOrganization.mockResolvedValue(['est-3']);
+      EstablishmentService.updateEstablishment.mockResolvedValue({ id: 'est-3', pending_revision: null });
+
+      const result = await addBranches('org-1', partnerId, ['est-3']);
+
+      expect(OrganizationModel.setEstablishmentsOrganization).toHaveBeenCalledWith(['est-3'], 'org-1', partnerId);
+      expect(EstablishmentService.updateEstablishment).toHaveBeenCalledWith('est-3', partnerId, {
+        description: 'Сеть пиццерий',
+        cuisines: ['Итальянская'],
+      });
+      expect(result.attached).toEqual(['est-3']);
+    });
+
+    test('should refuse to detach an establishment that is not a branch', async () => {
+      await expect(removeBranch('org-1', partnerId, 'est-9')).rejects.toMatchObject({
+        statusCode: 422,
+        code: 'NOT_ORGANIZATION_BRANCH',
+      });
+      expect(OrganizationModel.setEstablishmentsOrganization).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('bulk edits', () => {
+    const workingHours = { monday: '10:00-22:00' };
+
+    test('should report failing branches without stopping the others', async () => {
+      EstablishmentService.updateEstablishment
+        .mockRejectedValueOnce(new AppError('Invalid', 422, 'INVALID_WORKING_HOURS'))
+        .mockResolvedValueOnce({ id: 'est-2', pending_revision: null });
+
+      const result = await bulkUpdateHours('org-1', partnerId, { working_hours: workingHours });
+
+      expect(result.branches).toEqual([
+        { establishment_id: 'est-1', status: 'failed', code: 'INVALID_WORKING_HOURS' },
+        { establishment_id: 'est-2', status: 'updated' },
+      ]);
+    });
+
+    test('should only update requested branches', async () => {
+      EstablishmentService.updateEstablishment.mockResolvedValue({ pending_revision: null });
+
+      await bulkUpdateHours('org-1', partnerId, {
+        working_hours: workingHours,
+        establishment_ids: ['est-2'],
+      });
+
+      expect(EstablishmentService.updateEstablishment).toHaveBeenCalledTimes(1);
+      expect(EstablishmentService.updateEstablishment).toHaveBeenCalledWith('est-2', partnerId, {
+        working_hours: workingHours,
+      });
+    });
+
+    test('should copy menu from a branch to the other branches', async () => {
+      MediaService.copyMenu.mockResolvedValue([{ establishment_id: 'est-2', status: 'updated', copied: 4 }]);
+
+      const result = await bulkCopyMenu('org-1', partnerId, { source_establishment_id: 'est-1' });
+
+      expect(MediaService.copyMenu).toHaveBeenCalledWith(partnerId, 'est-1', ['est-1', 'est-2']);
+      expect(result.branches).toHaveLength(1);
+    });
+
+    test('should require the menu source to be a branch', async () => {
+      await expect(
+        bulkCopyMenu('org-1', partnerId, { source_establishment_id: 'est-9' })
+      ).rejects.toMatchObject({ statusCode: 422, code: 'NOT_ORGANIZATION_BRANCH' });
+      expect(MediaService.copyMenu).not.toHaveBeenCalled();
+    });
+  });
+});
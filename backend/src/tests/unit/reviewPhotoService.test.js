@@ -0,0 +1,233 @@
+/**
+ * Unit Tests: reviewPhotoService.js
+ *
+ * Tests review photo attachments in isolation using mocked models and Cloudinary.
+ * These tests verify:
+ * - Only the review author can add or remove photos
+ * - The per-review limit, type and size checks run before any upload
+ * - Photo files are removed from Cloudinary with their review
+ * - The visitor gallery is paginated per establishment
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock dependencies
+jest.unstable_mockModule('fs/promises', () => ({
+  default: {
+    unlink: jest.fn(),
+  },
+}));
+
+jest.unstable_mockModule('../../models/reviewPhotoModel.js', () => ({
+  createPhoto: jest.fn(),
+  findPhotosByReview: jest.fn(),
+  findPhotoById: jest.fn(),
+  deletePhoto: jest.fn(),
+  deletePhotosByReview: jest.fn(),
+  getEstablishmentPhotos: jest.fn(),
+  countEstablishmentPhotos: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/reviewModel.js', () => ({
+  findReviewById: jest.fn(),
+  establishmentExists: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../config/cloudinary.js', () => ({
+  isValidImageType: jest.fn(),
+  isValidImageSize: jest.fn(),
+  uploadImage: jest.fn(),
+  generateAllResolutions: jest.fn(),
+  deleteImage: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+// Import after mocking
+const fs = (await import('fs/promises')).default;
+const ReviewPhotoModel = await import('../../models/reviewPhotoModel.js');
+const ReviewModel = await import('../../models/reviewModel.js');
+const CloudinaryUtil = await import('../../config/cloudinary.js');
+
+const {
+  MAX_PHOTOS_PER_REVIEW,
+  REVIEW_PHOTO_MAX_SIZE,
+  uploadPhotos,
+  deletePhoto,
+  deleteReviewPhotos,
+  getVisitorPhotos,
+} = await import('../../services/reviewPhotoService.js');
+
+describe('reviewPhotoService', () => {
+  const reviewId = 'review-1';
+  const userId = 'user-1';
+  const establishmentId = 'establishment-1';
+  const review = {
+    id: reviewId,
+    user_id: userId,
+    establishment_id: establishmentId,
+    is_deleted: false,
+  };
+
+  const createFile = (name, overrides = {}) => ({
+    path: `/tmp/${name}`,
+    mimetype: 'image/jpeg',
+    size: 1024,
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    fs.unlink.mockResolvedValue(undefined);
+    ReviewModel.findReviewById.mockResolvedValue(review);
+    ReviewPhotoModel.findPhotosByReview.mockResolvedValue([]);
+    CloudinaryUtil.isValidImageType.mockReturnValue(true);
+    CloudinaryUtil.isValidImageSize.mockReturnValue(true);
+    CloudinaryUtil.uploadImage.mockImplementation(async (filePath) => ({
+      public_id: `establishments/${establishmentId}/reviews${filePath}`,
+    }));
+    CloudinaryUtil.generateAllResolutions.mockImplementation(publicId => ({
+      url: `https://cdn/${publicId}`,
+      preview_url: `https://cdn/preview/${publicId}`,
+      thumbnail_url: `https://cdn/thumb/${publicId}`,
+    }));
+  });
+
+  describe('uploadPhotos', () => {
+    test('should upload photos in order after existing ones', async () => {
+      ReviewPhotoModel.findPhotosByReview
+        .mockResolvedValueOnce([{ id: 'photo-0', position: 0 }])
+        .mockResolvedValueOnce([{ id: 'photo-0' }, { id: 'photo-1' }, { id: 'photo-2' }]);
+
+      const files = [createFile('a.jpg'), createFile('b.jpg')];
+      const result = await uploadPhotos(reviewId, userId, files);
+
+      expect(CloudinaryUtil.isValidImageSize).toHaveBeenCalledWith(1024, REVIEW_PHOTO_MAX_SIZE);
+      expect(CloudinaryUtil.uploadImage).toHaveBeenCalledWith('/tmp/a.jpg', establishmentId, 'reviews');
+      expect(ReviewPhotoModel.createPhoto).toHaveBeenNthCalledWith(1, expect.objectContaining({
+        review_id: reviewId,
+        establishment_id: establishmentId,
+        user_id: userId,
+        public_id: `establishments/${establishmentId}/reviews/tmp/a.jpg`,
+        position: 1,
+      }));
+      expect(ReviewPhotoModel.createPhoto).toHaveBeenNthCalledWith(2, expect.objectContaining({
+        position: 2,
+      }));
+      expect(fs.unlink).toHaveBeenCalledTimes(2);
+      expect(result).toHaveLength(3);
+    });
+
+    test('should reject more than the allowed photos', async () => {
+      ReviewPhotoModel.findPhotosByReview.mockResolvedValue(
+        Array.from({ length: MAX_PHOTOS_PER_REVIEW - 1 }, (_, i) => ({ id: `photo-${i}` }))
+      );
+
+      await expect(uploadPhotos(reviewId, userId, [createFile('a.jpg'), createFile('b.jpg')]))
+        .rejects.toMatchObject({ statusCode: 422, code: 'PHOTO_LIMIT_EXCEEDED' });
+      expect(CloudinaryUtil.uploadImage).not.toHaveBeenCalled();
+      expect(fs.unlink).toHaveBeenCalledTimes(2);
+    });
+
+    test('should reject invalid file type before uploading any file', async () => {
+      CloudinaryUtil.isValidImageType.mockImplementation(mimetype => mimetype !== 'image/gif');
+
+      await expect(uploadPhotos(reviewId, userId, [
+        createFile('a.jpg'),
+        createFile('b.gif', { mimetype: 'image/gif' }),
+      ])).rejects.toMatchObject({ statusCode: 422, code: 'INVALID_FILE_TYPE' });
+      expect(CloudinaryUtil.uploadImage).not.toHaveBeenCalled();
+    });
+
+    test('should reject files over the size limit', async () => {
+      CloudinaryUtil.isValidImageSize.mockReturnValue(false);
+
+      await expect(uploadPhotos(reviewId, userId, [createFile('a.jpg', { size: REVIEW_PHOTO_MAX_SIZE + 1 })]))
+        .rejects.toMatchObject({ statusCode: 422, code: 'FILE_TOO_LARGE' });
+      expect(CloudinaryUtil.uploadImage).not.toHaveBeenCalled();
+    });
+
+    test('should reject photos on another user\'s review', async () => {
+      await expect(uploadPhotos(reviewId, 'user-2', [createFile('a.jpg')]))
+        .rejects.toMatchObject({ statusCode: 403, code: 'UNAUTHORIZED_REVIEW_PHOTO' });
+      expect(ReviewPhotoModel.createPhoto).not.toHaveBeenCalled();
+    });
+
+    test('should wrap Cloudinary failures', async () => {
+      CloudinaryUtil.uploadImage.mockRejectedValue(new Error('Upload failed'));
+
+      await expect(uploadPhotos(reviewId, userId, [createFile('a.jpg')]))
+        .rejects.toMatchObject({ statusCode: 500, code: 'PHOTO_UPLOAD_FAILED' });
+      expect(fs.unlink).toHaveBeenCalledWith('/tmp/a.jpg');
+    });
+  });
+
+  describe('deletePhoto', () => {
+    test('should delete photo from Cloudinary and database', async () => {
+      ReviewPhotoModel.findPhotoById.mockResolvedValue({ id: 'photo-1', review_id: reviewId, public_id: 'pid-1' });
+      ReviewPhotoModel.deletePhoto.mockResolvedValue(true);
+
+      await deletePhoto(reviewId, 'photo-1', userId);
+
+      expect(CloudinaryUtil.deleteImage).toHaveBeenCalledWith('pid-1');
+      expect(ReviewPhotoModel.deletePhoto).toHaveBeenCalledWith('photo-1');
+    });
+
+    test('should not delete photo of another review', async () => {
+      ReviewPhotoModel.findPhotoById.mockResolvedValue({ id: 'photo-1', review_id: 'review-2', public_id: 'pid-1' });
+
+      await expect(deletePhoto(reviewId, 'photo-1', userId))
+        .rejects.toMatchObject({ statusCode: 404, code: 'PHOTO_NOT_FOUND' });
+      expect(ReviewPhotoModel.deletePhoto).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('deleteReviewPhotos', () => {
+    test('should remove all files of the review', async () => {
+      ReviewPhotoModel.deletePhotosByReview.mockResolvedValue([
+        { id: 'photo-1', public_id: 'pid-1' },
+        { id: 'photo-2', public_id: 'pid-2' },
+      ]);
+      CloudinaryUtil.deleteImage
+        .mockResolvedValueOnce({ result: 'ok' })
+        .mockRejectedValueOnce(new Error('Not found'));
+
+      const count = await deleteReviewPhotos(reviewId);
+
+      expect(CloudinaryUtil.deleteImage).toHaveBeenCalledTimes(2);
+      expect(count).toBe(2);
+    });
+
+    test('should never fail the review deletion', async () => {
+      ReviewPhotoModel.deletePhotosByReview.mockRejectedValue(new Error('Database error'));
+
+      await expect(deleteReviewPhotos(reviewId)).resolves.toBe(0);
+    });
+  });
+
+  describe('getVisitorPhotos', () => {
+    test('should return paginated photos', async () => {
+      ReviewModel.establishmentExists.mockResolvedValue(true);
+      ReviewPhotoModel.getEstablishmentPhotos.mockResolvedValue([{ id: 'photo-1' }]);
+      ReviewPhotoModel.countEstablishmentPhotos.mockResolvedValue(21);
+
+      const result = await getVisitorPhotos(establishmentId, { page: 2, limit: 100 });
+
+      expect(ReviewPhotoModel.getEstablishmentPhotos).toHaveBeenCalledWith(establishmentId, { limit: 50, offset: 50 });
+      expect(result.meta).toEqual({ total: 21, page: 2, limit: 50, pages: 1 });
+    });
+
+    test('should throw 404 for unknown establishment', async () => {
+      ReviewModel.establishmentExists.mockResolvedValue(false);
+
+      await expect(getVisitorPhotos(establishmentId))
+        .rejects.toMatchObject({ statusCode: 404, code: 'ESTABLISHMENT_NOT_FOUND' });
+    });
+  });
+});
@@ -0,0 +1,224 @@
+/**
+ * Unit Tests: reviewReplyService.js
+ *
+ * Tests partner replies to reviews in isolation using mocked models.
+ * These tests verify:
+ * - Reply permission via checkOwnership and TEAM_PERMISSIONS.reply
+ * - One reply per review: first save creates, later saves edit
+ * - Reviewer notification on the first reply only
+ * - Reply moderation (hide with reason, restore)
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock dependencies
+jest.unstable_mockModule('../../models/reviewReplyModel.js', () => ({
+  findReplyByReviewId: jest.fn(),
+  findReplyById: jest.fn(),
+  createReply: jest.fn(),
+  updateReply: jest.fn(),
+  deleteReply: jest.fn(),
+  listReplies: jest.fn(),
+  countReplies: jest.fn(),
+  setReplyStatus: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/reviewModel.js', () => ({
+  findReviewById: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/establishmentModel.js', () => ({
+  checkOwnership: jest.fn(),
+  findEstablishmentById: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../services/notificationService.js', () => ({
+  notify: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+// Import after mocking
+const ReviewReplyModel = await import('../../models/reviewReplyModel.js');
+const ReviewModel = await import('../../models/reviewModel.js');
+const EstablishmentModel = await import('../../models/establishmentModel.js');
+const NotificationService = await import('../../services/notificationService.js');
+
+const {
+  saveReply,
+  deleteReply,
+  getRepliesForModeration,
+  hideReply,
+  restoreReply,
+} = await import('../../services/reviewReplyService.js');
+
+import { TEAM_PERMISSIONS } from '../../utils/teamPermissions.js';
+
+describe('reviewReplyService', () => {
+  const establishmentId = 'establishment-1';
+  const reviewId = 'review-1';
+  const partnerId = 'partner-1';
+  const adminId = 'admin-1';
+  const review = {
+    id: reviewId,
+    user_id: 'reviewer-1',
+    establishment_id: establishmentId,
+    is_deleted: false,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    EstablishmentModel.checkOwnership.mockResolvedValue(true);
+    EstablishmentModel.findEstablishmentById.mockResolvedValue({ id: establishmentId, name: 'Васильки' });
+    ReviewModel.findReviewById.mockResolvedValue(review);
+  });
+
+  describe('saveReply', () => {
+    test('should create reply and notify reviewer', async () => {
+      const reply = { id: 'reply-1', review_id: reviewId, status: 'published' };
+      ReviewReplyModel.findReplyByReviewId.mockResolvedValue(null);
+      ReviewReplyModel.createReply.mockResolvedValue(reply);
+
+      const result = await saveReply(establishmentId, reviewId, partnerId, 'Спасибо за отзыв!');
+
+      expect(EstablishmentModel.checkOwnership).toHaveBeenCalledWith(
+        establishmentId,
+        partnerId,
+        TEAM_PERMISSIONS.reply
+      );
+      expect(ReviewReplyModel.createReply).toHaveBeenCalledWith({
+        review_id: reviewId,
+        establishment_id: establishmentId,
+        author_id: partnerId,
+        content: 'Спасибо за отзыв!',
+      });
+      expect(NotificationService.notify).toHaveBeenCalledWith('reviewer-1', 'review_reply', {
+        review_id: reviewId,
+        reply_id: 'reply-1',
+        establishment_id: establishmentId,
+        establishment_name: 'Васильки',
+      });
+      expect(result).toEqual({ reply, created: true });
+    });
+
+    test('should edit existing reply without notifying again', async () => {
+      ReviewReplyModel.findReplyByReviewId.mockResolvedValue({ id: 'reply-1', status: 'hidden' });
+      ReviewReplyModel.updateReply.mockResolvedValue({ id: 'reply-1', status: 'hidden', is_edited: true });
+
+      const result = await saveReply(establishmentId, reviewId, partnerId, 'Исправленный ответ');
+
+      expect(ReviewReplyModel.updateReply).toHaveBeenCalledWith('reply-1', 'Исправленный ответ', partnerId);
+      expect(ReviewReplyModel.createReply).not.toHaveBeenCalled();
+      expect(NotificationService.notify).not.toHaveBeenCalled();
+      expect(result.created).toBe(false);
+      expect(result.reply.status).toBe('hidden');
+    });
+
+    test('should deny users without reply permission', async () => {
+      EstablishmentModel.checkOwnership.mockResolvedValue(false);
+
+      await expect(saveReply(establishmentId, reviewId, 'editor-1', 'Ответ')).rejects.toMatchObject({
+        statusCode: 404,
+        code: 'ESTABLISHMENT_NOT_FOUND',
+      });
+      expect(ReviewModel.findReviewById).not.toHaveBeenCalled();
+    });
+
+    test('should reject reviews of another establishment or deleted ones', async () => {
+      ReviewModel.findReviewById.mockResolvedValue({ ...review, establishment_id: 'other-1' });
+
+      await expect(saveReply(establishmentId, reviewId, partnerId, 'Ответ')).rejects.toMatchObject({
+        statusCode: 404,
+        code: 'REVIEW_NOT_FOUND',
+      });
+
+      ReviewModel.findReviewById.mockResolvedValue({ ...review, is_deleted: true });
+
+      await expect(saveReply(establishmentId, reviewId, partnerId, 'Ответ')).rejects.toMatchObject({
+        code: 'REVIEW_NOT_FOUND',
+      });
+    });
+
+    test('should report concurrent reply as conflict', async () => {
+      const uniqueViolation = Object.assign(new Error('duplicate key'), { code: '23505' });
+      ReviewReplyModel.findReplyByReviewId.mockResolvedValue(null);
+      ReviewReplyModel.createReply.mockRejectedValue(uniqueViolation);
+
+      await expect(saveReply(establishmentId, reviewId, partnerId, 'Ответ')).rejects.toMatchObject({
+        statusCode: 409,
+        code: 'REPLY_ALREADY_EXISTS',
+      });
+    });
+  });
+
+  describe('deleteReply', () => {
+    test('should delete existing reply', async () => {
+      ReviewReplyModel.findReplyByReviewId.mockResolvedValue({ id: 'reply-1' });
+      ReviewReplyModel.deleteReply.mockResolvedValue(true);
+
+      await deleteReply(establishmentId, reviewId, partnerId);
+
+      expect(ReviewReplyModel.deleteReply).toHaveBeenCalledWith('reply-1');
+    });
+
+    test('should throw 404 without reply', async () => {
+      ReviewReplyModel.findReplyByReviewId.mockResolvedValue(null);
+
+      await expect(deleteReply(establishmentId, reviewId, partnerId)).rejects.toMatchObject({
+        statusCode: 404,
+        code: 'REPLY_NOT_FOUND',
+      });
+    });
+  });
+
+  describe('moderation', () => {
+    test('should list published replies with pagination metadata', async () => {
+      ReviewReplyModel.listReplies.mockResolvedValue([{ id: 'reply-1' }]);
+      ReviewReplyModel.countReplies.mockResolvedValue(1);
+
+      const result = await getRepliesForModeration({});
+
+      expect(ReviewReplyModel.listReplies).toHaveBeenCalledWith({ status: 'published', limit: 20, offset: 0 });
+      expect(result.meta).toEqual({ total: 1, page: 1, limit: 20, pages: 1 });
+    });
+
+    test('should hide published reply with trimmed reason', async () => {
+      ReviewReplyModel.findReplyById.mockResolvedValue({ id: 'reply-1', status: 'published' });
+      ReviewReplyModel.setReplyStatus.mockResolvedValue({ id: 'reply-1', status: 'hidden' });
+
+      const result = await hideReply('reply-1', adminId, '  Contains phone numbers  ');
+
+      expect(ReviewReplyModel.setReplyStatus).toHaveBeenCalledWith('reply-1', {
+        fromStatus: 'published',
+        toStatus: 'hidden',
+        adminId,
+        reason: 'Contains phone numbers',
+      });
+      expect(result.status).toBe('hidden');
+    });
+
+    test('should require reason to hide', async () => {
+      await expect(hideReply('reply-1', adminId, '   ')).rejects.toMatchObject({
+        statusCode: 422,
+        code: 'REASON_REQUIRED',
+      });
+      expect(ReviewReplyModel.findReplyById).not.toHaveBeenCalled();
+    });
+
+    test('should not restore published reply', async () => {
+      ReviewReplyModel.findReplyById.mockResolvedValue({ id: 'reply-1', status: 'published' });
+
+      await expect(restoreReply('reply-1', adminId)).rejects.toMatchObject({
+        statusCode: 409,
+        code: 'INVALID_STATUS_TRANSITION',
+      });
+      expect(ReviewReplyModel.setReplyStatus).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -0,0 +1,239 @@
+/**
+ * Unit Tests: reviewReportService.js
+ *
+ * Tests review reports and review moderation in isolation using mocked models.
+ * These tests verify:
+ * - One report per user, never on the user's own review
+ * - Auto-hide at the report threshold (REVIEW_REPORT_THRESHOLD)
+ * - Admin hide/restore transitions resolve open reports
+ * - Aggregates are recalculated on every state change
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock dependencies
+jest.unstable_mockModule('../../models/reviewReportModel.js', () => ({
+  createReport: jest.fn(),
+  countOpenReports: jest.fn(),
+  listReviewsForModeration: jest.fn(),
+  countReviewsForModeration: jest.fn(),
+  setReviewModerationStatus: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/reviewModel.js', () => ({
+  findReviewById: jest.fn(),
+  hardDeleteReview: jest.fn(),
+  updateEstablishmentAggregates: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../services/reviewPhotoService.js', () => ({
+  deleteReviewPhotos: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+// Import after mocking
+const ReviewReportModel = await import('../../models/reviewReportModel.js');
+const ReviewModel = await import('../../models/reviewModel.js');
+const ReviewPhotoService = await import('../../services/reviewPhotoService.js');
+
+const {
+  getReportThreshold,
+  reportReview,
+  getReviewsForModeration,
+  hideReview,
+  restoreReview,
+  deleteReview,
+} = await import('../../services/reviewReportService.js');
+
+describe('reviewReportService', () => {
+  const reviewId = 'review-1';
+  const reporterId = 'user-2';
+  const adminId = 'admin-1';
+  const review = {
+    id: reviewId,
+    user_id: 'user-1',
+    establishment_id: 'establishment-1',
+    is_deleted: false,
+    moderation_status: 'published',
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ReviewModel.findReviewById.mockResolvedValue(review);
+    ReviewModel.updateEstablishmentAggregates.mockResolvedValue({ average_rating: 4.5, review_count: 2 });
+  });
+
+  afterEach(() => {
+    delete process.env.REVIEW_REPORT_THRESHOLD;
+  });
+
+  describe('getReportThreshold', () => {
+    test('should default to 3 and never go below 1', () => {
+      expect(getReportThreshold()).toBe(3);
+
+      process.env.REVIEW_REPORT_THRESHOLD = '0';
+      expect(getReportThreshold()).toBe(1);
+
+      process.env.REVIEW_REPORT_THRESHOLD = 'many';
+      expect(getReportThreshold()).toBe(3);
+    });
+  });
+
+  describe('reportReview', () => {
+    test('should create report below threshold without hiding', async () => {
+      const report = { id: 'report-1', review_id: reviewId, reason: 'spam' };
+      ReviewReportModel.createReport.mockResolvedValue(report);
+      ReviewReportModel.countOpenReports.mockResolvedValue(2);
+
+      const result = await reportReview(reviewId, reporterId, { reason: 'spam', comment: '  Ad link  ' });
+
+      expect(ReviewReportModel.createReport).toHaveBeenCalledWith({
+        review_id: reviewId,
+        user_id: reporterId,
+        reason: 'spam',
+        comment: 'Ad link',
+      });
+      expect(ReviewReportModel.setReviewModerationStatus).not.toHaveBeenCalled();
+      expect(ReviewModel.updateEstablishmentAggregates).not.toHaveBeenCalled();
+      expect(result).toEqual(report);
+    });
+
+    test('should hide review pending moderation at threshold', async () => {
+      ReviewReportModel.createReport.mockResolvedValue({ id: 'report-3' });
+      ReviewReportModel.countOpenReports.mockResolvedValue(3);
+      ReviewReportModel.setReviewModerationStatus.mockResolvedValue({ ...review, moderation_status: 'pending' });
+
+      await reportReview(reviewId, reporterId, { reason: 'offensive' });
+
+      expect(ReviewReportModel.setReviewModerationStatus).toHaveBeenCalledWith(reviewId, expect.objectContaining({
+        fromStatuses: ['published'],
+        toStatus: 'pending',
+        adminId: null,
+      }));
+      expect(ReviewModel.updateEstablishmentAggregates).toHaveBeenCalledWith('establishment-1');
+    });
+
+    test('should respect configured threshold', async () => {
+      process.env.REVIEW_REPORT_THRESHOLD = '5';
+      ReviewReportModel.createReport.mockResolvedValue({ id: 'report-4' });
+      ReviewReportModel.countOpenReports.mockResolvedValue(4);
+
+      await reportReview(reviewId, reporterId, { reason: 'not_a_real_visit' });
+
+      expect(ReviewReportModel.setReviewModerationStatus).not.toHaveBeenCalled();
+    });
+
+    test('should reject reporting own review', async () => {
+      await expect(reportReview(reviewId, 'user-1', { reason: 'spam' })).rejects.toMatchObject({
+        statusCode: 403,
+        code: 'CANNOT_REPORT_OWN_REVIEW',
+      });
+      expect(ReviewReportModel.createReport).not.toHaveBeenCalled();
+    });
+
+    test('should not find reviews that are not public', async () => {
+      ReviewModel.findReviewById.mockResolvedValue({ ...review, moderation_status: 'pending' });
+
+      await expect(reportReview(reviewId, reporterId, { reason: 'spam' })).rejects.toMatchObject({
+        statusCode: 404,
+        code: 'REVIEW_NOT_FOUND',
+      });
+    });
+
+    test('should reject second report of the same user', async () => {
+      const uniqueViolation = Object.assign(new Error('duplicate key'), { code: '23505' });
+      ReviewReportModel.createReport.mockRejectedValue(uniqueViolation);
+
+      await expect(reportReview(reviewId, reporterId, { reason: 'spam' })).rejects.toMatchObject({
+        statusCode: 409,
+        code: 'ALREADY_REPORTED',
+      });
+    });
+  });
+
+  describe('getReviewsForModeration', () => {
+    test('should list pending reviews by default', async () => {
+      ReviewReportModel.listReviewsForModeration.mockResolvedValue([{ id: reviewId }]);
+      ReviewReportModel.countReviewsForModeration.mockResolvedValue(1);
+
+      const result = await getReviewsForModeration({});
+
+      expect(ReviewReportModel.listReviewsForModeration).toHaveBeenCalledWith({ status: 'pending', limit: 20, offset: 0 });
+      expect(result.meta).toEqual({ total: 1, page: 1, limit: 20, pages: 1 });
+    });
+  });
+
+  describe('admin actions', () => {
+    test('should hide pending review, resolve reports and update aggregates', async () => {
+      ReviewModel.findReviewById.mockResolvedValue({ ...review, moderation_status: 'pending' });
+      ReviewReportModel.setReviewModerationStatus.mockResolvedValue({ ...review, moderation_status: 'hidden' });
+
+      const result = await hideReview(reviewId, adminId, '  Written by a competitor  ');
+
+      expect(ReviewReportModel.setReviewModerationStatus).toHaveBeenCalledWith(reviewId, {
+        fromStatuses: ['published', 'pending'],
+        toStatus: 'hidden',
+        adminId,
+        reason: 'Written by a competitor',
+        resolveReports: true,
+      });
+      expect(ReviewModel.updateEstablishmentAggregates).toHaveBeenCalledWith('establishment-1');
+      expect(result.moderation_status).toBe('hidden');
+    });
+
+    test('should require reason to hide', async () => {
+      await expect(hideReview(reviewId, adminId, '')).rejects.toMatchObject({
+        statusCode: 422,
+        code: 'REASON_REQUIRED',
+      });
+    });
+
+    test('should restore hidden review and update aggregates', async () => {
+      ReviewModel.findReviewById.mockResolvedValue({ ...review, moderation_status: 'hidden' });
+      ReviewReportModel.setReviewModerationStatus.mockResolvedValue(review);
+
+      await restoreReview(reviewId, adminId);
+
+      expect(ReviewReportModel.setReviewModerationStatus).toHaveBeenCalledWith(reviewId, expect.objectContaining({
+        toStatus: 'published',
+        resolveReports: true,
+      }));
+      expect(ReviewModel.updateEstablishmentAggregates).toHaveBeenCalledWith('establishment-1');
+    });
+
+    test('should not restore published review', async () => {
+      await expect(restoreReview(reviewId, adminId)).rejects.toMatchObject({
+        statusCode: 409,
+        code: 'INVALID_STATUS_TRANSITION',
+      });
+      expect(ReviewModel.updateEstablishmentAggregates).not.toHaveBeenCalled();
+    });
+
+    test('should hard delete review with photos and update aggregates', async () => {
+      ReviewModel.hardDeleteReview.mockResolvedValue(true);
+
+      await deleteReview(reviewId, adminId);
+
+      expect(ReviewPhotoService.deleteReviewPhotos).toHaveBeenCalledWith(reviewId);
+      expect(ReviewModel.hardDeleteReview).toHaveBeenCalledWith(reviewId);
+      expect(ReviewModel.updateEstablishmentAggregates).toHaveBeenCalledWith('establishment-1');
+    });
+
+    test('should throw 404 when deleting missing review', async () => {
+      ReviewModel.findReviewById.mockResolvedValue(null);
+
+      await expect(deleteReview(reviewId, adminId)).rejects.toMatchObject({
+        statusCode: 404,
+        code: 'REVIEW_NOT_FOUND',
+      });
+      expect(ReviewModel.hardDeleteReview).not.toHaveBeenCalled();
+    });
+  });
+});
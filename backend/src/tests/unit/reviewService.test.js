@@ -26,6 +26,10 @@ jest.unstable_mockModule('../../models/reviewModel.js', () => ({
   countReviewsByEstablishment: jest.fn(),
 }));
 
+jest.unstable_mockModule('../../services/reviewPhotoService.js', () => ({
+  deleteReviewPhotos: jest.fn(),
+}));
+
 jest.unstable_mockModule('../../config/redis.js', () => ({
   incrementWithExpiry: jest.fn(),
   getCounter: jest.fn(),
@@ -41,6 +45,7 @@ jest.unstable_mockModule('../../utils/logger.js', () => ({
 
 // Import after mocking
 const ReviewModel = await import('../../models/reviewModel.js');
+const ReviewPhotoService = await import('../../services/reviewPhotoService.js');
 const { incrementWithExpiry, getCounter } = await import('../../config/redis.js');
 const logger = (await import('../../utils/logger.js')).default;
 
@@ -114,6 +119,16 @@ describe('reviewService', () => {
       );
     });
 
+    test('should pass sub-ratings to the model', async () => {
+      await createReview({ ...validReviewData, food_rating: 5, value_rating: 3 });
+
+      expect(ReviewModel.createReview).toHaveBeenCalledWith({
+        ...validReviewData,
+        food_rating: 5,
+        value_rating: 3,
+      });
+    });
+
     test('should throw error if user not found', async () => {
       ReviewModel.getUserById.mockResolvedValue(null);
 
@@ -312,6 +327,23 @@ describe('reviewService', () => {
 
       expect(ReviewModel.updateEstablishmentAggregates).toHaveBeenCalled();
     });
+
+    test('should update aggregates when only a sub-rating changes', async () => {
+      ReviewModel.findReviewById.mockResolvedValue({ ...mockReview, service_rating: 2 });
+
+      await updateReview(reviewId, userId, { service_rating: 4 });
+
+      expect(ReviewModel.updateReview).toHaveBeenCalledWith(reviewId, { service_rating: 4 });
+      expect(ReviewModel.updateEstablishmentAggregates).toHaveBeenCalledWith(
+        mockReview.establishment_id
+      );
+    });
+
+    test('should not update aggregates when only content changes', async () => {
+      await updateReview(reviewId, userId, { content: 'Updated review content' });
+
+      expect(ReviewModel.updateEstablishmentAggregates).not.toHaveBeenCalled();
+    });
   });
 
   describe('deleteReview', () => {
@@ -329,6 +361,7 @@ describe('reviewService', () => {
       await deleteReview(reviewId, userId);
 
       expect(ReviewModel.softDeleteReview).toHaveBeenCalledWith(reviewId);
+      expect(ReviewPhotoService.deleteReviewPhotos).toHaveBeenCalledWith(reviewId);
 
       // Verify aggregates updated after deletion
       expect(ReviewModel.updateEstablishmentAggregates).toHaveBeenCalledWith(
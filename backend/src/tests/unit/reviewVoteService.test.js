@@ -0,0 +1,187 @@
+/**
+ * Unit Tests: reviewVoteService.js
+ *
+ * Tests helpful votes in isolation using mocked models and Redis.
+ * These tests verify:
+ * - Only published reviews of other users can be voted on
+ * - Every committed change drops the cached counters
+ * - Counters are read from Redis and rebuilt from the review row on a miss
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock dependencies
+jest.unstable_mockModule('../../models/reviewVoteModel.js', () => ({
+  findVote: jest.fn(),
+  setVote: jest.fn(),
+  deleteVote: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/reviewModel.js', () => ({
+  findReviewById: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../config/redis.js', () => ({
+  getCachedHash: jest.fn(),
+  setCachedHash: jest.fn(),
+  deleteCachedValue: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+// Import after mocking
+const ReviewVoteModel = await import('../../models/reviewVoteModel.js');
+const ReviewModel = await import('../../models/reviewModel.js');
+const { getCachedHash, setCachedHash, deleteCachedValue } = await import('../../config/redis.js');
+
+const {
+  voteReview,
+  removeVote,
+  getReviewVotes,
+} = await import('../../services/reviewVoteService.js');
+
+describe('reviewVoteService', () => {
+  const reviewId = 'review-1';
+  const authorId = 'user-1';
+  const voterId = 'user-2';
+  const review = {
+    id: reviewId,
+    user_id: authorId,
+    is_deleted: false,
+    moderation_status: 'published',
+    helpful_count: 3,
+    not_helpful_count: 0,
+  };
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ReviewModel.findReviewById.mockResolvedValue(review);
+    getCachedHash.mockResolvedValue(null);
+    setCachedHash.mockResolvedValue(undefined);
+    deleteCachedValue.mockResolvedValue(undefined);
+  });
+
+  describe('voteReview', () => {
+    test('should record vote and drop the cached counters', async () => {
+      ReviewVoteModel.setVote.mockResolvedValue({ previous: null, helpful_count: 4, not_helpful_count: 1 });
+
+      const result = await voteReview(reviewId, voterId, true);
+
+      expect(ReviewVoteModel.setVote).toHaveBeenCalledWith(reviewId, voterId, true);
+      expect(deleteCachedValue).toHaveBeenCalledWith('reviews:votes:review-1');
+      expect(setCachedHash).not.toHaveBeenCalled();
+      expect(result).toEqual({ vote: 'helpful', helpful_count: 4, not_helpful_count: 1 });
+    });
+
+    test('should reject votes on own review', async () => {
+      await expect(voteReview(reviewId, authorId, true)).rejects.toMatchObject({
+        statusCode: 403,
+        code: 'CANNOT_VOTE_OWN_REVIEW',
+      });
+      expect(ReviewVoteModel.setVote).not.toHaveBeenCalled();
+      expect(deleteCachedValue).not.toHaveBeenCalled();
+    });
+
+    test('should not find reviews hidden by moderation', async () => {
+      ReviewModel.findReviewById.mockResolvedValue({ ...review, moderation_status: 'hidden' });
+
+      await expect(voteReview(reviewId, voterId, false)).rejects.toMatchObject({
+        statusCode: 404,
+        code: 'REVIEW_NOT_FOUND',
+      });
+    });
+
+    test('should report concurrent first votes as conflict', async () => {
+      const uniqueViolation = Object.assign(new Error('duplicate key'), { code: '23505' });
+      ReviewVoteModel.setVote.mockRejectedValue(uniqueViolation);
+
+      await expect(voteReview(reviewId, voterId, true)).rejects.toMatchObject({
+        statusCode: 409,
+        code: 'VOTE_CONFLICT',
+      });
+    });
+  });
+
+  describe('removeVote', () => {
+    test('should remove vote and drop the cached counters', async () => {
+      ReviewVoteModel.deleteVote.mockResolvedValue({ previous: false, helpful_count: 4, not_helpful_count: 0 });
+
+      const result = await removeVote(reviewId, voterId);
+
+      expect(result).toEqual({ vote: null, helpful_count: 4, not_helpful_count: 0 });
+      expect(deleteCachedValue).toHaveBeenCalledWith('reviews:votes:review-1');
+    });
+
+    test('should throw 404 without a vote', async () => {
+      ReviewVoteModel.deleteVote.mockResolvedValue(null);
+
+      await expect(removeVote(reviewId, voterId)).rejects.toMatchObject({
+        statusCode: 404,
+        code: 'VOTE_NOT_FOUND',
+      });
+      expect(deleteCachedValue).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getReviewVotes', () => {
+    test('should read counters from Redis', async () => {
+      getCachedHash.mockResolvedValue({ helpful_count: '7', not_helpful_count: '2' });
+      ReviewVoteModel.findVote.mockResolvedValue(false);
+
+      const result = await getReviewVotes(reviewId, voterId);
+
+      expect(ReviewVoteModel.findVote).toHaveBeenCalledWith(reviewId, voterId);
+      expect(setCachedHash).not.toHaveBeenCalled();
+      expect(result).toEqual({ helpful_count: 7, not_helpful_count: 2, my_vote: 'not_helpful' });
+    });
+
+    test('should rebuild counters from the review row on cache miss', async () => {
+      const result = await getReviewVotes(reviewId);
+
+      expect(setCachedHash).toHaveBeenCalledWith(
+        'reviews:votes:review-1',
+        { helpful_count: 3, not_helpful_count: 0 },
+        86400
+      );
+      expect(ReviewVoteModel.findVote).not.toHaveBeenCalled();
+      expect(result).toEqual({ helpful_count: 3, not_helpful_count: 0, my_vote: null });
+    });
+  });
+
+  describe('concurrent votes', () => {
+    test('should serve committed counters when votes finish out of commit order', async () => {
+      // In-memory Redis, so writes and deletes interleave as they would in production
+      const store = new Map();
+      getCachedHash.mockImplementation(async (key) => store.get(key) || null);
+      setCachedHash.mockImplementation(async (key, fields) => {
+        store.set(key, Object.fromEntries(Object.entries(fields).map(([field, value]) => [field, String(value)])));
+      });
+      deleteCachedValue.mockImplementation(async (key) => {
+        store.delete(key);
+      });
+
+      // Vote A commits first, vote B second; B finishes its request first
+      let commitA;
+      ReviewVoteModel.setVote
+        .mockImplementationOnce(() => new Promise((resolve) => { commitA = resolve; }))
+        .mockResolvedValueOnce({ previous: null, helpful_count: 5, not_helpful_count: 0 });
+      ReviewModel.findReviewById.mockResolvedValue({ ...review, helpful_count: 5, not_helpful_count: 0 });
+
+      const voteA = voteReview(reviewId, 'user-3', true);
+      await new Promise(setImmediate);
+      await voteReview(reviewId, 'user-4', true);
+      commitA({ previous: null, helpful_count: 4, not_helpful_count: 0 });
+      await voteA;
+
+      const result = await getReviewVotes(reviewId);
+
+      expect(result).toEqual({ helpful_count: 5, not_helpful_count: 0, my_vote: null });
+    });
+  });
+});
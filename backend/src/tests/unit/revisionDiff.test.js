@@ -0,0 +1,74 @@
+/**
+ * Unit Tests: revisionDiff.js
+ *
+ * Tests the field-by-field diff shown to moderators for pending revisions.
+ * These tests verify:
+ * - Added/removed items for list fields
+ * - Per-key changes for JSON fields such as working_hours
+ * - Scalar comparison, including NUMERIC columns returned as strings
+ */
+
+import { buildRevisionDiff, isSameValue } from '../../utils/revisionDiff.js';
+
+describe('revisionDiff', () => {
+  const establishment = {
+    name: 'Кафе Уют',
+    latitude: '53.9006000',
+    categories: ['Ресторан', 'Бар'],
+    working_hours: {
+      monday: '09:00-22:00',
+      tuesday: '09:00-22:00',
+      sunday: { open: '10:00', close: '20:00' },
+    },
+    description: null,
+  };
+
+  test('should report added and removed list items', () => {
+    const [diff] = buildRevisionDiff(establishment, { categories: ['Ресторан', 'Кофейня'] });
+
+    expect(diff).toMatchObject({
+      field: 'categories',
+      type: 'list',
+      changed: true,
+      added: ['Кофейня'],
+      removed: ['Бар'],
+    });
+  });
+
+  test('should report only working_hours days that changed', () => {
+    const [diff] = buildRevisionDiff(establishment, {
+      working_hours: {
+        monday: '09:00-22:00',
+        tuesday: '10:00-23:00',
+        sunday: { close: '20:00', open: '10:00' },
+        saturday: '12:00-18:00',
+      },
+    });
+
+    expect(diff.type).toBe('object');
+    expect(diff.changed).toBe(true);
+    expect(diff.keys).toEqual([
+      { key: 'tuesday', current: '09:00-22:00', proposed: '10:00-23:00' },
+      { key: 'saturday', current: null, proposed: '12:00-18:00' },
+    ]);
+  });
+
+  test('should compare scalars with numeric and empty normalization', () => {
+    const diff = buildRevisionDiff(establishment, {
+      latitude: 53.9006,
+      description: '',
+      name: 'Кафе Уют 2',
+    });
+
+    expect(diff).toEqual([
+      { field: 'latitude', type: 'value', changed: false, current: 53.9006, proposed: 53.9006 },
+      { field: 'description', type: 'value', changed: false, current: null, proposed: null },
+      { field: 'name', type: 'value', changed: true, current: 'Кафе Уют', proposed: 'Кафе Уют 2' },
+    ]);
+  });
+
+  test('should ignore object key order when comparing values', () => {
+    expect(isSameValue({ a: 1, b: [1, { c: 2, d: 3 }] }, { b: [1, { d: 3, c: 2 }], a: 1 })).toBe(true);
+    expect(isSameValue(['a', 'b'], ['b', 'a'])).toBe(false);
+  });
+});
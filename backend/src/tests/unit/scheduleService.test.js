@@ -0,0 +1,238 @@
+/**
+ * Unit Tests: scheduleService.js
+ *
+ * Tests holidays and temporary closures in isolation using mocked models.
+ * These tests verify:
+ * - Team permissions for reading and changing exceptions
+ * - How exception types and hours fit together
+ * - Date range rules and overlap detection
+ * - National holidays replaced by own exceptions
+ * - National holiday calendar maintenance
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock dependencies
+jest.unstable_mockModule('../../models/scheduleModel.js', () => ({
+  listPublicHolidays: jest.fn(),
+  findPublicHoliday: jest.fn(),
+  createPublicHoliday: jest.fn(),
+  updatePublicHoliday: jest.fn(),
+  deletePublicHoliday: jest.fn(),
+  listExceptions: jest.fn(),
+  findException: jest.fn(),
+  hasOverlappingException: jest.fn(),
+  createException: jest.fn(),
+  updateException: jest.fn(),
+  deleteException: jest.fn(),
+  setObservesPublicHolidays: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/establishmentModel.js', () => ({
+  checkOwnership: jest.fn(),
+  findEstablishmentById: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+// Import after mocking
+const ScheduleModel = await import('../../models/scheduleModel.js');
+const EstablishmentModel = await import('../../models/establishmentModel.js');
+
+const {
+  getSchedule,
+  createException,
+  updateException,
+  deleteException,
+  createPublicHoliday,
+  updatePublicHoliday,
+} = await import('../../services/scheduleService.js');
+
+import { TEAM_PERMISSIONS } from '../../utils/teamPermissions.js';
+
+describe('scheduleService', () => {
+  const establishmentId = 'est-1';
+  const userId = 'partner-1';
+
+  beforeAll(() => {
+    // Monday 2026-10-19, 12:00 in Minsk
+    jest.useFakeTimers({ now: new Date('2026-10-19T09:00:00Z'), doNotFake: ['nextTick', 'setImmediate'] });
+  });
+
+  afterAll(() => {
+    jest.useRealTimers();
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    EstablishmentModel.checkOwnership.mockResolvedValue(true);
+    ScheduleModel.hasOverlappingException.mockResolvedValue(false);
+    ScheduleModel.createException.mockImplementation(async (exception) => ({ id: 'exc-1', ...exception }));
+    ScheduleModel.updateException.mockImplementation(async (id, estId, changes) => ({ id, ...changes }));
+  });
+
+  describe('getSchedule', () => {
+    test('should mark national holidays replaced by own exceptions', async () => {
+      EstablishmentModel.findEstablishmentById.mockResolvedValue({ id: establishmentId, observes_public_holidays: true });
+      ScheduleModel.listExceptions.mockResolvedValue([
+        { id: 'exc-1', type: 'holiday', start_date: '2026-11-07', end_date: '2026-11-07', hours: { open: '12:00', close: '20:00' } },
+      ]);
+      ScheduleModel.listPublicHolidays.mockResolvedValue([
+        { id: 'h-1', date: '2026-11-07', name: 'День Октябрьской революции' },
+        { id: 'h-2', date: '2026-12-25', name: 'Рождество Христово (католическое)' },
+      ]);
+
+      const result = await getSchedule(establishmentId, userId);
+
+      expect(EstablishmentModel.checkOwnership).toHaveBeenCalledWith(establishmentId, userId, TEAM_PERMISSIONS.view);
+      expect(ScheduleModel.listExceptions).toHaveBeenCalledWith(establishmentId, '2026-10-19');
+      expect(result.observes_public_holidays).toBe(true);
+      expect(result.public_holidays.map(holiday => holiday.overridden_by)).toEqual(['exc-1', null]);
+    });
+
+    test('should deny access without ownership', async () => {
+      EstablishmentModel.checkOwnership.mockResolvedValue(false);
+
+      await expect(getSchedule(establishmentId, 'stranger')).rejects.toMatchObject({
+        statusCode: 404,
+        code: 'ESTABLISHMENT_NOT_FOUND',
+      });
+    });
+  });
+
+  describe('createException', () => {
+    test('should create a temporary closure with edit permission', async () => {
+      const result = await createException(establishmentId, userId, {
+        type: 'closure',
+        start_date: '2026-11-01',
+        end_date: '2026-11-30',
+        note: 'Ремонт',
+      });
+
+      expect(EstablishmentModel.checkOwnership).toHaveBeenCalledWith(establishmentId, userId, TEAM_PERMISSIONS.edit);
+      expect(ScheduleModel.hasOverlappingException).toHaveBeenCalledWith(establishmentId, '2026-11-01', '2026-11-30', null);
+      expect(result).toMatchObject({
+        establishment_id: establishmentId,
+        type: 'closure',
+        hours: null,
+        created_by: userId,
+      });
+    });
+
+    test('should default end_date to start_date and trim hours', async () => {
+      const result = await createException(establishmentId, userId, {
+        type: 'short_day',
+        start_date: '2026-12-31',
+        hours: { open: ' 10:00', close: '18:00 ' },
+      });
+
+      expect(result).toMatchObject({
+        end_date: '2026-12-31',
+        hours: { open: '10:00', close: '18:00' },
+      });
+    });
+
+    test.each([
+      [{ type: 'closure', hours: { open: '10:00', close: '18:00' } }, 'INVALID_HOURS'],
+      [{ type: 'short_day' }, 'INVALID_HOURS'],
+      [{ type: 'short_day', hours: { open: '10', close: '18:00' } }, 'INVALID_HOURS'],
+      [{ type: 'vacation' }, 'INVALID_EXCEPTION_TYPE'],
+      [{ type: 'closure', end_date: '2026-10-31' }, 'INVALID_DATE_RANGE'],
+      [{ type: 'closure', start_date: '2026-10-01', end_date: '2026-10-18' }, 'INVALID_DATE_RANGE'],
+      [{ type: 'closure', end_date: '2027-11-30' }, 'INVALID_DATE_RANGE'],
+    ])('should reject %j', async (data, code) => {
+      await expect(createException(establishmentId, userId, {
+        start_date: '2026-11-01',
+        ...data,
+      })).rejects.toMatchObject({ statusCode: 422, code });
+
+      expect(ScheduleModel.createException).not.toHaveBeenCalled();
+    });
+
+    test('should reject overlapping exceptions', async () => {
+      ScheduleModel.hasOverlappingException.mockResolvedValue(true);
+
+      await expect(createException(establishmentId, userId, {
+        type: 'holiday',
+        start_date: '2026-11-07',
+      })).rejects.toMatchObject({ statusCode: 409, code: 'SCHEDULE_EXCEPTION_OVERLAP' });
+    });
+  });
+
+  describe('updateException', () => {
+    const current = {
+      id: 'exc-1',
+      type: 'short_day',
+      start_date: '2026-12-31',
+      end_date: '2026-12-31',
+      hours: { open: '10:00', close: '18:00' },
+      note: null,
+    };
+
+    test('should drop hours when turning an exception into a closure', async () => {
+      ScheduleModel.findException.mockResolvedValue(current);
+
+      await updateException(establishmentId, 'exc-1', userId, { type: 'closure' });
+
+      expect(ScheduleModel.hasOverlappingException).toHaveBeenCalledWith(establishmentId, '2026-12-31', '2026-12-31', 'exc-1');
+      expect(ScheduleModel.updateException).toHaveBeenCalledWith('exc-1', establishmentId, expect.objectContaining({
+        type: 'closure',
+        hours: null,
+      }));
+    });
+
+    test('should validate the merged exception', async () => {
+      ScheduleModel.findException.mockResolvedValue(current);
+
+      await expect(updateException(establishmentId, 'exc-1', userId, { start_date: '2027-01-05' }))
+        .rejects.toMatchObject({ code: 'INVALID_DATE_RANGE' });
+    });
+
+    test('should return 404 for unknown exceptions', async () => {
+      ScheduleModel.findException.mockResolvedValue(null);
+
+      await expect(updateException(establishmentId, 'missing', userId, { note: 'x' }))
+        .rejects.toMatchObject({ statusCode: 404, code: 'SCHEDULE_EXCEPTION_NOT_FOUND' });
+    });
+  });
+
+  describe('deleteException', () => {
+    test('should return 404 for unknown exceptions', async () => {
+      ScheduleModel.deleteException.mockResolvedValue(null);
+
+      await expect(deleteException(establishmentId, 'missing', userId))
+        .rejects.toMatchObject({ statusCode: 404, code: 'SCHEDULE_EXCEPTION_NOT_FOUND' });
+    });
+  });
+
+  describe('national holiday calendar', () => {
+    test('should create a closed holiday by default', async () => {
+      ScheduleModel.createPublicHoliday.mockImplementation(async (holiday) => ({ id: 'h-1', ...holiday }));
+
+      const result = await createPublicHoliday({ date: '2028-04-25', name: 'Радуница' });
+
+      expect(result).toMatchObject({ type: 'holiday', hours: null });
+    });
+
+    test('should report dates already in the calendar', async () => {
+      ScheduleModel.createPublicHoliday.mockRejectedValue(Object.assign(new Error('duplicate'), { code: '23505' }));
+
+      await expect(createPublicHoliday({ date: '2026-01-01', name: 'Новый год' }))
+        .rejects.toMatchObject({ statusCode: 409, code: 'HOLIDAY_DATE_EXISTS' });
+    });
+
+    test('should require hours for shortened days', async () => {
+      ScheduleModel.findPublicHoliday.mockResolvedValue({ id: 'h-1', type: 'holiday', hours: null });
+
+      await expect(updatePublicHoliday('h-1', { type: 'short_day' }))
+        .rejects.toMatchObject({ statusCode: 422, code: 'INVALID_HOURS' });
+      expect(ScheduleModel.updatePublicHoliday).not.toHaveBeenCalled();
+    });
+  });
+});
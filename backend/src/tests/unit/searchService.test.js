@@ -25,6 +25,8 @@ const pool = (await import('../../config/database.js')).default;
 const {
   searchByRadius,
   searchByBounds,
+  searchByCity,
+  getSuggestions,
   checkSearchHealth,
 } = await import('../../services/searchService.js');
 
@@ -255,6 +257,112 @@ describe('searchService', () => {
       expect(params).toContain(4.0);
     });
 
+    test('should filter by sub-rating averages and return them as numbers', async () => {
+      pool.query.mockResolvedValueOnce({
+        rows: [{
+          ...createMockEstablishment(),
+          distance_km: '0.8',
+          average_food_rating: '4.60',
+          average_service_rating: '3.75',
+          average_atmosphere_rating: null,
+          average_value_rating: '4.00',
+        }],
+        rowCount: 1,
+      });
+      pool.query.mockResolvedValueOnce({ rows: [{ total: '1' }], rowCount: 1 });
+
+      const result = await searchByRadius({
+        ...validParams,
+        minSubRatings: { food: 4.5, service: 3.5 },
+      });
+
+      const [query, params] = pool.query.mock.calls[0];
+      expect(query).toContain('e.average_food_rating >= ');
+      expect(query).toContain('e.average_service_rating >= ');
+      expect(query).not.toContain('e.average_value_rating >= ');
+      expect(params).toEqual(expect.arrayContaining([4.5, 3.5]));
+      expect(result.establishments[0]).toMatchObject({
+        average_food_rating: 4.6,
+        average_service_rating: 3.75,
+        average_atmosphere_rating: null,
+        average_value_rating: 4,
+      });
+    });
+
+    test('should filter by average check range', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+      pool.query.mockResolvedValueOnce({ rows: [{ total: '0' }], rowCount: 1 });
+
+      await searchByRadius({
+        ...validParams,
+        minCheck: 10,
+        maxCheck: 30,
+      });
+
+      const [query, params] = pool.query.mock.calls[0];
+      expect(query).toContain('e.average_check_byn >= ');
+      expect(query).toContain('e.average_check_byn <= ');
+      expect(params).toEqual(expect.arrayContaining([10, 30]));
+    });
+
+    test('should require all features and report matched features', async () => {
+      pool.query.mockResolvedValueOnce({
+        rows: [{
+          ...createMockEstablishment(),
+          distance_km: '0.8',
+          attributes: { features: ['wifi', 'terrace', 'parking'] },
+        }],
+        rowCount: 1,
+      });
+      pool.query.mockResolvedValueOnce({ rows: [{ total: '1' }], rowCount: 1 });
+
+      const result = await searchByRadius({
+        ...validParams,
+        features: ['wifi', 'terrace'],
+      });
+
+      const [query, params] = pool.query.mock.calls[0];
+      expect(query).toContain('e.attributes @> $');
+      expect(params).toContain(JSON.stringify({ features: ['wifi', 'terrace'] }));
+      expect(result.establishments[0].features).toEqual(['wifi', 'terrace', 'parking']);
+      expect(result.establishments[0].matched_features).toEqual(['wifi', 'terrace']);
+    });
+
+    test('should match features of the legacy column like the response', async () => {
+      pool.query.mockResolvedValueOnce({
+        rows: [{
+          ...createMockEstablishment(),
+          distance_km: '0.8',
+          attributes: {},
+          features: ['wifi', 'parking'],
+        }],
+        rowCount: 1,
+      });
+      pool.query.mockResolvedValueOnce({ rows: [{ total: '1' }], rowCount: 1 });
+
+      const result = await searchByRadius({
+        ...validParams,
+        features: ['wifi', 'wifi'],
+      });
+
+      const [query, params] = pool.query.mock.calls[0];
+      expect(query).toMatch(/jsonb_typeof\(e\.attributes->'features'\) IS DISTINCT FROM 'array' AND e\.features @> \$\d+::text\[\]/);
+      expect(params).toContainEqual(['wifi']);
+      expect(result.establishments[0].matched_features).toEqual(['wifi']);
+    });
+
+    test('should validate average check and features filters', async () => {
+      await expect(
+        searchByRadius({ ...validParams, minCheck: 50, maxCheck: 20 })
+      ).rejects.toMatchObject({ statusCode: 422, code: 'VALIDATION_ERROR' });
+
+      await expect(
+        searchByRadius({ ...validParams, features: ['jacuzzi'] })
+      ).rejects.toThrow('Invalid features: jacuzzi');
+
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+
     test('should combine multiple filters', async () => {
       pool.query.mockResolvedValue({ rows: [], rowCount: 0 });
       pool.query.mockResolvedValue({ rows: [{ total: '0' }], rowCount: 1 });
@@ -351,6 +459,20 @@ describe('searchService', () => {
       expect(query).toContain('ORDER BY ne.distance_km ASC, ne.average_rating DESC, ne.review_count DESC');
     });
 
+    test('should filter radius with ST_DWithin on indexed location column', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+      pool.query.mockResolvedValueOnce({ rows: [{ total: '0' }], rowCount: 1 });
+
+      await searchByRadius(validParams);
+
+      const [query] = pool.query.mock.calls[0];
+      const [countQuery] = pool.query.mock.calls[1];
+      expect(query).toContain('ST_DWithin(e.location,');
+      expect(query).toContain('ST_Distance(e.location,');
+      expect(query).not.toContain('ST_MakePoint(e.longitude, e.latitude)');
+      expect(countQuery).toContain('ST_DWithin(e.location,');
+    });
+
     test('should only search active establishments', async () => {
       pool.query.mockResolvedValue({ rows: [], rowCount: 0 });
       pool.query.mockResolvedValue({ rows: [{ total: '0' }], rowCount: 1 });
@@ -365,6 +487,287 @@ describe('searchService', () => {
     });
   });
 
+  describe('searchByRadius sorting', () => {
+    const params = { latitude: 53.9, longitude: 27.5, radius: 10 };
+
+    const mockEmptySearch = () => {
+      pool.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+      pool.query.mockResolvedValueOnce({ rows: [{ total: '0' }], rowCount: 1 });
+    };
+
+    test('should order by distance by default', async () => {
+      mockEmptySearch();
+
+      const result = await searchByRadius(params);
+
+      expect(result.sort).toBe('distance');
+      expect(pool.query.mock.calls[0][0]).toContain('ORDER BY ne.distance_km ASC');
+    });
+
+    test('should order by average check for price sorts', async () => {
+      mockEmptySearch();
+      await searchByRadius({ ...params, sort: 'price_asc' });
+      expect(pool.query.mock.calls[0][0]).toContain('ORDER BY ne.average_check_byn ASC NULLS LAST');
+
+      mockEmptySearch();
+      await searchByRadius({ ...params, sort: 'price_desc' });
+      expect(pool.query.mock.calls[2][0]).toContain('ORDER BY ne.average_check_byn DESC NULLS LAST');
+    });
+
+    test('should compute relevance score from rating confidence and distance decay', async () => {
+      pool.query.mockResolvedValueOnce({
+        rows: [{ ...createMockEstablishment(), distance_km: '1.2', relevance_score: '0.81' }],
+        rowCount: 1,
+      });
+      pool.query.mockResolvedValueOnce({ rows: [{ total: '1' }], rowCount: 1 });
+
+      const result = await searchByRadius({ ...params, sort: 'relevance' });
+
+      const query = pool.query.mock.calls[0][0];
+      expect(query).toContain('EXP(-ne.distance_km');
+      expect(query).toContain('AS relevance_score');
+      expect(query).toContain('ORDER BY relevance_score DESC');
+      expect(result.establishments[0].relevance_score).toBe(0.81);
+    });
+
+    test('should default to relevance when free-text query is given', async () => {
+      mockEmptySearch();
+
+      const result = await searchByRadius({ ...params, q: 'пицца' });
+
+      expect(result.sort).toBe('relevance');
+      expect(pool.query.mock.calls[0][0]).toContain('ne.text_rank');
+    });
+
+    test('should reject unknown sort order', async () => {
+      await expect(
+        searchByRadius({ ...params, sort: 'cheapest' })
+      ).rejects.toMatchObject({
+        statusCode: 422,
+        code: 'VALIDATION_ERROR',
+      });
+    });
+  });
+
+  describe('searchByRadius cursor pagination', () => {
+    const params = { latitude: 53.9, longitude: 27.5, radius: 10, limit: 2 };
+    const rows = [
+      { ...createMockEstablishment({ id: '00000000-0000-4000-8000-000000000001' }), distance_km: '0.5' },
+      { ...createMockEstablishment({ id: '00000000-0000-4000-8000-000000000002' }), distance_km: '0.9' },
+      { ...createMockEstablishment({ id: '00000000-0000-4000-8000-000000000003' }), distance_km: '1.4' },
+    ];
+
+    test('should return next_cursor from the last row when more rows exist', async () => {
+      pool.query.mockResolvedValueOnce({ rows, rowCount: 3 });
+
+      const result = await searchByRadius({ ...params, pagination: 'cursor' });
+
+      const query = pool.query.mock.calls[0][0];
+      expect(query).toContain('ORDER BY ne.distance_km ASC, ne.id ASC');
+      expect(pool.query).toHaveBeenCalledTimes(1);
+      expect(result.establishments).toHaveLength(2);
+      expect(result.pagination.hasNext).toBe(true);
+
+      const decoded = JSON.parse(Buffer.from(result.pagination.next_cursor, 'base64url').toString('utf8'));
+      expect(decoded).toEqual({ d: 0.9, i: '00000000-0000-4000-8000-000000000002' });
+    });
+
+    test('should continue after a row at equal distance on the page boundary', async () => {
+      const tiedRows = [
+        { ...createMockEstablishment({ id: '00000000-0000-4000-8000-000000000001', average_rating: 3.0 }), distance_km: '0.5' },
+        { ...createMockEstablishment({ id: '00000000-0000-4000-8000-000000000002', average_rating: 3.5 }), distance_km: '0.9' },
+        { ...createMockEstablishment({ id: '00000000-0000-4000-8000-000000000003', average_rating: 4.8 }), distance_km: '0.9' },
+      ];
+      pool.query.mockResolvedValueOnce({ rows: tiedRows, rowCount: 3 });
+
+      const firstPage = await searchByRadius({ ...params, pagination: 'cursor' });
+
+      // The higher-rated row with the larger id must not be ordered first
+      const firstQuery = pool.query.mock.calls[0][0];
+      expect(firstQuery).toContain('ORDER BY ne.distance_km ASC, ne.id ASC');
+      expect(firstQuery).not.toContain('ne.average_rating DESC');
+
+      pool.query.mockClear();
+      pool.query.mockResolvedValueOnce({ rows: tiedRows.slice(2), rowCount: 1 });
+
+      const secondPage = await searchByRadius({ ...params, cursor: firstPage.pagination.next_cursor });
+
+      const [secondQuery, secondParams] = pool.query.mock.calls[0];
+      expect(secondQuery).toContain('ORDER BY ne.distance_km ASC, ne.id ASC');
+      expect(secondParams).toEqual(expect.arrayContaining([0.9, '00000000-0000-4000-8000-000000000002']));
+      expect([...firstPage.establishments, ...secondPage.establishments].map(e => e.id)).toEqual([
+        '00000000-0000-4000-8000-000000000001',
+        '00000000-0000-4000-8000-000000000002',
+        '00000000-0000-4000-8000-000000000003',
+      ]);
+    });
+
+    test('should continue after cursor position without counting', async () => {
+      pool.query.mockResolvedValueOnce({ rows: rows.slice(2), rowCount: 1 });
+      const cursor = Buffer.from(JSON.stringify({ d: 0.9, i: '00000000-0000-4000-8000-000000000002' }))
+        .toString('base64url');
+
+      const result = await searchByRadius({ ...params, cursor });
+
+      const [query, queryParams] = pool.query.mock.calls[0];
+      expect(query).toContain('(ne.distance_km, ne.id) >');
+      expect(query).toContain('ORDER BY ne.distance_km ASC, ne.id ASC');
+      expect(queryParams).toEqual(expect.arrayContaining([0.9, '00000000-0000-4000-8000-000000000002']));
+      expect(pool.query).toHaveBeenCalledTimes(1);
+      expect(result.pagination).toEqual({
+        limit: 2,
+        total: null,
+        hasNext: false,
+        next_cursor: null,
+      });
+    });
+
+    test('should keep rating tie-breakers and return no next_cursor in offset mode', async () => {
+      pool.query.mockResolvedValueOnce({ rows, rowCount: 3 });
+      pool.query.mockResolvedValueOnce({ rows: [{ total: '3' }], rowCount: 1 });
+
+      const result = await searchByRadius(params);
+
+      const query = pool.query.mock.calls[0][0];
+      expect(query).toContain('ORDER BY ne.distance_km ASC, ne.average_rating DESC, ne.review_count DESC, ne.id ASC');
+      expect(result.pagination.hasNext).toBe(true);
+      expect(result.pagination).not.toHaveProperty('next_cursor');
+    });
+
+    test('should reject unknown pagination mode', async () => {
+      await expect(
+        searchByRadius({ ...params, pagination: 'pages' })
+      ).rejects.toMatchObject({
+        statusCode: 422,
+        code: 'VALIDATION_ERROR',
+      });
+    });
+
+    test('should skip count in offset mode when include_total is false', async () => {
+      pool.query.mockResolvedValueOnce({ rows: rows.slice(0, 1), rowCount: 1 });
+
+      const result = await searchByRadius({ ...params, includeTotal: false });
+
+      expect(pool.query).toHaveBeenCalledTimes(1);
+      expect(result.pagination.total).toBeNull();
+      expect(result.pagination.hasNext).toBe(false);
+    });
+
+    test('should reject malformed cursor', async () => {
+      await expect(
+        searchByRadius({ ...params, cursor: 'not-a-cursor' })
+      ).rejects.toMatchObject({
+        statusCode: 422,
+        code: 'VALIDATION_ERROR',
+      });
+    });
+
+    test('should reject cursor with non-distance sort', async () => {
+      const cursor = Buffer.from(JSON.stringify({ d: 0.9, i: '00000000-0000-4000-8000-000000000002' }))
+        .toString('base64url');
+
+      await expect(
+        searchByRadius({ ...params, cursor, sort: 'rating' })
+      ).rejects.toMatchObject({
+        statusCode: 422,
+        code: 'VALIDATION_ERROR',
+      });
+    });
+  });
+
+  describe('searchByRadius organizations', () => {
+    const params = { latitude: 53.9, longitude: 27.5, radius: 10 };
+    const organizationId = '00000000-0000-4000-8000-0000000000aa';
+
+    test('should collapse results to the nearest branch of each organization', async () => {
+      pool.query.mockResolvedValueOnce({
+        rows: [{
+          ...createMockEstablishment(),
+          distance_km: '0.4',
+          organization_id: organizationId,
+          organization_name: 'Пицца Темпо',
+          organization_logo_url: 'https://cdn/logo.png',
+          branch_rank: '1',
+          branch_count: '3',
+        }],
+        rowCount: 1,
+      });
+      pool.query.mockResolvedValueOnce({ rows: [{ total: '1' }], rowCount: 1 });
+
+      const result = await searchByRadius({ ...params, collapseBranches: true });
+
+      const [query] = pool.query.mock.calls[0];
+      expect(query).toContain('PARTITION BY COALESCE(e.organization_id, e.id)');
+      expect(query).toContain('ne.branch_rank = 1');
+      expect(pool.query.mock.calls[1][0]).toContain('COUNT(DISTINCT COALESCE(e.organization_id, e.id))');
+
+      const [establishment] = result.establishments;
+      expect(establishment.organization).toEqual({
+        id: organizationId,
+        name: 'Пицца Темпо',
+        logo_url: 'https://cdn/logo.png',
+      });
+      expect(establishment.branch_count).toBe(3);
+      expect(establishment).not.toHaveProperty('branch_rank');
+      expect(establishment).not.toHaveProperty('organization_name');
+    });
+
+    test('should filter by organization and validate its id', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+      pool.query.mockResolvedValueOnce({ rows: [{ total: '0' }], rowCount: 1 });
+
+      await searchByRadius({ ...params, organizationId });
+
+      const [query, queryParams] = pool.query.mock.calls[0];
+      expect(query).toContain('e.organization_id = $2::uuid');
+      expect(queryParams[1]).toBe(organizationId);
+
+      await expect(
+        searchByRadius({ ...params, organizationId: 'pizza' })
+      ).rejects.toMatchObject({ statusCode: 422, code: 'VALIDATION_ERROR' });
+    });
+  });
+
+  describe('searchByRadius dish filter', () => {
+    const params = { latitude: 53.9, longitude: 27.5, radius: 10 };
+
+    test('should only return establishments serving a matching dish', async () => {
+      const dishes = [{ id: 'item-1', name: 'Драники со сметаной', price: 9.5 }];
+      pool.query.mockResolvedValueOnce({
+        rows: [{ ...createMockEstablishment(), distance_km: '1.2', matched_dishes: dishes }],
+        rowCount: 1,
+      });
+      pool.query.mockResolvedValueOnce({ rows: [{ total: '1' }], rowCount: 1 });
+
+      const result = await searchByRadius({ ...params, dish: 'драники' });
+
+      const [query, queryParams] = pool.query.mock.calls[0];
+      expect(query).toContain('FROM menu_items mi');
+      expect(query).toContain('mi.is_available = true');
+      expect(query).toContain('AS matched_dishes');
+      expect(queryParams.slice(1, 4)).toHaveLength(3);
+      expect(pool.query.mock.calls[1][0]).toContain('FROM menu_items mi');
+      expect(result.establishments[0].matched_dishes).toEqual(dishes);
+    });
+
+    test('should leave results without dish filter unchanged', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [createMockEstablishment()], rowCount: 1 });
+      pool.query.mockResolvedValueOnce({ rows: [{ total: '1' }], rowCount: 1 });
+
+      const result = await searchByRadius(params);
+
+      expect(pool.query.mock.calls[0][0]).not.toContain('menu_items');
+      expect(result.establishments[0]).not.toHaveProperty('matched_dishes');
+    });
+
+    test('should reject dish query without letters or digits', async () => {
+      await expect(
+        searchByRadius({ ...params, dish: '!!!' })
+      ).rejects.toMatchObject({ statusCode: 422, code: 'VALIDATION_ERROR' });
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
   describe('searchByBounds', () => {
     test('should search establishments within map bounds', async () => {
       const mockEstablishments = [createMockEstablishment()];
@@ -381,10 +784,12 @@ describe('searchService', () => {
         maxLon: 27.55,
       });
 
-      expect(result.establishments).toEqual(mockEstablishments);
+      expect(result.establishments).toMatchObject(mockEstablishments);
+      expect(result.establishments[0]).toHaveProperty('is_open');
 
       // Verify query uses bounding box
       const query = pool.query.mock.calls[0][0];
+      expect(query).toContain('e.location && ST_MakeEnvelope(');
       expect(query).toContain('e.latitude BETWEEN');
       expect(query).toContain('e.longitude BETWEEN');
 
@@ -395,6 +800,67 @@ describe('searchService', () => {
       expect(params).toContain(27.55); // maxLon
     });
 
+    test('should filter by open state when openAt is provided', async () => {
+      pool.query.mockResolvedValue({ rows: [], rowCount: 0 });
+      const openAt = new Date('2025-01-15T09:00:00Z');
+
+      await searchByBounds({
+        minLat: 53.85,
+        maxLat: 53.95,
+        minLon: 27.45,
+        maxLon: 27.55,
+        openAt,
+      });
+
+      const query = pool.query.mock.calls[0][0];
+      expect(query).toContain('establishment_is_open_with_exceptions(e.id, e.working_hours, e.special_hours, e.is_24_hours, e.observes_public_holidays');
+      expect(query).toContain("'2025-01-14'::date, '2025-01-22'::date) AS schedule_overrides");
+      expect(pool.query.mock.calls[0][1]).toContain(openAt);
+    });
+
+    test('should report establishments closed by a schedule exception as closed', async () => {
+      pool.query.mockResolvedValue({
+        rows: [{
+          ...createMockEstablishment(),
+          working_hours: { wednesday: '09:00-22:00', thursday: '09:00-22:00' },
+          special_hours: null,
+          schedule_overrides: { '2025-01-15': { closed: true } },
+        }],
+        rowCount: 1,
+      });
+
+      const result = await searchByBounds({
+        minLat: 53.85,
+        maxLat: 53.95,
+        minLon: 27.45,
+        maxLon: 27.55,
+        openAt: new Date('2025-01-15T09:00:00Z'),
+      });
+
+      expect(result.establishments[0].is_open).toBe(false);
+      expect(result.establishments[0].opens_at).toBe('2025-01-16T06:00:00.000Z');
+      expect(result.establishments[0]).not.toHaveProperty('schedule_overrides');
+    });
+
+    test('should apply average check and features filters', async () => {
+      pool.query.mockResolvedValue({ rows: [], rowCount: 0 });
+
+      await searchByBounds({
+        minLat: 53.85,
+        maxLat: 53.95,
+        minLon: 27.45,
+        maxLon: 27.55,
+        maxCheck: 30,
+        features: ['wifi'],
+      });
+
+      const [query, params] = pool.query.mock.calls[0];
+      expect(query).toContain('e.average_check_byn <= ');
+      expect(query).toContain('e.attributes @> $');
+      expect(params).toContain(30);
+      expect(params).toContain(JSON.stringify({ features: ['wifi'] }));
+    });
+
     test('should validate bounds parameters', async () => {
       await expect(
         searchByBounds({ minLat: 53.9, maxLat: 53.8, minLon: 27.4, maxLon: 27.6 })
@@ -412,6 +878,205 @@ describe('searchService', () => {
     });
   });
 
+  describe('searchByBounds clustering', () => {
+    const bounds = { minLat: 53.0, maxLat: 55.0, minLon: 26.0, maxLon: 30.0 };
+
+    test('should return grid clusters with centroid and top-rated member at low zoom', async () => {
+      pool.query.mockResolvedValueOnce({
+        rows: [
+          {
+            id: 'est-1',
+            name: 'Кафе Центр',
+            categories: ['Кафе'],
+            latitude: '53.9',
+            longitude: '27.55',
+            average_rating: '4.80',
+            review_count: 120,
+            cell_x: '39',
+            cell_y: '76',
+            cluster_count: '12',
+            centroid_lat: '53.8912',
+            centroid_lon: '27.5633',
+            total_count: '15',
+            total_clusters: '2',
+          },
+        ],
+        rowCount: 1,
+      });
+
+      const result = await searchByBounds({ ...bounds, zoom: 7, categories: ['Кафе'] });
+
+      expect(result.mode).toBe('clusters');
+      expect(result.total).toBe(15);
+      expect(result.totalClusters).toBe(2);
+      expect(result.clusters[0]).toEqual({
+        id: '7:39:76',
+        count: 12,
+        centroid: { latitude: 53.8912, longitude: 27.5633 },
+        top_rated: {
+          id: 'est-1',
+          name: 'Кафе Центр',
+          categories: ['Кафе'],
+          latitude: 53.9,
+          longitude: 27.55,
+          average_rating: 4.8,
+          review_count: 120,
+        },
+      });
+
+      // Same filters as point mode, grouped by grid cell
+      const [query, params] = pool.query.mock.calls[0];
+      expect(query).toContain('e.location && ST_MakeEnvelope(');
+      expect(query).toContain('e.categories && $');
+      expect(query).toContain('PARTITION BY cell_x, cell_y');
+      expect(params).toContain(360 / 2 ** 7 / 4);
+    });
+
+    test('should return individual establishments above cluster zoom', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [createMockEstablishment()], rowCount: 1 });
+
+      const result = await searchByBounds({ ...bounds, zoom: 16 });
+
+      expect(result.mode).toBe('points');
+      expect(result.establishments).toHaveLength(1);
+      expect(pool.query.mock.calls[0][0]).not.toContain('PARTITION BY');
+    });
+
+    test('should reject invalid zoom', async () => {
+      await expect(searchByBounds({ ...bounds, zoom: 23 })).rejects.toMatchObject({
+        statusCode: 422,
+        code: 'VALIDATION_ERROR',
+      });
+    });
+  });
+
+  describe('searchByCity', () => {
+    test('should use city centroid as distance reference without coordinates', async () => {
+      pool.query.mockResolvedValueOnce({
+        rows: [{
+          ...createMockEstablishment(),
+          distance_km: '1.2',
+          favorites_count: '4',
+          popularity: '14',
+          review_count: 10,
+        }],
+        rowCount: 1,
+      });
+      pool.query.mockResolvedValueOnce({ rows: [{ total: '1' }], rowCount: 1 });
+
+      const result = await searchByCity({ city: 'Гродно' });
+
+      expect(result.reference_point).toEqual({
+        latitude: 53.6694,
+        longitude: 23.8131,
+        source: 'city_centroid',
+      });
+      expect(result.sort).toBe('popularity');
+      expect(result.establishments[0]).toMatchObject({
+        distance_km: 1.2,
+        favorites_count: 4,
+        popularity: 14,
+      });
+      expect(result.pagination).toMatchObject({ page: 1, total: 1, totalPages: 1, hasNext: false });
+
+      const [query, params] = pool.query.mock.calls[0];
+      expect(query).toContain('e.city = $2');
+      expect(query).toContain('ORDER BY popularity DESC');
+      expect(params).toEqual(expect.arrayContaining(['active', 'Гродно', 23.8131, 53.6694]));
+    });
+
+    test('should filter by district and use user location when given', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+      pool.query.mockResolvedValueOnce({ rows: [{ total: '0' }], rowCount: 1 });
+
+      const result = await searchByCity({
+        city: 'Минск',
+        district: ' Центральный ',
+        latitude: 53.91,
+        longitude: 27.55,
+        sort: 'rating',
+        minCheck: 20,
+      });
+
+      expect(result.reference_point.source).toBe('user');
+      expect(result.district).toBe('Центральный');
+
+      const [query, params] = pool.query.mock.calls[0];
+      expect(query).toContain('lower(e.district) = lower($3)');
+      expect(query).toContain('e.average_check_byn >= ');
+      expect(query).toContain('ORDER BY e.average_rating DESC NULLS LAST');
+      expect(params).toEqual(expect.arrayContaining(['Центральный', 20, 27.55, 53.91]));
+    });
+
+    test('should reject unknown city and incomplete coordinates', async () => {
+      await expect(searchByCity({ city: 'Москва' })).rejects.toMatchObject({
+        statusCode: 422,
+        code: 'VALIDATION_ERROR',
+      });
+
+      await expect(searchByCity({ city: 'Минск', latitude: 53.9 })).rejects.toMatchObject({
+        statusCode: 422,
+      });
+
+      await expect(searchByCity({ city: 'Минск', sort: 'relevance' })).rejects.toMatchObject({
+        statusCode: 422,
+      });
+
+      expect(pool.query).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('getSuggestions', () => {
+    test('should mix dictionary and establishment suggestions', async () => {
+      pool.query.mockResolvedValueOnce({
+        rows: [{ id: 'est-1', name: 'Кофемания', city: 'Минск', categories: ['Кофейня'], distance_km: '0.8' }],
+        rowCount: 1,
+      });
+
+      const result = await getSuggestions({ q: 'коф', latitude: 53.9, longitude: 27.5 });
+
+      expect(result.suggestions).toEqual([
+        { type: 'category', value: 'Кофейня' },
+        {
+          type: 'establishment',
+          value: 'Кофемания',
+          id: 'est-1',
+          city: 'Минск',
+          categories: ['Кофейня'],
+          distance_km: 0.8,
+        },
+      ]);
+
+      const [query, params] = pool.query.mock.calls[0];
+      expect(query).toContain('lower(e.name) LIKE $1');
+      expect(query).toContain('ORDER BY distance_km ASC');
+      expect(params.slice(0, 2)).toEqual(['коф%', 'kof%']);
+    });
+
+    test('should match Latin input against Cyrillic dictionaries', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      const result = await getSuggestions({ q: 'grod' });
+
+      expect(result.suggestions).toEqual([{ type: 'city', value: 'Гродно' }]);
+    });
+
+    test('should escape LIKE wildcards in user input', async () => {
+      pool.query.mockResolvedValueOnce({ rows: [], rowCount: 0 });
+
+      await getSuggestions({ q: '100%_' });
+
+      expect(pool.query.mock.calls[0][1][0]).toBe('100\\%\\_%');
+    });
+
+    test('should require a non-empty query', async () => {
+      await expect(getSuggestions({ q: '   ' })).rejects.toMatchObject({
+        statusCode: 422,
+        code: 'VALIDATION_ERROR',
+      });
+    });
+  });
+
   describe('checkSearchHealth', () => {
     test('should return healthy when PostGIS available', async () => {
       pool.query.mockResolvedValue({
@@ -0,0 +1,191 @@
+/**
+ * Unit Tests: teamService.js
+ *
+ * Tests establishment team management in isolation using mocked models.
+ * These tests verify:
+ * - Only the partner and team owners can manage the team
+ * - Invitation validation and duplicate protection
+ * - Invitation expiry and answering rules
+ * - Revoking access
+ */
+
+import { jest } from '@jest/globals';
+
+// Mock dependencies
+jest.unstable_mockModule('../../models/teamModel.js', () => ({
+  createInvitation: jest.fn(),
+  findMemberById: jest.fn(),
+  findPendingInvitation: jest.fn(),
+  findActiveMemberByContact: jest.fn(),
+  getEstablishmentTeam: jest.fn(),
+  getInvitationsForUser: jest.fn(),
+  respondToInvitation: jest.fn(),
+  revokeMember: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../models/establishmentModel.js', () => ({
+  checkOwnership: jest.fn(),
+}));
+
+jest.unstable_mockModule('../../utils/logger.js', () => ({
+  default: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+  },
+}));
+
+// Import after mocking
+const TeamModel = await import('../../models/teamModel.js');
+const EstablishmentModel = await import('../../models/establishmentModel.js');
+
+const {
+  INVITATION_TTL_DAYS,
+  inviteMember,
+  getTeam,
+  revokeAccess,
+  acceptInvitation,
+} = await import('../../services/teamService.js');
+
+import { TEAM_PERMISSIONS } from '../../utils/teamPermissions.js';
+
+describe('teamService', () => {
+  const establishmentId = 'est-1';
+  const ownerId = 'partner-1';
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    EstablishmentModel.checkOwnership.mockResolvedValue(true);
+    TeamModel.findActiveMemberByContact.mockResolvedValue(null);
+    TeamModel.findPendingInvitation.mockResolvedValue(null);
+  });
+
+  describe('inviteMember', () => {
+    test('should create invitation with normalized email and expiry', async () => {
+      TeamModel.createInvitation.mockImplementation(async (invitation) => ({ id: 'inv-1', ...invitation }));
+      const before = Date.now();
+
+      const invitation = await inviteMember(establishmentId, ownerId, {
+        email: '  Manager@Cafe.by ',
+        role: 'manager',
+      });
+
+      expect(EstablishmentModel.checkOwnership).toHaveBeenCalledWith(
+        establishmentId,
+        ownerId,
+        TEAM_PERMISSIONS.team
+      );
+      expect(invitation).toMatchObject({
+        invited_email: 'manager@cafe.by',
+        invited_phone: null,
+        role: 'manager',
+        invited_by: ownerId,
+      });
+      const ttlMs = invitation.expires_at.getTime() - before;
+      expect(ttlMs).toBeGreaterThanOrEqual(INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+    });
+
+    test('should require exactly one contact and a known role', async () => {
+      await expect(
+        inviteMember(establishmentId, ownerId, { email: 'a@b.by', phone: '+375291234567', role: 'manager' })
+      ).rejects.toMatchObject({ statusCode: 422, code: 'INVALID_INVITATION_CONTACT' });
+
+      await expect(
+        inviteMember(establishmentId, ownerId, { email: 'a@b.by', role: 'waiter' })
+      ).rejects.toMatchObject({ statusCode: 422, code: 'INVALID_TEAM_ROLE' });
+
+      expect(TeamModel.createInvitation).not.toHaveBeenCalled();
+    });
+
+    test('should refuse users without team management rights', async () => {
+      EstablishmentModel.checkOwnership.mockResolvedValue(false);
+
+      await expect(
+        inviteMember(establishmentId, 'editor-1', { phone: '+375291234567', role: 'owner' })
+      ).rejects.toMatchObject({ statusCode: 404, code: 'ESTABLISHMENT_NOT_FOUND' });
+    });
+
+    test('should refuse duplicate invitation and existing member', async () => {
+      TeamModel.findPendingInvitation.mockResolvedValueOnce({ id: 'inv-0' });
+
+      await expect(
+        inviteMember(establishmentId, ownerId, { email: 'a@b.by', role: 'manager' })
+      ).rejects.toMatchObject({ statusCode: 409, code: 'INVITATION_EXISTS' });
+
+      TeamModel.findActiveMemberByContact.mockResolvedValueOnce({ id: 'member-1' });
+
+      await expect(
+        inviteMember(establishmentId, ownerId, { email: 'a@b.by', role: 'manager' })
+      ).rejects.toMatchObject({ statusCode: 409, code: 'ALREADY_TEAM_MEMBER' });
+    });
+  });
+
+  describe('getTeam', () => {
+    test('should split active members from invitations', async () => {
+      TeamModel.getEstablishmentTeam.mockResolvedValue([
+        { id: 'member-1', status: 'active' },
+        { id: 'inv-1', status: 'pending' },
+        { id: 'inv-2', status: 'expired' },
+      ]);
+
+      const result = await getTeam(establishmentId, ownerId);
+
+      expect(result.members.map(row => row.id)).toEqual(['member-1']);
+      expect(result.invitations.map(row => row.id)).toEqual(['inv-1', 'inv-2']);
+    });
+  });
+
+  describe('revokeAccess', () => {
+    test('should report unknown or already revoked member', async () => {
+      TeamModel.revokeMember.mockResolvedValue(null);
+
+      await expect(revokeAccess(establishmentId, ownerId, 'member-9')).rejects.toMatchObject({
+        statusCode: 404,
+        code: 'TEAM_MEMBER_NOT_FOUND',
+      });
+      expect(TeamModel.revokeMember).toHaveBeenCalledWith('member-9', establishmentId, ownerId);
+    });
+  });
+
+  describe('acceptInvitation', () => {
+    test('should activate invitation addressed to the user', async () => {
+      TeamModel.respondToInvitation.mockResolvedValue({ id: 'inv-1', status: 'active' });
+
+      const membership = await acceptInvitation('inv-1', 'user-1');
+
+      expect(TeamModel.respondToInvitation).toHaveBeenCalledWith('inv-1', 'user-1', true);
+      expect(membership.status).toBe('active');
+    });
+
+    test('should report expired invitation', async () => {
+      TeamModel.respondToInvitation.mockResolvedValue(null);
+      TeamModel.findMemberById.mockResolvedValue({ id: 'inv-1', status: 'expired', user_id: null });
+
+      await expect(acceptInvitation('inv-1', 'user-1')).rejects.toMatchObject({
+        statusCode: 410,
+        code: 'INVITATION_EXPIRED',
+      });
+    });
+
+    test('should not reveal invitations addressed to someone else', async () => {
+      TeamModel.respondToInvitation.mockResolvedValue(null);
+      TeamModel.findMemberById.mockResolvedValue({ id: 'inv-1', status: 'pending', user_id: null });
+
+      await expect(acceptInvitation('inv-1', 'user-1')).rejects.toMatchObject({
+        statusCode: 404,
+        code: 'INVITATION_NOT_FOUND',
+      });
+    });
+
+    test('should map duplicate membership to conflict', async () => {
+      const dbError = new Error('duplicate key');
+      dbError.code = '23505';
+      TeamModel.respondToInvitation.mockRejectedValue(dbError);
+
+      await expect(acceptInvitation('inv-1', 'user-1')).rejects.toMatchObject({
+        statusCode: 409,
+        code: 'ALREADY_TEAM_MEMBER',
+      });
+    });
+  });
+});
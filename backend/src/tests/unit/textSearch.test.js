@@ -0,0 +1,73 @@
+/**
+ * Unit Tests: textSearch.js
+ *
+ * Tests free-text query preparation for the search_vector column.
+ * These tests verify:
+ * - Latin <-> Cyrillic transliteration
+ * - Tokenization and sanitization of tsquery operators
+ * - Prefix tsquery construction with transliterated variants
+ */
+
+import {
+  latinToCyrillic,
+  cyrillicToLatin,
+  tokenize,
+  buildTextQuery,
+} from '../../utils/textSearch.js';
+
+describe('textSearch', () => {
+  describe('transliteration', () => {
+    test('should transliterate Latin to Cyrillic with digraphs', () => {
+      expect(latinToCyrillic('hinkali')).toBe('хинкали');
+      expect(latinToCyrillic('shashlyk')).toBe('шашлык');
+      expect(latinToCyrillic('khachapuri')).toBe('хачапури');
+    });
+
+    test('should transliterate Cyrillic, including Belarusian letters, to Latin', () => {
+      expect(cyrillicToLatin('кофе')).toBe('kofe');
+      expect(cyrillicToLatin('хинкали')).toBe('khinkali');
+      expect(cyrillicToLatin('кавярня і ўсё')).toBe('kavyarnya i usyo');
+    });
+  });
+
+  describe('tokenize', () => {
+    test('should lowercase and strip tsquery operators', () => {
+      expect(tokenize("Кофе & (вынос) | !'drop'")).toEqual(['кофе', 'вынос', 'drop']);
+    });
+
+    test('should normalize ё to е', () => {
+      expect(tokenize('Ёлка')).toEqual(['елка']);
+    });
+
+    test('should return empty array for non-string or symbol-only input', () => {
+      expect(tokenize(undefined)).toEqual([]);
+      expect(tokenize('!!! ---')).toEqual([]);
+    });
+  });
+
+  describe('buildTextQuery', () => {
+    test('should build prefix query with transliterated variant', () => {
+      expect(buildTextQuery('hinkali')).toEqual({
+        tsquery: '(hinkali:*) | (хинкали:*)',
+        phrase: 'hinkali',
+        altPhrase: 'хинкали',
+      });
+    });
+
+    test('should AND multiple terms within each variant', () => {
+      const result = buildTextQuery('кофе на вынос');
+
+      expect(result.tsquery).toBe('(кофе:* & на:* & вынос:*) | (kofe:* & na:* & vynos:*)');
+      expect(result.phrase).toBe('кофе на вынос');
+    });
+
+    test('should not duplicate variant for digits-only query', () => {
+      expect(buildTextQuery('24').tsquery).toBe('(24:*)');
+    });
+
+    test('should return null when query has no usable terms', () => {
+      expect(buildTextQuery('   ')).toBeNull();
+      expect(buildTextQuery('&|!')).toBeNull();
+    });
+  });
+});
@@ -0,0 +1,157 @@
+/**
+ * Unit Tests: workingHours.js
+ *
+ * Tests open-state resolution in Europe/Minsk time (UTC+3, no DST).
+ * These tests verify:
+ * - Parsing of string and object day formats
+ * - Regular and overnight ranges
+ * - special_hours date overrides
+ * - 24-hour establishments
+ * - closes_at / opens_at calculation
+ */
+
+import {
+  parseDayRange,
+  resolveOpenStatus,
+  getLocalDate,
+  getScheduleWindow,
+} from '../../utils/workingHours.js';
+
+// 2025-01-15 is a Wednesday; 12:00 in Minsk is 09:00 UTC
+const wednesdayNoon = new Date('2025-01-15T09:00:00Z');
+
+describe('workingHours', () => {
+  describe('parseDayRange', () => {
+    test('should parse string range', () => {
+      expect(parseDayRange('09:00-22:00')).toEqual({ open: 540, close: 1320 });
+    });
+
+    test('should parse object range', () => {
+      expect(parseDayRange({ open: '10:00', close: '02:00' })).toEqual({ open: 600, close: 120 });
+    });
+
+    test('should treat 23:59 close as end of day', () => {
+      expect(parseDayRange('00:00-23:59')).toEqual({ open: 0, close: 1440 });
+    });
+
+    test('should return null for closed or malformed days', () => {
+      expect(parseDayRange(null)).toBeNull();
+      expect(parseDayRange('closed')).toBeNull();
+      expect(parseDayRange({ closed: true })).toBeNull();
+      expect(parseDayRange('25:00-26:00')).toBeNull();
+      expect(parseDayRange({ open: '09:00' })).toBeNull();
+    });
+  });
+
+  describe('resolveOpenStatus', () => {
+    const regular = {
+      working_hours: {
+        monday: '09:00-22:00',
+        tuesday: '09:00-22:00',
+        wednesday: '09:00-22:00',
+        thursday: '09:00-22:00',
+        friday: '09:00-23:00',
+        saturday: '10:00-23:00',
+        sunday: null,
+      },
+    };
+
+    test('should report open with closing time during working hours', () => {
+      expect(resolveOpenStatus(regular, wednesdayNoon)).toEqual({
+        is_open: true,
+        closes_at: '2025-01-15T19:00:00.000Z',
+        opens_at: null,
+      });
+    });
+
+    test('should report next opening time before working hours', () => {
+      const earlyMorning = new Date('2025-01-15T04:00:00Z'); // 07:00 Minsk
+
+      expect(resolveOpenStatus(regular, earlyMorning)).toEqual({
+        is_open: false,
+        closes_at: null,
+        opens_at: '2025-01-15T06:00:00.000Z',
+      });
+    });
+
+    test('should skip closed days when looking for next opening', () => {
+      const saturdayNight = new Date('2025-01-18T20:30:00Z'); // Sat 23:30 Minsk
+
+      expect(resolveOpenStatus(regular, saturdayNight)).toMatchObject({
+        is_open: false,
+        opens_at: '2025-01-20T06:00:00.000Z', // Monday 09:00 Minsk
+      });
+    });
+
+    test('should handle overnight ranges from previous day', () => {
+      const bar = {
+        working_hours: {
+          tuesday: { open: '18:00', close: '03:00' },
+          wednesday: { open: '18:00', close: '03:00' },
+        },
+      };
+      const wednesdayEarly = new Date('2025-01-14T23:30:00Z'); // Wed 02:30 Minsk
+
+      expect(resolveOpenStatus(bar, wednesdayEarly)).toEqual({
+        is_open: true,
+        closes_at: '2025-01-15T00:00:00.000Z', // Wed 03:00 Minsk
+        opens_at: null,
+      });
+    });
+
+    test('should apply special_hours override for the date', () => {
+      const holiday = {
+        ...regular,
+        special_hours: { '2025-01-15': 'closed' },
+      };
+
+      expect(resolveOpenStatus(holiday, wednesdayNoon)).toMatchObject({
+        is_open: false,
+        opens_at: '2025-01-16T06:00:00.000Z',
+      });
+    });
+
+    test('should prefer schedule_overrides over special_hours', () => {
+      const closure = {
+        ...regular,
+        special_hours: { '2025-01-15': '09:00-22:00' },
+        schedule_overrides: { '2025-01-15': { closed: true }, '2025-01-16': { closed: true } },
+      };
+
+      expect(resolveOpenStatus(closure, wednesdayNoon)).toMatchObject({
+        is_open: false,
+        opens_at: '2025-01-17T06:00:00.000Z',
+      });
+    });
+
+    test('should keep 24-hour establishments open without closing time', () => {
+      expect(resolveOpenStatus({ is_24_hours: true }, wednesdayNoon)).toEqual({
+        is_open: true,
+        closes_at: null,
+        opens_at: null,
+      });
+    });
+
+    test('should report closed with no opening when schedule is empty', () => {
+      expect(resolveOpenStatus({ working_hours: null }, wednesdayNoon)).toEqual({
+        is_open: false,
+        closes_at: null,
+        opens_at: null,
+      });
+    });
+  });
+
+  describe('getLocalDate / getScheduleWindow', () => {
+    test('should use the Minsk calendar date', () => {
+      // 22:30 UTC is already the next day in Minsk (UTC+3)
+      expect(getLocalDate(new Date('2025-01-14T22:30:00Z'))).toBe('2025-01-15');
+    });
+
+    test('should cover yesterday through the lookahead window', () => {
+      expect(getScheduleWindow(new Date('2025-01-15T09:00:00Z'))).toEqual({
+        from: '2025-01-14',
+        to: '2025-01-22',
+      });
+    });
+  });
+});
@@ -0,0 +1,109 @@
+/**
+ * CSV Utilities
+ *
+ * Minimal RFC 4180 parser for partner import files. Handles quoted fields
+ * with embedded delimiters, quotes ("") and line breaks, CRLF line endings
+ * and the UTF-8 byte order mark Excel writes.
+ *
+ * The delimiter is detected from the header line: Excel with Russian
+ * locale saves CSV with semicolons, everything else uses commas.
+ */
+
+/**
+ * Pick the delimiter used in the header line
+ *
+ * @param {string} text - CSV content
+ * @returns {string} ';' or ','
+ */
+const detectDelimiter = (text) => {
+  const headerLine = text.split(/\r?\n/, 1)[0];
+  const semicolons = (headerLine.match(/;/g) || []).length;
+  const commas = (headerLine.match(/,/g) || []).length;
+
+  return semicolons > commas ? ';' : ',';
+};
+
+/**
+ * Split CSV text into records of raw field values
+ *
+ * @param {string} text - CSV content
+ * @returns {string[][]} Records; blank lines are skipped
+ * @throws {Error} If a quoted field is not closed
+ */
+export const parseCsvRecords = (text) => {
+  const content = text.replace(/^\uFEFF/, '');
+  const delimiter = detectDelimiter(content);
+  const records = [];
+  let record = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let position = 0; position < content.length; position++) {
+    const char = content[position];
+
+    if (inQuotes) {
+      if (char === '"' && content[position + 1] === '"') {
+        field += '"';
+        position++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === delimiter) {
+      record.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[position + 1] === '\n') {
+        position++;
+      }
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  if (inQuotes) {
+    throw new Error('Unterminated quoted field');
+  }
+
+  if (field !== '' || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+
+  return records.filter(fields => fields.some(value => value.trim() !== ''));
+};
+
+/**
+ * Parse CSV with a header line into objects keyed by column name
+ *
+ * Column names are trimmed and lowercased. Empty cells are omitted from
+ * the object so they behave like missing JSON keys.
+ *
+ * @param {string} text - CSV content
+ * @returns {Object[]} One object per data line
+ * @throws {Error} If the content has no header or a quoted field is not closed
+ */
+export const parseCsv = (text) => {
+  const [header, ...records] = parseCsvRecords(text);
+
+  if (!header) {
+    throw new Error('CSV header line is missing');
+  }
+
+  const columns = header.map(column => column.trim().toLowerCase());
+
+  return records.map(fields => columns.reduce((row, column, index) => {
+    const value = fields[index] !== undefined ? fields[index].trim() : '';
+    if (column && value !== '') {
+      row[column] = value;
+    }
+    return row;
+  }, {}));
+};
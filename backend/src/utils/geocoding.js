@@ -0,0 +1,240 @@
+/**
+ * Geocoding Utilities
+ *
+ * Provider-independent helpers for establishment addresses: parsing and
+ * normalizing the free-text address partners type, and distances between
+ * coordinates. Geocoders (see utils/offlineGeocoder.js) and
+ * services/geocodingService.js build on these.
+ *
+ * Normalized form: "<type> <street>, <house>[, <rest>]", for example
+ * "г. Минск, проспект независимости д.16" → "пр-т Независимости, 16".
+ * City, country and postcode prefixes are dropped because the city is a
+ * separate field.
+ */
+
+import { BELARUS_ADDRESSES } from '../data/belarusAddresses.js';
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Street type spellings (lowercase, without trailing dot) and their
+ * canonical abbreviation
+ */
+const STREET_TYPES = {
+  ул: 'ул.',
+  улица: 'ул.',
+  пр: 'пр-т',
+  'пр-т': 'пр-т',
+  'пр-кт': 'пр-т',
+  просп: 'пр-т',
+  проспект: 'пр-т',
+  пер: 'пер.',
+  переулок: 'пер.',
+  'б-р': 'б-р',
+  бул: 'б-р',
+  бульвар: 'б-р',
+  пл: 'пл.',
+  площадь: 'пл.',
+  ш: 'ш.',
+  шоссе: 'ш.',
+  наб: 'наб.',
+  набережная: 'наб.',
+  тракт: 'тракт',
+};
+
+const COUNTRY_PARTS = ['беларусь', 'республика беларусь', 'рб'];
+const POSTCODE_REGEX = /^\d{6}$/;
+const CITY_PREFIX_REGEX = /^(?:г\.|г\s|город\s)\s*/i;
+const HOUSE_PREFIX_REGEX = /^(д\.|д|дом)\s*(?=\d)/i;
+const HOUSE_REGEX = /^(\d+)\s*([а-яa-z])?(?:\s*\/\s*(\d+))?(?:\s*(?:к\.|к|корп\.|корп|корпус)\s*(\d+))?$/i;
+const BUILDING_REGEX = /^(?:к\.|к|корп\.|корп|корпус)\s*(\d+)$/i;
+
+const KNOWN_CITIES = Object.keys(BELARUS_ADDRESSES).map(city => city.toLowerCase());
+
+/**
+ * Lowercase comparison key for a street name ("Ё" and "е" match)
+ *
+ * @param {string} name - Street name
+ * @returns {string} Key
+ */
+export const streetKey = (name) => name
+  .toLowerCase()
+  .replace(/ё/g, 'е')
+  .replace(/\./g, '')
+  .replace(/\s+/g, ' ')
+  .trim();
+
+/**
+ * Canonical street type of a token, or null
+ *
+ * @param {string} token - Word from the address
+ * @returns {string|null} Canonical type ('ул.', 'пр-т', ...)
+ */
+const toStreetType = (token) => STREET_TYPES[token.toLowerCase().replace(/\.$/, '')] || null;
+
+/**
+ * Whether an address part only names the country, postcode or a city
+ *
+ * @param {string} part - Comma-separated part of the address
+ * @returns {boolean} True if the part can be dropped
+ */
+const isLocalityPart = (part) => {
+  const lower = part.toLowerCase();
+  if (COUNTRY_PARTS.includes(lower) || POSTCODE_REGEX.test(part)) {
+    return true;
+  }
+
+  const withoutPrefix = lower.replace(CITY_PREFIX_REGEX, '');
+  return CITY_PREFIX_REGEX.test(lower) || KNOWN_CITIES.includes(withoutPrefix);
+};
+
+/**
+ * Canonical house number ("16", "16А", "16/2", "16к2"), or null
+ *
+ * @param {string} text - House part of the address
+ * @returns {string|null} House number
+ */
+const parseHouseNumber = (text) => {
+  const match = text.replace(HOUSE_PREFIX_REGEX, '').trim().match(HOUSE_REGEX);
+  if (!match) {
+    return null;
+  }
+
+  const [, number, letter, fraction, building] = match;
+  return `${number}${letter ? letter.toUpperCase() : ''}${fraction ? `/${fraction}` : ''}${building ? `к${building}` : ''}`;
+};
+
+/**
+ * Capitalize every word of a street name typed in lowercase
+ *
+ * @param {string} name - Street name
+ * @returns {string} Name as written on street signs
+ */
+const capitalizeName = (name) => {
+  if (name !== name.toLowerCase()) {
+    return name;
+  }
+
+  return name
+    .split(' ')
+    .map(word => word.charAt(0).toUpperCase() + word.slice(1))
+    .join(' ');
+};
+
+/**
+ * Split an address into street type, street name, house number and the rest
+ *
+ * @param {string} address - Address as typed
+ * @returns {Object|null} { street_type, street_name, house_number, extra },
+ *   null for an empty address
+ */
+export const parseAddress = (address) => {
+  if (typeof address !== 'string') {
+    return null;
+  }
+
+  const parts = address
+    .replace(/\s+/g, ' ')
+    // "ул.Немига" → "ул. Немига"
+    .replace(/(\S\.)(?=[A-Za-zА-Яа-яЁё])/g, '$1 ')
+    .split(',')
+    .map(part => part.trim())
+    .filter(Boolean);
+
+  while (parts.length > 0 && isLocalityPart(parts[0])) {
+    parts.shift();
+  }
+
+  if (parts.length === 0) {
+    return null;
+  }
+
+  const tokens = parts.shift().split(' ');
+  let houseNumber = null;
+
+  // House number written without a comma: "ул. Немига 5", "Немига д. 5"
+  if (tokens.length > 1) {
+    const last = tokens[tokens.length - 1];
+    const beforeLast = tokens.length > 2 ? tokens[tokens.length - 2] : null;
+    if (beforeLast && HOUSE_PREFIX_REGEX.test(`${beforeLast} ${last}`) && parseHouseNumber(`${beforeLast} ${last}`)) {
+      houseNumber = parseHouseNumber(`${beforeLast} ${last}`);
+      tokens.splice(-2);
+    } else if (parseHouseNumber(last) && !/^\d+$/.test(tokens[0])) {
+      houseNumber = parseHouseNumber(last);
+      tokens.pop();
+    }
+  }
+
+  let streetType = null;
+  if (tokens.length > 1 && toStreetType(tokens[0])) {
+    streetType = toStreetType(tokens.shift());
+  } else if (tokens.length > 1 && toStreetType(tokens[tokens.length - 1])) {
+    streetType = toStreetType(tokens.pop());
+  }
+
+  if (!houseNumber && parts.length > 0) {
+    houseNumber = parseHouseNumber(parts[0]);
+    if (houseNumber) {
+      parts.shift();
+    }
+  }
+
+  // Building written as its own part: "16, корп. 2"
+  if (houseNumber && parts.length > 0 && BUILDING_REGEX.test(parts[0])) {
+    houseNumber += `к${parts.shift().match(BUILDING_REGEX)[1]}`;
+  }
+
+  return {
+    street_type: streetType,
+    street_name: capitalizeName(tokens.join(' ')),
+    house_number: houseNumber,
+    extra: parts,
+  };
+};
+
+/**
+ * Build the normalized address text from parseAddress output
+ *
+ * @param {Object} parsed - Parsed address
+ * @returns {string} Normalized address
+ */
+export const formatAddress = ({ street_type, street_name, house_number, extra = [] }) => {
+  const street = street_type ? `${street_type} ${street_name}` : street_name;
+  return [street, house_number, ...extra].filter(Boolean).join(', ');
+};
+
+/**
+ * Normalize a free-text address
+ *
+ * Unifies street type abbreviations, spacing, house number and building
+ * notation and drops city/country/postcode prefixes. Parts that are not
+ * recognized are kept as typed.
+ *
+ * @param {string} address - Address as typed
+ * @returns {string} Normalized address
+ */
+export const normalizeAddress = (address) => {
+  const parsed = parseAddress(address);
+  if (!parsed) {
+    return typeof address === 'string' ? address.replace(/\s+/g, ' ').trim() : address;
+  }
+
+  return formatAddress(parsed);
+};
+
+/**
+ * Great-circle distance between two points
+ *
+ * @param {Object} from - { latitude, longitude }
+ * @param {Object} to - { latitude, longitude }
+ * @returns {number} Distance in kilometers
+ */
+export const distanceKm = (from, to) => {
+  const toRadians = (degrees) => (degrees * Math.PI) / 180;
+  const dLat = toRadians(to.latitude - from.latitude);
+  const dLon = toRadians(to.longitude - from.longitude);
+  const a = Math.sin(dLat / 2) ** 2
+    + Math.cos(toRadians(from.latitude)) * Math.cos(toRadians(to.latitude)) * Math.sin(dLon / 2) ** 2;
+
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
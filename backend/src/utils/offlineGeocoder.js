@@ -0,0 +1,201 @@
+/**
+ * Offline Geocoder
+ *
+ * Geocoder backed by the local street dataset in data/belarusAddresses.js,
+ * used by default (GEOCODER_PROVIDER=offline). It needs no network access,
+ * so it also runs in tests and development.
+ *
+ * Forward geocoding matches the street by name within the city and
+ * interpolates the house position between the reference houses of the
+ * street. Reverse geocoding finds the city whose radius contains the
+ * point and the nearest street segment.
+ *
+ * Implements the geocoder interface described in
+ * services/geocodingService.js.
+ */
+
+import { BELARUS_ADDRESSES } from '../data/belarusAddresses.js';
+import { parseAddress, formatAddress, streetKey, distanceKm } from './geocoding.js';
+
+/**
+ * Farthest a point may be from a street and still get its address
+ */
+const MAX_STREET_DISTANCE_KM = 0.3;
+
+const KM_PER_DEGREE_LATITUDE = 110.57;
+const KM_PER_DEGREE_LONGITUDE_AT_EQUATOR = 111.32;
+
+/**
+ * Numeric part of a house number ("16А" → 16), or null
+ *
+ * @param {string|null} houseNumber - Canonical house number
+ * @returns {number|null} House number
+ */
+const houseValue = (houseNumber) => {
+  const value = parseInt(houseNumber, 10);
+  return Number.isNaN(value) ? null : value;
+};
+
+/**
+ * Position of a house along a street
+ *
+ * Houses outside the reference range snap to the nearest end.
+ *
+ * @param {Array<Object>} points - Reference houses ordered by number
+ * @param {number} house - House number
+ * @returns {Object} { latitude, longitude }
+ */
+const interpolateHouse = (points, house) => {
+  if (house <= points[0].house) {
+    return points[0];
+  }
+
+  for (let index = 1; index < points.length; index++) {
+    const from = points[index - 1];
+    const to = points[index];
+    if (house <= to.house) {
+      const fraction = (house - from.house) / (to.house - from.house);
+      return {
+        latitude: from.latitude + (to.latitude - from.latitude) * fraction,
+        longitude: from.longitude + (to.longitude - from.longitude) * fraction,
+      };
+    }
+  }
+
+  return points[points.length - 1];
+};
+
+/**
+ * Closest point of a street segment to a point
+ *
+ * Uses a local flat projection, accurate enough within a city.
+ *
+ * @param {Object} point - { latitude, longitude }
+ * @param {Object} from - Segment start (reference house)
+ * @param {Object} to - Segment end (reference house)
+ * @returns {Object} { fraction, distance_km } - fraction 0..1 along the segment
+ */
+const projectOnSegment = (point, from, to) => {
+  const kmPerDegreeLongitude = KM_PER_DEGREE_LONGITUDE_AT_EQUATOR * Math.cos((point.latitude * Math.PI) / 180);
+  const toXY = ({ latitude, longitude }) => ({
+    x: longitude * kmPerDegreeLongitude,
+    y: latitude * KM_PER_DEGREE_LATITUDE,
+  });
+
+  const p = toXY(point);
+  const a = toXY(from);
+  const b = toXY(to);
+  const lengthSquared = (b.x - a.x) ** 2 + (b.y - a.y) ** 2;
+  const fraction = lengthSquared === 0
+    ? 0
+    : Math.min(1, Math.max(0, ((p.x - a.x) * (b.x - a.x) + (p.y - a.y) * (b.y - a.y)) / lengthSquared));
+
+  return {
+    fraction,
+    distance_km: Math.hypot(p.x - (a.x + fraction * (b.x - a.x)), p.y - (a.y + fraction * (b.y - a.y))),
+  };
+};
+
+/**
+ * Coordinates of an address in a city
+ *
+ * @param {string} address - Address as typed or normalized
+ * @param {string} city - City name (one of VALID_CITIES)
+ * @returns {Promise<Object|null>} { latitude, longitude, precision, address }
+ *   or null if the street is unknown. precision is 'house' when the house
+ *   number was used, 'street' otherwise.
+ */
+export const geocode = async (address, city) => {
+  const cityData = BELARUS_ADDRESSES[city];
+  const parsed = parseAddress(address);
+  if (!cityData || !parsed || !parsed.street_name) {
+    return null;
+  }
+
+  const key = streetKey(parsed.street_name);
+  const candidates = cityData.streets.filter(street => streetKey(street.name) === key);
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  // Same name with a different type ("ул. Машерова" vs "пр-т Машерова") is
+  // still taken when it is the only street with that name
+  const street = candidates.find(candidate => candidate.type === parsed.street_type) || candidates[0];
+  const house = houseValue(parsed.house_number);
+  const position = house !== null
+    ? interpolateHouse(street.points, house)
+    : street.points[Math.floor(street.points.length / 2)];
+
+  return {
+    latitude: Number(position.latitude.toFixed(6)),
+    longitude: Number(position.longitude.toFixed(6)),
+    precision: house !== null ? 'house' : 'street',
+    address: formatAddress({ ...parsed, street_type: street.type, street_name: street.name }),
+  };
+};
+
+/**
+ * City and nearest address of a point
+ *
+ * @param {number} latitude - Latitude
+ * @param {number} longitude - Longitude
+ * @returns {Promise<Object|null>} { city, address, street, house_number,
+ *   distance_km } or null outside every known city. address, street and
+ *   house_number are null when no street is within MAX_STREET_DISTANCE_KM.
+ */
+export const reverseGeocode = async (latitude, longitude) => {
+  const point = { latitude, longitude };
+
+  const [city] = Object.entries(BELARUS_ADDRESSES)
+    .map(([name, data]) => ({ name, data, distance: distanceKm(point, data.center) }))
+    .filter(({ data, distance }) => distance <= data.radius_km)
+    .sort((a, b) => a.distance - b.distance);
+
+  if (!city) {
+    return null;
+  }
+
+  let nearest = null;
+  city.data.streets.forEach(street => {
+    street.points.forEach((to, index) => {
+      const from = index === 0 ? to : street.points[index - 1];
+      const { fraction, distance_km } = projectOnSegment(point, from, to);
+      if (!nearest || distance_km < nearest.distance_km) {
+        nearest = {
+          street,
+          distance_km,
+          house: Math.round(from.house + (to.house - from.house) * fraction),
+        };
+      }
+    });
+  });
+
+  if (!nearest || nearest.distance_km > MAX_STREET_DISTANCE_KM) {
+    return {
+      city: city.name,
+      address: null,
+      street: null,
+      house_number: null,
+      distance_km: null,
+    };
+  }
+
+  const houseNumber = String(nearest.house);
+  return {
+    city: city.name,
+    address: formatAddress({
+      street_type: nearest.street.type,
+      street_name: nearest.street.name,
+      house_number: houseNumber,
+    }),
+    street: `${nearest.street.type} ${nearest.street.name}`,
+    house_number: houseNumber,
+    distance_km: Number(nearest.distance_km.toFixed(3)),
+  };
+};
+
+export default {
+  name: 'offline',
+  geocode,
+  reverseGeocode,
+};
@@ -0,0 +1,130 @@
+/**
+ * Revision Diff Utilities
+ *
+ * Builds the field-by-field comparison moderators see when reviewing a
+ * pending establishment revision. Each proposed field is compared with the
+ * live (approved) value:
+ * - Lists (categories, cuisines): added and removed items
+ * - JSON objects (working_hours, special_hours, attributes): changed keys,
+ *   e.g. only the weekdays whose hours differ
+ * - Scalars: current and proposed value
+ *
+ * PostgreSQL returns NUMERIC columns as strings, so coordinates are compared
+ * as numbers.
+ */
+
+const LIST_FIELDS = ['categories', 'cuisines'];
+const OBJECT_FIELDS = ['working_hours', 'special_hours', 'attributes'];
+const NUMERIC_FIELDS = ['latitude', 'longitude'];
+
+/**
+ * Serialize a value with object keys sorted so key order does not count as a change
+ */
+const canonical = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonical).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value === undefined ? null : value);
+};
+
+/**
+ * Deep equality for JSON values
+ *
+ * @param {*} a - First value
+ * @param {*} b - Second value
+ * @returns {boolean} True when both serialize to the same JSON
+ */
+export const isSameValue = (a, b) => canonical(a) === canonical(b);
+
+/**
+ * Normalize empty values so null, undefined and '' compare equal
+ */
+const normalizeScalar = (field, value) => {
+  if (value === undefined || value === '') return null;
+  if (NUMERIC_FIELDS.includes(field) && value !== null) return parseFloat(value);
+  return value;
+};
+
+/**
+ * Diff two lists as sets
+ */
+const diffList = (current, proposed) => {
+  const before = Array.isArray(current) ? current : [];
+  const after = Array.isArray(proposed) ? proposed : [];
+
+  return {
+    added: after.filter(item => !before.includes(item)),
+    removed: before.filter(item => !after.includes(item)),
+  };
+};
+
+/**
+ * Diff two JSON objects key by key
+ */
+const diffObject = (current, proposed) => {
+  const before = current && typeof current === 'object' ? current : {};
+  const after = proposed && typeof proposed === 'object' ? proposed : {};
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])];
+
+  return keys
+    .filter(key => !isSameValue(before[key], after[key]))
+    .map(key => ({
+      key,
+      current: before[key] === undefined ? null : before[key],
+      proposed: after[key] === undefined ? null : after[key],
+    }));
+};
+
+/**
+ * Build a field-by-field diff of a revision against the live establishment
+ *
+ * @param {Object} establishment - Live establishment row
+ * @param {Object} changes - Proposed field values from the revision
+ * @returns {Array<Object>} One entry per proposed field:
+ *   { field, type: 'list'|'object'|'value', changed, current, proposed,
+ *     added/removed (lists), keys (objects) }
+ */
+export const buildRevisionDiff = (establishment, changes) => {
+  return Object.keys(changes || {}).map((field) => {
+    const current = establishment[field] === undefined ? null : establishment[field];
+    const proposed = changes[field];
+
+    if (LIST_FIELDS.includes(field)) {
+      const { added, removed } = diffList(current, proposed);
+      return {
+        field,
+        type: 'list',
+        changed: added.length > 0 || removed.length > 0,
+        current,
+        proposed,
+        added,
+        removed,
+      };
+    }
+
+    if (OBJECT_FIELDS.includes(field)) {
+      const keys = diffObject(current, proposed);
+      return {
+        field,
+        type: 'object',
+        changed: keys.length > 0,
+        current,
+        proposed,
+        keys,
+      };
+    }
+
+    const before = normalizeScalar(field, current);
+    const after = normalizeScalar(field, proposed);
+    return {
+      field,
+      type: 'value',
+      changed: !isSameValue(before, after),
+      current: before,
+      proposed: after,
+    };
+  });
+};
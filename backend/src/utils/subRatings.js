@@ -0,0 +1,32 @@
+/**
+ * Review Sub-Ratings
+ *
+ * Dimensions a review can rate besides the overall rating (migration 025).
+ * Each dimension has a 1-5 column on reviews, an average column on
+ * establishments, a request body field and a search filter.
+ */
+
+/**
+ * Rated dimensions with their column, body field, average column and filter
+ */
+export const SUB_RATINGS = [
+  { dimension: 'food', column: 'food_rating', field: 'foodRating', average: 'average_food_rating', filter: 'minFoodRating' },
+  { dimension: 'service', column: 'service_rating', field: 'serviceRating', average: 'average_service_rating', filter: 'minServiceRating' },
+  { dimension: 'atmosphere', column: 'atmosphere_rating', field: 'atmosphereRating', average: 'average_atmosphere_rating', filter: 'minAtmosphereRating' },
+  { dimension: 'value', column: 'value_rating', field: 'valueRating', average: 'average_value_rating', filter: 'minValueRating' },
+];
+
+export const RATING_DIMENSIONS = SUB_RATINGS.map(({ dimension }) => dimension);
+
+/**
+ * Convert the per-dimension averages of an establishment row to numbers
+ *
+ * @param {Object} row - Establishment row
+ * @returns {Object} average_food_rating, ... as numbers, null without ratings
+ */
+export function formatSubRatingAverages(row) {
+  return Object.fromEntries(SUB_RATINGS.map(({ average }) => [
+    average,
+    row[average] != null ? parseFloat(row[average]) : null,
+  ]));
+}
@@ -0,0 +1,32 @@
+/**
+ * Team Permissions
+ *
+ * Maps partner actions to the team roles (migration 017) allowed to
+ * perform them. The establishment's partner is always allowed; these lists
+ * apply to invited team members and are passed to
+ * EstablishmentModel.checkOwnership.
+ */
+
+/**
+ * Roles a team member can be invited with
+ */
+export const TEAM_ROLES = ['owner', 'manager', 'content_editor', 'review_responder'];
+
+/**
+ * Roles allowed per action
+ *
+ * - view: read the establishment, its media and moderation history
+ * - edit: change establishment details
+ * - submit: send a draft to moderation
+ * - media: upload, edit and delete photos
+ * - reply: answer reviews on behalf of the establishment
+ * - team: invite and revoke team members
+ */
+export const TEAM_PERMISSIONS = {
+  view: ['owner', 'manager', 'content_editor', 'review_responder'],
+  edit: ['owner', 'manager', 'content_editor'],
+  submit: ['owner', 'manager'],
+  media: ['owner', 'manager', 'content_editor'],
+  reply: ['owner', 'manager', 'review_responder'],
+  team: ['owner'],
+};
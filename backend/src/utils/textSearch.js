@@ -0,0 +1,123 @@
+/**
+ * Text Search Utilities
+ *
+ * Prepares free-text search input for the establishments search_vector
+ * (migration 010). Users type names in either alphabet ("hinkali" vs
+ * "хинкали", "Кофе Тайм" vs "Coffee Time"), so every query is expanded
+ * into its Latin and Cyrillic transliteration before it reaches Postgres.
+ *
+ * Output is safe to pass to to_tsquery(): only letters and digits survive
+ * tokenization, so tsquery operators in user input cannot break the query.
+ */
+
+export const MAX_QUERY_LENGTH = 100;
+const MAX_TERMS = 8;
+
+// Multi-letter combinations must be checked before single letters
+const LATIN_TO_CYRILLIC = [
+  ['shch', 'щ'], ['sch', 'щ'], ['zh', 'ж'], ['kh', 'х'], ['ch', 'ч'], ['sh', 'ш'],
+  ['ts', 'ц'], ['yu', 'ю'], ['ya', 'я'], ['yo', 'ё'], ['ye', 'е'], ['ja', 'я'], ['ju', 'ю'],
+  ['a', 'а'], ['b', 'б'], ['c', 'к'], ['d', 'д'], ['e', 'е'], ['f', 'ф'], ['g', 'г'],
+  ['h', 'х'], ['i', 'и'], ['j', 'й'], ['k', 'к'], ['l', 'л'], ['m', 'м'], ['n', 'н'],
+  ['o', 'о'], ['p', 'п'], ['q', 'к'], ['r', 'р'], ['s', 'с'], ['t', 'т'], ['u', 'у'],
+  ['v', 'в'], ['w', 'в'], ['x', 'кс'], ['y', 'ы'], ['z', 'з'],
+];
+
+// Includes Belarusian letters (і, ў) alongside Russian
+const CYRILLIC_TO_LATIN = {
+  а: 'a', б: 'b', в: 'v', г: 'g', д: 'd', е: 'e', ё: 'yo', ж: 'zh', з: 'z', и: 'i',
+  і: 'i', й: 'y', к: 'k', л: 'l', м: 'm', н: 'n', о: 'o', п: 'p', р: 'r', с: 's',
+  т: 't', у: 'u', ў: 'u', ф: 'f', х: 'kh', ц: 'ts', ч: 'ch', ш: 'sh', щ: 'shch',
+  ъ: '', ы: 'y', ь: '', э: 'e', ю: 'yu', я: 'ya',
+};
+
+/**
+ * Transliterate Latin text to Cyrillic
+ *
+ * @param {string} text - Lowercase Latin text
+ * @returns {string} Cyrillic approximation
+ */
+export const latinToCyrillic = (text) => {
+  let result = '';
+  let position = 0;
+
+  while (position < text.length) {
+    const match = LATIN_TO_CYRILLIC.find(([latin]) => text.startsWith(latin, position));
+    if (match) {
+      result += match[1];
+      position += match[0].length;
+    } else {
+      result += text[position];
+      position++;
+    }
+  }
+
+  return result;
+};
+
+/**
+ * Transliterate Cyrillic text to Latin
+ *
+ * @param {string} text - Lowercase Cyrillic text
+ * @returns {string} Latin approximation
+ */
+export const cyrillicToLatin = (text) => {
+  return Array.from(text)
+    .map(char => (char in CYRILLIC_TO_LATIN ? CYRILLIC_TO_LATIN[char] : char))
+    .join('');
+};
+
+/**
+ * Split search input into normalized terms
+ *
+ * @param {string} text - Raw user input
+ * @returns {string[]} Lowercase letter/digit terms
+ */
+export const tokenize = (text) => {
+  if (typeof text !== 'string') {
+    return [];
+  }
+
+  const terms = text.toLowerCase().replace(/ё/g, 'е').match(/[\p{L}\p{N}]+/gu) || [];
+  return terms.slice(0, MAX_TERMS);
+};
+
+/**
+ * Build search inputs for Postgres from a user query
+ *
+ * @param {string} text - Raw user input
+ * @returns {Object|null} { tsquery, phrase, altPhrase } or null when no usable terms
+ * - tsquery: prefix tsquery matching original OR transliterated terms
+ * - phrase: normalized original text for trigram similarity
+ * - altPhrase: transliterated text for trigram similarity
+ */
+export const buildTextQuery = (text) => {
+  const terms = tokenize(text);
+  if (terms.length === 0) {
+    return null;
+  }
+
+  const altTerms = terms.map(term => (/[a-z]/.test(term) ? latinToCyrillic(term) : cyrillicToLatin(term)));
+
+  const toPrefixQuery = (list) => list.map(term => `${term}:*`).join(' & ');
+
+  const variants = [toPrefixQuery(terms)];
+  const altQuery = toPrefixQuery(altTerms);
+  if (altQuery !== variants[0]) {
+    variants.push(altQuery);
+  }
+
+  return {
+    tsquery: variants.map(variant => `(${variant})`).join(' | '),
+    phrase: terms.join(' '),
+    altPhrase: altTerms.join(' '),
+  };
+};
+
+export default {
+  MAX_QUERY_LENGTH,
+  latinToCyrillic,
+  cyrillicToLatin,
+  tokenize,
+  buildTextQuery,
+};
@@ -0,0 +1,280 @@
+/**
+ * Working Hours Utilities
+ *
+ * Resolves whether an establishment is open at a given moment based on its
+ * working_hours and special_hours JSONB columns. All schedules are interpreted
+ * in Belarus local time (Europe/Minsk) regardless of server timezone.
+ *
+ * Supported day formats (both appear in existing data):
+ * - String range: "09:00-22:00"
+ * - Object range: { open: "09:00", close: "22:00" }
+ * - Closed day: null, "closed", { closed: true } or a missing key
+ *
+ * A close time earlier than or equal to the open time means the range runs
+ * past midnight ("18:00-02:00"). special_hours entries are keyed by local date
+ * ("2025-01-01") and replace the regular weekday schedule for that date.
+ *
+ * Public holidays and schedule exceptions (migration 020) are merged into
+ * the same date-keyed format by establishment_schedule_overrides(); rows
+ * carrying that result as schedule_overrides are resolved with it instead
+ * of their raw special_hours.
+ *
+ * The SQL function establishment_is_open() (migration 009) mirrors this logic
+ * so the open-now filter can run inside paginated search queries.
+ */
+
+export const BELARUS_TIMEZONE = 'Europe/Minsk';
+
+const DAY_KEYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+const MINUTES_PER_DAY = 24 * 60;
+const TIME_PATTERN = /^(\d{1,2}):(\d{2})$/;
+
+// How many days ahead to look for the next opening before giving up
+const LOOKAHEAD_DAYS = 7;
+
+const localPartsFormatter = new Intl.DateTimeFormat('en-GB', {
+  timeZone: BELARUS_TIMEZONE,
+  year: 'numeric',
+  month: '2-digit',
+  day: '2-digit',
+  hour: '2-digit',
+  minute: '2-digit',
+  second: '2-digit',
+  hourCycle: 'h23',
+});
+
+/**
+ * Convert "HH:MM" to minutes since midnight
+ *
+ * @param {string} value - Time string
+ * @returns {number|null} Minutes since midnight, or null if malformed
+ */
+const parseTime = (value) => {
+  if (typeof value !== 'string') {
+    return null;
+  }
+
+  const match = value.trim().match(TIME_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+
+  if (hours > 24 || minutes > 59 || (hours === 24 && minutes > 0)) {
+    return null;
+  }
+
+  return hours * 60 + minutes;
+};
+
+/**
+ * Parse a single day's schedule into an open/close pair in minutes
+ *
+ * A close time of 23:59 is treated as end of day so that "00:00-23:59"
+ * (the convention used for 24-hour venues) reads as continuously open.
+ *
+ * @param {string|Object|null} value - Day schedule in any supported format
+ * @returns {Object|null} { open, close } in minutes, or null if closed/malformed
+ */
+export const parseDayRange = (value) => {
+  if (value == null) {
+    return null;
+  }
+
+  let openText;
+  let closeText;
+
+  if (typeof value === 'string') {
+    const parts = value.split('-');
+    if (parts.length !== 2) {
+      return null;
+    }
+    [openText, closeText] = parts;
+  } else if (typeof value === 'object' && !Array.isArray(value)) {
+    if (value.closed === true) {
+      return null;
+    }
+    openText = value.open;
+    closeText = value.close;
+  } else {
+    return null;
+  }
+
+  const open = parseTime(openText);
+  let close = parseTime(closeText);
+
+  if (open === null || close === null) {
+    return null;
+  }
+
+  if (close === MINUTES_PER_DAY - 1) {
+    close = MINUTES_PER_DAY;
+  }
+
+  return { open, close };
+};
+
+/**
+ * Break an instant into Europe/Minsk calendar parts
+ *
+ * @param {Date} date - Instant to convert
+ * @returns {Object} { year, month, day, minutes, offsetMs }
+ */
+const getLocalParts = (date) => {
+  const parts = {};
+  for (const { type, value } of localPartsFormatter.formatToParts(date)) {
+    parts[type] = parseInt(value, 10);
+  }
+
+  const localAsUtc = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+  const wholeSeconds = Math.floor(date.getTime() / 1000) * 1000;
+
+  return {
+    year: parts.year,
+    month: parts.month,
+    day: parts.day,
+    minutes: parts.hour * 60 + parts.minute,
+    offsetMs: localAsUtc - wholeSeconds,
+  };
+};
+
+/**
+ * Get the Europe/Minsk calendar date of an instant
+ *
+ * @param {Date} date - Instant to convert (default: now)
+ * @returns {string} Local date as YYYY-MM-DD
+ */
+export const getLocalDate = (date = new Date()) => {
+  const local = getLocalParts(date);
+  return new Date(Date.UTC(local.year, local.month - 1, local.day)).toISOString().slice(0, 10);
+};
+
+/**
+ * Shift a calendar date by a number of days
+ *
+ * @param {string} dateKey - Date as YYYY-MM-DD
+ * @param {number} days - Days to add (negative to subtract)
+ * @returns {string} Shifted date as YYYY-MM-DD
+ */
+export const addDays = (dateKey, days) => {
+  const date = new Date(`${dateKey}T00:00:00Z`);
+  date.setUTCDate(date.getUTCDate() + days);
+  return date.toISOString().slice(0, 10);
+};
+
+/**
+ * First and last date the open state of a moment depends on
+ *
+ * Covers yesterday (overnight spill-over) through the lookahead window used
+ * to find the next opening. Pass it to establishment_schedule_overrides().
+ *
+ * @param {Date} at - Reference moment (default: now)
+ * @returns {Object} { from, to } as YYYY-MM-DD
+ */
+export const getScheduleWindow = (at = new Date()) => {
+  const today = getLocalDate(at);
+  return { from: addDays(today, -1), to: addDays(today, LOOKAHEAD_DAYS) };
+};
+
+/**
+ * Get the schedule that applies to a specific local calendar day
+ *
+ * @param {Object} workingHours - Weekly schedule keyed by lowercase day name
+ * @param {Object} specialHours - Date overrides keyed by YYYY-MM-DD
+ * @param {Date} calendarDay - UTC-midnight Date representing the local day
+ * @returns {Object} { value, isSpecial }
+ */
+const getDaySchedule = (workingHours, specialHours, calendarDay) => {
+  const dateKey = calendarDay.toISOString().slice(0, 10);
+
+  if (specialHours && typeof specialHours === 'object'
+    && Object.prototype.hasOwnProperty.call(specialHours, dateKey)) {
+    return { value: specialHours[dateKey], isSpecial: true };
+  }
+
+  const dayKey = DAY_KEYS[calendarDay.getUTCDay()];
+  return { value: workingHours ? workingHours[dayKey] : null, isSpecial: false };
+};
+
+/**
+ * Resolve open state of an establishment at a given moment
+ *
+ * Builds the opening intervals from yesterday (to catch overnight spill-over)
+ * through the lookahead window, merges contiguous intervals so that a venue
+ * open "18:00-24:00" then "00:00-03:00" closes at 03:00, and then locates
+ * the reference moment within them.
+ *
+ * @param {Object} establishment - Row with working_hours, special_hours, is_24_hours
+ *   and optionally schedule_overrides (holidays and closures, see above)
+ * @param {Date} at - Reference moment (default: now)
+ * @returns {Object} { is_open, closes_at, opens_at } with ISO timestamps or null
+ */
+export const resolveOpenStatus = (establishment, at = new Date()) => {
+  const workingHours = establishment.working_hours || null;
+  const specialHours = establishment.schedule_overrides || establishment.special_hours || null;
+  const alwaysOpen = establishment.is_24_hours === true;
+
+  const local = getLocalParts(at);
+  const intervals = [];
+
+  for (let offset = -1; offset <= LOOKAHEAD_DAYS; offset++) {
+    const calendarDay = new Date(Date.UTC(local.year, local.month - 1, local.day + offset));
+    const { value, isSpecial } = getDaySchedule(workingHours, specialHours, calendarDay);
+    const base = offset * MINUTES_PER_DAY;
+
+    if (alwaysOpen && !isSpecial) {
+      intervals.push({ start: base, end: base + MINUTES_PER_DAY });
+      continue;
+    }
+
+    const range = parseDayRange(value);
+    if (!range) {
+      continue;
+    }
+
+    const end = range.close > range.open ? range.close : range.close + MINUTES_PER_DAY;
+    intervals.push({ start: base + range.open, end: base + end });
+  }
+
+  const merged = [];
+  for (const interval of intervals.sort((a, b) => a.start - b.start)) {
+    const last = merged[merged.length - 1];
+    if (last && interval.start <= last.end) {
+      last.end = Math.max(last.end, interval.end);
+    } else {
+      merged.push({ ...interval });
+    }
+  }
+
+  const localMidnightMs = Date.UTC(local.year, local.month - 1, local.day) - local.offsetMs;
+  const toIso = (minutes) => new Date(localMidnightMs + minutes * 60 * 1000).toISOString();
+  const horizon = (LOOKAHEAD_DAYS + 1) * MINUTES_PER_DAY;
+
+  const current = merged.find(interval => interval.start <= local.minutes && local.minutes < interval.end);
+  if (current) {
+    // An interval reaching the end of the lookahead window never closes
+    return {
+      is_open: true,
+      closes_at: current.end >= horizon ? null : toIso(current.end),
+      opens_at: null,
+    };
+  }
+
+  const next = merged.find(interval => interval.start > local.minutes);
+  return {
+    is_open: false,
+    closes_at: null,
+    opens_at: next ? toIso(next.start) : null,
+  };
+};
+
+export default {
+  BELARUS_TIMEZONE,
+  parseDayRange,
+  getLocalDate,
+  addDays,
+  getScheduleWindow,
+  resolveOpenStatus,
+};
@@ -92,12 +92,15 @@ const BELARUS_PHONE_REGEX = /^\+375(29|33|44|25)\d{7}$/;
  * 
  * Optional fields:
  * - description: Max 2000 characters
+ * - district: Max 100 characters (neighbourhood within the city)
  * - phone: Valid Belarus phone format
  * - email: Valid email format
  * - website: Valid URL format
  * - price_range: '$', '$$', or '$$$'
  * - special_hours: Valid JSON object
  * - attributes: Valid JSON object
+ * - organization_id: Optional UUID; cuisines may then be omitted and are
+ *   inherited from the organization
  */
 export const validateCreate = [
   // Name validation
@@ -123,6 +126,13 @@ export const validateCreate = [
     .isIn(VALID_CITIES)
     .withMessage(`City must be one of: ${VALID_CITIES.join(', ')}`),
 
+  // District validation (optional, neighbourhood within the city)
+  body('district')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('District must not exceed 100 characters'),
+
   // Address validation
   body('address')
     .trim()
@@ -179,8 +189,9 @@ export const validateCreate = [
       return true;
     }),
 
-  // Cuisines validation
+  // Cuisines validation (may be inherited from the organization)
   body('cuisines')
+    .if((value, { req }) => value !== undefined || !req.body.organization_id)
     .isArray({ min: 1, max: 3 })
     .withMessage('Cuisines must be an array with 1-3 items')
     .custom((cuisines) => {
@@ -215,6 +226,12 @@ export const validateCreate = [
     .optional()
     .isObject()
     .withMessage('Attributes must be a valid JSON object'),
+
+  // Organization validation (optional, branch of a chain)
+  body('organization_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Organization ID must be a valid UUID'),
 ];
 
 /**
@@ -251,6 +268,12 @@ export const validateUpdate = [
     .withMessage('Description must not exceed 2000 characters'),
 
   // Address validation (optional for updates)
+  body('district')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 100 })
+    .withMessage('District must not exceed 100 characters'),
+
   body('address')
     .optional()
     .trim()
@@ -259,6 +282,22 @@ export const validateUpdate = [
     .isLength({ min: 1, max: 500 })
     .withMessage('Address must be between 1 and 500 characters'),
 
+  // Latitude validation (optional for updates, must come with longitude)
+  body('latitude')
+    .optional()
+    .isFloat({ min: 51.0, max: 56.0 })
+    .withMessage('Latitude must be a valid number between 51.0 and 56.0 (Belarus bounds)')
+    .custom((value, { req }) => req.body.longitude !== undefined)
+    .withMessage('Latitude and longitude must be updated together'),
+
+  // Longitude validation (optional for updates, must come with latitude)
+  body('longitude')
+    .optional()
+    .isFloat({ min: 23.0, max: 33.0 })
+    .withMessage('Longitude must be a valid number between 23.0 and 33.0 (Belarus bounds)')
+    .custom((value, { req }) => req.body.latitude !== undefined)
+    .withMessage('Latitude and longitude must be updated together'),
+
   // Phone validation (optional)
   body('phone')
     .optional()
@@ -381,3 +420,25 @@ export const validateSubmit = [
     .withMessage('Establishment ID must be a valid UUID'),
 ];
 
+/**
+ * Validation for reverse geocoding
+ *
+ * GET /api/v1/partner/establishments/geocode/reverse
+ *
+ * Both coordinates are required and must be within Belarus bounds.
+ */
+export const validateReverseGeocode = [
+  query('latitude')
+    .notEmpty()
+    .withMessage('Latitude is required')
+    .isFloat({ min: 51.0, max: 56.0 })
+    .withMessage('Latitude must be a valid number between 51.0 and 56.0 (Belarus bounds)')
+    .toFloat(),
+
+  query('longitude')
+    .notEmpty()
+    .withMessage('Longitude is required')
+    .isFloat({ min: 23.0, max: 33.0 })
+    .withMessage('Longitude must be a valid number between 23.0 and 33.0 (Belarus bounds)')
+    .toFloat(),
+];
@@ -0,0 +1,47 @@
+/**
+ * Import Validation Rules
+ *
+ * This module defines express-validator validation chains for the bulk
+ * import endpoints. Only the request envelope is checked here; every row is
+ * validated by importService.js with the rules of validateCreate so errors
+ * can be reported per row instead of rejecting the whole request.
+ */
+
+import { query } from 'express-validator';
+
+const dryRunQuery = () => query('dry_run')
+  .optional()
+  .isBoolean()
+  .withMessage('dry_run must be true or false');
+
+/**
+ * Validation for partner imports
+ *
+ * POST /api/v1/partner/establishments/import
+ *
+ * Optional query parameters:
+ * - dry_run: Boolean
+ */
+export const validatePartnerImport = [
+  dryRunQuery(),
+];
+
+/**
+ * Validation for admin imports
+ *
+ * POST /api/v1/admin/establishments/import
+ *
+ * Query parameters:
+ * - partner_id: Required UUID of the partner
+ * - dry_run: Optional boolean
+ */
+export const validateAdminImport = [
+  query('partner_id')
+    .trim()
+    .notEmpty()
+    .withMessage('Partner ID is required')
+    .isUUID()
+    .withMessage('Partner ID must be a valid UUID'),
+
+  dryRunQuery(),
+];
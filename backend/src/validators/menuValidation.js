@@ -0,0 +1,197 @@
+/**
+ * Menu Validation Rules
+ *
+ * This module defines express-validator validation chains for structured
+ * menu endpoints. Allowed allergens, dietary tags and portion units, and
+ * item photos belonging to the establishment, are checked in menuService.js.
+ */
+
+import { body, param } from 'express-validator';
+
+/**
+ * Highest accepted dish price in BYN
+ */
+const MAX_PRICE_BYN = 10000;
+
+/**
+ * UUID path parameter
+ *
+ * @param {string} name - Parameter name
+ * @param {string} label - Resource name used in error messages
+ */
+const uuidParam = (name, label) => param(name)
+  .trim()
+  .notEmpty()
+  .withMessage(`${label} ID is required`)
+  .isUUID()
+  .withMessage(`${label} ID must be a valid UUID`);
+
+/**
+ * Section fields, required on create and optional on update
+ *
+ * @param {boolean} isUpdate - Whether all fields are optional
+ */
+const sectionFields = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .notEmpty()
+    .withMessage('Section name is required')
+    .isLength({ max: 100 })
+    .withMessage('Section name must not exceed 100 characters'),
+
+  body('description')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Section description must not exceed 500 characters'),
+
+  body('position')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Position must be a non-negative integer')
+    .toInt(),
+];
+
+/**
+ * Item fields, name and price required on create
+ *
+ * @param {boolean} isUpdate - Whether all fields are optional
+ */
+const itemFields = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .notEmpty()
+    .withMessage('Dish name is required')
+    .isLength({ max: 150 })
+    .withMessage('Dish name must not exceed 150 characters'),
+
+  body('description')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Dish description must not exceed 1000 characters'),
+
+  (isUpdate ? body('price').optional() : body('price'))
+    .isFloat({ min: 0, max: MAX_PRICE_BYN })
+    .withMessage(`Price must be between 0 and ${MAX_PRICE_BYN} BYN`)
+    .toFloat(),
+
+  body('portion_size')
+    .optional({ nullable: true })
+    .isFloat({ gt: 0 })
+    .withMessage('Portion size must be a positive number')
+    .toFloat(),
+
+  body('portion_unit')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Portion unit must be a string'),
+
+  body('allergens')
+    .optional()
+    .isArray()
+    .withMessage('Allergens must be an array'),
+
+  body('dietary_tags')
+    .optional()
+    .isArray()
+    .withMessage('Dietary tags must be an array'),
+
+  body('media_id')
+    .optional({ nullable: true })
+    .isUUID()
+    .withMessage('Photo ID must be a valid UUID'),
+
+  body('is_available')
+    .optional()
+    .isBoolean()
+    .withMessage('is_available must be a boolean')
+    .toBoolean(),
+
+  body('position')
+    .optional()
+    .isInt({ min: 0 })
+    .withMessage('Position must be a non-negative integer')
+    .toInt(),
+];
+
+/**
+ * Validation for reading a menu
+ *
+ * GET /api/v1/partner/establishments/:id/menu
+ * GET /api/v1/establishments/:id/menu
+ */
+export const validateGetMenu = [
+  uuidParam('id', 'Establishment'),
+];
+
+/**
+ * Validation for creating a section
+ *
+ * POST /api/v1/partner/establishments/:id/menu/sections
+ */
+export const validateCreateSection = [
+  uuidParam('id', 'Establishment'),
+  ...sectionFields(false),
+];
+
+/**
+ * Validation for updating a section
+ *
+ * PUT /api/v1/partner/establishments/:id/menu/sections/:sectionId
+ */
+export const validateUpdateSection = [
+  uuidParam('id', 'Establishment'),
+  uuidParam('sectionId', 'Section'),
+  ...sectionFields(true),
+];
+
+/**
+ * Validation for deleting a section
+ *
+ * DELETE /api/v1/partner/establishments/:id/menu/sections/:sectionId
+ */
+export const validateDeleteSection = [
+  uuidParam('id', 'Establishment'),
+  uuidParam('sectionId', 'Section'),
+];
+
+/**
+ * Validation for adding a dish to a section
+ *
+ * POST /api/v1/partner/establishments/:id/menu/sections/:sectionId/items
+ */
+export const validateCreateItem = [
+  uuidParam('id', 'Establishment'),
+  uuidParam('sectionId', 'Section'),
+  ...itemFields(false),
+];
+
+/**
+ * Validation for updating a dish
+ *
+ * PUT /api/v1/partner/establishments/:id/menu/items/:itemId
+ *
+ * section_id moves the dish to another section.
+ */
+export const validateUpdateItem = [
+  uuidParam('id', 'Establishment'),
+  uuidParam('itemId', 'Item'),
+
+  body('section_id')
+    .optional()
+    .isUUID()
+    .withMessage('Section ID must be a valid UUID'),
+
+  ...itemFields(true),
+];
+
+/**
+ * Validation for deleting a dish
+ *
+ * DELETE /api/v1/partner/establishments/:id/menu/items/:itemId
+ */
+export const validateDeleteItem = [
+  uuidParam('id', 'Establishment'),
+  uuidParam('itemId', 'Item'),
+];
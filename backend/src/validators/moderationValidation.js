@@ -0,0 +1,381 @@
+/**
+ * Moderation Validation Rules
+ *
+ * This module defines express-validator validation chains for the admin
+ * moderation endpoints. Whether a transition is allowed for the current
+ * establishment status is checked in moderationService.js.
+ */
+
+import { body, param, query } from 'express-validator';
+
+/**
+ * Statuses an admin can browse in the moderation queue
+ */
+const QUEUE_STATUSES = ['pending', 'active', 'suspended', 'draft'];
+
+/**
+ * Statuses of duplicate candidates
+ */
+const DUPLICATE_STATUSES = ['open', 'dismissed', 'merged'];
+
+/**
+ * Moderation states of review replies
+ */
+const REPLY_STATUSES = ['published', 'hidden'];
+
+/**
+ * Moderation states of reviews listed in the review queue
+ */
+const REVIEW_STATUSES = ['pending', 'hidden', 'published'];
+
+/**
+ * UUID path parameter named id
+ *
+ * @param {string} label - Resource name used in error messages
+ */
+const idParam = (label) => param('id')
+  .trim()
+  .notEmpty()
+  .withMessage(`${label} ID is required`)
+  .isUUID()
+  .withMessage(`${label} ID must be a valid UUID`);
+
+/**
+ * Establishment ID path parameter shared by all single-establishment endpoints
+ */
+const establishmentIdParam = () => idParam('Establishment');
+
+/**
+ * Validation for the moderation queue
+ *
+ * GET /api/v1/admin/moderation/establishments
+ *
+ * Optional query parameters:
+ * - status: Status to list (default: 'pending')
+ * - city, category: Exact match filters
+ * - partner_id: UUID of the partner
+ * - search: Name search, max 100 characters
+ * - page: Positive integer (default: 1)
+ * - limit: Between 1 and 50 (default: 20)
+ */
+export const validateQueue = [
+  query('status')
+    .optional()
+    .isIn(QUEUE_STATUSES)
+    .withMessage(`Status must be one of: ${QUEUE_STATUSES.join(', ')}`),
+
+  query('city')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('City must be between 1 and 100 characters'),
+
+  query('category')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Category must be between 1 and 100 characters'),
+
+  query('partner_id')
+    .optional()
+    .isUUID()
+    .withMessage('Partner ID must be a valid UUID'),
+
+  query('search')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 100 })
+    .withMessage('Search must be between 1 and 100 characters'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+    .toInt(),
+];
+
+/**
+ * Validation for getting establishment details for moderation
+ *
+ * GET /api/v1/admin/moderation/establishments/:id
+ */
+export const validateGetDetails = [
+  establishmentIdParam(),
+];
+
+/**
+ * Validation for actions that require a reason (reject, suspend)
+ *
+ * POST /api/v1/admin/moderation/establishments/:id/reject
+ * POST /api/v1/admin/moderation/establishments/:id/suspend
+ *
+ * The reason is shown to the partner, so it must be specific enough to act on.
+ */
+export const validateReasonAction = [
+  establishmentIdParam(),
+
+  body('reason')
+    .exists({ checkFalsy: true })
+    .withMessage('Reason is required')
+    .isString()
+    .withMessage('Reason must be a string')
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Reason must be between 10 and 1000 characters'),
+];
+
+/**
+ * Validation for actions with an optional note (approve, reinstate)
+ *
+ * POST /api/v1/admin/moderation/establishments/:id/approve
+ * POST /api/v1/admin/moderation/establishments/:id/reinstate
+ */
+export const validateNoteAction = [
+  establishmentIdParam(),
+
+  body('note')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Note must be a string')
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note must not exceed 1000 characters'),
+];
+
+/**
+ * Validation for the revision queue
+ *
+ * GET /api/v1/admin/moderation/revisions
+ */
+export const validateRevisionQueue = [
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+    .toInt(),
+];
+
+/**
+ * Validation for getting a revision diff
+ *
+ * GET /api/v1/admin/moderation/revisions/:id
+ */
+export const validateGetRevision = [
+  idParam('Revision'),
+];
+
+/**
+ * Validation for approving a revision
+ *
+ * POST /api/v1/admin/moderation/revisions/:id/approve
+ */
+export const validateApproveRevision = [
+  idParam('Revision'),
+
+  body('note')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Note must be a string')
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note must not exceed 1000 characters'),
+];
+
+/**
+ * Validation for rejecting a revision
+ *
+ * POST /api/v1/admin/moderation/revisions/:id/reject
+ */
+export const validateRejectRevision = [
+  idParam('Revision'),
+
+  body('reason')
+    .exists({ checkFalsy: true })
+    .withMessage('Reason is required')
+    .isString()
+    .withMessage('Reason must be a string')
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Reason must be between 10 and 1000 characters'),
+];
+
+/**
+ * Validation for the duplicate candidate list
+ *
+ * GET /api/v1/admin/moderation/duplicates
+ */
+export const validateDuplicateQueue = [
+  query('status')
+    .optional()
+    .isIn(DUPLICATE_STATUSES)
+    .withMessage(`Status must be one of: ${DUPLICATE_STATUSES.join(', ')}`),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+    .toInt(),
+];
+
+/**
+ * Validation for dismissing a duplicate candidate
+ *
+ * POST /api/v1/admin/moderation/duplicates/:id/dismiss
+ */
+export const validateDismissDuplicate = [
+  idParam('Duplicate candidate'),
+
+  body('note')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Note must be a string')
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note must not exceed 1000 characters'),
+];
+
+/**
+ * Validation for merging a duplicate into an establishment
+ *
+ * POST /api/v1/admin/moderation/establishments/:id/merge
+ */
+export const validateMerge = [
+  establishmentIdParam(),
+
+  body('duplicate_id')
+    .exists({ checkFalsy: true })
+    .withMessage('Duplicate establishment ID is required')
+    .isUUID()
+    .withMessage('Duplicate establishment ID must be a valid UUID'),
+
+  body('note')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Note must be a string')
+    .trim()
+    .isLength({ max: 1000 })
+    .withMessage('Note must not exceed 1000 characters'),
+];
+
+/**
+ * Validation for the review reply list
+ *
+ * GET /api/v1/admin/moderation/review-replies
+ */
+export const validateReplyQueue = [
+  query('status')
+    .optional()
+    .isIn(REPLY_STATUSES)
+    .withMessage(`Status must be one of: ${REPLY_STATUSES.join(', ')}`),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+    .toInt(),
+];
+
+/**
+ * Validation for hiding a review reply
+ *
+ * POST /api/v1/admin/moderation/review-replies/:id/hide
+ *
+ * The reason is shown to the partner.
+ */
+export const validateHideReply = [
+  idParam('Reply'),
+
+  body('reason')
+    .exists({ checkFalsy: true })
+    .withMessage('Reason is required')
+    .isString()
+    .withMessage('Reason must be a string')
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Reason must be between 10 and 1000 characters'),
+];
+
+/**
+ * Validation for restoring a review reply
+ *
+ * POST /api/v1/admin/moderation/review-replies/:id/restore
+ */
+export const validateRestoreReply = [
+  idParam('Reply'),
+];
+
+/**
+ * Validation for the review moderation queue
+ *
+ * GET /api/v1/admin/moderation/reviews
+ */
+export const validateReviewQueue = [
+  query('status')
+    .optional()
+    .isIn(REVIEW_STATUSES)
+    .withMessage(`Status must be one of: ${REVIEW_STATUSES.join(', ')}`),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+    .toInt(),
+];
+
+/**
+ * Validation for hiding a review
+ *
+ * POST /api/v1/admin/moderation/reviews/:id/hide
+ */
+export const validateHideReview = [
+  idParam('Review'),
+
+  body('reason')
+    .exists({ checkFalsy: true })
+    .withMessage('Reason is required')
+    .isString()
+    .withMessage('Reason must be a string')
+    .trim()
+    .isLength({ min: 10, max: 1000 })
+    .withMessage('Reason must be between 10 and 1000 characters'),
+];
+
+/**
+ * Validation for restoring or deleting a review
+ *
+ * POST /api/v1/admin/moderation/reviews/:id/restore
+ * DELETE /api/v1/admin/moderation/reviews/:id
+ */
+export const validateReviewAction = [
+  idParam('Review'),
+];
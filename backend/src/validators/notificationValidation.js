@@ -0,0 +1,52 @@
+/**
+ * Notification Validation Rules
+ *
+ * This module defines express-validator validation chains for the
+ * notification endpoints of the authenticated user.
+ */
+
+import { body, query } from 'express-validator';
+
+/**
+ * Validation for listing notifications
+ *
+ * GET /api/v1/notifications
+ */
+export const validateGetNotifications = [
+  query('unread')
+    .optional()
+    .isBoolean()
+    .withMessage('Unread must be true or false')
+    .toBoolean(),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+    .toInt(),
+];
+
+/**
+ * Validation for marking notifications as read
+ *
+ * POST /api/v1/notifications/read
+ *
+ * Body: ids - optional array of up to 100 notification IDs; without it all
+ * notifications are marked.
+ */
+export const validateMarkAsRead = [
+  body('ids')
+    .optional()
+    .isArray({ min: 1, max: 100 })
+    .withMessage('IDs must be an array of 1 to 100 notification IDs'),
+
+  body('ids.*')
+    .isUUID()
+    .withMessage('Each notification ID must be a valid UUID'),
+];
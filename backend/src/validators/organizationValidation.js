@@ -0,0 +1,152 @@
+/**
+ * Organization Validation Rules
+ *
+ * This module defines express-validator validation chains for the partner
+ * organization (chain) endpoints. Ownership, branch membership and cuisine
+ * values are checked in organizationService.js.
+ */
+
+import { body, param } from 'express-validator';
+
+/**
+ * Organization ID path parameter
+ */
+const organizationIdParam = () => param('id')
+  .trim()
+  .notEmpty()
+  .withMessage('Organization ID is required')
+  .isUUID()
+  .withMessage('Organization ID must be a valid UUID');
+
+/**
+ * Optional list of branch IDs for bulk operations
+ */
+const establishmentIdsBody = () => [
+  body('establishment_ids')
+    .optional()
+    .isArray({ min: 1, max: 100 })
+    .withMessage('establishment_ids must be an array with 1-100 items'),
+  body('establishment_ids.*')
+    .isUUID()
+    .withMessage('establishment_ids must contain valid UUIDs'),
+];
+
+/**
+ * Shared branding fields for create and update
+ *
+ * @param {boolean} isUpdate - Whether all fields are optional
+ */
+const brandingFields = (isUpdate) => [
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .notEmpty()
+    .withMessage('Organization name is required')
+    .isLength({ max: 255 })
+    .withMessage('Organization name must not exceed 255 characters'),
+
+  body('description')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 2000 })
+    .withMessage('Description must not exceed 2000 characters'),
+
+  body('logo_url')
+    .optional({ nullable: true })
+    .trim()
+    .isURL({ protocols: ['https'], require_protocol: true })
+    .withMessage('Logo URL must be a valid https URL')
+    .isLength({ max: 500 })
+    .withMessage('Logo URL must not exceed 500 characters'),
+
+  body('cuisines')
+    .optional()
+    .isArray({ max: 3 })
+    .withMessage('Cuisines must be an array with up to 3 items'),
+];
+
+/**
+ * Validation for creating an organization
+ *
+ * POST /api/v1/partner/organizations
+ */
+export const validateCreate = brandingFields(false);
+
+/**
+ * Validation for getting an organization
+ *
+ * GET /api/v1/partner/organizations/:id
+ */
+export const validateGetDetails = [
+  organizationIdParam(),
+];
+
+/**
+ * Validation for updating an organization
+ *
+ * PUT /api/v1/partner/organizations/:id
+ */
+export const validateUpdate = [
+  organizationIdParam(),
+  ...brandingFields(true),
+];
+
+/**
+ * Validation for attaching branches
+ *
+ * POST /api/v1/partner/organizations/:id/branches
+ */
+export const validateAddBranches = [
+  organizationIdParam(),
+  body('establishment_ids')
+    .exists()
+    .withMessage('establishment_ids is required'),
+  ...establishmentIdsBody(),
+];
+
+/**
+ * Validation for detaching a branch
+ *
+ * DELETE /api/v1/partner/organizations/:id/branches/:establishmentId
+ */
+export const validateRemoveBranch = [
+  organizationIdParam(),
+  param('establishmentId')
+    .trim()
+    .isUUID()
+    .withMessage('Establishment ID must be a valid UUID'),
+];
+
+/**
+ * Validation for bulk working hours
+ *
+ * POST /api/v1/partner/organizations/:id/bulk/hours
+ */
+export const validateBulkHours = [
+  organizationIdParam(),
+  body('working_hours')
+    .notEmpty()
+    .withMessage('Working hours are required')
+    .isObject()
+    .withMessage('Working hours must be a valid JSON object'),
+  body('special_hours')
+    .optional({ nullable: true })
+    .isObject()
+    .withMessage('Special hours must be a valid JSON object'),
+  ...establishmentIdsBody(),
+];
+
+/**
+ * Validation for bulk menu copy
+ *
+ * POST /api/v1/partner/organizations/:id/bulk/menu
+ */
+export const validateBulkMenu = [
+  organizationIdParam(),
+  body('source_establishment_id')
+    .trim()
+    .notEmpty()
+    .withMessage('source_establishment_id is required')
+    .isUUID()
+    .withMessage('source_establishment_id must be a valid UUID'),
+  ...establishmentIdsBody(),
+];
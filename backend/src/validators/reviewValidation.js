@@ -11,6 +11,17 @@
  */
 
 import { body, param, query } from 'express-validator';
+import { SUB_RATINGS } from '../utils/subRatings.js';
+
+/**
+ * Optional sub-ratings (foodRating, serviceRating, atmosphereRating,
+ * valueRating). null skips a dimension, or clears it on update.
+ */
+const subRatingRules = SUB_RATINGS.map(({ dimension, field }) => body(field)
+  .optional({ nullable: true })
+  .isInt({ min: 1, max: 5 })
+  .withMessage(`${dimension[0].toUpperCase()}${dimension.slice(1)} rating must be an integer between 1 and 5`)
+  .toInt());
 
 /**
  * Validation for creating a new review
@@ -21,6 +32,8 @@ import { body, param, query } from 'express-validator';
  * - establishment_id must be a valid UUID
  * - rating must be an integer between 1 and 5 inclusive
  * - content must be between 20 and 1000 characters after trimming
+ * - foodRating, serviceRating, atmosphereRating and valueRating are optional
+ *   integers between 1 and 5
  * 
  * The user_id comes from authenticated context, not request body, so we don't validate it here.
  */
@@ -38,6 +51,8 @@ export const validateCreateReview = [
     .isInt({ min: 1, max: 5 })
     .withMessage('Rating must be an integer between 1 and 5'),
 
+  ...subRatingRules,
+
   body('content')
     .trim()
     .notEmpty()
@@ -103,8 +118,8 @@ export const validateGetEstablishmentReviews = [
 
   query('sort')
     .optional()
-    .isIn(['newest', 'highest', 'lowest'])
-    .withMessage('Sort must be one of: newest, highest, lowest'),
+    .isIn(['newest', 'highest', 'lowest', 'most_helpful'])
+    .withMessage('Sort must be one of: newest, highest, lowest, most_helpful'),
 ];
 
 /**
@@ -143,10 +158,10 @@ export const validateGetUserReviews = [
  * PUT /api/v1/reviews/:id
  * 
  * Path parameter: review ID (UUID)
- * Body: rating and/or content (at least one must be provided)
+ * Body: rating, sub-ratings and/or content (at least one must be provided)
  * 
  * This is a partial update endpoint - users can update just rating, just content,
- * or both. We validate that at least one field is present and that provided fields
+ * just some sub-ratings, or any combination. We validate that at least one field is present and that provided fields
  * meet the same requirements as creation.
  * 
  * The service layer handles authorization (ensuring user is review author).
@@ -165,6 +180,8 @@ export const validateUpdateReview = [
     .isInt({ min: 1, max: 5 })
     .withMessage('Rating must be an integer between 1 and 5'),
 
+  ...subRatingRules,
+
   // Content is optional but if provided must be valid
   body('content')
     .optional()
@@ -186,8 +203,9 @@ export const validateUpdateReview = [
     .custom((value) => {
       const hasRating = value.rating !== undefined;
       const hasContent = value.content !== undefined;
-      if (!hasRating && !hasContent) {
-        throw new Error('At least one field (rating or content) must be provided for update');
+      const hasSubRating = SUB_RATINGS.some(({ field }) => value[field] !== undefined);
+      if (!hasRating && !hasContent && !hasSubRating) {
+        throw new Error('At least one field (rating, sub-rating or content) must be provided for update');
       }
       return true;
     }),
@@ -210,6 +228,171 @@ export const validateDeleteReview = [
     .withMessage('Review ID must be a valid UUID'),
 ];
 
+/**
+ * Validation for attaching photos to a review
+ * 
+ * POST /api/v1/reviews/:id/photos
+ * 
+ * Files are checked by the reviewPhotoUpload middleware and the service layer.
+ */
+export const validateUploadPhotos = [
+  param('id')
+    .trim()
+    .notEmpty()
+    .withMessage('Review ID is required')
+    .isUUID()
+    .withMessage('Review ID must be a valid UUID'),
+];
+
+/**
+ * Validation for deleting a photo of a review
+ * 
+ * DELETE /api/v1/reviews/:id/photos/:photoId
+ */
+export const validateDeletePhoto = [
+  ...validateUploadPhotos,
+
+  param('photoId')
+    .trim()
+    .notEmpty()
+    .withMessage('Photo ID is required')
+    .isUUID()
+    .withMessage('Photo ID must be a valid UUID'),
+];
+
+/**
+ * Validation for the visitor gallery of an establishment
+ * 
+ * GET /api/v1/establishments/:id/visitor-photos
+ */
+export const validateGetVisitorPhotos = [
+  param('id')
+    .trim()
+    .notEmpty()
+    .withMessage('Establishment ID is required')
+    .isUUID()
+    .withMessage('Establishment ID must be a valid UUID'),
+
+  query('page')
+    .optional()
+    .isInt({ min: 1 })
+    .withMessage('Page must be a positive integer')
+    .toInt(),
+
+  query('limit')
+    .optional()
+    .isInt({ min: 1, max: 50 })
+    .withMessage('Limit must be between 1 and 50')
+    .toInt(),
+];
+
+/**
+ * Reasons a review can be reported for (see reviewReportService.js)
+ */
+const REPORT_REASONS = ['spam', 'offensive', 'not_a_real_visit', 'conflict_of_interest'];
+
+/**
+ * Validation for reporting a review
+ * 
+ * POST /api/v1/reviews/:id/report
+ * 
+ * Body: reason (required) and an optional comment of up to 500 characters.
+ * The service layer rejects reports of the user's own review and repeated reports.
+ */
+export const validateReportReview = [
+  param('id')
+    .trim()
+    .notEmpty()
+    .withMessage('Review ID is required')
+    .isUUID()
+    .withMessage('Review ID must be a valid UUID'),
+
+  body('reason')
+    .exists({ checkFalsy: true })
+    .withMessage('Reason is required')
+    .isIn(REPORT_REASONS)
+    .withMessage(`Reason must be one of: ${REPORT_REASONS.join(', ')}`),
+
+  body('comment')
+    .optional({ nullable: true })
+    .isString()
+    .withMessage('Comment must be a string')
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Comment must not exceed 500 characters'),
+];
+
+/**
+ * Validation for voting on a review
+ * 
+ * PUT /api/v1/reviews/:id/vote
+ * 
+ * Body: helpful (true for helpful, false for not helpful).
+ * The service layer rejects votes on the user's own review.
+ */
+export const validateVoteReview = [
+  param('id')
+    .trim()
+    .notEmpty()
+    .withMessage('Review ID is required')
+    .isUUID()
+    .withMessage('Review ID must be a valid UUID'),
+
+  body('helpful')
+    .exists()
+    .withMessage('helpful is required')
+    .isBoolean()
+    .withMessage('helpful must be true or false')
+    .toBoolean(),
+];
+
+/**
+ * Establishment and review IDs of the reply endpoints
+ */
+const replyParams = [
+  param('id')
+    .trim()
+    .notEmpty()
+    .withMessage('Establishment ID is required')
+    .isUUID()
+    .withMessage('Establishment ID must be a valid UUID'),
+
+  param('reviewId')
+    .trim()
+    .notEmpty()
+    .withMessage('Review ID is required')
+    .isUUID()
+    .withMessage('Review ID must be a valid UUID'),
+];
+
+/**
+ * Validation for posting or editing a reply to a review
+ * 
+ * PUT /api/v1/partner/establishments/:id/reviews/:reviewId/reply
+ * 
+ * Body: content, 2-1000 characters after trimming. The service layer checks
+ * that the user may reply for the establishment.
+ */
+export const validateSaveReply = [
+  ...replyParams,
+
+  body('content')
+    .exists({ checkFalsy: true })
+    .withMessage('Reply content is required')
+    .isString()
+    .withMessage('Reply content must be a string')
+    .trim()
+    .isLength({ min: 2, max: 1000 })
+    .withMessage('Reply content must be between 2 and 1000 characters'),
+];
+
+/**
+ * Validation for deleting a reply to a review
+ * 
+ * DELETE /api/v1/partner/establishments/:id/reviews/:reviewId/reply
+ */
+export const validateDeleteReply = [...replyParams];
+
 /**
  * No validation needed for quota endpoint
  * 
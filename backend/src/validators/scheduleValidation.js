@@ -0,0 +1,183 @@
+/**
+ * Schedule Validation Rules
+ *
+ * This module defines express-validator validation chains for schedule
+ * exceptions and the national holiday calendar. Allowed types, how type
+ * and hours fit together, date ranges and overlaps are checked in
+ * scheduleService.js.
+ */
+
+import { body, param, query } from 'express-validator';
+
+/**
+ * UUID path parameter
+ *
+ * @param {string} name - Parameter name
+ * @param {string} label - Resource name used in error messages
+ */
+const uuidParam = (name, label) => param(name)
+  .trim()
+  .notEmpty()
+  .withMessage(`${label} ID is required`)
+  .isUUID()
+  .withMessage(`${label} ID must be a valid UUID`);
+
+/**
+ * Calendar date in YYYY-MM-DD format
+ *
+ * @param {string} field - Body field name
+ * @param {string} label - Field name used in error messages
+ * @param {boolean} isOptional - Whether the field may be omitted
+ */
+const dateField = (field, label, isOptional) => (isOptional ? body(field).optional() : body(field))
+  .isDate({ format: 'YYYY-MM-DD', strictMode: true })
+  .withMessage(`${label} must be a date in YYYY-MM-DD format`);
+
+/**
+ * Hours of a day: { open, close } or null for closed
+ */
+const hoursField = () => body('hours')
+  .optional({ nullable: true })
+  .isObject()
+  .withMessage('Hours must be an object with open and close times, or null for closed');
+
+/**
+ * Exception fields, type and start_date required on create
+ *
+ * @param {boolean} isUpdate - Whether all fields are optional
+ */
+const exceptionFields = (isUpdate) => [
+  (isUpdate ? body('type').optional() : body('type'))
+    .isString()
+    .withMessage('Type is required'),
+
+  dateField('start_date', 'Start date', isUpdate),
+  dateField('end_date', 'End date', true),
+  hoursField(),
+
+  body('note')
+    .optional({ nullable: true })
+    .trim()
+    .isLength({ max: 500 })
+    .withMessage('Note must not exceed 500 characters'),
+];
+
+/**
+ * National holiday fields, date and name required on create
+ *
+ * @param {boolean} isUpdate - Whether all fields are optional
+ */
+const holidayFields = (isUpdate) => [
+  dateField('date', 'Date', isUpdate),
+
+  (isUpdate ? body('name').optional() : body('name'))
+    .trim()
+    .notEmpty()
+    .withMessage('Holiday name is required')
+    .isLength({ max: 150 })
+    .withMessage('Holiday name must not exceed 150 characters'),
+
+  body('type')
+    .optional()
+    .isString()
+    .withMessage('Type must be a string'),
+
+  hoursField(),
+];
+
+/**
+ * Validation for reading exceptions
+ *
+ * GET /api/v1/partner/establishments/:id/schedule-exceptions
+ */
+export const validateGetSchedule = [
+  uuidParam('id', 'Establishment'),
+];
+
+/**
+ * Validation for creating an exception
+ *
+ * POST /api/v1/partner/establishments/:id/schedule-exceptions
+ */
+export const validateCreateException = [
+  uuidParam('id', 'Establishment'),
+  ...exceptionFields(false),
+];
+
+/**
+ * Validation for updating an exception
+ *
+ * PUT /api/v1/partner/establishments/:id/schedule-exceptions/:exceptionId
+ */
+export const validateUpdateException = [
+  uuidParam('id', 'Establishment'),
+  uuidParam('exceptionId', 'Exception'),
+  ...exceptionFields(true),
+];
+
+/**
+ * Validation for deleting an exception
+ *
+ * DELETE /api/v1/partner/establishments/:id/schedule-exceptions/:exceptionId
+ */
+export const validateDeleteException = [
+  uuidParam('id', 'Establishment'),
+  uuidParam('exceptionId', 'Exception'),
+];
+
+/**
+ * Validation for the national holiday opt-out
+ *
+ * PUT /api/v1/partner/establishments/:id/schedule-exceptions/public-holidays
+ */
+export const validatePublicHolidayObservance = [
+  uuidParam('id', 'Establishment'),
+
+  body('observe')
+    .exists()
+    .withMessage('observe is required')
+    .isBoolean()
+    .withMessage('observe must be a boolean')
+    .toBoolean(),
+];
+
+/**
+ * Validation for listing the national calendar
+ *
+ * GET /api/v1/admin/holidays
+ */
+export const validateListHolidays = [
+  query('year')
+    .optional()
+    .isInt({ min: 2000, max: 2100 })
+    .withMessage('Year must be between 2000 and 2100')
+    .toInt(),
+];
+
+/**
+ * Validation for adding a national holiday
+ *
+ * POST /api/v1/admin/holidays
+ */
+export const validateCreateHoliday = [
+  ...holidayFields(false),
+];
+
+/**
+ * Validation for updating a national holiday
+ *
+ * PUT /api/v1/admin/holidays/:id
+ */
+export const validateUpdateHoliday = [
+  uuidParam('id', 'Holiday'),
+  ...holidayFields(true),
+];
+
+/**
+ * Validation for removing a national holiday
+ *
+ * DELETE /api/v1/admin/holidays/:id
+ */
+export const validateDeleteHoliday = [
+  uuidParam('id', 'Holiday'),
+];
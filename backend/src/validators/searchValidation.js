@@ -10,6 +10,11 @@
  */
 
 import { query, validationResult } from 'express-validator';
+import {
+  VALID_SORT_OPTIONS,
+  VALID_CITY_SORT_OPTIONS,
+  VALID_PAGINATION_MODES,
+} from '../services/searchService.js';
 
 /**
  * Validation chain for list view search endpoint
@@ -91,6 +96,23 @@ const validateListSearch = [
       return true;
     }),
 
+  // Average check range validation (optional, BYN)
+  query('min_check')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('min_check must be a non-negative number')
+    .toFloat(),
+
+  query('max_check')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('max_check must be a non-negative number')
+    .toFloat()
+    .custom((value, { req }) => {
+      if (req.query.min_check !== undefined && Number(req.query.min_check) > value) {
+        throw new Error('min_check must not exceed max_check');
+      }
+      return true;
+    }),
+
   // Features filter validation (optional, comma-separated)
   query('features')
     .optional()
@@ -115,6 +137,31 @@ const validateListSearch = [
     .isIn(['until_22', 'until_morning', '24_hours'])
     .withMessage('Hours filter must be one of: until_22, until_morning, 24_hours'),
 
+  // Open-now filter validation (optional boolean flag)
+  query('open_now')
+    .optional()
+    .isBoolean().withMessage('open_now must be true or false')
+    .toBoolean(),
+
+  // Open-at filter validation (optional ISO 8601 timestamp)
+  query('open_at')
+    .optional()
+    .isISO8601().withMessage('open_at must be a valid ISO 8601 timestamp'),
+
+  // Free-text query validation (optional, must contain letters or digits)
+  query('q')
+    .optional()
+    .isString().withMessage('Search query must be a string')
+    .trim()
+    .isLength({ min: 1, max: 100 }).withMessage('Search query must be between 1 and 100 characters')
+    .matches(/[\p{L}\p{N}]/u).withMessage('Search query must contain letters or digits'),
+
+  // Total count toggle validation (optional boolean flag)
+  query('include_total')
+    .optional()
+    .isBoolean().withMessage('include_total must be true or false')
+    .toBoolean(),
+
   // Pagination cursor validation (optional, base64 string)
   query('cursor')
     .optional()
@@ -129,6 +176,18 @@ const validateListSearch = [
       }
     }),
 
+  // Pagination mode validation (optional, cursor starts keyset pagination)
+  query('pagination')
+    .optional()
+    .isIn(VALID_PAGINATION_MODES)
+    .withMessage(`Pagination must be one of: ${VALID_PAGINATION_MODES.join(', ')}`),
+
+  // Sort order validation (optional, single selection)
+  query('sort')
+    .optional()
+    .isIn(VALID_SORT_OPTIONS)
+    .withMessage(`Sort must be one of: ${VALID_SORT_OPTIONS.join(', ')}`),
+
   // Page size validation (optional, with reasonable limits)
   query('page_size')
     .optional()
@@ -247,6 +306,22 @@ const validateMapSearch = [
       return true;
     }),
 
+  query('min_check')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('min_check must be a non-negative number')
+    .toFloat(),
+
+  query('max_check')
+    .optional()
+    .isFloat({ min: 0 }).withMessage('max_check must be a non-negative number')
+    .toFloat()
+    .custom((value, { req }) => {
+      if (req.query.min_check !== undefined && Number(req.query.min_check) > value) {
+        throw new Error('min_check must not exceed max_check');
+      }
+      return true;
+    }),
+
   query('features')
     .optional()
     .isString().withMessage('Features must be a string')
@@ -269,6 +344,31 @@ const validateMapSearch = [
     .isIn(['until_22', 'until_morning', '24_hours'])
     .withMessage('Hours filter must be one of: until_22, until_morning, 24_hours'),
 
+  // Open-now filter validation (optional boolean flag)
+  query('open_now')
+    .optional()
+    .isBoolean().withMessage('open_now must be true or false')
+    .toBoolean(),
+
+  // Open-at filter validation (optional ISO 8601 timestamp)
+  query('open_at')
+    .optional()
+    .isISO8601().withMessage('open_at must be a valid ISO 8601 timestamp'),
+
+  // Free-text query validation (optional, must contain letters or digits)
+  query('q')
+    .optional()
+    .isString().withMessage('Search query must be a string')
+    .trim()
+    .isLength({ min: 1, max: 100 }).withMessage('Search query must be between 1 and 100 characters')
+    .matches(/[\p{L}\p{N}]/u).withMessage('Search query must contain letters or digits'),
+
+  // Zoom validation (optional, low zooms return clusters)
+  query('zoom')
+    .optional()
+    .isInt({ min: 0, max: 22 }).withMessage('Zoom must be an integer between 0 and 22')
+    .toInt(),
+
   // Limit validation (maximum results for map view)
   query('limit')
     .optional()
@@ -332,6 +432,8 @@ function getValidationConstants() {
     ],
     priceRanges: ['$', '$$', '$$$'],
     hoursFilters: ['until_22', 'until_morning', '24_hours'],
+    sortOptions: VALID_SORT_OPTIONS,
+    citySortOptions: VALID_CITY_SORT_OPTIONS,
     radiusLimits: { min: 100, max: 50000 },
     boundingBoxLimits: { maxSpan: 10 },
     paginationLimits: { minPageSize: 1, maxPageSize: 100 },
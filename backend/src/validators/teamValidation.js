@@ -0,0 +1,88 @@
+/**
+ * Team Validation Rules
+ *
+ * This module defines express-validator validation chains for establishment
+ * team management and invitation endpoints. Access rights and duplicate
+ * invitations are checked in teamService.js.
+ */
+
+import { body, param } from 'express-validator';
+import { TEAM_ROLES } from '../utils/teamPermissions.js';
+
+/**
+ * Belarus mobile phone format, as for establishments
+ */
+const BELARUS_PHONE_REGEX = /^\+375(29|33|44|25)\d{7}$/;
+
+/**
+ * UUID path parameter
+ *
+ * @param {string} name - Parameter name
+ * @param {string} label - Resource name used in error messages
+ */
+const uuidParam = (name, label) => param(name)
+  .trim()
+  .notEmpty()
+  .withMessage(`${label} ID is required`)
+  .isUUID()
+  .withMessage(`${label} ID must be a valid UUID`);
+
+/**
+ * Validation for listing the team
+ *
+ * GET /api/v1/partner/establishments/:id/team
+ */
+export const validateGetTeam = [
+  uuidParam('id', 'Establishment'),
+];
+
+/**
+ * Validation for inviting a team member
+ *
+ * POST /api/v1/partner/establishments/:id/team/invitations
+ *
+ * Exactly one of email or phone is required.
+ */
+export const validateInvite = [
+  uuidParam('id', 'Establishment'),
+
+  body('role')
+    .isIn(TEAM_ROLES)
+    .withMessage(`Role must be one of: ${TEAM_ROLES.join(', ')}`),
+
+  body('email')
+    .optional({ nullable: true })
+    .trim()
+    .isEmail()
+    .withMessage('Email must be valid'),
+
+  body('phone')
+    .optional({ nullable: true })
+    .trim()
+    .matches(BELARUS_PHONE_REGEX)
+    .withMessage('Phone must be in format +375XXXXXXXXX'),
+
+  body()
+    .custom((value) => Boolean(value.email) !== Boolean(value.phone))
+    .withMessage('Provide either an email or a phone number'),
+];
+
+/**
+ * Validation for revoking access
+ *
+ * DELETE /api/v1/partner/establishments/:id/team/:memberId
+ */
+export const validateRevoke = [
+  uuidParam('id', 'Establishment'),
+  uuidParam('memberId', 'Member'),
+];
+
+/**
+ * Validation for accepting or declining an invitation
+ *
+ * POST /api/v1/partner/invitations/:id/accept
+ * POST /api/v1/partner/invitations/:id/decline
+ */
+export const validateInvitationAction = [
+  uuidParam('id', 'Invitation'),
+];